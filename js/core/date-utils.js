@@ -0,0 +1,209 @@
+/**
+ * Date Utilities
+ * Local calendar-date helpers shared by the task manager, calendar, analytics and recurrence rules.
+ *
+ * Due dates are calendar dates, not instants: only the YYYY-MM-DD part of a stored value is used,
+ * so "2025-01-10" and "2025-01-10T00:00:00.000Z" both mean January 10th in every timezone.
+ * Timestamps (createdAt, completedAt) are instants and fall on the local day they happened.
+ */
+
+const WEEK_START_KEY = 'weekStartDay';
+const DEFAULT_WEEK_START = 0; // Sunday, as Date.getDay()
+
+const DateUtils = {
+    DATE_KEY_PATTERN: /^(\d{4})-(\d{2})-(\d{2})/,
+    TIME_PATTERN: /^([01]\d|2[0-3]):([0-5]\d)$/,
+
+    /**
+     * Get the YYYY-MM-DD part of a stored calendar date
+     * @param {string} value - YYYY-MM-DD or full ISO string
+     * @returns {string|null} - Date key or null if the value isn't a date
+     */
+    toDateKey(value) {
+        if (typeof value !== 'string') return null;
+        const match = value.match(this.DATE_KEY_PATTERN);
+        return match ? match[0] : null;
+    },
+
+    /**
+     * Parse a stored calendar date as local midnight
+     * @param {string} value - YYYY-MM-DD or full ISO string
+     * @returns {Date|null} - Local midnight of that date or null if the value isn't a date
+     */
+    parseDate(value) {
+        const match = typeof value === 'string' ? value.match(this.DATE_KEY_PATTERN) : null;
+        if (!match) return null;
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    },
+
+    /**
+     * Combine a calendar date and a local HH:MM time
+     * @param {string} value - YYYY-MM-DD or full ISO string
+     * @param {string} time - HH:MM (24-hour)
+     * @returns {Date|null} - Local date and time or null if either part is invalid
+     */
+    parseDateTime(value, time) {
+        const date = this.parseDate(value);
+        const match = typeof time === 'string' ? time.match(this.TIME_PATTERN) : null;
+        if (!date || !match) return null;
+
+        date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+        return date;
+    },
+
+    /**
+     * Format a date as a local YYYY-MM-DD string
+     * @param {Date} date - Date to format
+     * @returns {string} - YYYY-MM-DD
+     */
+    formatDate(date) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    },
+
+    /**
+     * Get the local date key of a timestamp
+     * @param {string|number|Date} timestamp - ISO timestamp, epoch milliseconds or Date
+     * @returns {string|null} - YYYY-MM-DD of the local day or null if the timestamp is invalid
+     */
+    toLocalDateKey(timestamp) {
+        if (timestamp === null || timestamp === undefined) return null;
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? null : this.formatDate(date);
+    },
+
+    /**
+     * @param {Date} [date] - Defaults to now
+     * @returns {Date} - Local midnight of the date
+     */
+    startOfDay(date = new Date()) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
+    /**
+     * @param {Date} [date] - Defaults to now
+     * @returns {Date} - Last millisecond of the local day
+     */
+    endOfDay(date = new Date()) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+    },
+
+    /**
+     * @returns {Date} - Local midnight today
+     */
+    today() {
+        return this.startOfDay(new Date());
+    },
+
+    /**
+     * Add calendar days (DST-safe: the result is always local midnight)
+     * @param {Date} date - Start date
+     * @param {number} days - Days to add (negative to subtract)
+     * @returns {Date}
+     */
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    },
+
+    /**
+     * Add months, clamping to the last day of shorter months (Jan 31 + 1 month = Feb 28/29)
+     * @param {Date} date - Start date
+     * @param {number} months - Months to add (negative to subtract)
+     * @returns {Date}
+     */
+    addMonths(date, months) {
+        const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const day = Math.min(date.getDate(), this.daysInMonth(target.getFullYear(), target.getMonth()));
+        return new Date(target.getFullYear(), target.getMonth(), day);
+    },
+
+    /**
+     * @param {number} year
+     * @param {number} month - 0-11
+     * @returns {number} - Number of days in the month
+     */
+    daysInMonth(year, month) {
+        return new Date(year, month + 1, 0).getDate();
+    },
+
+    /**
+     * @returns {boolean} - True if both dates fall on the same local day
+     */
+    isSameDay(a, b) {
+        return a.getFullYear() === b.getFullYear()
+            && a.getMonth() === b.getMonth()
+            && a.getDate() === b.getDate();
+    },
+
+    /**
+     * Count calendar days from one date to another, ignoring the time of day
+     * Rounds so 23- and 25-hour DST days still count as one.
+     * @param {Date} later
+     * @param {Date} earlier
+     * @returns {number} - Days (negative if `later` is before `earlier`)
+     */
+    differenceInDays(later, earlier) {
+        return Math.round((this.startOfDay(later) - this.startOfDay(earlier)) / (24 * 60 * 60 * 1000));
+    },
+
+    /**
+     * First day of the week containing a date
+     * @param {Date} date
+     * @param {number} [weekStart] - 0 (Sunday) to 6 (Saturday); defaults to the user's setting
+     * @returns {Date} - Local midnight of the first day
+     */
+    startOfWeek(date, weekStart = this.getWeekStart()) {
+        return this.addDays(date, -((date.getDay() - weekStart + 7) % 7));
+    },
+
+    /**
+     * Last moment of the week containing a date
+     * @param {Date} date
+     * @param {number} [weekStart] - 0 (Sunday) to 6 (Saturday); defaults to the user's setting
+     * @returns {Date} - Last millisecond of the week's last day
+     */
+    endOfWeek(date, weekStart = this.getWeekStart()) {
+        return this.endOfDay(this.addDays(this.startOfWeek(date, weekStart), 6));
+    },
+
+    /**
+     * Weekday numbers in display order, e.g. [1, 2, 3, 4, 5, 6, 0] for weeks starting on Monday
+     * @param {number} [weekStart] - 0 (Sunday) to 6 (Saturday); defaults to the user's setting
+     * @returns {number[]}
+     */
+    getWeekdayOrder(weekStart = this.getWeekStart()) {
+        return Array.from({ length: 7 }, (_, i) => (weekStart + i) % 7);
+    },
+
+    /**
+     * Get the configured first day of the week
+     * @returns {number} - 0 (Sunday) to 6 (Saturday)
+     */
+    getWeekStart() {
+        const day = parseInt(localStorage.getItem(WEEK_START_KEY), 10);
+        return day >= 0 && day <= 6 ? day : DEFAULT_WEEK_START;
+    },
+
+    /**
+     * Set the first day of the week
+     * @param {number} day - 0 (Sunday) to 6 (Saturday)
+     * @returns {boolean} - True if the value was saved
+     */
+    setWeekStart(day) {
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            Logger.warn('Invalid week start day:', day);
+            return false;
+        }
+
+        localStorage.setItem(WEEK_START_KEY, String(day));
+        return true;
+    }
+};
+
+// Export to global scope
+window.DateUtils = DateUtils;
+
+Logger.debug('date-utils.js loaded');
@@ -466,8 +466,10 @@ ${JSON.stringify(errorEntry.context, null, 2)}
 
             case 'Clear Storage':
                 if (confirm('This will clear all stored data. Make sure to export your data first! Continue?')) {
-                    localStorage.clear();
-                    window.location.reload();
+                    const clear = window.clearAllStorage
+                        ? window.clearAllStorage()
+                        : Promise.resolve(localStorage.clear());
+                    clear.then(() => window.location.reload());
                 }
                 break;
 
@@ -15,6 +15,61 @@
  * eventBus.once('app:ready', () => {
  *     console.log('App initialized');
  * });
+ *
+ * Domain events published by the data managers (payload in braces). Events fire after the
+ * in-memory model has changed; changes received from another tab are reported as `*:synced`.
+ *
+ * Tasks (TaskDataManager)
+ * - task:created {task}
+ * - task:updated {task, changes} - `changes` lists the fields whose values changed
+ * - task:deleted {taskId, task} - `task` is the copy moved to the Trash
+ * - task:restored {task, reBlockedTasks}
+ * - task:completed {task, nextTask, unblockedTasks}
+ * - task:reopened {task, reBlockedTasks}
+ * - task:skipped {task, skippedDate, nextDueDate}
+ * - task:series-completed {task, seriesId}
+ * - task:opened {taskId, task} - detail panel rendered (todo.js)
+ * - comment:added {task, comment}, comment:deleted {task, commentId}
+ * - dependency:added {task, blockerId}, dependency:removed {task, blockerId}
+ * - project:created {project}, project:updated {project, changes}, project:deleted {projectId, movedTaskIds}
+ * - project:archived {project}, project:unarchived {project}
+ * - project:restored {project, movedTaskIds}
+ * - tasks:synced {taskIds, projectIds}
+ * - history:undone {label, taskIds, projectIds}, history:redone {label, taskIds, projectIds}
+ *
+ * Notes (NotesDataManager)
+ * - note:created {note}, note:saved {note, changes}, note:deleted {noteId, note}, note:restored {note}
+ * - notes:synced {noteIds, cleared}
+ * - notebook:created {notebook}, notebook:updated {notebook, changes}, notebook:deleted {notebookId, notebook, noteIds}
+ * - notebooks:synced {notebookIds}
+ *
+ * Wiki links (WikiLinks)
+ * - references:renamed {type, oldTitle, newTitle, noteIds, taskIds} - references to a renamed note,
+ *   task or link were rewritten in these notes and tasks
+ *
+ * Note tasks (NoteTasks)
+ * - checklist:synced {noteIds, taskIds} - checklist lines of these notes were turned into tasks or
+ *   ticked to match their tasks, or these tasks were completed or reopened to match their lines
+ *
+ * Trash (TaskDataManager, NotesDataManager)
+ * - trash:purged {taskIds, projectIds, noteIds} - records deleted for good (manually or after the retention period)
+ *
+ * Tags (TagColorsManager)
+ * - tag:color-changed {tag, color} - `color` is null when removed
+ *
+ * Saved filters (SavedFiltersManager)
+ * - filter:created {filter}, filter:updated {filter, changes}, filter:deleted {filterId, filter}
+ * - filters:synced {filterIds}
+ *
+ * Pomodoro (PomodoroTimer)
+ * - pomodoro:started {taskId, taskText}, pomodoro:paused, pomodoro:resumed, pomodoro:stopped {taskId}
+ * - pomodoro:completed {taskId, taskText, totalPomodoros} - a work session finished
+ * - pomodoro:session-completed {taskId, completedSession, nextSession}
+ *
+ * Links (dashboard)
+ * - link:added {section, link}, link:updated {section, link, previous}, link:deleted {section, link}
+ * - section:added {section}, section:renamed {section, previous}, section:deleted {section}
+ * - links:reordered, links:restored (undo), links:synced {sections}
  */
 
 /**
@@ -2,7 +2,7 @@
 
 // =====================================================================
 // Import sanitizers — defense against malicious backup files.
-// Imported data flows directly into localStorage and from there into
+// Imported data flows directly into storage and from there into
 // innerHTML / data-* attributes across the codebase. These helpers guarantee
 // that no string can break out of an attribute boundary or carry script
 // payload, regardless of what the backup file contained.
@@ -11,6 +11,9 @@
 const SAFE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;        // matches task_../note_../subtask_../uuid styles (NO `:` — that's reserved as the task:subtask separator in blockedBy)
 const SAFE_TAG_PATTERN = /^[A-Za-z0-9_\- ]+$/;     // tags allow space; rendered into chips
 const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;     // partial — accepts "YYYY-MM-DD" or full ISO
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;     // exact YYYY-MM-DD
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;  // HH:MM, 24-hour
+const MAX_TASK_DURATION = 7 * 24 * 60;              // minutes
 
 function safeString(value, maxLength, defaultValue = '') {
     if (typeof value !== 'string') return defaultValue;
@@ -34,6 +37,21 @@ function safeIsoDate(value) {
     return value;
 }
 
+function safeTime(value) {
+    return typeof value === 'string' && TIME_PATTERN.test(value) ? value : null;
+}
+
+function safeDuration(value) {
+    return Number.isInteger(value) && value > 0 && value <= MAX_TASK_DURATION ? value : null;
+}
+
+function safeDateKeys(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .filter(d => typeof d === 'string' && DATE_KEY_PATTERN.test(d))
+        .slice(-60); // MY_DAY_HISTORY_DAYS
+}
+
 function safeBlockedBy(value) {
     if (!Array.isArray(value)) return [];
     return value.filter(ref => {
@@ -94,9 +112,36 @@ function sanitizeImportedProjects(projects) {
             archived: !!p.archived,
             createdAt: safeIsoDate(p.createdAt) || new Date().toISOString(),
             position: typeof p.position === 'number' ? p.position : 0,
-            defaultView: VALID_VIEW.has(p.defaultView) ? p.defaultView : 'list'
+            defaultView: VALID_VIEW.has(p.defaultView) ? p.defaultView : 'list',
+            workflow: sanitizeImportedWorkflow(p.workflow),
+            deletedAt: safeIsoDate(p.deletedAt),
+            movedTaskIds: Array.isArray(p.movedTaskIds)
+                ? p.movedTaskIds.map(id => safeId(id)).filter(Boolean).slice(0, 10000)
+                : []
+        };
+    }).filter(Boolean);
+}
+
+// Sanitize a project's board columns (called from sanitizeImportedProjects).
+// Returns null (the default columns) unless every status still has a column.
+function sanitizeImportedWorkflow(workflow) {
+    if (!Array.isArray(workflow)) return null;
+    const VALID_STATUS = ['todo', 'in-progress', 'done', 'blocked'];
+    const ids = new Set();
+    const columns = workflow.slice(0, 12).map(c => {
+        if (!c || typeof c !== 'object') return null;
+        const id = safeId(c.id);
+        const name = safeString(c.name, 30).trim();
+        if (id === null || ids.has(id) || !name || !VALID_STATUS.includes(c.status)) return null;
+        ids.add(id);
+        return {
+            id,
+            name,
+            status: c.status,
+            wipLimit: Number.isInteger(c.wipLimit) && c.wipLimit > 0 && c.wipLimit <= 1000 ? c.wipLimit : null
         };
     }).filter(Boolean);
+    return VALID_STATUS.every(status => columns.some(c => c.status === status)) ? columns : null;
 }
 
 // Sanitize an imported subtasks array (called from sanitizeImportedTasks).
@@ -132,22 +177,72 @@ function sanitizeImportedComments(comments) {
     }).filter(Boolean);
 }
 
-// Sanitize an imported recurrence object.
+// Sanitize an imported time entries array (called from sanitizeImportedTasks).
+// A null end is a running timer; entries that end before they start are dropped.
+function sanitizeImportedTimeEntries(entries) {
+    if (!Array.isArray(entries)) return [];
+    const VALID_SOURCE = new Set(['timer', 'manual', 'pomodoro']);
+    return entries.map(e => {
+        if (!e || typeof e !== 'object') return null;
+        const id = safeId(e.id);
+        const start = safeIsoDate(e.start);
+        const end = e.end === null ? null : safeIsoDate(e.end);
+        if (id === null || !start || isNaN(new Date(start))) return null;
+        if (end === null ? e.end !== null : !(new Date(end) >= new Date(start))) return null;
+        return {
+            id,
+            start,
+            end,
+            note: safeString(e.note, 500),
+            source: VALID_SOURCE.has(e.source) ? e.source : 'manual'
+        };
+    }).filter(Boolean).slice(0, 5000);
+}
+
+// Sanitize an imported recurrence object (RRULE subset, see recurrence.js).
 function sanitizeImportedRecurrence(rec) {
     if (!rec || typeof rec !== 'object') return null;
     const VALID_TYPE = new Set(['daily', 'weekly', 'monthly', 'yearly']);
+    const BYDAY_PATTERN = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/;
     if (!VALID_TYPE.has(rec.type)) return null;
     let interval = 1;
     if (typeof rec.interval === 'number' && rec.interval >= 1 && rec.interval <= 365) {
         interval = Math.floor(rec.interval);
     }
+    const safeIntList = (value, max) => Array.isArray(value)
+        ? value.filter(n => Number.isInteger(n) && n !== 0 && Math.abs(n) <= max).slice(0, 31)
+        : [];
+    const count = Number.isInteger(rec.count) && rec.count >= 1 && rec.count <= 1000 ? rec.count : null;
+    const occurrence = Number.isInteger(rec.occurrence) && rec.occurrence >= 1 && rec.occurrence <= 100000
+        ? rec.occurrence
+        : 1;
     return {
         type: rec.type,
         interval,
-        endDate: safeIsoDate(rec.endDate)
+        endDate: safeIsoDate(rec.endDate),
+        count,
+        byDay: Array.isArray(rec.byDay)
+            ? rec.byDay.filter(d => typeof d === 'string' && BYDAY_PATTERN.test(d)).slice(0, 35)
+            : [],
+        byMonthDay: safeIntList(rec.byMonthDay, 31),
+        bySetPos: safeIntList(rec.bySetPos, 366),
+        repeatFrom: rec.repeatFrom === 'completion' ? 'completion' : 'due',
+        occurrence
     };
 }
 
+// Sanitize the dependencies a trashed task removed (called from sanitizeImportedTasks).
+function sanitizeImportedDeletedDependents(dependents) {
+    if (!Array.isArray(dependents)) return [];
+    return dependents.map(d => {
+        if (!d || typeof d !== 'object') return null;
+        const taskId = safeId(d.taskId);
+        const [blockerId] = safeBlockedBy([d.blockerId]);
+        if (taskId === null || !blockerId) return null;
+        return { taskId, blockerId };
+    }).filter(Boolean).slice(0, 1000);
+}
+
 // Sanitize an imported tasks array.
 function sanitizeImportedTasks(tasks) {
     if (!Array.isArray(tasks)) return [];
@@ -168,24 +263,34 @@ function sanitizeImportedTasks(tasks) {
             description: safeString(t.description, 1000),
             completed,
             priority: VALID_PRIORITY.has(t.priority) ? t.priority : 'medium',
+            startDate: safeIsoDate(t.startDate),
+            deferUntil: safeIsoDate(t.deferUntil),
             dueDate: safeIsoDate(t.dueDate),
+            dueTime: safeIsoDate(t.dueDate) ? safeTime(t.dueTime) : null,
+            duration: safeDuration(t.duration),
             createdAt,
             completedAt: safeIsoDate(t.completedAt),
             projectId: safeId(t.projectId) || 'inbox',
             parentId: safeId(t.parentId),
             tags: safeTags(t.tags),
             status: VALID_STATUS.has(t.status) ? t.status : (completed ? 'done' : 'todo'),
+            columnId: safeId(t.columnId),
             position: typeof t.position === 'number' ? t.position : 0,
             isMyDay: !!t.isMyDay,
+            myDayDates: safeDateKeys(t.myDayDates),
             subtasks: sanitizeImportedSubtasks(t.subtasks),
             comments: sanitizeImportedComments(t.comments),
             blockedBy: safeBlockedBy(t.blockedBy),
             modifiedAt: safeIsoDate(t.modifiedAt) || createdAt,
             pomodorosCompleted: typeof t.pomodorosCompleted === 'number' ? t.pomodorosCompleted : 0,
             estimatedPomodoros: typeof t.estimatedPomodoros === 'number' ? t.estimatedPomodoros : null,
+            timeEntries: sanitizeImportedTimeEntries(t.timeEntries),
             recurrence: sanitizeImportedRecurrence(t.recurrence),
             isRecurring: !!t.isRecurring,
-            recurringParentId: safeId(t.recurringParentId)
+            recurringParentId: safeId(t.recurringParentId),
+            sourceNoteId: safeId(t.sourceNoteId),
+            deletedAt: safeIsoDate(t.deletedAt),
+            deletedDependents: sanitizeImportedDeletedDependents(t.deletedDependents)
         };
     }).filter(Boolean);
 }
@@ -202,6 +307,23 @@ function sanitizeImportedTodos(todos) {
     }).filter(Boolean);
 }
 
+// Sanitize a note's revision history (called from sanitizeImportedNotes and sanitizeImportedNoteRevisionRecords).
+function sanitizeImportedNoteRevisions(revisions) {
+    if (!Array.isArray(revisions)) return [];
+    return revisions.map(r => {
+        if (!r || typeof r !== 'object') return null;
+        const id = safeId(r.id);
+        const savedAt = safeIsoDate(r.savedAt);
+        if (id === null || !savedAt) return null;
+        return {
+            id,
+            title: safeString(r.title, 200),
+            content: safeString(r.content, 100000),
+            savedAt
+        };
+    }).filter(Boolean).slice(-30);
+}
+
 // Sanitize an imported notes array.
 function sanitizeImportedNotes(notes) {
     if (!Array.isArray(notes)) return [];
@@ -219,11 +341,50 @@ function sanitizeImportedNotes(notes) {
             content: safeString(n.content, 100000),
             tags: safeTags(n.tags),
             createdAt,
-            modifiedAt: safeIsoDate(n.modifiedAt) || createdAt
+            modifiedAt: safeIsoDate(n.modifiedAt) || createdAt,
+            deletedAt: safeIsoDate(n.deletedAt),
+            revisions: sanitizeImportedNoteRevisions(n.revisions),
+            notebookId: safeId(n.notebookId),
+            pinned: !!n.pinned,
+            archivedAt: safeIsoDate(n.archivedAt)
         };
     }).filter(Boolean);
 }
 
+// Sanitize the noteRevisions section (version 2.5+) — one record per note. Older backups keep each
+// note's revisions inside the note; importAllData moves those here too.
+function sanitizeImportedNoteRevisionRecords(records) {
+    if (!Array.isArray(records)) return [];
+    return records.map(r => {
+        if (!r || typeof r !== 'object') return null;
+        const noteId = safeId(r.noteId);
+        const revisions = sanitizeImportedNoteRevisions(r.revisions);
+        if (noteId === null || revisions.length === 0) return null;
+        return { noteId, revisions };
+    }).filter(Boolean);
+}
+
+// Sanitize notebooks — names are plain text, always rendered escaped. Notebooks nest one level,
+// so a notebook whose parent is missing or itself nested moves to the top level.
+function sanitizeImportedNotebooks(notebooks) {
+    if (!Array.isArray(notebooks)) return [];
+    const safe = notebooks.slice(0, 500).map(nb => {
+        if (!nb || typeof nb !== 'object') return null;
+        const id = safeId(nb.id);
+        const name = safeString(nb.name, 50).trim();
+        if (!id || !name) return null;
+        return {
+            id,
+            name,
+            parentId: safeId(nb.parentId),
+            createdAt: safeIsoDate(nb.createdAt) || new Date().toISOString()
+        };
+    }).filter(Boolean);
+
+    const topLevelIds = new Set(safe.filter(nb => !nb.parentId).map(nb => nb.id));
+    return safe.map(nb => (topLevelIds.has(nb.parentId) ? nb : { ...nb, parentId: null }));
+}
+
 // Sanitize an imported bookmarks object (links): { sectionName: [link, link, ...] }.
 function sanitizeImportedBookmarks(bookmarks) {
     if (!bookmarks || typeof bookmarks !== 'object') return {};
@@ -252,7 +413,7 @@ function sanitizeImportedBookmarks(bookmarks) {
 // Sanitize taskSettings — whitelist known keys only.
 function sanitizeImportedTaskSettings(settings) {
     if (!settings || typeof settings !== 'object') return null;
-    const VALID_VIEW = new Set(['my-day', 'inbox', 'all', 'important', 'upcoming', 'completed', 'project', 'tag']);
+    const VALID_VIEW = new Set(['my-day', 'inbox', 'all', 'important', 'upcoming', 'deferred', 'completed', 'project', 'tag']);
     const out = {};
     if (typeof settings.dataVersion === 'string' && settings.dataVersion.length <= 20) {
         out.dataVersion = settings.dataVersion;
@@ -262,6 +423,17 @@ function sanitizeImportedTaskSettings(settings) {
     out.currentTag = (typeof settings.currentTag === 'string' && settings.currentTag.length <= 50 && SAFE_TAG_PATTERN.test(settings.currentTag))
         ? settings.currentTag : null;
     out.sidebarCollapsed = !!settings.sidebarCollapsed;
+    out.calendarMode = ['month', 'week', 'agenda'].includes(settings.calendarMode) ? settings.calendarMode : 'month';
+    out.myDayResetHour = Number.isInteger(settings.myDayResetHour) && settings.myDayResetHour >= 0 && settings.myDayResetHour <= 23
+        ? settings.myDayResetHour : 0;
+    const plan = settings.myDayPlan;
+    out.myDayPlan = plan && typeof plan === 'object' && typeof plan.date === 'string' && DATE_KEY_PATTERN.test(plan.date)
+        ? {
+            date: plan.date,
+            dismissed: Array.isArray(plan.dismissed) ? plan.dismissed.map(id => safeId(id)).filter(Boolean).slice(0, 500) : [],
+            done: !!plan.done
+        }
+        : null;
     return out;
 }
 
@@ -282,19 +454,71 @@ function sanitizeImportedTagColors(tagColors) {
     return out;
 }
 
+// Sanitize savedFilters — names and queries are plain text, always rendered escaped.
+// Queries aren't parsed here (the dashboard page doesn't load task-query.js); an invalid one matches no tasks.
+function sanitizeImportedSavedFilters(filters) {
+    if (!Array.isArray(filters)) return [];
+    return filters.slice(0, 100).map((f, index) => {
+        if (!f || typeof f !== 'object') return null;
+        const id = safeId(f.id);
+        const name = safeString(f.name, 50).trim();
+        const query = safeString(f.query, 500).trim();
+        if (!id || !name || !query) return null;
+        return {
+            id,
+            name,
+            query,
+            position: typeof f.position === 'number' ? f.position : index,
+            createdAt: safeIsoDate(f.createdAt) || new Date().toISOString()
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Read a collection from the active storage adapter in its original localStorage shape
+ * @param {string} name - Collection name (see STORAGE_COLLECTIONS)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrash=false] - Keep records that are in the Trash (deletedAt set)
+ * @returns {Promise<*>} - Stored value, or null if the collection is empty
+ */
+async function readStoredCollection(name, options = {}) {
+    const storage = await window.storageReady;
+    const stored = await storage.getAll(name);
+    const records = options.includeTrash ? stored : stored.filter(record => !record.deletedAt);
+    return records.length > 0 ? STORAGE_COLLECTIONS[name].toLegacy(records) : null;
+}
+
+/**
+ * Replace collections in the active storage adapter with a single commit
+ * @param {Object<string, *>} values - Values in localStorage shape, keyed by collection name
+ * @returns {Promise<void>}
+ */
+async function writeStoredCollections(values) {
+    const storage = await window.storageReady;
+    const changes = {};
+    Object.entries(values).forEach(([name, value]) => {
+        changes[name] = { clear: true, put: STORAGE_COLLECTIONS[name].fromLegacy(value) };
+    });
+    await storage.commit(changes);
+}
+
 /**
  * Export all application data (dashboard and todos) in a single file
  * @param {boolean} silent - Whether to show a success message
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrash=false] - Also export tasks, projects and notes in the Trash
  * @returns {Promise<void>}
  */
-async function exportAllData(silent = false) {
+async function exportAllData(silent = false, options = {}) {
+    const trashOption = { includeTrash: !!options.includeTrash };
+
     try {
         // Get dashboard data
         const dashboardData = {
             version: '1.0',
             timestamp: new Date().toISOString(),
             data: {
-                bookmarks: JSON.parse(localStorage.getItem('links') || '{}'),
+                bookmarks: await readStoredCollection('links') || {},
                 settings: {
                     username: localStorage.getItem('username') || 'User',
                     theme: localStorage.getItem('theme') || 'light',
@@ -304,9 +528,9 @@ async function exportAllData(silent = false) {
         };
 
         // Get task management data (new format - version 2.0+)
-        const tasksData = JSON.parse(localStorage.getItem('tasks') || 'null');
-        const projectsData = JSON.parse(localStorage.getItem('projects') || 'null');
-        const taskSettingsData = JSON.parse(localStorage.getItem('taskSettings') || 'null');
+        const tasksData = await readStoredCollection('tasks', trashOption);
+        const projectsData = await readStoredCollection('projects', trashOption);
+        const taskSettingsData = (await readStoredCollection('settings') || {}).taskSettings || null;
 
         // Get legacy todo data for backward compatibility
         const todoData = JSON.parse(localStorage.getItem('todos') || '[]');
@@ -315,14 +539,25 @@ async function exportAllData(silent = false) {
         const retirementTimerData = JSON.parse(localStorage.getItem('retirementTimer') || 'null');
 
         // Get notes data
-        const notesData = JSON.parse(localStorage.getItem('notes') || 'null');
+        const notesData = await readStoredCollection('notes', trashOption);
 
         // Get tag colors data (version 2.2+)
-        const tagColorsData = JSON.parse(localStorage.getItem('tagColors') || 'null');
+        const tagColorsData = await readStoredCollection('tagColors');
+
+        // Get saved filters (version 2.3+)
+        const savedFiltersData = await readStoredCollection('savedFilters');
+
+        // Get notebooks (version 2.4+)
+        const notebooksData = await readStoredCollection('notebooks');
+
+        // Get the revision history of the exported notes (version 2.5+)
+        const exportedNoteIds = new Set((notesData || []).map(n => n.id));
+        const noteRevisionsData = ((await readStoredCollection('noteRevisions')) || [])
+            .filter(r => exportedNoteIds.has(r.noteId));
 
         // Combine data
         const exportData = {
-            version: '2.2', // Version 2.2 includes tag colors, comments, recurring tasks
+            version: '2.5', // Version 2.5 moves note revisions out of notes; 2.4 adds notebooks; 2.3 saved filters; 2.2 tag colors, comments, recurring tasks
             timestamp: new Date().toISOString(),
             data: {
                 bookmarks: dashboardData.data.bookmarks,
@@ -332,8 +567,14 @@ async function exportAllData(silent = false) {
                 taskSettings: taskSettingsData,
                 // Tag colors (version 2.2+)
                 tagColors: tagColorsData,
+                // Saved filters (version 2.3+)
+                savedFilters: savedFiltersData,
                 // Notes data (version 2.1+)
                 notes: notesData,
+                // Notebooks (version 2.4+)
+                notebooks: notebooksData,
+                // Note revisions, one record per note (version 2.5+)
+                noteRevisions: noteRevisionsData,
                 // Keep legacy todos for backward compatibility
                 todos: todoData,
                 settings: dashboardData.data.settings,
@@ -384,17 +625,19 @@ async function importAllData(file) {
         }
 
         const reader = new FileReader();
-        reader.onload = function(e) {
+        reader.onload = async function(e) {
             try {
                 const importedData = JSON.parse(e.target.result);
                 let success = false;
+                // Collections to write through the storage adapter
+                const stored = {};
 
                 // Check for combined format (version 1.1+)
                 if (importedData.version && parseFloat(importedData.version) >= 1.1 && importedData.data) {
                     // Import bookmarks
                     if (importedData.data.bookmarks) {
                         const safeBookmarks = sanitizeImportedBookmarks(importedData.data.bookmarks);
-                        localStorage.setItem('links', JSON.stringify(safeBookmarks));
+                        stored.links = safeBookmarks;
                         success = true;
                     }
 
@@ -404,20 +647,20 @@ async function importAllData(file) {
                         let safeTasks;
                         if (importedData.data.tasks) {
                             safeTasks = sanitizeImportedTasks(importedData.data.tasks);
-                            localStorage.setItem('tasks', JSON.stringify(safeTasks));
+                            stored.tasks = safeTasks;
                             success = true;
                         }
 
                         if (importedData.data.projects) {
                             const safeProjects = sanitizeImportedProjects(importedData.data.projects);
-                            localStorage.setItem('projects', JSON.stringify(safeProjects));
+                            stored.projects = safeProjects;
                             success = true;
                         }
 
                         if (importedData.data.taskSettings) {
                             const safeSettings = sanitizeImportedTaskSettings(importedData.data.taskSettings);
                             if (safeSettings) {
-                                localStorage.setItem('taskSettings', JSON.stringify(safeSettings));
+                                stored.settings = { taskSettings: safeSettings };
                                 success = true;
                             }
                         }
@@ -425,7 +668,14 @@ async function importAllData(file) {
                         // Import notes data (version 2.1+)
                         if (parseFloat(importedData.version) >= 2.1 && importedData.data.notes) {
                             const safeNotes = sanitizeImportedNotes(importedData.data.notes);
-                            localStorage.setItem('notes', JSON.stringify(safeNotes));
+                            stored.notes = safeNotes.map(({ revisions, ...note }) => note);
+
+                            // Revisions have their own section from version 2.5; before that each note carried its own
+                            const safeRevisions = parseFloat(importedData.version) >= 2.5
+                                ? sanitizeImportedNoteRevisionRecords(importedData.data.noteRevisions)
+                                : safeNotes.filter(n => n.revisions.length > 0).map(n => ({ noteId: n.id, revisions: n.revisions }));
+                            const noteIds = new Set(safeNotes.map(n => n.id));
+                            stored.noteRevisions = safeRevisions.filter(r => noteIds.has(r.noteId));
                             success = true;
                             Logger.info('Imported notes data');
                         }
@@ -433,11 +683,25 @@ async function importAllData(file) {
                         // Import tag colors data (version 2.2+)
                         if (parseFloat(importedData.version) >= 2.2 && importedData.data.tagColors) {
                             const safeTagColors = sanitizeImportedTagColors(importedData.data.tagColors);
-                            localStorage.setItem('tagColors', JSON.stringify(safeTagColors));
+                            stored.tagColors = safeTagColors;
                             success = true;
                             Logger.info('Imported tag colors data');
                         }
 
+                        // Import saved filters (version 2.3+)
+                        if (parseFloat(importedData.version) >= 2.3 && importedData.data.savedFilters) {
+                            stored.savedFilters = sanitizeImportedSavedFilters(importedData.data.savedFilters);
+                            success = true;
+                            Logger.info('Imported saved filters');
+                        }
+
+                        // Import notebooks (version 2.4+)
+                        if (parseFloat(importedData.version) >= 2.4 && importedData.data.notebooks) {
+                            stored.notebooks = sanitizeImportedNotebooks(importedData.data.notebooks);
+                            success = true;
+                            Logger.info('Imported notebooks');
+                        }
+
                         // Dispatch event to notify todo.js that tasks have been updated
                         if (safeTasks) {
                             window.dispatchEvent(new CustomEvent('tasksUpdated', {
@@ -490,7 +754,7 @@ async function importAllData(file) {
                 else if (importedData.data && importedData.data.bookmarks) {
                     // This is a dashboard-only backup
                     const safeBookmarks = sanitizeImportedBookmarks(importedData.data.bookmarks);
-                    localStorage.setItem('links', JSON.stringify(safeBookmarks));
+                    stored.links = safeBookmarks;
 
                     // Import settings if available (same validation as the modern path above)
                     if (importedData.data.settings) {
@@ -527,6 +791,8 @@ async function importAllData(file) {
                 }
 
                 if (success) {
+                    await writeStoredCollections(stored);
+
                     // Sync theme changes if themeManager is available
                     if (typeof themeManager !== 'undefined') {
                         themeManager.syncThemeSettings();
@@ -576,7 +842,7 @@ async function importBrowserBookmarks(file, fileName = null) {
         const reader = new FileReader();
         fileName = fileName || file.name;
 
-        reader.onload = function(event) {
+        reader.onload = async function(event) {
             try {
                 const htmlContent = event.target.result;
                 Logger.debug('Parsing browser bookmarks from file:', fileName);
@@ -590,13 +856,13 @@ async function importBrowserBookmarks(file, fileName = null) {
                 }
 
                 // Get current links data
-                const currentLinks = JSON.parse(localStorage.getItem('links') || '{}');
+                const currentLinks = await readStoredCollection('links') || {};
 
                 // Merge bookmark data with existing links
                 const mergedLinks = mergeBrowserBookmarks(currentLinks, bookmarkData);
 
-                // Save to localStorage
-                localStorage.setItem('links', JSON.stringify(mergedLinks));
+                // Save to storage
+                await writeStoredCollections({ links: mergedLinks });
 
                 Logger.info('Browser bookmarks imported successfully:', {
                     sectionsAdded: Object.keys(bookmarkData).length,
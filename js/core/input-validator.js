@@ -4,6 +4,32 @@
  * Provides comprehensive input sanitization and validation
  */
 
+// Tags sanitizeRichHtml() keeps, with the attributes each may carry (see isSafeRichAttribute)
+const RICH_HTML_ALLOWED = {
+    a: ['href', 'target', 'rel', 'class', 'data-wiki-type', 'data-wiki-target'],
+    blockquote: [],
+    br: [],
+    code: ['class'],
+    del: [],
+    em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    input: ['type', 'checked', 'data-line'],
+    li: ['class'],
+    ol: ['start'],
+    p: [],
+    pre: [],
+    span: ['class'],
+    strong: [],
+    table: [], thead: [], tbody: [], tr: [],
+    th: ['align'],
+    td: ['align'],
+    ul: ['class']
+};
+
+// Tags sanitizeRichHtml() removes together with their content; other unknown tags are unwrapped
+const RICH_HTML_DROPPED = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math']);
+
 class InputValidator {
     constructor() {
         this.init();
@@ -38,6 +64,91 @@ class InputValidator {
         return clean.trim();
     }
 
+    // Escape text for HTML content or attribute values, keeping it exactly as typed
+    // (sanitizeHtml also trims and rewrites protocol- and handler-like words)
+    escapeHtml(str) {
+        if (typeof str !== 'string') return '';
+
+        return str
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    // Keep only allowlisted tags and attributes of generated HTML (rendered Markdown).
+    // Parsed with DOMParser, so nothing in it runs or loads while it is being cleaned.
+    sanitizeRichHtml(html) {
+        if (typeof html !== 'string' || !html) return '';
+
+        const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+
+        const clean = (parent) => {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) return;
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+
+                const tag = node.tagName.toLowerCase();
+                if (!Object.prototype.hasOwnProperty.call(RICH_HTML_ALLOWED, tag)) {
+                    if (RICH_HTML_DROPPED.has(tag)) {
+                        node.remove();
+                    } else {
+                        clean(node);
+                        node.replaceWith(...Array.from(node.childNodes));
+                    }
+                    return;
+                }
+
+                Array.from(node.attributes).forEach(attr => {
+                    if (!RICH_HTML_ALLOWED[tag].includes(attr.name) || !this.isSafeRichAttribute(attr.name, attr.value)) {
+                        node.removeAttribute(attr.name);
+                    }
+                });
+                if (tag === 'input' && node.getAttribute('type') !== 'checkbox') {
+                    node.remove();
+                    return;
+                }
+                clean(node);
+            });
+        };
+
+        clean(doc.body);
+        return doc.body.innerHTML;
+    }
+
+    // Check the value of an attribute allowed by RICH_HTML_ALLOWED
+    isSafeRichAttribute(name, value) {
+        switch (name) {
+            case 'href':
+                return this.validateUrl(value);
+            case 'target':
+                return value === '_blank';
+            case 'rel':
+                return value === 'noopener noreferrer';
+            case 'class':
+                return value.split(/\s+/).every(token => /^(md|language)-[\w-]+$/.test(token));
+            case 'type':
+                return value === 'checkbox';
+            case 'checked':
+                return true;
+            case 'data-line':
+            case 'start':
+                return /^\d{1,9}$/.test(value);
+            case 'align':
+                return ['left', 'center', 'right'].includes(value);
+            case 'data-wiki-type':
+                return ['note', 'task', 'link'].includes(value);
+            case 'data-wiki-target':
+                return true; // Plain text, only read back through dataset
+            default:
+                return false;
+        }
+    }
+
     // Enhanced URL validation
     validateUrl(url) {
         if (!url || typeof url !== 'string') return false;
@@ -456,6 +567,7 @@ window.inputValidator = new InputValidator();
 // Export validation functions for use by other modules
 window.validateAndSanitize = {
     html: (str) => window.inputValidator.sanitizeHtml(str),
+    richHtml: (html) => window.inputValidator.sanitizeRichHtml(html),
     url: (url) => window.inputValidator.validateUrl(url),
     text: (text, options) => window.inputValidator.validateText(text, options),
     sectionName: (name) => window.inputValidator.validateSectionName(name),
@@ -171,7 +171,10 @@ class KeyboardNavigationManager {
         return modal;
     }
 
-    performGlobalSearch(query, resultsContainer) {
+    async performGlobalSearch(query, resultsContainer) {
+        // Only the latest query may render; earlier reads can resolve after it
+        const searchId = this.globalSearchId = (this.globalSearchId || 0) + 1;
+
         if (!query.trim()) {
             resultsContainer.innerHTML = '';
             return;
@@ -179,10 +182,11 @@ class KeyboardNavigationManager {
 
         const results = [];
         const lowerQuery = query.toLowerCase();
+        const storage = await window.storageReady;
 
         // Search links
         try {
-            const links = JSON.parse(localStorage.getItem('links') || '{}');
+            const links = await storage.getLegacyValue('links');
             for (const [section, sectionLinks] of Object.entries(links)) {
                 sectionLinks.forEach(link => {
                     if (link.name.toLowerCase().includes(lowerQuery) ||
@@ -204,10 +208,13 @@ class KeyboardNavigationManager {
 
         // Search tasks
         try {
-            const tasks = JSON.parse(localStorage.getItem('tasks') || '[]');
-            const projects = JSON.parse(localStorage.getItem('projects') || '[]');
+            const [tasks, projects] = await Promise.all([
+                storage.getAll('tasks'),
+                storage.getAll('projects')
+            ]);
 
-            tasks.forEach(task => {
+            // Items in the Trash are left out of search
+            tasks.filter(task => !task.deletedAt).forEach(task => {
                 // Search in task text, description, tags, and subtasks
                 const matchesText = task.text.toLowerCase().includes(lowerQuery);
                 const matchesDescription = task.description && task.description.toLowerCase().includes(lowerQuery);
@@ -240,29 +247,26 @@ class KeyboardNavigationManager {
 
         // Search notes
         try {
-            const notes = JSON.parse(localStorage.getItem('notes') || '[]');
+            const notes = await storage.getAll('notes');
 
-            notes.forEach(note => {
+            notes.filter(note => !note.deletedAt).forEach(note => {
                 // Search in note title, content, and tags
                 const matchesTitle = note.title && note.title.toLowerCase().includes(lowerQuery);
                 const matchesContent = note.content && note.content.toLowerCase().includes(lowerQuery);
                 const matchesTags = note.tags && note.tags.some(tag => tag.toLowerCase().includes(lowerQuery));
 
                 if (matchesTitle || matchesContent || matchesTags) {
-                    // Build subtitle with tags or content preview
+                    // Build subtitle with tags; the content is shown as a rendered Markdown preview
                     let subtitle = 'Note';
                     if (note.tags && note.tags.length > 0) {
                         subtitle += ` • ${note.tags.join(', ')}`;
-                    } else if (note.content) {
-                        // Show content preview (first 50 chars)
-                        const preview = note.content.substring(0, 50).replace(/\n/g, ' ');
-                        subtitle += ` • ${preview}${note.content.length > 50 ? '...' : ''}`;
                     }
 
                     results.push({
                         type: 'note',
                         title: note.title || 'Untitled Note',
                         subtitle: subtitle,
+                        previewHtml: window.MarkdownRenderer ? MarkdownRenderer.renderPreview(note.content, 80) : '',
                         noteId: note.id
                     });
                 }
@@ -271,6 +275,8 @@ class KeyboardNavigationManager {
             Logger.error('Error searching notes:', e);
         }
 
+        if (searchId !== this.globalSearchId) return;
+
         // Display results
         this.displayGlobalSearchResults(results, resultsContainer);
     }
@@ -285,6 +291,7 @@ class KeyboardNavigationManager {
             <div class="search-result" data-type="${this.escapeHtml(result.type)}" data-url="${this.escapeHtml(result.url || '')}" data-task-id="${this.escapeHtml(result.taskId || '')}" data-note-id="${this.escapeHtml(result.noteId || '')}">
                 <div class="result-title">${this.escapeHtml(result.title)}</div>
                 <div class="result-subtitle">${this.escapeHtml(result.subtitle)}</div>
+                ${result.previewHtml ? `<div class="result-preview">${result.previewHtml}</div>` : ''}
             </div>
         `).join('');
 
@@ -312,7 +319,14 @@ class KeyboardNavigationManager {
         } else if (type === 'task' || type === 'todo') {
             // Navigate to todo page with task ID
             const taskId = resultEl.dataset.taskId;
-            if (taskId) {
+            if (taskId && window.taskDataManager && window.taskDataManager.getTaskById(taskId) &&
+                typeof window.showTaskDetails === 'function') {
+                // Already on the todo page: open the task without reloading
+                if (window.notesUIManager && window.notesUIManager.isModalOpen) {
+                    window.notesUIManager.closeNotesModal();
+                }
+                window.showTaskDetails(taskId);
+            } else if (taskId) {
                 window.location.href = `todo.html?taskId=${taskId}`;
             } else {
                 window.location.href = 'todo.html';
@@ -321,13 +335,14 @@ class KeyboardNavigationManager {
             // Open notes modal and load specific note
             const noteId = resultEl.dataset.noteId;
             if (noteId && window.openNotesModal) {
-                window.openNotesModal();
-                // Wait for modal to open, then load the note
-                setTimeout(() => {
-                    if (window.notesUIManager) {
-                        window.notesUIManager.loadNote(noteId);
-                    }
-                }, 150);
+                // Wait for notes to load and the modal to open, then load the note
+                Promise.resolve(window.openNotesModal()).then(() => {
+                    setTimeout(() => {
+                        if (window.notesUIManager) {
+                            window.notesUIManager.loadNote(noteId);
+                        }
+                    }, 150);
+                });
             }
         }
     }
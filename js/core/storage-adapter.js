@@ -0,0 +1,671 @@
+/**
+ * Storage Adapters
+ * Pluggable persistence for tasks, projects, notes, note history, notebooks, tag colors, saved filters and links.
+ *
+ * IndexedDBAdapter keeps one record per task/note/tag/section and writes only the
+ * records that changed, inside a single transaction. LocalStorageAdapter keeps the
+ * original one-JSON-blob-per-key layout and is used when IndexedDB is unavailable.
+ * UnavailableStorageAdapter stands in when data already moved to IndexedDB can't be reached.
+ * Both expose the same promise-based interface:
+ *   open(), getAll(name), commit(changes), clearAll(), getLegacyValue(name), setLegacyValue(name, value)
+ *
+ * Writes carry the version of each record the writer last saw; a record another tab has changed
+ * since is reported as a conflict instead of being overwritten. Committed changes are announced
+ * to other tabs through the adapter's StorageSync (see storage-sync.js).
+ */
+
+const STORAGE_DB_NAME = 'dashflow';
+const STORAGE_DB_VERSION = 4; // 2: savedFilters, 3: notebooks, 4: noteRevisions
+
+// Set once the legacy localStorage keys have been copied into IndexedDB
+const STORAGE_MIGRATION_FLAG = 'storageMigratedAt';
+
+// localStorage keys that belong to the settings collection
+const STORAGE_SETTINGS_KEYS = ['taskSettings'];
+
+const arrayCodec = {
+    toLegacy: records => records,
+    fromLegacy: value => Array.isArray(value) ? value : []
+};
+
+/**
+ * Collection definitions
+ * legacyKey is the localStorage key a collection was stored under before IndexedDB;
+ * toLegacy/fromLegacy convert between per-record storage and that key's JSON shape.
+ */
+const STORAGE_COLLECTIONS = {
+    tasks: { keyPath: 'id', legacyKey: 'tasks', ...arrayCodec },
+    projects: { keyPath: 'id', legacyKey: 'projects', ...arrayCodec },
+    notes: { keyPath: 'id', legacyKey: 'notes', ...arrayCodec },
+    // One record per note holding its earlier versions
+    noteRevisions: { keyPath: 'noteId', legacyKey: 'noteRevisions', ...arrayCodec },
+    notebooks: { keyPath: 'id', legacyKey: 'notebooks', ...arrayCodec },
+    savedFilters: { keyPath: 'id', legacyKey: 'savedFilters', ...arrayCodec },
+    tagColors: {
+        keyPath: 'tag',
+        legacyKey: 'tagColors',
+        toLegacy: records => Object.fromEntries(records.map(r => [r.tag, r.color])),
+        fromLegacy: value => Object.entries(value || {}).map(([tag, color]) => ({ tag, color }))
+    },
+    links: {
+        // Section order lives in `position` since IndexedDB returns records in key order
+        keyPath: 'section',
+        legacyKey: 'links',
+        toLegacy: records => Object.fromEntries(
+            [...records].sort((a, b) => a.position - b.position).map(r => [r.section, r.links])
+        ),
+        fromLegacy: value => Object.entries(value || {}).map(([section, links], position) => ({ section, position, links }))
+    },
+    settings: {
+        // Each record maps to its own localStorage key (e.g. taskSettings)
+        keyPath: 'key',
+        legacyKey: null,
+        toLegacy: records => Object.fromEntries(records.map(r => [r.key, r.value])),
+        fromLegacy: value => Object.entries(value || {}).map(([key, v]) => ({ key, value: v }))
+    }
+};
+
+/**
+ * @typedef {Object} CollectionChange
+ * @property {Object[]} [put] - Records to insert or replace
+ * @property {Array<string>} [delete] - Keys of records to remove
+ * @property {boolean} [clear] - Remove every record before applying put/delete
+ * @property {Object<string, ?string>} [expected] - JSON of each record as the writer last saw it
+ *   (null if it should not exist yet); keys without an entry are written unconditionally
+ */
+
+/**
+ * @typedef {Object} StorageConflict
+ * @property {string} collection - Collection name
+ * @property {string} key - Record key
+ * @property {?Object} local - Record this tab tried to write (null for a delete)
+ * @property {?Object} remote - Record currently stored (null if deleted)
+ */
+
+/**
+ * @typedef {Object} StorageCommitResult
+ * @property {StorageConflict[]} conflicts - Writes skipped because the record changed elsewhere
+ */
+
+/**
+ * Look up a collection definition
+ * @param {string} name - Collection name
+ * @returns {Object} - Collection definition
+ */
+function getStorageCollection(name) {
+    const collection = STORAGE_COLLECTIONS[name];
+    if (!collection) {
+        throw new Error(`Unknown storage collection: ${name}`);
+    }
+    return collection;
+}
+
+/**
+ * Check whether a change set has anything to write
+ * @param {CollectionChange} change - Change set
+ * @returns {boolean}
+ */
+function hasStorageChanges(change) {
+    return !!change && (change.clear || (change.put && change.put.length > 0) || (change.delete && change.delete.length > 0));
+}
+
+/**
+ * Check a stored record against the version the writer last saw
+ * @param {CollectionChange} change - Change set
+ * @param {string} key - Record key
+ * @param {Object|undefined} current - Currently stored record
+ * @returns {boolean} - True if the write may go ahead
+ */
+function matchesExpectedRecord(change, key, current) {
+    if (!change.expected || !(key in change.expected)) return true;
+    const currentJson = current === undefined || current === null ? null : JSON.stringify(current);
+    return currentJson === change.expected[key];
+}
+
+/**
+ * Record Change Tracker
+ * Remembers the JSON of each record as last persisted so a save only writes what changed.
+ * Callers that know which records can have changed pass their keys so only those are
+ * serialized; a full diff also catches code that mutates records directly.
+ */
+class RecordChangeTracker {
+    /**
+     * @param {string} [keyPath='id'] - Record key field
+     * @param {Object} [options]
+     * @param {boolean} [options.checkConflicts=true] - Attach expected versions to diffs
+     */
+    constructor(keyPath = 'id', options = {}) {
+        this.keyPath = keyPath;
+        this.checkConflicts = options.checkConflicts !== false;
+        this.snapshot = new Map();
+        this.unsaved = new Set(); // Keys of rolled-back changes, checked again by the next diff
+    }
+
+    /**
+     * Treat the given records as persisted
+     * @param {Object[]} records - Plain records
+     */
+    reset(records) {
+        this.snapshot = new Map(records.map(r => [r[this.keyPath], JSON.stringify(r)]));
+        this.unsaved.clear();
+    }
+
+    /**
+     * Get the keys a diff limited to some records has to check
+     * Adds the keys of changes that failed to persist, so they are written again.
+     * @param {Iterable<string>|null} keys - Records that can have changed; null for all
+     * @returns {Set<string>|null} - Keys to pass to diff(); null to compare every record
+     */
+    keysToCheck(keys) {
+        return keys ? new Set([...keys, ...this.unsaved]) : null;
+    }
+
+    /**
+     * Compare records with the last snapshot and advance it
+     * @param {Object[]} records - Current plain records; with keys, just the current ones among those keys
+     * @param {Iterable<string>} [keys] - The only records that can have changed (see keysToCheck());
+     *   a key without a record was deleted. Omit to compare every record.
+     * @returns {CollectionChange} - Records to put and keys to delete
+     */
+    diff(records, keys = null) {
+        const next = new Map();
+        const put = [];
+
+        records.forEach(record => {
+            const key = record[this.keyPath];
+            const json = JSON.stringify(record);
+            next.set(key, json);
+            if (this.snapshot.get(key) !== json) {
+                put.push(record);
+            }
+        });
+
+        const candidates = keys ? [...keys].filter(key => this.snapshot.has(key)) : [...this.snapshot.keys()];
+        const deleted = candidates.filter(key => !next.has(key));
+        const change = { put, delete: deleted };
+
+        if (this.checkConflicts) {
+            change.expected = {};
+            put.forEach(record => {
+                const key = record[this.keyPath];
+                change.expected[key] = this.snapshot.has(key) ? this.snapshot.get(key) : null;
+            });
+            deleted.forEach(key => {
+                change.expected[key] = this.snapshot.get(key);
+            });
+        }
+
+        if (keys) {
+            next.forEach((json, key) => this.snapshot.set(key, json));
+            deleted.forEach(key => this.snapshot.delete(key));
+            [...keys].forEach(key => this.unsaved.delete(key));
+        } else {
+            this.snapshot = next;
+            this.unsaved.clear();
+        }
+        return change;
+    }
+
+    /**
+     * Treat records written elsewhere (another tab, a conflict winner) as persisted
+     * @param {CollectionChange} change - Change that is now in storage
+     */
+    accept(change) {
+        if (change.clear) this.snapshot.clear();
+        (change.put || []).forEach(record => this.snapshot.set(record[this.keyPath], JSON.stringify(record)));
+        (change.delete || []).forEach(key => this.snapshot.delete(key));
+    }
+
+    /**
+     * Restore the snapshot for a change that failed to persist so the next diff writes it again
+     * @param {CollectionChange} change - Change returned by diff()
+     */
+    rollback(change) {
+        const expected = change.expected || {};
+        (change.put || []).forEach(record => {
+            const key = record[this.keyPath];
+            this.unsaved.add(key);
+            if (expected[key]) {
+                this.snapshot.set(key, expected[key]);
+            } else {
+                this.snapshot.delete(key);
+            }
+        });
+        (change.delete || []).forEach(key => {
+            this.unsaved.add(key);
+            this.snapshot.set(key, expected[key] || null);
+        });
+    }
+}
+
+/**
+ * LocalStorage Adapter
+ * Original storage layout: one JSON value per collection key. Not transactional across keys.
+ */
+class LocalStorageAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {StorageSync} [options.sync] - Announces commits to other tabs
+     */
+    constructor(options = {}) {
+        this.name = 'localstorage';
+        this.sync = options.sync || null;
+    }
+
+    async open() {
+        return this;
+    }
+
+    async getAll(name) {
+        return this.readRecords(name);
+    }
+
+    /**
+     * Read records synchronously (commit() must not yield between read and write)
+     * @param {string} name - Collection name
+     * @returns {Object[]} - Records
+     */
+    readRecords(name) {
+        const collection = getStorageCollection(name);
+
+        if (!collection.legacyKey) {
+            return STORAGE_SETTINGS_KEYS
+                .filter(key => localStorage.getItem(key) !== null)
+                .map(key => ({ key, value: JSON.parse(localStorage.getItem(key)) }));
+        }
+
+        const raw = localStorage.getItem(collection.legacyKey);
+        return raw ? collection.fromLegacy(JSON.parse(raw)) : [];
+    }
+
+    /**
+     * Apply changes to one or more collections
+     * @param {Object<string, CollectionChange>} changes - Changes keyed by collection name
+     * @returns {Promise<StorageCommitResult>}
+     */
+    async commit(changes) {
+        const conflicts = [];
+        const written = {};
+
+        Object.entries(changes).forEach(([name, change]) => {
+            if (!hasStorageChanges(change)) return;
+            const collection = getStorageCollection(name);
+            const keyPath = collection.keyPath;
+            let records = change.clear ? [] : this.readRecords(name);
+            const current = new Map(records.map(r => [r[keyPath], r]));
+
+            const isCurrent = (key, local) => {
+                if (matchesExpectedRecord(change, key, current.get(key))) return true;
+                conflicts.push({ collection: name, key, local, remote: current.get(key) || null });
+                return false;
+            };
+            const put = (change.put || []).filter(r => isCurrent(r[keyPath], r));
+            const deletedKeys = (change.delete || []).filter(key => isCurrent(key, null));
+            written[name] = { clear: !!change.clear, put, delete: deletedKeys };
+
+            if (!collection.legacyKey) {
+                if (change.clear) STORAGE_SETTINGS_KEYS.forEach(key => localStorage.removeItem(key));
+                put.forEach(r => localStorage.setItem(r.key, JSON.stringify(r.value)));
+                deletedKeys.forEach(key => localStorage.removeItem(key));
+                return;
+            }
+
+            const puts = new Map(put.map(r => [r[keyPath], r]));
+
+            // Replace existing records in place; new records go first (newest-first, like addTask)
+            records = records.map(r => puts.has(r[keyPath]) ? puts.get(r[keyPath]) : r);
+            const added = put.filter(r => !current.has(r[keyPath]));
+            const deleted = new Set(deletedKeys);
+
+            records = [...added, ...records].filter(r => !deleted.has(r[keyPath]));
+            localStorage.setItem(collection.legacyKey, JSON.stringify(collection.toLegacy(records)));
+        });
+
+        if (this.sync) this.sync.publish(written);
+        return { conflicts };
+    }
+
+    async clearAll() {
+        const changes = {};
+        Object.keys(STORAGE_COLLECTIONS).forEach(name => {
+            changes[name] = { clear: true };
+        });
+        return this.commit(changes);
+    }
+
+    async getLegacyValue(name) {
+        return getStorageCollection(name).toLegacy(await this.getAll(name));
+    }
+
+    async setLegacyValue(name, value) {
+        return this.commit({ [name]: { clear: true, put: getStorageCollection(name).fromLegacy(value) } });
+    }
+}
+
+/**
+ * IndexedDB Adapter
+ * One object store per collection, one record per task/project/note/tag/section.
+ */
+class IndexedDBAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName] - Database name
+     * @param {StorageSync} [options.sync] - Announces commits to other tabs
+     */
+    constructor(options = {}) {
+        this.name = 'indexeddb';
+        this.dbName = options.dbName || STORAGE_DB_NAME;
+        this.sync = options.sync || null;
+        this.db = null;
+    }
+
+    /**
+     * Check whether IndexedDB can be used in this browser
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, STORAGE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORAGE_COLLECTIONS).forEach(([name, collection]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: collection.keyPath });
+                    }
+                });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer version in another tab upgrade the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    Logger.warn('IndexedDBAdapter: Database upgraded in another tab, reload to continue saving');
+                };
+                resolve(this);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => Logger.warn('IndexedDBAdapter: Open blocked by another tab');
+        });
+    }
+
+    getAll(name) {
+        getStorageCollection(name);
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(name, 'readonly').objectStore(name).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Apply changes to one or more collections in a single transaction
+     * @param {Object<string, CollectionChange>} changes - Changes keyed by collection name
+     * @returns {Promise<StorageCommitResult>}
+     */
+    commit(changes) {
+        const names = Object.keys(changes).filter(name => hasStorageChanges(changes[name]));
+        if (names.length === 0) return Promise.resolve({ conflicts: [] });
+        names.forEach(getStorageCollection);
+
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('IndexedDB connection is closed'));
+                return;
+            }
+
+            const conflicts = [];
+            const written = {};
+            const transaction = this.db.transaction(names, 'readwrite');
+
+            names.forEach(name => {
+                const store = transaction.objectStore(name);
+                const change = changes[name];
+                const keyPath = STORAGE_COLLECTIONS[name].keyPath;
+                const result = written[name] = { clear: !!change.clear, put: [], delete: [] };
+
+                // Versioned writes read the stored record first, inside the same transaction
+                const write = (key, local, apply) => {
+                    if (!change.expected || !(key in change.expected)) {
+                        apply();
+                        return;
+                    }
+                    const request = store.get(key);
+                    request.onsuccess = () => {
+                        if (matchesExpectedRecord(change, key, request.result)) {
+                            apply();
+                        } else {
+                            conflicts.push({ collection: name, key, local, remote: request.result || null });
+                        }
+                    };
+                };
+
+                if (change.clear) store.clear();
+                (change.put || []).forEach(record => write(record[keyPath], record, () => {
+                    store.put(record);
+                    result.put.push(record);
+                }));
+                (change.delete || []).forEach(key => write(key, null, () => {
+                    store.delete(key);
+                    result.delete.push(key);
+                }));
+            });
+
+            transaction.oncomplete = () => {
+                if (this.sync) this.sync.publish(written);
+                resolve({ conflicts });
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    clearAll() {
+        const changes = {};
+        Object.keys(STORAGE_COLLECTIONS).forEach(name => {
+            changes[name] = { clear: true };
+        });
+        return this.commit(changes);
+    }
+
+    async getLegacyValue(name) {
+        return getStorageCollection(name).toLegacy(await this.getAll(name));
+    }
+
+    setLegacyValue(name, value) {
+        return this.commit({ [name]: { clear: true, put: getStorageCollection(name).fromLegacy(value) } });
+    }
+}
+
+/**
+ * Unavailable Storage Adapter
+ * Used when the data was moved to IndexedDB but IndexedDB can't be opened. Reads return nothing
+ * and writes are refused: falling back to localStorage would show stale or empty data and save
+ * changes where the IndexedDB data would never see them.
+ */
+class UnavailableStorageAdapter {
+    /**
+     * @param {Error|null} [error] - Why IndexedDB couldn't be opened
+     */
+    constructor(error = null) {
+        this.name = 'unavailable';
+        this.readOnly = true;
+        this.error = error;
+        this.sync = null;
+    }
+
+    async open() {
+        return this;
+    }
+
+    async getAll(name) {
+        getStorageCollection(name);
+        return [];
+    }
+
+    async commit(changes) {
+        if (!Object.values(changes).some(hasStorageChanges)) return { conflicts: [] };
+        throw new Error('Storage unavailable: changes were not saved');
+    }
+
+    async clearAll() {
+        throw new Error('Storage unavailable: nothing was cleared');
+    }
+
+    async getLegacyValue(name) {
+        return getStorageCollection(name).toLegacy([]);
+    }
+
+    async setLegacyValue() {
+        throw new Error('Storage unavailable: changes were not saved');
+    }
+}
+
+/**
+ * Cover the page with a notice that data can't be loaded or saved
+ * Blocks the page so nothing is edited that couldn't be saved; reloading tries IndexedDB again.
+ */
+function showStorageUnavailable() {
+    const show = () => {
+        if (document.querySelector('.storage-unavailable')) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'storage-unavailable';
+        overlay.setAttribute('role', 'alertdialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'storageUnavailableTitle');
+        overlay.innerHTML = `
+            <div class="modal-content">
+                <h2 class="modal-title" id="storageUnavailableTitle">Storage unavailable</h2>
+                <p class="modal-message">Your data is kept in this browser's database, which can't be opened right now, so nothing can be shown or saved. Close other DashFlow tabs and reload the page to try again.</p>
+                <div class="modal-buttons">
+                    <button type="button" class="modal-btn primary">Reload</button>
+                </div>
+            </div>
+        `;
+        overlay.querySelector('button').addEventListener('click', () => window.location.reload());
+        document.body.appendChild(overlay);
+        overlay.querySelector('button').focus();
+    };
+
+    if (document.body) {
+        show();
+    } else {
+        document.addEventListener('DOMContentLoaded', show, { once: true });
+    }
+}
+
+/**
+ * Copy the legacy localStorage keys into another adapter, once
+ * Keys are removed only after the copy has committed, freeing the localStorage quota.
+ * A key that cannot be parsed is left in place rather than lost.
+ * @param {Object} adapter - Target adapter
+ * @param {LocalStorageAdapter} [legacy] - Source adapter
+ * @returns {Promise<boolean>} - True if a migration ran
+ */
+async function migrateLocalStorageToAdapter(adapter, legacy = new LocalStorageAdapter()) {
+    if (localStorage.getItem(STORAGE_MIGRATION_FLAG)) return false;
+
+    const changes = {};
+    Object.keys(STORAGE_COLLECTIONS).forEach(name => {
+        try {
+            const records = legacy.readRecords(name);
+            if (records.length > 0) {
+                changes[name] = { put: records };
+            }
+        } catch (error) {
+            Logger.error('Storage migration: Could not read', name, '- leaving it in localStorage', error);
+        }
+    });
+
+    await adapter.commit(changes);
+
+    Object.keys(changes).forEach(name => {
+        const collection = STORAGE_COLLECTIONS[name];
+        if (collection.legacyKey) {
+            localStorage.removeItem(collection.legacyKey);
+        } else {
+            changes[name].put.forEach(r => localStorage.removeItem(r.key));
+        }
+    });
+    localStorage.setItem(STORAGE_MIGRATION_FLAG, new Date().toISOString());
+
+    Logger.info('Storage migration: Moved', Object.keys(changes).join(', ') || 'nothing', 'to', adapter.name);
+    return true;
+}
+
+/**
+ * Open the best available storage adapter
+ * Falls back to localStorage (the original behavior) if IndexedDB cannot be opened or migrated,
+ * unless the data was already moved to IndexedDB: then the page is blocked and nothing is saved.
+ * @returns {Promise<Object>} - Ready adapter
+ */
+async function initStorage() {
+    let failure = null;
+
+    if (IndexedDBAdapter.isSupported()) {
+        try {
+            const adapter = await new IndexedDBAdapter({ sync: window.storageSync }).open();
+            await migrateLocalStorageToAdapter(adapter);
+            Logger.debug('Storage: Using IndexedDB');
+            return adapter;
+        } catch (error) {
+            failure = error;
+            Logger.error('Storage: IndexedDB unavailable', error);
+        }
+    }
+
+    if (localStorage.getItem(STORAGE_MIGRATION_FLAG)) {
+        Logger.error('Storage: Data was migrated to IndexedDB, which cannot be opened; saving is disabled');
+        showStorageUnavailable();
+        return new UnavailableStorageAdapter(failure).open();
+    }
+
+    if (failure && window.errorHandler) {
+        window.errorHandler.handleError(failure, 'storage', {
+            operation: 'open_indexeddb'
+        });
+    }
+
+    Logger.debug('Storage: Using localStorage');
+    return new LocalStorageAdapter({ sync: window.storageSync }).open();
+}
+
+/**
+ * Remove all data from the active adapter and localStorage
+ * @returns {Promise<void>}
+ */
+async function clearAllStorage() {
+    try {
+        const adapter = await storageReady;
+        await adapter.clearAll();
+    } catch (error) {
+        Logger.error('Storage: Error clearing adapter', error);
+    }
+    localStorage.clear();
+}
+
+// Shared adapter for every manager on the page
+const storageReady = initStorage();
+
+// Export to global scope
+window.storageReady = storageReady;
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.IndexedDBAdapter = IndexedDBAdapter;
+window.UnavailableStorageAdapter = UnavailableStorageAdapter;
+window.RecordChangeTracker = RecordChangeTracker;
+window.STORAGE_COLLECTIONS = STORAGE_COLLECTIONS;
+window.migrateLocalStorageToAdapter = migrateLocalStorageToAdapter;
+window.clearAllStorage = clearAllStorage;
+
+Logger.debug('storage-adapter.js loaded');
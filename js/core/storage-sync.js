@@ -0,0 +1,152 @@
+/**
+ * Storage Sync
+ * Broadcasts committed storage changes to other open tabs so they can update their in-memory
+ * models. Uses BroadcastChannel, falling back to `storage` events on a message key.
+ */
+
+const STORAGE_SYNC_CHANNEL = 'dashflow-storage';
+const STORAGE_SYNC_MESSAGE_KEY = 'storageSyncMessage';
+
+class StorageSync {
+    /**
+     * @param {string} [channelName] - Channel shared by all tabs of the app
+     */
+    constructor(channelName = STORAGE_SYNC_CHANNEL) {
+        this.tabId = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.listeners = [];
+        this.channel = null;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.onmessage = (e) => this.receive(e.data);
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === STORAGE_SYNC_MESSAGE_KEY && e.newValue) {
+                    this.receive(JSON.parse(e.newValue));
+                }
+            });
+        }
+    }
+
+    /**
+     * Tell other tabs about a committed change set
+     * @param {Object<string, CollectionChange>} changes - Changes keyed by collection name
+     */
+    publish(changes) {
+        const payload = {};
+        Object.entries(changes).forEach(([name, change]) => {
+            if (change.clear || change.put.length > 0 || change.delete.length > 0) {
+                payload[name] = { clear: !!change.clear, put: change.put, delete: change.delete };
+            }
+        });
+        if (Object.keys(payload).length === 0) return;
+
+        const message = { source: this.tabId, changes: payload };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                localStorage.setItem(STORAGE_SYNC_MESSAGE_KEY, JSON.stringify(message));
+                localStorage.removeItem(STORAGE_SYNC_MESSAGE_KEY);
+            }
+        } catch (error) {
+            Logger.error('StorageSync: Could not broadcast changes', error);
+        }
+    }
+
+    /**
+     * Listen for changes committed by other tabs
+     * Messages that arrive before `ready` settles are queued so nothing is lost while loading.
+     * @param {Function} listener - Called with the change set
+     * @param {Promise} [ready] - Resolves when the listener's model has loaded
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener, ready = Promise.resolve()) {
+        const queued = [];
+        let active = false;
+        const entry = changes => active ? listener(changes) : queued.push(changes);
+
+        this.listeners.push(entry);
+        ready.then(() => {
+            active = true;
+            queued.splice(0).forEach(listener);
+        });
+
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== entry);
+        };
+    }
+
+    receive(message) {
+        if (!message || message.source === this.tabId || !message.changes) return;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(message.changes);
+            } catch (error) {
+                Logger.error('StorageSync: Error applying changes from another tab', error);
+            }
+        });
+    }
+
+    close() {
+        if (this.channel) this.channel.close();
+        this.listeners = [];
+    }
+}
+
+/**
+ * Apply a collection change to an array of in-memory models
+ * Replaced records keep their position; new records are added first.
+ * @param {Object[]} items - Current models
+ * @param {CollectionChange} change - Change to apply
+ * @param {string} keyPath - Record key field
+ * @param {Function} create - Builds a model from a plain record
+ * @returns {Object[]} - Updated models
+ */
+function applyRecordChanges(items, change, keyPath, create) {
+    let result = change.clear ? [] : [...items];
+    const deleted = new Set(change.delete || []);
+
+    (change.put || []).forEach(record => {
+        const index = result.findIndex(item => item[keyPath] === record[keyPath]);
+        if (index === -1) {
+            result.unshift(create(record));
+        } else {
+            result[index] = create(record);
+        }
+    });
+
+    return result.filter(item => !deleted.has(item[keyPath]));
+}
+
+/**
+ * Turn conflicts into change sets holding one side's version of each record
+ * @param {StorageConflict[]} conflicts - Conflicts reported by a storage adapter
+ * @param {string} side - 'local' (this tab's write) or 'remote' (the stored record)
+ * @returns {Object<string, CollectionChange>} - Changes keyed by collection name
+ */
+function groupStorageConflicts(conflicts, side) {
+    const changes = {};
+    conflicts.forEach(conflict => {
+        const change = changes[conflict.collection] = changes[conflict.collection] || { put: [], delete: [] };
+        if (conflict[side]) {
+            change.put.push(conflict[side]);
+        } else {
+            change.delete.push(conflict.key);
+        }
+    });
+    return changes;
+}
+
+// Shared channel for every adapter on the page
+const storageSync = new StorageSync();
+
+// Export to global scope
+window.storageSync = storageSync;
+window.StorageSync = StorageSync;
+window.applyRecordChanges = applyRecordChanges;
+window.groupStorageConflicts = groupStorageConflicts;
+
+Logger.debug('storage-sync.js loaded');
@@ -0,0 +1,42 @@
+/**
+ * Trash Settings
+ * How long deleted tasks, projects and notes stay in the Trash before they are purged.
+ * Shared by the task manager (todo.js) and the notes modal (notes-ui.js).
+ */
+
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Choices offered in the Trash view; 0 keeps items until the Trash is emptied
+const TRASH_RETENTION_OPTIONS = [7, 14, 30, 60, 90, 0];
+
+/**
+ * Get the configured retention period
+ * @returns {number} Days to keep trashed items (0 = forever)
+ */
+function getTrashRetentionDays() {
+    const days = parseInt(localStorage.getItem(TRASH_RETENTION_KEY), 10);
+    return TRASH_RETENTION_OPTIONS.includes(days) ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Set the retention period
+ * @param {number} days - One of TRASH_RETENTION_OPTIONS
+ * @returns {boolean} True if the value was saved
+ */
+function setTrashRetentionDays(days) {
+    if (!TRASH_RETENTION_OPTIONS.includes(days)) {
+        Logger.warn('Invalid trash retention period:', days);
+        return false;
+    }
+
+    localStorage.setItem(TRASH_RETENTION_KEY, String(days));
+    return true;
+}
+
+// Export to global scope
+window.TRASH_RETENTION_OPTIONS = TRASH_RETENTION_OPTIONS;
+window.getTrashRetentionDays = getTrashRetentionDays;
+window.setTrashRetentionDays = setTrashRetentionDays;
+
+Logger.debug('trash-settings.js loaded');
@@ -19,6 +19,8 @@ const backupSettingsBtn = document.getElementById('backupSettingsBtn');
 
 // State management
 let links;
+let linksStorage;
+let linksTracker;
 let history = [];
 let username;
 let debounceTimer;
@@ -52,23 +54,38 @@ const validateUrl = (url) => {
     }
 };
 
-// Initialize application state from localStorage with error handling
-const initializeState = () => {
+// Drop any link with an unsafe URL; names are stored raw and escaped at render time.
+const sanitizeLinks = (value) => {
+    const result = {};
+    for (const section in value) {
+        result[section] = value[section].map(link => ({
+            name: typeof link.name === 'string' ? link.name : '',
+            url: validateUrl(link.url) ? link.url : '#',
+            favorite: !!link.favorite
+        }));
+    }
+    return result;
+};
+
+// Initialize application state from storage with error handling
+const initializeState = async () => {
+    linksStorage = await window.storageReady;
+    linksTracker = new RecordChangeTracker('section');
+
     try {
-        links = JSON.parse(localStorage.getItem('links')) || {};
-        // Drop any link with an unsafe URL; names are stored raw and escaped at render time.
-        for (const section in links) {
-            links[section] = links[section].map(link => ({
-                name: typeof link.name === 'string' ? link.name : '',
-                url: validateUrl(link.url) ? link.url : '#',
-                favorite: !!link.favorite
-            }));
-        }
+        const records = await linksStorage.getAll('links');
+        linksTracker.reset(records);
+        links = sanitizeLinks(STORAGE_COLLECTIONS.links.toLegacy(records));
     } catch (e) {
-        Logger.error('Error parsing links from localStorage:', e);
+        Logger.error('Error loading links from storage:', e);
         links = {};
     }
 
+    // Follow link changes saved by other tabs
+    if (linksStorage.sync) {
+        linksStorage.sync.subscribe(applyRemoteLinks);
+    }
+
     try {
         username = localStorage.getItem('username') || 'User';
     } catch (e) {
@@ -78,10 +95,85 @@ const initializeState = () => {
 };
 
 // Initialize application state
-const initializeApp = () => {
-    initializeState();
+const initializeApp = async () => {
+    await initializeState();
 };
 
+/**
+ * Merge link section records into the in-memory links
+ * @param {CollectionChange} change - Section records to put or delete
+ */
+function mergeLinkRecords(change) {
+    const records = applyRecordChanges(STORAGE_COLLECTIONS.links.fromLegacy(links), change, 'section', r => r);
+    links = sanitizeLinks(STORAGE_COLLECTIONS.links.toLegacy(records));
+}
+
+/**
+ * Apply link changes another tab saved to storage
+ * @param {Object<string, CollectionChange>} changes - Changes keyed by collection name
+ */
+function applyRemoteLinks(changes) {
+    if (!changes.links) return;
+
+    mergeLinkRecords(changes.links);
+    linksTracker.accept(changes.links);
+    updateSectionDropdown();
+    renderLinks();
+
+    const sections = [...(changes.links.put || []).map(r => r.section), ...(changes.links.delete || [])];
+    emitLinkEvent('links:synced', { sections });
+}
+
+/**
+ * Publish a link domain event on the shared event bus (catalogue in event-bus.js)
+ * @param {string} event - Event name, e.g. 'link:added'
+ * @param {Object} [data] - Event payload
+ */
+function emitLinkEvent(event, data) {
+    if (window.eventBus) {
+        window.eventBus.emit(event, data);
+    }
+}
+
+/**
+ * Keep the other tab's version of sections edited in two tabs at once, unless the user keeps theirs
+ * @param {StorageConflict[]} conflicts - Conflicts reported by the storage adapter
+ */
+function handleLinkConflicts(conflicts) {
+    applyRemoteLinks(groupStorageConflicts(conflicts, 'remote'));
+
+    const sections = conflicts.map(c => c.key).join(', ');
+    showModal(
+        'Changed in Another Tab',
+        `${sections} was changed in another tab at the same time. Keep your version instead?`,
+        () => {
+            mergeLinkRecords(groupStorageConflicts(conflicts, 'local').links);
+            updateSectionDropdown();
+            renderLinks();
+            saveState();
+        },
+        () => {
+            // Keep the other tab's version
+        }
+    );
+}
+
+/**
+ * Write changed link sections to storage
+ * @returns {Promise<void>}
+ */
+function persistLinks() {
+    const change = linksTracker.diff(STORAGE_COLLECTIONS.links.fromLegacy(links));
+    return linksStorage.commit({ links: change }).then(result => {
+        if (result.conflicts.length > 0) {
+            handleLinkConflicts(result.conflicts);
+        }
+    }, e => {
+        linksTracker.rollback(change);
+        throw e;
+    });
+}
+
 // Custom modal dialog functions
 // Modal showModal function now provided by modal-manager.js
 
@@ -109,17 +201,16 @@ function changeUsername() {
 function saveState() {
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
-        try {
-            history.push(JSON.stringify(links));
-            localStorage.setItem('links', JSON.stringify(links));
-            undoBtn.classList.add('active');
-            if (menuUndoBtn) menuUndoBtn.disabled = false;
-            // Auto-export disabled - uncomment to enable
-            // exportBookmarks(true).catch(e => {
-            //     console.error('Auto-export failed:', e);
-            // });
-        } catch (e) {
-            Logger.error('Error saving to localStorage:', e);
+        history.push(JSON.stringify(links));
+        undoBtn.classList.add('active');
+        if (menuUndoBtn) menuUndoBtn.disabled = false;
+        // Auto-export disabled - uncomment to enable
+        // exportBookmarks(true).catch(e => {
+        //     console.error('Auto-export failed:', e);
+        // });
+
+        persistLinks().catch(e => {
+            Logger.error('Error saving links to storage:', e);
             if (window.errorHandler) {
                 window.errorHandler.handleError(e, 'storage', {
                     operation: 'save_links',
@@ -128,7 +219,7 @@ function saveState() {
             } else {
                 alert('Failed to save changes. Please ensure you have enough storage space.');
             }
-        }
+        });
     }, 300);
 }
 
@@ -225,6 +316,7 @@ function renderLinks(filter = '') {
                     links[toSection].splice(newIndex, 0, movedLink);
                 }
                 saveState();
+                emitLinkEvent('links:reordered');
                 renderLinks(); // Re-render to update favorites
             }
         });
@@ -245,6 +337,7 @@ function renderLinks(filter = '') {
             });
             links = newLinks;
             saveState();
+            emitLinkEvent('links:reordered');
         }
     });
 
@@ -306,6 +399,7 @@ function addSection(event) {
         }
         links[result.value] = [];
         saveState();
+        emitLinkEvent('section:added', { section: result.value });
         updateSectionDropdown();
         renderLinks();
         addSectionForm.reset();
@@ -353,8 +447,10 @@ function addLink(event) {
             return;
         }
 
-        links[section].push({ name, url, favorite: false });
+        const link = { name, url, favorite: false };
+        links[section].push(link);
         saveState();
+        emitLinkEvent('link:added', { section, link });
         renderLinks();
         addLinkForm.reset();
     } catch (e) {
@@ -394,6 +490,7 @@ function editLink(section, index) {
 
         links[section][index] = { ...link, name, url };
         saveState();
+        emitLinkEvent('link:updated', { section, link: links[section][index], previous: link });
         renderLinks();
     } catch (e) {
         Logger.error('Error editing link:', e);
@@ -407,11 +504,12 @@ function deleteLink(section, index) {
         'Are you sure you want to delete this link?',
         // Yes callback
         () => {
-            links[section].splice(index, 1);
+            const [link] = links[section].splice(index, 1);
             if (links[section].length === 0) {
                 delete links[section];
             }
             saveState();
+            emitLinkEvent('link:deleted', { section, link });
             renderLinks();
             updateSectionDropdown();
         },
@@ -423,8 +521,10 @@ function deleteLink(section, index) {
 }
 
 function toggleFavorite(section, index) {
-    links[section][index].favorite = !links[section][index].favorite;
+    const previous = links[section][index];
+    links[section][index] = { ...previous, favorite: !previous.favorite };
     saveState();
+    emitLinkEvent('link:updated', { section, link: links[section][index], previous });
     renderLinks();
 }
 
@@ -439,6 +539,7 @@ function deleteSection(section) {
             () => {
                 delete links[section];
                 saveState();
+                emitLinkEvent('section:deleted', { section });
                 renderLinks();
                 updateSectionDropdown();
             },
@@ -467,6 +568,7 @@ function editSection(section) {
         links[result.value] = links[section];
         delete links[section];
         saveState();
+        emitLinkEvent('section:renamed', { section: result.value, previous: section });
         renderLinks();
         updateSectionDropdown();
     } catch (e) {
@@ -576,9 +678,17 @@ function undo() {
     if (history.length > 1) {
         history.pop(); // Remove current state
         links = JSON.parse(history[history.length - 1]);
-        localStorage.setItem('links', JSON.stringify(links));
+        persistLinks().catch(e => {
+            Logger.error('Error saving links to storage:', e);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(e, 'storage', {
+                    operation: 'undo_links'
+                });
+            }
+        });
         updateSectionDropdown();
         renderLinks();
+        emitLinkEvent('links:restored');
     }
     if (history.length <= 1) {
         undoBtn.classList.remove('active');
@@ -864,9 +974,10 @@ menuClearBtn.addEventListener('click', () => {
         'Are you sure you want to clear all dashboard data? This action cannot be undone.',
         // Yes callback
         () => {
-            localStorage.clear();
-            alert('Local storage has been cleared.');
-            location.reload();
+            clearAllStorage().then(() => {
+                alert('Local storage has been cleared.');
+                location.reload();
+            });
         },
         // No callback
         () => {
@@ -886,14 +997,14 @@ helpBtn.addEventListener('click', () => {
 });
 
 // Initialize modal state when page loads
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Make sure modal is hidden initially by forcing display: none
     const modal = document.getElementById('customModal');
     if (modal) {
         modal.style.display = 'none';
     }
 
-    initializeApp();
+    await initializeApp();
     initializePage();
 
     // Only show import reminder after a short delay to prevent flashing during navigation
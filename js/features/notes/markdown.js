@@ -0,0 +1,399 @@
+/**
+ * Markdown Renderer
+ * Turns note content into HTML for the Quick Notes preview, the notes list and global search.
+ * Supports headings, paragraphs, bold, italic, strikethrough, inline code, fenced code blocks,
+ * links, bullet, numbered and checkbox lists (nested by indentation), blockquotes, tables,
+ * horizontal rules and [[wiki links]] (resolved afterwards by WikiLinks.decorate()).
+ *
+ * Text is escaped before any markup is added, and the finished HTML goes through
+ * InputValidator.sanitizeRichHtml(), which keeps only the tags and attributes produced here and
+ * links that pass validateUrl(), so note content can never inject script.
+ */
+
+// A bullet or numbered list item: indentation, marker, text
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+// A checkbox at the start of a list item's text
+const MARKDOWN_TASK = /^\[([ xX])\]\s+(.*)$/;
+
+// The line under a table's header row, e.g. | --- | :---: | ---: |
+const MARKDOWN_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const MarkdownRenderer = {
+    // Characters of note text shown in the notes list and search previews
+    PREVIEW_LENGTH: 120,
+
+    /**
+     * Render Markdown as sanitized HTML
+     * Checkboxes carry the index of their source line in data-line, so the preview can toggle them.
+     * @param {string} markdown
+     * @returns {string} HTML
+     */
+    render(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        return window.inputValidator.sanitizeRichHtml(this.renderBlocks(lines, 0));
+    },
+
+    /**
+     * Render the start of a note on one line, keeping inline formatting
+     * Headings, quotes and table rows become plain text, list items get a bullet or checkbox
+     * symbol, and links show only their text (previews sit inside clickable items).
+     * @param {string} markdown
+     * @param {number} [maxLength] - Characters of text to show before cutting off with "…"
+     * @returns {string} HTML, empty if the note has no text
+     */
+    renderPreview(markdown, maxLength = this.PREVIEW_LENGTH) {
+        const parts = [];
+        let length = 0;
+        let inFence = false;
+
+        for (const line of String(markdown || '').split(/\r\n?|\n/)) {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                continue;
+            }
+            if (!line.trim() || (!inFence && (this.isRule(line) || MARKDOWN_TABLE_SEPARATOR.test(line)))) continue;
+
+            let { prefix, text } = inFence ? { prefix: '', text: `\`${line.trim()}\`` } : this.getPreviewLine(line);
+            const plainLength = this.toPlainText(text).length;
+            const cut = length + plainLength > maxLength;
+            if (cut) {
+                text = text.slice(0, Math.max(maxLength - length, 0)).replace(/\s+\S*$/, '') + '…';
+            }
+
+            parts.push(prefix + this.renderInline(text, { links: false }));
+            length += plainLength;
+            if (cut) break;
+        }
+
+        return window.inputValidator.sanitizeRichHtml(parts.join(' '));
+    },
+
+    /**
+     * Get the text of a line for previews
+     * @param {string} line - A line outside code blocks
+     * @returns {{prefix: string, text: string}} - prefix is a symbol (HTML), text is inline Markdown
+     */
+    getPreviewLine(line) {
+        const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+        if (heading) return { prefix: '', text: heading[1] };
+
+        const item = line.match(MARKDOWN_LIST_ITEM);
+        if (item) {
+            const task = item[3].match(MARKDOWN_TASK);
+            return task
+                ? { prefix: task[1] === ' ' ? '☐ ' : '☑ ', text: task[2] }
+                : { prefix: '• ', text: item[3] };
+        }
+
+        if (/^\s{0,3}>/.test(line)) return { prefix: '', text: line.replace(/^\s{0,3}(>\s?)+/, '') };
+        if (line.includes('|')) return { prefix: '', text: this.splitTableRow(line).join(' · ') };
+        return { prefix: '', text: line.trim() };
+    },
+
+    /**
+     * Strip inline Markdown, leaving the text a reader sees
+     * @param {string} text - Inline Markdown
+     * @returns {string}
+     */
+    toPlainText(text) {
+        return text
+            .replace(/\[\[(?:(?:note|task|link):)?([^[\]\n]+?)\]\]/gi, '$1')
+            .replace(/\[([^\]]*)\]\([^)\s]*\)/g, '$1')
+            .replace(/\\([\\`*_{}[\]()#+\-.!~|>])/g, '$1')
+            .replace(/(\*\*|__|~~|[*_`])/g, '');
+    },
+
+    /**
+     * Render lines as block elements
+     * @param {string[]} lines - Lines of Markdown
+     * @param {number} offset - Index of the first line in the note, for checkbox data-line
+     * @returns {string} HTML (not yet sanitized)
+     */
+    renderBlocks(lines, offset) {
+        const escape = text => window.inputValidator.escapeHtml(text);
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)/);
+            if (fence) {
+                const close = lines.findIndex((l, j) => j > i && l.trim().startsWith(fence[1]));
+                const end = close === -1 ? lines.length : close;
+                const language = fence[2] ? ` class="language-${escape(fence[2])}"` : '';
+                html.push(`<pre><code${language}>${escape(lines.slice(i + 1, end).join('\n'))}</code></pre>`);
+                i = end + 1;
+                continue;
+            }
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (this.isRule(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}>/.test(line)) {
+                const start = i;
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) i++;
+                const quoted = lines.slice(start, i).map(l => l.replace(/^\s{0,3}>\s?/, ''));
+                html.push(`<blockquote>${this.renderBlocks(quoted, offset + start)}</blockquote>`);
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const table = this.renderTable(lines, i);
+                html.push(table.html);
+                i = table.next;
+                continue;
+            }
+
+            if (MARKDOWN_LIST_ITEM.test(line)) {
+                const list = this.renderList(lines, i, offset);
+                html.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or another block; line breaks are kept
+            const start = i;
+            do {
+                i++;
+            } while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i));
+            html.push(`<p>${lines.slice(start, i).map(l => this.renderInline(l.trim())).join('<br>')}</p>`);
+        }
+
+        return html.join('');
+    },
+
+    /**
+     * @param {string} line
+     * @returns {boolean} True for a horizontal rule (---, *** or ___)
+     */
+    isRule(line) {
+        return /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line);
+    },
+
+    /**
+     * Check whether a line starts a block that ends a paragraph
+     * @param {string[]} lines
+     * @param {number} i
+     * @returns {boolean}
+     */
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return /^\s*(```|~~~)/.test(line) ||
+            /^\s{0,3}#{1,6}\s/.test(line) ||
+            /^\s{0,3}>/.test(line) ||
+            this.isRule(line) ||
+            MARKDOWN_LIST_ITEM.test(line) ||
+            this.isTableStart(lines, i);
+    },
+
+    /**
+     * @param {string[]} lines
+     * @param {number} i
+     * @returns {boolean} True if a table header row and its separator start at line i
+     */
+    isTableStart(lines, i) {
+        return i + 1 < lines.length &&
+            lines[i].includes('|') &&
+            lines[i + 1].includes('-') &&
+            MARKDOWN_TABLE_SEPARATOR.test(lines[i + 1]);
+    },
+
+    /**
+     * Split a table row into cell texts; \| is a pipe inside a cell
+     * @param {string} line
+     * @returns {string[]}
+     */
+    splitTableRow(line) {
+        return line.trim()
+            .replace(/^\|/, '')
+            .replace(/(^|[^\\])\|$/, '$1')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    },
+
+    /**
+     * Render a table starting at its header row
+     * @param {string[]} lines
+     * @param {number} start - Header row
+     * @returns {{html: string, next: number}} - next is the first line after the table
+     */
+    renderTable(lines, start) {
+        const header = this.splitTableRow(lines[start]);
+        const aligns = this.splitTableRow(lines[start + 1]).map(cell => {
+            if (/^:-+:$/.test(cell)) return 'center';
+            if (/^-+:$/.test(cell)) return 'right';
+            if (/^:-+$/.test(cell)) return 'left';
+            return null;
+        });
+        const cell = (tag, text, index) => {
+            const align = aligns[index] ? ` align="${aligns[index]}"` : '';
+            return `<${tag}${align}>${this.renderInline(text)}</${tag}>`;
+        };
+
+        let i = start + 2;
+        const rows = [];
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            const cells = this.splitTableRow(lines[i]);
+            rows.push(`<tr>${header.map((_, index) => cell('td', cells[index] || '', index)).join('')}</tr>`);
+            i++;
+        }
+
+        return {
+            html: `<table><thead><tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr></thead>` +
+                `<tbody>${rows.join('')}</tbody></table>`,
+            next: i
+        };
+    },
+
+    /**
+     * Render a list starting at its first item
+     * Items at the list's indentation with the same kind of marker continue it; more deeply
+     * indented lines belong to the item above (nested lists, extra paragraphs). A blank line
+     * ends the list unless the next line continues it.
+     * @param {string[]} lines
+     * @param {number} start - First item
+     * @param {number} offset - Index of lines[0] in the note
+     * @returns {{html: string, next: number}} - next is the first line after the list
+     */
+    renderList(lines, start, offset) {
+        const first = lines[start].match(MARKDOWN_LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const indentOf = line => line.match(/^\s*/)[0].length;
+        const isSibling = line => {
+            const match = line.match(MARKDOWN_LIST_ITEM);
+            return match && match[1].length === indent && /\d/.test(match[2]) === ordered;
+        };
+        const isChild = line => line.trim() && indentOf(line) > indent;
+
+        const items = [];
+        let i = start;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isSibling(line)) {
+                items.push({ line: i, text: line.match(MARKDOWN_LIST_ITEM)[3], children: [] });
+            } else if (isChild(line)) {
+                items[items.length - 1].children.push(line);
+            } else if (!line.trim() && i + 1 < lines.length && (isSibling(lines[i + 1]) || isChild(lines[i + 1]))) {
+                items[items.length - 1].children.push(line);
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        const html = items.map(item => {
+            const task = item.text.match(MARKDOWN_TASK);
+            const content = task
+                ? `<input type="checkbox" data-line="${offset + item.line}"${task[1] === ' ' ? '' : ' checked'}> ${this.renderInline(task[2])}`
+                : this.renderInline(item.text);
+
+            // Children keep their indentation relative to each other
+            const children = item.children.filter(l => l.trim());
+            const childIndent = Math.min(...children.map(indentOf));
+            const nested = children.length > 0
+                ? this.renderBlocks(item.children.map(l => l.slice(Math.min(childIndent, indentOf(l)))), offset + item.line + 1)
+                : '';
+
+            return `<li${task ? ' class="md-task-item"' : ''}>${content}${nested}</li>`;
+        }).join('');
+
+        const number = parseInt(first[2], 10);
+        const tag = ordered ? `ol${number !== 1 ? ` start="${number}"` : ''}` : 'ul';
+        const isTaskList = items.some(item => MARKDOWN_TASK.test(item.text));
+        return {
+            html: `<${tag}${isTaskList ? ' class="md-task-list"' : ''}>${html}</${ordered ? 'ol' : 'ul'}>`,
+            next: i
+        };
+    },
+
+    /**
+     * Render inline Markdown: code spans, wiki links, links, bare URLs, bold, italic and strikethrough
+     * Code and links are set aside first so their text isn't formatted; the rest is escaped
+     * before any tags are added.
+     * @param {string} text
+     * @param {{links?: boolean}} [options] - links: false shows link text without a link
+     * @returns {string} HTML (not yet sanitized)
+     */
+    renderInline(text, options = {}) {
+        const escape = value => window.inputValidator.escapeHtml(value);
+        const stash = [];
+        const hold = html => `\u0001${stash.push(html) - 1}\u0001`;
+
+        let html = text
+            .replace(/\\([\\`*_{}[\]()#+\-.!~|>])/g, (match, char) => hold(escape(char)))
+            .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escape(code)}</code>`))
+            .replace(/\[\[(?:(note|task|link):)?([^[\]\n]+?)\]\]/gi, (match, type, target) =>
+                hold(this.renderWikiLink((type || 'note').toLowerCase(), target.trim(), options)))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+                hold(this.renderLink(this.renderInline(label, { links: false }), url, options)))
+            .replace(/https?:\/\/[^\s<>"'`]+/g, match => {
+                const url = match.replace(/[.,;:!?)\]]+$/, '');
+                return hold(this.renderLink(escape(url), url, options)) + match.slice(url.length);
+            });
+
+        html = escape(html)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(^|[^*])\*(?=[^\s*])([^*]*?[^\s*])?\*(?!\*)/g, (match, before) =>
+                `${before}<em>${match.slice(before.length + 1, -1)}</em>`)
+            .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])?_(?!\w)/g, (match, before) =>
+                `${before}<em>${match.slice(before.length + 1, -1)}</em>`);
+
+        return html.replace(/\u0001(\d+)\u0001/g, (match, index) => stash[index]);
+    },
+
+    /**
+     * Render a [[wiki link]] to a note, task or dashboard link, showing its title
+     * @param {string} type - 'note', 'task' or 'link'
+     * @param {string} target - Title the reference points to
+     * @param {{links?: boolean}} options
+     * @returns {string} HTML
+     */
+    renderWikiLink(type, target, options) {
+        const label = window.inputValidator.escapeHtml(target);
+        if (options.links === false) {
+            return `<span class="md-link">${label}</span>`;
+        }
+        return `<a class="md-wiki-link" data-wiki-type="${type}" data-wiki-target="${label}">${label}</a>`;
+    },
+
+    /**
+     * Render a link, or just its text if the URL isn't a safe web address
+     * @param {string} labelHtml - Rendered link text
+     * @param {string} url
+     * @param {{links?: boolean}} options
+     * @returns {string} HTML
+     */
+    renderLink(labelHtml, url, options) {
+        if (options.links === false || !window.inputValidator.validateUrl(url)) {
+            return `<span class="md-link">${labelHtml}</span>`;
+        }
+        const href = window.inputValidator.escapeHtml(new URL(url).href);
+        return `<a href="${href}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
+};
+
+// Export to global scope
+window.MarkdownRenderer = MarkdownRenderer;
+
+Logger.debug('markdown.js loaded');
@@ -0,0 +1,318 @@
+/**
+ * Note Tasks
+ * Turns checklist lines in a note into tasks and keeps the two in step:
+ *   "- [ ] Send report friday #work"  becomes a task due friday tagged work, and the line
+ *   "- [ ] [[task:Send report]]"      links to it.
+ *
+ * Tasks remember the note they came from (Task.sourceNoteId). Ticking a linked line completes
+ * the task, and completing or reopening the task (including undo) ticks or clears the line.
+ * Creating and completing tasks needs the task manager, so this only acts on the task page;
+ * lines ticked elsewhere are applied to their tasks when the task page next loads or hears
+ * about the change from another tab.
+ */
+
+// A checklist item: indent, list marker and "[", the box, "] ", then the item text
+const NOTE_CHECKLIST_LINE = /^(\s*(?:[-*+]|\d{1,9}[.)])\s+\[)([ xX])(\]\s+)(.*)$/;
+
+// An item that is nothing but a task reference
+const NOTE_TASK_ITEM = /^\[\[task:([^[\]\n]+?)\]\]$/i;
+
+/**
+ * @typedef {Object} NoteChecklistItem
+ * @property {string} lead - Indent, list marker and "["
+ * @property {boolean} checked - Box is ticked
+ * @property {string} close - "]" and the space after it
+ * @property {string} text - Item text
+ */
+
+const NoteTasks = {
+    syncing: false, // Set while this module writes, so its own changes aren't synced back
+
+    /**
+     * Read a checklist line
+     * @param {string} line
+     * @returns {NoteChecklistItem|null} - Null for other lines
+     */
+    parseLine(line) {
+        const match = line.match(NOTE_CHECKLIST_LINE);
+        if (!match) return null;
+        return { lead: match[1], checked: match[2] !== ' ', close: match[3], text: match[4] };
+    },
+
+    /**
+     * Write a checklist line back with its box ticked or cleared
+     * @param {NoteChecklistItem} item
+     * @param {boolean} checked
+     * @returns {string}
+     */
+    formatLine(item, checked) {
+        return `${item.lead}${checked ? 'x' : ' '}${item.close}${item.text}`;
+    },
+
+    /**
+     * Get the task a checklist item links to
+     * @param {string} text - Item text
+     * @returns {string|null} - Task text from the reference, or null when the item isn't one
+     */
+    getLinkedTitle(text) {
+        const match = text.trim().match(NOTE_TASK_ITEM);
+        return match ? match[1].trim() : null;
+    },
+
+    /**
+     * Find the task a linked line of a note stands for
+     * The newest task created from the note with that text wins, so the line follows the next
+     * occurrence of a recurring task.
+     * @param {string} noteId - Note the line is in
+     * @param {string} title - Task text from the reference
+     * @param {Task[]} tasks - Tasks outside the Trash
+     * @returns {Task|null}
+     */
+    findLinkedTask(noteId, title, tasks) {
+        const target = WikiLinks.normalize(title);
+        return tasks
+            .filter(task => task.sourceNoteId === noteId && WikiLinks.normalize(task.text) === target)
+            .reduce((newest, task) => (!newest || task.createdAt > newest.createdAt ? task : newest), null);
+    },
+
+    /**
+     * Turn the open checklist items on the selected lines into tasks
+     * Dates, times, priorities, #tags, @projects and "every ..." are read like quick add. Ticked
+     * items, items that already link to a task and items whose text can't be linked (it has
+     * square brackets) are left alone.
+     * @param {string} content - Note content
+     * @param {number} start - Selection start; the whole first line is used
+     * @param {number} end - Selection end; the whole last line is used
+     * @param {string} noteId - Note the lines are in
+     * @param {TaskDataManager} manager - Adds the tasks
+     * @returns {{content: string, tasks: Task[], skipped: number}} - Content with the items linked
+     */
+    convertLines(content, start, end, noteId, manager) {
+        const from = start > 0 ? content.lastIndexOf('\n', start - 1) + 1 : 0;
+        // A selection ending at the start of a line doesn't include that line
+        const endLine = content.indexOf('\n', end > start && content[end - 1] === '\n' ? end - 1 : end);
+        const to = endLine === -1 ? content.length : endLine;
+
+        const tasks = [];
+        let skipped = 0;
+        const lines = content.slice(from, to).split('\n').map(line => {
+            const item = this.parseLine(line);
+            if (!item || item.checked || !item.text.trim() || this.getLinkedTitle(item.text) !== null) return line;
+
+            const parsed = QuickAddParser.parse(item.text, { projects: manager.getAllProjects() });
+            if (!WikiLinks.isLinkable(parsed.text)) {
+                skipped++;
+                return line;
+            }
+
+            const task = manager.addTask(QuickAddParser.toTaskData(parsed, { sourceNoteId: noteId }));
+            tasks.push(task);
+            return this.formatLine({ ...item, text: WikiLinks.format('task', task.text) }, false);
+        });
+
+        return { content: content.slice(0, from) + lines.join('\n') + content.slice(to), tasks, skipped };
+    },
+
+    /**
+     * Tick or clear the linked lines of a note to match their tasks
+     * @param {string} content - Note content
+     * @param {string} noteId - Note identifier
+     * @param {Task[]} tasks - Tasks outside the Trash
+     * @returns {string}
+     */
+    applyTaskStates(content, noteId, tasks) {
+        return content.split('\n').map(line => {
+            const item = this.parseLine(line);
+            const title = item && this.getLinkedTitle(item.text);
+            const task = title && this.findLinkedTask(noteId, title, tasks);
+            return task && task.completed !== item.checked ? this.formatLine(item, task.completed) : line;
+        }).join('\n');
+    },
+
+    /**
+     * Create tasks from the selected checklist lines of a note (notes editor action)
+     * The note keeps the version from before the change in its history, and the tasks are
+     * created as one undo step.
+     * @param {string} noteId - Note identifier
+     * @param {number} start - Selection start in the note content
+     * @param {number} end - Selection end in the note content
+     * @returns {Promise<{taskIds: string[], skipped: number}>}
+     */
+    async createTasksFromSelection(noteId, start, end) {
+        const result = { taskIds: [], skipped: 0 };
+        const manager = window.taskDataManager;
+        if (!manager || !window.notesUIManager) return result;
+
+        const notesUI = window.notesUIManager;
+        const notesManager = await notesUI.whenReady();
+
+        // The selection is in the editor, so its text has to be saved first
+        if (notesUI.currentNote) notesUI.saveCurrentNote();
+        const note = notesManager.getNoteById(noteId);
+        if (!note) return result;
+
+        try {
+            const converted = manager.recordCommand('Create tasks from note',
+                () => this.convertLines(note.content, start, end, noteId, manager));
+            result.taskIds = converted.tasks.map(task => task.id);
+            result.skipped = converted.skipped;
+
+            if (result.taskIds.length > 0) {
+                this.syncing = true;
+                try {
+                    notesManager.updateNote(noteId, { content: converted.content }, { keepRevision: true });
+                } finally {
+                    this.syncing = false;
+                }
+            }
+        } catch (error) {
+            Logger.error('NoteTasks: Error creating tasks from note', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', { operation: 'create_note_tasks', noteId });
+            }
+        }
+
+        Logger.debug('NoteTasks: Created tasks from note', noteId, result);
+        if (window.eventBus && result.taskIds.length > 0) {
+            window.eventBus.emit('checklist:synced', { noteIds: [noteId], taskIds: result.taskIds });
+        }
+        return result;
+    },
+
+    /**
+     * Tick or clear the lines linked to tasks that were completed or reopened
+     * @param {string[]} taskIds - Changed tasks
+     * @returns {Promise<string[]>} - IDs of the notes that changed
+     */
+    async syncNotesFromTasks(taskIds) {
+        const manager = window.taskDataManager;
+        if (this.syncing || !manager || !window.notesUIManager) return [];
+
+        const sourceNoteIds = new Set(taskIds
+            .map(id => manager.getTaskById(id))
+            .filter(task => task && task.sourceNoteId)
+            .map(task => task.sourceNoteId));
+        if (sourceNoteIds.size === 0) return [];
+
+        const notesUI = window.notesUIManager;
+        const notesManager = await notesUI.whenReady();
+        const noteIds = [];
+
+        this.syncing = true;
+        try {
+            // Save the note being edited first so the update doesn't lose typing
+            if (notesUI.currentNote) notesUI.saveCurrentNote();
+
+            const tasks = manager.getAllTasks();
+            sourceNoteIds.forEach(noteId => {
+                const note = notesManager.getNoteById(noteId);
+                if (!note) return;
+                const content = this.applyTaskStates(note.content, noteId, tasks);
+                if (content !== note.content) {
+                    notesManager.updateNote(noteId, { content });
+                    noteIds.push(noteId);
+                }
+            });
+        } catch (error) {
+            Logger.error('NoteTasks: Error updating notes from tasks', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', { operation: 'sync_note_checklists' });
+            }
+        } finally {
+            this.syncing = false;
+        }
+
+        Logger.debug('NoteTasks: Updated notes from tasks', noteIds);
+        if (window.eventBus && noteIds.length > 0) {
+            window.eventBus.emit('checklist:synced', { noteIds, taskIds: [] });
+        }
+        return noteIds;
+    },
+
+    /**
+     * Complete or reopen tasks whose linked lines were ticked or cleared
+     * Lines are then matched to their tasks again, since completing a recurring task brings in
+     * its next occurrence with an empty box.
+     * @param {string[]|null} [noteIds=null] - Changed notes; null checks every note
+     * @returns {Promise<string[]>} - IDs of the tasks that changed
+     */
+    async syncTasksFromNotes(noteIds = null) {
+        const manager = window.taskDataManager;
+        if (this.syncing || !manager || !window.notesUIManager) return [];
+
+        const notesManager = await window.notesUIManager.whenReady();
+        const notes = noteIds
+            ? noteIds.map(id => notesManager.getNoteById(id)).filter(Boolean)
+            : notesManager.getAllNotes();
+        const taskIds = [];
+        const changedNoteIds = [];
+
+        this.syncing = true;
+        try {
+            manager.recordCommand('Update from note', () => {
+                notes.forEach(note => note.content.split('\n').forEach(line => {
+                    const item = this.parseLine(line);
+                    const title = item && this.getLinkedTitle(item.text);
+                    const task = title && this.findLinkedTask(note.id, title, manager.getAllTasks());
+                    if (!task || task.completed === item.checked) return;
+
+                    if (item.checked) {
+                        manager.completeTask(task.id);
+                    } else {
+                        manager.reopenTask(task.id);
+                    }
+                    taskIds.push(task.id);
+                }));
+            });
+
+            if (taskIds.length > 0) {
+                const tasks = manager.getAllTasks();
+                notes.forEach(note => {
+                    const current = notesManager.getNoteById(note.id);
+                    const content = this.applyTaskStates(current.content, note.id, tasks);
+                    if (content !== current.content) {
+                        notesManager.updateNote(note.id, { content });
+                        changedNoteIds.push(note.id);
+                    }
+                });
+            }
+        } catch (error) {
+            Logger.error('NoteTasks: Error updating tasks from notes', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', { operation: 'sync_note_checklists' });
+            }
+        } finally {
+            this.syncing = false;
+        }
+
+        Logger.debug('NoteTasks: Updated tasks from notes', taskIds);
+        if (window.eventBus && taskIds.length > 0) {
+            window.eventBus.emit('checklist:synced', { noteIds: changedNoteIds, taskIds });
+        }
+        return taskIds;
+    }
+};
+
+if (window.eventBus) {
+    // A task created from a note was completed or reopened, here or by undo/redo
+    window.eventBus.on('task:updated', ({ task, changes }) => {
+        if (task.sourceNoteId && changes.includes('completed')) {
+            NoteTasks.syncNotesFromTasks([task.id]);
+        }
+    });
+    window.eventBus.on('history:undone', ({ taskIds }) => NoteTasks.syncNotesFromTasks(taskIds));
+    window.eventBus.on('history:redone', ({ taskIds }) => NoteTasks.syncNotesFromTasks(taskIds));
+
+    // A linked line was ticked or cleared, in this tab or another one
+    window.eventBus.on('note:saved', ({ note, changes }) => {
+        if (changes.includes('content')) {
+            NoteTasks.syncTasksFromNotes([note.id]);
+        }
+    });
+    window.eventBus.on('notes:synced', ({ noteIds, cleared }) => NoteTasks.syncTasksFromNotes(cleared ? null : noteIds));
+}
+
+// Export to global scope
+window.NoteTasks = NoteTasks;
+
+Logger.debug('note-tasks.js loaded');
@@ -11,20 +11,57 @@ class NotesUIManager {
         this.filterTag = null;
         this.saveTimeout = null;
         this.isModalOpen = false;
+        this.initPromise = null;
+        this.editorStale = false; // Current note was changed in another tab while being edited
+        this.editorMode = localStorage.getItem('notesEditorMode') || 'edit'; // 'edit', 'split' or 'preview'
+        this.savedTitle = ''; // Title of the current note before the title field was edited
+        this.selectedRevisionId = null; // Revision shown in the history panel (newest when null)
+        this.notebookView = 'all'; // Notes list shows 'all' notes, the 'archive' or a notebook ID
+        this.sortOrder = localStorage.getItem('notesSortOrder') || 'modified'; // See NOTE_SORT_ORDERS
     }
 
     /**
      * Initialize the notes UI manager
+     * @returns {Promise<void>} - Resolves once notes are loaded
      */
-    init() {
+    async init() {
         Logger.debug('NotesUIManager: Initializing');
 
         // Initialize data manager
-        this.notesDataManager = new NotesDataManager();
+        const storage = await window.storageReady;
+        this.notesDataManager = new NotesDataManager({ storage });
+        await this.notesDataManager.ready;
+
+        // Permanently delete notes kept in the Trash longer than the retention period
+        this.notesDataManager.purgeExpiredTrash(getTrashRetentionDays());
+
+        // Changes saved in other tabs
+        window.addEventListener('notesUpdated', (e) => this.handleRemoteNoteChanges(e));
+        window.addEventListener('storageConflict', (e) => this.handleStorageConflict(e));
+
+        // References to a renamed note, task or link were rewritten, or checklist lines were
+        // turned into tasks or ticked to match them
+        if (window.eventBus) {
+            window.eventBus.on('references:renamed', ({ noteIds }) => this.handleNotesRewritten(noteIds));
+            window.eventBus.on('checklist:synced', ({ noteIds }) => this.handleNotesRewritten(noteIds));
+            window.eventBus.on('notebooks:synced', () => this.handleNotebooksSynced());
+        }
 
         Logger.debug('NotesUIManager: Initialized');
     }
 
+    /**
+     * Initialize on first use and wait for notes to load
+     * @returns {Promise<NotesDataManager>} - The loaded notes data manager
+     */
+    async whenReady() {
+        if (!this.initPromise) {
+            this.initPromise = this.init();
+        }
+        await this.initPromise;
+        return this.notesDataManager;
+    }
+
     /**
      * Open the notes modal
      */
@@ -64,6 +101,7 @@ class NotesUIManager {
             // Save current note before closing
             if (this.currentNote) {
                 this.saveCurrentNote();
+                this.applyTitleRename();
             }
 
             document.body.removeChild(modal);
@@ -124,6 +162,8 @@ class NotesUIManager {
                             </button>
                         </div>
 
+                        <nav class="notes-notebooks" id="notesNotebooks" aria-label="Notebooks"></nav>
+
                         <div class="notes-tags-filter" id="notesTagsFilter"></div>
 
                         <div class="notes-list" id="notesList">
@@ -132,6 +172,11 @@ class NotesUIManager {
 
                         <div class="notes-sidebar-footer">
                             <span id="notesCount">0 notes</span>
+                            <select id="notesSortSelect" class="notes-sort-select" aria-label="Sort notes" title="Sort notes">
+                                <option value="modified">Last modified</option>
+                                <option value="created">Date created</option>
+                                <option value="title">Title</option>
+                            </select>
                         </div>
                     </div>
 
@@ -153,6 +198,47 @@ class NotesUIManager {
                                        placeholder="Untitled Note"
                                        aria-label="Note title">
                                 <div class="notes-editor-actions">
+                                    <div class="notes-mode-toggle" role="group" aria-label="Editor view">
+                                        <button class="notes-mode-btn" data-mode="edit" title="Edit" aria-label="Edit">
+                                            <i class="fas fa-pen"></i>
+                                        </button>
+                                        <button class="notes-mode-btn" data-mode="split" title="Edit and preview side by side" aria-label="Split view">
+                                            <i class="fas fa-columns"></i>
+                                        </button>
+                                        <button class="notes-mode-btn" data-mode="preview" title="Preview" aria-label="Preview">
+                                            <i class="fas fa-eye"></i>
+                                        </button>
+                                    </div>
+                                    <button id="notesCreateTasksBtn"
+                                            class="notes-action-btn notes-create-tasks-btn"
+                                            title="${window.taskDataManager
+                                                ? 'Create tasks from the selected checklist lines'
+                                                : 'Open the task manager to create tasks from checklist lines'}"
+                                            aria-label="Create tasks from selection"
+                                            ${window.taskDataManager ? '' : 'disabled'}>
+                                        <i class="fas fa-tasks"></i>
+                                    </button>
+                                    <button id="notesPinBtn"
+                                            class="notes-action-btn notes-pin-btn"
+                                            title="Pin to the top of the list"
+                                            aria-label="Pin note"
+                                            aria-pressed="false">
+                                        <i class="fas fa-thumbtack"></i>
+                                    </button>
+                                    <button id="notesArchiveBtn"
+                                            class="notes-action-btn notes-archive-btn"
+                                            title="Archive note"
+                                            aria-label="Archive note"
+                                            aria-pressed="false">
+                                        <i class="fas fa-archive"></i>
+                                    </button>
+                                    <button id="notesHistoryBtn"
+                                            class="notes-action-btn notes-history-btn"
+                                            title="Version history"
+                                            aria-label="Version history"
+                                            aria-pressed="false">
+                                        <i class="fas fa-history"></i>
+                                    </button>
                                     <button id="notesDeleteBtn"
                                             class="notes-action-btn notes-delete-btn"
                                             title="Delete Note"
@@ -168,12 +254,31 @@ class NotesUIManager {
                                        class="note-tags-input"
                                        placeholder="Add tags (comma-separated)"
                                        aria-label="Note tags">
+                                <select id="noteNotebookSelect"
+                                        class="note-notebook-select"
+                                        title="Notebook"
+                                        aria-label="Notebook"></select>
+                            </div>
+
+                            <div class="note-body">
+                                <textarea id="noteContent"
+                                          class="note-content-textarea"
+                                          placeholder="Start typing your note...&#10;&#10;Supports markdown:&#10;# heading, **bold**, *italic*, [link](url)&#10;- list, 1. numbered, - [ ] checkbox, | table |"
+                                          aria-label="Note content"></textarea>
+                                <div id="notePreview" class="note-preview md-content" aria-label="Note preview"></div>
+                                <aside id="noteHistoryPanel" class="note-history-panel" aria-label="Version history" hidden>
+                                    <div class="note-history-header">
+                                        <span><i class="fas fa-history"></i> History</span>
+                                        <button class="note-history-close" title="Close history" aria-label="Close history">
+                                            <i class="fas fa-times"></i>
+                                        </button>
+                                    </div>
+                                    <div class="note-history-list" id="noteHistoryList"></div>
+                                    <div class="note-history-diff" id="noteHistoryDiff"></div>
+                                </aside>
                             </div>
 
-                            <textarea id="noteContent"
-                                      class="note-content-textarea"
-                                      placeholder="Start typing your note...&#10;&#10;Supports markdown:&#10;**bold**, *italic*, [link](url), # heading"
-                                      aria-label="Note content"></textarea>
+                            <div class="note-backlinks" id="noteBacklinks" hidden></div>
 
                             <div class="notes-editor-footer">
                                 <div class="note-metadata">
@@ -261,16 +366,160 @@ class NotesUIManager {
             deleteBtn.addEventListener('click', () => this.deleteCurrentNote());
         }
 
+        // Pin, archive and notebook of the current note
+        const pinBtn = document.getElementById('notesPinBtn');
+        if (pinBtn) {
+            pinBtn.addEventListener('click', () => this.togglePinned());
+        }
+        const archiveBtn = document.getElementById('notesArchiveBtn');
+        if (archiveBtn) {
+            archiveBtn.addEventListener('click', () => this.toggleArchived());
+        }
+        const notebookSelect = document.getElementById('noteNotebookSelect');
+        if (notebookSelect) {
+            notebookSelect.addEventListener('change', () => this.moveCurrentNote(notebookSelect.value || null));
+        }
+
+        // Notes list order
+        const sortSelect = document.getElementById('notesSortSelect');
+        if (sortSelect) {
+            sortSelect.value = this.sortOrder;
+            sortSelect.addEventListener('change', () => this.setSortOrder(sortSelect.value));
+        }
+
+        // Notebooks: pick one to list its notes, manage them, and drop notes on them to move them
+        const notebooksNav = document.getElementById('notesNotebooks');
+        if (notebooksNav) {
+            notebooksNav.addEventListener('click', (e) => {
+                const actionBtn = e.target.closest('[data-notebook-action]');
+                const item = e.target.closest('.notes-notebook-item');
+                if (actionBtn) {
+                    this.handleNotebookAction(actionBtn.dataset.notebookAction, actionBtn.dataset.notebookId);
+                } else if (item) {
+                    this.selectNotebookView(item.dataset.notebookView);
+                }
+            });
+            notebooksNav.addEventListener('keydown', (e) => {
+                const item = e.target.closest('.notes-notebook-item');
+                if (item && e.target === item && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.selectNotebookView(item.dataset.notebookView);
+                }
+            });
+            notebooksNav.addEventListener('dragover', (e) => {
+                const item = e.target.closest('.notes-notebook-item');
+                if (!item) return;
+
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                item.classList.add('drag-over');
+            });
+            notebooksNav.addEventListener('dragleave', (e) => {
+                const item = e.target.closest('.notes-notebook-item');
+                if (item && !item.contains(e.relatedTarget)) {
+                    item.classList.remove('drag-over');
+                }
+            });
+            notebooksNav.addEventListener('drop', (e) => {
+                const item = e.target.closest('.notes-notebook-item');
+                if (!item) return;
+
+                e.preventDefault();
+                item.classList.remove('drag-over');
+                const noteId = e.dataTransfer.getData('text/plain');
+                if (noteId) {
+                    this.dropNote(noteId, item.dataset.notebookView);
+                }
+            });
+        }
+
+        const notesList = document.getElementById('notesList');
+        if (notesList) {
+            notesList.addEventListener('dragstart', (e) => {
+                const noteItem = e.target.closest?.('.note-item[data-note-id]');
+                if (!noteItem) return;
+
+                e.dataTransfer.setData('text/plain', noteItem.dataset.noteId);
+                e.dataTransfer.effectAllowed = 'move';
+                noteItem.classList.add('dragging');
+            });
+            notesList.addEventListener('dragend', (e) => {
+                e.target.classList?.remove('dragging');
+                document.querySelectorAll('.notes-notebook-item.drag-over').forEach(item => item.classList.remove('drag-over'));
+            });
+        }
+
+        // Checklist lines to tasks
+        const createTasksBtn = document.getElementById('notesCreateTasksBtn');
+        if (createTasksBtn) {
+            createTasksBtn.addEventListener('click', () => this.createTasksFromSelection());
+        }
+
+        // Version history panel
+        const historyBtn = document.getElementById('notesHistoryBtn');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => this.toggleHistory());
+        }
+        const historyPanel = document.getElementById('noteHistoryPanel');
+        if (historyPanel) {
+            historyPanel.addEventListener('click', (e) => {
+                const revisionItem = e.target.closest('.note-revision-item');
+                const restoreBtn = e.target.closest('.note-history-restore');
+                if (e.target.closest('.note-history-close')) {
+                    this.toggleHistory(false);
+                } else if (restoreBtn) {
+                    this.restoreRevision(restoreBtn.dataset.revisionId);
+                } else if (revisionItem) {
+                    this.selectedRevisionId = revisionItem.dataset.revisionId;
+                    this.renderHistory();
+                }
+            });
+        }
+
         // Note title input
         const titleInput = document.getElementById('noteTitle');
         if (titleInput) {
             titleInput.addEventListener('input', () => this.scheduleAutoSave());
+            // Rewrite references once the new title is finished, not on every keystroke
+            titleInput.addEventListener('change', () => {
+                this.saveCurrentNote();
+                this.applyTitleRename();
+            });
         }
 
         // Note content textarea
         const contentTextarea = document.getElementById('noteContent');
         if (contentTextarea) {
-            contentTextarea.addEventListener('input', () => this.scheduleAutoSave());
+            contentTextarea.addEventListener('input', () => {
+                this.updatePreview();
+                this.scheduleAutoSave();
+            });
+        }
+
+        // Edit / split / preview toggle
+        document.querySelectorAll('.notes-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setEditorMode(btn.dataset.mode));
+        });
+        this.setEditorMode(this.editorMode);
+
+        // Checkboxes in the preview tick the matching line of the note
+        const preview = document.getElementById('notePreview');
+        if (preview) {
+            preview.addEventListener('change', (e) => {
+                if (e.target.matches('input[type="checkbox"][data-line]')) {
+                    this.toggleChecklistLine(parseInt(e.target.dataset.line, 10));
+                }
+            });
+            preview.addEventListener('click', (e) => WikiLinks.handleClick(e));
+        }
+
+        // [[ suggestions in the note and clickable backlinks
+        if (contentTextarea) {
+            WikiLinks.attachAutocomplete(contentTextarea);
+        }
+        const backlinks = document.getElementById('noteBacklinks');
+        if (backlinks) {
+            backlinks.addEventListener('click', (e) => WikiLinks.handleClick(e));
         }
 
         // Note tags input
@@ -286,10 +535,14 @@ class NotesUIManager {
     handleKeyDown(e) {
         if (!this.isModalOpen) return;
 
-        // Escape - close modal
+        // Escape - close the history panel, then the modal
         if (e.key === 'Escape') {
             e.preventDefault();
-            this.closeNotesModal();
+            if (this.isHistoryOpen()) {
+                this.toggleHistory(false);
+            } else {
+                this.closeNotesModal();
+            }
         }
 
         // Ctrl/Cmd + N - new note
@@ -315,10 +568,13 @@ class NotesUIManager {
 
         if (!notesList) return;
 
-        // Get notes (filtered by search and tag)
-        let notes = this.filterTag
-            ? this.notesDataManager.getNotesByTag(this.filterTag)
-            : this.notesDataManager.searchNotes(this.searchQuery);
+        // Get notes (filtered by notebook, search and tag)
+        const notes = this.notesDataManager.getNotes({
+            ...this.getNotebookViewFilter(this.notebookView),
+            tag: this.filterTag,
+            query: this.searchQuery,
+            sort: this.sortOrder
+        });
 
         // Update count
         if (notesCount) {
@@ -326,26 +582,41 @@ class NotesUIManager {
             notesCount.textContent = `${count} note${count !== 1 ? 's' : ''}`;
         }
 
+        // Sidebar counts follow the notes
+        this.renderNotebooks();
+
         // Render notes
         if (notes.length === 0) {
+            let message = 'No notes yet';
+            if (this.searchQuery || this.filterTag) message = 'No notes found';
+            else if (this.notebookView === 'archive') message = 'No archived notes';
+            else if (this.notebookView !== 'all') message = 'No notes in this notebook';
+
             notesList.innerHTML = `
                 <div class="notes-empty">
                     <i class="fas fa-sticky-note"></i>
-                    <p>${this.searchQuery ? 'No notes found' : 'No notes yet'}</p>
+                    <p>${message}</p>
                 </div>
             `;
+            this.renderTagsFilter();
             return;
         }
 
         notesList.innerHTML = notes.map(note => {
             const isActive = this.currentNote && this.currentNote.id === note.id;
             const preview = this.getContentPreview(note.content);
-            const formattedDate = this.formatDate(note.modifiedAt);
+            const formattedDate = this.formatDate(this.sortOrder === 'created' ? note.createdAt : note.modifiedAt);
 
             return `
-                <div class="note-item ${isActive ? 'active' : ''}" data-note-id="${this.escapeHtml(note.id)}">
-                    <div class="note-item-title">${this.escapeHtml(note.title || 'Untitled Note')}</div>
-                    <div class="note-item-preview">${this.escapeHtml(preview)}</div>
+                <div class="note-item ${isActive ? 'active' : ''} ${note.pinned ? 'pinned' : ''}"
+                     data-note-id="${this.escapeHtml(note.id)}"
+                     draggable="true"
+                     title="Drag to a notebook to move it">
+                    <div class="note-item-title">
+                        ${note.pinned ? '<i class="fas fa-thumbtack note-item-pin" aria-label="Pinned"></i>' : ''}
+                        ${this.escapeHtml(note.title || 'Untitled Note')}
+                    </div>
+                    <div class="note-item-preview">${preview}</div>
                     <div class="note-item-meta">
                         <span class="note-item-date">${formattedDate}</span>
                         ${note.tags.length > 0 ? `
@@ -422,6 +693,300 @@ class NotesUIManager {
         }
     }
 
+    /**
+     * Get the getNotes() filter for a notes list view
+     * @param {string} view - 'all', 'archive' or a notebook ID
+     * @returns {{notebookId?: string, archived: boolean}}
+     */
+    getNotebookViewFilter(view) {
+        if (view === 'archive') return { archived: true };
+        if (view === 'all') return { archived: false };
+        return { notebookId: view, archived: false };
+    }
+
+    /**
+     * List notebooks with the ones inside each right after it
+     * @returns {{notebook: Notebook, nested: boolean}[]}
+     */
+    getNotebookTree() {
+        return this.notesDataManager.getNotebooks(null).flatMap(notebook => [
+            { notebook, nested: false },
+            ...this.notesDataManager.getNotebooks(notebook.id).map(child => ({ notebook: child, nested: true }))
+        ]);
+    }
+
+    /**
+     * Render the notebooks in the sidebar, with All notes first and the Archive last
+     */
+    renderNotebooks() {
+        const nav = document.getElementById('notesNotebooks');
+        if (!nav) return;
+
+        // A notebook deleted in another tab can't stay selected
+        if (!['all', 'archive'].includes(this.notebookView) && !this.notesDataManager.getNotebookById(this.notebookView)) {
+            this.notebookView = 'all';
+        }
+
+        const count = (view) => this.notesDataManager.getNotes(this.getNotebookViewFilter(view)).length;
+        const item = ({ view, icon, name, title, nested = false, actions = '' }) => `
+            <div class="notes-notebook-item ${this.notebookView === view ? 'active' : ''} ${nested ? 'nested' : ''}"
+                 data-notebook-view="${this.escapeHtml(view)}"
+                 role="button"
+                 tabindex="0"
+                 title="${this.escapeHtml(title)}"
+                 aria-current="${this.notebookView === view ? 'true' : 'false'}">
+                <i class="fas ${icon}"></i>
+                <span class="notes-notebook-name">${this.escapeHtml(name)}</span>
+                ${actions}
+                <span class="notes-notebook-count">${count(view)}</span>
+            </div>
+        `;
+        const action = (name, notebookId, icon, label) => `
+            <button class="notes-notebook-action" data-notebook-action="${name}"
+                    data-notebook-id="${this.escapeHtml(notebookId)}" title="${label}" aria-label="${label}">
+                <i class="fas ${icon}"></i>
+            </button>
+        `;
+
+        nav.innerHTML = `
+            <div class="notes-notebooks-header">
+                <span class="notes-tags-title">Notebooks</span>
+                ${action('add', '', 'fa-folder-plus', 'New notebook')}
+            </div>
+            ${item({ view: 'all', icon: 'fa-sticky-note', name: 'All notes', title: 'All notes (drop a note here to take it out of its notebook)' })}
+            ${this.getNotebookTree().map(({ notebook, nested }) => item({
+                view: notebook.id,
+                icon: nested ? 'fa-folder' : 'fa-book',
+                name: notebook.name,
+                title: notebook.name,
+                nested,
+                actions: `
+                    <span class="notes-notebook-actions">
+                        ${nested ? '' : action('add', notebook.id, 'fa-plus', 'New notebook inside')}
+                        ${action('rename', notebook.id, 'fa-pen', 'Rename notebook')}
+                        ${action('delete', notebook.id, 'fa-trash', 'Delete notebook')}
+                    </span>
+                `
+            })).join('')}
+            ${item({ view: 'archive', icon: 'fa-archive', name: 'Archive', title: 'Archived notes (drop a note here to archive it)' })}
+        `;
+    }
+
+    /**
+     * Show the notes of a notebook, all notes or the Archive
+     * @param {string} view - 'all', 'archive' or a notebook ID
+     */
+    selectNotebookView(view) {
+        this.notebookView = view;
+        this.renderNotesList();
+    }
+
+    /**
+     * Change the order of the notes list
+     * @param {string} sort - One of NOTE_SORT_ORDERS
+     */
+    setSortOrder(sort) {
+        this.sortOrder = NOTE_SORT_ORDERS.includes(sort) ? sort : 'modified';
+        localStorage.setItem('notesSortOrder', this.sortOrder);
+        this.renderNotesList();
+    }
+
+    /**
+     * Run a notebook button from the sidebar
+     * @param {string} action - 'add', 'rename' or 'delete'
+     * @param {string} notebookId - Notebook the button belongs to; empty for the New notebook button
+     */
+    handleNotebookAction(action, notebookId) {
+        if (action === 'add') {
+            this.createNotebook(notebookId || null);
+        } else if (action === 'rename') {
+            this.renameNotebook(notebookId);
+        } else if (action === 'delete') {
+            this.deleteNotebook(notebookId);
+        }
+    }
+
+    /**
+     * Ask for a name and add a notebook, then show it
+     * @param {string|null} parentId - Notebook to add it inside; null for the top level
+     */
+    createNotebook(parentId) {
+        const name = prompt(parentId ? 'Name of the notebook inside:' : 'Notebook name:');
+        if (name === null) return;
+
+        const data = { name, parentId };
+        const error = this.notesDataManager.validateNotebook(data);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        const notebook = this.notesDataManager.addNotebook(data);
+        this.selectNotebookView(notebook.id);
+        this.updateFilingControls();
+    }
+
+    /**
+     * Ask for a new name for a notebook
+     * @param {string} notebookId - Notebook identifier
+     */
+    renameNotebook(notebookId) {
+        const notebook = this.notesDataManager.getNotebookById(notebookId);
+        if (!notebook) return;
+
+        const name = prompt('Notebook name:', notebook.name);
+        if (name === null) return;
+
+        const error = this.notesDataManager.validateNotebook({ name, parentId: notebook.parentId }, notebookId);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        this.notesDataManager.updateNotebook(notebookId, { name });
+        this.renderNotesList();
+        this.updateFilingControls();
+    }
+
+    /**
+     * Delete a notebook after confirming; its notes and notebooks are kept
+     * @param {string} notebookId - Notebook identifier
+     */
+    deleteNotebook(notebookId) {
+        const notebook = this.notesDataManager.getNotebookById(notebookId);
+        if (!notebook) return;
+
+        const parent = this.notesDataManager.getNotebookById(notebook.parentId);
+        const destination = parent ? `"${parent.name}"` : 'no notebook';
+        if (!confirm(`Delete the notebook "${notebook.name}"? Its notes move to ${destination} and the notebooks inside it move to the top level.`)) {
+            return;
+        }
+
+        if (this.currentNote) this.saveCurrentNote();
+        this.notesDataManager.deleteNotebook(notebookId);
+        if (this.notebookView === notebookId) {
+            this.notebookView = parent ? parent.id : 'all';
+        }
+        this.refreshCurrentNote();
+        this.renderNotesList();
+    }
+
+    /**
+     * Redraw the notebooks after another tab changed them
+     */
+    handleNotebooksSynced() {
+        if (!this.isModalOpen) return;
+
+        this.renderNotesList();
+        this.updateFilingControls();
+    }
+
+    /**
+     * Move a note dropped on the sidebar
+     * Dropping on a notebook or All notes also brings an archived note back.
+     * @param {string} noteId - Dragged note
+     * @param {string} view - 'all', 'archive' or a notebook ID it was dropped on
+     */
+    dropNote(noteId, view) {
+        if (!this.notesDataManager.getNoteById(noteId)) return;
+
+        if (view === 'archive') {
+            this.notesDataManager.archiveNote(noteId);
+        } else {
+            this.notesDataManager.moveNotes([noteId], view === 'all' ? null : view);
+            this.notesDataManager.unarchiveNote(noteId);
+        }
+
+        this.refreshCurrentNote();
+        this.renderNotesList();
+        Logger.debug('NotesUIManager: Moved note', noteId, 'to', view);
+    }
+
+    /**
+     * Move the current note to the notebook picked in the editor
+     * @param {string|null} notebookId - Notebook identifier; null for none
+     */
+    moveCurrentNote(notebookId) {
+        if (!this.currentNote) return;
+
+        this.notesDataManager.moveNotes([this.currentNote.id], notebookId);
+        this.refreshCurrentNote();
+        this.renderNotesList();
+    }
+
+    /**
+     * Pin or unpin the current note
+     */
+    togglePinned() {
+        if (!this.currentNote) return;
+
+        this.notesDataManager.setPinned(this.currentNote.id, !this.currentNote.pinned);
+        this.refreshCurrentNote();
+        this.renderNotesList();
+    }
+
+    /**
+     * Archive the current note, or bring it back from the Archive
+     * The note stays open in the editor either way.
+     */
+    toggleArchived() {
+        if (!this.currentNote) return;
+
+        const archive = !this.currentNote.archivedAt;
+        if (archive) {
+            this.notesDataManager.archiveNote(this.currentNote.id);
+        } else {
+            this.notesDataManager.unarchiveNote(this.currentNote.id);
+        }
+        this.refreshCurrentNote();
+        this.renderNotesList();
+        this.showSaveStatus(archive ? 'Archived' : 'Moved out of the Archive');
+    }
+
+    /**
+     * Pick up the stored version of the current note after it was filed elsewhere
+     * The editor fields are left alone so nothing being typed is lost.
+     */
+    refreshCurrentNote() {
+        if (!this.currentNote) return;
+
+        this.currentNote = this.notesDataManager.getNoteById(this.currentNote.id) || this.currentNote;
+        this.updateFilingControls();
+    }
+
+    /**
+     * Show the current note's pin, archive and notebook in the editor
+     */
+    updateFilingControls() {
+        const note = this.currentNote;
+        if (!note) return;
+
+        const pinBtn = document.getElementById('notesPinBtn');
+        if (pinBtn) {
+            pinBtn.classList.toggle('active', note.pinned);
+            pinBtn.setAttribute('aria-pressed', String(note.pinned));
+            pinBtn.title = note.pinned ? 'Unpin note' : 'Pin to the top of the list';
+        }
+
+        const archiveBtn = document.getElementById('notesArchiveBtn');
+        if (archiveBtn) {
+            archiveBtn.classList.toggle('active', !!note.archivedAt);
+            archiveBtn.setAttribute('aria-pressed', String(!!note.archivedAt));
+            archiveBtn.title = note.archivedAt ? 'Move out of the Archive' : 'Archive note';
+        }
+
+        const notebookSelect = document.getElementById('noteNotebookSelect');
+        if (notebookSelect) {
+            notebookSelect.innerHTML = `
+                <option value="">No notebook</option>
+                ${this.getNotebookTree().map(({ notebook, nested }) => `
+                    <option value="${this.escapeHtml(notebook.id)}">${nested ? '\u00a0\u00a0\u00a0' : ''}${this.escapeHtml(notebook.name)}</option>
+                `).join('')}
+            `;
+            notebookSelect.value = this.notesDataManager.getNotebookById(note.notebookId) ? note.notebookId : '';
+        }
+    }
+
     /**
      * Create a new note
      */
@@ -431,11 +996,17 @@ class NotesUIManager {
             this.saveCurrentNote();
         }
 
+        // New notes go in the notebook being shown; the Archive only lists archived notes
+        if (this.notebookView === 'archive') {
+            this.notebookView = 'all';
+        }
+
         // Create new note
         const newNote = this.notesDataManager.addNote({
             title: '',
             content: '',
-            tags: []
+            tags: [],
+            notebookId: this.notebookView === 'all' ? null : this.notebookView
         });
 
         // Load the new note
@@ -470,7 +1041,11 @@ class NotesUIManager {
             return;
         }
 
+        if (!this.currentNote || this.currentNote.id !== noteId) {
+            this.selectedRevisionId = null;
+        }
         this.currentNote = note;
+        this.editorStale = false;
 
         // Show editor content, hide empty state
         const editorEmpty = document.getElementById('notesEditorEmpty');
@@ -489,6 +1064,11 @@ class NotesUIManager {
         if (contentTextarea) contentTextarea.value = note.content;
         if (tagsInput) tagsInput.value = note.tags.join(', ');
         if (modifiedSpan) modifiedSpan.textContent = `Modified: ${this.formatDate(note.modifiedAt)}`;
+        this.savedTitle = note.title;
+        this.updateFilingControls();
+        this.updatePreview();
+        this.updateBacklinks();
+        this.renderHistory();
 
         // Update active state in list
         this.renderNotesList();
@@ -496,6 +1076,276 @@ class NotesUIManager {
         Logger.debug('NotesUIManager: Loaded note', noteId);
     }
 
+    /**
+     * Switch between editing, previewing and both side by side
+     * @param {string} mode - 'edit', 'split' or 'preview'
+     */
+    setEditorMode(mode) {
+        if (!['edit', 'split', 'preview'].includes(mode)) mode = 'edit';
+        this.editorMode = mode;
+        localStorage.setItem('notesEditorMode', mode);
+
+        const editorContent = document.getElementById('notesEditorContent');
+        if (editorContent) {
+            editorContent.classList.remove('mode-edit', 'mode-split', 'mode-preview');
+            editorContent.classList.add(`mode-${mode}`);
+        }
+        document.querySelectorAll('.notes-mode-btn').forEach(btn => {
+            const active = btn.dataset.mode === mode;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active);
+        });
+
+        this.updatePreview();
+    }
+
+    /**
+     * Render the note being edited into the preview pane (skipped while it is hidden)
+     */
+    updatePreview() {
+        const preview = document.getElementById('notePreview');
+        const contentTextarea = document.getElementById('noteContent');
+        if (!preview || !contentTextarea || this.editorMode === 'edit') return;
+
+        preview.innerHTML = contentTextarea.value.trim()
+            ? MarkdownRenderer.render(contentTextarea.value)
+            : '<p class="note-preview-empty">Nothing to preview</p>';
+        WikiLinks.decorate(preview);
+    }
+
+    /**
+     * List the notes and tasks that link to the current note
+     */
+    async updateBacklinks() {
+        const container = document.getElementById('noteBacklinks');
+        const note = this.currentNote;
+        if (!container || !note) return;
+
+        const targets = await WikiLinks.loadTargets({ fresh: true });
+        if (this.currentNote !== note) return; // Another note was opened meanwhile
+
+        const backlinks = WikiLinks.getBacklinks({ type: 'note', id: note.id, title: note.title }, targets);
+        container.hidden = backlinks.length === 0;
+        container.innerHTML = `
+            <div class="note-backlinks-title"><i class="fas fa-link"></i> Linked from</div>
+            <div class="wiki-link-list">${WikiLinks.renderList(backlinks)}</div>
+        `;
+    }
+
+    /**
+     * Point references to the current note at its new title after the title was edited
+     */
+    applyTitleRename() {
+        if (!this.currentNote) return;
+        const previous = this.savedTitle;
+        const title = this.currentNote.title;
+        this.savedTitle = title;
+        if (previous && previous !== title) {
+            WikiLinks.renameReferences('note', previous, title);
+        }
+    }
+
+    /**
+     * Show notes rewritten outside the editor (references renamed, checklist lines synced with tasks)
+     * @param {string[]} noteIds - Rewritten notes
+     */
+    handleNotesRewritten(noteIds) {
+        if (!this.isModalOpen) return;
+
+        // The editor was saved before the rewrite, so reloading it loses nothing
+        if (this.currentNote && noteIds.includes(this.currentNote.id)) {
+            this.loadNote(this.currentNote.id);
+        } else {
+            this.renderNotesList();
+            this.updateBacklinks();
+        }
+    }
+
+    /**
+     * Turn the open checklist items on the selected lines into tasks linked from the note
+     * With nothing selected, the line with the cursor is used.
+     */
+    async createTasksFromSelection() {
+        const contentTextarea = document.getElementById('noteContent');
+        if (!this.currentNote || !contentTextarea || !window.taskDataManager) return;
+
+        const { taskIds, skipped } = await NoteTasks.createTasksFromSelection(
+            this.currentNote.id, contentTextarea.selectionStart, contentTextarea.selectionEnd);
+
+        if (taskIds.length === 0 && skipped === 0) {
+            this.showSaveStatus('Select checklist lines (- [ ] item) to create tasks');
+            return;
+        }
+        const created = `Created ${taskIds.length} task${taskIds.length !== 1 ? 's' : ''}`;
+        this.showSaveStatus(skipped > 0 ? `${created}; ${skipped} skipped (square brackets can't be linked)` : created);
+    }
+
+    /**
+     * Whether the version history panel is showing
+     * @returns {boolean}
+     */
+    isHistoryOpen() {
+        const panel = document.getElementById('noteHistoryPanel');
+        return !!panel && !panel.hidden;
+    }
+
+    /**
+     * Show or hide the version history panel
+     * @param {boolean} [open] - Defaults to toggling
+     */
+    toggleHistory(open = !this.isHistoryOpen()) {
+        const panel = document.getElementById('noteHistoryPanel');
+        const historyBtn = document.getElementById('notesHistoryBtn');
+        if (!panel) return;
+
+        panel.hidden = !open;
+        if (historyBtn) {
+            historyBtn.classList.toggle('active', open);
+            historyBtn.setAttribute('aria-pressed', open);
+        }
+        if (open) {
+            // Diffs are against the saved note, so save what's being typed first
+            this.saveCurrentNote();
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Render the current note's earlier versions and the diff of the selected one
+     */
+    renderHistory() {
+        const list = document.getElementById('noteHistoryList');
+        const diffContainer = document.getElementById('noteHistoryDiff');
+        if (!list || !diffContainer || !this.currentNote || !this.isHistoryOpen()) return;
+
+        const current = this.currentNote;
+        const revisions = this.notesDataManager.getRevisions(current.id);
+        if (revisions.length === 0) {
+            list.innerHTML = `
+                <div class="note-history-empty">
+                    No earlier versions yet. A version is kept when you come back to a note after a pause,
+                    every few minutes while you type, and before large deletions.
+                </div>
+            `;
+            diffContainer.innerHTML = '';
+            return;
+        }
+
+        const selected = revisions.find(r => r.id === this.selectedRevisionId) || revisions[0];
+        const diffs = new Map(revisions.map(r => [r.id, NotesDataManager.diffLines(r.content, current.content)]));
+
+        list.innerHTML = revisions.map(revision => {
+            const diff = diffs.get(revision.id);
+            const added = diff.filter(line => line.type === 'added').length;
+            const removed = diff.filter(line => line.type === 'removed').length;
+            return `
+                <button class="note-revision-item ${revision === selected ? 'active' : ''}"
+                        data-revision-id="${this.escapeHtml(revision.id)}"
+                        title="${this.escapeHtml(new Date(revision.savedAt).toLocaleString())}">
+                    <span class="note-revision-date">${this.formatDate(revision.savedAt)}</span>
+                    <span class="note-revision-title">${this.escapeHtml(revision.title || 'Untitled Note')}</span>
+                    <span class="note-revision-stats">
+                        <span class="diff-added-count">+${added}</span>
+                        <span class="diff-removed-count">−${removed}</span>
+                    </span>
+                </button>
+            `;
+        }).join('');
+
+        const titleChange = selected.title !== current.title ? `
+            <div class="note-diff-title">
+                Title: <del>${this.escapeHtml(selected.title || 'Untitled Note')}</del>
+                → <ins>${this.escapeHtml(current.title || 'Untitled Note')}</ins>
+            </div>
+        ` : '';
+
+        diffContainer.innerHTML = `
+            <div class="note-history-diff-header">
+                <span>Changes since ${this.escapeHtml(new Date(selected.savedAt).toLocaleString())}</span>
+                <button class="note-history-restore" data-revision-id="${this.escapeHtml(selected.id)}">
+                    <i class="fas fa-undo"></i> Restore
+                </button>
+            </div>
+            ${titleChange}
+            <div class="note-diff">${this.renderDiff(diffs.get(selected.id))}</div>
+        `;
+    }
+
+    /**
+     * Render a line diff, folding long runs of unchanged lines
+     * @param {DiffLine[]} diff - From NotesDataManager.diffLines()
+     * @returns {string} HTML
+     */
+    renderDiff(diff) {
+        if (!diff.some(line => line.type !== 'same')) {
+            return '<div class="note-diff-fold">Same as the current note</div>';
+        }
+
+        const CONTEXT = 2; // Unchanged lines shown around each change
+        const nearChange = diff.map((line, i) => diff
+            .slice(Math.max(0, i - CONTEXT), i + CONTEXT + 1)
+            .some(other => other.type !== 'same'));
+
+        let html = '';
+        let folded = 0;
+        diff.forEach((line, i) => {
+            if (!nearChange[i]) {
+                folded++;
+                return;
+            }
+            if (folded) {
+                html += `<div class="note-diff-fold">${folded} unchanged line${folded !== 1 ? 's' : ''}</div>`;
+                folded = 0;
+            }
+            const sign = { added: '+', removed: '−', same: ' ' }[line.type];
+            html += `<div class="note-diff-line ${line.type}"><span class="note-diff-sign">${sign}</span>${this.escapeHtml(line.text) || ' '}</div>`;
+        });
+        if (folded) {
+            html += `<div class="note-diff-fold">${folded} unchanged line${folded !== 1 ? 's' : ''}</div>`;
+        }
+        return html;
+    }
+
+    /**
+     * Replace the current note with one of its earlier versions
+     * The version being replaced is kept in the history, so the restore can be undone from there.
+     * @param {string} revisionId - Revision to restore
+     */
+    restoreRevision(revisionId) {
+        if (!this.currentNote) return;
+
+        this.saveCurrentNote();
+        const revision = this.notesDataManager.getRevisions(this.currentNote.id).find(r => r.id === revisionId);
+        const note = this.notesDataManager.restoreRevision(this.currentNote.id, revisionId);
+        if (!note) return;
+
+        // Restoring an older title renames references like editing the title does
+        this.currentNote = note;
+        this.applyTitleRename();
+        this.selectedRevisionId = null;
+        this.loadNote(note.id);
+        this.showSaveStatus(`Restored version from ${new Date(revision.savedAt).toLocaleString()}`);
+        Logger.debug('NotesUIManager: Restored revision', revisionId);
+    }
+
+    /**
+     * Tick or untick the checkbox on a line of the note
+     * @param {number} lineIndex - Line of the note, from the preview checkbox's data-line
+     */
+    toggleChecklistLine(lineIndex) {
+        const contentTextarea = document.getElementById('noteContent');
+        if (!contentTextarea) return;
+
+        const lines = contentTextarea.value.split('\n');
+        const match = (lines[lineIndex] || '').match(/^(\s*(?:[-*+]|\d{1,9}[.)])\s+\[)([ xX])(\].*)$/);
+        if (!match) return;
+
+        lines[lineIndex] = match[1] + (match[2] === ' ' ? 'x' : ' ') + match[3];
+        contentTextarea.value = lines.join('\n');
+        this.updatePreview();
+        this.scheduleAutoSave();
+    }
+
     /**
      * Schedule auto-save (debounced)
      */
@@ -507,6 +1357,7 @@ class NotesUIManager {
         this.showSaveStatus('Saving...');
 
         this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
             this.saveCurrentNote();
             this.showSaveStatus('Saved');
             setTimeout(() => this.showSaveStatus(''), 2000);
@@ -531,6 +1382,22 @@ class NotesUIManager {
             .map(tag => tag.trim())
             .filter(tag => tag.length > 0);
 
+        // Nothing edited; don't bump modifiedAt or write over another tab's version
+        const saved = this.notesDataManager.getNoteById(this.currentNote.id);
+        if (saved && saved.title === titleInput.value.trim() && saved.content === contentTextarea.value &&
+            saved.tags.join(',') === tags.join(',')) {
+            return;
+        }
+
+        // The editor still shows the version from before another tab's change
+        if (this.editorStale) {
+            this.editorStale = false;
+            if (!confirm('This note was changed in another tab. Overwrite those changes with yours?')) {
+                this.loadNote(this.currentNote.id);
+                return;
+            }
+        }
+
         // Update note
         this.notesDataManager.updateNote(this.currentNote.id, {
             title: titleInput.value.trim(),
@@ -549,12 +1416,67 @@ class NotesUIManager {
 
         // Refresh list to show updated preview
         this.renderNotesList();
+        this.renderHistory();
 
         Logger.debug('NotesUIManager: Saved note', this.currentNote.id);
     }
 
     /**
-     * Delete the current note
+     * Refresh the list and editor after another tab changed notes
+     */
+    handleRemoteNoteChanges(e) {
+        if (!e.detail || e.detail.source !== 'sync' || !this.isModalOpen) return;
+
+        const current = this.currentNote;
+        if (current && (e.detail.cleared || e.detail.noteIds.includes(current.id))) {
+            const note = this.notesDataManager.getNoteById(current.id);
+            const editor = document.getElementById('notesEditorContent');
+
+            if (!note) {
+                this.currentNote = null;
+                const editorEmpty = document.getElementById('notesEditorEmpty');
+                if (editorEmpty) editorEmpty.style.display = 'flex';
+                if (editor) editor.style.display = 'none';
+                this.showSaveStatus('');
+            } else if (this.saveTimeout || (editor && editor.contains(document.activeElement))) {
+                // Don't replace what the user is typing; ask before saving over it instead
+                this.editorStale = true;
+                this.showSaveStatus('Changed in another tab');
+            } else {
+                this.loadNote(note.id);
+                return;
+            }
+        }
+
+        this.renderNotesList();
+        this.updateBacklinks();
+    }
+
+    /**
+     * Offer to keep this tab's version of a note another tab saved at the same time
+     */
+    handleStorageConflict(e) {
+        const { source, conflicts, keepLocal } = e.detail;
+        if (source !== 'notes') return;
+
+        const note = conflicts[0].local || conflicts[0].remote;
+        const label = conflicts.length === 1
+            ? `"${note.title || 'Untitled Note'}" was`
+            : `${conflicts.length} notes were`;
+
+        if (confirm(`${label} changed in another tab at the same time.\n\nKeep your version? Cancel keeps the other tab's version.`)) {
+            keepLocal();
+        }
+
+        if (this.isModalOpen && this.currentNote && this.notesDataManager.getNoteById(this.currentNote.id)) {
+            this.loadNote(this.currentNote.id);
+        } else if (this.isModalOpen) {
+            this.renderNotesList();
+        }
+    }
+
+    /**
+     * Move the current note to the Trash (restored from the Trash view in the task manager)
      */
     deleteCurrentNote() {
         if (!this.currentNote) return;
@@ -564,7 +1486,7 @@ class NotesUIManager {
         if (window.showModal) {
             showModal(
                 'Delete Note',
-                `Are you sure you want to delete "${noteTitle}"?`,
+                `Move "${noteTitle}" to the Trash? You can restore it from the Trash in the task manager.`,
                 () => {
                     const noteId = this.currentNote.id;
                     this.notesDataManager.deleteNote(noteId);
@@ -579,14 +1501,14 @@ class NotesUIManager {
                     // Refresh list
                     this.renderNotesList();
 
-                    Logger.debug('NotesUIManager: Deleted note', noteId);
+                    Logger.debug('NotesUIManager: Moved note to trash', noteId);
                 },
                 () => {
                     // Cancelled
                 }
             );
         } else {
-            if (confirm(`Are you sure you want to delete "${noteTitle}"?`)) {
+            if (confirm(`Move "${noteTitle}" to the Trash? You can restore it from the Trash in the task manager.`)) {
                 const noteId = this.currentNote.id;
                 this.notesDataManager.deleteNote(noteId);
 
@@ -612,12 +1534,10 @@ class NotesUIManager {
     }
 
     /**
-     * Get content preview (first 100 chars)
+     * Get content preview (start of the note, rendered as sanitized HTML)
      */
     getContentPreview(content) {
-        if (!content) return 'No content';
-        const stripped = content.replace(/[#*\[\]()]/g, '').trim();
-        return stripped.substring(0, 100) + (stripped.length > 100 ? '...' : '');
+        return MarkdownRenderer.renderPreview(content) || 'No content';
     }
 
     /**
@@ -658,10 +1578,8 @@ class NotesUIManager {
 window.notesUIManager = new NotesUIManager();
 
 // Global function to open notes modal
-window.openNotesModal = () => {
-    if (!window.notesUIManager.notesDataManager) {
-        window.notesUIManager.init();
-    }
+window.openNotesModal = async () => {
+    await window.notesUIManager.whenReady();
     window.notesUIManager.openNotesModal();
 };
 
@@ -1,8 +1,22 @@
 /**
  * Notes Data Manager
- * Handles data models and localStorage persistence for the quick notes system
+ * Handles data models and persistence for the quick notes system
  */
 
+// Revision history (see NotesDataManager.shouldKeepRevision)
+const NOTE_REVISIONS_MAX = 30;                   // Oldest revisions are dropped beyond this
+const NOTE_REVISIONS_MAX_LENGTH = 500000;        // ...or once a note's revisions hold this many characters
+const NOTE_REVISION_PAUSE_MS = 60 * 1000;        // An edit after a pause this long keeps the version before it
+const NOTE_REVISION_MAX_GAP_MS = 10 * 60 * 1000; // Continuous editing still keeps a version this often
+
+// Longest line diff computed in full (lines before × lines after, after trimming common ends)
+const NOTE_DIFF_MAX_CELLS = 4000000;
+
+const NOTEBOOK_NAME_MAX_LENGTH = 50;
+
+// Orders for the notes list (see NotesDataManager.getNotes); pinned notes always come first
+const NOTE_SORT_ORDERS = ['modified', 'created', 'title'];
+
 /**
  * @typedef {Object} NoteData
  * @property {string} [id] - Unique note identifier
@@ -11,6 +25,40 @@
  * @property {string[]} [tags] - Array of tag names
  * @property {string} [createdAt] - Creation timestamp (ISO string)
  * @property {string} [modifiedAt] - Last modification timestamp (ISO string)
+ * @property {string|null} [deletedAt] - When the note was moved to the Trash (ISO string)
+ * @property {string|null} [notebookId] - Notebook the note is filed in; null for none
+ * @property {boolean} [pinned] - Listed above the other notes
+ * @property {string|null} [archivedAt] - When the note was archived (ISO string)
+ */
+
+/**
+ * @typedef {Object} NotebookData
+ * @property {string} [id] - Unique notebook identifier
+ * @property {string} [name] - Notebook name
+ * @property {string|null} [parentId] - Top-level notebook this one sits in; null at the top level
+ * @property {string} [createdAt] - Creation timestamp (ISO string)
+ */
+
+/**
+ * @typedef {Object} NoteRevision
+ * @property {string} id - Unique revision identifier
+ * @property {string} title - Note title in this version
+ * @property {string} content - Note content in this version
+ * @property {string} savedAt - When this version was saved (ISO string)
+ */
+
+/**
+ * @typedef {Object} NoteRevisionsRecord
+ * Revisions are stored apart from their note (noteRevisions collection) so saving, syncing and
+ * resolving conflicts on a note doesn't carry its whole history.
+ * @property {string} noteId - Note the revisions belong to
+ * @property {NoteRevision[]} revisions - Earlier versions, oldest first
+ */
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {string} type - 'same', 'added' or 'removed'
+ * @property {string} text - Line text
  */
 
 /**
@@ -42,6 +90,10 @@ class Note {
         this.tags = data.tags || [];
         this.createdAt = data.createdAt || new Date().toISOString();
         this.modifiedAt = data.modifiedAt || this.createdAt;
+        this.deletedAt = data.deletedAt || null;
+        this.notebookId = data.notebookId || null;
+        this.pinned = !!data.pinned;
+        this.archivedAt = data.archivedAt || null;
     }
 
     /**
@@ -63,19 +115,87 @@ class Note {
             content: this.content,
             tags: this.tags,
             createdAt: this.createdAt,
-            modifiedAt: this.modifiedAt
+            modifiedAt: this.modifiedAt,
+            deletedAt: this.deletedAt,
+            notebookId: this.notebookId,
+            pinned: this.pinned,
+            archivedAt: this.archivedAt
+        };
+    }
+}
+
+/**
+ * Notebook Data Model
+ * A folder of notes; notebooks nest one level deep
+ */
+class Notebook {
+    /**
+     * Create a new Notebook
+     * @param {NotebookData} data - Notebook initialization data
+     */
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        this.name = data.name || '';
+        this.parentId = data.parentId || null;
+        this.createdAt = data.createdAt || new Date().toISOString();
+    }
+
+    /**
+     * Generate a unique notebook ID
+     * @returns {string} Unique identifier
+     */
+    generateId() {
+        return 'notebook_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Convert notebook to plain object for storage
+     * @returns {NotebookData} Plain object representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            parentId: this.parentId,
+            createdAt: this.createdAt
         };
     }
 }
 
 /**
  * Notes Data Manager
- * Handles all data operations and localStorage persistence
+ * Handles all data operations and persistence (storage adapter or localStorage)
  */
 class NotesDataManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - Storage adapter (see storage-adapter.js); omit to use localStorage directly
+     */
+    constructor(options = {}) {
         this.notes = [];
-        this.init();
+        this.deletedNotes = []; // Trash, kept apart so search and tags skip it
+        this.notebooks = [];
+        this.revisions = new Map(); // noteId -> NoteRevision[], oldest first
+        this.changedRevisions = new Set(); // noteIds whose revisions haven't been saved yet
+        this.storage = options.storage || null;
+
+        // Resolves once notes are loaded; immediate when using localStorage directly
+        if (this.storage) {
+            this.trackers = {
+                notes: new RecordChangeTracker('id'),
+                // Notebooks are only named and nested, so the last writer wins
+                notebooks: new RecordChangeTracker('id', { checkConflicts: false })
+            };
+            this.ready = this.initWithAdapter();
+
+            // Follow changes saved by other tabs
+            if (this.storage.sync) {
+                this.storage.sync.subscribe(changes => this.applyRemoteChanges(changes), this.ready);
+            }
+        } else {
+            this.init();
+            this.ready = Promise.resolve();
+        }
     }
 
     init() {
@@ -85,16 +205,221 @@ class NotesDataManager {
     }
 
     /**
-     * Load notes from localStorage
+     * Initialize from a storage adapter
+     * @returns {Promise<void>}
+     */
+    async initWithAdapter() {
+        Logger.debug('NotesDataManager: Initializing with', this.storage.name, 'storage');
+
+        try {
+            const [records, notebooks, revisions] = await Promise.all([
+                this.storage.getAll('notes'),
+                this.storage.getAll('notebooks'),
+                this.storage.getAll('noteRevisions')
+            ]);
+            this.notes = records.map(n => new Note(n));
+            this.separateTrash();
+            this.notebooks = notebooks.map(nb => new Notebook(nb));
+            this.revisions = new Map(revisions.map(r => [r.noteId, r.revisions]));
+            this.trackers.notes.reset(records);
+            this.trackers.notebooks.reset(notebooks);
+
+            if (this.moveEmbeddedRevisions(records)) this.saveToStorage();
+        } catch (error) {
+            Logger.error('NotesDataManager: Error loading from storage', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', {
+                    operation: 'load_notes_from_storage'
+                });
+            }
+            this.notes = [];
+        }
+
+        Logger.debug('NotesDataManager: Initialized with', this.notes.length, 'notes');
+    }
+
+    /**
+     * Write changed notes and notebooks to the storage adapter in one commit
+     * @param {string[]} [changedNoteIds] - The only notes that can have changed; omit to compare them all
+     * @returns {Promise<void>}
+     */
+    async persistChanges(changedNoteIds = null) {
+        const keys = this.trackers.notes.keysToCheck(changedNoteIds);
+        const notes = keys ? this.getStoredNotes().filter(n => keys.has(n.id)) : this.getStoredNotes();
+        const changes = {
+            notes: this.trackers.notes.diff(notes.map(n => n.toJSON()), keys),
+            notebooks: this.trackers.notebooks.diff(this.notebooks.map(nb => nb.toJSON())),
+            noteRevisions: this.takeRevisionChanges()
+        };
+
+        try {
+            const result = await this.storage.commit(changes);
+            Logger.debug('NotesDataManager: Saved', changes.notes.put.length, 'notes to storage');
+
+            if (result.conflicts.length > 0) {
+                this.handleConflicts(result.conflicts);
+            }
+        } catch (error) {
+            ['notes', 'notebooks'].forEach(name => this.trackers[name].rollback(changes[name]));
+            changes.noteRevisions.put.forEach(r => this.changedRevisions.add(r.noteId));
+            changes.noteRevisions.delete.forEach(noteId => this.changedRevisions.add(noteId));
+
+            Logger.error('NotesDataManager: Error saving to storage', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', {
+                    operation: 'save_notes_to_storage'
+                });
+            }
+        }
+    }
+
+    /**
+     * Apply note, notebook and revision changes another tab saved to storage
+     * Revisions and notebooks are applied first so the notes list can be drawn with them.
+     * @param {Object<string, CollectionChange>} changes - Changes keyed by collection name
+     */
+    applyRemoteChanges(changes) {
+        if (changes.noteRevisions) {
+            if (changes.noteRevisions.clear) this.revisions.clear();
+            (changes.noteRevisions.put || []).forEach(r => this.revisions.set(r.noteId, r.revisions));
+            (changes.noteRevisions.delete || []).forEach(noteId => this.revisions.delete(noteId));
+        }
+
+        if (changes.notebooks) {
+            this.notebooks = applyRecordChanges(this.notebooks, changes.notebooks, 'id', nb => new Notebook(nb));
+            this.trackers.notebooks.accept(changes.notebooks);
+
+            const notebookIds = [...(changes.notebooks.put || []).map(nb => nb.id), ...(changes.notebooks.delete || [])];
+            this.emit('notebooks:synced', { notebookIds });
+        }
+
+        const change = changes.notes;
+        if (!change) return;
+
+        this.mergeNotes(change);
+        this.trackers.notes.accept(change);
+
+        const noteIds = [...(change.put || []).map(n => n.id), ...(change.delete || [])];
+        Logger.debug('NotesDataManager: Applied', noteIds.length, 'note changes from another tab');
+
+        window.dispatchEvent(new CustomEvent('notesUpdated', {
+            detail: { source: 'sync', noteIds, cleared: !!change.clear }
+        }));
+        this.emit('notes:synced', { noteIds, cleared: !!change.clear });
+    }
+
+    /**
+     * Keep the stored version of notes another tab changed at the same time
+     * Dispatches `storageConflict` so the UI can offer to keep this tab's version instead.
+     * @param {StorageConflict[]} conflicts - Conflicts reported by the storage adapter
+     */
+    handleConflicts(conflicts) {
+        Logger.warn('NotesDataManager:', conflicts.length, 'note(s) were changed in another tab');
+
+        this.applyRemoteChanges(groupStorageConflicts(conflicts, 'remote'));
+
+        window.dispatchEvent(new CustomEvent('storageConflict', {
+            detail: {
+                source: 'notes',
+                conflicts,
+                keepLocal: () => this.restoreRecords(conflicts)
+            }
+        }));
+    }
+
+    /**
+     * Overwrite conflicting notes with this tab's version
+     * @param {StorageConflict[]} conflicts - Conflicts from handleConflicts()
+     */
+    restoreRecords(conflicts) {
+        const local = groupStorageConflicts(conflicts, 'local');
+        this.mergeNotes(local.notes);
+        this.saveToStorage();
+    }
+
+    /**
+     * Merge note records into the in-memory notes and Trash
+     * @param {CollectionChange} change - Notes to put or delete
+     */
+    mergeNotes(change) {
+        this.notes = applyRecordChanges(this.getStoredNotes(), change, 'id', n => new Note(n));
+        this.deletedNotes = [];
+        this.separateTrash();
+    }
+
+    /**
+     * Get every stored note, including those in the Trash
+     * @returns {Note[]} Active notes followed by trashed notes
+     */
+    getStoredNotes() {
+        return [...this.notes, ...this.deletedNotes];
+    }
+
+    /**
+     * Move notes with deletedAt set into the Trash, and restored ones back out
+     */
+    separateTrash() {
+        const notes = this.getStoredNotes();
+        this.notes = notes.filter(n => !n.deletedAt);
+        this.deletedNotes = notes.filter(n => n.deletedAt);
+    }
+
+    /**
+     * Move revisions kept inside note records (before they had their own collection) out of them
+     * @param {Object[]} records - Stored note records
+     * @returns {boolean} True if any were moved; the notes need saving without them
+     */
+    moveEmbeddedRevisions(records) {
+        const embedded = records.filter(r => Array.isArray(r.revisions));
+        embedded.forEach(r => {
+            if (r.revisions.length > 0 && !this.revisions.has(r.id)) {
+                this.revisions.set(r.id, NotesDataManager.capRevisions(r.revisions));
+                this.changedRevisions.add(r.id);
+            }
+        });
+        return embedded.length > 0;
+    }
+
+    /**
+     * Take the revision changes that haven't been saved yet
+     * Only notes whose revisions changed are written, and without expected versions: a
+     * note's history is last-writer-wins, like notebooks.
+     * @returns {CollectionChange}
+     */
+    takeRevisionChanges() {
+        const noteIds = [...this.changedRevisions];
+        this.changedRevisions.clear();
+
+        return {
+            put: noteIds.filter(id => this.revisions.has(id))
+                .map(noteId => ({ noteId, revisions: this.revisions.get(noteId) })),
+            delete: noteIds.filter(id => !this.revisions.has(id))
+        };
+    }
+
+    /**
+     * Load notes, notebooks and revisions from localStorage
      */
     loadFromStorage() {
         try {
+            const revisionsData = localStorage.getItem('noteRevisions');
+            if (revisionsData) {
+                this.revisions = new Map(JSON.parse(revisionsData).map(r => [r.noteId, r.revisions]));
+            }
+
             const notesData = localStorage.getItem('notes');
             if (notesData) {
                 const parsed = JSON.parse(notesData);
                 this.notes = parsed.map(n => new Note(n));
+                this.separateTrash();
+                if (this.moveEmbeddedRevisions(parsed)) this.saveToStorage();
                 Logger.debug('NotesDataManager: Loaded', this.notes.length, 'notes');
             }
+
+            const notebooksData = localStorage.getItem('notebooks');
+            if (notebooksData) {
+                this.notebooks = JSON.parse(notebooksData).map(nb => new Notebook(nb));
+            }
         } catch (error) {
             Logger.error('NotesDataManager: Error loading from storage', error);
             if (window.errorHandler) {
@@ -107,11 +432,25 @@ class NotesDataManager {
     }
 
     /**
-     * Save notes to localStorage
+     * Save notes, notebooks and revisions to storage
+     * With an adapter only changed records are written; the write completes asynchronously.
+     * Revisions are only rewritten when they changed.
+     * @param {string[]} [changedNoteIds] - The only notes that can have changed; omit to compare them all
      */
-    saveToStorage() {
+    saveToStorage(changedNoteIds = null) {
+        if (this.storage) {
+            this.persistChanges(changedNoteIds);
+            return;
+        }
+
         try {
-            localStorage.setItem('notes', JSON.stringify(this.notes.map(n => n.toJSON())));
+            localStorage.setItem('notes', JSON.stringify(this.getStoredNotes().map(n => n.toJSON())));
+            localStorage.setItem('notebooks', JSON.stringify(this.notebooks.map(nb => nb.toJSON())));
+            if (this.changedRevisions.size > 0) {
+                const records = [...this.revisions].map(([noteId, revisions]) => ({ noteId, revisions }));
+                localStorage.setItem('noteRevisions', JSON.stringify(records));
+                this.changedRevisions.clear();
+            }
             Logger.debug('NotesDataManager: Saved to storage');
         } catch (error) {
             Logger.error('NotesDataManager: Error saving to storage', error);
@@ -125,6 +464,7 @@ class NotesDataManager {
 
     /**
      * Get all notes sorted by modified date
+     * Archived notes are included, so they can still be linked to; see getNotes() for the notes list.
      * @returns {Note[]} Array of notes (most recent first)
      */
     getAllNotes() {
@@ -183,6 +523,64 @@ class NotesDataManager {
         });
     }
 
+    /**
+     * Get notes for the notes list
+     * Notes whose notebook no longer exists count as outside any notebook.
+     * @param {Object} [options]
+     * @param {string|null} [options.notebookId] - Only notes in this notebook and its sub-notebooks;
+     *   null for notes outside any notebook; omit for all notes
+     * @param {boolean} [options.archived=false] - List archived notes instead of active ones
+     * @param {string|null} [options.tag] - Only notes with this tag
+     * @param {string} [options.query] - Only notes with this in their title, content or tags (case-insensitive)
+     * @param {string} [options.sort='modified'] - One of NOTE_SORT_ORDERS
+     * @returns {Note[]} Pinned notes first, then the rest, each in the chosen order
+     */
+    getNotes({ notebookId, archived = false, tag = null, query = '', sort = 'modified' } = {}) {
+        let notes = this.notes.filter(note => !!note.archivedAt === archived);
+
+        if (notebookId === null) {
+            notes = notes.filter(note => !this.getNotebookById(note.notebookId));
+        } else if (notebookId !== undefined) {
+            const notebookIds = [notebookId, ...this.getNotebooks(notebookId).map(nb => nb.id)];
+            notes = notes.filter(note => notebookIds.includes(note.notebookId));
+        }
+
+        if (tag) {
+            notes = notes.filter(note => note.tags.includes(tag));
+        }
+
+        const lowerQuery = (query || '').toLowerCase().trim();
+        if (lowerQuery) {
+            notes = notes.filter(note => note.title.toLowerCase().includes(lowerQuery) ||
+                note.content.toLowerCase().includes(lowerQuery) ||
+                note.tags.some(t => t.toLowerCase().includes(lowerQuery)));
+        }
+
+        const compare = NotesDataManager.getNoteComparator(sort);
+        return notes.sort((a, b) => (b.pinned - a.pinned) || compare(a, b));
+    }
+
+    /**
+     * Get the comparison for a notes list order
+     * Titles sort A–Z with untitled notes last; dates sort newest first. Ties go to the most
+     * recently modified note.
+     * @param {string} sort - One of NOTE_SORT_ORDERS; anything else sorts by modified date
+     * @returns {function(Note, Note): number}
+     */
+    static getNoteComparator(sort) {
+        const byModified = (a, b) => b.modifiedAt.localeCompare(a.modifiedAt);
+
+        if (sort === 'created') {
+            return (a, b) => b.createdAt.localeCompare(a.createdAt) || byModified(a, b);
+        }
+        if (sort === 'title') {
+            return (a, b) => (!a.title.trim() - !b.title.trim()) ||
+                a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }) ||
+                byModified(a, b);
+        }
+        return byModified;
+    }
+
     /**
      * Get all unique tags with usage counts
      * @returns {TagInfo[]} Array of tags with counts (sorted by count descending)
@@ -203,6 +601,17 @@ class NotesDataManager {
             .sort((a, b) => b.count - a.count);
     }
 
+    /**
+     * Publish a domain event on the shared event bus (catalogue in event-bus.js)
+     * @param {string} event - Event name, e.g. 'note:saved'
+     * @param {Object} data - Event payload
+     */
+    emit(event, data) {
+        if (window.eventBus) {
+            window.eventBus.emit(event, data);
+        }
+    }
+
     /**
      * Add a new note
      * @param {NoteData} noteData - Note data
@@ -211,47 +620,493 @@ class NotesDataManager {
     addNote(noteData) {
         const note = new Note(noteData);
         this.notes.unshift(note); // Add to beginning
-        this.saveToStorage();
+        this.saveToStorage([note.id]);
         Logger.debug('NotesDataManager: Added note', note.id);
+        this.emit('note:created', { note });
         return note;
     }
 
     /**
      * Update an existing note
+     * The version being replaced is kept as a revision when shouldKeepRevision() says so.
      * @param {string} noteId - Note identifier
      * @param {Partial<NoteData>} updates - Fields to update
+     * @param {Object} [options]
+     * @param {boolean} [options.keepRevision=false] - Always keep the version being replaced
+     * @param {Date} [options.now] - Current time
      * @returns {Note|null} Updated note or null if not found
      */
-    updateNote(noteId, updates) {
+    updateNote(noteId, updates, { keepRevision = false, now = new Date() } = {}) {
         const noteIndex = this.notes.findIndex(n => n.id === noteId);
         if (noteIndex !== -1) {
-            this.notes[noteIndex] = new Note({
-                ...this.notes[noteIndex],
+            const previous = this.notes[noteIndex];
+            const note = this.notes[noteIndex] = new Note({
+                ...previous,
                 ...updates,
-                modifiedAt: new Date().toISOString()
+                modifiedAt: now.toISOString()
             });
-            this.saveToStorage();
+            if (this.shouldKeepRevision(previous, note, now, keepRevision)) {
+                this.setRevisions(noteId, [...(this.revisions.get(noteId) || []), {
+                    id: 'rev_' + now.getTime() + '_' + Math.random().toString(36).substr(2, 9),
+                    title: previous.title,
+                    content: previous.content,
+                    savedAt: previous.modifiedAt
+                }]);
+            }
+            this.saveToStorage([noteId]);
             Logger.debug('NotesDataManager: Updated note', noteId);
-            return this.notes[noteIndex];
+
+            const changes = Object.keys(updates).filter(field =>
+                field !== 'modifiedAt' && JSON.stringify(previous[field]) !== JSON.stringify(note[field])
+            );
+            this.emit('note:saved', { note, changes });
+            return note;
+        }
+        return null;
+    }
+
+    /**
+     * Decide whether to keep the version of a note that an update replaces
+     * Auto-saves made while typing share one revision: the version from before the first of them.
+     * A version is kept when editing resumes after a pause, every NOTE_REVISION_MAX_GAP_MS of
+     * continuous editing, and before an edit that removes most of the note.
+     * @param {Note} previous - Version being replaced
+     * @param {Note} note - New version
+     * @param {Date} now - Time of the update
+     * @param {boolean} [force=false] - Keep it regardless of timing
+     * @returns {boolean}
+     */
+    shouldKeepRevision(previous, note, now, force = false) {
+        if (previous.content === note.content && previous.title === note.title) return false;
+        if (!previous.content.trim() && !previous.title.trim()) return false; // Nothing worth restoring
+
+        const last = (this.revisions.get(previous.id) || []).at(-1);
+        if (last && last.content === previous.content && last.title === previous.title) return false;
+        if (force) return true;
+
+        const lastKeptAt = new Date(last ? last.savedAt : previous.createdAt);
+        const removed = previous.content.length - note.content.length;
+        return now - new Date(previous.modifiedAt) >= NOTE_REVISION_PAUSE_MS ||
+            now - lastKeptAt >= NOTE_REVISION_MAX_GAP_MS ||
+            removed >= Math.max(20, previous.content.length / 2);
+    }
+
+    /**
+     * Get the earlier versions of a note
+     * @param {string} noteId - Note identifier
+     * @returns {NoteRevision[]} Newest first; empty if the note doesn't exist
+     */
+    getRevisions(noteId) {
+        const note = this.getNoteById(noteId);
+        return note ? [...(this.revisions.get(noteId) || [])].reverse() : [];
+    }
+
+    /**
+     * Replace the revisions of a note, dropping the oldest beyond the limits
+     * @param {string} noteId - Note identifier
+     * @param {NoteRevision[]} revisions - Oldest first; empty to remove them
+     */
+    setRevisions(noteId, revisions) {
+        if (revisions.length > 0) {
+            this.revisions.set(noteId, NotesDataManager.capRevisions(revisions));
+        } else {
+            this.revisions.delete(noteId);
+        }
+        this.changedRevisions.add(noteId);
+    }
+
+    /**
+     * Keep the newest revisions within NOTE_REVISIONS_MAX and NOTE_REVISIONS_MAX_LENGTH
+     * The newest revision is always kept, however long.
+     * @param {NoteRevision[]} revisions - Oldest first
+     * @returns {NoteRevision[]}
+     */
+    static capRevisions(revisions) {
+        const kept = revisions.slice(-NOTE_REVISIONS_MAX);
+        let length = 0;
+        let start = kept.length;
+        while (start > 0) {
+            length += kept[start - 1].title.length + kept[start - 1].content.length;
+            if (length > NOTE_REVISIONS_MAX_LENGTH && start < kept.length) break;
+            start--;
+        }
+        return kept.slice(start);
+    }
+
+    /**
+     * Bring back an earlier version of a note
+     * The version it replaces is kept as a revision, so a restore can itself be undone.
+     * @param {string} noteId - Note identifier
+     * @param {string} revisionId - Revision to restore
+     * @param {Date} [now] - Current time
+     * @returns {Note|null} Updated note or null if the note or revision doesn't exist
+     */
+    restoreRevision(noteId, revisionId, now = new Date()) {
+        const revision = this.getRevisions(noteId).find(r => r.id === revisionId);
+        if (!revision) return null;
+
+        Logger.debug('NotesDataManager: Restoring revision', revisionId, 'of note', noteId);
+        return this.updateNote(noteId, { title: revision.title, content: revision.content }, { keepRevision: true, now });
+    }
+
+    /**
+     * Compare two texts line by line
+     * Uses the longest common subsequence of lines; very large changes fall back to showing every
+     * differing line as removed and then added.
+     * @param {string} before - Earlier text
+     * @param {string} after - Later text
+     * @returns {DiffLine[]}
+     */
+    static diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+
+        // Lines shared at the start and end don't need the table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const same = text => ({ type: 'same', text });
+        const middleA = a.slice(start, endA);
+        const middleB = b.slice(start, endB);
+        const middle = [];
+
+        if (middleA.length * middleB.length > NOTE_DIFF_MAX_CELLS) {
+            middleA.forEach(text => middle.push({ type: 'removed', text }));
+            middleB.forEach(text => middle.push({ type: 'added', text }));
+        } else {
+            // lengths[i][j]: longest common subsequence of middleA[i..] and middleB[j..]
+            const width = middleB.length + 1;
+            const lengths = new Uint32Array((middleA.length + 1) * width);
+            for (let i = middleA.length - 1; i >= 0; i--) {
+                for (let j = middleB.length - 1; j >= 0; j--) {
+                    lengths[i * width + j] = middleA[i] === middleB[j]
+                        ? lengths[(i + 1) * width + j + 1] + 1
+                        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < middleA.length || j < middleB.length) {
+                if (i < middleA.length && j < middleB.length && middleA[i] === middleB[j]) {
+                    middle.push(same(middleA[i]));
+                    i++;
+                    j++;
+                } else if (i < middleA.length && (j === middleB.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                    middle.push({ type: 'removed', text: middleA[i] });
+                    i++;
+                } else {
+                    middle.push({ type: 'added', text: middleB[j] });
+                    j++;
+                }
+            }
+        }
+
+        return [...a.slice(0, start).map(same), ...middle, ...a.slice(endA).map(same)];
+    }
+
+    /**
+     * Change how notes are filed without counting it as an edit
+     * modifiedAt and the revision history are left alone, so moving, pinning or archiving a
+     * note doesn't reorder the list by modified date.
+     * @param {string[]} noteIds - Note identifiers
+     * @param {Partial<NoteData>} fields - notebookId, pinned and/or archivedAt
+     * @returns {Note[]} The notes that changed
+     */
+    fileNotes(noteIds, fields) {
+        const changed = [];
+
+        this.notes = this.notes.map(previous => {
+            if (!noteIds.includes(previous.id)) return previous;
+
+            const changes = Object.keys(fields).filter(field => previous[field] !== fields[field]);
+            if (changes.length === 0) return previous;
+
+            const note = new Note({ ...previous, ...fields });
+            changed.push({ note, changes });
+            return note;
+        });
+
+        if (changed.length > 0) {
+            this.saveToStorage(changed.map(({ note }) => note.id));
+            Logger.debug('NotesDataManager: Filed', changed.length, 'notes', fields);
+            changed.forEach(({ note, changes }) => this.emit('note:saved', { note, changes }));
+        }
+        return changed.map(({ note }) => note);
+    }
+
+    /**
+     * Move notes into a notebook
+     * @param {string[]} noteIds - Note identifiers
+     * @param {string|null} notebookId - Notebook to move them to; null for none
+     * @returns {Note[]} The notes that moved; empty if the notebook doesn't exist
+     */
+    moveNotes(noteIds, notebookId) {
+        if (notebookId !== null && !this.getNotebookById(notebookId)) return [];
+        return this.fileNotes(noteIds, { notebookId });
+    }
+
+    /**
+     * Pin a note to the top of the list, or unpin it
+     * @param {string} noteId - Note identifier
+     * @param {boolean} pinned
+     * @returns {Note|null} The note, or null if not found
+     */
+    setPinned(noteId, pinned) {
+        this.fileNotes([noteId], { pinned: !!pinned });
+        return this.getNoteById(noteId) || null;
+    }
+
+    /**
+     * Archive a note: it leaves the notes list but can still be opened, linked and searched in the Archive
+     * @param {string} noteId - Note identifier
+     * @param {Date} [now] - Current time
+     * @returns {Note|null} The note, or null if not found
+     */
+    archiveNote(noteId, now = new Date()) {
+        const note = this.getNoteById(noteId);
+        if (!note || note.archivedAt) return note || null;
+
+        this.fileNotes([noteId], { archivedAt: now.toISOString() });
+        return this.getNoteById(noteId);
+    }
+
+    /**
+     * Bring an archived note back to the notes list
+     * @param {string} noteId - Note identifier
+     * @returns {Note|null} The note, or null if not found
+     */
+    unarchiveNote(noteId) {
+        this.fileNotes([noteId], { archivedAt: null });
+        return this.getNoteById(noteId) || null;
+    }
+
+    /**
+     * Get notebooks in name order
+     * @param {string|null} [parentId] - Only the notebooks inside this one (null for top-level
+     *   notebooks); omit for every notebook
+     * @returns {Notebook[]}
+     */
+    getNotebooks(parentId) {
+        return this.notebooks
+            .filter(nb => parentId === undefined || nb.parentId === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }));
+    }
+
+    /**
+     * @param {string|null} notebookId - Notebook identifier
+     * @returns {Notebook|null}
+     */
+    getNotebookById(notebookId) {
+        return this.notebooks.find(nb => nb.id === notebookId) || null;
+    }
+
+    /**
+     * Check a notebook's name and where it sits
+     * Notebooks nest one level: the parent must be a top-level notebook, and a notebook that
+     * holds others stays at the top level.
+     * @param {{name: string, parentId?: string|null}} data - Notebook fields
+     * @param {string|null} [notebookId=null] - Notebook being changed; null for a new one
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validateNotebook(data, notebookId = null) {
+        const name = (data.name || '').trim();
+        const parentId = data.parentId || null;
+
+        if (!name) return 'Please enter a notebook name';
+        if (name.length > NOTEBOOK_NAME_MAX_LENGTH) {
+            return `Notebook name must be ${NOTEBOOK_NAME_MAX_LENGTH} characters or fewer`;
+        }
+        const lowerName = name.toLowerCase();
+        if (this.notebooks.some(nb => nb.id !== notebookId && nb.parentId === parentId && nb.name.toLowerCase() === lowerName)) {
+            return `There is already a notebook named "${name}" here`;
+        }
+
+        if (parentId) {
+            const parent = this.getNotebookById(parentId);
+            if (!parent || parentId === notebookId) return 'That notebook no longer exists';
+            if (parent.parentId) return 'Notebooks can only be nested one level deep';
+            if (notebookId && this.getNotebooks(notebookId).length > 0) {
+                return 'A notebook with notebooks inside it can\'t be moved into another';
+            }
         }
         return null;
     }
 
     /**
-     * Delete a note
+     * Add a notebook
+     * @param {{name: string, parentId?: string|null}} data - Notebook fields
+     * @returns {Notebook|null} - New notebook, or null if invalid (see validateNotebook())
+     */
+    addNotebook(data) {
+        const error = this.validateNotebook(data);
+        if (error) {
+            Logger.warn('NotesDataManager: Invalid notebook -', error);
+            return null;
+        }
+
+        const notebook = new Notebook({ name: data.name.trim(), parentId: data.parentId || null });
+        this.notebooks.push(notebook);
+        this.saveToStorage();
+        Logger.debug('NotesDataManager: Added notebook', notebook.id);
+        this.emit('notebook:created', { notebook });
+        return notebook;
+    }
+
+    /**
+     * Rename a notebook and/or move it into another
+     * @param {string} notebookId - Notebook identifier
+     * @param {{name?: string, parentId?: string|null}} updates - Fields to change
+     * @returns {Notebook|null} - Updated notebook, or null if not found or invalid
+     */
+    updateNotebook(notebookId, updates) {
+        const index = this.notebooks.findIndex(nb => nb.id === notebookId);
+        if (index === -1) return null;
+
+        const previous = this.notebooks[index];
+        const data = {
+            name: updates.name !== undefined ? updates.name : previous.name,
+            parentId: updates.parentId !== undefined ? updates.parentId : previous.parentId
+        };
+        const error = this.validateNotebook(data, notebookId);
+        if (error) {
+            Logger.warn('NotesDataManager: Invalid notebook -', error);
+            return null;
+        }
+
+        const notebook = this.notebooks[index] = new Notebook({ ...previous, name: data.name.trim(), parentId: data.parentId || null });
+        const changes = ['name', 'parentId'].filter(field => previous[field] !== notebook[field]);
+        if (changes.length > 0) {
+            this.saveToStorage();
+            this.emit('notebook:updated', { notebook, changes });
+        }
+        return notebook;
+    }
+
+    /**
+     * Delete a notebook, keeping what was in it
+     * Its notes move to the notebook it sat in (or out of any notebook) and the notebooks inside
+     * it move to the top level. Notes in the Trash keep the old ID and are treated as outside any
+     * notebook if restored.
+     * @param {string} notebookId - Notebook identifier
+     * @returns {boolean} - True if the notebook existed
+     */
+    deleteNotebook(notebookId) {
+        const notebook = this.getNotebookById(notebookId);
+        if (!notebook) return false;
+
+        this.notebooks = this.notebooks
+            .filter(nb => nb.id !== notebookId)
+            .map(nb => (nb.parentId === notebookId ? new Notebook({ ...nb, parentId: null }) : nb));
+        const noteIds = this.notes.filter(n => n.notebookId === notebookId).map(n => n.id);
+        if (this.fileNotes(noteIds, { notebookId: notebook.parentId }).length === 0) {
+            this.saveToStorage();
+        }
+
+        Logger.debug('NotesDataManager: Deleted notebook', notebookId);
+        this.emit('notebook:deleted', { notebookId, notebook, noteIds });
+        return true;
+    }
+
+    /**
+     * Move a note to the Trash
      * @param {string} noteId - Note identifier
      * @returns {boolean} True if note was deleted
      */
     deleteNote(noteId) {
-        const initialLength = this.notes.length;
+        const note = this.getNoteById(noteId);
+        if (!note) return false;
+
+        const trashed = new Note({ ...note.toJSON(), deletedAt: new Date().toISOString() });
         this.notes = this.notes.filter(n => n.id !== noteId);
+        this.deletedNotes.unshift(trashed);
+        this.saveToStorage([noteId]);
+        Logger.debug('NotesDataManager: Moved note to trash', noteId);
+        this.emit('note:deleted', { noteId, note: trashed });
+        return true;
+    }
 
-        if (this.notes.length < initialLength) {
-            this.saveToStorage();
-            Logger.debug('NotesDataManager: Deleted note', noteId);
-            return true;
-        }
-        return false;
+    /**
+     * Get trashed notes
+     * @returns {Note[]} Trashed notes, most recently deleted first
+     */
+    getTrash() {
+        return [...this.deletedNotes].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Restore a note from the Trash
+     * @param {string} noteId - Trashed note ID
+     * @returns {Note|null} The restored note or null if not in the Trash
+     */
+    restoreNote(noteId) {
+        const trashed = this.deletedNotes.find(n => n.id === noteId);
+        if (!trashed) return null;
+
+        const note = new Note({ ...trashed.toJSON(), deletedAt: null });
+        this.deletedNotes = this.deletedNotes.filter(n => n.id !== noteId);
+        this.notes.unshift(note);
+        this.saveToStorage([noteId]);
+        Logger.debug('NotesDataManager: Restored note', noteId);
+        this.emit('note:restored', { note });
+        return note;
+    }
+
+    /**
+     * Permanently delete a note from the Trash
+     * @param {string} noteId - Trashed note ID
+     * @returns {boolean} True if the note was in the Trash
+     */
+    deleteNotePermanently(noteId) {
+        if (!this.deletedNotes.some(n => n.id === noteId)) return false;
+
+        this.purgeNotes([noteId]);
+        return true;
+    }
+
+    /**
+     * Permanently delete every note in the Trash
+     * @returns {string[]} IDs of the deleted notes
+     */
+    emptyTrash() {
+        return this.purgeNotes(this.deletedNotes.map(n => n.id));
+    }
+
+    /**
+     * Permanently delete notes that have been in the Trash longer than the retention period
+     * @param {number} retentionDays - Days to keep trashed notes; 0 or less keeps them forever
+     * @param {Date} [now] - Current time
+     * @returns {string[]} IDs of the deleted notes
+     */
+    purgeExpiredTrash(retentionDays, now = new Date()) {
+        if (!(retentionDays > 0)) return [];
+
+        const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+        return this.purgeNotes(this.deletedNotes
+            .filter(n => new Date(n.deletedAt).getTime() < cutoff)
+            .map(n => n.id));
+    }
+
+    /**
+     * Remove notes from the Trash for good
+     * @param {string[]} noteIds - Trashed note IDs
+     * @returns {string[]} IDs of the deleted notes
+     */
+    purgeNotes(noteIds) {
+        if (noteIds.length === 0) return noteIds;
+
+        this.deletedNotes = this.deletedNotes.filter(n => !noteIds.includes(n.id));
+        noteIds.forEach(noteId => this.setRevisions(noteId, []));
+        this.saveToStorage(noteIds);
+        Logger.debug('NotesDataManager: Purged', noteIds.length, 'notes from trash');
+        this.emit('trash:purged', { taskIds: [], projectIds: [], noteIds });
+        return noteIds;
     }
 
     /**
@@ -275,5 +1130,6 @@ class NotesDataManager {
 // Export to global scope
 window.NotesDataManager = NotesDataManager;
 window.Note = Note;
+window.Notebook = Notebook;
 
 Logger.debug('notes.js loaded');
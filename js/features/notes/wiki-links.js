@@ -0,0 +1,573 @@
+/**
+ * Wiki Links
+ * References between notes, tasks and dashboard links written inside note content and task
+ * descriptions:
+ *   [[Note title]]        a note (also [[note:Note title]])
+ *   [[task:Task text]]    a task
+ *   [[link:Link name]]    a dashboard link
+ *
+ * References are matched by title, ignoring case. When a note, task or link is renamed the
+ * references to it are rewritten, so links and backlinks keep working. MarkdownRenderer turns
+ * references into .md-wiki-link anchors; decorate() resolves them, and clicks are routed through
+ * KeyboardNavigationManager.handleSearchResultClick() like global search results.
+ */
+
+// A reference: optional type prefix, then the title (no brackets or line breaks)
+const WIKI_LINK_PATTERN = /\[\[(?:(note|task|link):)?([^[\]\n]+?)\]\]/gi;
+
+// How long loaded targets are reused (the preview re-renders on every keystroke)
+const WIKI_LINK_TARGETS_TTL = 3000;
+
+const WIKI_LINK_ICONS = {
+    note: 'fa-sticky-note',
+    task: 'fa-check-square',
+    link: 'fa-link'
+};
+
+/**
+ * @typedef {Object} WikiLinkTargets
+ * @property {Array<{id: string, title: string, content: string}>} notes - Notes outside the Trash
+ * @property {Array<{id: string, text: string, description: string, completed: boolean}>} tasks - Tasks outside the Trash
+ * @property {Array<{name: string, url: string, section: string}>} links - Dashboard links
+ */
+
+/**
+ * @typedef {Object} WikiLinkItem
+ * @property {string} type - 'note', 'task' or 'link'
+ * @property {string} title - Note title, task text or link name
+ * @property {string} [id] - Note or task ID
+ * @property {string} [url] - Link URL
+ * @property {boolean} [completed] - Task is completed
+ * @property {boolean} [missing] - Nothing has this title
+ */
+
+const WikiLinks = {
+    targetsPromise: null,
+    targetsLoadedAt: 0,
+
+    /**
+     * Find the references in a text
+     * @param {string} text - Note content or task description
+     * @returns {Array<{type: string, target: string}>}
+     */
+    parse(text) {
+        return [...String(text || '').matchAll(WIKI_LINK_PATTERN)].map(match => ({
+            type: (match[1] || 'note').toLowerCase(),
+            target: match[2].trim()
+        }));
+    },
+
+    /**
+     * Compare titles the way references match them
+     * @param {string} title
+     * @returns {string}
+     */
+    normalize(title) {
+        return String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    /**
+     * Write a reference
+     * @param {string} type - 'note', 'task' or 'link'
+     * @param {string} title
+     * @returns {string} e.g. "[[task:Buy milk]]"
+     */
+    format(type, title) {
+        // Notes only need the prefix when their title looks like one
+        const prefix = type !== 'note' || /^(note|task|link):/i.test(title) ? `${type}:` : '';
+        return `[[${prefix}${title}]]`;
+    },
+
+    /**
+     * Check whether a title can be written inside a reference
+     * @param {string} title
+     * @returns {boolean}
+     */
+    isLinkable(title) {
+        return !!String(title || '').trim() && !/[[\]\n]/.test(title);
+    },
+
+    /**
+     * Load everything a reference can point to
+     * Notes and tasks come from the managers loaded on the page (so unsaved edits count) and
+     * otherwise from storage; links always come from storage. Results are reused briefly.
+     * @param {Object} [options]
+     * @param {boolean} [options.fresh=false] - Skip the cached result
+     * @returns {Promise<WikiLinkTargets>}
+     */
+    loadTargets({ fresh = false } = {}) {
+        if (fresh || !this.targetsPromise || Date.now() - this.targetsLoadedAt > WIKI_LINK_TARGETS_TTL) {
+            this.targetsLoadedAt = Date.now();
+            this.targetsPromise = this.readTargets().catch(error => {
+                Logger.error('WikiLinks: Error loading link targets', error);
+                this.targetsPromise = null;
+                return { notes: [], tasks: [], links: [] };
+            });
+        }
+        return this.targetsPromise;
+    },
+
+    /**
+     * @returns {Promise<WikiLinkTargets>}
+     */
+    async readTargets() {
+        const storage = await window.storageReady;
+
+        const notesManager = window.notesUIManager ? await window.notesUIManager.whenReady() : null;
+        const notes = notesManager
+            ? notesManager.getAllNotes()
+            : (await storage.getAll('notes')).filter(note => !note.deletedAt);
+
+        const tasks = window.taskDataManager
+            ? window.taskDataManager.getAllTasks()
+            : (await storage.getAll('tasks')).filter(task => !task.deletedAt);
+
+        const links = [];
+        const sections = await storage.getLegacyValue('links');
+        Object.entries(sections || {}).forEach(([section, sectionLinks]) => {
+            sectionLinks.forEach(link => links.push({ name: link.name, url: link.url, section }));
+        });
+
+        return {
+            notes: notes.map(note => ({ id: note.id, title: note.title || '', content: note.content || '' })),
+            tasks: tasks.map(task => ({
+                id: task.id,
+                text: task.text || '',
+                description: task.description || '',
+                completed: !!task.completed
+            })),
+            links
+        };
+    },
+
+    /**
+     * Find what a reference points to
+     * Open tasks win over completed ones with the same text.
+     * @param {{type: string, target: string}} reference
+     * @param {WikiLinkTargets} targets
+     * @returns {WikiLinkItem|null}
+     */
+    resolve(reference, targets) {
+        const target = this.normalize(reference.target);
+
+        if (reference.type === 'task') {
+            const matches = targets.tasks.filter(task => this.normalize(task.text) === target);
+            const task = matches.find(t => !t.completed) || matches[0];
+            return task ? { type: 'task', id: task.id, title: task.text, completed: task.completed } : null;
+        }
+        if (reference.type === 'link') {
+            const link = targets.links.find(l => this.normalize(l.name) === target);
+            return link ? { type: 'link', url: link.url, title: link.name } : null;
+        }
+        const note = targets.notes.find(n => this.normalize(n.title) === target);
+        return note ? { type: 'note', id: note.id, title: note.title } : null;
+    },
+
+    /**
+     * Resolve the references in a text, once each
+     * @param {string} text
+     * @param {WikiLinkTargets} targets
+     * @returns {WikiLinkItem[]} - Unresolved references are marked missing
+     */
+    getOutgoingLinks(text, targets) {
+        const seen = new Set();
+        return this.parse(text).filter(reference => {
+            const key = `${reference.type}:${this.normalize(reference.target)}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).map(reference => this.resolve(reference, targets) ||
+            { type: reference.type, title: reference.target, missing: true });
+    },
+
+    /**
+     * List the notes and tasks that reference an item
+     * @param {{type: string, id?: string, title: string}} item - Note, task or link
+     * @param {WikiLinkTargets} targets
+     * @returns {WikiLinkItem[]} - Notes first, then tasks
+     */
+    getBacklinks(item, targets) {
+        if (!this.isLinkable(item.title)) return [];
+        const title = this.normalize(item.title);
+        const refersToItem = text => this.parse(text)
+            .some(reference => reference.type === item.type && this.normalize(reference.target) === title);
+
+        const notes = targets.notes
+            .filter(note => !(item.type === 'note' && note.id === item.id) && refersToItem(note.content))
+            .map(note => ({ type: 'note', id: note.id, title: note.title || 'Untitled Note' }));
+        const tasks = targets.tasks
+            .filter(task => !(item.type === 'task' && task.id === item.id) && refersToItem(task.description))
+            .map(task => ({ type: 'task', id: task.id, title: task.text, completed: task.completed }));
+
+        return [...notes, ...tasks];
+    },
+
+    /**
+     * Point the references to a renamed item at its new title
+     * @param {string} text
+     * @param {string} type - 'note', 'task' or 'link'
+     * @param {string} oldTitle
+     * @param {string} newTitle
+     * @returns {string}
+     */
+    rewriteReferences(text, type, oldTitle, newTitle) {
+        const title = this.normalize(oldTitle);
+        return String(text || '').replace(WIKI_LINK_PATTERN, (match, prefix, target) => {
+            if ((prefix || 'note').toLowerCase() !== type || this.normalize(target) !== title) return match;
+            return prefix ? `[[${prefix}:${newTitle}]]` : this.format(type, newTitle);
+        });
+    },
+
+    /**
+     * Rewrite the references to a renamed note, task or link everywhere
+     * Notes are updated through the notes manager; tasks through the task manager on the task
+     * page, or straight in storage elsewhere (other tabs pick the change up from there).
+     * @param {string} type - 'note', 'task' or 'link'
+     * @param {string} oldTitle
+     * @param {string} newTitle
+     * @returns {Promise<{noteIds: string[], taskIds: string[]}>} - What was rewritten
+     */
+    async renameReferences(type, oldTitle, newTitle) {
+        const result = { noteIds: [], taskIds: [] };
+        if (!this.isLinkable(oldTitle) || !this.isLinkable(newTitle) || oldTitle.trim() === newTitle.trim()) {
+            return result;
+        }
+        const rewrite = text => this.rewriteReferences(text, type, oldTitle.trim(), newTitle.trim());
+
+        try {
+            if (window.notesUIManager) {
+                const notesUI = window.notesUIManager;
+                const notesManager = await notesUI.whenReady();
+
+                // Save the note being edited first so the rewrite doesn't lose typing
+                if (notesUI.currentNote) notesUI.saveCurrentNote();
+
+                notesManager.getAllNotes().slice().forEach(note => {
+                    const content = rewrite(note.content);
+                    if (content !== note.content) {
+                        notesManager.updateNote(note.id, { content });
+                        result.noteIds.push(note.id);
+                    }
+                });
+            }
+
+            if (window.taskDataManager) {
+                const manager = window.taskDataManager;
+                manager.recordCommand('Update links', () => {
+                    manager.getAllTasks().slice().forEach(task => {
+                        const description = rewrite(task.description);
+                        if (description !== task.description) {
+                            manager.updateTask(task.id, { description });
+                            result.taskIds.push(task.id);
+                        }
+                    });
+                });
+            } else {
+                result.taskIds = await this.renameStoredTaskReferences(rewrite);
+            }
+        } catch (error) {
+            Logger.error('WikiLinks: Error updating references', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', { operation: 'rename_wiki_links', type });
+            }
+        }
+
+        this.targetsPromise = null;
+        Logger.debug('WikiLinks: Renamed references', type, result);
+        if (window.eventBus && (result.noteIds.length > 0 || result.taskIds.length > 0)) {
+            window.eventBus.emit('references:renamed', { type, oldTitle, newTitle, ...result });
+        }
+        return result;
+    },
+
+    /**
+     * Rewrite task descriptions in storage (pages without a task manager)
+     * Tasks another tab changed since they were read are skipped rather than overwritten.
+     * @param {Function} rewrite - Maps a description to its rewritten text
+     * @returns {Promise<string[]>} - IDs of the rewritten tasks
+     */
+    async renameStoredTaskReferences(rewrite) {
+        const storage = await window.storageReady;
+        const put = [];
+        const expected = {};
+
+        (await storage.getAll('tasks')).forEach(task => {
+            const description = rewrite(task.description);
+            if (description === (task.description || '')) return;
+            expected[task.id] = JSON.stringify(task);
+            put.push({ ...task, description, modifiedAt: new Date().toISOString() });
+        });
+        if (put.length === 0) return [];
+
+        const { conflicts } = await storage.commit({ tasks: { put, delete: [], expected } });
+        const skipped = new Set(conflicts.map(conflict => conflict.key));
+        return put.map(task => task.id).filter(id => !skipped.has(id));
+    },
+
+    /**
+     * Find the reference being typed just before the cursor
+     * @param {string} text
+     * @param {number} cursor - Cursor position
+     * @returns {{start: number, query: string}|null} - start is the position of "[["
+     */
+    getQueryAtCursor(text, cursor) {
+        const match = text.slice(0, cursor).match(/\[\[([^[\]\n]*)$/);
+        return match ? { start: cursor - match[0].length, query: match[1] } : null;
+    },
+
+    /**
+     * Suggest notes, tasks and links for a reference being typed
+     * A "task:", "link:" or "note:" prefix limits suggestions to that kind. Titles starting with
+     * the query come first.
+     * @param {string} query - Text typed after "[["
+     * @param {WikiLinkTargets} targets
+     * @param {number} [limit=8]
+     * @returns {Array<WikiLinkItem & {subtitle: string, reference: string}>}
+     */
+    getSuggestions(query, targets, limit = 8) {
+        const prefixed = query.match(/^(note|task|link):(.*)$/i);
+        const type = prefixed ? prefixed[1].toLowerCase() : null;
+        const search = this.normalize(prefixed ? prefixed[2] : query);
+
+        const candidates = [];
+        if (!type || type === 'note') {
+            targets.notes.forEach(note => candidates.push({ type: 'note', id: note.id, title: note.title, subtitle: 'Note' }));
+        }
+        if (!type || type === 'task') {
+            targets.tasks.filter(task => !task.completed).forEach(task =>
+                candidates.push({ type: 'task', id: task.id, title: task.text, subtitle: 'Task' }));
+        }
+        if (!type || type === 'link') {
+            targets.links.forEach(link =>
+                candidates.push({ type: 'link', url: link.url, title: link.name, subtitle: `Link • ${link.section}` }));
+        }
+
+        const seen = new Set();
+        return candidates
+            .filter(item => {
+                const key = `${item.type}:${this.normalize(item.title)}`;
+                if (!this.isLinkable(item.title) || seen.has(key) || !this.normalize(item.title).includes(search)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map((item, index) => ({ item, index, starts: this.normalize(item.title).startsWith(search) }))
+            .sort((a, b) => (b.starts - a.starts) || (a.index - b.index))
+            .slice(0, limit)
+            .map(({ item }) => ({ ...item, reference: this.format(item.type, item.title) }));
+    },
+
+    /**
+     * Render items as clickable chips (backlinks panels and the task's Links section)
+     * @param {WikiLinkItem[]} items
+     * @returns {string} HTML
+     */
+    renderList(items) {
+        const escape = text => window.inputValidator.escapeHtml(String(text));
+        return items.map(item => {
+            const classes = ['wiki-link-chip', item.completed ? 'completed' : '', item.missing ? 'missing' : ''];
+            const data = item.missing ? '' : [
+                `data-type="${escape(item.type)}"`,
+                item.id && item.type === 'note' ? `data-note-id="${escape(item.id)}"` : '',
+                item.id && item.type === 'task' ? `data-task-id="${escape(item.id)}"` : '',
+                item.url ? `data-url="${escape(item.url)}"` : ''
+            ].join(' ');
+            const title = item.missing ? `No ${item.type} named "${item.title}" yet` : `Open ${item.type}`;
+            return `
+                <button type="button" class="${classes.filter(Boolean).join(' ')}" ${data} title="${escape(title)}" ${item.missing ? 'disabled' : ''}>
+                    <i class="fas ${WIKI_LINK_ICONS[item.type] || 'fa-link'}"></i>
+                    <span>${escape(item.title)}</span>
+                </button>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Resolve the references rendered by MarkdownRenderer inside an element
+     * Found targets get the data attributes handleSearchResultClick() reads; the rest are marked missing.
+     * @param {HTMLElement} container
+     * @returns {Promise<void>}
+     */
+    async decorate(container) {
+        const anchors = [...container.querySelectorAll('.md-wiki-link')];
+        if (anchors.length === 0) return;
+
+        const targets = await this.loadTargets();
+        anchors.forEach(anchor => {
+            const item = this.resolve({ type: anchor.dataset.wikiType, target: anchor.dataset.wikiTarget }, targets);
+            anchor.classList.toggle('missing', !item);
+            if (!item) {
+                anchor.title = `No ${anchor.dataset.wikiType} named "${anchor.dataset.wikiTarget}" yet`;
+                return;
+            }
+            anchor.dataset.type = item.type;
+            if (item.type === 'note') anchor.dataset.noteId = item.id;
+            if (item.type === 'task') anchor.dataset.taskId = item.id;
+            if (item.url) anchor.dataset.url = item.url;
+            anchor.title = item.url || `Open ${item.type}`;
+            anchor.classList.toggle('completed', !!item.completed);
+        });
+    },
+
+    /**
+     * Open the reference or chip that was clicked, if any
+     * @param {Event} e - Click event from a container of references
+     * @returns {boolean} True if a link was opened
+     */
+    handleClick(e) {
+        const el = e.target.closest('.md-wiki-link, .wiki-link-chip');
+        if (!el || !el.dataset.type) return false;
+
+        e.preventDefault();
+        if (window.keyboardNav) {
+            window.keyboardNav.handleSearchResultClick(el);
+        }
+        return true;
+    },
+
+    /**
+     * Suggest references while typing "[[" in a textarea
+     * Arrow keys move through the suggestions, Enter or Tab inserts one and Escape closes them.
+     * The textarea gets an input event after an insert, so auto-save and previews follow.
+     * @param {HTMLTextAreaElement} textarea
+     */
+    attachAutocomplete(textarea) {
+        const menu = document.createElement('div');
+        menu.className = 'wiki-link-suggestions';
+        menu.setAttribute('role', 'listbox');
+        menu.hidden = true;
+        textarea.insertAdjacentElement('afterend', menu);
+        if (textarea.parentElement && getComputedStyle(textarea.parentElement).position === 'static') {
+            textarea.parentElement.style.position = 'relative';
+        }
+
+        let items = [];
+        let active = 0;
+        let query = null;
+
+        const close = () => {
+            menu.hidden = true;
+            items = [];
+        };
+
+        const render = () => {
+            menu.innerHTML = items.map((item, index) => `
+                <div class="wiki-link-suggestion ${index === active ? 'active' : ''}" role="option" data-index="${index}"
+                     aria-selected="${index === active}">
+                    <i class="fas ${WIKI_LINK_ICONS[item.type]}"></i>
+                    <span class="wiki-link-suggestion-title">${window.inputValidator.escapeHtml(item.title)}</span>
+                    <span class="wiki-link-suggestion-type">${window.inputValidator.escapeHtml(item.subtitle)}</span>
+                </div>
+            `).join('');
+        };
+
+        const update = async () => {
+            const match = this.getQueryAtCursor(textarea.value, textarea.selectionStart);
+            if (!match) {
+                close();
+                return;
+            }
+            const targets = await this.loadTargets();
+            // Typing may have moved on while targets loaded
+            const current = this.getQueryAtCursor(textarea.value, textarea.selectionStart);
+            if (!current || current.start !== match.start) return;
+
+            query = match;
+            items = this.getSuggestions(match.query, targets);
+            active = 0;
+            if (items.length === 0) {
+                close();
+                return;
+            }
+            render();
+            const caret = this.getCaretOffset(textarea);
+            menu.style.left = `${textarea.offsetLeft + caret.left}px`;
+            menu.style.top = `${textarea.offsetTop + caret.top}px`;
+            menu.hidden = false;
+        };
+
+        const pick = (index) => {
+            const item = items[index];
+            if (!item || !query) return;
+            const end = textarea.selectionStart;
+            textarea.setRangeText(item.reference, query.start, end, 'end');
+            close();
+            textarea.focus();
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        };
+
+        textarea.addEventListener('input', update);
+        textarea.addEventListener('click', update);
+        textarea.addEventListener('blur', () => setTimeout(close, 150));
+        textarea.addEventListener('keydown', (e) => {
+            if (menu.hidden) return;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                active = (active + (e.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+                render();
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                pick(active);
+            } else if (e.key === 'Escape') {
+                // Close the suggestions, not the dialog around the textarea
+                e.preventDefault();
+                e.stopPropagation();
+                close();
+            }
+        });
+
+        // mousedown keeps focus in the textarea
+        menu.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const option = e.target.closest('[data-index]');
+            if (option) pick(parseInt(option.dataset.index, 10));
+        });
+    },
+
+    /**
+     * Position of the line below the cursor, relative to the textarea's top-left corner
+     * Measured with a hidden copy of the textarea's text up to the cursor.
+     * @param {HTMLTextAreaElement} textarea
+     * @returns {{left: number, top: number}}
+     */
+    getCaretOffset(textarea) {
+        const style = getComputedStyle(textarea);
+        const mirror = document.createElement('div');
+        ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'paddingTop', 'paddingRight',
+            'paddingBottom', 'paddingLeft', 'borderTopWidth', 'borderLeftWidth', 'boxSizing', 'tabSize']
+            .forEach(property => { mirror.style[property] = style[property]; });
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            visibility: 'hidden',
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            width: `${textarea.clientWidth}px`
+        });
+
+        mirror.textContent = textarea.value.slice(0, textarea.selectionStart);
+        const marker = document.createElement('span');
+        marker.textContent = '\u200b';
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.4 || 20;
+        const top = Math.min(marker.offsetTop - textarea.scrollTop + lineHeight, textarea.clientHeight);
+        const left = Math.min(marker.offsetLeft, Math.max(textarea.clientWidth - 240, 0));
+        mirror.remove();
+
+        return { left: Math.max(left, 0), top: Math.max(top, lineHeight) };
+    }
+};
+
+// Keep references to dashboard links working when a link is renamed
+if (window.eventBus) {
+    window.eventBus.on('link:updated', ({ link, previous }) => {
+        if (previous && link.name !== previous.name) {
+            WikiLinks.renameReferences('link', previous.name, link.name);
+        }
+    });
+}
+
+// Export to global scope
+window.WikiLinks = WikiLinks;
+
+Logger.debug('wiki-links.js loaded');
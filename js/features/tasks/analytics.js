@@ -39,21 +39,14 @@ class AnalyticsManager {
      * @returns {Array} - Array of { date, count }
      */
     getCompletionTrend(days = 30) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const today = DateUtils.today();
+        const completedDays = this.getCompletionDays();
 
         const result = [];
 
         for (let i = days - 1; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(today.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-
-            const count = this.taskDataManager.getAllTasks().filter(task => {
-                if (!task.completedAt) return false;
-                const completedDate = new Date(task.completedAt);
-                return completedDate.toISOString().split('T')[0] === dateStr;
-            }).length;
+            const dateStr = DateUtils.formatDate(DateUtils.addDays(today, -i));
+            const count = completedDays.filter(day => day === dateStr).length;
 
             result.push({ date: dateStr, count });
         }
@@ -164,14 +157,8 @@ class AnalyticsManager {
      * @returns {number} - Count of overdue tasks
      */
     getOverdueCount() {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        return this.taskDataManager.getAllTasks().filter(task => {
-            if (task.completed || !task.dueDate) return false;
-            const dueDate = new Date(task.dueDate);
-            return dueDate < today;
-        }).length;
+        const now = new Date();
+        return this.taskDataManager.getAllTasks().filter(task => task.isOverdue(now)).length;
     }
 
     /**
@@ -229,28 +216,100 @@ class AnalyticsManager {
      * @returns {number} - Streak in days
      */
     getCurrentStreak() {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const completedDays = new Set(this.getCompletionDays());
 
         let streak = 0;
-        let currentDate = new Date(today);
-
-        while (true) {
-            const dateStr = currentDate.toISOString().split('T')[0];
-            const hasCompletions = this.taskDataManager.getAllTasks().some(task => {
-                if (!task.completedAt) return false;
-                return new Date(task.completedAt).toISOString().split('T')[0] === dateStr;
-            });
-
-            if (!hasCompletions) break;
+        let currentDate = DateUtils.today();
 
+        while (completedDays.has(DateUtils.formatDate(currentDate))) {
             streak++;
-            currentDate.setDate(currentDate.getDate() - 1);
+            currentDate = DateUtils.addDays(currentDate, -1);
         }
 
         return streak;
     }
 
+    /**
+     * Local day each completed task was finished on
+     * @returns {string[]} - YYYY-MM-DD per completion
+     */
+    getCompletionDays() {
+        return this.taskDataManager.getAllTasks()
+            .map(task => DateUtils.toLocalDateKey(task.completedAt))
+            .filter(Boolean);
+    }
+
+    /**
+     * Get how many tasks were planned into My Day and how many of those were finished, per planning day
+     * A task counts as completed on a day only if it was finished on the same planning day.
+     * @param {number} days - Number of planning days to look back
+     * @param {Date} [now] - Reference time
+     * @returns {Array} - Array of { date, planned, completed }, oldest first
+     */
+    getMyDayHistory(days = 7, now = new Date()) {
+        const manager = this.taskDataManager;
+        const today = DateUtils.parseDate(manager.getPlanningDay(now));
+        const planned = manager.getAllTasks().filter(task => task.myDayDates.length > 0);
+
+        const result = [];
+
+        for (let i = days - 1; i >= 0; i--) {
+            const date = DateUtils.formatDate(DateUtils.addDays(today, -i));
+            const plannedTasks = planned.filter(task => task.myDayDates.includes(date));
+            const completed = plannedTasks.filter(task =>
+                task.completed && task.completedAt && manager.getPlanningDay(new Date(task.completedAt)) === date
+            ).length;
+
+            result.push({ date, planned: plannedTasks.length, completed });
+        }
+
+        return result;
+    }
+
+    /**
+     * Get time tracked per task, project and tag
+     * Entries are clipped to the date range and a running timer counts until now. A task's time
+     * counts in full for each of its tags.
+     * @param {Date} [startDate]
+     * @param {Date} [endDate]
+     * @param {Date} [now] - Reference time for a running timer
+     * @returns {Object} - { total, tasks: [{ task, minutes }], projects: [{ project, minutes }], tags: [{ tag, minutes }] },
+     *   in minutes, most time first
+     */
+    getTimeTracked(startDate = null, endDate = null, now = new Date()) {
+        const taskTime = new Map();
+        const projectTime = new Map();
+        const tagTime = new Map();
+        const add = (map, key, ms) => map.set(key, (map.get(key) || 0) + ms);
+
+        this.taskDataManager.getAllTasks().forEach(task => {
+            const ms = task.timeEntries.reduce((sum, entry) => {
+                const start = Math.max(new Date(entry.start), startDate || -Infinity);
+                const end = Math.min(entry.end ? new Date(entry.end) : now, endDate || Infinity);
+                return sum + Math.max(0, end - start);
+            }, 0);
+            if (!(ms > 0)) return;
+
+            taskTime.set(task, ms);
+            add(projectTime, task.projectId, ms);
+            task.tags.forEach(tag => add(tagTime, tag, ms));
+        });
+
+        const toList = (map, name, lookup = key => key) => Array.from(map.entries())
+            .map(([key, ms]) => ({ [name]: lookup(key), minutes: Math.round(ms / (60 * 1000)) }))
+            .filter(item => item[name])
+            .sort((a, b) => b.minutes - a.minutes);
+
+        const totalMs = Array.from(taskTime.values()).reduce((sum, ms) => sum + ms, 0);
+
+        return {
+            total: Math.round(totalMs / (60 * 1000)),
+            tasks: toList(taskTime, 'task'),
+            projects: toList(projectTime, 'project', id => this.taskDataManager.getProjectById(id)),
+            tags: toList(tagTime, 'tag')
+        };
+    }
+
     /**
      * Generate comprehensive analytics summary
      * @returns {Object} - All analytics data
@@ -271,7 +330,12 @@ class AnalyticsManager {
             overdue: this.getOverdueCount(),
             pomodoro: this.getPomodoroStats(),
             mostProductiveDay: this.getMostProductiveDay(),
-            streak: this.getCurrentStreak()
+            streak: this.getCurrentStreak(),
+            myDay: this.getMyDayHistory(7),
+            timeTracked: this.getTimeTracked(
+                new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+                new Date()
+            )
         };
     }
 }
@@ -0,0 +1,172 @@
+/**
+ * Board Swimlanes
+ * Splits the Kanban board into horizontal lanes by project, priority, tag or due date, and works
+ * out the task changes when a card is dragged from one lane to another. Used by todo.js.
+ *
+ * Priority and due date lanes are always shown so every value is a drop target; project and tag
+ * lanes are shown for the values that have tasks on the board (plus "No Tag").
+ */
+
+/**
+ * @typedef {Object} Swimlane
+ * @property {string} key - Lane identifier, unique within its grouping
+ * @property {string} label - Lane title (plain text)
+ * @property {string} [icon] - Icon HTML shown before the title
+ * @property {Task[]} tasks - Tasks in the lane
+ */
+
+const BOARD_GROUP_BY_OPTIONS = [
+    { value: 'none', label: 'No swimlanes' },
+    { value: 'project', label: 'Group by project' },
+    { value: 'priority', label: 'Group by priority' },
+    { value: 'tag', label: 'Group by tag' },
+    { value: 'due', label: 'Group by due date' }
+];
+
+const BoardSwimlanes = {
+    // Tag lanes are keyed "tag:<name>" so no tag name can clash with the "No Tag" lane
+    NO_TAG: 'none',
+
+    PRIORITY_LANES: [
+        { key: 'high', label: 'High Priority' },
+        { key: 'medium', label: 'Medium Priority' },
+        { key: 'low', label: 'Low Priority' }
+    ],
+
+    // Dropping a card into a due date lane moves it to the first day of the lane (`offset` days
+    // from today); Overdue can't be dropped into
+    DUE_LANES: [
+        { key: 'overdue', label: 'Overdue', offset: null },
+        { key: 'today', label: 'Today', offset: 0 },
+        { key: 'tomorrow', label: 'Tomorrow', offset: 1 },
+        { key: 'next-7-days', label: 'Next 7 Days', offset: 2 },
+        { key: 'later', label: 'Later', offset: 8 },
+        { key: 'none', label: 'No Due Date', offset: null }
+    ],
+
+    /**
+     * Split tasks into lanes
+     * @param {Task[]} tasks - Tasks on the board
+     * @param {string} groupBy - project|priority|tag|due; anything else gives a single lane
+     * @param {{projects: Project[], now: Date}} context - Projects for lane names, reference time for due dates
+     * @returns {Swimlane[]} - Lanes in display order
+     */
+    getLanes(tasks, groupBy, context) {
+        switch (groupBy) {
+            case 'project':
+                return this.getProjectLanes(tasks, context.projects);
+            case 'priority':
+                return this.PRIORITY_LANES.map(({ key, label }) => ({
+                    key,
+                    label,
+                    tasks: tasks.filter(t => t.priority === key)
+                }));
+            case 'tag':
+                return this.getTagLanes(tasks);
+            case 'due':
+                return this.DUE_LANES.map(({ key, label }) => ({
+                    key,
+                    label,
+                    tasks: tasks.filter(t => this.getDueLane(t, context.now) === key)
+                }));
+            default:
+                return [{ key: 'all', label: 'All Tasks', tasks }];
+        }
+    },
+
+    getProjectLanes(tasks, projects) {
+        const ordered = [...projects].sort((a, b) => a.position - b.position);
+        const projectIds = new Set(tasks.map(t => t.projectId));
+        const lanes = ordered.filter(p => projectIds.has(p.id)).map(project => ({
+            key: project.id,
+            label: project.name,
+            icon: project.icon,
+            tasks: tasks.filter(t => t.projectId === project.id)
+        }));
+
+        // Tasks whose project no longer exists
+        const known = new Set(ordered.map(p => p.id));
+        const orphans = tasks.filter(t => !known.has(t.projectId));
+        orphans.forEach(task => {
+            let lane = lanes.find(l => l.key === task.projectId);
+            if (!lane) {
+                lane = { key: task.projectId, label: 'Unknown Project', tasks: [] };
+                lanes.push(lane);
+            }
+            lane.tasks.push(task);
+        });
+        return lanes;
+    },
+
+    // A task with several tags is shown in each of their lanes
+    getTagLanes(tasks) {
+        const tags = [...new Set(tasks.flatMap(t => t.tags))].sort((a, b) => a.localeCompare(b));
+        return [
+            ...tags.map(tag => ({
+                key: 'tag:' + tag,
+                label: tag,
+                tasks: tasks.filter(t => t.tags.includes(tag))
+            })),
+            { key: this.NO_TAG, label: 'No Tag', tasks: tasks.filter(t => t.tags.length === 0) }
+        ];
+    },
+
+    /**
+     * @param {Task} task
+     * @param {Date} now - Reference time
+     * @returns {string} - Key of the task's due date lane
+     */
+    getDueLane(task, now) {
+        const due = DateUtils.parseDate(task.dueDate);
+        if (!due) return 'none';
+        if (task.isOverdue(now)) return 'overdue';
+
+        const days = DateUtils.differenceInDays(due, now);
+        if (days <= 0) return 'today';
+        if (days === 1) return 'tomorrow';
+        return days <= 7 ? 'next-7-days' : 'later';
+    },
+
+    /**
+     * Work out the changes for a card dragged to another lane
+     * @param {Task} task - Dragged task
+     * @param {string} groupBy - Current grouping
+     * @param {string} fromKey - Lane the card came from
+     * @param {string} toKey - Lane the card was dropped into
+     * @param {Date} [now] - Reference time for due date lanes
+     * @returns {Partial<TaskData>|null} - Fields for updateTask(), or null if the lane can't be dropped into
+     */
+    getLaneUpdates(task, groupBy, fromKey, toKey, now = new Date()) {
+        switch (groupBy) {
+            case 'project':
+                return { projectId: toKey };
+            case 'priority':
+                return this.PRIORITY_LANES.some(l => l.key === toKey) ? { priority: toKey } : null;
+            case 'tag': {
+                // Swap the tag of the lane the card left for the tag of the lane it entered
+                const tags = task.tags.filter(tag => 'tag:' + tag !== fromKey);
+                const tag = toKey.startsWith('tag:') ? toKey.slice(4) : null;
+                if (tag && !tags.includes(tag)) {
+                    tags.push(tag);
+                }
+                return { tags };
+            }
+            case 'due': {
+                if (toKey === 'none') {
+                    return { dueDate: null, dueTime: null };
+                }
+                const lane = this.DUE_LANES.find(l => l.key === toKey);
+                if (!lane || lane.offset === null) return null;
+                return { dueDate: DateUtils.formatDate(DateUtils.addDays(now, lane.offset)) };
+            }
+            default:
+                return null;
+        }
+    }
+};
+
+// Export to global scope
+window.BOARD_GROUP_BY_OPTIONS = BOARD_GROUP_BY_OPTIONS;
+window.BoardSwimlanes = BoardSwimlanes;
+
+Logger.debug('board-swimlanes.js loaded');
@@ -0,0 +1,135 @@
+/**
+ * Bulk Selection
+ * Tasks selected in the list or board for batch actions, by mouse (Ctrl/Cmd+click, Shift+click)
+ * or keyboard (Space, Shift+Arrow). Used by todo.js, which passes the IDs of the task elements
+ * in the order shown.
+ *
+ * Shift+click and Shift+Arrow select from the same anchor: the last task clicked or toggled.
+ * Shift+Arrow keeps the anchor and moves the other end of the range, so going back shrinks it.
+ */
+
+class BulkSelection {
+    constructor() {
+        this.selectedIds = new Set();
+        this.anchorId = null; // Task Shift+click and Shift+Arrow ranges start from
+        this.extendedIds = new Set(); // Tasks the current Shift+Arrow range added
+        this.scope = null; // View the selection belongs to; switching views clears it
+    }
+
+    get size() {
+        return this.selectedIds.size;
+    }
+
+    has(taskId) {
+        return this.selectedIds.has(taskId);
+    }
+
+    /**
+     * Select or deselect a task, or select every task between the anchor and this one
+     * @param {string[]} ids - Task IDs in the order shown
+     * @param {string} taskId - Clicked task
+     * @param {boolean} range - Select a range (Shift+click)
+     */
+    click(ids, taskId, range) {
+        const anchorIndex = ids.indexOf(this.anchorId);
+        const index = ids.indexOf(taskId);
+
+        if (range && anchorIndex !== -1 && index !== -1) {
+            ids.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+                .forEach(id => this.selectedIds.add(id));
+        } else if (this.selectedIds.has(taskId)) {
+            this.selectedIds.delete(taskId);
+        } else {
+            this.selectedIds.add(taskId);
+        }
+        this.anchorId = taskId;
+        this.extendedIds.clear();
+    }
+
+    /**
+     * Handle a selection key pressed on a focused task
+     * ArrowUp/ArrowDown move the focus, Shift+ArrowUp/ArrowDown also select from the anchor to the
+     * newly focused task, and Space selects or deselects the focused task.
+     * @param {string[]} ids - Task IDs in the order shown
+     * @param {string} focusedId - Task that has the focus
+     * @param {string} key - KeyboardEvent.key
+     * @param {boolean} shiftKey - Shift held
+     * @returns {string|null} - Task to focus, or null if the key isn't a selection key
+     */
+    handleKey(ids, focusedId, key, shiftKey) {
+        const index = ids.indexOf(focusedId);
+        if (index === -1) return null;
+
+        if (key === ' ') {
+            this.click(ids, focusedId, false);
+            return focusedId;
+        }
+        if (key !== 'ArrowDown' && key !== 'ArrowUp') return null;
+
+        const nextId = ids[Math.max(0, Math.min(ids.length - 1, index + (key === 'ArrowDown' ? 1 : -1)))];
+        if (shiftKey) {
+            if (!ids.includes(this.anchorId)) {
+                this.anchorId = focusedId;
+                this.extendedIds.clear();
+            }
+            this.extendTo(ids, nextId);
+        }
+        return nextId;
+    }
+
+    /**
+     * Make the Shift+Arrow range run from the anchor to a task
+     * Tasks the previous range added are dropped first; tasks selected before it stay selected.
+     * @param {string[]} ids - Task IDs in the order shown
+     * @param {string} taskId - Other end of the range
+     */
+    extendTo(ids, taskId) {
+        const anchorIndex = ids.indexOf(this.anchorId);
+        const index = ids.indexOf(taskId);
+
+        this.extendedIds.forEach(id => this.selectedIds.delete(id));
+        this.extendedIds = new Set(ids.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+            .filter(id => !this.selectedIds.has(id)));
+        this.extendedIds.forEach(id => this.selectedIds.add(id));
+    }
+
+    /**
+     * Select every task shown
+     * @param {string[]} ids - Task IDs in the order shown
+     */
+    selectAll(ids) {
+        ids.forEach(id => this.selectedIds.add(id));
+    }
+
+    /**
+     * Deselect every task
+     */
+    clear() {
+        this.selectedIds.clear();
+        this.anchorId = null;
+        this.extendedIds.clear();
+    }
+
+    /**
+     * Follow a render of the list or board
+     * Moving to another view or layout clears the selection; tasks that left the view are deselected.
+     * @param {string} scope - Current view, project, tag, filter and layout
+     * @param {string[]} ids - Task IDs shown
+     */
+    sync(scope, ids) {
+        if (scope !== this.scope) {
+            this.scope = scope;
+            this.clear();
+        }
+
+        const visibleIds = new Set(ids);
+        this.selectedIds.forEach(id => {
+            if (!visibleIds.has(id)) this.selectedIds.delete(id);
+        });
+    }
+}
+
+// Export to global scope
+window.BulkSelection = BulkSelection;
+
+Logger.debug('bulk-selection.js loaded');
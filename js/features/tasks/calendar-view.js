@@ -1,89 +1,196 @@
 /**
  * Calendar View Module
- * Provides a calendar-based view of tasks
+ * Provides a calendar-based view of tasks in month, week and agenda modes. Tasks can be dragged
+ * between days to change their due date, and upcoming repeats of recurring tasks are shown as
+ * projections.
  */
 
+const CALENDAR_MODES = [
+    { value: 'month', label: 'Month' },
+    { value: 'week', label: 'Week' },
+    { value: 'agenda', label: 'Agenda' }
+];
+
+// Days listed per page in agenda mode
+const CALENDAR_AGENDA_DAYS = 14;
+
+const CALENDAR_WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 class CalendarView {
     constructor(taskDataManager, containerElement) {
         this.taskDataManager = taskDataManager;
         this.container = containerElement;
         this.currentDate = new Date();
         this.selectedDate = null;
+        this.mode = CALENDAR_MODES.some(m => m.value === taskDataManager.settings.calendarMode)
+            ? taskDataManager.settings.calendarMode
+            : 'month';
+        // Projected repeats by date (YYYY-MM-DD), rebuilt on every render
+        this.projections = new Map();
     }
 
     /**
-     * Render the calendar
+     * Render the calendar in the current mode
+     * The selected day's task panel is kept open across renders.
      */
     render() {
+        this.projections = this.getProjectionsByDate(this.getVisibleRange());
+
+        let bodyHTML;
+        if (this.mode === 'week') {
+            bodyHTML = this.renderWeek();
+        } else if (this.mode === 'agenda') {
+            bodyHTML = this.renderAgenda();
+        } else {
+            bodyHTML = this.renderMonth();
+        }
+
+        this.container.innerHTML = `
+            <div class="calendar-layout">
+                <div class="calendar-view calendar-mode-${this.mode}">
+                    ${this.renderHeader()}
+                    ${bodyHTML}
+                </div>
+                <div class="calendar-tasks-panel" id="calendarTasksPanel">
+                    <p class="calendar-no-selection">Select a date to view tasks</p>
+                </div>
+            </div>
+        `;
+
+        this.attachEventListeners();
+        this.addStyles();
+
+        if (this.selectedDate) {
+            this.showTasksForDate(this.selectedDate);
+        }
+    }
+
+    /**
+     * Render the mode switcher, navigation and week start setting
+     * @returns {string} - HTML
+     */
+    renderHeader() {
+        const weekStart = DateUtils.getWeekStart();
+
+        return `
+            <div class="calendar-header">
+                <div class="calendar-mode-switcher" role="group" aria-label="Calendar mode">
+                    ${CALENDAR_MODES.map(({ value, label }) => `
+                        <button class="calendar-mode-btn ${value === this.mode ? 'active' : ''}" data-mode="${value}">${label}</button>
+                    `).join('')}
+                </div>
+                <button class="calendar-nav-btn" id="calendarPrev" title="Previous">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                <h2 class="calendar-title">${this.escapeHtml(this.getTitle())}</h2>
+                <button class="calendar-nav-btn" id="calendarNext" title="Next">
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+                <button class="calendar-today-btn" id="calendarToday">Today</button>
+                <select class="calendar-week-start" id="calendarWeekStart" title="First day of the week">
+                    ${CALENDAR_WEEKDAY_NAMES.map((name, day) => `
+                        <option value="${day}" ${day === weekStart ? 'selected' : ''}>Week starts ${name}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * @returns {string} - "March 2025" in month mode, "Mar 10 – Mar 16, 2025" otherwise
+     */
+    getTitle() {
+        if (this.mode === 'month') {
+            return this.currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        }
+
+        const { start, end } = this.getVisibleRange();
+        const format = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return `${format(start)} – ${format(end)}, ${end.getFullYear()}`;
+    }
+
+    /**
+     * Get the first and last day shown in the current mode
+     * @returns {{start: Date, end: Date}} - Local midnights, inclusive
+     */
+    getVisibleRange() {
+        if (this.mode === 'week') {
+            const start = DateUtils.startOfWeek(this.currentDate);
+            return { start, end: DateUtils.addDays(start, 6) };
+        }
+        if (this.mode === 'agenda') {
+            const start = DateUtils.startOfDay(this.currentDate);
+            return { start, end: DateUtils.addDays(start, CALENDAR_AGENDA_DAYS - 1) };
+        }
+
         const year = this.currentDate.getFullYear();
         const month = this.currentDate.getMonth();
+        return { start: new Date(year, month, 1), end: new Date(year, month, DateUtils.daysInMonth(year, month)) };
+    }
 
-        const firstDay = new Date(year, month, 1);
-        const lastDay = new Date(year, month + 1, 0);
-        const prevLastDay = new Date(year, month, 0);
+    /**
+     * Project upcoming repeats of recurring tasks into a range, from today onwards
+     * @param {{start: Date, end: Date}} range
+     * @returns {Map<string, Task[]>} - Recurring tasks by projected date
+     */
+    getProjectionsByDate({ start, end }) {
+        const from = DateUtils.formatDate(start < DateUtils.today() ? DateUtils.today() : start);
+        const byDate = new Map();
+
+        this.taskDataManager.getRecurrenceProjections(from, DateUtils.formatDate(end)).forEach(({ task, date }) => {
+            if (!byDate.has(date)) byDate.set(date, []);
+            byDate.get(date).push(task);
+        });
+        return byDate;
+    }
 
-        const firstDayOfWeek = firstDay.getDay();
-        const lastDate = lastDay.getDate();
-        const prevLastDate = prevLastDay.getDate();
+    /**
+     * Render the month grid
+     * @returns {string} - HTML
+     */
+    renderMonth() {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
 
-        const monthNames = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-        ];
+        const weekStart = DateUtils.getWeekStart();
+        const leadingDays = (new Date(year, month, 1).getDay() - weekStart + 7) % 7;
+        const lastDate = DateUtils.daysInMonth(year, month);
 
         let calendarHTML = `
-            <div class="calendar-layout">
-                <div class="calendar-view">
-                <div class="calendar-header">
-                    <button class="calendar-nav-btn" id="calendarPrevMonth">
-                        <i class="fas fa-chevron-left"></i>
-                    </button>
-                    <h2 class="calendar-title">${monthNames[month]} ${year}</h2>
-                    <button class="calendar-nav-btn" id="calendarNextMonth">
-                        <i class="fas fa-chevron-right"></i>
-                    </button>
-                    <button class="calendar-today-btn" id="calendarToday">Today</button>
-                </div>
                 <div class="calendar-weekdays">
-                    <div class="calendar-weekday">Sun</div>
-                    <div class="calendar-weekday">Mon</div>
-                    <div class="calendar-weekday">Tue</div>
-                    <div class="calendar-weekday">Wed</div>
-                    <div class="calendar-weekday">Thu</div>
-                    <div class="calendar-weekday">Fri</div>
-                    <div class="calendar-weekday">Sat</div>
+                    ${DateUtils.getWeekdayOrder(weekStart).map(day => `
+                        <div class="calendar-weekday">${CALENDAR_WEEKDAY_NAMES[day].slice(0, 3)}</div>
+                    `).join('')}
                 </div>
                 <div class="calendar-days">
         `;
 
         // Previous month days
-        for (let i = firstDayOfWeek - 1; i >= 0; i--) {
-            const date = prevLastDate - i;
+        for (let i = leadingDays; i > 0; i--) {
+            const date = new Date(year, month, 1 - i);
             calendarHTML += `
-                <div class="calendar-day other-month" data-date="${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}">
-                    <div class="calendar-day-number">${date}</div>
+                <div class="calendar-day other-month" data-date="${DateUtils.formatDate(date)}">
+                    <div class="calendar-day-number">${date.getDate()}</div>
                 </div>
             `;
         }
 
         // Current month days
-        const today = new Date();
-        const todayMidnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const today = DateUtils.today();
 
         for (let date = 1; date <= lastDate; date++) {
-            const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
             const currentDate = new Date(year, month, date);
+            const dateStr = DateUtils.formatDate(currentDate);
             const dayOfWeek = currentDate.getDay(); // 0 = Sunday, 6 = Saturday
 
-            const isToday = today.getDate() === date &&
-                           today.getMonth() === month &&
-                           today.getFullYear() === year;
-            const isPast = currentDate < todayMidnight && !isToday;
+            const isToday = DateUtils.isSameDay(currentDate, today);
+            const isPast = currentDate < today;
             const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
             const isSelected = this.selectedDate && this.selectedDate === dateStr;
 
             // Get tasks for this date
             const tasksOnDate = this.getTasksForDate(dateStr);
+            const projectedCount = (this.projections.get(dateStr) || []).length;
             const completedCount = tasksOnDate.filter(t => t.completed).length;
             const totalCount = tasksOnDate.length;
             const hasIncompleteTasks = tasksOnDate.some(t => !t.completed);
@@ -112,15 +219,22 @@ class CalendarView {
             if (priorityCounts.low > 0) priorityDotsHTML += '<span class="priority-dot low" title="Low priority tasks"></span>';
 
             // Build tooltip data
-            const taskTitles = tasksOnDate.map(t => `${t.completed ? '✓' : '○'} ${this.escapeHtml(t.text)}`).join('\\n');
+            const taskTitles = [
+                ...tasksOnDate.map(t => {
+                    const time = this.formatTaskTime(t);
+                    return `${t.completed ? '✓' : '○'} ${time ? `${time} ` : ''}${this.escapeHtml(t.text)}`;
+                }),
+                ...(this.projections.get(dateStr) || []).map(t => `↻ ${this.escapeHtml(t.text)}`)
+            ].join('\\n');
 
             calendarHTML += `
-                <div class="${dayClass}" data-date="${dateStr}" data-tasks="${this.escapeHtml(taskTitles)}" title="${totalCount > 0 ? taskTitles : ''}">
+                <div class="${dayClass}" data-date="${dateStr}" data-tasks="${this.escapeHtml(taskTitles)}" title="${taskTitles}">
                     <div class="calendar-day-number">${date}</div>
-                    ${totalCount > 0 ? `
+                    ${totalCount > 0 || projectedCount > 0 ? `
                         <div class="calendar-day-indicator">
                             <div class="priority-dots">${priorityDotsHTML}</div>
-                            <span class="task-count">${completedCount}/${totalCount}</span>
+                            ${totalCount > 0 ? `<span class="task-count">${completedCount}/${totalCount}</span>` : ''}
+                            ${projectedCount > 0 ? `<span class="projected-count"><i class="fas fa-redo"></i> ${projectedCount}</span>` : ''}
                         </div>
                     ` : ''}
                 </div>
@@ -128,65 +242,156 @@ class CalendarView {
         }
 
         // Next month days
-        const totalCells = firstDayOfWeek + lastDate;
+        const totalCells = leadingDays + lastDate;
         const remainingCells = 7 - (totalCells % 7);
         if (remainingCells < 7) {
             for (let date = 1; date <= remainingCells; date++) {
                 calendarHTML += `
-                    <div class="calendar-day other-month" data-date="${year}-${String(month + 2).padStart(2, '0')}-${String(date).padStart(2, '0')}">
+                    <div class="calendar-day other-month" data-date="${DateUtils.formatDate(new Date(year, month + 1, date))}">
                         <div class="calendar-day-number">${date}</div>
                     </div>
                 `;
             }
         }
 
-        calendarHTML += `
+        calendarHTML += '</div>';
+        return calendarHTML;
+    }
+
+    /**
+     * Render one column per day of the week, with a card for each task
+     * @returns {string} - HTML
+     */
+    renderWeek() {
+        const { start } = this.getVisibleRange();
+        const today = DateUtils.today();
+
+        const days = Array.from({ length: 7 }, (_, i) => DateUtils.addDays(start, i)).map(date => {
+            const dateStr = DateUtils.formatDate(date);
+            let dayClass = 'calendar-week-day';
+            if (DateUtils.isSameDay(date, today)) dayClass += ' today';
+            if (date < today) dayClass += ' past-day';
+            if (this.selectedDate === dateStr) dayClass += ' selected';
+
+            return `
+                <div class="${dayClass}" data-date="${dateStr}">
+                    <div class="calendar-week-day-header">
+                        <span class="calendar-week-day-name">${CALENDAR_WEEKDAY_NAMES[date.getDay()].slice(0, 3)}</span>
+                        <span class="calendar-week-day-number">${date.getDate()}</span>
+                    </div>
+                    <div class="calendar-week-day-tasks">
+                        ${this.renderDayEvents(dateStr)}
+                    </div>
                 </div>
-            </div>
-                <div class="calendar-tasks-panel" id="calendarTasksPanel">
-                    <p class="calendar-no-selection">Select a date to view tasks</p>
+            `;
+        });
+
+        return `<div class="calendar-week">${days.join('')}</div>`;
+    }
+
+    /**
+     * Render a list of days starting at the current date
+     * @returns {string} - HTML
+     */
+    renderAgenda() {
+        const { start } = this.getVisibleRange();
+        const today = DateUtils.today();
+
+        const days = Array.from({ length: CALENDAR_AGENDA_DAYS }, (_, i) => DateUtils.addDays(start, i)).map(date => {
+            const dateStr = DateUtils.formatDate(date);
+            const events = this.renderDayEvents(dateStr);
+            const isToday = DateUtils.isSameDay(date, today);
+            let dayClass = 'calendar-agenda-day';
+            if (isToday) dayClass += ' today';
+            if (date < today) dayClass += ' past-day';
+            if (this.selectedDate === dateStr) dayClass += ' selected';
+
+            return `
+                <div class="${dayClass}" data-date="${dateStr}">
+                    <div class="calendar-agenda-date">
+                        ${date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+                        ${isToday ? '<span class="calendar-agenda-today">Today</span>' : ''}
+                    </div>
+                    <div class="calendar-agenda-tasks">
+                        ${events || '<div class="calendar-agenda-empty">No tasks</div>'}
+                    </div>
                 </div>
+            `;
+        });
+
+        return `<div class="calendar-agenda">${days.join('')}</div>`;
+    }
+
+    /**
+     * Render the task cards for a day: tasks due that day, then projected repeats
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {string} - HTML, empty when the day has nothing on it
+     */
+    renderDayEvents(dateStr) {
+        const tasks = this.getTasksForDate(dateStr).map(task => {
+            const time = this.formatTaskTime(task);
+            let eventClass = `calendar-event priority-${this.escapeHtml(task.priority)}`;
+            if (task.completed) eventClass += ' completed';
+            if (task.isOverdue()) eventClass += ' overdue';
+
+            return `
+                <div class="${eventClass}" draggable="true" data-task-id="${this.escapeHtml(task.id)}" title="Drag to another day to reschedule">
+                    ${time ? `<span class="calendar-event-time">${time}</span>` : ''}
+                    <span class="calendar-event-title">${this.escapeHtml(task.text)}</span>
+                </div>
+            `;
+        });
+
+        const projected = (this.projections.get(dateStr) || []).map(task => `
+            <div class="calendar-event projected" data-task-id="${this.escapeHtml(task.id)}" title="Upcoming repeat">
+                <span class="calendar-event-time"><i class="fas fa-redo"></i>${task.dueTime ? ` ${this.formatTaskTime(task)}` : ''}</span>
+                <span class="calendar-event-title">${this.escapeHtml(task.text)}</span>
             </div>
-        `;
+        `);
 
-        this.container.innerHTML = calendarHTML;
-        this.attachEventListeners();
-        this.addStyles();
+        return [...tasks, ...projected].join('');
     }
 
     /**
-     * Get tasks for a specific date
+     * Get tasks for a specific date, timed tasks first in time order
      * @param {string} dateStr - Date in YYYY-MM-DD format
      * @returns {Array} - Array of tasks
      */
     getTasksForDate(dateStr) {
         return this.taskDataManager.getAllTasks().filter(task => {
-            if (!task.dueDate) return false;
-            return task.dueDate.split('T')[0] === dateStr;
-        });
+            return DateUtils.toDateKey(task.dueDate) === dateStr;
+        }).sort(Task.compareByDue);
+    }
+
+    /**
+     * Format a task's due time, e.g. "9:30 AM" or "9:30 AM – 10:00 AM"
+     * @param {Task} task
+     * @returns {string} - Empty for tasks without a due time
+     */
+    formatTaskTime(task) {
+        if (!task.dueTime) return '';
+
+        const due = task.getDueDateTime();
+        const format = date => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        if (!task.duration) return format(due);
+
+        return `${format(due)} – ${format(new Date(due.getTime() + task.duration * 60 * 1000))}`;
     }
 
     /**
-     * Show tasks for a selected date
+     * Show tasks for a selected date, with a field for adding a task due that day
      * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {boolean} [focusAddTask] - Focus the add task field (e.g. after clicking an empty day)
      */
-    showTasksForDate(dateStr) {
+    showTasksForDate(dateStr, focusAddTask = false) {
         this.selectedDate = dateStr;
         const tasks = this.getTasksForDate(dateStr);
+        const projected = this.projections.get(dateStr) || [];
         const panel = document.getElementById('calendarTasksPanel');
 
         if (!panel) return;
 
-        if (tasks.length === 0) {
-            panel.innerHTML = `
-                <div class="calendar-no-selection">
-                    <p>No tasks due on ${new Date(dateStr).toLocaleDateString()}</p>
-                </div>
-            `;
-            return;
-        }
-
-        const formattedDate = new Date(dateStr).toLocaleDateString('en-US', {
+        const formattedDate = DateUtils.parseDate(dateStr).toLocaleDateString('en-US', {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
@@ -198,9 +403,24 @@ class CalendarView {
                 <h3>${formattedDate}</h3>
                 <span class="calendar-tasks-count">${tasks.length} task${tasks.length !== 1 ? 's' : ''}</span>
             </div>
-            <div class="calendar-tasks-list">
+            <form class="calendar-add-task" id="calendarAddTaskForm">
+                <input type="text" id="calendarAddTaskInput" placeholder="Add a task due this day..." aria-label="Add a task due ${formattedDate}" autocomplete="off">
+                <button type="submit" class="calendar-add-task-btn" title="Add task">
+                    <i class="fas fa-plus"></i>
+                </button>
+            </form>
         `;
 
+        if (tasks.length === 0 && projected.length === 0) {
+            tasksHTML += `
+                <div class="calendar-no-selection">
+                    <p>No tasks due on ${DateUtils.parseDate(dateStr).toLocaleDateString()}</p>
+                </div>
+            `;
+        }
+
+        tasksHTML += '<div class="calendar-tasks-list">';
+
         tasks.forEach(task => {
             const project = this.taskDataManager.getProjectById(task.projectId);
             const statusIcon = task.completed ? '✅' :
@@ -208,11 +428,12 @@ class CalendarView {
                              task.status === 'blocked' ? '🚫' : '📝';
 
             tasksHTML += `
-                <div class="calendar-task-item ${task.completed ? 'completed' : ''}" data-task-id="${this.escapeHtml(task.id)}">
+                <div class="calendar-task-item ${task.completed ? 'completed' : ''}" draggable="true" data-task-id="${this.escapeHtml(task.id)}">
                     <div class="calendar-task-status">${statusIcon}</div>
                     <div class="calendar-task-content">
                         <div class="calendar-task-title">${this.escapeHtml(task.text)}</div>
                         <div class="calendar-task-meta">
+                            ${task.dueTime ? `<span class="calendar-task-time ${task.isOverdue() ? 'overdue' : ''}"><i class="fas fa-clock"></i> ${this.formatTaskTime(task)}</span>` : ''}
                             ${project ? `<span class="calendar-task-project" style="color: ${this.escapeHtml(project.color)}">${project.icon} ${this.escapeHtml(project.name)}</span>` : ''}
                             ${task.priority === 'high' ? '<span class="calendar-task-priority high">High Priority</span>' : ''}
                         </div>
@@ -221,43 +442,136 @@ class CalendarView {
             `;
         });
 
+        // Upcoming repeats open the open instance they were projected from
+        projected.forEach(task => {
+            tasksHTML += `
+                <div class="calendar-task-item projected" data-task-id="${this.escapeHtml(task.id)}">
+                    <div class="calendar-task-status"><i class="fas fa-redo"></i></div>
+                    <div class="calendar-task-content">
+                        <div class="calendar-task-title">${this.escapeHtml(task.text)}</div>
+                        <div class="calendar-task-meta">
+                            <span>Upcoming repeat</span>
+                            <span>${this.escapeHtml(RecurrenceRule.describe(task.recurrence))}</span>
+                            ${task.dueTime ? `<span class="calendar-task-time"><i class="fas fa-clock"></i> ${this.formatTaskTime(task)}</span>` : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+        });
+
         tasksHTML += '</div>';
         panel.innerHTML = tasksHTML;
 
-        // Add click handlers to task items
-        const taskItems = panel.querySelectorAll('.calendar-task-item');
-        taskItems.forEach(item => {
-            item.addEventListener('click', () => {
-                const taskId = item.dataset.taskId;
-                // Trigger task details view
-                if (window.showTaskDetails) {
-                    window.showTaskDetails(taskId);
-                }
-            });
+        const form = document.getElementById('calendarAddTaskForm');
+        const input = document.getElementById('calendarAddTaskInput');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.addTaskForDate(dateStr, input.value)) {
+                // Adding re-renders the calendar, so refocus the new field to keep typing
+                document.getElementById('calendarAddTaskInput')?.focus();
+            }
         });
+        if (focusAddTask) {
+            input.focus();
+        }
     }
 
     /**
-     * Attach event listeners
+     * Select a day and show its tasks
+     * Empty days focus the add task field so a task can be typed straight away.
+     * @param {string} dateStr - Date in YYYY-MM-DD format
      */
-    attachEventListeners() {
-        // Previous month
-        const prevBtn = document.getElementById('calendarPrevMonth');
-        if (prevBtn) {
-            prevBtn.addEventListener('click', () => {
-                this.currentDate.setMonth(this.currentDate.getMonth() - 1);
-                this.render();
-            });
+    selectDate(dateStr) {
+        this.container.querySelectorAll('[data-date]').forEach(d => {
+            d.classList.toggle('selected', d.dataset.date === dateStr);
+        });
+
+        const isEmpty = this.getTasksForDate(dateStr).length === 0 && !this.projections.has(dateStr);
+        this.showTasksForDate(dateStr, isEmpty);
+    }
+
+    /**
+     * Add a task due on a date
+     * The text is read like quick add, so a typed date, priority, tag or project overrides the defaults.
+     * Relative dates count from the chosen day, so a time on its own keeps the task on that day.
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {string} text - Task text
+     * @returns {Task|null} - The new task, or null for empty text
+     */
+    addTaskForDate(dateStr, text) {
+        if (!text.trim()) return null;
+
+        const parsed = QuickAddParser.parse(text.trim(), {
+            projects: this.taskDataManager.getAllProjects(),
+            today: DateUtils.parseDate(dateStr)
+        });
+        return this.taskDataManager.addTask(QuickAddParser.toTaskData(parsed, {
+            projectId: DEFAULT_PROJECTS.INBOX,
+            dueDate: dateStr
+        }));
+    }
+
+    /**
+     * Change a task's due date after it was dropped on another day
+     * @param {string} taskId - Task ID
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     */
+    moveTaskToDate(taskId, dateStr) {
+        const task = this.taskDataManager.getTaskById(taskId);
+        if (!task || DateUtils.toDateKey(task.dueDate) === dateStr) return;
+
+        this.taskDataManager.updateTask(taskId, { dueDate: dateStr });
+
+        if (window.showNotification) {
+            const label = DateUtils.parseDate(dateStr).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+            window.showNotification(`"${task.text}" moved to ${label}`);
         }
+    }
 
-        // Next month
-        const nextBtn = document.getElementById('calendarNextMonth');
-        if (nextBtn) {
-            nextBtn.addEventListener('click', () => {
-                this.currentDate.setMonth(this.currentDate.getMonth() + 1);
-                this.render();
-            });
+    /**
+     * Move the calendar one page (month, week or agenda page) back or forward
+     * @param {number} direction - -1 or 1
+     */
+    navigate(direction) {
+        if (this.mode === 'week') {
+            this.currentDate = DateUtils.addDays(this.currentDate, 7 * direction);
+        } else if (this.mode === 'agenda') {
+            this.currentDate = DateUtils.addDays(this.currentDate, CALENDAR_AGENDA_DAYS * direction);
+        } else {
+            this.currentDate = DateUtils.addMonths(this.currentDate, direction);
         }
+        this.render();
+    }
+
+    /**
+     * Switch the calendar mode and remember it in task settings
+     * @param {string} mode - month|week|agenda
+     */
+    setMode(mode) {
+        if (!CALENDAR_MODES.some(m => m.value === mode) || mode === this.mode) return;
+
+        this.mode = mode;
+        this.taskDataManager.settings.calendarMode = mode;
+        this.taskDataManager.saveToStorage();
+        this.render();
+    }
+
+    /**
+     * Attach event listeners
+     * Listeners go on the rendered layout, which is replaced on every render.
+     */
+    attachEventListeners() {
+        const layout = this.container.querySelector('.calendar-layout');
+        if (!layout) return;
+
+        // Mode switcher
+        layout.querySelectorAll('.calendar-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+
+        // Previous / next page
+        document.getElementById('calendarPrev')?.addEventListener('click', () => this.navigate(-1));
+        document.getElementById('calendarNext')?.addEventListener('click', () => this.navigate(1));
 
         // Today button
         const todayBtn = document.getElementById('calendarToday');
@@ -268,23 +582,85 @@ class CalendarView {
             });
         }
 
-        // Day clicks
-        const dayElements = this.container.querySelectorAll('.calendar-day:not(.other-month)');
-        dayElements.forEach(day => {
-            day.addEventListener('click', () => {
-                // Remove previous selection
-                this.container.querySelectorAll('.calendar-day').forEach(d => {
-                    d.classList.remove('selected');
-                });
-                // Add selection
-                day.classList.add('selected');
-                // Show tasks
-                const dateStr = day.dataset.date;
-                this.showTasksForDate(dateStr);
+        // Week start
+        const weekStartSelect = document.getElementById('calendarWeekStart');
+        if (weekStartSelect) {
+            weekStartSelect.addEventListener('change', () => {
+                DateUtils.setWeekStart(parseInt(weekStartSelect.value, 10));
+                this.render();
             });
+        }
+
+        // Task clicks open the detail panel; day clicks select the day
+        layout.addEventListener('click', (e) => {
+            const taskItem = e.target.closest('.calendar-event, .calendar-task-item');
+            if (taskItem) {
+                if (window.showTaskDetails) {
+                    window.showTaskDetails(taskItem.dataset.taskId);
+                }
+                return;
+            }
+
+            const day = this.getDropTarget(e.target);
+            if (day) {
+                this.selectDate(day.dataset.date);
+            }
+        });
+
+        // Drag tasks between days to reschedule them
+        layout.addEventListener('dragstart', (e) => {
+            const taskItem = e.target.closest?.('[draggable="true"][data-task-id]');
+            if (!taskItem) return;
+
+            e.dataTransfer.setData('text/plain', taskItem.dataset.taskId);
+            e.dataTransfer.effectAllowed = 'move';
+            taskItem.classList.add('dragging');
+        });
+
+        layout.addEventListener('dragend', (e) => {
+            e.target.classList?.remove('dragging');
+            layout.querySelectorAll('.drag-over').forEach(d => d.classList.remove('drag-over'));
+        });
+
+        layout.addEventListener('dragover', (e) => {
+            const day = this.getDropTarget(e.target);
+            if (!day) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            day.classList.add('drag-over');
+        });
+
+        layout.addEventListener('dragleave', (e) => {
+            const day = this.getDropTarget(e.target);
+            if (day && !day.contains(e.relatedTarget)) {
+                day.classList.remove('drag-over');
+            }
+        });
+
+        layout.addEventListener('drop', (e) => {
+            const day = this.getDropTarget(e.target);
+            if (!day) return;
+
+            e.preventDefault();
+            day.classList.remove('drag-over');
+            const taskId = e.dataTransfer.getData('text/plain');
+            if (taskId) {
+                this.moveTaskToDate(taskId, day.dataset.date);
+            }
         });
     }
 
+    /**
+     * Find the day cell an event happened in
+     * @param {Element} target - Event target
+     * @returns {Element|null} - Day element with a data-date, ignoring days outside the month
+     */
+    getDropTarget(target) {
+        const day = target.closest?.('[data-date]');
+        return day && !day.classList.contains('other-month') ? day : null;
+    }
+
     /**
      * Add inline styles for calendar
      */
@@ -310,6 +686,7 @@ class CalendarView {
                 display: flex;
                 align-items: center;
                 justify-content: center;
+                flex-wrap: wrap;
                 margin-bottom: 12px;
                 gap: 8px;
             }
@@ -346,6 +723,14 @@ class CalendarView {
             .calendar-today-btn:hover {
                 opacity: 0.9;
             }
+            .calendar-week-start {
+                background: var(--background-color);
+                border: 1px solid var(--border-color);
+                border-radius: 4px;
+                padding: 5px 8px;
+                color: var(--text-color);
+                font-size: 12px;
+            }
             .calendar-weekdays {
                 display: grid;
                 grid-template-columns: repeat(7, 1fr);
@@ -532,6 +917,206 @@ class CalendarView {
                 color: #ef4444;
                 font-weight: 600;
             }
+            .calendar-task-time.overdue {
+                color: #ef4444;
+            }
+            .calendar-mode-switcher {
+                display: flex;
+                border: 1px solid var(--border-color);
+                border-radius: 4px;
+                overflow: hidden;
+                margin-right: auto;
+            }
+            .calendar-mode-btn {
+                background: var(--background-color);
+                border: none;
+                padding: 6px 10px;
+                cursor: pointer;
+                color: var(--text-color);
+                font-size: 12px;
+            }
+            .calendar-mode-btn + .calendar-mode-btn {
+                border-left: 1px solid var(--border-color);
+            }
+            .calendar-mode-btn.active {
+                background: var(--primary-color);
+                color: white;
+            }
+            .calendar-week-start {
+                margin-left: auto;
+            }
+            .projected-count {
+                opacity: 0.8;
+            }
+            .calendar-week {
+                display: grid;
+                grid-template-columns: repeat(7, minmax(0, 1fr));
+                gap: 3px;
+                min-height: 420px;
+            }
+            .calendar-week-day,
+            .calendar-agenda-day {
+                border: 1px solid var(--border-color);
+                border-radius: 4px;
+                padding: 6px;
+                cursor: pointer;
+                transition: background 0.2s, border-color 0.2s;
+            }
+            .calendar-week-day {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                min-width: 0;
+            }
+            .calendar-week-day:hover,
+            .calendar-agenda-day:hover {
+                background: var(--background-hover);
+            }
+            .calendar-week-day.today,
+            .calendar-agenda-day.today {
+                border-color: var(--primary-color);
+                background: rgba(59, 130, 246, 0.1);
+            }
+            .calendar-week-day.selected,
+            .calendar-agenda-day.selected {
+                border-color: var(--primary-color);
+                box-shadow: inset 0 0 0 1px var(--primary-color);
+            }
+            .calendar-week-day.past-day .calendar-week-day-header,
+            .calendar-agenda-day.past-day .calendar-agenda-date {
+                opacity: 0.6;
+            }
+            .calendar-week-day-header {
+                display: flex;
+                align-items: baseline;
+                justify-content: space-between;
+                font-size: 11px;
+                font-weight: 600;
+                color: var(--text-muted);
+            }
+            .calendar-week-day-number {
+                font-size: 16px;
+                color: var(--text-color);
+            }
+            .calendar-week-day-tasks,
+            .calendar-agenda-tasks {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+            }
+            .calendar-agenda {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                max-height: calc(100vh - 260px);
+                overflow-y: auto;
+            }
+            .calendar-agenda-date {
+                font-size: 13px;
+                font-weight: 600;
+                margin-bottom: 6px;
+            }
+            .calendar-agenda-today {
+                margin-left: 6px;
+                padding: 1px 6px;
+                border-radius: 10px;
+                background: var(--primary-color);
+                color: white;
+                font-size: 10px;
+            }
+            .calendar-agenda-empty {
+                font-size: 12px;
+                color: var(--text-muted);
+            }
+            .calendar-event {
+                display: flex;
+                flex-direction: column;
+                padding: 4px 6px;
+                border-radius: 4px;
+                border-left: 3px solid var(--border-color);
+                background: var(--background-hover);
+                font-size: 12px;
+                cursor: grab;
+                min-width: 0;
+            }
+            .calendar-agenda .calendar-event {
+                flex-direction: row;
+                gap: 8px;
+            }
+            .calendar-event.priority-high {
+                border-left-color: #ef4444;
+            }
+            .calendar-event.priority-medium {
+                border-left-color: #f59e0b;
+            }
+            .calendar-event.priority-low {
+                border-left-color: #10b981;
+            }
+            .calendar-event.completed {
+                opacity: 0.6;
+                text-decoration: line-through;
+            }
+            .calendar-event.overdue .calendar-event-time {
+                color: #ef4444;
+            }
+            .calendar-event.projected {
+                background: transparent;
+                border: 1px dashed var(--border-color);
+                color: var(--text-muted);
+                cursor: pointer;
+            }
+            .calendar-event.dragging,
+            .calendar-task-item.dragging {
+                opacity: 0.4;
+            }
+            .calendar-event-time {
+                font-size: 11px;
+                color: var(--text-muted);
+                white-space: nowrap;
+            }
+            .calendar-event-title {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .calendar-day.drag-over,
+            .calendar-week-day.drag-over,
+            .calendar-agenda-day.drag-over {
+                background: rgba(59, 130, 246, 0.15);
+                border-color: var(--primary-color);
+                border-style: dashed;
+            }
+            .calendar-add-task {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 12px;
+            }
+            .calendar-add-task input {
+                flex: 1;
+                padding: 8px 10px;
+                border: 1px solid var(--border-color);
+                border-radius: 4px;
+                background: var(--background-color);
+                color: var(--text-color);
+                font-size: 13px;
+            }
+            .calendar-add-task-btn {
+                background: var(--primary-color);
+                border: none;
+                border-radius: 4px;
+                padding: 0 12px;
+                color: white;
+                cursor: pointer;
+            }
+            .calendar-task-item.projected {
+                background: transparent;
+                border: 1px dashed var(--border-color);
+                opacity: 0.8;
+            }
+            .calendar-task-item.projected .calendar-task-status {
+                font-size: 14px;
+                color: var(--text-muted);
+            }
         `;
         document.head.appendChild(style);
     }
@@ -0,0 +1,149 @@
+/**
+ * Dependency Graph
+ * Collects everything upstream (blockers, their blockers, ...) and downstream (dependents, their
+ * dependents, ...) of a task for the dependency graph in the task detail panel, and lists the
+ * tasks and subtasks that could be added as blockers. Used by todo.js, which draws the graph.
+ *
+ * Nodes are tasks placed in columns by level: the selected task is level 0, blockers are at
+ * negative levels and dependents at positive ones. A node sits one column past the furthest node
+ * linked into it, so every arrow points right. Subtasks that block something are listed inside
+ * their parent's node and their arrows start from the subtask.
+ */
+
+/**
+ * @typedef {Object} DependencyGraphNode
+ * @property {Task} task
+ * @property {number} level - Column relative to the selected task
+ * @property {Subtask[]} subtasks - Subtasks of the task that block another node
+ * @property {boolean} selected - The task the graph was built for
+ */
+
+/**
+ * @typedef {Object} DependencyGraphEdge
+ * @property {string} from - Blocker reference ("taskId" or "taskId:subtaskId")
+ * @property {string} fromTaskId - Task ID of the blocker (the parent for subtask blockers)
+ * @property {string|null} subtaskId - Subtask ID for subtask blockers
+ * @property {string} to - Blocked task ID
+ * @property {boolean} completed - The blocker is completed
+ */
+
+const DependencyGraph = {
+    /**
+     * Build the graph around a task
+     * @param {string} taskId - Selected task
+     * @param {TaskDataManager} manager
+     * @returns {{columns: Array<{level: number, nodes: DependencyGraphNode[]}>, nodes: DependencyGraphNode[], edges: DependencyGraphEdge[]}|null}
+     *   - null if the task doesn't exist
+     */
+    build(taskId, manager) {
+        const root = manager.getTaskById(taskId);
+        if (!root) return null;
+
+        const levels = new Map([[taskId, 0]]);
+        const edges = new Map();
+        const addEdge = (ref, to) => {
+            const { taskId: fromTaskId, subtaskId } = manager.parseBlockerReference(ref);
+            edges.set(`${ref}>${to}`, {
+                from: ref,
+                fromTaskId,
+                subtaskId,
+                to,
+                completed: manager.isBlockerCompleted(ref)
+            });
+        };
+
+        // Blockers move further left each time a longer path to them is found
+        const walkUpstream = (id, visiting = new Set()) => {
+            const task = manager.getTaskById(id);
+            if (!task || visiting.has(id)) return; // Dependencies are acyclic; guard anyway
+            visiting.add(id);
+            task.blockedBy.forEach(ref => {
+                if (!manager.getBlockerInfo(ref)) return;
+                const { taskId: blockerId } = manager.parseBlockerReference(ref);
+                if (blockerId === taskId) return;
+                addEdge(ref, id);
+                const level = levels.get(id) - 1;
+                if (!levels.has(blockerId) || levels.get(blockerId) > level) {
+                    levels.set(blockerId, level);
+                    walkUpstream(blockerId, visiting);
+                }
+            });
+            visiting.delete(id);
+        };
+
+        // Dependents move further right the same way
+        const walkDownstream = (id, visiting = new Set()) => {
+            if (visiting.has(id)) return;
+            visiting.add(id);
+            manager.getBlockedTasks(id).forEach(dependent => {
+                if (dependent.id === taskId || levels.get(dependent.id) < 0) return;
+                dependent.blockedBy
+                    .filter(ref => manager.parseBlockerReference(ref).taskId === id && manager.getBlockerInfo(ref))
+                    .forEach(ref => addEdge(ref, dependent.id));
+                const level = levels.get(id) + 1;
+                if (!levels.has(dependent.id) || levels.get(dependent.id) < level) {
+                    levels.set(dependent.id, level);
+                    walkDownstream(dependent.id, visiting);
+                }
+            });
+            visiting.delete(id);
+        };
+
+        walkUpstream(taskId);
+        walkDownstream(taskId);
+
+        const edgeList = [...edges.values()];
+        const nodes = [...levels.entries()].map(([id, level]) => {
+            const task = manager.getTaskById(id);
+            const subtaskIds = new Set(edgeList
+                .filter(edge => edge.fromTaskId === id && edge.subtaskId)
+                .map(edge => edge.subtaskId));
+            return {
+                task,
+                level,
+                subtasks: task.subtasks.filter(subtask => subtaskIds.has(subtask.id)),
+                selected: id === taskId
+            };
+        });
+
+        const columns = [...new Set(nodes.map(node => node.level))]
+            .sort((a, b) => a - b)
+            .map(level => ({ level, nodes: nodes.filter(node => node.level === level) }));
+
+        return { columns, nodes, edges: edgeList };
+    },
+
+    /**
+     * List the open tasks and subtasks that could block a task
+     * Candidates that would close a loop are kept (so the user can see why they can't be picked)
+     * but marked as not allowed, using the same check as addDependency().
+     * @param {string} taskId - Task that would be blocked
+     * @param {TaskDataManager} manager
+     * @returns {Array<{ref: string, task: Task, subtask: Subtask|null, allowed: boolean}>}
+     */
+    getBlockerCandidates(taskId, manager) {
+        const task = manager.getTaskById(taskId);
+        if (!task) return [];
+
+        const candidates = [];
+        manager.getAllTasks()
+            .filter(t => t.id !== taskId && !t.completed)
+            .forEach(t => {
+                const allowed = manager.validateNoCycles(taskId, t.id);
+                if (!task.blockedBy.includes(t.id)) {
+                    candidates.push({ ref: t.id, task: t, subtask: null, allowed });
+                }
+                t.subtasks
+                    .filter(subtask => !subtask.completed && !task.blockedBy.includes(`${t.id}:${subtask.id}`))
+                    .forEach(subtask => {
+                        candidates.push({ ref: `${t.id}:${subtask.id}`, task: t, subtask, allowed });
+                    });
+            });
+        return candidates;
+    }
+};
+
+// Export to global scope
+window.DependencyGraph = DependencyGraph;
+
+Logger.debug('dependency-graph.js loaded');
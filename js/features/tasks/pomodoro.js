@@ -72,6 +72,7 @@ class PomodoroTimer {
 
         this.saveState();
         this.startInterval();
+        this.emit('pomodoro:started', { taskId, taskText });
     }
 
     /**
@@ -83,6 +84,7 @@ class PomodoroTimer {
         this.state.isPaused = true;
         this.stopInterval();
         this.saveState();
+        this.emit('pomodoro:paused', { taskId: this.state.taskId });
     }
 
     /**
@@ -94,6 +96,7 @@ class PomodoroTimer {
         this.state.isPaused = false;
         this.saveState();
         this.startInterval();
+        this.emit('pomodoro:resumed', { taskId: this.state.taskId });
     }
 
     /**
@@ -104,6 +107,7 @@ class PomodoroTimer {
         this.state.isPaused = false;
         this.stopInterval();
         this.saveState();
+        this.emit('pomodoro:stopped', { taskId: this.state.taskId });
     }
 
     /**
@@ -166,6 +170,12 @@ class PomodoroTimer {
             if (this.callbacks.onPomodoroComplete) {
                 this.callbacks.onPomodoroComplete(this.state.taskId);
             }
+
+            this.emit('pomodoro:completed', {
+                taskId: this.state.taskId,
+                taskText: this.state.taskText,
+                totalPomodoros: this.state.totalPomodoros
+            });
         }
 
         // Determine next session type
@@ -200,6 +210,11 @@ class PomodoroTimer {
         if (this.callbacks.onSessionComplete) {
             this.callbacks.onSessionComplete(completedSession, this.state.sessionType);
         }
+        this.emit('pomodoro:session-completed', {
+            taskId: this.state.taskId,
+            completedSession,
+            nextSession: this.state.sessionType
+        });
 
         this.saveState();
     }
@@ -245,6 +260,15 @@ class PomodoroTimer {
         }
     }
 
+    /**
+     * Publish a domain event on the shared event bus (catalogue in event-bus.js)
+     */
+    emit(event, data) {
+        if (window.eventBus) {
+            window.eventBus.emit(event, data);
+        }
+    }
+
     /**
      * Save state to localStorage
      */
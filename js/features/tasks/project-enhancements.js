@@ -389,18 +389,11 @@ window.getSortedTasks = function(tasks) {
             sorted.sort((a, b) => priorityOrderLow[a.priority] - priorityOrderLow[b.priority]);
             break;
         case 'due-date-asc':
-            sorted.sort((a, b) => {
-                if (!a.dueDate) return 1;
-                if (!b.dueDate) return -1;
-                return new Date(a.dueDate) - new Date(b.dueDate);
-            });
+            sorted.sort(Task.compareByDue);
             break;
         case 'due-date-desc':
-            sorted.sort((a, b) => {
-                if (!a.dueDate) return 1;
-                if (!b.dueDate) return -1;
-                return new Date(b.dueDate) - new Date(a.dueDate);
-            });
+            // Latest due first, tasks without a due date still last
+            sorted.sort((a, b) => (!a.dueDate || !b.dueDate) ? Task.compareByDue(a, b) : Task.compareByDue(b, a));
             break;
         case 'created-new':
             sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -0,0 +1,574 @@
+/**
+ * Quick Add Parser
+ * Reads task fields out of natural-language input, e.g.
+ * "Send report tomorrow 3pm !high #work @Marketing every friday"
+ * Used by the quick add bar and the command palette (todo.js) and the quick add input (ui-extensions.js).
+ */
+
+// Weekday words indexed to Date.getDay(); abbreviations only count after "on", "next" or "every"
+const QUICK_ADD_WEEKDAYS = {
+    sunday: 0, sun: 0,
+    monday: 1, mon: 1,
+    tuesday: 2, tue: 2, tues: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thur: 4, thurs: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6
+};
+
+const QUICK_ADD_MONTHS = {
+    january: 0, jan: 0,
+    february: 1, feb: 1,
+    march: 2, mar: 2,
+    april: 3, apr: 3,
+    may: 4,
+    june: 5, jun: 5,
+    july: 6, jul: 6,
+    august: 7, aug: 7,
+    september: 8, sep: 8, sept: 8,
+    october: 9, oct: 9,
+    november: 10, nov: 10,
+    december: 11, dec: 11
+};
+
+/**
+ * @typedef {Object} QuickAddChip
+ * @property {string} type - due|priority|project|tag|recurrence
+ * @property {string} label - Text shown in the preview
+ */
+
+/**
+ * @typedef {Object} QuickAddResult
+ * @property {string} text - Task text with the recognized words removed
+ * @property {string|null} dueDate - YYYY-MM-DD
+ * @property {string|null} dueTime - HH:MM (24-hour)
+ * @property {string|null} priority - TaskPriority value
+ * @property {string[]} tags - Tags without the leading #
+ * @property {string|null} projectId - Project matched by @name
+ * @property {RecurrenceData|null} recurrence - Rule matched by "every ..."
+ * @property {QuickAddChip[]} chips - What was recognized, in display order
+ */
+
+const QuickAddParser = {
+    PRIORITIES: {
+        high: 'high', h: 'high', 1: 'high',
+        medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+        low: 'low', l: 'low', 3: 'low'
+    },
+    UNITS: { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' },
+    DATE_CONNECTORS: ['on', 'by', 'due'],
+
+    /**
+     * Parse quick add input
+     * Each field is taken from its first match; later duplicates stay in the text.
+     * Words in double quotes are never parsed. Input with nothing left over is kept as plain text.
+     * @param {string} input - Raw input
+     * @param {Object} [options]
+     * @param {Array<{id: string, name: string}>} [options.projects] - Projects @name can refer to
+     * @param {Date} [options.today] - Reference date (defaults to now)
+     * @returns {QuickAddResult}
+     */
+    parse(input, options = {}) {
+        const today = DateUtils.startOfDay(options.today || new Date());
+        const context = { today, projects: options.projects || [] };
+        const words = this.tokenize(input || '');
+        const result = this.emptyResult((input || '').trim());
+        const kept = [];
+
+        for (let i = 0; i < words.length;) {
+            const match = words[i].quoted ? null : this.matchAt(words, i, context);
+
+            if (match && (match.type === 'tag' || result[match.field] === null)) {
+                if (match.type === 'tag') {
+                    if (!result.tags.includes(match.value)) result.tags.push(match.value);
+                } else {
+                    result[match.field] = match.value;
+                }
+                i += match.length;
+            } else {
+                kept.push(words[i].text);
+                i++;
+            }
+        }
+
+        const text = kept.join(' ').trim();
+        if (!text) return this.emptyResult((input || '').trim());
+        result.text = text;
+
+        // A time or a repeat rule without a date starts today (or on the first matching weekday)
+        if (!result.dueDate && result.recurrence) {
+            result.dueDate = DateUtils.formatDate(this.firstOccurrence(result.recurrence, today));
+        } else if (!result.dueDate && result.dueTime) {
+            result.dueDate = DateUtils.formatDate(today);
+        }
+
+        result.chips = this.getChips(result, context);
+        return result;
+    },
+
+    /**
+     * Turn a parse result into addTask() data
+     * @param {QuickAddResult} parsed - Result of parse()
+     * @param {Partial<TaskData>} [defaults] - Fields used when the input doesn't set them (e.g. projectId)
+     * @returns {Partial<TaskData>}
+     */
+    toTaskData(parsed, defaults = {}) {
+        const data = { ...defaults, text: parsed.text };
+
+        if (parsed.projectId) data.projectId = parsed.projectId;
+        if (parsed.priority) data.priority = parsed.priority;
+        if (parsed.dueDate) data.dueDate = parsed.dueDate;
+        if (parsed.dueTime) data.dueTime = parsed.dueTime;
+        if (parsed.tags.length > 0) data.tags = [...parsed.tags];
+        if (parsed.recurrence) {
+            data.recurrence = parsed.recurrence;
+            data.isRecurring = true;
+        }
+
+        return data;
+    },
+
+    /**
+     * @param {string} text - Task text
+     * @returns {QuickAddResult}
+     */
+    emptyResult(text) {
+        return {
+            text,
+            dueDate: null,
+            dueTime: null,
+            priority: null,
+            tags: [],
+            projectId: null,
+            recurrence: null,
+            chips: []
+        };
+    },
+
+    /**
+     * Split input into words; a double-quoted run is one literal word
+     * @returns {Array<{text: string, lower: string, quoted: boolean}>}
+     */
+    tokenize(input) {
+        const words = [];
+        const pattern = /"([^"]+)"|\S+/g;
+        let match;
+
+        while ((match = pattern.exec(input)) !== null) {
+            const quoted = match[1] !== undefined;
+            const text = quoted ? match[1] : match[0];
+            words.push({
+                text,
+                lower: text.toLowerCase().replace(/[,.;]+$/, ''),
+                quoted
+            });
+        }
+
+        return words;
+    },
+
+    /**
+     * Lowercased word at an index (null past the end or for quoted words)
+     */
+    word(words, index) {
+        const word = words[index];
+        return word && !word.quoted ? word.lower : null;
+    },
+
+    /**
+     * Try every matcher at a position
+     * @returns {{type: string, field: string, value: *, length: number}|null}
+     */
+    matchAt(words, i, context) {
+        return this.matchPriority(words, i)
+            || this.matchTag(words, i)
+            || this.matchProject(words, i, context.projects)
+            || this.matchRecurrence(words, i)
+            || this.matchDate(words, i, context.today)
+            || this.matchTime(words, i);
+    },
+
+    /**
+     * !high, !h, !1 (also medium/med/m/2 and low/l/3)
+     */
+    matchPriority(words, i) {
+        const match = (this.word(words, i) || '').match(/^!(\w+)$/);
+        const priority = match && this.PRIORITIES[match[1]];
+        return priority ? { type: 'priority', field: 'priority', value: priority, length: 1 } : null;
+    },
+
+    /**
+     * #tag - letters, digits, dashes and underscores (what backups accept), starting with a letter so "#12" stays in the text
+     */
+    matchTag(words, i) {
+        const word = words[i];
+        const match = word.text.replace(/[,.;]+$/, '').match(/^#([A-Za-z][\w-]*)$/);
+        return match ? { type: 'tag', field: 'tags', value: match[1], length: 1 } : null;
+    },
+
+    /**
+     * @Name - matches a project name ignoring case, spaces, dashes and underscores;
+     * multi-word names can be typed with spaces ("@Side Project")
+     */
+    matchProject(words, i, projects) {
+        if (!words[i].text.startsWith('@') || words[i].text.length < 2) return null;
+
+        const normalize = name => name.toLowerCase().replace(/[\s_-]+/g, '');
+
+        for (let length = Math.min(4, words.length - i); length >= 1; length--) {
+            const candidate = words.slice(i, i + length);
+            if (candidate.some(word => word.quoted)) continue;
+
+            const name = normalize(candidate.map(word => word.text).join(' ').slice(1).replace(/[,.;]+$/, ''));
+            const project = projects.find(p => normalize(p.name) === name);
+            if (project) {
+                return { type: 'project', field: 'projectId', value: project.id, length };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * every day|week|month|year, every N days, every other week,
+     * every weekday, every weekend, every friday, every mon, wed and fri,
+     * every 2 weeks on mon, wed, every month on the 1st and 15th
+     */
+    matchRecurrence(words, i) {
+        if (this.word(words, i) !== 'every') return null;
+
+        let j = i + 1;
+        let interval = 1;
+        const next = this.word(words, j);
+
+        if (next === 'other') {
+            interval = 2;
+            j++;
+        } else if (/^\d+$/.test(next || '') && parseInt(next, 10) >= 1) {
+            interval = parseInt(next, 10);
+            j++;
+        }
+
+        const recurrence = (type, byDay = [], byMonthDay = []) => ({
+            type: 'recurrence',
+            field: 'recurrence',
+            value: RecurrenceRule.normalize({ type, interval, byDay, byMonthDay }),
+            length: j - i + 1
+        });
+
+        const unit = (this.word(words, j) || '').match(/^(day|week|month|year)s?$/);
+        if (unit) {
+            const type = this.UNITS[unit[1]];
+
+            // "on ..." after the unit says which days; read here so it isn't taken for a due date
+            if (this.word(words, j + 1) === 'on') {
+                const list = type === 'weekly' ? this.readWeekdays(words, j + 2)
+                    : type === 'monthly' ? this.readMonthDays(words, j + 2)
+                        : null;
+                if (list) {
+                    j = list.end;
+                    return type === 'weekly' ? recurrence(type, list.values) : recurrence(type, [], list.values);
+                }
+            }
+            return recurrence(type);
+        }
+        if (this.word(words, j) === 'weekday') return recurrence('weekly', ['MO', 'TU', 'WE', 'TH', 'FR']);
+        if (this.word(words, j) === 'weekend') return recurrence('weekly', ['SA', 'SU']);
+
+        const days = this.readWeekdays(words, j);
+        if (!days) return null;
+        j = days.end;
+        return recurrence('weekly', days.values);
+    },
+
+    /**
+     * Read a weekday list: "friday", "mon,wed,fri", "tue and thu"
+     * @returns {{values: string[], end: number}|null} - BYDAY codes and the index of the last word read
+     */
+    readWeekdays(words, j) {
+        const days = [];
+        let end = -1;
+        for (let k = j; k < words.length && !words[k].quoted; k++) {
+            if (words[k].lower === 'and' && days.length > 0) continue;
+
+            const parts = words[k].lower.split(',').filter(Boolean);
+            if (parts.length === 0 || !parts.every(part => part in QUICK_ADD_WEEKDAYS)) break;
+
+            parts.forEach(part => days.push(RECURRENCE_WEEKDAYS[QUICK_ADD_WEEKDAYS[part]]));
+            end = k;
+        }
+
+        return days.length > 0 ? { values: [...new Set(days)], end } : null;
+    },
+
+    /**
+     * Read days of the month: "the 1st", "the 1st and 15th", "1st, 15th"
+     * Numbers need an ordinal suffix so "on 3" isn't read as a day.
+     * @returns {{values: number[], end: number}|null} - BYMONTHDAY values and the index of the last word read
+     */
+    readMonthDays(words, j) {
+        if (this.word(words, j) === 'the') j++;
+
+        const days = [];
+        let end = -1;
+        for (let k = j; k < words.length && !words[k].quoted; k++) {
+            if ((words[k].lower === 'and' || words[k].lower === 'the') && days.length > 0) continue;
+
+            const parts = words[k].lower.split(',').filter(Boolean);
+            const numbers = parts.map(part => (part.match(/^(\d{1,2})(?:st|nd|rd|th)$/) || [])[1]).map(Number);
+            if (parts.length === 0 || !numbers.every(day => day >= 1 && day <= 31)) break;
+
+            days.push(...numbers);
+            end = k;
+        }
+
+        return days.length > 0 ? { values: [...new Set(days)].sort((a, b) => a - b), end } : null;
+    },
+
+    /**
+     * Dates, optionally after "on", "by" or "due": today, tomorrow, friday, next friday,
+     * next week|month|year, in 3 days, jan 15, 15th january, 2025-03-10, 3/10
+     */
+    matchDate(words, i, today) {
+        const connector = this.DATE_CONNECTORS.includes(this.word(words, i));
+        const start = connector ? i + 1 : i;
+        const date = this.readDate(words, start, today, connector);
+
+        if (!date) return null;
+        return {
+            type: 'due',
+            field: 'dueDate',
+            value: DateUtils.formatDate(date.value),
+            length: date.length + (connector ? 1 : 0)
+        };
+    },
+
+    /**
+     * Read a date expression starting at an index
+     * @param {boolean} allowShortWeekdays - Accept "fri" as well as "friday"
+     * @returns {{value: Date, length: number}|null}
+     */
+    readDate(words, i, today, allowShortWeekdays) {
+        const word = this.word(words, i);
+        if (!word) return null;
+
+        const addDays = days => DateUtils.addDays(today, days);
+
+        if (word === 'today') return { value: today, length: 1 };
+        if (word === 'tomorrow') return { value: addDays(1), length: 1 };
+
+        // friday (today counts), next friday (today doesn't)
+        const isWeekday = (name, allowShort) => name in QUICK_ADD_WEEKDAYS && (allowShort || name.length > 5);
+        if (isWeekday(word, allowShortWeekdays)) {
+            return { value: addDays((QUICK_ADD_WEEKDAYS[word] - today.getDay() + 7) % 7), length: 1 };
+        }
+
+        if (word === 'next') {
+            const next = this.word(words, i + 1);
+            if (isWeekday(next, true)) {
+                return { value: addDays((QUICK_ADD_WEEKDAYS[next] - today.getDay() + 7) % 7 || 7), length: 2 };
+            }
+            if (next === 'week') return { value: addDays((8 - today.getDay()) % 7 || 7), length: 2 };
+            if (next === 'month') return { value: new Date(today.getFullYear(), today.getMonth() + 1, 1), length: 2 };
+            if (next === 'year') return { value: new Date(today.getFullYear() + 1, 0, 1), length: 2 };
+            return null;
+        }
+
+        // in 3 days, in a week, in 2 months
+        if (word === 'in') {
+            const amount = this.word(words, i + 1);
+            const unit = (this.word(words, i + 2) || '').match(/^(day|week|month|year)s?$/);
+            const count = amount === 'a' || amount === 'an' ? 1 : (/^\d+$/.test(amount || '') ? parseInt(amount, 10) : 0);
+            if (!unit || count < 1) return null;
+
+            const value = unit[1] === 'day' ? addDays(count)
+                : unit[1] === 'week' ? addDays(count * 7)
+                    : DateUtils.addMonths(today, unit[1] === 'month' ? count : count * 12);
+            return { value, length: 3 };
+        }
+
+        return this.readAbsoluteDate(words, i, today);
+    },
+
+    /**
+     * 2025-03-10, 3/10, 3/10/2025, jan 15, january 15th 2026, 15 jan
+     * Dates without a year that have already passed mean next year.
+     */
+    readAbsoluteDate(words, i, today) {
+        const word = this.word(words, i);
+
+        const iso = word.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (iso) {
+            const value = this.makeDate(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+            return value ? { value, length: 1 } : null;
+        }
+
+        const slash = word.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+        if (slash) {
+            return this.resolveDate(today, parseInt(slash[1], 10) - 1, parseInt(slash[2], 10),
+                slash[3] ? parseInt(slash[3], 10) : null, 1);
+        }
+
+        const dayNumber = value => {
+            const match = (value || '').match(/^(\d{1,2})(st|nd|rd|th)?$/);
+            return match ? parseInt(match[1], 10) : null;
+        };
+        const yearAt = index => {
+            const value = this.word(words, index);
+            return /^\d{4}$/.test(value || '') ? parseInt(value, 10) : null;
+        };
+
+        // jan 15 [2026]
+        if (word in QUICK_ADD_MONTHS) {
+            const day = dayNumber(this.word(words, i + 1));
+            if (day === null) return null;
+            const year = yearAt(i + 2);
+            return this.resolveDate(today, QUICK_ADD_MONTHS[word], day, year, year ? 3 : 2);
+        }
+
+        // 15 jan [2026]
+        const day = dayNumber(word);
+        const month = this.word(words, i + 1);
+        if (day !== null && month in QUICK_ADD_MONTHS) {
+            const year = yearAt(i + 2);
+            return this.resolveDate(today, QUICK_ADD_MONTHS[month], day, year, year ? 3 : 2);
+        }
+
+        return null;
+    },
+
+    /**
+     * Build a month/day date in the given year, or the next one on or after today
+     * @returns {{value: Date, length: number}|null}
+     */
+    resolveDate(today, month, day, year, length) {
+        let value = this.makeDate(year || today.getFullYear(), month, day);
+        if (value && !year && value < today) {
+            value = this.makeDate(today.getFullYear() + 1, month, day);
+        }
+        return value ? { value, length } : null;
+    },
+
+    /**
+     * Local date, or null if the parts don't form a real date (e.g. Feb 30)
+     */
+    makeDate(year, month, day) {
+        const date = new Date(year, month, day);
+        return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+    },
+
+    /**
+     * Times, optionally after "at": 3pm, 3:30 pm, 15:00, noon, midnight
+     */
+    matchTime(words, i) {
+        const connector = this.word(words, i) === 'at';
+        const start = connector ? i + 1 : i;
+        const word = this.word(words, start);
+        if (!word) return null;
+
+        const time = (hours, minutes, length) => ({
+            type: 'time',
+            field: 'dueTime',
+            value: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+            length: length + (connector ? 1 : 0)
+        });
+        const to24 = (hours, meridiem) => (hours % 12) + (meridiem.startsWith('p') ? 12 : 0);
+
+        if (word === 'noon') return time(12, 0, 1);
+        if (word === 'midnight') return time(0, 0, 1);
+
+        const twelveHour = word.match(/^(\d{1,2})(?::([0-5]\d))?(am|pm|a|p)$/);
+        if (twelveHour && parseInt(twelveHour[1], 10) >= 1 && parseInt(twelveHour[1], 10) <= 12) {
+            return time(to24(parseInt(twelveHour[1], 10), twelveHour[3]), parseInt(twelveHour[2] || '0', 10), 1);
+        }
+
+        // "3 pm", "3:30 pm"
+        const hourOnly = word.match(/^(\d{1,2})(?::([0-5]\d))?$/);
+        const meridiem = this.word(words, start + 1);
+        if (hourOnly && (meridiem === 'am' || meridiem === 'pm')
+            && parseInt(hourOnly[1], 10) >= 1 && parseInt(hourOnly[1], 10) <= 12) {
+            return time(to24(parseInt(hourOnly[1], 10), meridiem), parseInt(hourOnly[2] || '0', 10), 2);
+        }
+
+        const twentyFourHour = word.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+        if (twentyFourHour) {
+            return time(parseInt(twentyFourHour[1], 10), parseInt(twentyFourHour[2], 10), 1);
+        }
+
+        return null;
+    },
+
+    /**
+     * First date a new recurring task is due: the first listed weekday or day of the month on or
+     * after today, otherwise today
+     */
+    firstOccurrence(recurrence, today) {
+        if (recurrence.type === 'monthly' && recurrence.byMonthDay.length > 0) {
+            for (let offset = 0; offset < 62; offset++) {
+                const date = DateUtils.addDays(today, offset);
+                if (RecurrenceRule.matchesMonthDay(recurrence, date)) return date;
+            }
+            return today;
+        }
+        if (recurrence.type !== 'weekly' || recurrence.byDay.length === 0) return today;
+
+        for (let offset = 0; offset < 7; offset++) {
+            const date = DateUtils.addDays(today, offset);
+            if (recurrence.byDay.includes(RECURRENCE_WEEKDAYS[date.getDay()])) return date;
+        }
+        return today;
+    },
+
+    /**
+     * Preview chips for a parse result
+     * @returns {QuickAddChip[]}
+     */
+    getChips(result, context) {
+        const chips = [];
+
+        if (result.dueDate) {
+            const label = this.describeDate(DateUtils.parseDate(result.dueDate), context.today);
+            chips.push({ type: 'due', label: result.dueTime ? `${label} ${this.describeTime(result.dueTime)}` : label });
+        }
+        if (result.priority) {
+            chips.push({ type: 'priority', label: `${result.priority.charAt(0).toUpperCase()}${result.priority.slice(1)} priority` });
+        }
+        if (result.projectId) {
+            const project = context.projects.find(p => p.id === result.projectId);
+            chips.push({ type: 'project', label: project ? project.name : result.projectId });
+        }
+        result.tags.forEach(tag => chips.push({ type: 'tag', label: `#${tag}` }));
+        if (result.recurrence) {
+            chips.push({ type: 'recurrence', label: RecurrenceRule.describe(result.recurrence) });
+        }
+
+        return chips;
+    },
+
+    /**
+     * "Today", "Tomorrow", "Friday" (within a week) or "Mar 10" ("Mar 10, 2027" in another year)
+     */
+    describeDate(date, today) {
+        const days = DateUtils.differenceInDays(date, today);
+        if (days === 0) return 'Today';
+        if (days === 1) return 'Tomorrow';
+        if (days > 1 && days < 7) return date.toLocaleDateString(undefined, { weekday: 'long' });
+
+        const options = { month: 'short', day: 'numeric' };
+        if (date.getFullYear() !== today.getFullYear()) options.year = 'numeric';
+        return date.toLocaleDateString(undefined, options);
+    },
+
+    /**
+     * "15:00" -> "3:00 PM"
+     */
+    describeTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+    }
+};
+
+// Export to global scope
+window.QuickAddParser = QuickAddParser;
+
+Logger.debug('quick-add-parser.js loaded');
@@ -0,0 +1,310 @@
+/**
+ * Recurrence Rules
+ * Calculates occurrences for recurring tasks using a subset of iCalendar RRULE:
+ * FREQ (type), INTERVAL, BYDAY, BYMONTHDAY, BYSETPOS, COUNT and UNTIL (endDate)
+ */
+
+// Weekday codes indexed by Date.getDay()
+const RECURRENCE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Where the next occurrence is counted from
+const RecurrenceRepeatFrom = {
+    DUE_DATE: 'due',
+    COMPLETION: 'completion'
+};
+
+/**
+ * @typedef {Object} RecurrenceData
+ * @property {string} type - FREQ: daily|weekly|monthly|yearly
+ * @property {number} [interval] - INTERVAL: periods between occurrences
+ * @property {string|null} [endDate] - UNTIL: last allowed date (YYYY-MM-DD, inclusive)
+ * @property {number|null} [count] - COUNT: total occurrences in the series
+ * @property {string[]} [byDay] - BYDAY codes; monthly/yearly accept an ordinal prefix ("2TU", "-1FR")
+ * @property {number[]} [byMonthDay] - BYMONTHDAY; negative values count back from month end
+ * @property {number[]} [bySetPos] - BYSETPOS; picks from each period's candidate dates
+ * @property {string} [repeatFrom] - 'due' (from due date) or 'completion' (from completion date)
+ * @property {number} [occurrence] - 1-based index of this instance within its series
+ */
+
+const RecurrenceRule = {
+    FREQUENCIES: ['daily', 'weekly', 'monthly', 'yearly'],
+    BYDAY_PATTERN: /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/,
+
+    // Safety net for rules that can never match (e.g. BYMONTHDAY=31 with FREQ=YEARLY in February)
+    MAX_PERIODS: 1000,
+
+    /**
+     * Fill defaults and drop invalid parts of a recurrence object
+     * Legacy {type, interval, endDate} objects normalize to the same behaviour as before.
+     * @param {RecurrenceData} rec - Stored recurrence
+     * @returns {RecurrenceData|null} - Normalized copy or null if the rule is unusable
+     */
+    normalize(rec) {
+        if (!rec || typeof rec !== 'object' || !this.FREQUENCIES.includes(rec.type)) return null;
+
+        const toInt = value => (typeof value === 'number' || typeof value === 'string') ? parseInt(value, 10) : NaN;
+        const intList = (value, max) => (Array.isArray(value) ? value : [])
+            .map(toInt)
+            .filter(n => Number.isInteger(n) && n !== 0 && Math.abs(n) <= max);
+
+        const interval = toInt(rec.interval);
+        const count = toInt(rec.count);
+        const occurrence = toInt(rec.occurrence);
+
+        return {
+            type: rec.type,
+            interval: interval >= 1 ? interval : 1,
+            endDate: typeof rec.endDate === 'string' && rec.endDate ? rec.endDate.split('T')[0] : null,
+            count: count >= 1 ? count : null,
+            byDay: (Array.isArray(rec.byDay) ? rec.byDay : [])
+                .filter(code => typeof code === 'string')
+                .map(code => code.toUpperCase())
+                .filter(code => this.BYDAY_PATTERN.test(code)),
+            byMonthDay: intList(rec.byMonthDay, 31),
+            bySetPos: intList(rec.bySetPos, 366),
+            repeatFrom: rec.repeatFrom === RecurrenceRepeatFrom.COMPLETION
+                ? RecurrenceRepeatFrom.COMPLETION
+                : RecurrenceRepeatFrom.DUE_DATE,
+            occurrence: occurrence >= 1 ? occurrence : 1
+        };
+    },
+
+    /**
+     * Get the first occurrence strictly after a base date
+     * COUNT is checked against rec.occurrence, the index of the instance the base date belongs to.
+     * @param {RecurrenceData} rec - Recurrence rule
+     * @param {Date} baseDate - Due date or completion date of the current occurrence (local midnight)
+     * @returns {string|null} - Next date (YYYY-MM-DD) or null if the series has ended
+     */
+    getNextDate(rec, baseDate) {
+        const rule = this.normalize(rec);
+        if (!rule) return null;
+        if (rule.count && rule.occurrence >= rule.count) return null;
+
+        const base = DateUtils.startOfDay(baseDate);
+
+        for (let i = 0; i < this.MAX_PERIODS; i++) {
+            const periodStart = this.getPeriodStart(rule.type, base, i * rule.interval);
+            const candidates = this.expandPeriod(rule, periodStart, base);
+
+            const next = candidates.find(date => date > base);
+            if (next) {
+                const nextStr = DateUtils.formatDate(next);
+                if (rule.endDate && nextStr > rule.endDate) return null;
+                return nextStr;
+            }
+        }
+
+        Logger.warn('RecurrenceRule: No occurrence found within search window', rule);
+        return null;
+    },
+
+    /**
+     * Get the start of the period containing the base date, shifted by a number of periods
+     * Weeks start on Monday (RRULE default WKST=MO), whatever the user's week start setting.
+     * @param {string} type - Frequency
+     * @param {Date} base - Base date
+     * @param {number} offset - Number of periods to shift
+     * @returns {Date} - Period start
+     */
+    getPeriodStart(type, base, offset) {
+        switch (type) {
+            case 'daily':
+                return DateUtils.addDays(base, offset);
+            case 'weekly':
+                return DateUtils.addDays(DateUtils.startOfWeek(base, 1), 7 * offset);
+            case 'monthly':
+                return new Date(base.getFullYear(), base.getMonth() + offset, 1);
+            case 'yearly':
+                return new Date(base.getFullYear() + offset, 0, 1);
+        }
+        return null;
+    },
+
+    /**
+     * List the candidate dates of one period, sorted, with BYSETPOS applied
+     * @param {RecurrenceData} rule - Normalized rule
+     * @param {Date} periodStart - Start of the period
+     * @param {Date} anchor - Base date; supplies the default weekday/day-of-month/month
+     * @returns {Date[]} - Candidate dates
+     */
+    expandPeriod(rule, periodStart, anchor) {
+        let dates;
+
+        switch (rule.type) {
+            case 'daily':
+                dates = [periodStart].filter(date => this.matchesFilters(rule, date));
+                break;
+            case 'weekly': {
+                const weekdays = rule.byDay.length > 0
+                    ? rule.byDay.map(code => code.slice(-2))
+                    : [RECURRENCE_WEEKDAYS[anchor.getDay()]];
+                dates = [];
+                for (let i = 0; i < 7; i++) {
+                    const date = DateUtils.addDays(periodStart, i);
+                    if (weekdays.includes(RECURRENCE_WEEKDAYS[date.getDay()]) && this.matchesMonthDay(rule, date)) {
+                        dates.push(date);
+                    }
+                }
+                break;
+            }
+            case 'monthly':
+                dates = this.expandMonth(rule, periodStart.getFullYear(), periodStart.getMonth(), anchor);
+                break;
+            case 'yearly':
+                // Without BYMONTH, yearly rules repeat within the anchor's month
+                dates = this.expandMonth(rule, periodStart.getFullYear(), anchor.getMonth(), anchor);
+                break;
+            default:
+                dates = [];
+        }
+
+        return this.applySetPos(rule, dates);
+    },
+
+    /**
+     * List the dates of a month matching BYDAY/BYMONTHDAY
+     * With neither set, the anchor's day of month is used, clamped to shorter months.
+     */
+    expandMonth(rule, year, month, anchor) {
+        const daysInMonth = DateUtils.daysInMonth(year, month);
+
+        if (rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+            return [new Date(year, month, Math.min(anchor.getDate(), daysInMonth))];
+        }
+
+        const dates = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(year, month, day);
+            if (this.matchesFilters(rule, date, daysInMonth)) {
+                dates.push(date);
+            }
+        }
+        return dates;
+    },
+
+    /**
+     * Check a date against BYDAY (with optional ordinal within the month) and BYMONTHDAY
+     */
+    matchesFilters(rule, date, daysInMonth = DateUtils.daysInMonth(date.getFullYear(), date.getMonth())) {
+        if (!this.matchesMonthDay(rule, date, daysInMonth)) return false;
+        if (rule.byDay.length === 0) return true;
+
+        const weekday = RECURRENCE_WEEKDAYS[date.getDay()];
+        const day = date.getDate();
+
+        return rule.byDay.some(code => {
+            const [, ordinalStr, dayCode] = code.match(this.BYDAY_PATTERN);
+            if (dayCode !== weekday) return false;
+            if (!ordinalStr || rule.type === 'daily' || rule.type === 'weekly') return true;
+
+            const ordinal = parseInt(ordinalStr, 10);
+            return ordinal > 0
+                ? Math.ceil(day / 7) === ordinal
+                : Math.ceil((daysInMonth - day + 1) / 7) === -ordinal;
+        });
+    },
+
+    /**
+     * Check a date against BYMONTHDAY
+     */
+    matchesMonthDay(rule, date, daysInMonth = DateUtils.daysInMonth(date.getFullYear(), date.getMonth())) {
+        if (rule.byMonthDay.length === 0) return true;
+        const day = date.getDate();
+        return rule.byMonthDay.some(monthDay => monthDay > 0
+            ? day === monthDay
+            : day === daysInMonth + monthDay + 1);
+    },
+
+    /**
+     * Apply BYSETPOS to a period's sorted candidate dates
+     */
+    applySetPos(rule, dates) {
+        if (rule.bySetPos.length === 0) return dates;
+
+        const picked = rule.bySetPos
+            .map(pos => pos > 0 ? dates[pos - 1] : dates[dates.length + pos])
+            .filter(Boolean);
+
+        return [...new Set(picked.map(date => date.getTime()))]
+            .sort((a, b) => a - b)
+            .map(time => new Date(time));
+    },
+
+    /**
+     * Describe a rule in plain English, e.g. "Every 2 weeks on Mon, Wed, Fri"
+     * @param {RecurrenceData} rec - Recurrence rule
+     * @returns {string} - Human readable summary
+     */
+    describe(rec) {
+        const rule = this.normalize(rec);
+        if (!rule) return '';
+
+        const units = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+        const adverbs = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' };
+        const dayNames = { SU: 'Sunday', MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday' };
+
+        const parts = [rule.interval === 1 ? adverbs[rule.type] : `Every ${rule.interval} ${units[rule.type]}s`];
+
+        const plainDays = rule.byDay.map(code => code.slice(-2));
+        const dayGroup = this.getDayGroupName(plainDays, dayNames);
+
+        if (rule.bySetPos.length > 0 && rule.byDay.length > 0) {
+            parts.push(`on the ${rule.bySetPos.map(pos => this.ordinalName(pos)).join(' and ')} ${dayGroup}`);
+        } else if (rule.byDay.length > 0) {
+            const hasOrdinals = rule.byDay.some(code => code.length > 2);
+            parts.push(hasOrdinals && rule.type !== 'weekly' && rule.type !== 'daily'
+                ? 'on the ' + rule.byDay.map(code => {
+                    const ordinal = code.length > 2 ? this.ordinalName(parseInt(code.slice(0, -2), 10)) + ' ' : '';
+                    return ordinal + dayNames[code.slice(-2)];
+                }).join(', ')
+                : 'on ' + plainDays.map(code => dayNames[code].slice(0, 3)).join(', '));
+        }
+
+        if (rule.byMonthDay.length > 0) {
+            const monthDays = rule.byMonthDay.map(day => day < 0 ? `the ${this.ordinalName(day)} day` : `day ${day}`);
+            parts.push('on ' + monthDays.join(', '));
+        }
+
+        if (rule.repeatFrom === RecurrenceRepeatFrom.COMPLETION) {
+            parts.push('after completion');
+        }
+
+        let text = parts.join(' ');
+        if (rule.count) {
+            text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+        }
+        if (rule.endDate) {
+            text += `, until ${rule.endDate}`;
+        }
+        return text;
+    },
+
+    /**
+     * Name a group of weekdays ("weekday", "weekend day", "Tuesday" or a list)
+     */
+    getDayGroupName(days, dayNames) {
+        const sorted = [...new Set(days)].sort().join(',');
+        if (sorted === ['FR', 'MO', 'TH', 'TU', 'WE'].join(',')) return 'weekday';
+        if (sorted === ['SA', 'SU'].join(',')) return 'weekend day';
+        if (days.length === 7) return 'day';
+        return days.map(code => dayNames[code]).join('/');
+    },
+
+    /**
+     * Ordinal word for a position: 1 -> "first", -1 -> "last", -2 -> "second to last"
+     */
+    ordinalName(pos) {
+        const names = ['first', 'second', 'third', 'fourth', 'fifth'];
+        if (pos === -1) return 'last';
+        if (pos < 0) return `${names[-pos - 1] || `${-pos}th`} to last`;
+        return names[pos - 1] || `${pos}th`;
+    }
+};
+
+// Export to global scope
+window.RecurrenceRule = RecurrenceRule;
+window.RecurrenceRepeatFrom = RecurrenceRepeatFrom;
+window.RECURRENCE_WEEKDAYS = RECURRENCE_WEEKDAYS;
+
+Logger.debug('recurrence.js loaded');
@@ -0,0 +1,253 @@
+/**
+ * Saved Filters
+ * User-defined smart lists stored as task queries (see task-query.js), shown in the sidebar.
+ */
+
+const SAVED_FILTER_NAME_MAX_LENGTH = 50;
+const SAVED_FILTER_QUERY_MAX_LENGTH = 500;
+
+/**
+ * @typedef {Object} SavedFilterData
+ * @property {string} [id] - Unique identifier
+ * @property {string} name - Name shown in the sidebar
+ * @property {string} query - Task query
+ * @property {number} [position] - Sidebar order
+ * @property {string} [createdAt] - ISO timestamp
+ */
+
+/**
+ * Saved Filter Data Model
+ */
+class SavedFilter {
+    /**
+     * @param {SavedFilterData} data - Filter initialization data
+     */
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        this.name = data.name || '';
+        this.query = data.query || '';
+        this.position = data.position || 0;
+        this.createdAt = data.createdAt || new Date().toISOString();
+    }
+
+    generateId() {
+        return 'filter_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            query: this.query,
+            position: this.position,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+class SavedFiltersManager {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - Storage adapter (see storage-adapter.js); omit to use localStorage directly
+     */
+    constructor(options = {}) {
+        this.filters = [];
+        this.storage = options.storage || null;
+
+        if (this.storage) {
+            // Filters are edited one at a time, so the last writer wins
+            this.tracker = new RecordChangeTracker('id', { checkConflicts: false });
+            this.ready = this.loadFromAdapter();
+
+            if (this.storage.sync) {
+                this.storage.sync.subscribe(changes => this.applyRemoteChanges(changes), this.ready);
+            }
+        } else {
+            this.loadFromStorage();
+            this.ready = Promise.resolve();
+        }
+    }
+
+    async loadFromAdapter() {
+        try {
+            const records = await this.storage.getAll('savedFilters');
+            this.filters = records.map(r => new SavedFilter(r)).sort((a, b) => a.position - b.position);
+            this.tracker.reset(records);
+            Logger.debug('SavedFiltersManager: Loaded', this.filters.length, 'saved filters');
+        } catch (error) {
+            Logger.error('SavedFiltersManager: Error loading from storage', error);
+        }
+    }
+
+    applyRemoteChanges(changes) {
+        const change = changes.savedFilters;
+        if (!change) return;
+
+        this.filters = applyRecordChanges(this.filters, change, 'id', r => new SavedFilter(r))
+            .sort((a, b) => a.position - b.position);
+        this.tracker.accept(change);
+
+        const filterIds = [...(change.put || []).map(r => r.id), ...(change.delete || [])];
+        this.emit('filters:synced', { filterIds });
+    }
+
+    /**
+     * Publish a domain event on the shared event bus (catalogue in event-bus.js)
+     */
+    emit(event, data) {
+        if (window.eventBus) {
+            window.eventBus.emit(event, data);
+        }
+    }
+
+    async persistChanges() {
+        const change = this.tracker.diff(this.filters.map(f => f.toJSON()));
+
+        try {
+            await this.storage.commit({ savedFilters: change });
+            Logger.debug('SavedFiltersManager: Saved filters');
+        } catch (error) {
+            this.tracker.rollback(change);
+            Logger.error('SavedFiltersManager: Error saving to storage', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', {
+                    operation: 'save_saved_filters'
+                });
+            }
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const data = localStorage.getItem('savedFilters');
+            if (data) {
+                this.filters = JSON.parse(data).map(r => new SavedFilter(r)).sort((a, b) => a.position - b.position);
+                Logger.debug('SavedFiltersManager: Loaded', this.filters.length, 'saved filters');
+            }
+        } catch (error) {
+            Logger.error('SavedFiltersManager: Error loading from storage', error);
+        }
+    }
+
+    saveToStorage() {
+        if (this.storage) {
+            this.persistChanges();
+            return;
+        }
+
+        try {
+            localStorage.setItem('savedFilters', JSON.stringify(this.filters.map(f => f.toJSON())));
+            Logger.debug('SavedFiltersManager: Saved filters');
+        } catch (error) {
+            Logger.error('SavedFiltersManager: Error saving to storage', error);
+        }
+    }
+
+    /**
+     * Check a filter's name and query
+     * @param {{name: string, query: string}} data - Filter fields
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validate(data) {
+        const name = (data.name || '').trim();
+        const query = (data.query || '').trim();
+
+        if (!name) return 'Please enter a filter name';
+        if (name.length > SAVED_FILTER_NAME_MAX_LENGTH) {
+            return `Filter name must be ${SAVED_FILTER_NAME_MAX_LENGTH} characters or fewer`;
+        }
+        if (!query) return 'Please enter a query';
+        if (query.length > SAVED_FILTER_QUERY_MAX_LENGTH) {
+            return `Query must be ${SAVED_FILTER_QUERY_MAX_LENGTH} characters or fewer`;
+        }
+        return TaskQuery.parse(query).error;
+    }
+
+    /**
+     * Get all saved filters in sidebar order
+     * @returns {SavedFilter[]}
+     */
+    getAllFilters() {
+        return [...this.filters];
+    }
+
+    /**
+     * @param {string} filterId - Filter ID
+     * @returns {SavedFilter|null}
+     */
+    getFilterById(filterId) {
+        return this.filters.find(f => f.id === filterId) || null;
+    }
+
+    /**
+     * Add a saved filter
+     * @param {{name: string, query: string}} data - Filter fields
+     * @returns {SavedFilter|null} - New filter, or null if the name or query is invalid (see validate())
+     */
+    addFilter(data) {
+        const error = this.validate(data);
+        if (error) {
+            Logger.warn('SavedFiltersManager: Invalid filter -', error);
+            return null;
+        }
+
+        const filter = new SavedFilter({
+            name: data.name.trim(),
+            query: data.query.trim(),
+            position: this.filters.reduce((max, f) => Math.max(max, f.position + 1), 0)
+        });
+        this.filters.push(filter);
+        this.saveToStorage();
+        this.emit('filter:created', { filter });
+        return filter;
+    }
+
+    /**
+     * Change a saved filter's name and/or query
+     * @param {string} filterId - Filter ID
+     * @param {{name?: string, query?: string}} updates - Fields to change
+     * @returns {SavedFilter|null} - Updated filter, or null if not found or invalid
+     */
+    updateFilter(filterId, updates) {
+        const index = this.filters.findIndex(f => f.id === filterId);
+        if (index === -1) return null;
+
+        const previous = this.filters[index];
+        const name = updates.name !== undefined ? updates.name : previous.name;
+        const query = updates.query !== undefined ? updates.query : previous.query;
+        const error = this.validate({ name, query });
+        if (error) {
+            Logger.warn('SavedFiltersManager: Invalid filter -', error);
+            return null;
+        }
+
+        const filter = this.filters[index] = new SavedFilter({ ...previous, name: name.trim(), query: query.trim() });
+        const changes = ['name', 'query'].filter(field => previous[field] !== filter[field]);
+        if (changes.length > 0) {
+            this.saveToStorage();
+            this.emit('filter:updated', { filter, changes });
+        }
+        return filter;
+    }
+
+    /**
+     * Delete a saved filter
+     * @param {string} filterId - Filter ID
+     * @returns {boolean} - True if the filter existed
+     */
+    deleteFilter(filterId) {
+        const filter = this.getFilterById(filterId);
+        if (!filter) return false;
+
+        this.filters = this.filters.filter(f => f.id !== filterId);
+        this.saveToStorage();
+        this.emit('filter:deleted', { filterId, filter });
+        return true;
+    }
+}
+
+// Export to global scope
+window.SavedFilter = SavedFilter;
+window.SavedFiltersManager = SavedFiltersManager;
+
+Logger.debug('saved-filters.js loaded');
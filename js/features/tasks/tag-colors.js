@@ -4,15 +4,77 @@
  */
 
 class TagColorsManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - Storage adapter (see storage-adapter.js); omit to use localStorage directly
+     */
+    constructor(options = {}) {
         this.tagColors = new Map();
-        this.init();
+        this.storage = options.storage || null;
+
+        if (this.storage) {
+            // Colors are independent per tag, so the last writer wins
+            this.tracker = new RecordChangeTracker('tag', { checkConflicts: false });
+            this.ready = this.loadFromAdapter();
+
+            if (this.storage.sync) {
+                this.storage.sync.subscribe(changes => this.applyRemoteChanges(changes), this.ready);
+            }
+        } else {
+            this.init();
+            this.ready = Promise.resolve();
+        }
     }
 
     init() {
         this.loadFromStorage();
     }
 
+    async loadFromAdapter() {
+        try {
+            const records = await this.storage.getAll('tagColors');
+            this.tagColors = new Map(records.map(r => [r.tag, r.color]));
+            this.tracker.reset(records);
+            Logger.debug('TagColorsManager: Loaded', this.tagColors.size, 'tag colors');
+        } catch (error) {
+            Logger.error('TagColorsManager: Error loading from storage', error);
+        }
+    }
+
+    applyRemoteChanges(changes) {
+        const change = changes.tagColors;
+        if (!change) return;
+
+        if (change.clear) this.tagColors.clear();
+        change.put.forEach(r => this.tagColors.set(r.tag, r.color));
+        change.delete.forEach(tag => this.tagColors.delete(tag));
+        this.tracker.accept(change);
+
+        change.put.forEach(r => this.emit('tag:color-changed', { tag: r.tag, color: r.color }));
+        change.delete.forEach(tag => this.emit('tag:color-changed', { tag, color: null }));
+    }
+
+    /**
+     * Publish a domain event on the shared event bus (catalogue in event-bus.js)
+     */
+    emit(event, data) {
+        if (window.eventBus) {
+            window.eventBus.emit(event, data);
+        }
+    }
+
+    async persistChanges() {
+        const change = this.tracker.diff([...this.tagColors].map(([tag, color]) => ({ tag, color })));
+
+        try {
+            await this.storage.commit({ tagColors: change });
+            Logger.debug('TagColorsManager: Saved tag colors');
+        } catch (error) {
+            this.tracker.rollback(change);
+            Logger.error('TagColorsManager: Error saving to storage', error);
+        }
+    }
+
     loadFromStorage() {
         try {
             const data = localStorage.getItem('tagColors');
@@ -27,6 +89,11 @@ class TagColorsManager {
     }
 
     saveToStorage() {
+        if (this.storage) {
+            this.persistChanges();
+            return;
+        }
+
         try {
             const obj = Object.fromEntries(this.tagColors);
             localStorage.setItem('tagColors', JSON.stringify(obj));
@@ -44,6 +111,7 @@ class TagColorsManager {
     setColor(tag, color) {
         this.tagColors.set(tag, color);
         this.saveToStorage();
+        this.emit('tag:color-changed', { tag, color });
     }
 
     /**
@@ -60,8 +128,10 @@ class TagColorsManager {
      * @param {string} tag - The tag name
      */
     removeColor(tag) {
-        this.tagColors.delete(tag);
+        if (!this.tagColors.delete(tag)) return;
+
         this.saveToStorage();
+        this.emit('tag:color-changed', { tag, color: null });
     }
 
     /**
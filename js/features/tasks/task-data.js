@@ -1,6 +1,6 @@
 /**
  * Task Data Manager
- * Handles data models, migration, and localStorage persistence for the enterprise task system
+ * Handles data models, migration, and persistence for the enterprise task system
  */
 
 // Data version for migration tracking
@@ -27,6 +27,77 @@ const DEFAULT_PROJECTS = {
     PERSONAL: 'personal'
 };
 
+// Kanban columns for projects without a custom workflow (see Project.workflow).
+// Column IDs match the statuses so tasks without a columnId land in the right column.
+const DEFAULT_WORKFLOW = [
+    { id: 'todo', name: 'To Do', status: TaskStatus.TODO, wipLimit: null },
+    { id: 'in-progress', name: 'In Progress', status: TaskStatus.IN_PROGRESS, wipLimit: null },
+    { id: 'done', name: 'Done', status: TaskStatus.DONE, wipLimit: null },
+    { id: 'blocked', name: 'Blocked', status: TaskStatus.BLOCKED, wipLimit: null }
+];
+
+// Workflow limits
+const WORKFLOW_MAX_COLUMNS = 12;
+const WORKFLOW_COLUMN_NAME_MAX_LENGTH = 30;
+
+// Occurrences looked ahead per task when projecting recurring tasks onto the calendar
+const RECURRENCE_PROJECTION_LIMIT = 400;
+
+// Number of commands kept for undo
+const TASK_HISTORY_LIMIT = 50;
+
+// Snooze choices offered in the detail panel and command palette (see getSnoozeUntil)
+const SNOOZE_OPTIONS = {
+    LATER_TODAY: 'later-today',
+    TOMORROW: 'tomorrow',
+    NEXT_WEEK: 'next-week'
+};
+
+// Hours "Later today" snoozes for, rounded up to the hour
+const SNOOZE_LATER_TODAY_HOURS = 3;
+
+// Hour snoozed tasks come back on a later day
+const SNOOZE_MORNING_HOUR = 9;
+
+// Planning days kept in each task's My Day history (see Task.myDayDates)
+const MY_DAY_HISTORY_DAYS = 60;
+
+// Days ahead that daily planning suggests tasks that are due soon
+const MY_DAY_DUE_SOON_DAYS = 3;
+
+// Why daily planning suggests a task, in the order suggestions are listed (see getMyDayPlanSuggestions)
+const MY_DAY_SUGGESTION_REASONS = {
+    UNFINISHED: 'unfinished',
+    OVERDUE: 'overdue',
+    DUE_SOON: 'due-soon',
+    HIGH_PRIORITY: 'high-priority'
+};
+
+// Changes that can be applied to many selected tasks at once (see bulkUpdateTasks)
+const BULK_ACTIONS = {
+    COMPLETE: 'complete',
+    DELETE: 'delete',
+    MOVE: 'move',
+    PRIORITY: 'priority',
+    DUE_DATE: 'due-date',
+    ADD_TAG: 'add-tag',
+    REMOVE_TAG: 'remove-tag',
+    MY_DAY: 'my-day'
+};
+
+// Where a time entry came from (see TimeEntry)
+const TIME_ENTRY_SOURCES = {
+    TIMER: 'timer',
+    MANUAL: 'manual',
+    POMODORO: 'pomodoro'
+};
+
+// Longest note kept on a time entry
+const TIME_ENTRY_NOTE_MAX_LENGTH = 500;
+
+// Manager arrays recorded by undo/redo commands
+const TASK_HISTORY_COLLECTIONS = ['tasks', 'projects', 'deletedTasks', 'deletedProjects'];
+
 /**
  * @typedef {Object} TaskData
  * @property {string} [id] - Unique task identifier
@@ -34,20 +105,40 @@ const DEFAULT_PROJECTS = {
  * @property {string} [description] - Detailed description
  * @property {boolean} [completed] - Completion status
  * @property {string} [priority] - Priority level (low|medium|high)
- * @property {string|null} [dueDate] - Due date (ISO string)
+ * @property {string|null} [startDate] - First day of work (YYYY-MM-DD); null means the task only takes its due date.
+ *   The task is hidden from My Day, Inbox and the other working views until then.
+ * @property {string|null} [deferUntil] - Snoozed until this moment (ISO timestamp); hidden from the working views until then
+ * @property {string|null} [dueDate] - Due date (ISO string; only the date part is used)
+ * @property {string|null} [dueTime] - Due time (HH:MM, local); null means any time that day
+ * @property {number|null} [duration] - Expected duration in minutes
  * @property {string} [createdAt] - Creation timestamp
  * @property {string|null} [completedAt] - Completion timestamp
  * @property {string} [projectId] - Parent project ID
  * @property {string|null} [parentId] - Parent task ID (for subtasks)
  * @property {string[]} [tags] - Array of tag names
  * @property {string} [status] - Task status (todo|in-progress|done|blocked)
+ * @property {string|null} [columnId] - Board column in the project's workflow; null means the first column for the status
  * @property {number} [position] - Sort position
  * @property {boolean} [isMyDay] - Whether task is in "My Day"
+ * @property {string[]} [myDayDates] - Planning days (YYYY-MM-DD) the task was in My Day, oldest first
  * @property {Object[]} [subtasks] - Array of subtask objects
  * @property {number} [pomodorosCompleted] - Completed pomodoro count
  * @property {number|null} [estimatedPomodoros] - Estimated pomodoros needed
+ * @property {TimeEntryData[]} [timeEntries] - Time tracked on the task, oldest first
  * @property {string[]} [blockedBy] - Array of blocker IDs
  * @property {string} [modifiedAt] - Last modification timestamp
+ * @property {RecurrenceData|null} [recurrence] - Recurrence rule (see recurrence.js)
+ * @property {boolean} [isRecurring] - Whether completing the task spawns a next occurrence
+ * @property {string|null} [recurringParentId] - First task of the recurring series
+ * @property {string|null} [sourceNoteId] - Note the task was created from (see note-tasks.js)
+ * @property {string|null} [deletedAt] - When the task was moved to the Trash
+ * @property {DeletedDependent[]} [deletedDependents] - Dependencies removed when the task was trashed
+ */
+
+/**
+ * @typedef {Object} DeletedDependent
+ * @property {string} taskId - Task that was blocked by the trashed task
+ * @property {string} blockerId - The removed blocker reference ("taskId" or "taskId:subtaskId")
  */
 
 /**
@@ -65,7 +156,11 @@ class Task {
         this.description = data.description || data.notes || data.summary || '';
         this.completed = data.completed || false;
         this.priority = data.priority || TaskPriority.MEDIUM;
+        this.startDate = data.startDate || null;
+        this.deferUntil = data.deferUntil || null;
         this.dueDate = data.dueDate || null;
+        this.dueTime = data.dueTime || null;
+        this.duration = data.duration || null;
         this.createdAt = data.createdAt || new Date().toISOString();
         this.completedAt = data.completedAt || null;
 
@@ -74,10 +169,12 @@ class Task {
         this.parentId = data.parentId || null; // For subtasks
         this.tags = data.tags || [];
         this.status = data.status || (data.completed ? TaskStatus.DONE : TaskStatus.TODO);
+        this.columnId = data.columnId || null;
         this.position = data.position || 0;
 
         // My Day feature
         this.isMyDay = data.isMyDay || false;
+        this.myDayDates = data.myDayDates || [];
 
         // Subtasks
         this.subtasks = (data.subtasks || []).map(st => new Subtask(st));
@@ -89,6 +186,9 @@ class Task {
         this.pomodorosCompleted = data.pomodorosCompleted || 0;
         this.estimatedPomodoros = data.estimatedPomodoros || null;
 
+        // Time tracking (see TaskDataManager.startTimer)
+        this.timeEntries = (data.timeEntries || []).map(e => new TimeEntry(e));
+
         // Task dependencies
         this.blockedBy = data.blockedBy || []; // Array of task IDs that must complete first
 
@@ -96,9 +196,16 @@ class Task {
         this.modifiedAt = data.modifiedAt || this.createdAt;
 
         // Recurrence settings
-        this.recurrence = data.recurrence || null; // { type: 'daily'|'weekly'|'monthly'|'custom', interval: 1, endDate: null }
+        this.recurrence = data.recurrence || null; // RecurrenceData, see recurrence.js
         this.isRecurring = data.isRecurring || false;
         this.recurringParentId = data.recurringParentId || null;
+
+        // Created from a checklist line of this note (see note-tasks.js)
+        this.sourceNoteId = data.sourceNoteId || null;
+
+        // Trash (see TaskDataManager.deleteTask)
+        this.deletedAt = data.deletedAt || null;
+        this.deletedDependents = data.deletedDependents || [];
     }
 
     /**
@@ -109,6 +216,107 @@ class Task {
         return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Get the local date and time the task is due
+     * Tasks without a due time are due at the end of their day.
+     * @returns {Date|null} Due moment or null if the task has no due date
+     */
+    getDueDateTime() {
+        const date = DateUtils.parseDate(this.dueDate);
+        if (!date) return null;
+
+        return (this.dueTime && DateUtils.parseDateTime(this.dueDate, this.dueTime)) || DateUtils.endOfDay(date);
+    }
+
+    /**
+     * Check whether an incomplete task is past its due date and time
+     * @param {Date} [now] - Reference time
+     * @returns {boolean} True if overdue
+     */
+    isOverdue(now = new Date()) {
+        const due = this.getDueDateTime();
+        return !this.completed && due !== null && due < now;
+    }
+
+    /**
+     * Get when the task can be worked on: the later of its snooze time and the start of its start date
+     * @returns {Date|null} - null if the task is neither snoozed nor has a start date
+     */
+    getAvailableAt() {
+        const snoozedUntil = this.deferUntil ? new Date(this.deferUntil) : null;
+        const candidates = [
+            snoozedUntil && !isNaN(snoozedUntil) ? snoozedUntil : null,
+            DateUtils.parseDate(this.startDate)
+        ].filter(Boolean);
+        if (candidates.length === 0) return null;
+
+        return new Date(Math.max(...candidates));
+    }
+
+    /**
+     * Check whether an open task is snoozed or hasn't reached its start date yet
+     * @param {Date} [now] - Reference time
+     * @returns {boolean} True if the task is hidden from the working views
+     */
+    isDeferred(now = new Date()) {
+        const availableAt = this.getAvailableAt();
+        return !this.completed && availableAt !== null && availableAt > now;
+    }
+
+    /**
+     * Check whether the task was added to My Day on a planning day
+     * Tasks added before My Day dates were recorded count for any day until rolloverMyDay() stamps them.
+     * @param {string} day - Planning day (YYYY-MM-DD, see TaskDataManager.getPlanningDay)
+     * @returns {boolean}
+     */
+    isInMyDayOn(day) {
+        if (!this.isMyDay) return false;
+        return this.myDayDates.length === 0 || this.myDayDates[this.myDayDates.length - 1] === day;
+    }
+
+    /**
+     * Get the entry of the timer running on this task
+     * @returns {TimeEntry|null}
+     */
+    getRunningTimeEntry() {
+        return this.timeEntries.find(entry => entry.isRunning()) || null;
+    }
+
+    /**
+     * Get the total time tracked on the task, including a running timer
+     * @param {Date} [now] - Reference time for a running timer
+     * @returns {number} - Milliseconds
+     */
+    getTrackedTime(now = new Date()) {
+        return this.timeEntries.reduce((sum, entry) => sum + entry.getDuration(now), 0);
+    }
+
+    /**
+     * Get the days the task is scheduled over, for the timeline
+     * A start date without a due date gives a one-day task, as does a due date without a start.
+     * @returns {{start: string, end: string}|null} Inclusive date keys (YYYY-MM-DD), or null without dates
+     */
+    getSchedule() {
+        const end = DateUtils.toDateKey(this.dueDate) || DateUtils.toDateKey(this.startDate);
+        if (!end) return null;
+
+        const start = DateUtils.toDateKey(this.startDate);
+        return { start: start && start < end ? start : end, end };
+    }
+
+    /**
+     * Sort comparator: earliest due first, tasks without a due date last
+     * @param {Task} a
+     * @param {Task} b
+     * @returns {number}
+     */
+    static compareByDue(a, b) {
+        const dueA = a.getDueDateTime();
+        const dueB = b.getDueDateTime();
+        if (!dueA || !dueB) return (dueA ? 0 : 1) - (dueB ? 0 : 1);
+        return dueA - dueB;
+    }
+
     /**
      * Convert task to plain object for storage
      * @returns {TaskData} Plain object representation
@@ -120,24 +328,34 @@ class Task {
             description: this.description,
             completed: this.completed,
             priority: this.priority,
+            startDate: this.startDate,
+            deferUntil: this.deferUntil,
             dueDate: this.dueDate,
+            dueTime: this.dueTime,
+            duration: this.duration,
             createdAt: this.createdAt,
             completedAt: this.completedAt,
             projectId: this.projectId,
             parentId: this.parentId,
             tags: this.tags,
             status: this.status,
+            columnId: this.columnId,
             position: this.position,
             isMyDay: this.isMyDay,
+            myDayDates: this.myDayDates,
             subtasks: this.subtasks.map(st => st.toJSON()),
             comments: this.comments.map(c => c.toJSON()),
             pomodorosCompleted: this.pomodorosCompleted,
             estimatedPomodoros: this.estimatedPomodoros,
+            timeEntries: this.timeEntries.map(e => e.toJSON()),
             blockedBy: this.blockedBy,
             modifiedAt: this.modifiedAt,
             recurrence: this.recurrence,
             isRecurring: this.isRecurring,
-            recurringParentId: this.recurringParentId
+            recurringParentId: this.recurringParentId,
+            sourceNoteId: this.sourceNoteId,
+            deletedAt: this.deletedAt,
+            deletedDependents: this.deletedDependents
         };
     }
 }
@@ -167,6 +385,64 @@ class Comment {
     }
 }
 
+/**
+ * @typedef {Object} TimeEntryData
+ * @property {string} [id] - Unique entry identifier
+ * @property {string} [start] - When work started (ISO timestamp)
+ * @property {string|null} [end] - When work stopped (ISO timestamp); null while the timer is running
+ * @property {string} [note] - What was worked on
+ * @property {string} [source] - One of TIME_ENTRY_SOURCES
+ */
+
+/**
+ * Time Entry Data Model
+ * A stretch of time spent on a task, from the task timer, a completed pomodoro or entered by hand
+ */
+class TimeEntry {
+    /**
+     * Create a new TimeEntry
+     * @param {TimeEntryData} data - Time entry initialization data
+     */
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        this.start = data.start || new Date().toISOString();
+        this.end = data.end || null;
+        this.note = data.note || '';
+        this.source = data.source || TIME_ENTRY_SOURCES.MANUAL;
+    }
+
+    generateId() {
+        return 'time_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * @returns {boolean} True while the timer of this entry is running
+     */
+    isRunning() {
+        return this.end === null;
+    }
+
+    /**
+     * Get how long the entry lasted; a running entry lasts until now
+     * @param {Date} [now] - Reference time
+     * @returns {number} - Milliseconds
+     */
+    getDuration(now = new Date()) {
+        const end = this.end ? new Date(this.end) : now;
+        return Math.max(0, end - new Date(this.start)) || 0;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            start: this.start,
+            end: this.end,
+            note: this.note,
+            source: this.source
+        };
+    }
+}
+
 /**
  * @typedef {Object} SubtaskData
  * @property {string} [id] - Unique subtask identifier
@@ -216,6 +492,17 @@ class Subtask {
  * @property {string} [createdAt] - Creation timestamp
  * @property {number} [position] - Sort position
  * @property {string} [defaultView] - Default view (list|board|calendar)
+ * @property {WorkflowColumn[]|null} [workflow] - Custom board columns; null uses DEFAULT_WORKFLOW
+ * @property {string|null} [deletedAt] - When the project was moved to the Trash
+ * @property {string[]} [movedTaskIds] - Tasks moved to the Inbox when the project was trashed
+ */
+
+/**
+ * @typedef {Object} WorkflowColumn
+ * @property {string} id - Column identifier, stored on tasks as columnId
+ * @property {string} name - Column title
+ * @property {string} status - Task status the column stands for (todo|in-progress|done|blocked)
+ * @property {number|null} wipLimit - Maximum number of tasks before the column shows a warning
  */
 
 /**
@@ -239,6 +526,11 @@ class Project {
 
         // View preferences
         this.defaultView = data.defaultView || 'list'; // list, board, calendar
+        this.workflow = data.workflow || null; // Custom board columns (see TaskDataManager.setProjectWorkflow)
+
+        // Trash (see TaskDataManager.deleteProject)
+        this.deletedAt = data.deletedAt || null;
+        this.movedTaskIds = data.movedTaskIds || [];
     }
 
     generateId() {
@@ -255,27 +547,155 @@ class Project {
             archived: this.archived,
             createdAt: this.createdAt,
             position: this.position,
-            defaultView: this.defaultView
+            defaultView: this.defaultView,
+            workflow: this.workflow,
+            deletedAt: this.deletedAt,
+            movedTaskIds: this.movedTaskIds
         };
     }
 }
 
+/**
+ * @typedef {Object} RecordSnapshot
+ * @property {string} id - Record ID
+ * @property {Object|null} before - Record before the command (null if it did not exist)
+ * @property {Object|null} after - Record after the command (null if it was deleted)
+ * @property {number} beforeIndex - Position in the collection before the command
+ * @property {number} afterIndex - Position in the collection after the command
+ */
+
+/**
+ * @typedef {Object} HistoryCommand
+ * @property {string} label - What the command did, e.g. 'Delete task'
+ * @property {RecordSnapshot[]} tasks - Tasks the command changed
+ * @property {RecordSnapshot[]} projects - Projects the command changed
+ * @property {RecordSnapshot[]} deletedTasks - Trashed tasks the command changed
+ * @property {RecordSnapshot[]} deletedProjects - Trashed projects the command changed
+ */
+
+/**
+ * @typedef {Object} TrashContents
+ * @property {Task[]} tasks - Trashed tasks, most recently deleted first
+ * @property {Project[]} projects - Trashed projects, most recently deleted first
+ */
+
+/**
+ * Undo/Redo History
+ * Bounded stacks of commands recorded by TaskDataManager
+ */
+class TaskHistory {
+    /**
+     * @param {number} [limit] - Maximum number of commands to keep
+     */
+    constructor(limit = TASK_HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a new command; clears the redo stack
+     * @param {HistoryCommand} command - Command to record
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Move the latest command to the redo stack
+     * @returns {HistoryCommand|null} - Command to undo
+     */
+    undo() {
+        const command = this.undoStack.pop() || null;
+        if (command) this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Move the latest undone command back to the undo stack
+     * @returns {HistoryCommand|null} - Command to redo
+     */
+    redo() {
+        const command = this.redoStack.pop() || null;
+        if (command) this.undoStack.push(command);
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Drop commands that touch the given records
+     * Used when another tab changes them, since restoring a snapshot would overwrite that change.
+     * @param {string} collection - 'tasks', 'projects', 'deletedTasks' or 'deletedProjects'
+     * @param {string[]} ids - Changed record IDs
+     */
+    discard(collection, ids) {
+        const changed = new Set(ids);
+        const untouched = command => !(command[collection] || []).some(entry => changed.has(entry.id));
+        this.undoStack = this.undoStack.filter(untouched);
+        this.redoStack = this.redoStack.filter(untouched);
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
 /**
  * Task Data Manager
- * Handles all data operations and localStorage persistence
+ * Handles all data operations and persistence (storage adapter or localStorage)
  */
 class TaskDataManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - Storage adapter (see storage-adapter.js); omit to use localStorage directly
+     */
+    constructor(options = {}) {
         this.tasks = [];
         this.projects = [];
+        // Trash: soft-deleted records are kept apart so views, search and analytics skip them
+        this.deletedTasks = [];
+        this.deletedProjects = [];
         this.settings = {
             dataVersion: DATA_VERSION,
             currentView: 'my-day',
             currentProjectId: null,
-            sidebarCollapsed: false
+            sidebarCollapsed: false,
+            calendarMode: 'month',
+            // Hour of the day My Day starts over (see getPlanningDay)
+            myDayResetHour: 0,
+            // Today's planning: { date, dismissed: [taskId], done } (see planMyDay)
+            myDayPlan: null
         };
-
-        this.init();
+        this.storage = options.storage || null;
+        this.history = new TaskHistory();
+        this.commandDepth = 0;
+        this.savePending = false; // A command asked to save; it saves once when it finishes
+        this.command = null; // Records seen by the running command (see recordCommand)
+
+        // Resolves once data is loaded; immediate when using localStorage directly
+        if (this.storage) {
+            this.ready = this.initWithAdapter();
+
+            // Follow changes saved by other tabs
+            if (this.storage.sync) {
+                this.storage.sync.subscribe(changes => this.applyRemoteChanges(changes), this.ready);
+            }
+        } else {
+            this.init();
+            this.ready = Promise.resolve();
+        }
     }
 
     init() {
@@ -300,6 +720,195 @@ class TaskDataManager {
         Logger.debug('TaskDataManager: Initialized with', this.tasks.length, 'tasks and', this.projects.length, 'projects');
     }
 
+    /**
+     * Initialize from a storage adapter
+     * @returns {Promise<void>}
+     */
+    async initWithAdapter() {
+        Logger.debug('TaskDataManager: Initializing with', this.storage.name, 'storage');
+
+        this.trackers = {
+            tasks: new RecordChangeTracker('id'),
+            projects: new RecordChangeTracker('id'),
+            // Settings hold per-tab view state, so the last writer wins
+            settings: new RecordChangeTracker('key', { checkConflicts: false })
+        };
+
+        await this.loadFromAdapter();
+
+        if (this.tasks.length === 0 && this.projects.length === 0 && localStorage.getItem('todos')) {
+            Logger.info('TaskDataManager: Migration needed from old format');
+            this.migrateFromOldFormat();
+        }
+
+        this.ensureDefaultProjects();
+        await this.persistChanges();
+
+        Logger.debug('TaskDataManager: Initialized with', this.tasks.length, 'tasks and', this.projects.length, 'projects');
+    }
+
+    /**
+     * Load data from the storage adapter
+     * Records come back in key order, so tasks are re-sorted newest-first as addTask() keeps them
+     */
+    async loadFromAdapter() {
+        try {
+            const [tasks, projects, settings] = await Promise.all([
+                this.storage.getAll('tasks'),
+                this.storage.getAll('projects'),
+                this.storage.getAll('settings')
+            ]);
+
+            this.tasks = tasks
+                .map(t => new Task(t))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || a.position - b.position);
+            this.projects = projects
+                .map(p => new Project(p))
+                .sort((a, b) => a.position - b.position);
+            this.separateTrash();
+
+            const taskSettings = settings.find(r => r.key === 'taskSettings');
+            if (taskSettings) {
+                this.settings = { ...this.settings, ...taskSettings.value };
+            }
+
+            // Track the records as stored so conflict checks compare like with like
+            this.trackers.tasks.reset(tasks);
+            this.trackers.projects.reset(projects);
+            this.trackers.settings.reset(settings);
+
+            Logger.debug('TaskDataManager: Loaded', this.tasks.length, 'tasks and', this.projects.length, 'projects');
+
+        } catch (error) {
+            Logger.error('TaskDataManager: Error loading from storage', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', {
+                    operation: 'load_from_storage'
+                });
+            }
+        }
+    }
+
+    /**
+     * Write changed tasks, projects and settings to the storage adapter in one commit
+     * @param {Set<string>} [changedIds] - The only tasks and projects that can have changed; omit to compare them all
+     * @returns {Promise<void>}
+     */
+    async persistChanges(changedIds = null) {
+        const diff = (tracker, items) => {
+            const keys = tracker.keysToCheck(changedIds);
+            const records = keys ? items.filter(item => keys.has(item.id)) : items;
+            return tracker.diff(records.map(item => item.toJSON()), keys);
+        };
+        const changes = {
+            tasks: diff(this.trackers.tasks, this.getStoredTasks()),
+            projects: diff(this.trackers.projects, this.getStoredProjects()),
+            settings: this.trackers.settings.diff([{ key: 'taskSettings', value: { ...this.settings } }])
+        };
+
+        try {
+            const result = await this.storage.commit(changes);
+            Logger.debug('TaskDataManager: Saved', changes.tasks.put.length, 'tasks to storage');
+
+            if (result.conflicts.length > 0) {
+                this.handleConflicts(result.conflicts);
+            }
+
+        } catch (error) {
+            Object.keys(changes).forEach(name => this.trackers[name].rollback(changes[name]));
+
+            Logger.error('TaskDataManager: Error saving to storage', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleError(error, 'storage', {
+                    operation: 'save_to_storage'
+                });
+            }
+        }
+    }
+
+    /**
+     * Merge task and project records into the in-memory models
+     * @param {Object<string, CollectionChange>} changes - Changes keyed by collection name
+     * @returns {{taskIds: string[], projectIds: string[]}} - Keys of the records that changed
+     */
+    mergeRecords(changes) {
+        const taskIds = [];
+        const projectIds = [];
+
+        // Records can move in or out of the Trash, so merge over both arrays
+        if (changes.tasks) {
+            this.tasks = applyRecordChanges(this.getStoredTasks(), changes.tasks, 'id', t => new Task(t));
+            this.deletedTasks = [];
+            taskIds.push(...(changes.tasks.put || []).map(t => t.id), ...(changes.tasks.delete || []));
+        }
+
+        if (changes.projects) {
+            this.projects = applyRecordChanges(this.getStoredProjects(), changes.projects, 'id', p => new Project(p))
+                .sort((a, b) => a.position - b.position);
+            this.deletedProjects = [];
+            projectIds.push(...(changes.projects.put || []).map(p => p.id), ...(changes.projects.delete || []));
+        }
+
+        this.separateTrash();
+        return { taskIds, projectIds };
+    }
+
+    /**
+     * Apply changes another tab saved to storage
+     * Settings are ignored since each tab keeps its own view state.
+     * @param {Object<string, CollectionChange>} changes - Changes keyed by collection name
+     */
+    applyRemoteChanges(changes) {
+        if (!changes.tasks && !changes.projects) return;
+
+        const { taskIds, projectIds } = this.mergeRecords(changes);
+        if (changes.tasks) this.trackers.tasks.accept(changes.tasks);
+        if (changes.projects) this.trackers.projects.accept(changes.projects);
+        if ((changes.tasks && changes.tasks.clear) || (changes.projects && changes.projects.clear)) {
+            this.history.clear();
+        } else {
+            this.history.discard('tasks', taskIds);
+            this.history.discard('deletedTasks', taskIds);
+            this.history.discard('projects', projectIds);
+            this.history.discard('deletedProjects', projectIds);
+        }
+
+        Logger.debug('TaskDataManager: Applied', taskIds.length, 'task changes from another tab');
+
+        window.dispatchEvent(new CustomEvent('tasksUpdated', {
+            detail: { source: 'sync', taskIds, projectIds }
+        }));
+        this.emit('tasks:synced', { taskIds, projectIds });
+    }
+
+    /**
+     * Keep the stored version of records another tab changed at the same time
+     * Dispatches `storageConflict` so the UI can offer to keep this tab's version instead.
+     * @param {StorageConflict[]} conflicts - Conflicts reported by the storage adapter
+     */
+    handleConflicts(conflicts) {
+        Logger.warn('TaskDataManager:', conflicts.length, 'record(s) were changed in another tab');
+
+        this.applyRemoteChanges(groupStorageConflicts(conflicts, 'remote'));
+
+        window.dispatchEvent(new CustomEvent('storageConflict', {
+            detail: {
+                source: 'tasks',
+                conflicts,
+                keepLocal: () => this.restoreRecords(conflicts)
+            }
+        }));
+    }
+
+    /**
+     * Overwrite conflicting records with this tab's version
+     * @param {StorageConflict[]} conflicts - Conflicts from handleConflicts()
+     */
+    restoreRecords(conflicts) {
+        this.mergeRecords(groupStorageConflicts(conflicts, 'local'));
+        this.saveToStorage();
+    }
+
     /**
      * Migrate from old todos format to new tasks format
      */
@@ -377,6 +986,8 @@ class TaskDataManager {
                 this.settings = { ...this.settings, ...JSON.parse(settingsData) };
             }
 
+            this.separateTrash();
+
         } catch (error) {
             Logger.error('TaskDataManager: Error loading from storage', error);
             if (window.errorHandler) {
@@ -388,12 +999,25 @@ class TaskDataManager {
     }
 
     /**
-     * Save data to localStorage
+     * Save data to storage
+     * With an adapter only changed records are written; the write completes asynchronously
+     * @param {Set<string>} [changedIds] - The only tasks and projects that can have changed
+     *   (see recordCommand); omit to compare them all
      */
-    saveToStorage() {
+    saveToStorage(changedIds = null) {
+        if (this.commandDepth > 0) {
+            this.savePending = true;
+            return;
+        }
+
+        if (this.storage) {
+            this.persistChanges(changedIds);
+            return;
+        }
+
         try {
-            localStorage.setItem('tasks', JSON.stringify(this.tasks.map(t => t.toJSON())));
-            localStorage.setItem('projects', JSON.stringify(this.projects.map(p => p.toJSON())));
+            localStorage.setItem('tasks', JSON.stringify(this.getStoredTasks().map(t => t.toJSON())));
+            localStorage.setItem('projects', JSON.stringify(this.getStoredProjects().map(p => p.toJSON())));
             localStorage.setItem('taskSettings', JSON.stringify(this.settings));
 
             Logger.debug('TaskDataManager: Saved to storage');
@@ -408,6 +1032,35 @@ class TaskDataManager {
         }
     }
 
+    /**
+     * Get every stored task, including those in the Trash
+     * @returns {Task[]} Active tasks followed by trashed tasks
+     */
+    getStoredTasks() {
+        return [...this.tasks, ...this.deletedTasks];
+    }
+
+    /**
+     * Get every stored project, including those in the Trash
+     * @returns {Project[]} Active projects followed by trashed projects
+     */
+    getStoredProjects() {
+        return [...this.projects, ...this.deletedProjects];
+    }
+
+    /**
+     * Move records with deletedAt set into the Trash arrays, and restored ones back out
+     */
+    separateTrash() {
+        const tasks = this.getStoredTasks();
+        this.tasks = tasks.filter(t => !t.deletedAt);
+        this.deletedTasks = tasks.filter(t => t.deletedAt);
+
+        const projects = this.getStoredProjects();
+        this.projects = projects.filter(p => !p.deletedAt);
+        this.deletedProjects = projects.filter(p => p.deletedAt);
+    }
+
     /**
      * Create default projects
      */
@@ -456,19 +1109,23 @@ class TaskDataManager {
 
     /**
      * Get all tasks
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeferred=true] - false leaves out snoozed tasks and tasks before their start date
      * @returns {Task[]} Array of all tasks
      */
-    getAllTasks() {
-        return this.tasks;
+    getAllTasks({ includeDeferred = true } = {}) {
+        return includeDeferred ? this.tasks : this.tasks.filter(t => !t.isDeferred());
     }
 
     /**
      * Get tasks by project
      * @param {string} projectId - Project ID to filter by
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeferred=true] - false leaves out snoozed tasks and tasks before their start date
      * @returns {Task[]} Tasks in the specified project
      */
-    getTasksByProject(projectId) {
-        return this.tasks.filter(t => t.projectId === projectId);
+    getTasksByProject(projectId, { includeDeferred = true } = {}) {
+        return this.getAllTasks({ includeDeferred }).filter(t => t.projectId === projectId);
     }
 
     /**
@@ -480,29 +1137,25 @@ class TaskDataManager {
 
     /**
      * Get My Day tasks
+     * Snoozed tasks and tasks before their start date stay out until they come back, and overdue
+     * tasks turned down while planning the day stay out until the next planning day.
+     * @param {Date} [now] - Reference time
      */
-    getMyDayTasks() {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const todayStr = today.toISOString().split('T')[0];
+    getMyDayTasks(now = new Date()) {
+        const endOfToday = DateUtils.endOfDay(now);
+        const plan = this.getMyDayPlan(now);
+        const dismissed = new Set(plan.dismissed);
 
         return this.tasks.filter(t => {
-            if (t.completed) return false;
+            if (t.completed || t.isDeferred(now)) return false;
 
             // Manually added to My Day
-            if (t.isMyDay) return true;
-
-            // Overdue tasks
-            if (t.dueDate) {
-                const dueDate = new Date(t.dueDate);
-                if (dueDate < today) return true;
-
-                // Due today
-                const dueDateStr = dueDate.toISOString().split('T')[0];
-                if (dueDateStr === todayStr) return true;
-            }
+            if (t.isInMyDayOn(plan.date)) return true;
+            if (dismissed.has(t.id)) return false;
 
-            return false;
+            // Overdue or due today (at any time)
+            const due = t.getDueDateTime();
+            return due !== null && due <= endOfToday;
         });
     }
 
@@ -517,23 +1170,30 @@ class TaskDataManager {
      * Get upcoming tasks (due in next 7 days, not completed)
      */
     getUpcomingTasks() {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const today = DateUtils.today();
 
-        const sevenDaysFromNow = new Date(today);
-        sevenDaysFromNow.setDate(today.getDate() + 7);
+        // Start of the eighth day, so tasks due any time on day seven are included
+        const sevenDaysFromNow = DateUtils.addDays(today, 8);
 
         return this.tasks.filter(t => {
             if (t.completed) return false;
-            if (!t.dueDate) return false;
-
-            const dueDate = new Date(t.dueDate);
-            dueDate.setHours(0, 0, 0, 0);
 
-            return dueDate >= today && dueDate <= sevenDaysFromNow;
+            const due = t.getDueDateTime();
+            return due !== null && due >= today && due < sevenDaysFromNow;
         });
     }
 
+    /**
+     * Get snoozed tasks and tasks before their start date (soonest to come back first)
+     * @param {Date} [now] - Reference time
+     * @returns {Task[]}
+     */
+    getDeferredTasks(now = new Date()) {
+        return this.tasks
+            .filter(t => t.isDeferred(now))
+            .sort((a, b) => a.getAvailableAt() - b.getAvailableAt());
+    }
+
     /**
      * Get completed tasks (sorted by completion date, most recent first)
      */
@@ -571,111 +1231,487 @@ class TaskDataManager {
     }
 
     /**
-     * Add a new task
-     * @param {TaskData} taskData - Task data
-     * @returns {Task} The newly created task
+     * Publish a domain event on the shared event bus (catalogue in event-bus.js)
+     * @param {string} event - Event name, e.g. 'task:created'
+     * @param {Object} data - Event payload
      */
-    addTask(taskData) {
-        const task = new Task(taskData);
-        this.tasks.unshift(task); // Add to beginning
-        this.saveToStorage();
-        Logger.debug('TaskDataManager: Added task', task.id);
-        return task;
+    emit(event, data) {
+        if (window.eventBus) {
+            window.eventBus.emit(event, data);
+        }
     }
 
     /**
-     * Update an existing task
-     * @param {string} taskId - Task identifier
-     * @param {Partial<TaskData>} updates - Fields to update
-     * @returns {Task|null} Updated task or null if not found
+     * List the updated fields whose values differ from the previous record
+     * @param {Object} previous - Record before the update
+     * @param {Object} updated - Record after the update
+     * @param {string[]} fields - Fields that were written
+     * @returns {string[]} - Changed field names
      */
-    updateTask(taskId, updates) {
-        const taskIndex = this.tasks.findIndex(t => t.id === taskId);
-        if (taskIndex !== -1) {
-            this.tasks[taskIndex] = new Task({
-                ...this.tasks[taskIndex],
-                ...updates,
-                modifiedAt: new Date().toISOString()
-            });
-            this.saveToStorage();
-            Logger.debug('TaskDataManager: Updated task', taskId);
-            return this.tasks[taskIndex];
+    getChangedFields(previous, updated, fields) {
+        return fields.filter(field =>
+            field !== 'modifiedAt' && JSON.stringify(previous[field]) !== JSON.stringify(updated[field])
+        );
+    }
+
+    /**
+     * Run a mutation as one undoable command
+     * Mutations called from inside another command (e.g. updateTask from completeTask) become
+     * part of the outer command, so one undo reverts the whole user action.
+     * Only the records the command touched are serialized, for the undo step and for the save:
+     * those it added, removed or replaced (updateTask builds a new Task), and those it changed in
+     * place, which must be passed to touchRecords() first.
+     * @param {string} label - What the command does, e.g. 'Delete task'
+     * @param {Function} mutate - Changes tasks and/or projects
+     * @returns {*} - Result of mutate()
+     */
+    recordCommand(label, mutate) {
+        if (this.commandDepth > 0) {
+            return mutate();
         }
-        return null;
+
+        this.command = { before: this.indexRecords(), touched: new Map() };
+        this.commandDepth++;
+        try {
+            return mutate();
+        } finally {
+            this.commandDepth--;
+
+            const { before, touched } = this.command;
+            this.command = null;
+            const after = this.indexRecords();
+            const changedIds = new Set(touched.keys());
+            TASK_HISTORY_COLLECTIONS.forEach(name => {
+                before[name].forEach((entry, id) => {
+                    if (!after[name].has(id) || after[name].get(id).item !== entry.item) changedIds.add(id);
+                });
+                after[name].forEach((entry, id) => {
+                    if (!before[name].has(id)) changedIds.add(id);
+                });
+            });
+
+            if (this.savePending) {
+                this.savePending = false;
+                this.saveToStorage(changedIds);
+            }
+
+            const command = { label };
+            TASK_HISTORY_COLLECTIONS.forEach(name => {
+                command[name] = this.diffSnapshots(before[name], after[name], changedIds, touched);
+            });
+            if (TASK_HISTORY_COLLECTIONS.some(name => command[name].length > 0)) {
+                this.history.push(command);
+            }
+        }
+    }
+
+    /**
+     * Keep the current state of tasks or projects about to be changed in place
+     * Needed inside a command for any change that doesn't replace the model, so undo can put
+     * the record back and the save includes it. Outside a command it does nothing.
+     * @param {...(Task|Project)} records - Records about to change
+     */
+    touchRecords(...records) {
+        if (!this.command) return;
+        records.forEach(record => {
+            if (!this.command.touched.has(record.id)) {
+                this.command.touched.set(record.id, JSON.stringify(record.toJSON()));
+            }
+        });
+    }
+
+    /**
+     * Index every task and project, active and trashed, by ID without serializing them
+     * @returns {Object<string, Map<string, {index: number, item: Object}>>} - Keyed by collection, then by ID
+     */
+    indexRecords() {
+        const indexes = {};
+        TASK_HISTORY_COLLECTIONS.forEach(name => {
+            indexes[name] = new Map(this[name].map((item, index) => [item.id, { index, item }]));
+        });
+        return indexes;
+    }
+
+    /**
+     * Compare a collection before and after a command
+     * @param {Map<string, Object>} before - Index taken before the command
+     * @param {Map<string, Object>} after - Index taken after the command
+     * @param {Set<string>} changedIds - Records the command added, removed, replaced or touched
+     * @param {Map<string, string>} touched - JSON of touched records from before they changed
+     * @returns {RecordSnapshot[]} - Records that were added, changed or removed
+     */
+    diffSnapshots(before, after, changedIds, touched) {
+        const entries = [];
+        changedIds.forEach(id => {
+            const previous = before.get(id);
+            const current = after.get(id);
+            if (!previous && !current) return;
+
+            const beforeJson = previous ? (touched.get(id) || JSON.stringify(previous.item.toJSON())) : null;
+            const afterJson = current ? JSON.stringify(current.item.toJSON()) : null;
+            if (beforeJson === afterJson) return;
+
+            const beforeRecord = previous ? JSON.parse(beforeJson) : null;
+            const afterRecord = current ? JSON.parse(afterJson) : null;
+
+            // A save that only touched modifiedAt is not worth an undo step
+            if (beforeRecord && afterRecord &&
+                JSON.stringify({ ...beforeRecord, modifiedAt: null }) === JSON.stringify({ ...afterRecord, modifiedAt: null })) {
+                return;
+            }
+
+            entries.push({
+                id,
+                before: beforeRecord,
+                after: afterRecord,
+                beforeIndex: previous ? previous.index : -1,
+                afterIndex: current ? current.index : -1
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Put records back into a collection as they were on one side of a command
+     * @param {Object[]} items - Current models
+     * @param {RecordSnapshot[]} entries - Records the command changed
+     * @param {string} side - 'before' (undo) or 'after' (redo)
+     * @param {Function} create - Builds a model from a plain record
+     * @returns {Object[]} - Restored models
+     */
+    restoreSnapshots(items, entries, side, create) {
+        const removed = new Set(entries.filter(entry => !entry[side]).map(entry => entry.id));
+        const result = items.filter(item => !removed.has(item.id));
+        const missing = [];
+
+        entries.filter(entry => entry[side]).forEach(entry => {
+            const index = result.findIndex(item => item.id === entry.id);
+            if (index !== -1) {
+                result[index] = create(entry[side]);
+            } else {
+                missing.push(entry);
+            }
+        });
+
+        // Re-insert deleted records where they used to be
+        const indexKey = side + 'Index';
+        missing.sort((a, b) => a[indexKey] - b[indexKey]).forEach(entry => {
+            result.splice(Math.min(entry[indexKey], result.length), 0, create(entry[side]));
+        });
+
+        return result;
+    }
+
+    /**
+     * Restore the records of a command and save
+     * @param {HistoryCommand} command - Command to apply
+     * @param {string} side - 'before' (undo) or 'after' (redo)
+     */
+    applyCommand(command, side) {
+        const createTask = t => new Task(t);
+        const createProject = p => new Project(p);
+        const entries = name => command[name] || [];
+
+        this.tasks = this.restoreSnapshots(this.tasks, entries('tasks'), side, createTask);
+        this.deletedTasks = this.restoreSnapshots(this.deletedTasks, entries('deletedTasks'), side, createTask);
+        this.projects = this.restoreSnapshots(this.projects, entries('projects'), side, createProject);
+        this.deletedProjects = this.restoreSnapshots(this.deletedProjects, entries('deletedProjects'), side, createProject);
+
+        const ids = (...names) => [...new Set(names.flatMap(name => entries(name).map(entry => entry.id)))];
+        this.saveToStorage(new Set(ids(...TASK_HISTORY_COLLECTIONS)));
+        this.emit(side === 'before' ? 'history:undone' : 'history:redone', {
+            label: command.label,
+            taskIds: ids('tasks', 'deletedTasks'),
+            projectIds: ids('projects', 'deletedProjects')
+        });
+    }
+
+    /**
+     * Revert the last command
+     * @returns {HistoryCommand|null} - The undone command or null if there is nothing to undo
+     */
+    undo() {
+        const command = this.history.undo();
+        if (!command) return null;
+
+        this.applyCommand(command, 'before');
+        Logger.debug('TaskDataManager: Undid', command.label);
+        return command;
+    }
+
+    /**
+     * Re-apply the last undone command
+     * @returns {HistoryCommand|null} - The redone command or null if there is nothing to redo
+     */
+    redo() {
+        const command = this.history.redo();
+        if (!command) return null;
+
+        this.applyCommand(command, 'after');
+        Logger.debug('TaskDataManager: Redid', command.label);
+        return command;
+    }
+
+    canUndo() {
+        return this.history.canUndo();
+    }
+
+    canRedo() {
+        return this.history.canRedo();
     }
 
     /**
-     * Delete a task
+     * Add a new task
+     * @param {TaskData} taskData - Task data
+     * @returns {Task} The newly created task
+     */
+    addTask(taskData) {
+        return this.recordCommand('Add task', () => {
+            const task = new Task(taskData);
+            this.stampMyDay(task);
+            this.tasks.unshift(task); // Add to beginning
+            this.saveToStorage();
+            Logger.debug('TaskDataManager: Added task', task.id);
+            this.emit('task:created', { task });
+            return task;
+        });
+    }
+
+    /**
+     * Update an existing task
+     * @param {string} taskId - Task identifier
+     * @param {Partial<TaskData>} updates - Fields to update
+     * @returns {Task|null} Updated task or null if not found
+     */
+    updateTask(taskId, updates) {
+        return this.recordCommand('Edit task', () => {
+            const taskIndex = this.tasks.findIndex(t => t.id === taskId);
+            if (taskIndex !== -1) {
+                const previous = this.tasks[taskIndex];
+                const task = this.tasks[taskIndex] = new Task({
+                    ...previous,
+                    ...updates,
+                    modifiedAt: new Date().toISOString()
+                });
+                if ('isMyDay' in updates) {
+                    this.stampMyDay(task);
+                }
+                this.saveToStorage();
+                Logger.debug('TaskDataManager: Updated task', taskId);
+
+                const changes = this.getChangedFields(previous, task, Object.keys(updates));
+                if (changes.length > 0) {
+                    this.emit('task:updated', { task, changes });
+                }
+                return task;
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Move a task to the Trash
+     * Tasks blocked by it (or by one of its subtasks) lose that dependency and are unblocked;
+     * the removed references are kept on the trashed task so restoreTask() can put them back.
+     * A timer running on the task is stopped.
      * @param {string} taskId - Task identifier
      * @returns {boolean} True if task was deleted
      */
     deleteTask(taskId) {
-        const initialLength = this.tasks.length;
-        this.tasks = this.tasks.filter(t => t.id !== taskId);
+        return this.recordCommand('Delete task', () => {
+            const running = this.getRunningTimer();
+            if (running && running.task.id === taskId) {
+                this.stopTimer();
+            }
+            const task = this.getTaskById(taskId);
+            if (!task) return false;
+
+            const deletedDependents = [];
+            const isOwnReference = blockerId => blockerId === taskId || blockerId.startsWith(`${taskId}:`);
+            this.getBlockedTasks(taskId).filter(t => t.id !== taskId).forEach(dependent => {
+                this.touchRecords(dependent);
+                dependent.blockedBy
+                    .filter(isOwnReference)
+                    .forEach(blockerId => deletedDependents.push({ taskId: dependent.id, blockerId }));
+                dependent.blockedBy = dependent.blockedBy.filter(blockerId => !isOwnReference(blockerId));
+
+                const changes = ['blockedBy'];
+                if (dependent.status === TaskStatus.BLOCKED &&
+                    dependent.blockedBy.every(blockerId => this.isBlockerCompleted(blockerId))) {
+                    dependent.status = TaskStatus.TODO;
+                    changes.push('status');
+                }
+                this.emit('task:updated', { task: dependent, changes });
+            });
 
-        if (this.tasks.length < initialLength) {
+            const trashed = new Task({
+                ...task.toJSON(),
+                deletedAt: new Date().toISOString(),
+                deletedDependents
+            });
+            this.tasks = this.tasks.filter(t => t.id !== taskId);
+            this.deletedTasks.unshift(trashed);
             this.saveToStorage();
-            Logger.debug('TaskDataManager: Deleted task', taskId);
+            Logger.debug('TaskDataManager: Moved task to trash', taskId);
+            this.emit('task:deleted', { taskId, task: trashed });
             return true;
-        }
-        return false;
+        });
+    }
+
+    /**
+     * Add a subtask to a task
+     * @param {string} taskId - Parent task ID
+     * @param {string} text - Subtask text
+     * @returns {Subtask|null} - The new subtask or null if the task was not found
+     */
+    addSubtask(taskId, text) {
+        return this.recordCommand('Add subtask', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+
+            const subtask = new Subtask({ text, position: task.subtasks.length });
+            this.updateTask(taskId, { subtasks: [...task.subtasks, subtask] });
+            return subtask;
+        });
+    }
+
+    /**
+     * Update a subtask
+     * @param {string} taskId - Parent task ID
+     * @param {string} subtaskId - Subtask ID
+     * @param {Partial<SubtaskData>} updates - Fields to update
+     * @returns {Subtask|null} - The updated subtask or null if not found
+     */
+    updateSubtask(taskId, subtaskId, updates) {
+        return this.recordCommand('Edit subtask', () => {
+            const task = this.getTaskById(taskId);
+            if (!task || !task.subtasks.some(st => st.id === subtaskId)) return null;
+
+            const subtasks = task.subtasks.map(st => st.id === subtaskId
+                ? new Subtask({ ...st.toJSON(), ...updates, id: subtaskId })
+                : st);
+            this.updateTask(taskId, { subtasks });
+            return this.getTaskById(taskId).subtasks.find(st => st.id === subtaskId);
+        });
+    }
+
+    /**
+     * Delete a subtask
+     * @param {string} taskId - Parent task ID
+     * @param {string} subtaskId - Subtask ID
+     * @returns {boolean} - True if the subtask was deleted
+     */
+    deleteSubtask(taskId, subtaskId) {
+        return this.recordCommand('Delete subtask', () => {
+            const task = this.getTaskById(taskId);
+            if (!task || !task.subtasks.some(st => st.id === subtaskId)) return false;
+
+            this.updateTask(taskId, { subtasks: task.subtasks.filter(st => st.id !== subtaskId) });
+            return true;
+        });
+    }
+
+    /**
+     * Toggle a subtask's completion and update tasks blocked by it
+     * @param {string} taskId - Parent task ID
+     * @param {string} subtaskId - Subtask ID
+     * @returns {{subtask: Subtask, unblockedTasks: Task[], reBlockedTasks: Task[]}|null} - Result or null if not found
+     */
+    toggleSubtask(taskId, subtaskId) {
+        return this.recordCommand('Toggle subtask', () => {
+            const task = this.getTaskById(taskId);
+            const current = task && task.subtasks.find(st => st.id === subtaskId);
+            if (!current) return null;
+
+            const completed = !current.completed;
+            const subtask = this.updateSubtask(taskId, subtaskId, { completed });
+            const reference = `${taskId}:${subtaskId}`;
+
+            return {
+                subtask,
+                unblockedTasks: completed ? this.updateDependentStatuses(reference) : [],
+                reBlockedTasks: completed ? [] : this.reBlockDependentTasks(reference)
+            };
+        });
     }
 
     /**
      * Add project
      */
     addProject(projectData) {
-        const project = new Project(projectData);
-        this.projects.push(project);
-        this.saveToStorage();
-        Logger.debug('TaskDataManager: Added project', project.id);
-        return project;
+        return this.recordCommand('Add project', () => {
+            const project = new Project(projectData);
+            this.projects.push(project);
+            this.saveToStorage();
+            Logger.debug('TaskDataManager: Added project', project.id);
+            this.emit('project:created', { project });
+            return project;
+        });
     }
 
     /**
      * Update project
      */
     updateProject(projectId, updates) {
-        const projectIndex = this.projects.findIndex(p => p.id === projectId);
-        if (projectIndex !== -1) {
-            this.projects[projectIndex] = new Project({
-                ...this.projects[projectIndex],
-                ...updates
-            });
-            this.saveToStorage();
-            Logger.debug('TaskDataManager: Updated project', projectId);
-            return this.projects[projectIndex];
-        }
-        return null;
+        return this.recordCommand('Edit project', () => {
+            const projectIndex = this.projects.findIndex(p => p.id === projectId);
+            if (projectIndex !== -1) {
+                const previous = this.projects[projectIndex];
+                const project = this.projects[projectIndex] = new Project({
+                    ...previous,
+                    ...updates
+                });
+                this.saveToStorage();
+                Logger.debug('TaskDataManager: Updated project', projectId);
+
+                const changes = this.getChangedFields(previous, project, Object.keys(updates));
+                if (changes.length > 0) {
+                    this.emit('project:updated', { project, changes });
+                }
+                return project;
+            }
+            return null;
+        });
     }
 
     /**
-     * Delete project (and move tasks to Inbox)
+     * Move a project to the Trash (and move its tasks to the Inbox)
+     * The moved task IDs are kept on the trashed project so restoreProject() can move them back.
      */
     deleteProject(projectId) {
-        // Can't delete Inbox
-        if (projectId === DEFAULT_PROJECTS.INBOX) {
-            Logger.warn('TaskDataManager: Cannot delete Inbox project');
-            return false;
-        }
+        return this.recordCommand('Delete project', () => {
+            // Can't delete Inbox
+            if (projectId === DEFAULT_PROJECTS.INBOX) {
+                Logger.warn('TaskDataManager: Cannot delete Inbox project');
+                return false;
+            }
 
-        // Move tasks to Inbox
-        this.tasks.forEach(task => {
-            if (task.projectId === projectId) {
-                task.projectId = DEFAULT_PROJECTS.INBOX;
+            const project = this.getProjectById(projectId);
+            if (!project) {
+                return false;
             }
-        });
 
-        // Delete project
-        const initialLength = this.projects.length;
-        this.projects = this.projects.filter(p => p.id !== projectId);
+            // Move tasks to Inbox
+            const movedTasks = this.tasks.filter(task => task.projectId === projectId);
+            this.touchRecords(...movedTasks);
+            movedTasks.forEach(task => {
+                task.projectId = DEFAULT_PROJECTS.INBOX;
+            });
 
-        if (this.projects.length < initialLength) {
+            // Move project to the Trash
+            this.projects = this.projects.filter(p => p.id !== projectId);
+            this.deletedProjects.unshift(new Project({
+                ...project.toJSON(),
+                deletedAt: new Date().toISOString(),
+                movedTaskIds: movedTasks.map(t => t.id)
+            }));
             this.saveToStorage();
-            Logger.debug('TaskDataManager: Deleted project', projectId);
+            Logger.debug('TaskDataManager: Moved project to trash', projectId);
+
+            movedTasks.forEach(task => this.emit('task:updated', { task, changes: ['projectId'] }));
+            this.emit('project:deleted', { projectId, movedTaskIds: movedTasks.map(t => t.id) });
             return true;
-        }
-        return false;
+        });
     }
 
     /**
@@ -685,6 +1721,25 @@ class TaskDataManager {
         return this.tasks.filter(t => t.tags.includes(tag));
     }
 
+    /**
+     * Get tasks matching a task query (see task-query.js)
+     * Completed tasks are left out unless the query asks for them, e.g. with is:completed.
+     * @param {string} query - Query text
+     * @param {Date} [now] - Reference time for due and overdue terms
+     * @returns {Task[]} - Matching tasks; none if the query is invalid
+     */
+    getTasksByQuery(query, now = new Date()) {
+        const { ast, error } = TaskQuery.parse(query);
+        if (error) {
+            Logger.warn('TaskDataManager: Invalid query', query, error);
+            return [];
+        }
+
+        const includeCompleted = TaskQuery.includesCompleted(ast);
+        const context = { projects: this.projects, now };
+        return this.tasks.filter(t => (includeCompleted || !t.completed) && TaskQuery.matches(ast, t, context));
+    }
+
     /**
      * Get all unique tags with counts
      */
@@ -908,55 +1963,62 @@ class TaskDataManager {
      * // { success: false, message: 'Cannot add dependency: would create circular dependency' }
      */
     addDependency(taskId, blockerId) {
-        const task = this.getTaskById(taskId);
+        return this.recordCommand('Add dependency', () => {
+            const task = this.getTaskById(taskId);
 
-        if (!task) {
-            return { success: false, message: 'Task not found' };
-        }
+            if (!task) {
+                return { success: false, message: 'Task not found' };
+            }
 
-        // Validate that the blocker exists
-        const blockerInfo = this.getBlockerInfo(blockerId);
-        if (!blockerInfo) {
-            const isSubtask = this.isSubtaskReference(blockerId);
-            return {
-                success: false,
-                message: isSubtask ? 'Subtask not found' : 'Blocking task not found'
-            };
-        }
+            // Validate that the blocker exists
+            const blockerInfo = this.getBlockerInfo(blockerId);
+            if (!blockerInfo) {
+                const isSubtask = this.isSubtaskReference(blockerId);
+                return {
+                    success: false,
+                    message: isSubtask ? 'Subtask not found' : 'Blocking task not found'
+                };
+            }
 
-        // Check if dependency already exists
-        if (task.blockedBy && task.blockedBy.includes(blockerId)) {
-            return { success: false, message: 'Dependency already exists' };
-        }
+            // Check if dependency already exists
+            if (task.blockedBy && task.blockedBy.includes(blockerId)) {
+                return { success: false, message: 'Dependency already exists' };
+            }
 
-        // Validate no circular dependencies
-        if (!this.validateNoCycles(taskId, blockerId)) {
-            return {
-                success: false,
-                message: 'Cannot add dependency: would create circular dependency'
-            };
-        }
+            // Validate no circular dependencies
+            if (!this.validateNoCycles(taskId, blockerId)) {
+                return {
+                    success: false,
+                    message: 'Cannot add dependency: would create circular dependency'
+                };
+            }
 
-        // Add the dependency
-        if (!task.blockedBy) {
-            task.blockedBy = [];
-        }
-        task.blockedBy.push(blockerId);
+            // Add the dependency
+            this.touchRecords(task);
+            if (!task.blockedBy) {
+                task.blockedBy = [];
+            }
+            task.blockedBy.push(blockerId);
 
-        // Auto-set status to blocked if the blocker is not completed
-        const blockerCompleted = this.isBlockerCompleted(blockerId);
-        if (!blockerCompleted && task.status !== TaskStatus.BLOCKED) {
-            task.status = TaskStatus.BLOCKED;
-        }
+            // Auto-set status to blocked if the blocker is not completed
+            const blockerCompleted = this.isBlockerCompleted(blockerId);
+            const changes = ['blockedBy'];
+            if (!blockerCompleted && task.status !== TaskStatus.BLOCKED) {
+                task.status = TaskStatus.BLOCKED;
+                changes.push('status');
+            }
 
-        this.saveToStorage();
-        Logger.debug('TaskDataManager: Added dependency', taskId, 'blocked by', blockerId);
+            this.saveToStorage();
+            Logger.debug('TaskDataManager: Added dependency', taskId, 'blocked by', blockerId);
+            this.emit('task:updated', { task, changes });
+            this.emit('dependency:added', { task, blockerId });
 
-        return {
-            success: true,
-            message: 'Dependency added',
-            autoBlocked: !blockerCompleted
-        };
+            return {
+                success: true,
+                message: 'Dependency added',
+                autoBlocked: !blockerCompleted
+            };
+        });
     }
 
     /**
@@ -966,27 +2028,35 @@ class TaskDataManager {
      * @returns {boolean} True if dependency was removed
      */
     removeDependency(taskId, blockingTaskId) {
-        const task = this.getTaskById(taskId);
-        if (!task || !task.blockedBy) {
-            return false;
-        }
-
-        const initialLength = task.blockedBy.length;
-        task.blockedBy = task.blockedBy.filter(id => id !== blockingTaskId);
-
-        if (task.blockedBy.length < initialLength) {
-            // If no more blockers and status is blocked, auto-change to todo
-            if (task.blockedBy.length === 0 && task.status === TaskStatus.BLOCKED) {
-                task.status = TaskStatus.TODO;
-                Logger.debug('TaskDataManager: Auto-unblocked task', taskId);
+        return this.recordCommand('Remove dependency', () => {
+            const task = this.getTaskById(taskId);
+            if (!task || !task.blockedBy) {
+                return false;
             }
 
-            this.saveToStorage();
-            Logger.debug('TaskDataManager: Removed dependency', taskId, 'from', blockingTaskId);
-            return true;
-        }
+            const initialLength = task.blockedBy.length;
+            this.touchRecords(task);
+            task.blockedBy = task.blockedBy.filter(id => id !== blockingTaskId);
+
+            if (task.blockedBy.length < initialLength) {
+                const changes = ['blockedBy'];
+
+                // If no more blockers and status is blocked, auto-change to todo
+                if (task.blockedBy.length === 0 && task.status === TaskStatus.BLOCKED) {
+                    task.status = TaskStatus.TODO;
+                    changes.push('status');
+                    Logger.debug('TaskDataManager: Auto-unblocked task', taskId);
+                }
+
+                this.saveToStorage();
+                Logger.debug('TaskDataManager: Removed dependency', taskId, 'from', blockingTaskId);
+                this.emit('task:updated', { task, changes });
+                this.emit('dependency:removed', { task, blockerId: blockingTaskId });
+                return true;
+            }
 
-        return false;
+            return false;
+        });
     }
 
     /**
@@ -1008,6 +2078,7 @@ class TaskDataManager {
 
             // If no incomplete blockers remain and status is blocked, change to todo
             if (!hasIncompleteBlockers && task.status === TaskStatus.BLOCKED) {
+                this.touchRecords(task);
                 task.status = TaskStatus.TODO;
                 unblockedTasks.push(task);
                 Logger.debug('TaskDataManager: Auto-unblocked task', task.id, task.text);
@@ -1016,6 +2087,7 @@ class TaskDataManager {
 
         if (unblockedTasks.length > 0) {
             this.saveToStorage();
+            unblockedTasks.forEach(task => this.emit('task:updated', { task, changes: ['status'] }));
         }
 
         return unblockedTasks;
@@ -1035,6 +2107,7 @@ class TaskDataManager {
         dependentTasks.forEach(task => {
             // Re-block if task is not completed and not already blocked
             if (!task.completed && task.status !== TaskStatus.BLOCKED) {
+                this.touchRecords(task);
                 task.status = TaskStatus.BLOCKED;
                 reBlockedTasks.push(task);
                 Logger.debug('TaskDataManager: Auto-re-blocked task', task.id, task.text);
@@ -1043,96 +2116,738 @@ class TaskDataManager {
 
         if (reBlockedTasks.length > 0) {
             this.saveToStorage();
+            reBlockedTasks.forEach(task => this.emit('task:updated', { task, changes: ['status'] }));
         }
 
         return reBlockedTasks;
     }
 
     /**
-     * Add a comment to a task
-     * @param {string} taskId - The task ID
-     * @param {string} text - Comment text
-     * @param {string} type - Comment type ('user' or 'system')
-     * @returns {Comment|null} - The created comment or null
+     * Find dependencies whose blocker is scheduled to finish after the dependent task is due
+     * Subtask blockers use the schedule of their parent task; completed tasks are skipped.
+     * @param {Task[]} [tasks] - Dependent tasks to check (defaults to all tasks)
+     * @returns {{task: Task, blocker: Task}[]} Conflicting pairs
      */
-    addComment(taskId, text, type = 'user') {
-        const task = this.getTaskById(taskId);
-        if (!task) return null;
+    getScheduleConflicts(tasks = this.tasks) {
+        const conflicts = [];
+
+        tasks.forEach(task => {
+            const schedule = !task.completed && task.getSchedule();
+            if (!schedule) return;
+
+            const blockerIds = new Set(task.blockedBy.map(id => this.parseBlockerReference(id).taskId));
+            blockerIds.forEach(blockerId => {
+                const blocker = this.getTaskById(blockerId);
+                const blockerSchedule = blocker && !blocker.completed && blocker.getSchedule();
+                if (blockerSchedule && blockerSchedule.end > schedule.end) {
+                    conflicts.push({ task, blocker });
+                }
+            });
+        });
 
-        const comment = new Comment({ text, type });
-        task.comments.push(comment);
-        task.modifiedAt = new Date().toISOString();
-        this.saveToStorage();
-        Logger.debug('TaskDataManager: Added comment to task', taskId);
-        return comment;
+        return conflicts;
     }
 
     /**
-     * Delete a comment from a task
-     * @param {string} taskId - The task ID
-     * @param {string} commentId - The comment ID
-     * @returns {boolean} - True if comment was deleted
+     * Move a task to new dates, e.g. after dragging its timeline bar
+     * With shiftDependents, open tasks that depend on it (directly or further down the chain) and
+     * would now start before their blocker finishes are pushed later by the same number of days
+     * they overlap, keeping their length. Tasks are never pulled earlier.
+     * @param {string} taskId - Task ID
+     * @param {{startDate: string|null, dueDate: string|null}} schedule - New dates (YYYY-MM-DD)
+     * @param {Object} [options]
+     * @param {boolean} [options.shiftDependents=false] - Push dependent tasks later as needed
+     * @returns {{success: boolean, message: string, task?: Task, shifted?: Task[], conflicts?: {task: Task, blocker: Task}[]}}
+     *   `conflicts` lists the schedule conflicts the move leaves involving the task or the tasks it shifted
      */
-    deleteComment(taskId, commentId) {
-        const task = this.getTaskById(taskId);
-        if (!task) return false;
+    rescheduleTask(taskId, schedule, options = {}) {
+        return this.recordCommand('Reschedule task', () => {
+            if (!this.getTaskById(taskId)) {
+                return { success: false, message: 'Task not found' };
+            }
 
-        const initialLength = task.comments.length;
-        task.comments = task.comments.filter(c => c.id !== commentId);
+            const task = this.updateTask(taskId, {
+                startDate: schedule.startDate || null,
+                dueDate: schedule.dueDate || null
+            });
 
-        if (task.comments.length < initialLength) {
-            task.modifiedAt = new Date().toISOString();
-            this.saveToStorage();
-            Logger.debug('TaskDataManager: Deleted comment from task', taskId);
-            return true;
-        }
-        return false;
+            const shifted = new Map();
+            if (options.shiftDependents) {
+                const queue = [task.id];
+                while (queue.length > 0) {
+                    // Look the blocker up again, since shifting replaces the task object
+                    const blocker = this.getTaskById(queue.shift());
+                    const earliestStart = DateUtils.formatDate(DateUtils.addDays(DateUtils.parseDate(blocker.getSchedule().end), 1));
+
+                    this.getBlockedTasks(blocker.id).forEach(dependent => {
+                        const dependentSchedule = !dependent.completed && dependent.getSchedule();
+                        if (!dependentSchedule || dependentSchedule.start >= earliestStart) return;
+
+                        const days = DateUtils.differenceInDays(DateUtils.parseDate(earliestStart), DateUtils.parseDate(dependentSchedule.start));
+                        const shift = date => date && DateUtils.formatDate(DateUtils.addDays(DateUtils.parseDate(date), days));
+                        const moved = this.updateTask(dependent.id, {
+                            startDate: shift(dependent.startDate),
+                            dueDate: shift(dependent.dueDate)
+                        });
+                        shifted.set(moved.id, moved);
+                        queue.push(moved.id);
+                    });
+                }
+            }
+
+            const involved = new Set([task.id, ...shifted.keys()]);
+            const conflicts = this.getScheduleConflicts().filter(c => involved.has(c.task.id) || involved.has(c.blocker.id));
+
+            Logger.debug('TaskDataManager: Rescheduled task', taskId, 'shifted', shifted.size);
+            return {
+                success: true,
+                message: shifted.size > 0
+                    ? `Task rescheduled; ${shifted.size} dependent task${shifted.size === 1 ? '' : 's'} moved later`
+                    : 'Task rescheduled',
+                task,
+                shifted: [...shifted.values()],
+                conflicts
+            };
+        });
     }
 
     /**
-     * Duplicate a task
-     * @param {string} taskId - The task ID to duplicate
-     * @returns {Task|null} - The duplicated task or null
+     * Work out when a snooze choice ends
+     * "Later today" is a few hours from now, rounded up to the hour; the others come back in the
+     * morning of the next day or the first day of next week.
+     * @param {string} option - One of SNOOZE_OPTIONS
+     * @param {Date} [now] - Reference time
+     * @returns {Date|null} - null for an unknown option
      */
-    duplicateTask(taskId) {
-        const task = this.getTaskById(taskId);
-        if (!task) return null;
-
-        // Create a copy of the task data
-        const taskData = {
-            ...task.toJSON(),
-            id: null, // Will generate new ID
-            text: task.text + ' (Copy)',
-            completed: false,
-            completedAt: null,
-            createdAt: null, // Will use current time
-            modifiedAt: null,
-            isMyDay: false,
-            comments: [], // Don't copy comments
-            subtasks: task.subtasks.map(st => ({
-                ...st.toJSON(),
-                id: null, // Will generate new IDs
-                completed: false
-            }))
-        };
-
-        const duplicatedTask = this.addTask(taskData);
-        Logger.debug('TaskDataManager: Duplicated task', taskId);
-        return duplicatedTask;
+    getSnoozeUntil(option, now = new Date()) {
+        const morningOf = date => new Date(date.getFullYear(), date.getMonth(), date.getDate(), SNOOZE_MORNING_HOUR);
+
+        switch (option) {
+            case SNOOZE_OPTIONS.LATER_TODAY: {
+                const until = new Date(now.getTime() + SNOOZE_LATER_TODAY_HOURS * 60 * 60 * 1000);
+                if (until.getMinutes() || until.getSeconds() || until.getMilliseconds()) {
+                    until.setHours(until.getHours() + 1, 0, 0, 0);
+                }
+                return until;
+            }
+            case SNOOZE_OPTIONS.TOMORROW:
+                return morningOf(DateUtils.addDays(now, 1));
+            case SNOOZE_OPTIONS.NEXT_WEEK:
+                return morningOf(DateUtils.addDays(DateUtils.startOfWeek(now), 7));
+            default:
+                return null;
+        }
     }
 
     /**
-     * Archive a project (instead of deleting)
-     * @param {string} projectId - The project ID
-     * @returns {boolean} - True if archived
+     * Snooze a task, hiding it from the working views until the given time
+     * @param {string} taskId - Task ID
+     * @param {string|Date|null} until - One of SNOOZE_OPTIONS, a moment in the future, or null to bring the task back now
+     * @param {Date} [now] - Reference time
+     * @returns {{success: boolean, message: string, task?: Task}}
      */
-    archiveProject(projectId) {
-        if (projectId === DEFAULT_PROJECTS.INBOX) {
-            Logger.warn('TaskDataManager: Cannot archive Inbox project');
-            return false;
+    snoozeTask(taskId, until, now = new Date()) {
+        return this.recordCommand('Snooze task', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) {
+                return { success: false, message: 'Task not found' };
+            }
+
+            if (until === null) {
+                const updatedTask = this.updateTask(taskId, { deferUntil: null });
+                return { success: true, message: 'Task is no longer snoozed', task: updatedTask };
+            }
+
+            if (task.completed) {
+                return { success: false, message: 'Completed tasks cannot be snoozed' };
+            }
+
+            const deferUntil = until instanceof Date ? until : this.getSnoozeUntil(until, now);
+            if (!deferUntil || isNaN(deferUntil)) {
+                return { success: false, message: 'Invalid snooze time' };
+            }
+            if (deferUntil <= now) {
+                return { success: false, message: 'Snooze time must be in the future' };
+            }
+
+            const updatedTask = this.updateTask(taskId, { deferUntil: deferUntil.toISOString() });
+            Logger.debug('TaskDataManager: Snoozed task', taskId, 'until', updatedTask.deferUntil);
+            return { success: true, message: 'Task snoozed', task: updatedTask };
+        });
+    }
+
+    /**
+     * Get the planning day a moment belongs to
+     * Before the reset hour it is still the previous day's plan.
+     * @param {Date} [now] - Reference time
+     * @returns {string} - Date key (YYYY-MM-DD)
+     */
+    getPlanningDay(now = new Date()) {
+        const day = now.getHours() < (this.settings.myDayResetHour || 0) ? DateUtils.addDays(now, -1) : now;
+        return DateUtils.formatDate(day);
+    }
+
+    /**
+     * Get when the next planning day starts
+     * @param {Date} [now] - Reference time
+     * @returns {Date}
+     */
+    getNextMyDayReset(now = new Date()) {
+        const reset = new Date(now.getFullYear(), now.getMonth(), now.getDate(), this.settings.myDayResetHour || 0);
+        if (reset <= now) {
+            reset.setDate(reset.getDate() + 1);
+        }
+        return reset;
+    }
+
+    /**
+     * Change the hour of the day My Day starts over
+     * @param {number} hour - 0-23
+     * @returns {boolean} True if the hour was valid
+     */
+    setMyDayResetHour(hour) {
+        if (!Number.isInteger(hour) || hour < 0 || hour > 23) return false;
+        this.settings.myDayResetHour = hour;
+        this.saveToStorage();
+        return true;
+    }
+
+    /**
+     * Record the current planning day on a task that is in My Day
+     * @param {Task} task - Task being added or updated (changed in place)
+     * @param {Date} [now] - Reference time
+     */
+    stampMyDay(task, now = new Date()) {
+        const day = this.getPlanningDay(now);
+        if (!task.isMyDay || task.myDayDates[task.myDayDates.length - 1] === day) return;
+        task.myDayDates = [...task.myDayDates, day].slice(-MY_DAY_HISTORY_DAYS);
+    }
+
+    /**
+     * Start a new planning day: tasks added to My Day on an earlier day leave it
+     * Tasks added before My Day dates were recorded are stamped with today and stay. Not an undo
+     * step; todo.js runs it on load and whenever the reset hour passes.
+     * @param {Date} [now] - Reference time
+     * @returns {Task[]} - Tasks taken out of My Day
+     */
+    rolloverMyDay(now = new Date()) {
+        const day = this.getPlanningDay(now);
+        const cleared = [];
+        let changed = false;
+
+        this.tasks = this.tasks.map(task => {
+            if (!task.isMyDay) return task;
+            if (task.myDayDates.length === 0) {
+                changed = true;
+                return new Task({ ...task, myDayDates: [day] });
+            }
+            if (task.isInMyDayOn(day)) return task;
+
+            changed = true;
+            const updated = new Task({ ...task, isMyDay: false, modifiedAt: now.toISOString() });
+            cleared.push(updated);
+            return updated;
+        });
+
+        if (changed) {
+            this.saveToStorage();
+            Logger.debug('TaskDataManager: My Day rolled over to', day, '-', cleared.length, 'tasks cleared');
         }
+        return cleared;
+    }
 
-        return this.updateProject(projectId, { archived: true }) !== null;
+    /**
+     * Get the planning state of the current planning day
+     * @param {Date} [now] - Reference time
+     * @returns {{date: string, dismissed: string[], done: boolean}}
+     */
+    getMyDayPlan(now = new Date()) {
+        const date = this.getPlanningDay(now);
+        const plan = this.settings.myDayPlan;
+        if (plan && plan.date === date) {
+            return { date, dismissed: plan.dismissed || [], done: !!plan.done };
+        }
+        return { date, dismissed: [], done: false };
+    }
+
+    /**
+     * Suggest tasks for planning the day
+     * Open tasks that were in My Day on the last planned day, overdue tasks, tasks due in the next
+     * few days and high-priority tasks, leaving out tasks already in My Day, deferred tasks and
+     * tasks turned down today.
+     * @param {Date} [now] - Reference time
+     * @returns {Array<{task: Task, reasons: string[]}>} - reasons are MY_DAY_SUGGESTION_REASONS values
+     */
+    getMyDayPlanSuggestions(now = new Date()) {
+        const plan = this.getMyDayPlan(now);
+        const dismissed = new Set(plan.dismissed);
+        const lastPlannedDay = this.tasks
+            .flatMap(t => t.myDayDates)
+            .filter(day => day < plan.date)
+            .sort()
+            .pop() || null;
+        const dueSoonEnd = DateUtils.endOfDay(DateUtils.addDays(now, MY_DAY_DUE_SOON_DAYS));
+        const reasonOrder = Object.values(MY_DAY_SUGGESTION_REASONS);
+
+        return this.tasks
+            .filter(t => !t.completed && !t.isDeferred(now) && !t.isInMyDayOn(plan.date) && !dismissed.has(t.id))
+            .map(task => {
+                const due = task.getDueDateTime();
+                const reasons = [];
+                if (lastPlannedDay && task.myDayDates.includes(lastPlannedDay)) {
+                    reasons.push(MY_DAY_SUGGESTION_REASONS.UNFINISHED);
+                }
+                if (task.isOverdue(now)) {
+                    reasons.push(MY_DAY_SUGGESTION_REASONS.OVERDUE);
+                } else if (due && due <= dueSoonEnd) {
+                    reasons.push(MY_DAY_SUGGESTION_REASONS.DUE_SOON);
+                }
+                if (task.priority === TaskPriority.HIGH) {
+                    reasons.push(MY_DAY_SUGGESTION_REASONS.HIGH_PRIORITY);
+                }
+                return { task, reasons };
+            })
+            .filter(suggestion => suggestion.reasons.length > 0)
+            .sort((a, b) => reasonOrder.indexOf(a.reasons[0]) - reasonOrder.indexOf(b.reasons[0]) ||
+                (a.task.getDueDateTime() || Infinity) - (b.task.getDueDateTime() || Infinity));
+    }
+
+    /**
+     * Finish planning the day: accepted tasks join My Day, turned down ones stay out of it and of the
+     * suggestions until the next planning day
+     * @param {Object} choices
+     * @param {string[]} [choices.accepted] - Task IDs to add to My Day
+     * @param {string[]} [choices.rejected] - Task IDs to leave out today
+     * @param {Date} [now] - Reference time
+     * @returns {{success: boolean, message: string, added: Task[]}}
+     */
+    planMyDay({ accepted = [], rejected = [] } = {}, now = new Date()) {
+        return this.recordCommand('Plan My Day', () => {
+            const plan = this.getMyDayPlan(now);
+            const added = accepted
+                .filter(id => this.getTaskById(id))
+                .map(id => this.updateTask(id, { isMyDay: true }));
+
+            const dismissed = new Set([...plan.dismissed, ...rejected]);
+            accepted.forEach(id => dismissed.delete(id));
+            this.settings.myDayPlan = { date: plan.date, dismissed: [...dismissed], done: true };
+            this.saveToStorage();
+
+            Logger.debug('TaskDataManager: Planned', plan.date, '-', added.length, 'added,', rejected.length, 'turned down');
+            const count = added.length;
+            return {
+                success: true,
+                message: count > 0 ? `${count} task${count === 1 ? '' : 's'} added to My Day` : 'Day planned',
+                added
+            };
+        });
+    }
+
+    /**
+     * Apply one change to many tasks as a single undo step and a single save
+     * Tasks that no longer exist are skipped. Completing goes through completeTask() and deleting
+     * through deleteTask(), so dependents, recurrences and the Trash behave as for a single task.
+     * @param {string[]} taskIds - Selected task IDs
+     * @param {string} action - One of BULK_ACTIONS
+     * @param {*} [value] - Project ID for MOVE, a TaskPriority for PRIORITY, a date (YYYY-MM-DD) or
+     *   null for DUE_DATE, a tag for ADD_TAG and REMOVE_TAG, true to add or false to remove for MY_DAY
+     * @returns {{success: boolean, message: string, tasks?: Task[]}} - tasks are the ones changed
+     */
+    bulkUpdateTasks(taskIds, action, value) {
+        const tasks = [...new Set(taskIds)].map(id => this.getTaskById(id)).filter(Boolean);
+        if (tasks.length === 0) {
+            return { success: false, message: 'No tasks selected' };
+        }
+
+        const count = `${tasks.length} task${tasks.length === 1 ? '' : 's'}`;
+        const update = (label, updates, message) => this.recordCommand(label, () => ({
+            success: true,
+            message,
+            tasks: tasks.map(task => this.updateTask(task.id, updates(task)))
+        }));
+
+        switch (action) {
+            case BULK_ACTIONS.COMPLETE:
+                return this.recordCommand('Complete tasks', () => {
+                    tasks.forEach(task => this.completeTask(task.id));
+                    return { success: true, message: `Completed ${count}`, tasks: tasks.map(task => this.getTaskById(task.id)) };
+                });
+
+            case BULK_ACTIONS.DELETE:
+                return this.recordCommand('Delete tasks', () => {
+                    tasks.forEach(task => this.deleteTask(task.id));
+                    return { success: true, message: `Moved ${count} to the Trash`, tasks };
+                });
+
+            case BULK_ACTIONS.MOVE: {
+                const project = this.getProjectById(value);
+                if (!project) {
+                    return { success: false, message: 'Project not found' };
+                }
+                return update('Move tasks', () => ({ projectId: project.id }), `Moved ${count} to ${project.name}`);
+            }
+
+            case BULK_ACTIONS.PRIORITY:
+                if (!Object.values(TaskPriority).includes(value)) {
+                    return { success: false, message: 'Invalid priority' };
+                }
+                return update('Set priority', () => ({ priority: value }), `Set ${count} to ${value} priority`);
+
+            case BULK_ACTIONS.DUE_DATE: {
+                if (value === null) {
+                    return update('Set due date', () => ({ dueDate: null, dueTime: null }), `Removed the due date from ${count}`);
+                }
+                const date = DateUtils.parseDate(value);
+                if (!date) {
+                    return { success: false, message: 'Invalid due date' };
+                }
+                return update('Set due date', () => ({ dueDate: DateUtils.formatDate(date) }),
+                    `Set ${count} due ${date.toLocaleDateString()}`);
+            }
+
+            case BULK_ACTIONS.ADD_TAG:
+            case BULK_ACTIONS.REMOVE_TAG: {
+                const tag = typeof value === 'string' ? value.trim() : '';
+                if (!tag) {
+                    return { success: false, message: 'Invalid tag' };
+                }
+                return action === BULK_ACTIONS.ADD_TAG
+                    ? update('Add tag', task => ({ tags: task.tags.includes(tag) ? task.tags : [...task.tags, tag] }),
+                        `Tagged ${count} with "${tag}"`)
+                    : update('Remove tag', task => ({ tags: task.tags.filter(t => t !== tag) }),
+                        `Removed "${tag}" from ${count}`);
+            }
+
+            case BULK_ACTIONS.MY_DAY:
+                return update('Update My Day', () => ({ isMyDay: !!value }),
+                    value ? `Added ${count} to My Day` : `Removed ${count} from My Day`);
+
+            default:
+                return { success: false, message: 'Unknown action' };
+        }
+    }
+
+    /**
+     * Find the timer that is running, if any
+     * Only one timer runs at a time across all tasks (see startTimer).
+     * @returns {{task: Task, entry: TimeEntry}|null}
+     */
+    getRunningTimer() {
+        for (const task of this.tasks) {
+            const entry = task.getRunningTimeEntry();
+            if (entry) return { task, entry };
+        }
+        return null;
+    }
+
+    /**
+     * Check the start and end of a time entry
+     * @param {Date} start
+     * @param {Date|null} end - null for a running timer
+     * @param {Date} now - Reference time
+     * @returns {string|null} - Why the times are invalid, or null if they are fine
+     */
+    validateTimeEntryRange(start, end, now) {
+        if (isNaN(start)) return 'Invalid start time';
+        if (end !== null && isNaN(end)) return 'Invalid end time';
+        if (start > now) return 'Time entries cannot start in the future';
+        if (end !== null && end <= start) return 'End time must be after the start time';
+        return null;
+    }
+
+    /**
+     * Start the timer on a task
+     * A timer running on another task is stopped first.
+     * @param {string} taskId - Task ID
+     * @param {Date} [now] - Reference time
+     * @returns {{success: boolean, message: string, task?: Task, entry?: TimeEntry, stoppedTask?: Task|null}}
+     *   - stoppedTask is the task whose timer was stopped to start this one
+     */
+    startTimer(taskId, now = new Date()) {
+        return this.recordCommand('Start timer', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) {
+                return { success: false, message: 'Task not found' };
+            }
+            if (task.completed) {
+                return { success: false, message: 'Completed tasks cannot be tracked' };
+            }
+            if (task.getRunningTimeEntry()) {
+                return { success: false, message: 'The timer is already running' };
+            }
+
+            const stopped = this.stopTimer(now);
+            const entry = new TimeEntry({ start: now.toISOString(), source: TIME_ENTRY_SOURCES.TIMER });
+            const updatedTask = this.updateTask(taskId, {
+                timeEntries: [...this.getTaskById(taskId).timeEntries, entry]
+            });
+            Logger.debug('TaskDataManager: Started timer on task', taskId);
+            return {
+                success: true,
+                message: 'Timer started',
+                task: updatedTask,
+                entry: updatedTask.getRunningTimeEntry(),
+                stoppedTask: stopped.success ? stopped.task : null
+            };
+        });
+    }
+
+    /**
+     * Stop the running timer
+     * @param {Date} [now] - Reference time
+     * @returns {{success: boolean, message: string, task?: Task, entry?: TimeEntry}}
+     */
+    stopTimer(now = new Date()) {
+        return this.recordCommand('Stop timer', () => {
+            const running = this.getRunningTimer();
+            if (!running) {
+                return { success: false, message: 'No timer is running' };
+            }
+
+            const { task, entry } = running;
+            const end = new Date(Math.max(now, new Date(entry.start)));
+            const updatedTask = this.updateTask(task.id, {
+                timeEntries: task.timeEntries.map(e => e.id === entry.id ? { ...e.toJSON(), end: end.toISOString() } : e)
+            });
+            Logger.debug('TaskDataManager: Stopped timer on task', task.id);
+            return {
+                success: true,
+                message: 'Timer stopped',
+                task: updatedTask,
+                entry: updatedTask.timeEntries.find(e => e.id === entry.id)
+            };
+        });
+    }
+
+    /**
+     * Add a finished time entry to a task
+     * @param {string} taskId - Task ID
+     * @param {{start: string|Date, end: string|Date, note?: string, source?: string}} data - source defaults to MANUAL
+     * @param {Date} [now] - Reference time
+     * @returns {{success: boolean, message: string, task?: Task, entry?: TimeEntry}}
+     */
+    addTimeEntry(taskId, { start, end, note = '', source = TIME_ENTRY_SOURCES.MANUAL } = {}, now = new Date()) {
+        return this.recordCommand('Add time entry', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) {
+                return { success: false, message: 'Task not found' };
+            }
+
+            const startDate = start ? new Date(start) : new Date(NaN);
+            const endDate = end ? new Date(end) : new Date(NaN);
+            const error = this.validateTimeEntryRange(startDate, endDate, now);
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            const entry = new TimeEntry({
+                start: startDate.toISOString(),
+                end: endDate.toISOString(),
+                note: String(note).trim().slice(0, TIME_ENTRY_NOTE_MAX_LENGTH),
+                source: Object.values(TIME_ENTRY_SOURCES).includes(source) ? source : TIME_ENTRY_SOURCES.MANUAL
+            });
+            const updatedTask = this.updateTask(taskId, { timeEntries: [...task.timeEntries, entry] });
+            Logger.debug('TaskDataManager: Added time entry to task', taskId);
+            return {
+                success: true,
+                message: 'Time entry added',
+                task: updatedTask,
+                entry: updatedTask.timeEntries.find(e => e.id === entry.id)
+            };
+        });
+    }
+
+    /**
+     * Change the start, end or note of a time entry
+     * Setting an end on the running entry stops its timer.
+     * @param {string} taskId - Task ID
+     * @param {string} entryId - Time entry ID
+     * @param {{start?: string|Date, end?: string|Date, note?: string}} updates
+     * @param {Date} [now] - Reference time
+     * @returns {{success: boolean, message: string, task?: Task, entry?: TimeEntry}}
+     */
+    updateTimeEntry(taskId, entryId, updates, now = new Date()) {
+        return this.recordCommand('Edit time entry', () => {
+            const task = this.getTaskById(taskId);
+            const entry = task ? task.timeEntries.find(e => e.id === entryId) : null;
+            if (!entry) {
+                return { success: false, message: 'Time entry not found' };
+            }
+
+            const toDate = value => value ? new Date(value) : new Date(NaN);
+            const start = 'start' in updates ? toDate(updates.start) : new Date(entry.start);
+            const end = 'end' in updates ? toDate(updates.end) : (entry.end ? new Date(entry.end) : null);
+            const error = this.validateTimeEntryRange(start, end, now);
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            const updatedTask = this.updateTask(taskId, {
+                timeEntries: task.timeEntries.map(e => e.id !== entryId ? e : {
+                    ...e.toJSON(),
+                    start: start.toISOString(),
+                    end: end ? end.toISOString() : null,
+                    note: 'note' in updates
+                        ? String(updates.note || '').trim().slice(0, TIME_ENTRY_NOTE_MAX_LENGTH)
+                        : e.note
+                })
+            });
+            Logger.debug('TaskDataManager: Updated time entry', entryId);
+            return {
+                success: true,
+                message: 'Time entry updated',
+                task: updatedTask,
+                entry: updatedTask.timeEntries.find(e => e.id === entryId)
+            };
+        });
+    }
+
+    /**
+     * Delete a time entry
+     * @param {string} taskId - Task ID
+     * @param {string} entryId - Time entry ID
+     * @returns {boolean} - True if the entry was deleted
+     */
+    deleteTimeEntry(taskId, entryId) {
+        return this.recordCommand('Delete time entry', () => {
+            const task = this.getTaskById(taskId);
+            if (!task || !task.timeEntries.some(e => e.id === entryId)) return false;
+
+            this.updateTask(taskId, { timeEntries: task.timeEntries.filter(e => e.id !== entryId) });
+            Logger.debug('TaskDataManager: Deleted time entry', entryId);
+            return true;
+        });
+    }
+
+    /**
+     * Count a finished pomodoro and record its work session as a time entry
+     * @param {string} taskId - Task ID
+     * @param {number} minutes - Length of the work session
+     * @param {Date} [now] - When the session finished
+     * @returns {Task|null} - The updated task or null if not found
+     */
+    recordPomodoro(taskId, minutes, now = new Date()) {
+        return this.recordCommand('Complete pomodoro', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+
+            const entry = new TimeEntry({
+                start: new Date(now.getTime() - minutes * 60 * 1000).toISOString(),
+                end: now.toISOString(),
+                source: TIME_ENTRY_SOURCES.POMODORO
+            });
+            return this.updateTask(taskId, {
+                pomodorosCompleted: (task.pomodorosCompleted || 0) + 1,
+                timeEntries: [...task.timeEntries, entry]
+            });
+        });
+    }
+
+    /**
+     * Add a comment to a task
+     * @param {string} taskId - The task ID
+     * @param {string} text - Comment text
+     * @param {string} type - Comment type ('user' or 'system')
+     * @returns {Comment|null} - The created comment or null
+     */
+    addComment(taskId, text, type = 'user') {
+        return this.recordCommand('Add comment', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+
+            const comment = new Comment({ text, type });
+            this.touchRecords(task);
+            task.comments.push(comment);
+            task.modifiedAt = new Date().toISOString();
+            this.saveToStorage();
+            Logger.debug('TaskDataManager: Added comment to task', taskId);
+            this.emit('task:updated', { task, changes: ['comments'] });
+            this.emit('comment:added', { task, comment });
+            return comment;
+        });
+    }
+
+    /**
+     * Delete a comment from a task
+     * @param {string} taskId - The task ID
+     * @param {string} commentId - The comment ID
+     * @returns {boolean} - True if comment was deleted
+     */
+    deleteComment(taskId, commentId) {
+        return this.recordCommand('Delete comment', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) return false;
+
+            const initialLength = task.comments.length;
+            this.touchRecords(task);
+            task.comments = task.comments.filter(c => c.id !== commentId);
+
+            if (task.comments.length < initialLength) {
+                task.modifiedAt = new Date().toISOString();
+                this.saveToStorage();
+                Logger.debug('TaskDataManager: Deleted comment from task', taskId);
+                this.emit('task:updated', { task, changes: ['comments'] });
+                this.emit('comment:deleted', { task, commentId });
+                return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Duplicate a task
+     * @param {string} taskId - The task ID to duplicate
+     * @returns {Task|null} - The duplicated task or null
+     */
+    duplicateTask(taskId) {
+        return this.recordCommand('Duplicate task', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+
+            // Create a copy of the task data
+            const taskData = {
+                ...task.toJSON(),
+                id: null, // Will generate new ID
+                text: task.text + ' (Copy)',
+                completed: false,
+                completedAt: null,
+                createdAt: null, // Will use current time
+                modifiedAt: null,
+                isMyDay: false,
+                myDayDates: [],
+                comments: [], // Don't copy comments
+                timeEntries: [],
+                subtasks: task.subtasks.map(st => ({
+                    ...st.toJSON(),
+                    id: null, // Will generate new IDs
+                    completed: false
+                }))
+            };
+
+            const duplicatedTask = this.addTask(taskData);
+            Logger.debug('TaskDataManager: Duplicated task', taskId);
+            return duplicatedTask;
+        });
+    }
+
+    /**
+     * Archive a project (instead of deleting)
+     * @param {string} projectId - The project ID
+     * @returns {boolean} - True if archived
+     */
+    archiveProject(projectId) {
+        return this.recordCommand('Archive project', () => {
+            if (projectId === DEFAULT_PROJECTS.INBOX) {
+                Logger.warn('TaskDataManager: Cannot archive Inbox project');
+                return false;
+            }
+
+            const project = this.updateProject(projectId, { archived: true });
+            if (!project) return false;
+
+            this.emit('project:archived', { project });
+            return true;
+        });
     }
 
     /**
@@ -1141,7 +2856,13 @@ class TaskDataManager {
      * @returns {boolean} - True if unarchived
      */
     unarchiveProject(projectId) {
-        return this.updateProject(projectId, { archived: false }) !== null;
+        return this.recordCommand('Unarchive project', () => {
+            const project = this.updateProject(projectId, { archived: false });
+            if (!project) return false;
+
+            this.emit('project:unarchived', { project });
+            return true;
+        });
     }
 
     /**
@@ -1152,8 +2873,471 @@ class TaskDataManager {
         return this.projects.filter(p => p.archived).sort((a, b) => a.position - b.position);
     }
 
+    /**
+     * BOARD WORKFLOW METHODS
+     */
+
+    /**
+     * Get the board columns of a project
+     * @param {string} projectId - Project ID; views that aren't a project use DEFAULT_WORKFLOW
+     * @returns {WorkflowColumn[]} Copies of the columns in board order
+     */
+    getProjectWorkflow(projectId) {
+        const project = this.getProjectById(projectId);
+        return ((project && project.workflow) || DEFAULT_WORKFLOW).map(column => ({ ...column }));
+    }
+
+    /**
+     * Create a new board column (not yet part of any workflow)
+     * @param {string} name - Column title
+     * @param {string} [status=TaskStatus.TODO] - Task status the column stands for
+     * @returns {WorkflowColumn}
+     */
+    createWorkflowColumn(name, status = TaskStatus.TODO) {
+        return {
+            id: 'column_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name,
+            status,
+            wipLimit: null
+        };
+    }
+
+    /**
+     * Check a list of board columns
+     * Every status needs a column, so that tasks completed or blocked elsewhere still show up.
+     * @param {WorkflowColumn[]} columns - Columns in board order
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validateWorkflow(columns) {
+        if (!Array.isArray(columns) || columns.length === 0) {
+            return 'Add at least one column';
+        }
+        if (columns.length > WORKFLOW_MAX_COLUMNS) {
+            return `A board can have at most ${WORKFLOW_MAX_COLUMNS} columns`;
+        }
+
+        const statuses = Object.values(TaskStatus);
+        const ids = new Set();
+        for (const column of columns) {
+            const name = typeof column.name === 'string' ? column.name.trim() : '';
+            if (!name) {
+                return 'Every column needs a name';
+            }
+            if (name.length > WORKFLOW_COLUMN_NAME_MAX_LENGTH) {
+                return `Column names must be ${WORKFLOW_COLUMN_NAME_MAX_LENGTH} characters or fewer`;
+            }
+            if (!statuses.includes(column.status)) {
+                return `Column "${name}" has an unknown status`;
+            }
+            if (column.wipLimit != null && !(Number.isInteger(column.wipLimit) && column.wipLimit > 0)) {
+                return `The WIP limit of "${name}" must be a whole number above 0`;
+            }
+            if (!column.id || ids.has(column.id)) {
+                return 'Column IDs must be unique';
+            }
+            ids.add(column.id);
+        }
+
+        const missing = statuses.filter(status => !columns.some(c => c.status === status));
+        if (missing.length > 0) {
+            const names = missing.map(status => DEFAULT_WORKFLOW.find(c => c.status === status).name);
+            return `Add a column for ${names.join(', ')} tasks`;
+        }
+        return null;
+    }
+
+    /**
+     * Replace a project's board columns
+     * Tasks in removed columns move to the first column for their status.
+     * @param {string} projectId - Project ID
+     * @param {WorkflowColumn[]|null} columns - New columns in board order, or null for the default columns
+     * @returns {{success: boolean, message: string, project?: Project}} - Result
+     */
+    setProjectWorkflow(projectId, columns) {
+        return this.recordCommand('Edit board columns', () => {
+            if (!this.getProjectById(projectId)) {
+                return { success: false, message: 'Project not found' };
+            }
+
+            let workflow = null;
+            if (columns) {
+                const error = this.validateWorkflow(columns);
+                if (error) {
+                    return { success: false, message: error };
+                }
+                workflow = columns.map(column => ({
+                    id: column.id,
+                    name: column.name.trim(),
+                    status: column.status,
+                    wipLimit: column.wipLimit || null
+                }));
+            }
+
+            const columnIds = new Set((workflow || DEFAULT_WORKFLOW).map(c => c.id));
+            this.tasks
+                .filter(t => t.projectId === projectId && t.columnId && !columnIds.has(t.columnId))
+                .forEach(t => this.updateTask(t.id, { columnId: null }));
+
+            const project = this.updateProject(projectId, { workflow });
+            Logger.debug('TaskDataManager: Updated board columns of', projectId);
+            return { success: true, message: 'Board columns saved', project };
+        });
+    }
+
+    /**
+     * Find the column a task is shown in
+     * A task stays in its own column while that column matches its status; otherwise (no column
+     * yet, column removed, status changed elsewhere) it goes to the first column for its status.
+     * @param {Task} task - Task to place
+     * @param {WorkflowColumn[]} workflow - Board columns
+     * @returns {WorkflowColumn}
+     */
+    getTaskColumn(task, workflow) {
+        return workflow.find(c => c.id === task.columnId && c.status === task.status)
+            || workflow.find(c => c.status === task.status)
+            || workflow[0];
+    }
+
+    /**
+     * Split tasks into board columns
+     * @param {Task[]} tasks - Tasks to place
+     * @param {WorkflowColumn[]} workflow - Board columns
+     * @returns {{column: WorkflowColumn, tasks: Task[], overLimit: boolean}[]} - One entry per column, in board order
+     */
+    groupTasksByColumn(tasks, workflow) {
+        const groups = new Map(workflow.map(column => [column.id, []]));
+        tasks.forEach(task => groups.get(this.getTaskColumn(task, workflow).id).push(task));
+
+        return workflow.map(column => {
+            const columnTasks = groups.get(column.id);
+            return {
+                column,
+                tasks: columnTasks,
+                overLimit: column.wipLimit != null && columnTasks.length > column.wipLimit
+            };
+        });
+    }
+
+    /**
+     * Check whether a task may be dragged into a column
+     * @param {string} taskId - Task ID
+     * @param {WorkflowColumn} column - Target column
+     * @returns {string|null} - Why the move isn't allowed, or null if it is
+     */
+    canMoveTaskToColumn(taskId, column) {
+        const task = this.getTaskById(taskId);
+        if (!task) {
+            return 'Task not found';
+        }
+
+        if (column.status === TaskStatus.DONE && !task.completed) {
+            const openBlockers = task.blockedBy.filter(blockerId => !this.isBlockerCompleted(blockerId));
+            if (openBlockers.length > 0) {
+                return `"${task.text}" can't move to ${column.name} while ${openBlockers.length} blocker${openBlockers.length > 1 ? 's are' : ' is'} still open`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move a task to a board column as one undoable step
+     * Moving into or out of a Done column completes or reopens the task.
+     * @param {string} taskId - Task ID
+     * @param {WorkflowColumn} column - Target column
+     * @param {Partial<TaskData>} [updates] - Other fields to change in the same step (e.g. from a swimlane move)
+     * @returns {{success: boolean, message: string, task?: Task, completion?: Object|null}} - Result;
+     *   `completion` is the result of completeTask() or reopenTask() when the move changed completion
+     */
+    moveTaskToColumn(taskId, column, updates = {}) {
+        return this.recordCommand('Move task', () => {
+            const error = this.canMoveTaskToColumn(taskId, column);
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            const task = this.getTaskById(taskId);
+            let completion = null;
+            if (column.status === TaskStatus.DONE && !task.completed) {
+                completion = this.completeTask(taskId);
+            } else if (column.status !== TaskStatus.DONE && task.completed) {
+                completion = this.reopenTask(taskId, column.status);
+            } else if (task.status !== column.status) {
+                this.updateTask(taskId, { status: column.status });
+            }
+
+            const movedTask = this.updateTask(taskId, { ...updates, columnId: column.id });
+            Logger.debug('TaskDataManager: Moved task', taskId, 'to column', column.id);
+            return { success: true, message: `Moved to ${column.name}`, task: movedTask, completion };
+        });
+    }
+
+    /**
+     * TRASH METHODS
+     */
+
+    /**
+     * Get the contents of the Trash
+     * @returns {TrashContents} Trashed tasks and projects, most recently deleted first
+     */
+    getTrash() {
+        const byDeletedAt = (a, b) => b.deletedAt.localeCompare(a.deletedAt);
+        return {
+            tasks: [...this.deletedTasks].sort(byDeletedAt),
+            projects: [...this.deletedProjects].sort(byDeletedAt)
+        };
+    }
+
+    /**
+     * Restore a task from the Trash
+     * Puts back the dependencies removed by deleteTask() and re-blocks those tasks if needed.
+     * A task whose project is gone is restored to the Inbox.
+     * @param {string} taskId - Trashed task ID
+     * @returns {{task: Task, reBlockedTasks: Task[]}|null} - Result or null if not in the Trash
+     */
+    restoreTask(taskId) {
+        return this.recordCommand('Restore task', () => {
+            const trashed = this.deletedTasks.find(t => t.id === taskId);
+            if (!trashed) return null;
+
+            const task = new Task({
+                ...trashed.toJSON(),
+                projectId: this.getProjectById(trashed.projectId) ? trashed.projectId : DEFAULT_PROJECTS.INBOX,
+                deletedAt: null,
+                deletedDependents: []
+            });
+            this.deletedTasks = this.deletedTasks.filter(t => t.id !== taskId);
+
+            // Tasks are kept newest-first
+            const index = this.tasks.findIndex(t => t.createdAt < task.createdAt);
+            this.tasks.splice(index === -1 ? this.tasks.length : index, 0, task);
+
+            const reBlockedTasks = [];
+            trashed.deletedDependents.forEach(({ taskId: dependentId, blockerId }) => {
+                const dependent = this.getTaskById(dependentId);
+                if (!dependent || dependent.blockedBy.includes(blockerId) ||
+                    !this.getBlockerInfo(blockerId) || !this.validateNoCycles(dependentId, blockerId)) {
+                    return;
+                }
+
+                this.touchRecords(dependent);
+                dependent.blockedBy = [...dependent.blockedBy, blockerId];
+                const changes = ['blockedBy'];
+                if (!dependent.completed && !this.isBlockerCompleted(blockerId) &&
+                    dependent.status !== TaskStatus.BLOCKED) {
+                    dependent.status = TaskStatus.BLOCKED;
+                    changes.push('status');
+                    reBlockedTasks.push(dependent);
+                }
+                this.emit('task:updated', { task: dependent, changes });
+            });
+
+            this.saveToStorage();
+            Logger.debug('TaskDataManager: Restored task', taskId);
+            this.emit('task:restored', { task, reBlockedTasks });
+            return { task, reBlockedTasks };
+        });
+    }
+
+    /**
+     * Restore a project from the Trash
+     * Tasks moved to the Inbox by deleteProject() are moved back if they are still there.
+     * @param {string} projectId - Trashed project ID
+     * @returns {Project|null} - The restored project or null if not in the Trash
+     */
+    restoreProject(projectId) {
+        return this.recordCommand('Restore project', () => {
+            const trashed = this.deletedProjects.find(p => p.id === projectId);
+            if (!trashed) return null;
+
+            const project = new Project({ ...trashed.toJSON(), deletedAt: null, movedTaskIds: [] });
+            this.deletedProjects = this.deletedProjects.filter(p => p.id !== projectId);
+            this.projects.push(project);
+
+            const movedTasks = this.getStoredTasks().filter(t =>
+                trashed.movedTaskIds.includes(t.id) && t.projectId === DEFAULT_PROJECTS.INBOX
+            );
+            this.touchRecords(...movedTasks);
+            movedTasks.forEach(task => {
+                task.projectId = projectId;
+            });
+
+            this.saveToStorage();
+            Logger.debug('TaskDataManager: Restored project', projectId);
+
+            movedTasks
+                .filter(task => !task.deletedAt)
+                .forEach(task => this.emit('task:updated', { task, changes: ['projectId'] }));
+            this.emit('project:restored', { project, movedTaskIds: movedTasks.map(t => t.id) });
+            return project;
+        });
+    }
+
+    /**
+     * Permanently delete a task from the Trash
+     * @param {string} taskId - Trashed task ID
+     * @returns {boolean} - True if the task was in the Trash
+     */
+    deleteTaskPermanently(taskId) {
+        if (!this.deletedTasks.some(t => t.id === taskId)) return false;
+
+        this.purgeRecords([taskId], []);
+        return true;
+    }
+
+    /**
+     * Permanently delete a project from the Trash
+     * @param {string} projectId - Trashed project ID
+     * @returns {boolean} - True if the project was in the Trash
+     */
+    deleteProjectPermanently(projectId) {
+        if (!this.deletedProjects.some(p => p.id === projectId)) return false;
+
+        this.purgeRecords([], [projectId]);
+        return true;
+    }
+
+    /**
+     * Permanently delete everything in the Trash
+     * @returns {{taskIds: string[], projectIds: string[]}} - IDs of the deleted records
+     */
+    emptyTrash() {
+        return this.purgeRecords(this.deletedTasks.map(t => t.id), this.deletedProjects.map(p => p.id));
+    }
+
+    /**
+     * Permanently delete records that have been in the Trash longer than the retention period
+     * @param {number} retentionDays - Days to keep trashed records; 0 or less keeps them forever
+     * @param {Date} [now] - Current time
+     * @returns {{taskIds: string[], projectIds: string[]}} - IDs of the deleted records
+     */
+    purgeExpiredTrash(retentionDays, now = new Date()) {
+        if (!(retentionDays > 0)) {
+            return { taskIds: [], projectIds: [] };
+        }
+
+        const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+        const expired = record => new Date(record.deletedAt).getTime() < cutoff;
+        return this.purgeRecords(
+            this.deletedTasks.filter(expired).map(t => t.id),
+            this.deletedProjects.filter(expired).map(p => p.id)
+        );
+    }
+
+    /**
+     * Remove records from the Trash for good
+     * Not recorded for undo, and commands touching the records are dropped so undo
+     * cannot bring them back.
+     * @param {string[]} taskIds - Trashed task IDs
+     * @param {string[]} projectIds - Trashed project IDs
+     * @returns {{taskIds: string[], projectIds: string[]}} - IDs of the deleted records
+     */
+    purgeRecords(taskIds, projectIds) {
+        if (taskIds.length === 0 && projectIds.length === 0) {
+            return { taskIds, projectIds };
+        }
+
+        this.deletedTasks = this.deletedTasks.filter(t => !taskIds.includes(t.id));
+        this.deletedProjects = this.deletedProjects.filter(p => !projectIds.includes(p.id));
+        ['tasks', 'deletedTasks'].forEach(name => this.history.discard(name, taskIds));
+        ['projects', 'deletedProjects'].forEach(name => this.history.discard(name, projectIds));
+        this.saveToStorage();
+
+        Logger.debug('TaskDataManager: Purged', taskIds.length, 'tasks and', projectIds.length, 'projects from trash');
+        this.emit('trash:purged', { taskIds, projectIds, noteIds: [] });
+        return { taskIds, projectIds };
+    }
+
+    /**
+     * Get the series ID a recurring task instance belongs to
+     * The first instance of a series is its own root; later instances point at it via recurringParentId
+     * @param {Task} task - A task in the series
+     * @returns {string} - The series root task ID
+     */
+    getRecurringSeriesId(task) {
+        return task.recurringParentId || task.id;
+    }
+
+    /**
+     * Get all instances of a recurring series (completed and open)
+     * @param {string} seriesId - The series root task ID
+     * @returns {Task[]} - Array of task instances
+     */
+    getRecurringSeriesTasks(seriesId) {
+        return this.tasks.filter(t => t.id === seriesId || t.recurringParentId === seriesId);
+    }
+
+    /**
+     * Calculate the due date of the occurrence after this one
+     * Counts from the due date, or from the completion date (today if not completed yet) when
+     * the rule repeats from completion or the task has no due date. See RecurrenceRule.
+     * @param {Task} task - The recurring task instance
+     * @returns {string|null} - Next due date (YYYY-MM-DD) or null if the series has ended
+     */
+    getNextRecurrenceDate(task) {
+        if (!task || !task.isRecurring || !task.recurrence) return null;
+
+        const rule = RecurrenceRule.normalize(task.recurrence);
+        if (!rule) {
+            Logger.warn('TaskDataManager: Invalid recurrence rule', task.id, task.recurrence);
+            return null;
+        }
+
+        let base;
+        if (rule.repeatFrom === RecurrenceRepeatFrom.COMPLETION || !task.dueDate) {
+            base = task.completedAt ? new Date(task.completedAt) : new Date();
+        } else {
+            base = DateUtils.parseDate(task.dueDate);
+        }
+
+        return RecurrenceRule.getNextDate(rule, base);
+    }
+
+    /**
+     * Project the future occurrences of open recurring tasks into a date range
+     * Occurrences are counted on from each open instance's due date, so rules that repeat from
+     * completion (whose next date isn't known until the task is done) are not projected. Dates
+     * that already have an instance in the series are left out.
+     * @param {string} startDate - First day of the range (YYYY-MM-DD)
+     * @param {string} endDate - Last day of the range (YYYY-MM-DD, inclusive)
+     * @returns {{task: Task, date: string}[]} - Projected occurrences in date order
+     */
+    getRecurrenceProjections(startDate, endDate) {
+        const projections = [];
+        const projectedDates = new Map(); // seriesId -> dates already taken
+
+        this.tasks.forEach(task => {
+            if (task.completed || !task.isRecurring || !task.dueDate) return;
+
+            let rule = RecurrenceRule.normalize(task.recurrence);
+            if (!rule || rule.repeatFrom === RecurrenceRepeatFrom.COMPLETION) return;
+
+            const seriesId = this.getRecurringSeriesId(task);
+            if (!projectedDates.has(seriesId)) {
+                projectedDates.set(seriesId, new Set(this.getRecurringSeriesTasks(seriesId)
+                    .map(t => DateUtils.toDateKey(t.dueDate))));
+            }
+            const taken = projectedDates.get(seriesId);
+
+            let date = DateUtils.toDateKey(task.dueDate);
+            for (let i = 0; i < RECURRENCE_PROJECTION_LIMIT; i++) {
+                date = RecurrenceRule.getNextDate(rule, DateUtils.parseDate(date));
+                if (!date || date > endDate) break;
+
+                rule = { ...rule, occurrence: rule.occurrence + 1 };
+                if (date >= startDate && !taken.has(date)) {
+                    taken.add(date);
+                    projections.push({ task, date });
+                }
+            }
+        });
+
+        return projections.sort((a, b) => a.date.localeCompare(b.date) || Task.compareByDue(a.task, b.task));
+    }
+
     /**
      * Create next instance of a recurring task
+     * If the series already has an instance for the next date (e.g. the task was
+     * completed, reopened and completed again) that instance is returned instead.
      * @param {string} taskId - The recurring task ID
      * @returns {Task|null} - The new task instance or null
      */
@@ -1161,71 +3345,214 @@ class TaskDataManager {
         const task = this.getTaskById(taskId);
         if (!task || !task.isRecurring || !task.recurrence) return null;
 
-        const { type, interval, endDate } = task.recurrence;
-
-        // Calculate next due date
-        let nextDueDate = null;
-        if (task.dueDate) {
-            const currentDue = new Date(task.dueDate);
-            const nextDue = new Date(currentDue);
-
-            switch (type) {
-                case 'daily':
-                    nextDue.setDate(currentDue.getDate() + interval);
-                    break;
-                case 'weekly':
-                    nextDue.setDate(currentDue.getDate() + (7 * interval));
-                    break;
-                case 'monthly':
-                    nextDue.setMonth(currentDue.getMonth() + interval);
-                    break;
-                case 'yearly':
-                    nextDue.setFullYear(currentDue.getFullYear() + interval);
-                    break;
-            }
-
-            // Check if we've passed the end date
-            if (endDate && nextDue > new Date(endDate)) {
-                Logger.debug('TaskDataManager: Recurring task has reached end date', taskId);
-                return null;
-            }
+        const nextDueDate = this.getNextRecurrenceDate(task);
+        if (!nextDueDate) {
+            Logger.debug('TaskDataManager: Recurring task has reached end date', taskId);
+            return null;
+        }
 
-            nextDueDate = nextDue.toISOString().split('T')[0];
+        const seriesId = this.getRecurringSeriesId(task);
+        const existing = this.getRecurringSeriesTasks(seriesId).find(t =>
+            t.id !== task.id && DateUtils.toDateKey(t.dueDate) === nextDueDate
+        );
+        if (existing) {
+            Logger.debug('TaskDataManager: Next recurrence already exists', existing.id);
+            return existing;
         }
 
+        // The start date keeps its distance from the due date; without a due date there's nothing to keep it to
+        const dueKey = DateUtils.toDateKey(task.dueDate);
+        const nextStartDate = task.startDate && dueKey
+            ? DateUtils.formatDate(DateUtils.addDays(
+                DateUtils.parseDate(task.startDate),
+                DateUtils.differenceInDays(DateUtils.parseDate(nextDueDate), DateUtils.parseDate(dueKey))
+            ))
+            : null;
+
         // Create new task instance
         const newTaskData = {
             ...task.toJSON(),
             id: null, // Generate new ID
+            startDate: nextStartDate,
             dueDate: nextDueDate,
             completed: false,
             completedAt: null,
             createdAt: null, // Use current time
             modifiedAt: null,
+            deferUntil: null,
             isMyDay: false,
+            myDayDates: [],
             comments: [],
+            pomodorosCompleted: 0,
+            timeEntries: [],
+            status: task.blockedBy.some(blockerId => !this.isBlockerCompleted(blockerId))
+                ? TaskStatus.BLOCKED
+                : TaskStatus.TODO,
             subtasks: task.subtasks.map(st => ({
                 ...st.toJSON(),
                 id: null,
                 completed: false
             })),
-            recurringParentId: task.recurringParentId || task.id
+            recurrence: {
+                ...task.recurrence,
+                occurrence: RecurrenceRule.normalize(task.recurrence).occurrence + 1
+            },
+            recurringParentId: seriesId
         };
 
         const newTask = this.addTask(newTaskData);
         Logger.debug('TaskDataManager: Created next recurrence for task', taskId);
         return newTask;
     }
+
+    /**
+     * Mark a task as complete
+     * Single entry point for every completion path (list, board, detail panel, command palette):
+     * unblocks dependents, stops the task's timer and spawns the next occurrence of recurring tasks.
+     * @param {string} taskId - The task ID
+     * @returns {{task: Task, nextTask: Task|null, unblockedTasks: Task[]}|null} - Result or null if not found
+     */
+    completeTask(taskId) {
+        return this.recordCommand('Complete task', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+            if (task.completed) {
+                return { task, nextTask: null, unblockedTasks: [] };
+            }
+            if (task.getRunningTimeEntry()) {
+                this.stopTimer();
+            }
+
+            const completedTask = this.updateTask(taskId, {
+                completed: true,
+                completedAt: new Date().toISOString(),
+                status: TaskStatus.DONE
+            });
+
+            const unblockedTasks = this.updateDependentStatuses(taskId);
+            const nextTask = completedTask.isRecurring ? this.createNextRecurrence(taskId) : null;
+
+            this.emit('task:completed', { task: completedTask, nextTask, unblockedTasks });
+            return { task: completedTask, nextTask, unblockedTasks };
+        });
+    }
+
+    /**
+     * Mark a completed task as incomplete again
+     * Re-blocks dependents. An occurrence already spawned by the completion is kept.
+     * @param {string} taskId - The task ID
+     * @param {string} [status=TaskStatus.TODO] - Status to reopen the task with
+     * @returns {{task: Task, reBlockedTasks: Task[]}|null} - Result or null if not found
+     */
+    reopenTask(taskId, status = TaskStatus.TODO) {
+        return this.recordCommand('Reopen task', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+            if (!task.completed) {
+                return { task: this.updateTask(taskId, { status }), reBlockedTasks: [] };
+            }
+
+            const reopenedTask = this.updateTask(taskId, {
+                completed: false,
+                completedAt: null,
+                status: status === TaskStatus.DONE ? TaskStatus.TODO : status
+            });
+
+            const reBlockedTasks = this.reBlockDependentTasks(taskId);
+            this.emit('task:reopened', { task: reopenedTask, reBlockedTasks });
+            return { task: reopenedTask, reBlockedTasks };
+        });
+    }
+
+    /**
+     * Skip the current occurrence of a recurring task
+     * The instance is moved to the next date in place (subtasks reset) and a system comment
+     * records the skipped date, so dependencies and the open detail panel keep working.
+     * @param {string} taskId - The recurring task ID
+     * @returns {{success: boolean, message: string, task?: Task}} - Result
+     */
+    skipRecurrence(taskId) {
+        return this.recordCommand('Skip occurrence', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) {
+                return { success: false, message: 'Task not found' };
+            }
+            if (!task.isRecurring || !task.recurrence) {
+                return { success: false, message: 'Task is not recurring' };
+            }
+            if (task.completed) {
+                return { success: false, message: 'Cannot skip a completed occurrence' };
+            }
+
+            const nextDueDate = this.getNextRecurrenceDate(task);
+            if (!nextDueDate) {
+                return { success: false, message: 'This is the last occurrence of the series' };
+            }
+
+            const skippedDate = DateUtils.toDateKey(task.dueDate);
+            // A skipped occurrence still counts towards the rule's COUNT
+            const updatedTask = this.updateTask(taskId, {
+                dueDate: nextDueDate,
+                subtasks: task.subtasks.map(st => ({ ...st.toJSON(), completed: false })),
+                recurrence: {
+                    ...task.recurrence,
+                    occurrence: RecurrenceRule.normalize(task.recurrence).occurrence + 1
+                }
+            });
+            this.addComment(taskId, skippedDate
+                ? `Skipped occurrence due ${skippedDate}`
+                : 'Skipped occurrence', 'system');
+
+            Logger.debug('TaskDataManager: Skipped recurrence', taskId, '->', nextDueDate);
+            this.emit('task:skipped', { task: updatedTask, skippedDate, nextDueDate });
+            return { success: true, message: `Next occurrence due ${nextDueDate}`, task: updatedTask };
+        });
+    }
+
+    /**
+     * Complete a recurring series
+     * Completes this instance without spawning another and turns recurrence off for
+     * every instance in the series, so reopening an old one cannot restart it.
+     * @param {string} taskId - Any task instance in the series
+     * @returns {{task: Task, unblockedTasks: Task[]}|null} - Result or null if not found
+     */
+    completeSeries(taskId) {
+        return this.recordCommand('Complete series', () => {
+            const task = this.getTaskById(taskId);
+            if (!task) return null;
+
+            const seriesId = this.getRecurringSeriesId(task);
+            const seriesTasks = this.getRecurringSeriesTasks(seriesId).filter(t => t.isRecurring);
+            this.touchRecords(...seriesTasks);
+            seriesTasks.forEach(t => {
+                t.isRecurring = false;
+            });
+            this.saveToStorage();
+            seriesTasks.forEach(t => this.emit('task:updated', { task: t, changes: ['isRecurring'] }));
+
+            const result = this.completeTask(taskId);
+            Logger.debug('TaskDataManager: Completed recurring series', seriesId);
+            this.emit('task:series-completed', { task: result.task, seriesId });
+            return { task: result.task, unblockedTasks: result.unblockedTasks };
+        });
+    }
 }
 
 // Export to global scope
 window.TaskDataManager = TaskDataManager;
 window.Task = Task;
 window.Comment = Comment;
+window.TimeEntry = TimeEntry;
 window.Subtask = Subtask;
 window.Project = Project;
+window.TaskHistory = TaskHistory;
 window.TaskStatus = TaskStatus;
 window.TaskPriority = TaskPriority;
 window.DEFAULT_PROJECTS = DEFAULT_PROJECTS;
+window.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
+window.SNOOZE_OPTIONS = SNOOZE_OPTIONS;
+window.BULK_ACTIONS = BULK_ACTIONS;
+window.TIME_ENTRY_SOURCES = TIME_ENTRY_SOURCES;
+window.MY_DAY_SUGGESTION_REASONS = MY_DAY_SUGGESTION_REASONS;
 
 Logger.debug('task-data.js loaded');
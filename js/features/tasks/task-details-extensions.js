@@ -105,6 +105,9 @@ function addCommentsSection(taskId) {
                 if (window.showTaskDetails) {
                     window.showTaskDetails(taskId);
                 }
+                if (window.showNotification && window.undoAction) {
+                    window.showNotification('Comment deleted', 'success', window.undoAction());
+                }
             }
         });
     });
@@ -122,6 +125,16 @@ function addRecurringTaskSection(taskId) {
     const dueDateSection = document.querySelector('.task-detail-section');
     if (!dueDateSection) return;
 
+    const form = getRecurrenceFormState(task.recurrence);
+    const selected = (value, current) => value === current ? 'selected' : '';
+    const weekdayOptions = [['MO', 'Mon'], ['TU', 'Tue'], ['WE', 'Wed'], ['TH', 'Thu'], ['FR', 'Fri'], ['SA', 'Sat'], ['SU', 'Sun']];
+    const setPosOptions = [[1, 'First'], [2, 'Second'], [3, 'Third'], [4, 'Fourth'], [-1, 'Last']];
+    const setPosDayOptions = [
+        ['day', 'Day'], ['weekday', 'Weekday'], ['weekend', 'Weekend day'],
+        ['MO', 'Monday'], ['TU', 'Tuesday'], ['WE', 'Wednesday'], ['TH', 'Thursday'],
+        ['FR', 'Friday'], ['SA', 'Saturday'], ['SU', 'Sunday']
+    ];
+
     const recurringHTML = `
         <div class="task-detail-section recurring-section">
             <label class="task-detail-label">
@@ -133,22 +146,93 @@ function addRecurringTaskSection(taskId) {
                     <div class="task-detail-section">
                         <label class="task-detail-label">Repeat</label>
                         <select class="task-detail-select" id="recurrenceType">
-                            <option value="daily" ${task.recurrence?.type === 'daily' ? 'selected' : ''}>Daily</option>
-                            <option value="weekly" ${task.recurrence?.type === 'weekly' ? 'selected' : ''}>Weekly</option>
-                            <option value="monthly" ${task.recurrence?.type === 'monthly' ? 'selected' : ''}>Monthly</option>
-                            <option value="yearly" ${task.recurrence?.type === 'yearly' ? 'selected' : ''}>Yearly</option>
+                            <option value="daily" ${selected('daily', form.type)}>Daily</option>
+                            <option value="weekly" ${selected('weekly', form.type)}>Weekly</option>
+                            <option value="monthly" ${selected('monthly', form.type)}>Monthly</option>
+                            <option value="yearly" ${selected('yearly', form.type)}>Yearly</option>
                         </select>
                     </div>
                     <div class="task-detail-section">
                         <label class="task-detail-label">Every</label>
-                        <input type="number" class="task-detail-input" id="recurrenceInterval" min="1" value="${task.recurrence?.interval || 1}">
+                        <input type="number" class="task-detail-input" id="recurrenceInterval" min="1" value="${form.interval}">
+                    </div>
+                </div>
+                <div class="task-detail-section" id="recurrenceWeekdaysSection">
+                    <label class="task-detail-label">On</label>
+                    <div class="recurrence-weekdays" id="recurrenceWeekdays">
+                        ${weekdayOptions.map(([code, label]) => `
+                            <label class="recurrence-weekday">
+                                <input type="checkbox" value="${code}" ${form.weekdays.includes(code) ? 'checked' : ''}>
+                                <span>${label}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="task-detail-section" id="recurrenceMonthlySection">
+                    <label class="task-detail-label">On</label>
+                    <div class="task-detail-row">
+                        <select class="task-detail-select" id="recurrenceMonthlyMode">
+                            <option value="same" ${selected('same', form.monthlyMode)}>Same day as due date</option>
+                            <option value="monthday" ${selected('monthday', form.monthlyMode)}>Day of month</option>
+                            <option value="setpos" ${selected('setpos', form.monthlyMode)}>The…</option>
+                        </select>
+                        <select class="task-detail-select" id="recurrenceMonthDay">
+                            ${Array.from({ length: 31 }, (_, i) => i + 1).map(day =>
+                                `<option value="${day}" ${selected(day, form.monthDay)}>${day}</option>`
+                            ).join('')}
+                            <option value="-1" ${selected(-1, form.monthDay)}>Last</option>
+                        </select>
+                        <select class="task-detail-select" id="recurrenceSetPos">
+                            ${setPosOptions.map(([pos, label]) =>
+                                `<option value="${pos}" ${selected(pos, form.setPos)}>${label}</option>`
+                            ).join('')}
+                        </select>
+                        <select class="task-detail-select" id="recurrenceSetPosDay">
+                            ${setPosDayOptions.map(([value, label]) =>
+                                `<option value="${value}" ${selected(value, form.setPosDay)}>${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="task-detail-row">
+                    <div class="task-detail-section">
+                        <label class="task-detail-label">Ends</label>
+                        <select class="task-detail-select" id="recurrenceEnds">
+                            <option value="never" ${selected('never', form.ends)}>Never</option>
+                            <option value="until" ${selected('until', form.ends)}>On date</option>
+                            <option value="count" ${selected('count', form.ends)}>After occurrences</option>
+                        </select>
+                    </div>
+                    <div class="task-detail-section" id="recurrenceEndDateSection">
+                        <label class="task-detail-label">End Date</label>
+                        <input type="date" class="task-detail-input" id="recurrenceEndDate"
+                            value="${escapeHtml(form.endDate)}">
+                    </div>
+                    <div class="task-detail-section" id="recurrenceCountSection">
+                        <label class="task-detail-label">Occurrences</label>
+                        <input type="number" class="task-detail-input" id="recurrenceCount" min="1" value="${form.count}">
                     </div>
                 </div>
                 <div class="task-detail-section">
-                    <label class="task-detail-label">End Date (optional)</label>
-                    <input type="date" class="task-detail-input" id="recurrenceEndDate"
-                        value="${escapeHtml(task.recurrence?.endDate || '')}">
+                    <label class="task-detail-label">Repeat From</label>
+                    <select class="task-detail-select" id="recurrenceRepeatFrom">
+                        <option value="due" ${selected('due', form.repeatFrom)}>Due date</option>
+                        <option value="completion" ${selected('completion', form.repeatFrom)}>Completion date</option>
+                    </select>
                 </div>
+                <p class="recurrence-summary" id="recurrenceSummary"></p>
+                ${task.isRecurring && !task.completed ? `
+                    <div class="task-actions-row">
+                        <button class="task-detail-btn" id="skipOccurrenceBtn" title="Move this task to its next occurrence">
+                            <i class="fas fa-forward"></i>
+                            Skip Occurrence
+                        </button>
+                        <button class="task-detail-btn" id="completeSeriesBtn" title="Complete this task and stop repeating">
+                            <i class="fas fa-flag-checkered"></i>
+                            Complete Series
+                        </button>
+                    </div>
+                ` : ''}
             </div>
         </div>
     `;
@@ -163,19 +247,24 @@ function addRecurringTaskSection(taskId) {
     // Attach event listeners
     const recurringCheckbox = document.getElementById('detailTaskRecurring');
     const recurringOptions = document.getElementById('recurringOptions');
+    if (!recurringCheckbox || !recurringOptions) return;
+
+    const refreshForm = () => {
+        updateRecurrenceFormVisibility();
+        const summary = document.getElementById('recurrenceSummary');
+        if (summary && window.RecurrenceRule) {
+            summary.textContent = window.RecurrenceRule.describe(readRecurrenceForm(taskId));
+        }
+    };
 
     recurringCheckbox.addEventListener('change', () => {
         recurringOptions.style.display = recurringCheckbox.checked ? 'block' : 'none';
 
         if (recurringCheckbox.checked) {
-            // Enable recurrence with default values
-            const type = document.getElementById('recurrenceType').value;
-            const interval = parseInt(document.getElementById('recurrenceInterval').value);
-            const endDate = document.getElementById('recurrenceEndDate').value || null;
-
+            // Enable recurrence with the values shown in the form
             window.taskDataManager.updateTask(taskId, {
                 isRecurring: true,
-                recurrence: { type, interval, endDate }
+                recurrence: readRecurrenceForm(taskId)
             });
         } else {
             // Disable recurrence
@@ -187,22 +276,153 @@ function addRecurringTaskSection(taskId) {
     });
 
     // Save recurrence settings on change
-    ['recurrenceType', 'recurrenceInterval', 'recurrenceEndDate'].forEach(id => {
-        const element = document.getElementById(id);
-        if (element) {
-            element.addEventListener('change', () => {
-                if (recurringCheckbox.checked) {
-                    const type = document.getElementById('recurrenceType').value;
-                    const interval = parseInt(document.getElementById('recurrenceInterval').value);
-                    const endDate = document.getElementById('recurrenceEndDate').value || null;
-
-                    window.taskDataManager.updateTask(taskId, {
-                        recurrence: { type, interval, endDate }
-                    });
-                }
-            });
-        }
+    recurringOptions.querySelectorAll('select, input').forEach(element => {
+        element.addEventListener('change', () => {
+            refreshForm();
+            if (recurringCheckbox.checked) {
+                window.taskDataManager.updateTask(taskId, {
+                    recurrence: readRecurrenceForm(taskId)
+                });
+            }
+        });
     });
+
+    refreshForm();
+
+    // Series actions
+    const skipBtn = document.getElementById('skipOccurrenceBtn');
+    if (skipBtn && window.skipTaskOccurrence) {
+        skipBtn.addEventListener('click', () => window.skipTaskOccurrence(taskId));
+    }
+
+    const completeSeriesBtn = document.getElementById('completeSeriesBtn');
+    if (completeSeriesBtn && window.completeTaskSeries) {
+        completeSeriesBtn.addEventListener('click', () => {
+            if (confirm('Complete this task and stop it from repeating?')) {
+                window.completeTaskSeries(taskId);
+            }
+        });
+    }
+}
+
+/**
+ * Map a stored recurrence rule onto the editor's simplified controls
+ */
+function getRecurrenceFormState(recurrence) {
+    const rule = (window.RecurrenceRule && window.RecurrenceRule.normalize(recurrence)) || {
+        type: 'daily', interval: 1, endDate: null, count: null,
+        byDay: [], byMonthDay: [], bySetPos: [], repeatFrom: 'due'
+    };
+
+    const state = {
+        type: rule.type,
+        interval: rule.interval,
+        weekdays: rule.type === 'weekly' ? rule.byDay.map(code => code.slice(-2)) : [],
+        monthlyMode: 'same',
+        monthDay: 1,
+        setPos: 1,
+        setPosDay: 'day',
+        ends: rule.count ? 'count' : (rule.endDate ? 'until' : 'never'),
+        endDate: rule.endDate || '',
+        count: rule.count || 10,
+        repeatFrom: rule.repeatFrom
+    };
+
+    const days = [...new Set(rule.byDay.map(code => code.slice(-2)))].sort().join(',');
+    const ordinalDay = rule.byDay.length === 1 && rule.byDay[0].length > 2 ? rule.byDay[0] : null;
+
+    if (rule.bySetPos.length > 0 && rule.byDay.length > 0) {
+        state.monthlyMode = 'setpos';
+        state.setPos = rule.bySetPos[0];
+        state.setPosDay = days === 'FR,MO,TH,TU,WE' ? 'weekday'
+            : days === 'SA,SU' ? 'weekend'
+            : rule.byDay.length === 7 ? 'day'
+            : rule.byDay[0].slice(-2);
+    } else if (ordinalDay) {
+        // Imported "2TU" style rules map onto "the second Tuesday"
+        state.monthlyMode = 'setpos';
+        state.setPos = parseInt(ordinalDay.slice(0, -2), 10);
+        state.setPosDay = ordinalDay.slice(-2);
+    } else if (rule.byMonthDay.length > 0) {
+        state.monthlyMode = 'monthday';
+        state.monthDay = rule.byMonthDay[0];
+    }
+
+    return state;
+}
+
+/**
+ * Build a recurrence rule from the editor controls
+ * Keeps the stored occurrence index so COUNT survives edits.
+ */
+function readRecurrenceForm(taskId) {
+    const task = window.taskDataManager.getTaskById(taskId);
+    const value = id => document.getElementById(id).value;
+
+    const type = value('recurrenceType');
+    const recurrence = {
+        type,
+        interval: Math.max(1, parseInt(value('recurrenceInterval'), 10) || 1),
+        endDate: null,
+        count: null,
+        byDay: [],
+        byMonthDay: [],
+        bySetPos: [],
+        repeatFrom: value('recurrenceRepeatFrom'),
+        occurrence: (task && task.recurrence && task.recurrence.occurrence) || 1
+    };
+
+    if (type === 'weekly') {
+        recurrence.byDay = Array.from(document.querySelectorAll('#recurrenceWeekdays input:checked'))
+            .map(input => input.value);
+    } else if (type === 'monthly' || type === 'yearly') {
+        const mode = value('recurrenceMonthlyMode');
+        if (mode === 'monthday') {
+            recurrence.byMonthDay = [parseInt(value('recurrenceMonthDay'), 10)];
+        } else if (mode === 'setpos') {
+            const pos = parseInt(value('recurrenceSetPos'), 10);
+            const day = value('recurrenceSetPosDay');
+            if (day === 'day') {
+                recurrence.byMonthDay = [pos];
+            } else {
+                recurrence.byDay = day === 'weekday' ? ['MO', 'TU', 'WE', 'TH', 'FR']
+                    : day === 'weekend' ? ['SA', 'SU']
+                    : [day];
+                recurrence.bySetPos = [pos];
+            }
+        }
+    }
+
+    const ends = value('recurrenceEnds');
+    if (ends === 'until') {
+        recurrence.endDate = value('recurrenceEndDate') || null;
+    } else if (ends === 'count') {
+        recurrence.count = Math.max(1, parseInt(value('recurrenceCount'), 10) || 1);
+    }
+
+    return recurrence;
+}
+
+/**
+ * Show only the recurrence controls relevant to the selected options
+ */
+function updateRecurrenceFormVisibility() {
+    const show = (id, visible) => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = visible ? '' : 'none';
+    };
+    const type = document.getElementById('recurrenceType').value;
+    const mode = document.getElementById('recurrenceMonthlyMode').value;
+    const ends = document.getElementById('recurrenceEnds').value;
+    const isMonthly = type === 'monthly' || type === 'yearly';
+
+    show('recurrenceWeekdaysSection', type === 'weekly');
+    show('recurrenceMonthlySection', isMonthly);
+    show('recurrenceMonthDay', isMonthly && mode === 'monthday');
+    show('recurrenceSetPos', isMonthly && mode === 'setpos');
+    show('recurrenceSetPosDay', isMonthly && mode === 'setpos');
+    show('recurrenceEndDateSection', ends === 'until');
+    show('recurrenceCountSection', ends === 'count');
 }
 
 /**
@@ -389,6 +609,33 @@ function addCommentsStyles() {
             flex: 1;
             min-width: 200px;
         }
+        .recurring-options .task-actions-row {
+            margin-top: 12px;
+        }
+        .recurrence-weekdays {
+            display: flex;
+            gap: 6px;
+            flex-wrap: wrap;
+        }
+        .recurrence-weekday {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 4px 8px;
+            border: 1px solid var(--border-color);
+            border-radius: 6px;
+            font-size: 13px;
+            cursor: pointer;
+        }
+        .recurrence-weekday:has(input:checked) {
+            border-color: var(--primary-color);
+        }
+        .recurrence-summary {
+            margin: 8px 0 0;
+            font-size: 13px;
+            opacity: 0.7;
+            font-style: italic;
+        }
     `;
     document.head.appendChild(style);
 }
@@ -402,35 +649,11 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-/**
- * Intercept showTaskDetails to enhance it
- */
-function interceptShowTaskDetails() {
-    if (!window.showTaskDetails) return;
-
-    const originalShowTaskDetails = window.showTaskDetails;
-    window.showTaskDetails = function(taskId) {
-        // Call original function
-        originalShowTaskDetails(taskId);
-
-        // Enhance with new features
-        setTimeout(() => {
-            enhanceTaskDetailsPanel(taskId);
-        }, 50);
-    };
-}
-
-// Initialize when task app is ready
-window.addEventListener('taskAppReady', () => {
-    Logger.debug('Task Details Extensions: Task app ready event received');
-    interceptShowTaskDetails();
+// Enhance the detail panel each time todo.js renders it
+window.eventBus.on('task:opened', ({ taskId }) => {
+    enhanceTaskDetailsPanel(taskId);
 });
 
-// Fallback: if already loaded
-if (document.readyState === 'complete' && window.showTaskDetails) {
-    setTimeout(interceptShowTaskDetails, 100);
-}
-
 // Export to global scope
 window.enhanceTaskDetailsPanel = enhanceTaskDetailsPanel;
 
@@ -0,0 +1,383 @@
+/**
+ * Task Query Language
+ * Parses and evaluates filter queries such as
+ * "project:Work AND priority:high AND due:<7d AND NOT tag:waiting"
+ * Used by saved filters (saved-filters.js) and the task search box (todo.js).
+ *
+ * Terms are field:value pairs or plain words (matched against text, description, tags and subtasks).
+ * Terms next to each other are joined with AND; OR, NOT (or a leading "-") and parentheses combine them.
+ * Operators are upper case so "not" and "or" can still be searched for. Values with spaces go in quotes:
+ * project:"Side Project".
+ *
+ *   project:<name>   tag:<name>   priority:high|medium|low   status:todo|in-progress|done|blocked
+ *   is:completed|open|overdue|recurring|blocked|deferred|my-day      has:due|time|tags|subtasks|description
+ *   due:<date>  created:<date>  completed:<date>
+ *
+ * Dates are today, tomorrow, yesterday, week (this week), YYYY-MM-DD or an offset from today
+ * (3d, 2w, 1m; -7d for the past), optionally after <, <=, > or >=. due:<7d is everything due before
+ * the day a week from today, including overdue tasks. due also takes overdue, none and any.
+ */
+
+/**
+ * @typedef {Object} TaskQueryNode
+ * @property {string} type - and|or|not|term|text
+ * @property {TaskQueryNode[]} [children] - Operands of and/or
+ * @property {TaskQueryNode} [child] - Operand of not
+ * @property {string} [field] - Field of a term
+ * @property {string} [op] - Comparison of a date term: =, <, <=, >, >=
+ * @property {*} [value] - Normalized value of a term, or the words of a text node
+ */
+
+/**
+ * @typedef {Object} TaskQueryResult
+ * @property {TaskQueryNode|null} ast - Parsed query; null when empty or invalid
+ * @property {string|null} error - Why the query couldn't be parsed
+ */
+
+const TASK_QUERY_FIELDS = ['project', 'tag', 'priority', 'status', 'is', 'has', 'due', 'created', 'completed', 'text'];
+
+const TaskQuery = {
+    PRIORITIES: ['high', 'medium', 'low'],
+    STATUSES: { todo: 'todo', 'in-progress': 'in-progress', inprogress: 'in-progress', done: 'done', blocked: 'blocked' },
+    IS_VALUES: { completed: 'completed', done: 'completed', open: 'open', overdue: 'overdue', recurring: 'recurring', blocked: 'blocked', deferred: 'deferred', snoozed: 'deferred', 'my-day': 'my-day', myday: 'my-day' },
+    HAS_VALUES: ['due', 'time', 'tags', 'subtasks', 'description'],
+
+    /**
+     * Parse a query
+     * @param {string} query - Query text
+     * @returns {TaskQueryResult}
+     */
+    parse(query) {
+        let tokens;
+        try {
+            tokens = this.tokenize(query || '');
+        } catch (error) {
+            return { ast: null, error: error.message };
+        }
+        if (tokens.length === 0) return { ast: null, error: null };
+
+        const state = { tokens, index: 0 };
+        try {
+            const ast = this.parseOr(state);
+            if (state.index < tokens.length) {
+                throw new Error(`Unexpected "${tokens[state.index].text}"`);
+            }
+            return { ast, error: null };
+        } catch (error) {
+            return { ast: null, error: error.message };
+        }
+    },
+
+    /**
+     * Split a query into words, operators and parentheses
+     * A quote runs to the next quote, so project:"Side Project" is one word.
+     * Words that start with a quote are literal: "tag:x" searches for the text tag:x.
+     * A leading "-" negates the word.
+     * @returns {Array<{type: string, text: string, quoted: boolean, literal: boolean, negated: boolean}>}
+     */
+    tokenize(query) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            const char = query[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, text: char, quoted: false, literal: false, negated: false });
+                i++;
+            } else {
+                const negated = char === '-' && i + 1 < query.length && !/[\s()]/.test(query[i + 1]);
+                if (negated) i++;
+
+                let text = '';
+                let quoted = false;
+                const literal = query[i] === '"';
+                while (i < query.length && !/[\s()]/.test(query[i])) {
+                    if (query[i] === '"') {
+                        const end = query.indexOf('"', i + 1);
+                        if (end === -1) throw new Error('Missing closing quote');
+                        text += query.slice(i + 1, end);
+                        quoted = true;
+                        i = end + 1;
+                    } else {
+                        text += query[i++];
+                    }
+                }
+
+                const isOperator = !quoted && !negated && ['AND', 'OR', 'NOT'].includes(text);
+                tokens.push({ type: isOperator ? text : 'word', text, quoted, literal, negated });
+            }
+        }
+
+        return tokens;
+    },
+
+    parseOr(state) {
+        const children = [this.parseAnd(state)];
+        while (this.peek(state) === 'OR') {
+            state.index++;
+            children.push(this.parseAnd(state));
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    },
+
+    parseAnd(state) {
+        const children = [this.parseUnary(state)];
+        for (let next = this.peek(state); next && next !== 'OR' && next !== ')'; next = this.peek(state)) {
+            if (next === 'AND') state.index++;
+            children.push(this.parseUnary(state));
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    },
+
+    parseUnary(state) {
+        const token = state.tokens[state.index];
+        if (!token) throw new Error('Query ends too early');
+
+        if (token.type === 'NOT') {
+            state.index++;
+            return { type: 'not', child: this.parseUnary(state) };
+        }
+        if (token.type === '(') {
+            state.index++;
+            const node = this.parseOr(state);
+            if (this.peek(state) !== ')') throw new Error('Missing closing parenthesis');
+            state.index++;
+            return node;
+        }
+        if (token.type === 'word') {
+            state.index++;
+            const node = this.parseWord(token);
+            return token.negated ? { type: 'not', child: node } : node;
+        }
+
+        throw new Error(`Unexpected "${token.text}"`);
+    },
+
+    peek(state) {
+        const token = state.tokens[state.index];
+        return token ? token.type : null;
+    },
+
+    /**
+     * Turn a word into a term, validating its value
+     */
+    parseWord(token) {
+        const separator = token.text.indexOf(':');
+        const field = separator > 0 ? token.text.slice(0, separator).toLowerCase() : null;
+
+        // Literal or unknown "field:" words are searched for as text
+        if (!field || !TASK_QUERY_FIELDS.includes(field) || token.literal) {
+            return { type: 'text', value: token.text.toLowerCase() };
+        }
+
+        const raw = token.text.slice(separator + 1);
+        const value = raw.toLowerCase();
+        if (!value) throw new Error(`Missing value after "${field}:"`);
+
+        switch (field) {
+            case 'project':
+            case 'tag':
+                return { type: 'term', field, value: raw };
+            case 'text':
+                return { type: 'text', value };
+            case 'priority':
+                if (!this.PRIORITIES.includes(value)) {
+                    throw new Error(`Unknown priority "${raw}" (use ${this.PRIORITIES.join(', ')})`);
+                }
+                return { type: 'term', field, value };
+            case 'status':
+                if (!this.STATUSES[value]) throw new Error(`Unknown status "${raw}" (use todo, in-progress, done, blocked)`);
+                return { type: 'term', field, value: this.STATUSES[value] };
+            case 'is':
+                if (!this.IS_VALUES[value]) throw new Error(`Unknown value "is:${raw}"`);
+                return { type: 'term', field, value: this.IS_VALUES[value] };
+            case 'has':
+                if (!this.HAS_VALUES.includes(value)) throw new Error(`Unknown value "has:${raw}"`);
+                return { type: 'term', field, value };
+            default:
+                return this.parseDateTerm(field, value, raw);
+        }
+    },
+
+    /**
+     * due:<7d, created:>=2025-01-01, due:overdue, ...
+     */
+    parseDateTerm(field, value, raw) {
+        if (field === 'due' && ['overdue', 'none', 'any'].includes(value)) {
+            return { type: 'term', field, op: '=', value };
+        }
+
+        const [, op = '=', date] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+        const valid = ['today', 'tomorrow', 'yesterday', 'week'].includes(date)
+            || (/^\d{4}-\d{2}-\d{2}$/.test(date) && DateUtils.formatDate(DateUtils.parseDate(date)) === date)
+            || /^[+-]?\d{1,4}[dwm]$/.test(date);
+        if (!valid) throw new Error(`Invalid date "${raw}" for ${field}: (use today, 3d, -7d, 2025-06-01, ...)`);
+
+        return { type: 'term', field, op, value: date };
+    },
+
+    /**
+     * First and last day a date value stands for
+     * @param {string} value - Date value from parseDateTerm()
+     * @param {Date} today - Local midnight today
+     * @returns {{start: string, end: string}} - YYYY-MM-DD keys
+     */
+    resolveDateRange(value, today) {
+        const day = date => ({ start: DateUtils.formatDate(date), end: DateUtils.formatDate(date) });
+
+        if (value === 'today') return day(today);
+        if (value === 'tomorrow') return day(DateUtils.addDays(today, 1));
+        if (value === 'yesterday') return day(DateUtils.addDays(today, -1));
+        if (value === 'week') {
+            return {
+                start: DateUtils.formatDate(DateUtils.startOfWeek(today)),
+                end: DateUtils.formatDate(DateUtils.endOfWeek(today))
+            };
+        }
+
+        const offset = value.match(/^([+-]?\d+)([dwm])$/);
+        if (offset) {
+            const count = parseInt(offset[1], 10);
+            if (offset[2] === 'm') return day(DateUtils.addMonths(today, count));
+            return day(DateUtils.addDays(today, offset[2] === 'w' ? count * 7 : count));
+        }
+
+        return { start: value, end: value };
+    },
+
+    /**
+     * Check whether a task matches a parsed query
+     * @param {TaskQueryNode|null} node - Parsed query; null matches every task
+     * @param {Task} task - Task to test
+     * @param {Object} context
+     * @param {Array<{id: string, name: string}>} context.projects - Projects project: can refer to
+     * @param {Date} [context.now] - Reference time (defaults to now)
+     * @returns {boolean}
+     */
+    matches(node, task, context) {
+        if (!node) return true;
+
+        switch (node.type) {
+            case 'and': return node.children.every(child => this.matches(child, task, context));
+            case 'or': return node.children.some(child => this.matches(child, task, context));
+            case 'not': return !this.matches(node.child, task, context);
+            case 'text': return this.matchesText(task, node.value);
+            default: return this.matchesTerm(node, task, context);
+        }
+    },
+
+    matchesText(task, text) {
+        return task.text.toLowerCase().includes(text)
+            || (task.description || '').toLowerCase().includes(text)
+            || task.tags.some(tag => tag.toLowerCase().includes(text))
+            || task.subtasks.some(subtask => subtask.text.toLowerCase().includes(text));
+    },
+
+    matchesTerm(node, task, context) {
+        const now = context.now || new Date();
+
+        switch (node.field) {
+            case 'project': {
+                // Names match ignoring case, spaces, dashes and underscores, as @Name does in quick add
+                const normalize = name => name.toLowerCase().replace(/[\s_-]+/g, '');
+                const project = (context.projects || []).find(p => p.id === task.projectId);
+                return task.projectId === node.value || (!!project && normalize(project.name) === normalize(node.value));
+            }
+            case 'tag':
+                return task.tags.some(tag => tag.toLowerCase() === node.value.toLowerCase());
+            case 'priority':
+                return task.priority === node.value;
+            case 'status':
+                return task.status === node.value;
+            case 'is':
+                switch (node.value) {
+                    case 'completed': return task.completed;
+                    case 'open': return !task.completed;
+                    case 'overdue': return task.isOverdue(now);
+                    case 'recurring': return !!task.isRecurring;
+                    case 'blocked': return task.status === TaskStatus.BLOCKED;
+                    case 'deferred': return task.isDeferred(now);
+                    default: return task.isMyDay;
+                }
+            case 'has':
+                switch (node.value) {
+                    case 'due': return !!task.dueDate;
+                    case 'time': return !!task.dueDate && !!task.dueTime;
+                    case 'tags': return task.tags.length > 0;
+                    case 'subtasks': return task.subtasks.length > 0;
+                    default: return !!task.description;
+                }
+            default:
+                return this.matchesDate(node, task, now);
+        }
+    },
+
+    /**
+     * Compare a task's due date, creation day or completion day with a date term
+     * Due dates are calendar dates; created and completed are timestamps on the local day they happened.
+     */
+    matchesDate(node, task, now) {
+        if (node.field === 'due') {
+            if (node.value === 'overdue') return task.isOverdue(now);
+            if (node.value === 'none') return !task.dueDate;
+            if (node.value === 'any') return !!task.dueDate;
+        }
+
+        const key = node.field === 'due'
+            ? DateUtils.toDateKey(task.dueDate)
+            : DateUtils.toLocalDateKey(node.field === 'created' ? task.createdAt : task.completedAt);
+        if (!key) return false;
+
+        const { start, end } = this.resolveDateRange(node.value, DateUtils.startOfDay(now));
+        switch (node.op) {
+            case '<': return key < start;
+            case '<=': return key <= end;
+            case '>': return key > end;
+            case '>=': return key >= start;
+            default: return key >= start && key <= end;
+        }
+    },
+
+    /**
+     * Whether a query asks for completed tasks (is:completed, status:done or completed:<date>)
+     * Views hide completed tasks unless it does.
+     * @param {TaskQueryNode|null} node - Parsed query
+     * @returns {boolean}
+     */
+    includesCompleted(node) {
+        if (!node) return false;
+
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return node.children.some(child => this.includesCompleted(child));
+            case 'not':
+                return this.includesCompleted(node.child);
+            case 'term':
+                return (node.field === 'is' && node.value === 'completed')
+                    || (node.field === 'status' && node.value === 'done')
+                    || node.field === 'completed';
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Whether a query uses any fields or operators, i.e. is more than plain search words
+     * @param {TaskQueryNode|null} node - Parsed query
+     * @returns {boolean}
+     */
+    isStructured(node) {
+        if (!node) return false;
+        if (node.type === 'text') return false;
+        if (node.type === 'and') return node.children.some(child => this.isStructured(child));
+        return true;
+    }
+};
+
+// Export to global scope
+window.TaskQuery = TaskQuery;
+
+Logger.debug('task-query.js loaded');
@@ -0,0 +1,158 @@
+/**
+ * Timeline
+ * Lays out a project's tasks by start and due date for the timeline (Gantt) view: the visible
+ * date range, one row per scheduled task, dependency links between rows and the critical path.
+ * Used by todo.js, which draws the bars and handles dragging them.
+ *
+ * The critical path is the chain of open tasks that decides when the project finishes: the open
+ * task that ends last, then the blocker of it that ends last, and so on back to a task with no
+ * scheduled blockers.
+ */
+
+/**
+ * @typedef {Object} TimelineRow
+ * @property {Task} task
+ * @property {string} start - First day (YYYY-MM-DD)
+ * @property {string} end - Last day (YYYY-MM-DD, inclusive)
+ * @property {number} offset - Days from the start of the range to the first day
+ * @property {number} length - Number of days
+ * @property {boolean} critical - On the critical path
+ * @property {boolean} conflict - A blocker finishes after the task is due
+ */
+
+/**
+ * @typedef {Object} TimelineLink
+ * @property {string} from - Blocker task ID
+ * @property {string} to - Dependent task ID
+ * @property {boolean} critical - Both tasks are consecutive on the critical path
+ * @property {boolean} conflict - The blocker finishes after the dependent task is due
+ */
+
+const Timeline = {
+    // Days shown before the earliest and after the latest bar
+    PADDING_DAYS: 3,
+
+    /**
+     * Lay out tasks on a timeline
+     * @param {Task[]} tasks - Tasks to show
+     * @param {TaskDataManager} manager - Looks up blockers and schedule conflicts
+     * @param {Date} [today] - Always inside the range
+     * @returns {{start: string, days: number, rows: TimelineRow[], links: TimelineLink[], unscheduled: Task[]}}
+     */
+    build(tasks, manager, today = new Date()) {
+        const scheduled = tasks
+            .map(task => ({ task, schedule: task.getSchedule() }))
+            .filter(item => item.schedule)
+            .sort((a, b) => a.schedule.start.localeCompare(b.schedule.start) ||
+                a.schedule.end.localeCompare(b.schedule.end));
+        const unscheduled = tasks.filter(task => !task.getSchedule());
+
+        const todayKey = DateUtils.formatDate(today);
+        const first = scheduled.reduce((min, { schedule }) => schedule.start < min ? schedule.start : min, todayKey);
+        const last = scheduled.reduce((max, { schedule }) => schedule.end > max ? schedule.end : max, todayKey);
+        const rangeStart = DateUtils.addDays(DateUtils.parseDate(first), -this.PADDING_DAYS);
+        const days = DateUtils.differenceInDays(DateUtils.parseDate(last), rangeStart) + 1 + this.PADDING_DAYS;
+
+        const conflicts = manager.getScheduleConflicts(scheduled.map(({ task }) => task));
+        const isConflict = (taskId, blockerId) => conflicts.some(c =>
+            c.task.id === taskId && (blockerId === undefined || c.blocker.id === blockerId));
+
+        const rows = scheduled.map(({ task, schedule }) => ({
+            task,
+            start: schedule.start,
+            end: schedule.end,
+            offset: DateUtils.differenceInDays(DateUtils.parseDate(schedule.start), rangeStart),
+            length: DateUtils.differenceInDays(DateUtils.parseDate(schedule.end), DateUtils.parseDate(schedule.start)) + 1,
+            critical: false,
+            conflict: isConflict(task.id)
+        }));
+
+        const rowIds = new Set(rows.map(row => row.task.id));
+        const links = [];
+        rows.forEach(({ task }) => {
+            const blockerIds = new Set(task.blockedBy.map(id => manager.parseBlockerReference(id).taskId));
+            blockerIds.forEach(blockerId => {
+                if (rowIds.has(blockerId)) {
+                    links.push({ from: blockerId, to: task.id, critical: false, conflict: isConflict(task.id, blockerId) });
+                }
+            });
+        });
+
+        const path = this.getCriticalPath(rows, links);
+        rows.forEach(row => {
+            row.critical = path.includes(row.task.id);
+        });
+        links.forEach(link => {
+            const index = path.indexOf(link.from);
+            link.critical = index !== -1 && path[index + 1] === link.to;
+        });
+
+        return { start: DateUtils.formatDate(rangeStart), days, rows, links, unscheduled };
+    },
+
+    /**
+     * Find the critical path (see the file comment)
+     * Ties on the end date go to the task with the longer chain of blockers behind it.
+     * @param {TimelineRow[]} rows
+     * @param {TimelineLink[]} links
+     * @returns {string[]} - Task IDs from the first task on the path to the last
+     */
+    getCriticalPath(rows, links) {
+        const open = new Map(rows.filter(row => !row.task.completed).map(row => [row.task.id, row]));
+        if (open.size === 0) return [];
+
+        const blockersOf = row => links
+            .filter(link => link.to === row.task.id && open.has(link.from))
+            .map(link => open.get(link.from));
+
+        // Number of open tasks in the longest chain ending at each row
+        const depths = new Map();
+        const depth = (row, visiting = new Set()) => {
+            if (depths.has(row.task.id)) return depths.get(row.task.id);
+            if (visiting.has(row.task.id)) return 0; // Dependencies are acyclic; guard anyway
+            visiting.add(row.task.id);
+            const value = 1 + Math.max(0, ...blockersOf(row).map(blocker => depth(blocker, visiting)));
+            depths.set(row.task.id, value);
+            return value;
+        };
+        const latest = candidates => candidates.reduce((best, row) =>
+            row.end > best.end || (row.end === best.end && depth(row) > depth(best)) ? row : best);
+
+        const path = [];
+        let current = latest([...open.values()]);
+        while (current && !path.includes(current.task.id)) {
+            path.unshift(current.task.id);
+            const blockers = blockersOf(current);
+            current = blockers.length > 0 ? latest(blockers) : null;
+        }
+        return path;
+    },
+
+    /**
+     * Work out a task's new dates after its bar was dragged
+     * @param {Task} task - Dragged task (must have a schedule)
+     * @param {number} days - Days dragged; negative is earlier
+     * @param {string} mode - 'move' shifts the whole bar, 'resize' moves only the last day
+     * @returns {{startDate: string|null, dueDate: string|null}} - Dates for rescheduleTask()
+     */
+    getDraggedSchedule(task, days, mode) {
+        const { start, end } = task.getSchedule();
+        const shift = date => DateUtils.formatDate(DateUtils.addDays(DateUtils.parseDate(date), days));
+
+        if (mode === 'resize') {
+            // The bar can't get shorter than its first day
+            const dueDate = shift(end) > start ? shift(end) : start;
+            return { startDate: dueDate > start ? start : null, dueDate };
+        }
+
+        return {
+            startDate: task.startDate ? shift(start) : null,
+            dueDate: task.dueDate ? shift(end) : null
+        };
+    }
+};
+
+// Export to global scope
+window.Timeline = Timeline;
+
+Logger.debug('timeline.js loaded');
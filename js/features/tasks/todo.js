@@ -11,13 +11,15 @@ const smartViewsList = document.getElementById('smartViewsList');
 const addProjectBtn = document.getElementById('addProjectBtn');
 const taskList = document.getElementById('taskList');
 const kanbanBoard = document.getElementById('kanbanBoard');
-const todoColumn = document.getElementById('todoColumn');
-const inProgressColumn = document.getElementById('inProgressColumn');
-const doneColumn = document.getElementById('doneColumn');
-const blockedColumn = document.getElementById('blockedColumn');
+const timelineView = document.getElementById('timelineView');
 const quickAddForm = document.getElementById('quickAddForm');
 const quickAddInput = document.getElementById('quickAddInput');
+const quickAddPreview = document.getElementById('quickAddPreview');
 const emptyState = document.getElementById('emptyState');
+const trashView = document.getElementById('trashView');
+const quickAddBar = document.querySelector('.quick-add-bar');
+const viewSwitcher = document.querySelector('.view-switcher');
+const boardGroupBySelect = document.getElementById('boardGroupBy');
 const viewTitle = document.getElementById('viewTitle');
 const viewSubtitle = document.getElementById('viewSubtitle');
 const taskDetailPanel = document.getElementById('taskDetailPanel');
@@ -65,14 +67,34 @@ const taskSearchClear = document.getElementById('taskSearchClear');
 
 // State
 let taskDataManager;
+let savedFiltersManager;
 let pomodoroTimer;
 let currentView = 'my-day';
 let currentProjectId = null;
 let currentTag = null;
+let currentFilterId = null;
 let selectedTaskId = null;
-let currentLayout = localStorage.getItem('taskLayout') || 'list'; // 'list' or 'board'
+let detailPanelStale = false; // Open task was changed in another tab while being edited
+let currentLayout = localStorage.getItem('taskLayout') || 'list'; // 'list', 'board' or 'timeline'
 let username = localStorage.getItem('username') || 'User';
 let searchQuery = '';
+let snoozeWakeUpTimer = null; // Re-renders when the next deferred task comes back
+let myDayRolloverTimer = null; // Starts a new My Day at the reset hour
+let myDayPlanningDay = null; // Planning day My Day was last rolled over to
+const bulkSelection = new BulkSelection(); // Tasks selected for batch actions (Ctrl/Shift+click, Space, Shift+Arrow)
+let timeTrackingTicker = null; // Counts up the running timer in badges and the detail panel
+
+// Board column icons by task status
+const KANBAN_STATUS_ICONS = {
+    'todo': 'fa-list-check',
+    'in-progress': 'fa-spinner',
+    'done': 'fa-check-circle',
+    'blocked': 'fa-ban'
+};
+
+// Timeline (Gantt) sizes in pixels
+const TIMELINE_DAY_WIDTH = 32;
+const TIMELINE_ROW_HEIGHT = 36;
 
 // Command Palette state
 let commandPaletteOpen = false;
@@ -80,18 +102,32 @@ let selectedCommandIndex = 0;
 let filteredCommands = [];
 
 // Initialize
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     Logger.debug('Task List App: Initializing');
 
-    // Initialize TaskDataManager
-    taskDataManager = new TaskDataManager();
+    // Initialize TaskDataManager once storage is open
+    const storage = await window.storageReady;
+    taskDataManager = new TaskDataManager({ storage });
+    await taskDataManager.ready;
     // Make it globally accessible for extensions
     window.taskDataManager = taskDataManager;
 
+    savedFiltersManager = new SavedFiltersManager({ storage });
+    await savedFiltersManager.ready;
+
+    // Permanently delete items kept in the Trash longer than the retention period
+    taskDataManager.purgeExpiredTrash(getTrashRetentionDays());
+
+    // Clear yesterday's My Day if the reset hour has passed since the last visit
+    checkMyDayRollover();
+
     // Initialize Pomodoro Timer
     pomodoroTimer = new PomodoroTimer();
     initializePomodoroUI();
 
+    // Running timers are shown to the minute
+    timeTrackingTicker = setInterval(updateRunningTimerDisplays, 30 * 1000);
+
     // Create and insert backdrop for detail panel
     const backdrop = document.createElement('div');
     backdrop.className = 'detail-panel-backdrop';
@@ -118,6 +154,12 @@ document.addEventListener('DOMContentLoaded', function() {
     // Check for task ID in URL (from global search)
     checkUrlForTask();
 
+    // Load notes so the Trash count and view include deleted notes
+    window.notesUIManager.whenReady().then(() => {
+        updateTrashCount();
+        if (currentView === 'trash') renderTrashView();
+    });
+
     Logger.debug('Task List App: Initialized');
 
     // Dispatch event to notify extensions that app is ready
@@ -160,7 +202,7 @@ function checkUrlForTask() {
 
             // Open the task detail panel after a short delay to allow rendering
             setTimeout(() => {
-                openTaskDetail(taskId);
+                showTaskDetails(taskId);
             }, 100);
 
             // Clean up URL without reloading page
@@ -210,10 +252,16 @@ function changeUsername() {
 function setupEventListeners() {
     // Quick add form
     quickAddForm.addEventListener('submit', handleQuickAdd);
+    quickAddInput.addEventListener('input', updateQuickAddPreview);
 
     // Sidebar view items
     smartViewsList.addEventListener('click', handleViewClick);
 
+    // Timers don't fire while the computer sleeps; catch up on the My Day reset when the tab is shown
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) checkMyDayRollover();
+    });
+
     // Projects list
     projectsList.addEventListener('click', handleProjectClick);
 
@@ -221,14 +269,58 @@ function setupEventListeners() {
     const tagsList = document.getElementById('tagsList');
     tagsList.addEventListener('click', handleTagClick);
 
+    // Saved filters list
+    document.getElementById('savedFiltersList').addEventListener('click', handleSavedFilterClick);
+    document.getElementById('addSavedFilterBtn').addEventListener('click', () => showSavedFilterModal());
+
     // Add project button
     addProjectBtn.addEventListener('click', showAddProjectModal);
 
     // Task list (event delegation)
     taskList.addEventListener('click', handleTaskClick);
 
+    // Batch action bar
+    const bulkActionBar = document.getElementById('bulkActionBar');
+    bulkActionBar.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-bulk-action]');
+        if (!btn) return;
+
+        switch (btn.dataset.bulkAction) {
+            case 'my-day':
+                applyBulkAction(BULK_ACTIONS.MY_DAY, btn.dataset.value === 'add');
+                break;
+            case 'clear-due-date':
+                applyBulkAction(BULK_ACTIONS.DUE_DATE, null);
+                break;
+            case 'add-tag': {
+                const count = bulkSelection.size;
+                const tag = prompt(`Add a tag to ${count} task${count !== 1 ? 's' : ''}:`);
+                if (tag !== null) applyBulkAction(BULK_ACTIONS.ADD_TAG, tag);
+                break;
+            }
+            default:
+                applyBulkAction(btn.dataset.bulkAction);
+        }
+    });
+    bulkActionBar.addEventListener('change', (e) => {
+        const field = e.target.closest('[data-bulk-action]');
+        if (!field || !field.value) return;
+
+        const value = field.value;
+        field.value = '';
+        applyBulkAction(field.dataset.bulkAction, value);
+    });
+    document.getElementById('bulkSelectAllBtn').addEventListener('click', selectAllTasksInView);
+    document.getElementById('bulkClearBtn').addEventListener('click', clearBulkSelection);
+
     // Kanban board (event delegation for My Day toggles)
     kanbanBoard.addEventListener('click', (e) => {
+        const laneToggle = e.target.closest('[data-action="toggle-lane"]');
+        if (laneToggle) {
+            toggleSwimlane(laneToggle.closest('.kanban-swimlane').dataset.lane);
+            return;
+        }
+
         const myDayBtn = e.target.closest('.my-day-toggle-btn');
         if (myDayBtn) {
             const card = e.target.closest('.kanban-card');
@@ -240,6 +332,19 @@ function setupEventListeners() {
         }
     });
 
+    // Timeline (event delegation for task labels and the shift setting)
+    timelineView.addEventListener('click', (e) => {
+        const item = e.target.closest('.timeline-label, .timeline-unscheduled-task');
+        if (item) {
+            showTaskDetails(item.dataset.taskId);
+        }
+    });
+    timelineView.addEventListener('change', (e) => {
+        if (e.target.id === 'timelineShiftDependents') {
+            localStorage.setItem('timelineShiftDependents', e.target.checked);
+        }
+    });
+
     // Detail panel close
     closeDetailPanel.addEventListener('click', hideDetailPanel);
 
@@ -325,9 +430,10 @@ function setupEventListeners() {
     todoMenuClearBtn.addEventListener('click', () => {
         closeTodoHeaderMenu();
         if (confirm('Are you sure you want to clear all data? This action cannot be undone.')) {
-            localStorage.clear();
-            alert('Local storage has been cleared.');
-            location.reload();
+            clearAllStorage().then(() => {
+                alert('Local storage has been cleared.');
+                location.reload();
+            });
         }
     });
 
@@ -377,6 +483,58 @@ function setupEventListeners() {
             return;
         }
 
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) to undo/redo task changes; inputs keep their own undo
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z' && !commandPaletteOpen) {
+            const activeElement = document.activeElement;
+            if (activeElement.tagName === 'INPUT' ||
+                activeElement.tagName === 'TEXTAREA' ||
+                activeElement.tagName === 'SELECT' ||
+                activeElement.isContentEditable) {
+                return;
+            }
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                redoTaskChange();
+            } else {
+                undoTaskChange();
+            }
+            return;
+        }
+
+        // Batch selection: Ctrl+A (Cmd on Mac) selects every task in the view, Escape clears the
+        // selection and Delete moves the selected tasks to the Trash. On a focused task, ArrowUp/
+        // ArrowDown move the focus, Shift+Arrow selects from the anchor and Space selects the task.
+        if (!commandPaletteOpen && !document.querySelector('.modal')) {
+            const activeElement = document.activeElement;
+            const typing = activeElement.tagName === 'INPUT' ||
+                activeElement.tagName === 'TEXTAREA' ||
+                activeElement.tagName === 'SELECT' ||
+                activeElement.isContentEditable;
+
+            if (!typing && (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'a' &&
+                getSelectableTaskElements().length > 0) {
+                e.preventDefault();
+                selectAllTasksInView();
+                return;
+            }
+            if (activeElement.dataset.taskId && !e.ctrlKey && !e.metaKey && !e.altKey &&
+                handleBulkSelectKey(activeElement.dataset.taskId, e.key, e.shiftKey)) {
+                e.preventDefault();
+                return;
+            }
+            if (!typing && bulkSelection.size > 0 && e.key === 'Escape') {
+                e.preventDefault();
+                clearBulkSelection();
+                return;
+            }
+            if (!typing && bulkSelection.size > 0 && e.key === 'Delete') {
+                e.preventDefault();
+                applyBulkAction(BULK_ACTIONS.DELETE);
+                return;
+            }
+        }
+
         // Ctrl+K or Cmd+K to open command palette
         if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
             e.preventDefault();
@@ -428,6 +586,16 @@ function setupEventListeners() {
         });
     });
 
+    // Board swimlanes
+    boardGroupBySelect.innerHTML = BOARD_GROUP_BY_OPTIONS.map(option => `
+        <option value="${option.value}">${option.label}</option>
+    `).join('');
+    boardGroupBySelect.value = getBoardGroupBy();
+    boardGroupBySelect.addEventListener('change', () => {
+        localStorage.setItem('boardGroupBy', boardGroupBySelect.value);
+        renderBoardView();
+    });
+
     // Edit and delete project buttons in header (using event delegation)
     document.addEventListener('click', (e) => {
         const editBtn = e.target.closest('.edit-project');
@@ -441,6 +609,21 @@ function setupEventListeners() {
             const projectId = deleteBtn.dataset.projectId;
             deleteProject(projectId);
         }
+
+        const columnsBtn = e.target.closest('.edit-board-columns');
+        if (columnsBtn) {
+            showWorkflowModal(columnsBtn.dataset.projectId);
+        }
+
+        const editFilterBtn = e.target.closest('.edit-saved-filter');
+        if (editFilterBtn) {
+            showSavedFilterModal(savedFiltersManager.getFilterById(editFilterBtn.dataset.filterId));
+        }
+
+        const deleteFilterBtn = e.target.closest('.delete-saved-filter');
+        if (deleteFilterBtn) {
+            deleteSavedFilter(deleteFilterBtn.dataset.filterId);
+        }
     });
 
     // Sidebar toggle for mobile
@@ -463,9 +646,109 @@ function setupEventListeners() {
         backdrop.addEventListener('click', hideDetailPanel);
     }
 
+    // Changes saved in other tabs
+    window.addEventListener('tasksUpdated', handleRemoteTaskChanges);
+    window.addEventListener('notesUpdated', handleRemoteNoteChanges);
+    window.addEventListener('storageConflict', handleStorageConflict);
+
+    // Restore and delete-forever buttons in the Trash view
+    trashView.addEventListener('click', handleTrashAction);
+
+    // References rewritten after a note, task or link was renamed, and tasks created from or
+    // completed by checklist lines in notes
+    window.eventBus.on('references:renamed', handleTasksRewritten);
+    window.eventBus.on('checklist:synced', handleTasksRewritten);
+
+    // Lines ticked in notes while this page was closed complete their tasks
+    NoteTasks.syncTasksFromNotes();
+
+    // Notes deleted from the notes modal land in the Trash
+    window.eventBus.on('note:deleted', () => {
+        updateTrashCount();
+        if (currentView === 'trash') renderTrashView();
+    });
+
+    // Saved filters changed in another tab
+    window.eventBus.on('filters:synced', () => {
+        if (currentView === 'filter' && !savedFiltersManager.getFilterById(currentFilterId)) {
+            activateSmartView('inbox');
+            return;
+        }
+        if (currentView === 'filter') {
+            updateViewHeader();
+            reRenderCurrentView();
+        } else {
+            renderSidebar();
+        }
+    });
+
     Logger.debug('Event listeners setup complete');
 }
 
+/**
+ * Refresh the UI after another tab changed tasks or projects
+ */
+function handleRemoteTaskChanges(e) {
+    if (!e.detail || e.detail.source !== 'sync') return;
+
+    // The project being viewed may have been deleted
+    if (currentProjectId && !taskDataManager.getProjectById(currentProjectId)) {
+        activateSmartView('inbox');
+    }
+
+    renderSidebar();
+    reRenderCurrentView();
+
+    const panelOpen = selectedTaskId && !taskDetailPanel.classList.contains('hidden');
+    if (!panelOpen || !e.detail.taskIds.includes(selectedTaskId)) return;
+
+    if (!taskDataManager.getTaskById(selectedTaskId)) {
+        hideDetailPanel();
+        showNotification('This task was deleted in another tab');
+    } else if (taskDetailPanel.contains(document.activeElement)) {
+        // Don't replace what the user is typing; ask before saving over it instead
+        detailPanelStale = true;
+        showNotification('This task was changed in another tab');
+    } else {
+        showTaskDetails(selectedTaskId);
+    }
+}
+
+/**
+ * Refresh the Trash after another tab deleted, restored or purged notes
+ */
+function handleRemoteNoteChanges(e) {
+    if (!e.detail || e.detail.source !== 'sync') return;
+
+    updateTrashCount();
+    if (currentView === 'trash') {
+        renderTrashView();
+    }
+}
+
+/**
+ * Offer to keep this tab's version of records another tab saved at the same time
+ */
+function handleStorageConflict(e) {
+    const { source, conflicts, keepLocal } = e.detail;
+    if (source !== 'tasks') return;
+
+    const record = conflicts[0].local || conflicts[0].remote;
+    const label = conflicts.length === 1
+        ? `"${record.text || record.name}" was`
+        : `${conflicts.length} items were`;
+
+    if (confirm(`${label} changed in another tab at the same time.\n\nKeep your version? Cancel keeps the other tab's version.`)) {
+        keepLocal();
+    }
+
+    renderSidebar();
+    reRenderCurrentView();
+    if (selectedTaskId && !taskDetailPanel.classList.contains('hidden') && taskDataManager.getTaskById(selectedTaskId)) {
+        showTaskDetails(selectedTaskId);
+    }
+}
+
 /**
  * Render Sidebar
  */
@@ -474,10 +757,11 @@ function renderSidebar() {
 
     // Update counts for smart views
     const myDayTasks = taskDataManager.getMyDayTasks();
-    const inboxTasks = taskDataManager.getTasksByProject(DEFAULT_PROJECTS.INBOX);
-    const allTasks = taskDataManager.getAllTasks().filter(t => !t.completed);
-    const importantTasks = taskDataManager.getImportantTasks();
+    const inboxTasks = taskDataManager.getTasksByProject(DEFAULT_PROJECTS.INBOX, { includeDeferred: false });
+    const allTasks = taskDataManager.getAllTasks({ includeDeferred: false }).filter(t => !t.completed);
+    const importantTasks = taskDataManager.getImportantTasks().filter(t => !t.isDeferred());
     const upcomingTasks = taskDataManager.getUpcomingTasks();
+    const deferredTasks = taskDataManager.getDeferredTasks();
     const completedTasks = taskDataManager.getCompletedTasks();
 
     document.getElementById('myDayCount').textContent = myDayTasks.length;
@@ -485,14 +769,17 @@ function renderSidebar() {
     document.getElementById('allCount').textContent = allTasks.length;
     document.getElementById('importantCount').textContent = importantTasks.length;
     document.getElementById('upcomingCount').textContent = upcomingTasks.length;
+    document.getElementById('deferredCount').textContent = deferredTasks.length;
+    scheduleSnoozeWakeUp(deferredTasks[0]);
     document.getElementById('completedCount').textContent = completedTasks.length;
+    updateTrashCount();
 
     // Render projects
     const projects = taskDataManager.getAllProjects();
     projectsList.innerHTML = '';
 
     projects.forEach(project => {
-        const projectTasks = taskDataManager.getTasksByProject(project.id).filter(t => !t.completed);
+        const projectTasks = taskDataManager.getTasksByProject(project.id, { includeDeferred: false }).filter(t => !t.completed);
         const projectItem = document.createElement('div');
         projectItem.className = 'sidebar-item project-item';
         projectItem.dataset.projectId = project.id;
@@ -541,7 +828,31 @@ function renderSidebar() {
         tagsList.appendChild(tagItem);
     });
 
-    Logger.debug('Sidebar rendered with', projects.length, 'projects and', tags.length, 'tags');
+    // Render saved filters with live counts
+    const filters = savedFiltersManager.getAllFilters();
+    const savedFiltersList = document.getElementById('savedFiltersList');
+    savedFiltersList.innerHTML = '';
+
+    filters.forEach(filter => {
+        const filterItem = document.createElement('div');
+        filterItem.className = 'sidebar-item saved-filter-item';
+        filterItem.dataset.filterId = filter.id;
+        filterItem.title = filter.query;
+
+        if (currentView === 'filter' && currentFilterId === filter.id) {
+            filterItem.classList.add('active');
+        }
+
+        filterItem.innerHTML = `
+            <div class="sidebar-item-icon"><i class="fas fa-filter"></i></div>
+            <div class="sidebar-item-text">${escapeHtml(filter.name)}</div>
+            <span class="sidebar-item-count">${taskDataManager.getTasksByQuery(filter.query).length}</span>
+        `;
+
+        savedFiltersList.appendChild(filterItem);
+    });
+
+    Logger.debug('Sidebar rendered with', projects.length, 'projects,', filters.length, 'filters and', tags.length, 'tags');
 }
 
 /**
@@ -639,6 +950,16 @@ function handleTagClick(e) {
     filterByTag(tag);
 }
 
+/**
+ * Handle saved filter click
+ */
+function handleSavedFilterClick(e) {
+    const filterItem = e.target.closest('.sidebar-item');
+    if (!filterItem || !filterItem.dataset.filterId) return;
+
+    activateSavedFilter(filterItem.dataset.filterId);
+}
+
 /**
  * Update view header
  */
@@ -653,10 +974,38 @@ function updateViewHeader() {
     }
 
     switch (currentView) {
-        case 'my-day':
+        case 'my-day': {
+            const plan = taskDataManager.getMyDayPlan();
+            const suggestionCount = plan.done ? 0 : taskDataManager.getMyDayPlanSuggestions().length;
+            const resetHour = taskDataManager.settings.myDayResetHour || 0;
             title = 'My Day';
-            subtitle = 'Focus on what matters today';
+            subtitle = suggestionCount > 0
+                ? `${suggestionCount} task${suggestionCount !== 1 ? 's' : ''} to look at before you start`
+                : 'Focus on what matters today';
+
+            const headerActions = document.createElement('div');
+            headerActions.className = 'view-header-actions';
+            headerActions.innerHTML = `
+                <select class="my-day-reset-select" id="myDayResetSelect" title="Start a new My Day at">
+                    ${Array.from({ length: 24 }, (_, hour) => `
+                        <option value="${hour}" ${hour === resetHour ? 'selected' : ''}>
+                            New day at ${formatResetHour(hour)}
+                        </option>
+                    `).join('')}
+                </select>
+                <button class="header-action-btn ${suggestionCount > 0 ? 'primary' : ''}" id="planMyDayBtn" title="Go through suggested tasks for today">
+                    <i class="fas fa-sun"></i>
+                    Plan your day
+                </button>
+            `;
+            viewTitle.parentElement.appendChild(headerActions);
+
+            headerActions.querySelector('#myDayResetSelect').addEventListener('change', (e) => {
+                changeMyDayResetHour(parseInt(e.target.value, 10));
+            });
+            headerActions.querySelector('#planMyDayBtn').addEventListener('click', showPlanMyDayModal);
             break;
+        }
         case 'inbox':
             title = 'Inbox';
             subtitle = 'Organize your tasks';
@@ -673,6 +1022,10 @@ function updateViewHeader() {
             title = 'Upcoming';
             subtitle = 'Tasks due in the next 7 days';
             break;
+        case 'deferred':
+            title = 'Deferred';
+            subtitle = 'Snoozed tasks and tasks that haven\'t started yet';
+            break;
         case 'completed':
             title = 'Completed';
             subtitle = 'View your accomplishments';
@@ -683,11 +1036,17 @@ function updateViewHeader() {
                 title = project.icon + ' ' + escapeHtml(project.name);
                 subtitle = project.description || 'Project tasks';
 
-                // Add edit and delete buttons for non-Inbox projects
+                // Board columns for every project; edit and delete buttons for non-Inbox projects
+                const headerActions = document.createElement('div');
+                headerActions.className = 'view-header-actions';
+                headerActions.innerHTML = `
+                    <button class="header-action-btn edit-board-columns" data-project-id="${escapeHtml(project.id)}" title="Edit Board Columns">
+                        <i class="fas fa-table-columns"></i>
+                        Columns
+                    </button>
+                `;
                 if (project.id !== DEFAULT_PROJECTS.INBOX) {
-                    const headerActions = document.createElement('div');
-                    headerActions.className = 'view-header-actions';
-                    headerActions.innerHTML = `
+                    headerActions.innerHTML += `
                         <button class="header-action-btn edit-project" data-project-id="${escapeHtml(project.id)}" title="Edit Project">
                             <i class="fas fa-pencil"></i>
                             Edit
@@ -697,8 +1056,8 @@ function updateViewHeader() {
                             Delete
                         </button>
                     `;
-                    viewTitle.parentElement.appendChild(headerActions);
                 }
+                viewTitle.parentElement.appendChild(headerActions);
             }
             break;
         case 'tag':
@@ -707,6 +1066,65 @@ function updateViewHeader() {
                 subtitle = `All tasks tagged with "${currentTag}"`;
             }
             break;
+        case 'filter': {
+            const filter = savedFiltersManager.getFilterById(currentFilterId);
+            if (filter) {
+                title = '<i class="fas fa-filter"></i> ' + escapeHtml(filter.name);
+                subtitle = filter.query;
+
+                const headerActions = document.createElement('div');
+                headerActions.className = 'view-header-actions';
+                headerActions.innerHTML = `
+                    <button class="header-action-btn edit-saved-filter" data-filter-id="${escapeHtml(filter.id)}" title="Edit Filter">
+                        <i class="fas fa-pencil"></i>
+                        Edit
+                    </button>
+                    <button class="header-action-btn delete-saved-filter" data-filter-id="${escapeHtml(filter.id)}" title="Delete Filter">
+                        <i class="fas fa-trash"></i>
+                        Delete
+                    </button>
+                `;
+                viewTitle.parentElement.appendChild(headerActions);
+            }
+            break;
+        }
+        case 'trash': {
+            const retentionDays = getTrashRetentionDays();
+            title = 'Trash';
+            subtitle = retentionDays > 0
+                ? `Deleted items are removed for good after ${retentionDays} days`
+                : 'Deleted items are kept until you empty the Trash';
+
+            const headerActions = document.createElement('div');
+            headerActions.className = 'view-header-actions';
+            headerActions.innerHTML = `
+                <select class="trash-retention-select" id="trashRetentionSelect" title="Keep deleted items for">
+                    ${TRASH_RETENTION_OPTIONS.map(days => `
+                        <option value="${days}" ${days === retentionDays ? 'selected' : ''}>
+                            ${days > 0 ? `Keep ${days} days` : 'Keep forever'}
+                        </option>
+                    `).join('')}
+                </select>
+                <button class="header-action-btn" id="exportWithTrashBtn" title="Export all data, including the Trash">
+                    <i class="fas fa-file-export"></i>
+                    Export
+                </button>
+                <button class="header-action-btn danger" id="emptyTrashBtn" title="Permanently delete everything in the Trash">
+                    <i class="fas fa-trash-can"></i>
+                    Empty Trash
+                </button>
+            `;
+            viewTitle.parentElement.appendChild(headerActions);
+
+            headerActions.querySelector('#trashRetentionSelect').addEventListener('change', (e) => {
+                changeTrashRetention(parseInt(e.target.value, 10));
+            });
+            headerActions.querySelector('#exportWithTrashBtn').addEventListener('click', () => {
+                exportAllData(false, { includeTrash: true });
+            });
+            headerActions.querySelector('#emptyTrashBtn').addEventListener('click', emptyTrash);
+            break;
+        }
     }
 
     // Handle Font Awesome icons properly
@@ -722,8 +1140,12 @@ function updateViewHeader() {
  * Re-render current view with current layout
  */
 function reRenderCurrentView() {
-    if (currentLayout === 'board') {
+    if (currentView === 'trash') {
+        renderTrashView();
+    } else if (currentLayout === 'board') {
         renderBoardView();
+    } else if (currentLayout === 'timeline') {
+        renderTimelineView();
     } else {
         renderTasks();
     }
@@ -737,6 +1159,13 @@ function filterTasksBySearch(tasks, query) {
         return tasks;
     }
 
+    // Queries with fields or operators (e.g. "priority:high OR tag:urgent") use the task query language
+    const { ast, error } = TaskQuery.parse(query);
+    if (!error && TaskQuery.isStructured(ast)) {
+        const context = { projects: taskDataManager.getAllProjects(), now: new Date() };
+        return tasks.filter(task => TaskQuery.matches(ast, task, context));
+    }
+
     const searchTerm = query.toLowerCase();
 
     return tasks.filter(task => {
@@ -770,6 +1199,12 @@ function filterTasksBySearch(tasks, query) {
  * Render Tasks
  */
 function renderTasks() {
+    if (currentView === 'trash') {
+        renderTrashView();
+        return;
+    }
+    setTrashLayout(false);
+
     Logger.debug('Rendering tasks for view:', currentView);
 
     let tasks = [];
@@ -779,47 +1214,52 @@ function renderTasks() {
             tasks = taskDataManager.getMyDayTasks();
             break;
         case 'inbox':
-            tasks = taskDataManager.getTasksByProject(DEFAULT_PROJECTS.INBOX);
+            tasks = taskDataManager.getTasksByProject(DEFAULT_PROJECTS.INBOX, { includeDeferred: false });
             break;
         case 'all':
-            tasks = taskDataManager.getAllTasks();
+            tasks = taskDataManager.getAllTasks({ includeDeferred: false });
             break;
         case 'important':
-            tasks = taskDataManager.getImportantTasks();
+            tasks = taskDataManager.getImportantTasks().filter(t => !t.isDeferred());
             break;
         case 'upcoming':
             tasks = taskDataManager.getUpcomingTasks();
             break;
+        case 'deferred':
+            tasks = taskDataManager.getDeferredTasks();
+            break;
         case 'completed':
             tasks = taskDataManager.getCompletedTasks();
             break;
         case 'project':
             if (currentProjectId) {
-                tasks = taskDataManager.getTasksByProject(currentProjectId);
+                tasks = taskDataManager.getTasksByProject(currentProjectId, { includeDeferred: false });
             }
             break;
         case 'tag':
             if (currentTag) {
-                tasks = taskDataManager.getTasksByTag(currentTag);
+                tasks = taskDataManager.getTasksByTag(currentTag).filter(t => !t.isDeferred());
+            }
+            break;
+        case 'filter': {
+            const filter = savedFiltersManager.getFilterById(currentFilterId);
+            if (filter) {
+                tasks = taskDataManager.getTasksByQuery(filter.query);
             }
             break;
+        }
     }
 
     // Apply search filter
     tasks = filterTasksBySearch(tasks, searchQuery);
 
     // Filter out completed tasks for all views except 'completed' view
-    if (currentView !== 'completed') {
+    // (saved filters already leave them out unless their query asks for them)
+    if (currentView !== 'completed' && currentView !== 'filter') {
         tasks = tasks.filter(t => !t.completed);
     }
 
-    // Sort: incomplete first, then by creation date (newest first)
-    tasks.sort((a, b) => {
-        if (a.completed !== b.completed) {
-            return a.completed ? 1 : -1;
-        }
-        return new Date(b.createdAt) - new Date(a.createdAt); // Newer tasks first
-    });
+    sortTasksForView(tasks);
 
     // Render
     taskList.innerHTML = '';
@@ -832,6 +1272,10 @@ function renderTasks() {
             emptyState.querySelector('.empty-state-icon').textContent = '🔍';
             emptyState.querySelector('.empty-state-title').textContent = 'No results found';
             emptyState.querySelector('.empty-state-description').textContent = `No tasks match "${searchQuery}"`;
+        } else if (currentView === 'deferred') {
+            emptyState.querySelector('.empty-state-icon').textContent = '💤';
+            emptyState.querySelector('.empty-state-title').textContent = 'Nothing deferred';
+            emptyState.querySelector('.empty-state-description').textContent = 'Snoozed tasks and tasks with a later start date wait here until they come back';
         } else {
             emptyState.querySelector('.empty-state-icon').textContent = '✅';
             emptyState.querySelector('.empty-state-title').textContent = 'No tasks yet';
@@ -848,26 +1292,29 @@ function renderTasks() {
 
     // Update sidebar counts
     renderSidebar();
+    updateBulkActionBar();
 
     Logger.debug('Rendered', tasks.length, 'tasks');
 }
 
 /**
- * Switch between list and board layouts
+ * Switch between list, board and timeline layouts
  */
 function switchViewLayout(layout) {
+    taskList.classList.toggle('hidden', layout === 'board' || layout === 'timeline');
+    kanbanBoard.classList.toggle('hidden', layout !== 'board');
+    timelineView.classList.toggle('hidden', layout !== 'timeline');
+
     if (layout === 'board') {
-        // Show board, hide list
-        taskList.classList.add('hidden');
-        kanbanBoard.classList.remove('hidden');
         renderBoardView();
+    } else if (layout === 'timeline') {
+        renderTimelineView();
     } else {
-        // Show list, hide board
-        taskList.classList.remove('hidden');
-        kanbanBoard.classList.add('hidden');
         renderTasks();
     }
 
+    boardGroupBySelect.classList.toggle('hidden', layout !== 'board');
+
     // Save layout preference
     localStorage.setItem('taskLayout', layout);
 
@@ -878,6 +1325,12 @@ function switchViewLayout(layout) {
  * Render Kanban Board View
  */
 function renderBoardView() {
+    if (currentView === 'trash') {
+        renderTrashView();
+        return;
+    }
+    setTrashLayout(false);
+
     Logger.debug('Rendering board view for:', currentView);
 
     // Get tasks using same logic as list view
@@ -888,65 +1341,78 @@ function renderBoardView() {
             tasks = taskDataManager.getMyDayTasks();
             break;
         case 'inbox':
-            tasks = taskDataManager.getTasksByProject(DEFAULT_PROJECTS.INBOX);
+            tasks = taskDataManager.getTasksByProject(DEFAULT_PROJECTS.INBOX, { includeDeferred: false });
             break;
         case 'all':
-            tasks = taskDataManager.getAllTasks();
+            tasks = taskDataManager.getAllTasks({ includeDeferred: false });
             break;
         case 'important':
-            tasks = taskDataManager.getImportantTasks();
+            tasks = taskDataManager.getImportantTasks().filter(t => !t.isDeferred());
             break;
         case 'upcoming':
             tasks = taskDataManager.getUpcomingTasks();
             break;
+        case 'deferred':
+            tasks = taskDataManager.getDeferredTasks();
+            break;
         case 'completed':
             tasks = taskDataManager.getCompletedTasks();
             break;
         case 'project':
             if (currentProjectId) {
-                tasks = taskDataManager.getTasksByProject(currentProjectId);
+                tasks = taskDataManager.getTasksByProject(currentProjectId, { includeDeferred: false });
             }
             break;
         case 'tag':
             if (currentTag) {
-                tasks = taskDataManager.getTasksByTag(currentTag);
+                tasks = taskDataManager.getTasksByTag(currentTag).filter(t => !t.isDeferred());
+            }
+            break;
+        case 'filter': {
+            const filter = savedFiltersManager.getFilterById(currentFilterId);
+            if (filter) {
+                tasks = taskDataManager.getTasksByQuery(filter.query);
             }
             break;
+        }
     }
 
-    // Apply search filter
-    tasks = filterTasksBySearch(tasks, searchQuery);
-
-    // Filter out completed tasks for board view
-    tasks = tasks.filter(t => !t.completed);
-
-    // Group tasks by status
-    const tasksByStatus = {
-        'todo': tasks.filter(t => t.status === 'todo'),
-        'in-progress': tasks.filter(t => t.status === 'in-progress'),
-        'done': tasks.filter(t => t.status === 'done'),
-        'blocked': tasks.filter(t => t.status === 'blocked')
-    };
-
-    // Clear columns
-    todoColumn.innerHTML = '';
-    inProgressColumn.innerHTML = '';
-    doneColumn.innerHTML = '';
-    blockedColumn.innerHTML = '';
+    // Completed tasks are left off the board; WIP limits count the tasks before searching
+    const workflow = taskDataManager.getProjectWorkflow(currentView === 'project' ? currentProjectId : null);
+    const boardTasks = tasks.filter(t => !t.completed);
+    const totals = taskDataManager.groupTasksByColumn(boardTasks, workflow);
+    tasks = sortTasksForView(filterTasksBySearch(boardTasks, searchQuery));
 
-    // Render cards in each column
-    Object.keys(tasksByStatus).forEach(status => {
-        const columnTasks = tasksByStatus[status];
-        const column = getColumnElement(status);
-
-        columnTasks.forEach(task => {
-            const card = createKanbanCard(task);
-            column.appendChild(card);
+    kanbanBoard.querySelectorAll('.kanban-column-content').forEach(element => {
+        if (element._sortable) {
+            element._sortable.destroy();
+        }
+    });
+    kanbanBoard.innerHTML = '';
+
+    const groupBy = getBoardGroupBy();
+    kanbanBoard.classList.toggle('grouped', groupBy !== 'none');
+    if (groupBy === 'none') {
+        // One column per workflow column
+        taskDataManager.groupTasksByColumn(tasks, workflow).forEach(({ column, tasks: columnTasks }, index) => {
+            kanbanBoard.appendChild(createKanbanColumn(column, columnTasks, totals[index]));
+        });
+    } else {
+        // Column headers once, then a row of columns per swimlane
+        const headings = document.createElement('div');
+        headings.className = 'kanban-swimlane-columns kanban-column-headings';
+        workflow.forEach((column, index) => {
+            const heading = createKanbanColumn(column, [], totals[index]);
+            heading.querySelector('.kanban-column-content').remove();
+            headings.appendChild(heading);
         });
+        kanbanBoard.appendChild(headings);
 
-        // Update count
-        updateColumnCount(status, columnTasks.length);
-    });
+        const lanes = BoardSwimlanes.getLanes(tasks, groupBy, { projects: taskDataManager.projects, now: new Date() });
+        lanes.forEach(lane => {
+            kanbanBoard.appendChild(createSwimlane(lane, groupBy, workflow, totals));
+        });
+    }
 
     // Show/hide empty state
     if (tasks.length === 0) {
@@ -957,6 +1423,10 @@ function renderBoardView() {
             emptyState.querySelector('.empty-state-icon').textContent = '🔍';
             emptyState.querySelector('.empty-state-title').textContent = 'No results found';
             emptyState.querySelector('.empty-state-description').textContent = `No tasks match "${searchQuery}"`;
+        } else if (currentView === 'deferred') {
+            emptyState.querySelector('.empty-state-icon').textContent = '💤';
+            emptyState.querySelector('.empty-state-title').textContent = 'Nothing deferred';
+            emptyState.querySelector('.empty-state-description').textContent = 'Snoozed tasks and tasks with a later start date wait here until they come back';
         } else {
             emptyState.querySelector('.empty-state-icon').textContent = '✅';
             emptyState.querySelector('.empty-state-title').textContent = 'No tasks yet';
@@ -970,28 +1440,132 @@ function renderBoardView() {
     renderSidebar();
 
     // Initialize SortableJS on columns
-    initializeSortable();
+    initializeSortable(workflow);
+    updateBulkActionBar();
 
-    Logger.debug('Rendered board with', tasks.length, 'tasks');
+    Logger.debug('Rendered board with', tasks.length, 'tasks in', workflow.length, 'columns');
 }
 
 /**
- * Initialize SortableJS on Kanban columns
+ * Create a Kanban column element
+ * @param {WorkflowColumn} column - Workflow column
+ * @param {Task[]} tasks - Cards to show
+ * @param {{tasks: Task[], overLimit: boolean}} total - All of the column's tasks, for the WIP limit
+ * @returns {HTMLElement}
  */
-function initializeSortable() {
-    const columns = [
-        { element: todoColumn, status: 'todo' },
-        { element: inProgressColumn, status: 'in-progress' },
-        { element: doneColumn, status: 'done' },
-        { element: blockedColumn, status: 'blocked' }
-    ];
+function createKanbanColumn(column, tasks, total) {
+    const element = createKanbanCell(column, tasks, total);
+
+    const count = column.wipLimit ? `${total.tasks.length} / ${column.wipLimit}` : total.tasks.length;
+    const countTitle = total.overLimit
+        ? `Over the WIP limit of ${column.wipLimit}`
+        : (column.wipLimit ? `WIP limit: ${column.wipLimit}` : '');
+
+    element.insertAdjacentHTML('afterbegin', `
+        <div class="kanban-column-header">
+            <div class="kanban-column-title">
+                <i class="fas ${KANBAN_STATUS_ICONS[column.status]}"></i>
+                <span>${escapeHtml(column.name)}</span>
+            </div>
+            <span class="kanban-column-count" title="${countTitle}">${count}</span>
+        </div>
+    `);
+    return element;
+}
 
-    columns.forEach(({ element, status }) => {
-        if (element._sortable) {
-            element._sortable.destroy();
-        }
+/**
+ * Create the droppable part of a Kanban column (no header), used on its own inside swimlanes
+ * @param {WorkflowColumn} column - Workflow column
+ * @param {Task[]} tasks - Cards to show
+ * @param {{overLimit: boolean}} total - The column's WIP state across the whole board
+ * @returns {HTMLElement}
+ */
+function createKanbanCell(column, tasks, total) {
+    const element = document.createElement('div');
+    element.className = `kanban-column ${total.overLimit ? 'over-limit' : ''}`;
+    element.dataset.status = column.status;
+    element.dataset.columnId = column.id;
+    element.innerHTML = '<div class="kanban-column-content"></div>';
+
+    const content = element.querySelector('.kanban-column-content');
+    tasks.forEach(task => content.appendChild(createKanbanCard(task)));
+    return element;
+}
+
+/**
+ * Create a collapsible swimlane with one cell per workflow column
+ * @param {Swimlane} lane - Lane from BoardSwimlanes.getLanes()
+ * @param {string} groupBy - Current grouping
+ * @param {WorkflowColumn[]} workflow - Board columns
+ * @param {{overLimit: boolean}[]} totals - WIP state of each column across the whole board
+ * @returns {HTMLElement}
+ */
+function createSwimlane(lane, groupBy, workflow, totals) {
+    const collapsed = isSwimlaneCollapsed(groupBy, lane.key);
+    const element = document.createElement('section');
+    element.className = `kanban-swimlane ${collapsed ? 'collapsed' : ''}`;
+    element.dataset.lane = lane.key;
+    element.innerHTML = `
+        <button class="kanban-swimlane-header" data-action="toggle-lane" aria-expanded="${!collapsed}">
+            <i class="fas ${collapsed ? 'fa-chevron-right' : 'fa-chevron-down'}"></i>
+            ${lane.icon || ''}
+            <span class="kanban-swimlane-title">${escapeHtml(lane.label)}</span>
+            <span class="kanban-column-count">${lane.tasks.length}</span>
+        </button>
+        <div class="kanban-swimlane-columns"></div>
+    `;
+
+    const cells = element.querySelector('.kanban-swimlane-columns');
+    taskDataManager.groupTasksByColumn(lane.tasks, workflow).forEach(({ column, tasks }, index) => {
+        cells.appendChild(createKanbanCell(column, tasks, totals[index]));
+    });
+    return element;
+}
+
+/**
+ * Board grouping saved from the group-by selector
+ * @returns {string} - none|project|priority|tag|due
+ */
+function getBoardGroupBy() {
+    const groupBy = localStorage.getItem('boardGroupBy');
+    return BOARD_GROUP_BY_OPTIONS.some(option => option.value === groupBy) ? groupBy : 'none';
+}
+
+/**
+ * Collapsed swimlanes, stored as "groupBy:laneKey"
+ * @returns {string[]}
+ */
+function getCollapsedSwimlanes() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('boardCollapsedLanes'));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function isSwimlaneCollapsed(groupBy, laneKey) {
+    return getCollapsedSwimlanes().includes(`${groupBy}:${laneKey}`);
+}
+
+/**
+ * Collapse or expand a swimlane and remember it for the grouping
+ */
+function toggleSwimlane(laneKey) {
+    const id = `${getBoardGroupBy()}:${laneKey}`;
+    const collapsed = getCollapsedSwimlanes();
+    const updated = collapsed.includes(id) ? collapsed.filter(key => key !== id) : [...collapsed, id];
+    localStorage.setItem('boardCollapsedLanes', JSON.stringify(updated));
+    renderBoardView();
+}
 
-        const sortable = new Sortable(element, {
+/**
+ * Initialize SortableJS on Kanban columns
+ * @param {WorkflowColumn[]} workflow - Columns on the board
+ */
+function initializeSortable(workflow) {
+    kanbanBoard.querySelectorAll('.kanban-column-content').forEach(element => {
+        element._sortable = new Sortable(element, {
             group: 'shared',
             animation: 150,
             ghostClass: 'sortable-ghost',
@@ -1005,92 +1579,464 @@ function initializeSortable() {
                     col.classList.remove('sortable-dragging');
                 });
 
-                // Get task ID and new status
                 const taskId = evt.item.dataset.taskId;
-                const newStatus = evt.to.parentElement.dataset.status;
-                const oldStatus = evt.from.parentElement.dataset.status;
-
-                // Only update if status changed
-                if (newStatus !== oldStatus && taskId) {
-                    Logger.debug('Task moved:', taskId, 'from', oldStatus, 'to', newStatus);
-
-                    // Update task status
-                    taskDataManager.updateTask(taskId, {
-                        status: newStatus,
-                        completed: newStatus === 'done'
-                    });
+                const toColumnId = evt.to.parentElement.dataset.columnId;
+                const fromColumnId = evt.from.parentElement.dataset.columnId;
+                const toLane = evt.to.closest('.kanban-swimlane');
+                const fromLane = evt.from.closest('.kanban-swimlane');
+
+                // Only update if the column or swimlane changed
+                if (!taskId || (toColumnId === fromColumnId && toLane === fromLane)) return;
+                Logger.debug('Task moved:', taskId, 'from', fromColumnId, 'to', toColumnId);
+
+                // Dropping into another swimlane changes the grouped field
+                let laneUpdates = {};
+                if (toLane !== fromLane) {
+                    laneUpdates = BoardSwimlanes.getLaneUpdates(
+                        taskDataManager.getTaskById(taskId), getBoardGroupBy(), fromLane.dataset.lane, toLane.dataset.lane
+                    );
+                    if (!laneUpdates) {
+                        const laneName = toLane.querySelector('.kanban-swimlane-title').textContent;
+                        showNotification(`Tasks can't be moved to ${laneName}`, 'warning');
+                        renderBoardView();
+                        return;
+                    }
+                }
 
-                    // Re-render board to update counts
+                if (toColumnId !== fromColumnId) {
+                    moveTaskToBoardColumn(taskId, workflow.find(c => c.id === toColumnId), laneUpdates);
+                } else {
+                    taskDataManager.updateTask(taskId, laneUpdates);
                     renderBoardView();
                 }
             }
         });
-
-        element._sortable = sortable;
     });
 
     Logger.debug('Sortable initialized on all columns');
 }
 
 /**
- * Get column element by status
+ * Move a task dragged to another board column
+ * Drag rules (see TaskDataManager.canMoveTaskToColumn) can refuse the move; the card then goes back.
+ * @param {string} taskId - Task ID
+ * @param {WorkflowColumn} column - Target column
+ * @param {Partial<TaskData>} [laneUpdates] - Changes from moving to another swimlane at the same time
  */
-function getColumnElement(status) {
-    switch (status) {
-        case 'todo': return todoColumn;
-        case 'in-progress': return inProgressColumn;
-        case 'done': return doneColumn;
-        case 'blocked': return blockedColumn;
-        default: return todoColumn;
+function moveTaskToBoardColumn(taskId, column, laneUpdates = {}) {
+    const result = taskDataManager.moveTaskToColumn(taskId, column, laneUpdates);
+    if (!result.success) {
+        showNotification(result.message, 'warning');
+        renderBoardView();
+        return;
     }
-}
 
-/**
- * Update column count badge
- */
-function updateColumnCount(status, count) {
-    const countId = {
-        'todo': 'todoCount',
-        'in-progress': 'inProgressCount',
-        'done': 'doneCount',
-        'blocked': 'blockedCount'
-    }[status];
+    if (result.task.completed) {
+        stopPomodoroForTask(taskId);
+    }
+    if (result.completion) {
+        if (result.task.completed) {
+            showCompletionNotifications(result.completion);
+        } else {
+            showReopenNotifications(result.completion);
+        }
+    }
+
+    // Re-render board to update counts
+    renderBoardView();
 
-    const countEl = document.getElementById(countId);
-    if (countEl) {
-        countEl.textContent = count;
+    const columnElement = kanbanBoard.querySelector(`.kanban-column[data-column-id="${column.id}"]`);
+    if (columnElement && columnElement.classList.contains('over-limit')) {
+        showNotification(`${column.name} is over its WIP limit of ${column.wipLimit}`, 'warning');
     }
 }
 
 /**
- * Create Kanban card element
+ * Render the timeline (Gantt) view of the current project
+ * Bars run from each task's start date to its due date, with arrows from blockers to the tasks they
+ * block. The critical path and blockers that finish after their dependent is due are highlighted.
+ * Bars can be dragged to move a task, or resized from their right edge to change its due date.
  */
-function createKanbanCard(task) {
-    const card = document.createElement('div');
-    card.className = 'kanban-card';
-    card.dataset.taskId = task.id;
-
-    // Due date
-    let dueDateHTML = '';
-    if (task.dueDate) {
-        const dueDate = new Date(task.dueDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const isOverdue = dueDate < today;
-
-        dueDateHTML = `
-            <div class="kanban-card-due ${isOverdue ? 'overdue' : ''}">
-                <i class="fas fa-calendar"></i>
-                ${dueDate.toLocaleDateString()}
+function renderTimelineView() {
+    if (currentView === 'trash') {
+        renderTrashView();
+        return;
+    }
+    setTrashLayout(false);
+    emptyState.style.display = 'none';
+    // Tasks can't be selected on the timeline
+    clearBulkSelection();
+
+    if (currentView !== 'project' || !currentProjectId) {
+        timelineView.innerHTML = `
+            <div class="timeline-message">
+                <i class="fas fa-chart-gantt"></i>
+                <p>Open a project to see its timeline</p>
             </div>
         `;
+        renderSidebar();
+        return;
     }
 
-    // Project
-    const project = taskDataManager.getProjectById(task.projectId);
-    const projectHTML = project ? `
-        <div class="kanban-card-project">
-            ${project.icon} ${escapeHtml(project.name)}
+    const tasks = filterTasksBySearch(taskDataManager.getTasksByProject(currentProjectId), searchQuery);
+    const timeline = Timeline.build(tasks, taskDataManager);
+    const rangeStart = DateUtils.parseDate(timeline.start);
+    const todayOffset = DateUtils.differenceInDays(DateUtils.today(), rangeStart);
+    const rowIndex = new Map(timeline.rows.map((row, index) => [row.task.id, index]));
+    const width = timeline.days * TIMELINE_DAY_WIDTH;
+    const height = Math.max(timeline.rows.length, 1) * TIMELINE_ROW_HEIGHT;
+
+    const days = Array.from({ length: timeline.days }, (_, i) => {
+        const date = DateUtils.addDays(rangeStart, i);
+        const classes = ['timeline-day'];
+        if (date.getDay() === 0 || date.getDay() === 6) classes.push('weekend');
+        if (i === todayOffset) classes.push('today');
+        const showMonth = i === 0 || date.getDate() === 1;
+        return `
+            <div class="${classes.join(' ')}" title="${date.toLocaleDateString()}">
+                ${showMonth ? `<span class="timeline-day-month">${date.toLocaleDateString('en-US', { month: 'short' })}</span>` : ''}
+                ${date.getDate()}
+            </div>
+        `;
+    }).join('');
+
+    const rowClasses = row => [
+        row.task.completed ? 'completed' : '',
+        row.critical ? 'critical' : '',
+        row.conflict ? 'conflict' : ''
+    ].filter(Boolean).join(' ');
+
+    const labels = timeline.rows.map(row => `
+        <div class="timeline-label ${rowClasses(row)}" data-task-id="${escapeHtml(row.task.id)}" title="${escapeHtml(row.task.text)}">
+            ${row.conflict ? '<i class="fas fa-triangle-exclamation" title="A blocker finishes after this task is due"></i>' : ''}
+            ${escapeHtml(row.task.text)}
+        </div>
+    `).join('');
+
+    const bars = timeline.rows.map(row => `
+        <div class="timeline-row">
+            <div class="timeline-bar ${rowClasses(row)}"
+                data-task-id="${escapeHtml(row.task.id)}" data-length="${row.length}"
+                style="left: ${row.offset * TIMELINE_DAY_WIDTH}px; width: ${row.length * TIMELINE_DAY_WIDTH}px"
+                title="${escapeHtml(row.task.text)}: ${DateUtils.parseDate(row.start).toLocaleDateString()} – ${DateUtils.parseDate(row.end).toLocaleDateString()}">
+                <span class="timeline-bar-label">${escapeHtml(row.task.text)}</span>
+                <span class="timeline-bar-handle" title="Drag to change the due date"></span>
+            </div>
+        </div>
+    `).join('');
+
+    const links = timeline.links.map(link => {
+        const from = timeline.rows[rowIndex.get(link.from)];
+        const to = timeline.rows[rowIndex.get(link.to)];
+        const x1 = (from.offset + from.length) * TIMELINE_DAY_WIDTH;
+        const y1 = rowIndex.get(link.from) * TIMELINE_ROW_HEIGHT + TIMELINE_ROW_HEIGHT / 2;
+        const x2 = to.offset * TIMELINE_DAY_WIDTH;
+        const y2 = rowIndex.get(link.to) * TIMELINE_ROW_HEIGHT + TIMELINE_ROW_HEIGHT / 2;
+
+        // Straight elbow when there is room, otherwise loop back between the rows
+        let path;
+        if (x2 - x1 >= 16) {
+            path = `M ${x1} ${y1} H ${x1 + 8} V ${y2} H ${x2}`;
+        } else {
+            const between = y2 > y1 ? y2 - TIMELINE_ROW_HEIGHT / 2 : y2 + TIMELINE_ROW_HEIGHT / 2;
+            path = `M ${x1} ${y1} H ${x1 + 8} V ${between} H ${x2 - 8} V ${y2} H ${x2}`;
+        }
+        const type = link.conflict ? 'conflict' : (link.critical ? 'critical' : 'normal');
+        return `<path class="timeline-link ${type}" d="${path}" marker-end="url(#timelineArrow-${type})"></path>`;
+    }).join('');
+
+    const markers = ['normal', 'critical', 'conflict'].map(type => `
+        <marker id="timelineArrow-${type}" class="timeline-arrow ${type}" viewBox="0 0 6 6" refX="6" refY="3"
+            markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M 0 0 L 6 3 L 0 6 z"></path>
+        </marker>
+    `).join('');
+
+    timelineView.innerHTML = `
+        <div class="timeline-toolbar">
+            <label class="timeline-shift-toggle">
+                <input type="checkbox" id="timelineShiftDependents" ${getTimelineShiftDependents() ? 'checked' : ''}>
+                Move dependent tasks later when rescheduling
+            </label>
+            <div class="timeline-legend">
+                <span class="timeline-legend-item critical">Critical path</span>
+                <span class="timeline-legend-item conflict">Blocker finishes late</span>
+            </div>
+        </div>
+        ${timeline.rows.length > 0 ? `
+            <div class="timeline-chart">
+                <div class="timeline-labels">
+                    <div class="timeline-labels-header">Task</div>
+                    ${labels}
+                </div>
+                <div class="timeline-scroll">
+                    <div class="timeline-grid" style="width: ${width}px; --timeline-day-width: ${TIMELINE_DAY_WIDTH}px; --timeline-row-height: ${TIMELINE_ROW_HEIGHT}px">
+                        <div class="timeline-header">${days}</div>
+                        <div class="timeline-rows" style="height: ${height}px">
+                            <div class="timeline-today-line" style="left: ${(todayOffset + 0.5) * TIMELINE_DAY_WIDTH}px"></div>
+                            <svg class="timeline-links" width="${width}" height="${height}">
+                                <defs>${markers}</defs>
+                                ${links}
+                            </svg>
+                            ${bars}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        ` : `
+            <div class="timeline-message">
+                <i class="fas fa-chart-gantt"></i>
+                <p>${searchQuery ? `No scheduled tasks match "${escapeHtml(searchQuery)}"` : 'Give tasks a start or due date to see them here'}</p>
+            </div>
+        `}
+        ${timeline.unscheduled.length > 0 ? `
+            <div class="timeline-unscheduled">
+                <span class="timeline-unscheduled-title">Unscheduled (${timeline.unscheduled.length})</span>
+                ${timeline.unscheduled.map(task => `
+                    <button class="timeline-unscheduled-task ${task.completed ? 'completed' : ''}" data-task-id="${escapeHtml(task.id)}">${escapeHtml(task.text)}</button>
+                `).join('')}
+            </div>
+        ` : ''}
+    `;
+
+    timelineView.querySelectorAll('.timeline-bar').forEach(initializeTimelineBar);
+
+    // Start scrolled to a few days before today
+    const scroll = timelineView.querySelector('.timeline-scroll');
+    if (scroll) {
+        scroll.scrollLeft = Math.max(0, (todayOffset - Timeline.PADDING_DAYS) * TIMELINE_DAY_WIDTH);
+    }
+
+    renderSidebar();
+
+    Logger.debug('Rendered timeline with', timeline.rows.length, 'scheduled tasks and', timeline.links.length, 'links');
+}
+
+/**
+ * Let a timeline bar be dragged to move the task or resized from its handle
+ * A press without movement opens the task instead.
+ * @param {HTMLElement} bar - Bar element
+ */
+function initializeTimelineBar(bar) {
+    bar.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        const mode = e.target.closest('.timeline-bar-handle') ? 'resize' : 'move';
+        const length = parseInt(bar.dataset.length, 10);
+        const startX = e.clientX;
+        let days = 0;
+        bar.setPointerCapture(e.pointerId);
+
+        const onMove = (moveEvent) => {
+            days = Math.round((moveEvent.clientX - startX) / TIMELINE_DAY_WIDTH);
+            if (mode === 'resize') {
+                days = Math.max(days, 1 - length);
+                bar.style.width = `${(length + days) * TIMELINE_DAY_WIDTH}px`;
+            } else {
+                bar.style.transform = `translateX(${days * TIMELINE_DAY_WIDTH}px)`;
+            }
+            bar.classList.toggle('dragging', days !== 0);
+        };
+
+        const onEnd = () => {
+            bar.removeEventListener('pointermove', onMove);
+            bar.removeEventListener('pointerup', onEnd);
+            bar.removeEventListener('pointercancel', onEnd);
+
+            if (days === 0) {
+                showTaskDetails(bar.dataset.taskId);
+            } else {
+                rescheduleTimelineTask(bar.dataset.taskId, days, mode);
+            }
+        };
+
+        bar.addEventListener('pointermove', onMove);
+        bar.addEventListener('pointerup', onEnd);
+        bar.addEventListener('pointercancel', onEnd);
+    });
+}
+
+/**
+ * Reschedule a task after its timeline bar was dragged
+ * Dependent tasks are moved later when the shift setting is on; otherwise (or when the task now
+ * ends up before one of its own blockers) a warning names the conflicting blocker.
+ * @param {string} taskId - Task ID
+ * @param {number} days - Days dragged
+ * @param {string} mode - 'move' or 'resize'
+ */
+function rescheduleTimelineTask(taskId, days, mode) {
+    const task = taskDataManager.getTaskById(taskId);
+    if (!task || !task.getSchedule()) return;
+
+    const result = taskDataManager.rescheduleTask(taskId, Timeline.getDraggedSchedule(task, days, mode), {
+        shiftDependents: getTimelineShiftDependents()
+    });
+    renderTimelineView();
+
+    if (!result.success) {
+        showNotification(result.message, 'warning');
+    } else if (result.conflicts.length > 0) {
+        const { task: dependent, blocker } = result.conflicts[0];
+        const more = result.conflicts.length > 1 ? ` (and ${result.conflicts.length - 1} more)` : '';
+        showNotification(`"${blocker.text}" finishes after "${dependent.text}" is due${more}`, 'warning', undoAction());
+    } else {
+        showNotification(result.message, 'success', undoAction());
+    }
+}
+
+/**
+ * Whether rescheduling on the timeline moves dependent tasks later (on unless turned off)
+ * @returns {boolean}
+ */
+function getTimelineShiftDependents() {
+    return localStorage.getItem('timelineShiftDependents') !== 'false';
+}
+
+/**
+ * Sort tasks for the current view: incomplete first, then earliest due in
+ * My Day and Upcoming, then by creation date (newest first).
+ * The Deferred view keeps the order tasks come back in.
+ * @param {Task[]} tasks - Tasks to sort in place
+ * @returns {Task[]} The same array
+ */
+function sortTasksForView(tasks) {
+    if (currentView === 'deferred') {
+        return tasks.sort((a, b) => a.getAvailableAt() - b.getAvailableAt());
+    }
+
+    const byDue = currentView === 'my-day' || currentView === 'upcoming';
+
+    return tasks.sort((a, b) => {
+        if (a.completed !== b.completed) {
+            return a.completed ? 1 : -1;
+        }
+        return (byDue ? Task.compareByDue(a, b) : 0)
+            || new Date(b.createdAt) - new Date(a.createdAt); // Newer tasks first
+    });
+}
+
+/**
+ * Format a task's due date for list items and cards, e.g. "3/10/2025",
+ * "3/10/2025 9:30 AM" or "3/10/2025 9:30 AM – 10:00 AM" when it has a duration
+ * @param {Task} task - Task with a due date
+ * @returns {string} Display text
+ */
+function formatTaskDue(task) {
+    const due = task.getDueDateTime();
+    if (!due) return '';
+
+    const date = due.toLocaleDateString();
+    const formatTime = time => time.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+    if (!task.dueTime) {
+        return task.duration ? `${date} · ${formatDuration(task.duration)}` : date;
+    }
+    if (!task.duration) {
+        return `${date} ${formatTime(due)}`;
+    }
+
+    const end = new Date(due.getTime() + task.duration * 60 * 1000);
+    return `${date} ${formatTime(due)} – ${formatTime(end)}`;
+}
+
+/**
+ * Format minutes as "45m", "2h" or "1h 30m"
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Display text
+ */
+function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+/**
+ * Format tracked time like formatDuration, rounded down to the minute
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Display text
+ */
+function formatTrackedTime(ms) {
+    return formatDuration(Math.floor(ms / (60 * 1000)));
+}
+
+/**
+ * Format a moment as the value of a datetime-local input (local time, to the minute)
+ * @param {string|Date} value - ISO timestamp or date
+ * @returns {string} YYYY-MM-DDTHH:MM
+ */
+function formatDateTimeInput(value) {
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${DateUtils.formatDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Format when a deferred task comes back, e.g. "today 3:00 PM", "tomorrow 9:00 AM" or "3/17/2025"
+ * (the time is left out at midnight, which is when start dates begin)
+ * @param {Date} date - Moment the task comes back
+ * @returns {string} Display text
+ */
+function formatAvailableAt(date) {
+    const days = DateUtils.differenceInDays(DateUtils.startOfDay(date), DateUtils.today());
+    const day = days === 0 ? 'today' : days === 1 ? 'tomorrow' : date.toLocaleDateString();
+    if (date.getHours() === 0 && date.getMinutes() === 0) return day;
+
+    return `${day} ${date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+/**
+ * Badge for list items and cards of tasks that are snoozed or haven't started yet
+ * @param {Task} task
+ * @returns {string} HTML, empty for tasks that aren't deferred
+ */
+function getSnoozeBadgeHTML(task) {
+    if (!task.isDeferred()) return '';
+
+    const availableAt = formatAvailableAt(task.getAvailableAt());
+    return `<span class="snooze-badge" title="Hidden until ${availableAt}">💤 ${availableAt}</span>`;
+}
+
+/**
+ * Badge with the time tracked on a task, for list items and cards of tasks with time entries
+ * The badge of the task whose timer is running counts up (see updateRunningTimerDisplays).
+ * @param {Task} task
+ * @returns {string} HTML
+ */
+function getTimeTrackedBadgeHTML(task) {
+    if (task.timeEntries.length === 0) return '';
+
+    const running = !!task.getRunningTimeEntry();
+    return `<span class="time-tracked-badge ${running ? 'running' : ''}" data-tracked-task-id="${escapeHtml(task.id)}"
+        title="${running ? 'Timer running' : 'Time tracked'}">⏱ ${formatTrackedTime(task.getTrackedTime())}</span>`;
+}
+
+/**
+ * Create Kanban card element
+ */
+function createKanbanCard(task) {
+    const card = document.createElement('div');
+    card.className = 'kanban-card';
+    card.dataset.taskId = task.id;
+    card.tabIndex = 0; // Focusable for keyboard selection
+
+    // Due date
+    let dueDateHTML = '';
+    if (task.dueDate) {
+        dueDateHTML = `
+            <div class="kanban-card-due ${task.isOverdue() ? 'overdue' : ''}">
+                <i class="fas ${task.dueTime ? 'fa-clock' : 'fa-calendar'}"></i>
+                ${formatTaskDue(task)}
+            </div>
+        `;
+    }
+
+    // Project
+    const project = taskDataManager.getProjectById(task.projectId);
+    const projectHTML = project ? `
+        <div class="kanban-card-project">
+            ${project.icon} ${escapeHtml(project.name)}
         </div>
     ` : '';
 
@@ -1101,6 +2047,9 @@ function createKanbanCard(task) {
     const pomodoroCountHTML = task.pomodorosCompleted > 0 ?
         `<span class="pomodoro-count-badge" title="${task.pomodorosCompleted} pomodoro${task.pomodorosCompleted > 1 ? 's' : ''} completed">🍅 ${task.pomodorosCompleted}</span>` : '';
 
+    const snoozeBadgeHTML = getSnoozeBadgeHTML(task);
+    const timeTrackedBadgeHTML = getTimeTrackedBadgeHTML(task);
+
     card.innerHTML = `
         <div class="kanban-card-header">
             <div class="kanban-card-title">
@@ -1118,12 +2067,18 @@ function createKanbanCard(task) {
             ${dueDateHTML}
             ${projectHTML}
             ${pomodoroCountHTML}
+            ${timeTrackedBadgeHTML}
+            ${snoozeBadgeHTML}
         </div>
     `;
 
-    // Click to open detail panel (except for My Day button)
+    // Click to open detail panel (except for My Day button); Ctrl/Shift+click selects
     card.addEventListener('click', (e) => {
-        if (!e.target.closest('.my-day-toggle-btn')) {
+        if (e.target.closest('.my-day-toggle-btn')) return;
+
+        if (e.ctrlKey || e.metaKey || e.shiftKey) {
+            handleBulkSelectClick(task.id, e.shiftKey);
+        } else {
             showTaskDetails(task.id);
         }
     });
@@ -1138,6 +2093,7 @@ function createTaskElement(task) {
     const li = document.createElement('li');
     li.className = 'task-list-item';
     li.dataset.taskId = task.id;
+    li.tabIndex = 0; // Focusable for keyboard selection
 
     // Make task draggable for recategorization
     li.draggable = true;
@@ -1153,17 +2109,10 @@ function createTaskElement(task) {
     // Format due date
     let dueDateHTML = '';
     if (task.dueDate) {
-        const dueDate = new Date(task.dueDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const isOverdue = dueDate < today && !task.completed;
-        const dueDateStr = dueDate.toLocaleDateString();
-
         dueDateHTML = `
-            <span class="task-list-item-meta-item ${isOverdue ? 'overdue' : ''}">
-                <i class="fas fa-calendar"></i>
-                ${dueDateStr}
+            <span class="task-list-item-meta-item ${task.isOverdue() ? 'overdue' : ''}">
+                <i class="fas ${task.dueTime ? 'fa-clock' : 'fa-calendar'}"></i>
+                ${formatTaskDue(task)}
             </span>
         `;
     }
@@ -1206,6 +2155,9 @@ function createTaskElement(task) {
         }
     }
 
+    const snoozeBadgeHTML = getSnoozeBadgeHTML(task);
+    const timeTrackedBadgeHTML = getTimeTrackedBadgeHTML(task);
+
     // My Day toggle button
     const myDayToggleHTML = `
         <button class="my-day-toggle-btn ${task.isMyDay ? 'active' : ''}"
@@ -1224,6 +2176,16 @@ function createTaskElement(task) {
         </button>
     `;
 
+    // Time tracking button (hidden on completed tasks unless their timer is still running)
+    const timerRunning = !!task.getRunningTimeEntry();
+    const timerButtonHTML = task.completed && !timerRunning ? '' : `
+        <button class="time-tracking-btn ${timerRunning ? 'running' : ''}"
+                data-action="toggle-timer"
+                title="${timerRunning ? 'Stop timer' : 'Start timer'}">
+            <i class="fas ${timerRunning ? 'fa-stop-circle' : 'fa-stopwatch'}"></i>
+        </button>
+    `;
+
     li.innerHTML = `
         <div class="task-checkbox ${task.completed ? 'checked' : ''}" data-action="toggle-complete"></div>
         <div class="task-list-item-content">
@@ -1237,9 +2199,12 @@ function createTaskElement(task) {
                 ${dueDateHTML}
                 ${subtasksHTML}
                 ${pomodoroCountHTML}
+                ${timeTrackedBadgeHTML}
                 ${dependencyBadgeHTML}
+                ${snoozeBadgeHTML}
             </div>
         </div>
+        ${timerButtonHTML}
         ${pomodoroButtonHTML}
         ${myDayToggleHTML}
     `;
@@ -1257,6 +2222,12 @@ function handleTaskClick(e) {
     const taskId = taskItem.dataset.taskId;
     const action = e.target.closest('[data-action]')?.dataset.action;
 
+    // Ctrl/Cmd+click and Shift+click select tasks for batch actions instead of opening them
+    if (!action && (e.ctrlKey || e.metaKey || e.shiftKey)) {
+        handleBulkSelectClick(taskId, e.shiftKey);
+        return;
+    }
+
     if (action === 'toggle-complete') {
         toggleTaskComplete(taskId);
     } else if (action === 'toggle-my-day') {
@@ -1265,6 +2236,9 @@ function handleTaskClick(e) {
     } else if (action === 'start-pomodoro') {
         handleStartPomodoro(taskId);
         e.stopPropagation(); // Prevent opening detail panel
+    } else if (action === 'toggle-timer') {
+        toggleTaskTimer(taskId);
+        e.stopPropagation(); // Prevent opening detail panel
     } else {
         // Show task details
         showTaskDetails(taskId);
@@ -1272,66 +2246,461 @@ function handleTaskClick(e) {
 }
 
 /**
- * Toggle task complete
+ * Toggle task complete
+ */
+function toggleTaskComplete(taskId) {
+    const task = taskDataManager.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    setTaskCompleted(taskId, !task.completed);
+
+    reRenderCurrentView();
+
+    // Refresh detail panel if it's currently open (to show updated dependency info)
+    if (selectedTaskId) {
+        showTaskDetails(selectedTaskId);
+    }
+
+    Logger.debug('Task toggled:', taskId, !task.completed);
+}
+
+/**
+ * Complete or reopen a task and surface the side effects
+ * Shared by every completion path (list checkbox, detail panel, command palette; board drags
+ * go through moveTaskToBoardColumn) so dependencies and recurring tasks behave the same
+ * everywhere. Callers re-render.
+ * @param {string} taskId - Task ID
+ * @param {boolean} completed - Target completion state
+ * @param {string} [reopenStatus] - Status to use when reopening (defaults to todo)
+ */
+function setTaskCompleted(taskId, completed, reopenStatus = TaskStatus.TODO) {
+    if (completed) {
+        stopPomodoroForTask(taskId);
+
+        const result = taskDataManager.completeTask(taskId);
+        if (result) {
+            showCompletionNotifications(result);
+        }
+    } else {
+        const result = taskDataManager.reopenTask(taskId, reopenStatus);
+        if (result) {
+            showReopenNotifications(result);
+        }
+    }
+}
+
+/**
+ * Stop the pomodoro timer if it is running for a task that was completed
+ */
+function stopPomodoroForTask(taskId) {
+    if (pomodoroTimer && pomodoroTimer.state.isRunning && pomodoroTimer.state.taskId === taskId) {
+        pomodoroTimer.stop();
+        hidePomodoroPanel();
+    }
+}
+
+/**
+ * Time Tracking Functions
+ * Only one thing tracks time at once: the task timer and pomodoro work sessions stop each other,
+ * since completed pomodoros record their own time entries (see handlePomodoroComplete).
+ */
+
+/**
+ * Start the timer on a task, or stop it if it is already running there
+ * @param {string} taskId - Task ID
+ */
+function toggleTaskTimer(taskId) {
+    const running = taskDataManager.getRunningTimer();
+    if (running && running.task.id === taskId) {
+        stopTaskTimer();
+        return;
+    }
+
+    const result = taskDataManager.startTimer(taskId);
+    if (!result.success) {
+        showNotification(result.message, 'warning');
+        return;
+    }
+
+    const pomodoroStopped = stopPomodoroWorkSession();
+    let message = result.stoppedTask
+        ? `Timer moved from "${result.stoppedTask.text}" to "${result.task.text}"`
+        : `Tracking time on "${result.task.text}"`;
+    if (pomodoroStopped) {
+        message += ' (pomodoro stopped)';
+    }
+    showNotification(message, 'success', undoAction());
+    refreshTimeTrackingViews();
+}
+
+/**
+ * Stop the running timer and report the time it tracked
+ */
+function stopTaskTimer() {
+    const result = taskDataManager.stopTimer();
+    if (!result.success) {
+        showNotification(result.message, 'warning');
+        return;
+    }
+
+    showNotification(`Tracked ${formatTrackedTime(result.entry.getDuration())} on "${result.task.text}"`, 'success', undoAction());
+    refreshTimeTrackingViews();
+}
+
+/**
+ * Stop a pomodoro work session so the task timer doesn't track the same time twice
+ * @returns {boolean} True if a session was stopped
+ */
+function stopPomodoroWorkSession() {
+    const state = pomodoroTimer ? pomodoroTimer.getState() : null;
+    if (!state || !state.isRunning || state.sessionType !== 'work') return false;
+
+    pomodoroTimer.stop();
+    hidePomodoroPanel();
+    return true;
+}
+
+/**
+ * Add a time entry entered by hand in the detail panel
+ * @param {string} taskId - Task ID
+ */
+function addManualTimeEntry(taskId) {
+    const start = document.getElementById('timeEntryStartInput').value;
+    const end = document.getElementById('timeEntryEndInput').value;
+    const note = document.getElementById('timeEntryNoteInput').value;
+
+    // datetime-local values are local time
+    const result = taskDataManager.addTimeEntry(taskId, {
+        start: start ? new Date(start) : null,
+        end: end ? new Date(end) : null,
+        note
+    });
+    if (!result.success) {
+        showNotification(result.message, 'warning');
+        return;
+    }
+
+    showNotification(`Added ${formatTrackedTime(result.entry.getDuration())} to "${result.task.text}"`, 'success', undoAction());
+    refreshTimeTrackingViews();
+}
+
+/**
+ * Save a change to the start, end or note of a time entry from the detail panel
+ * Invalid times are rejected and the panel is redrawn with the saved values.
+ * @param {string} taskId - Task ID
+ * @param {string} entryId - Time entry ID
+ * @param {{start?: Date|null, end?: Date|null, note?: string}} updates
+ */
+function editTimeEntry(taskId, entryId, updates) {
+    const result = taskDataManager.updateTimeEntry(taskId, entryId, updates);
+    if (!result.success) {
+        showNotification(result.message, 'warning');
+    }
+    refreshTimeTrackingViews();
+}
+
+/**
+ * Delete a time entry from the detail panel
+ * @param {string} taskId - Task ID
+ * @param {string} entryId - Time entry ID
+ */
+function deleteTimeEntry(taskId, entryId) {
+    if (!taskDataManager.deleteTimeEntry(taskId, entryId)) return;
+
+    showNotification('Time entry deleted', 'success', undoAction());
+    refreshTimeTrackingViews();
+}
+
+/**
+ * Redraw the current view and the detail panel after a time tracking change
+ */
+function refreshTimeTrackingViews() {
+    reRenderCurrentView();
+    if (selectedTaskId && !taskDetailPanel.classList.contains('hidden')) {
+        showTaskDetails(selectedTaskId);
+    }
+}
+
+/**
+ * Count up the running timer in task badges and the detail panel without re-rendering
+ */
+function updateRunningTimerDisplays() {
+    const running = taskDataManager.getRunningTimer();
+    if (!running) return;
+
+    const text = `⏱ ${formatTrackedTime(running.task.getTrackedTime())}`;
+    document.querySelectorAll(`[data-tracked-task-id="${running.task.id}"]`).forEach(element => {
+        element.textContent = text;
+    });
+}
+
+/**
+ * Tell the user about tasks unblocked and occurrences scheduled by a completion
+ * @param {{unblockedTasks: Task[], nextTask: Task|null}} result - Result of completeTask()
+ */
+function showCompletionNotifications(result) {
+    // Show notification if tasks were unblocked
+    const unblockedTasks = result.unblockedTasks;
+    if (unblockedTasks.length > 0) {
+        const taskNames = unblockedTasks.map(t => t.text).join(', ');
+        const message = unblockedTasks.length === 1
+            ? `Task "${unblockedTasks[0].text}" is now unblocked!`
+            : `${unblockedTasks.length} tasks are now unblocked: ${taskNames}`;
+
+        showNotification(message, 'success');
+        Logger.info('Tasks unblocked:', unblockedTasks.map(t => t.text));
+    }
+
+    if (result.nextTask) {
+        const nextDue = DateUtils.parseDate(result.nextTask.dueDate);
+        showNotification(`Next occurrence scheduled for ${nextDue.toLocaleDateString()}`, 'success');
+        Logger.info('Next recurrence created:', result.nextTask.id);
+    }
+}
+
+/**
+ * Tell the user about tasks blocked again by a reopened task
+ * @param {{reBlockedTasks: Task[]}} result - Result of reopenTask()
+ */
+function showReopenNotifications(result) {
+    // Show notification if tasks were re-blocked
+    const reBlockedTasks = result.reBlockedTasks;
+    if (reBlockedTasks.length > 0) {
+        const taskNames = reBlockedTasks.map(t => t.text).join(', ');
+        const message = reBlockedTasks.length === 1
+            ? `Task "${reBlockedTasks[0].text}" is now blocked again!`
+            : `${reBlockedTasks.length} tasks are now blocked again: ${taskNames}`;
+
+        showNotification(message, 'warning');
+        Logger.info('Tasks re-blocked:', reBlockedTasks.map(t => t.text));
+    }
+}
+
+/**
+ * Skip the current occurrence of a recurring task
+ */
+function skipTaskOccurrence(taskId) {
+    const result = taskDataManager.skipRecurrence(taskId);
+    showNotification(result.message, result.success ? 'success' : 'warning');
+
+    if (result.success) {
+        reRenderCurrentView();
+        if (selectedTaskId === taskId) {
+            showTaskDetails(taskId);
+        }
+    }
+}
+
+/**
+ * Complete a recurring task and stop its series
+ */
+function completeTaskSeries(taskId) {
+    const task = taskDataManager.getTaskById(taskId);
+    if (!task) return;
+
+    if (pomodoroTimer && pomodoroTimer.state.isRunning && pomodoroTimer.state.taskId === taskId) {
+        pomodoroTimer.stop();
+        hidePomodoroPanel();
+    }
+
+    const result = taskDataManager.completeSeries(taskId);
+    if (!result) return;
+
+    showNotification(`Series "${task.text}" completed`, 'success');
+    reRenderCurrentView();
+    if (selectedTaskId === taskId) {
+        showTaskDetails(taskId);
+    }
+}
+
+/**
+ * Snooze a task until a SNOOZE_OPTIONS choice or a custom moment, or bring it back with null
+ */
+function snoozeTaskUntil(taskId, until) {
+    const result = taskDataManager.snoozeTask(taskId, until);
+    if (!result.success) {
+        showNotification(result.message, 'warning');
+        return;
+    }
+
+    const message = result.task.isDeferred()
+        ? `Snoozed until ${formatAvailableAt(result.task.getAvailableAt())}`
+        : `"${result.task.text}" is back`;
+    showNotification(message, 'success', undoAction());
+
+    reRenderCurrentView();
+    if (selectedTaskId === taskId) {
+        showTaskDetails(taskId);
+    }
+}
+
+/**
+ * Re-render when the next deferred task comes back, so it shows up again without a reload
+ * @param {Task} [nextTask] - The deferred task that comes back first, if any
+ */
+function scheduleSnoozeWakeUp(nextTask) {
+    clearTimeout(snoozeWakeUpTimer);
+    if (!nextTask) return;
+
+    // setTimeout can't wait longer than about 24.8 days; it just checks again then
+    const delay = Math.min(nextTask.getAvailableAt() - Date.now() + 1000, 2 ** 31 - 1);
+    snoozeWakeUpTimer = setTimeout(() => {
+        renderSidebar();
+        reRenderCurrentView();
+    }, Math.max(delay, 0));
+}
+
+/**
+ * Start a new My Day once the reset hour has passed, then wait for the next one
+ */
+function checkMyDayRollover() {
+    clearTimeout(myDayRolloverTimer);
+
+    const day = taskDataManager.getPlanningDay();
+    if (day !== myDayPlanningDay) {
+        const firstCheck = myDayPlanningDay === null;
+        myDayPlanningDay = day;
+        taskDataManager.rolloverMyDay();
+
+        // The first check runs before anything is rendered
+        if (!firstCheck) {
+            renderSidebar();
+            if (currentView === 'my-day') updateViewHeader();
+            reRenderCurrentView();
+        }
+    }
+
+    // setTimeout can't wait longer than about 24.8 days; a day is well within that
+    const delay = taskDataManager.getNextMyDayReset() - Date.now() + 1000;
+    myDayRolloverTimer = setTimeout(checkMyDayRollover, Math.max(delay, 0));
+}
+
+/**
+ * Change the hour My Day starts over, rolling over now if that hour has already passed today
+ * @param {number} hour - 0-23
  */
-function toggleTaskComplete(taskId) {
-    const task = taskDataManager.tasks.find(t => t.id === taskId);
-    if (!task) return;
-
-    const wasIncomplete = !task.completed;
+function changeMyDayResetHour(hour) {
+    if (!taskDataManager.setMyDayResetHour(hour)) return;
 
-    const updates = {
-        completed: !task.completed,
-        completedAt: !task.completed ? new Date().toISOString() : null,
-        status: !task.completed ? TaskStatus.DONE : TaskStatus.TODO
-    };
+    checkMyDayRollover();
+    updateViewHeader();
+    showNotification(`My Day now starts over at ${formatResetHour(hour)}`, 'success');
+}
 
-    // Stop pomodoro timer if task is being marked as completed
-    if (!task.completed && pomodoroTimer && pomodoroTimer.state.isRunning && pomodoroTimer.state.taskId === taskId) {
-        pomodoroTimer.stop();
-        hidePomodoroPanel();
-    }
+/**
+ * Format a reset hour for display, e.g. "4 AM"
+ * @param {number} hour - 0-23
+ * @returns {string}
+ */
+function formatResetHour(hour) {
+    return new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric' });
+}
 
-    taskDataManager.updateTask(taskId, updates);
+/**
+ * Show the daily planning flow: go through the suggested tasks and add each to My Day or leave it out today
+ */
+function showPlanMyDayModal() {
+    const suggestions = taskDataManager.getMyDayPlanSuggestions();
+    const choices = new Map(); // taskId -> 'accept' or 'reject'; undecided tasks stay suggested
+    const REASON_LABELS = {
+        [MY_DAY_SUGGESTION_REASONS.UNFINISHED]: 'Left over',
+        [MY_DAY_SUGGESTION_REASONS.OVERDUE]: 'Overdue',
+        [MY_DAY_SUGGESTION_REASONS.DUE_SOON]: 'Due soon',
+        [MY_DAY_SUGGESTION_REASONS.HIGH_PRIORITY]: 'High priority'
+    };
 
-    // Handle dependency auto-updates when marking a task as complete
-    if (wasIncomplete) {
-        const unblockedTasks = taskDataManager.updateDependentStatuses(taskId);
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'block';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 640px;">
+            <div class="modal-header">
+                <h3>☀️ Plan your day</h3>
+                <span class="close">&times;</span>
+            </div>
+            <div class="modal-body">
+                ${suggestions.length === 0 ? `
+                    <div class="plan-day-empty">Nothing left over, overdue or due soon. Add tasks to My Day as you go.</div>
+                ` : `
+                    <div class="plan-day-intro">
+                        <span>Add tasks to My Day or leave them out today. Overdue tasks you leave out are hidden from My Day until tomorrow.</span>
+                        <span class="plan-day-bulk">
+                            <button class="plan-day-bulk-btn" data-choice="accept">Add all</button>
+                            <button class="plan-day-bulk-btn" data-choice="reject">Skip all</button>
+                        </span>
+                    </div>
+                    <div class="plan-day-list">
+                        ${suggestions.map(({ task, reasons }) => `
+                            <div class="plan-day-item" data-task-id="${escapeHtml(task.id)}">
+                                <div class="plan-day-item-main">
+                                    <div class="plan-day-item-title">${escapeHtml(task.text)}</div>
+                                    <div class="plan-day-item-meta">
+                                        ${reasons.map(reason => `<span class="plan-day-reason ${reason}">${REASON_LABELS[reason]}</span>`).join('')}
+                                        ${task.dueDate ? `<span class="plan-day-due">📅 ${formatTaskDue(task)}</span>` : ''}
+                                    </div>
+                                </div>
+                                <button class="plan-day-choice accept" data-choice="accept" title="Add to My Day"><i class="fas fa-check"></i></button>
+                                <button class="plan-day-choice reject" data-choice="reject" title="Not today"><i class="fas fa-times"></i></button>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+            <div class="modal-footer">
+                <button id="cancelPlanMyDayBtn" class="modal-btn">Cancel</button>
+                <button id="finishPlanMyDayBtn" class="modal-btn primary">Done planning</button>
+            </div>
+        </div>
+    `;
 
-        // Show notification if tasks were unblocked
-        if (unblockedTasks.length > 0) {
-            const taskNames = unblockedTasks.map(t => t.text).join(', ');
-            const message = unblockedTasks.length === 1
-                ? `Task "${unblockedTasks[0].text}" is now unblocked!`
-                : `${unblockedTasks.length} tasks are now unblocked: ${taskNames}`;
+    document.body.appendChild(modal);
 
-            showNotification(message, 'success');
-            Logger.info('Tasks unblocked:', unblockedTasks.map(t => t.text));
+    const setChoice = (item, choice) => {
+        // Clicking the chosen button again undoes the choice
+        const next = choices.get(item.dataset.taskId) === choice ? null : choice;
+        if (next) {
+            choices.set(item.dataset.taskId, next);
+        } else {
+            choices.delete(item.dataset.taskId);
         }
-    } else {
-        // Handle re-blocking when marking a task as incomplete
-        const reBlockedTasks = taskDataManager.reBlockDependentTasks(taskId);
+        item.classList.toggle('accepted', next === 'accept');
+        item.classList.toggle('rejected', next === 'reject');
+    };
 
-        // Show notification if tasks were re-blocked
-        if (reBlockedTasks.length > 0) {
-            const taskNames = reBlockedTasks.map(t => t.text).join(', ');
-            const message = reBlockedTasks.length === 1
-                ? `Task "${reBlockedTasks[0].text}" is now blocked again!`
-                : `${reBlockedTasks.length} tasks are now blocked again: ${taskNames}`;
+    modal.addEventListener('click', (e) => {
+        const choiceBtn = e.target.closest('.plan-day-choice');
+        if (choiceBtn) {
+            setChoice(choiceBtn.closest('.plan-day-item'), choiceBtn.dataset.choice);
+            return;
+        }
 
-            showNotification(message, 'warning');
-            Logger.info('Tasks re-blocked:', reBlockedTasks.map(t => t.text));
+        const bulkBtn = e.target.closest('.plan-day-bulk-btn');
+        if (bulkBtn) {
+            modal.querySelectorAll('.plan-day-item').forEach(item => {
+                choices.delete(item.dataset.taskId);
+                setChoice(item, bulkBtn.dataset.choice);
+            });
         }
-    }
+    });
 
-    reRenderCurrentView();
+    const closeModal = () => modal.remove();
+    modal.querySelector('.close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+    document.getElementById('cancelPlanMyDayBtn').addEventListener('click', closeModal);
 
-    // Refresh detail panel if it's currently open (to show updated dependency info)
-    if (selectedTaskId) {
-        showTaskDetails(selectedTaskId);
-    }
+    document.getElementById('finishPlanMyDayBtn').addEventListener('click', () => {
+        const idsWith = choice => [...choices].filter(([, c]) => c === choice).map(([taskId]) => taskId);
+        const accepted = idsWith('accept');
+        const result = taskDataManager.planMyDay({ accepted, rejected: idsWith('reject') });
+        closeModal();
 
-    Logger.debug('Task toggled:', taskId, updates.completed);
+        showNotification(result.message, 'success', accepted.length > 0 ? undoAction() : undefined);
+        renderSidebar();
+        if (currentView === 'my-day') updateViewHeader();
+        reRenderCurrentView();
+    });
 }
 
 /**
@@ -1351,11 +2720,120 @@ function toggleTaskMyDay(taskId) {
     Logger.debug('Task My Day toggled:', taskId, updates.isMyDay);
 }
 
+/**
+ * Render the dependency graph section of the detail panel
+ * Blockers are drawn to the left of the task and tasks waiting on it to the right, as many levels
+ * deep as the chain goes. The arrows are added by drawDependencyGraphLinks() once the panel is visible.
+ */
+function renderDependencyGraph(taskId) {
+    const graph = DependencyGraph.build(taskId, taskDataManager);
+    if (!graph || graph.edges.length === 0) return '';
+
+    const statusIcon = task => task.completed ? '✅' :
+        task.status === 'in-progress' ? '🔄' :
+        task.status === 'blocked' ? '🚫' : '⏳';
+
+    const columns = graph.columns.map(column => `
+        <div class="dependency-graph-column">
+            ${column.nodes.map(node => `
+                <button type="button" class="dependency-graph-node ${node.selected ? 'selected' : ''} ${node.task.completed ? 'completed' : ''}"
+                    data-task-id="${escapeHtml(node.task.id)}" data-ref="${escapeHtml(node.task.id)}"
+                    title="${node.selected ? 'This task' : `Open “${escapeHtml(node.task.text)}”`}">
+                    <span class="dependency-graph-node-text">${statusIcon(node.task)} ${escapeHtml(node.task.text)}</span>
+                    ${node.subtasks.map(subtask => `
+                        <span class="dependency-graph-subtask ${subtask.completed ? 'completed' : ''}"
+                            data-ref="${escapeHtml(node.task.id)}:${escapeHtml(subtask.id)}" data-subtask-id="${escapeHtml(subtask.id)}"
+                            title="Open subtask “${escapeHtml(subtask.text)}”">
+                            📝 ${escapeHtml(subtask.text)}
+                        </span>
+                    `).join('')}
+                </button>
+            `).join('')}
+        </div>
+    `).join('');
+
+    return `
+        <div class="dependency-subsection">
+            <div class="dependency-subsection-header">
+                <span class="dependency-subsection-title">🕸️ Dependency Graph:</span>
+            </div>
+            <div class="dependency-graph" id="dependencyGraph">
+                <svg class="dependency-graph-links" aria-hidden="true">
+                    <defs>
+                        <marker id="dependencyGraphArrow" viewBox="0 0 6 6" refX="6" refY="3"
+                            markerWidth="6" markerHeight="6" orient="auto">
+                            <path d="M 0 0 L 6 3 L 0 6 z"></path>
+                        </marker>
+                    </defs>
+                </svg>
+                ${columns}
+            </div>
+            <div class="dependency-hint">Blockers are on the left, tasks waiting on this one on the right. Click a task or subtask to open it.</div>
+        </div>
+    `;
+}
+
+/**
+ * Draw the arrows of the dependency graph between the rendered nodes
+ */
+function drawDependencyGraphLinks() {
+    const container = document.getElementById('dependencyGraph');
+    if (!container) return;
+
+    const graph = DependencyGraph.build(selectedTaskId, taskDataManager);
+    if (!graph) return;
+
+    const svg = container.querySelector('.dependency-graph-links');
+    const box = container.getBoundingClientRect();
+    const anchors = new Map([...container.querySelectorAll('[data-ref]')].map(el => [el.dataset.ref, el]));
+
+    svg.setAttribute('width', container.scrollWidth);
+    svg.setAttribute('height', container.scrollHeight);
+    svg.querySelectorAll('.dependency-graph-link').forEach(path => path.remove());
+
+    graph.edges.forEach(edge => {
+        const from = anchors.get(edge.from);
+        const to = anchors.get(edge.to);
+        if (!from || !to) return;
+
+        const fromRect = from.getBoundingClientRect();
+        const toRect = to.getBoundingClientRect();
+        const x1 = fromRect.right - box.left + container.scrollLeft;
+        const y1 = fromRect.top + fromRect.height / 2 - box.top + container.scrollTop;
+        const x2 = toRect.left - box.left + container.scrollLeft;
+        const y2 = toRect.top + Math.min(toRect.height / 2, 16) - box.top + container.scrollTop;
+        const bend = Math.max((x2 - x1) / 2, 12);
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('class', `dependency-graph-link ${edge.completed ? 'completed' : ''}`);
+        path.setAttribute('d', `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`);
+        path.setAttribute('marker-end', 'url(#dependencyGraphArrow)');
+        svg.appendChild(path);
+    });
+}
+
+/**
+ * Open a task from the dependency graph, scrolling to the subtask when one was clicked
+ */
+function openDependencyGraphNode(taskId, subtaskId = null) {
+    showTaskDetails(taskId);
+    if (!subtaskId) return;
+
+    const subtaskItem = [...document.querySelectorAll('.subtask-item')]
+        .find(item => item.dataset.subtaskId === subtaskId);
+    if (subtaskItem) {
+        subtaskItem.scrollIntoView({ block: 'nearest' });
+        subtaskItem.classList.add('highlighted');
+        setTimeout(() => subtaskItem.classList.remove('highlighted'), 1500);
+    }
+}
+
 /**
  * Show task details
  */
 function showTaskDetails(taskId) {
     selectedTaskId = taskId;
+    detailPanelStale = false;
     const task = taskDataManager.tasks.find(t => t.id === taskId);
     if (!task) return;
 
@@ -1364,7 +2842,8 @@ function showTaskDetails(taskId) {
 
     // Format dates
     const createdDate = new Date(task.createdAt).toLocaleDateString();
-    const dueDate = task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'Not set';
+    const dueDate = task.dueDate ? DateUtils.parseDate(task.dueDate).toLocaleDateString() : 'Not set';
+    const blockerCandidates = DependencyGraph.getBlockerCandidates(task.id, taskDataManager);
 
     // Render detail panel
     detailPanelContent.innerHTML = `
@@ -1375,9 +2854,11 @@ function showTaskDetails(taskId) {
 
         <div class="task-detail-section">
             <label class="task-detail-label">Description</label>
-            <textarea class="task-detail-textarea" id="detailTaskDescription" rows="4" placeholder="Add a description...">${escapeHtml(task.description)}</textarea>
+            <textarea class="task-detail-textarea" id="detailTaskDescription" rows="4" placeholder="Add a description... Type [[ to link a note, task or link">${escapeHtml(task.description)}</textarea>
         </div>
 
+        <div class="task-detail-section task-wiki-links" id="detailWikiLinks"></div>
+
         <div class="task-detail-section">
             <label class="task-detail-label">Project</label>
             <select class="task-detail-select" id="detailTaskProject">
@@ -1410,10 +2891,36 @@ function showTaskDetails(taskId) {
             </div>
         </div>
 
-        <div class="task-detail-section">
-            <label class="task-detail-label">Due Date</label>
-            <input type="date" class="task-detail-input" id="detailTaskDueDate"
-                value="${task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : ''}">
+        <div class="task-detail-row">
+            <div class="task-detail-section">
+                <label class="task-detail-label">Start Date</label>
+                <input type="date" class="task-detail-input" id="detailTaskStartDate"
+                    value="${DateUtils.toDateKey(task.startDate) || ''}">
+            </div>
+
+            <div class="task-detail-section">
+                <label class="task-detail-label">Due Date</label>
+                <input type="date" class="task-detail-input" id="detailTaskDueDate"
+                    value="${DateUtils.toDateKey(task.dueDate) || ''}">
+            </div>
+
+            <div class="task-detail-section">
+                <label class="task-detail-label">Time</label>
+                <input type="time" class="task-detail-input" id="detailTaskDueTime"
+                    value="${task.dueTime || ''}" ${task.dueDate ? '' : 'disabled'}>
+            </div>
+
+            <div class="task-detail-section">
+                <label class="task-detail-label">Duration</label>
+                <select class="task-detail-select" id="detailTaskDuration">
+                    <option value="">None</option>
+                    ${[...new Set([15, 30, 45, 60, 90, 120, 180, 240, 480, task.duration].filter(Boolean))]
+                        .sort((a, b) => a - b)
+                        .map(minutes => `
+                            <option value="${minutes}" ${minutes === task.duration ? 'selected' : ''}>${formatDuration(minutes)}</option>
+                        `).join('')}
+                </select>
+            </div>
         </div>
 
         <div class="task-detail-section">
@@ -1423,6 +2930,72 @@ function showTaskDetails(taskId) {
             </label>
         </div>
 
+        ${task.completed ? '' : `
+            <div class="task-detail-section">
+                <label class="task-detail-label">Snooze</label>
+                ${task.isDeferred() ? `
+                    <div class="snooze-status">
+                        💤 Hidden until ${formatAvailableAt(task.getAvailableAt())}
+                        ${task.deferUntil && new Date(task.deferUntil) > new Date()
+                            ? '<button class="snooze-clear-btn" id="unsnoozeTaskBtn">Unsnooze</button>'
+                            : '(start date)'}
+                    </div>
+                ` : ''}
+                <div class="snooze-options">
+                    <button class="snooze-option-btn" data-snooze="${SNOOZE_OPTIONS.LATER_TODAY}">Later today</button>
+                    <button class="snooze-option-btn" data-snooze="${SNOOZE_OPTIONS.TOMORROW}">Tomorrow</button>
+                    <button class="snooze-option-btn" data-snooze="${SNOOZE_OPTIONS.NEXT_WEEK}">Next week</button>
+                </div>
+                <div class="snooze-custom">
+                    <input type="datetime-local" class="task-detail-input" id="snoozeCustomInput"
+                        value="${(date => `${DateUtils.formatDate(date)}T${String(date.getHours()).padStart(2, '0')}:00`)(taskDataManager.getSnoozeUntil(SNOOZE_OPTIONS.TOMORROW))}">
+                    <button class="snooze-option-btn" id="snoozeCustomBtn">Snooze</button>
+                </div>
+            </div>
+        `}
+
+        <div class="task-detail-section">
+            <label class="task-detail-label">Time Tracking</label>
+            <div class="time-tracking-summary">
+                <span class="time-tracking-total" data-tracked-task-id="${escapeHtml(task.id)}">⏱ ${formatTrackedTime(task.getTrackedTime())}</span>
+                ${task.completed && !task.getRunningTimeEntry() ? '' : `
+                    <button class="snooze-option-btn ${task.getRunningTimeEntry() ? 'running' : ''}" id="detailTimerBtn">
+                        <i class="fas ${task.getRunningTimeEntry() ? 'fa-stop-circle' : 'fa-stopwatch'}"></i>
+                        ${task.getRunningTimeEntry() ? 'Stop timer' : 'Start timer'}
+                    </button>
+                `}
+            </div>
+            <div class="time-entry-list">
+                ${task.timeEntries.slice().reverse().map(entry => `
+                    <div class="time-entry-item" data-entry-id="${escapeHtml(entry.id)}">
+                        <div class="time-entry-row">
+                            <span class="time-entry-source" title="${{ timer: 'Timer', pomodoro: 'Pomodoro', manual: 'Added by hand' }[entry.source] || ''}">
+                                ${{ timer: '⏱', pomodoro: '🍅', manual: '✍️' }[entry.source] || '⏱'}
+                            </span>
+                            <input type="datetime-local" class="task-detail-input time-entry-start" value="${formatDateTimeInput(entry.start)}">
+                            ${entry.isRunning()
+                                ? '<span class="time-entry-running">running</span>'
+                                : `<input type="datetime-local" class="task-detail-input time-entry-end" value="${formatDateTimeInput(entry.end)}">`}
+                            <span class="time-entry-duration">${formatTrackedTime(entry.getDuration())}</span>
+                            <button class="subtask-delete-btn time-entry-delete-btn" title="Delete time entry">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <input type="text" class="task-detail-input time-entry-note" maxlength="500"
+                            value="${escapeHtml(entry.note)}" placeholder="Add a note...">
+                    </div>
+                `).join('')}
+            </div>
+            <div class="time-entry-add-form">
+                <input type="datetime-local" class="task-detail-input" id="timeEntryStartInput" title="Start"
+                    value="${formatDateTimeInput(new Date(Date.now() - 30 * 60 * 1000))}">
+                <input type="datetime-local" class="task-detail-input" id="timeEntryEndInput" title="End"
+                    value="${formatDateTimeInput(new Date())}">
+                <input type="text" class="task-detail-input" id="timeEntryNoteInput" maxlength="500" placeholder="Note (optional)">
+                <button class="snooze-option-btn" id="addTimeEntryBtn">Add time</button>
+            </div>
+        </div>
+
         <div class="task-detail-section">
             <label class="task-detail-label">Subtasks</label>
             <div class="subtasks-list" id="subtasksList">
@@ -1489,37 +3062,21 @@ function showTaskDetails(taskId) {
                 <div class="dependency-add-form">
                     <select class="dependency-select" id="addDependencySelect">
                         <option value="">Select a task or subtask...</option>
-                        ${(() => {
-                            let options = '';
-                            taskDataManager.getAllTasks()
-                                .filter(t => t.id !== task.id && !t.completed)
-                                .forEach(t => {
-                                    // Don't show task if already a dependency
-                                    const taskAlreadyAdded = task.blockedBy && task.blockedBy.includes(t.id);
-                                    if (!taskAlreadyAdded) {
-                                        options += `<option value="${escapeHtml(t.id)}">📋 ${escapeHtml(t.text)}</option>`;
-                                    }
-
-                                    // Add subtasks (only incomplete ones)
-                                    if (t.subtasks && t.subtasks.length > 0) {
-                                        t.subtasks
-                                            .filter(st => !st.completed)
-                                            .forEach(st => {
-                                                const subtaskRef = `${t.id}:${st.id}`;
-                                                const subtaskAlreadyAdded = task.blockedBy && task.blockedBy.includes(subtaskRef);
-                                                if (!subtaskAlreadyAdded) {
-                                                    options += `<option value="${escapeHtml(subtaskRef)}">   └─ 📝 ${escapeHtml(st.text)}</option>`;
-                                                }
-                                            });
-                                    }
-                                });
-                            return options;
-                        })()}
+                        ${blockerCandidates.map(({ ref, task: t, subtask, allowed }) => `
+                            <option value="${escapeHtml(ref)}" ${allowed ? '' : 'disabled'}>
+                                ${subtask ? `   └─ 📝 ${escapeHtml(subtask.text)}` : `📋 ${escapeHtml(t.text)}`}${allowed ? '' : ' (would create a cycle)'}
+                            </option>
+                        `).join('')}
                     </select>
                     <button class="dependency-add-btn" id="addDependencyBtn" title="Add dependency">
                         <i class="fas fa-plus"></i>
                     </button>
                 </div>
+                ${blockerCandidates.some(candidate => !candidate.allowed) ? `
+                    <div class="dependency-hint">
+                        Greyed-out tasks already wait on this one, so they can't also block it.
+                    </div>
+                ` : ''}
             </div>
 
             <!-- Blocks Section -->
@@ -1559,6 +3116,8 @@ function showTaskDetails(taskId) {
                     })()}
                 </div>
             </div>
+
+            ${renderDependencyGraph(task.id)}
         </div>
 
         <div class="task-detail-section">
@@ -1855,6 +3414,181 @@ function showTaskDetails(taskId) {
         .dependency-add-btn:hover {
             opacity: 0.9;
         }
+        .snooze-status {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 8px;
+            font-size: 13px;
+            color: var(--text-muted);
+        }
+        .snooze-options, .snooze-custom {
+            display: flex;
+            gap: 8px;
+            margin-bottom: 8px;
+        }
+        .snooze-option-btn, .snooze-clear-btn {
+            padding: 6px 10px;
+            border: 1px solid var(--border-color);
+            border-radius: 6px;
+            background: var(--background-color);
+            color: var(--text-color);
+            font-size: 13px;
+            cursor: pointer;
+            transition: all 0.15s ease;
+            white-space: nowrap;
+        }
+        .snooze-option-btn:hover, .snooze-clear-btn:hover {
+            border-color: var(--primary-color);
+            color: var(--primary-color);
+        }
+        .snooze-options .snooze-option-btn {
+            flex: 1;
+        }
+        .time-tracking-summary {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 8px;
+            margin-bottom: 8px;
+        }
+        .time-tracking-total {
+            font-size: 18px;
+            font-weight: 600;
+            font-variant-numeric: tabular-nums;
+        }
+        #detailTimerBtn.running {
+            border-color: #ef4444;
+            color: #ef4444;
+        }
+        .time-entry-list {
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            margin-bottom: 8px;
+        }
+        .time-entry-item {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            padding: 8px;
+            border: 1px solid var(--border-color);
+            border-radius: 6px;
+        }
+        .time-entry-row {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        }
+        .time-entry-item .task-detail-input {
+            padding: 4px 6px;
+            font-size: 12px;
+        }
+        .time-entry-item:hover .time-entry-delete-btn { opacity: 0.5; }
+        .time-entry-running, .time-entry-duration {
+            font-size: 12px;
+            color: var(--text-muted);
+            white-space: nowrap;
+        }
+        .time-entry-running {
+            flex: 1;
+            color: #ef4444;
+        }
+        .time-entry-add-form {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 8px;
+        }
+        .dependency-hint {
+            margin-top: 8px;
+            font-size: 12px;
+            color: var(--text-muted);
+        }
+        .dependency-graph {
+            position: relative;
+            display: flex;
+            align-items: center;
+            gap: 36px;
+            padding: 4px 2px 8px;
+            overflow-x: auto;
+        }
+        .dependency-graph-links {
+            position: absolute;
+            top: 0;
+            left: 0;
+            pointer-events: none;
+            overflow: visible;
+        }
+        .dependency-graph-link {
+            fill: none;
+            stroke: var(--text-muted);
+            stroke-width: 1.5;
+        }
+        .dependency-graph-link.completed {
+            stroke-dasharray: 4 3;
+            opacity: 0.6;
+        }
+        #dependencyGraphArrow path {
+            fill: var(--text-muted);
+        }
+        .dependency-graph-column {
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+            flex-shrink: 0;
+        }
+        .dependency-graph-node {
+            display: flex;
+            flex-direction: column;
+            align-items: stretch;
+            gap: 4px;
+            max-width: 160px;
+            padding: 6px 10px;
+            background: rgba(255, 255, 255, 0.03);
+            border: 1px solid var(--border-color);
+            border-radius: 6px;
+            color: var(--text-color);
+            font: inherit;
+            font-size: 13px;
+            text-align: left;
+            cursor: pointer;
+            transition: all 0.15s ease;
+        }
+        .dependency-graph-node:hover {
+            border-color: var(--primary-color);
+        }
+        .dependency-graph-node.selected {
+            border-color: var(--primary-color);
+            background: rgba(59, 130, 246, 0.15);
+            cursor: default;
+        }
+        .dependency-graph-node.completed .dependency-graph-node-text,
+        .dependency-graph-subtask.completed {
+            text-decoration: line-through;
+            opacity: 0.6;
+        }
+        .dependency-graph-node-text {
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .dependency-graph-subtask {
+            padding: 2px 6px;
+            border-radius: 4px;
+            font-size: 12px;
+            color: var(--text-muted);
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            cursor: pointer;
+        }
+        .dependency-graph-subtask:hover {
+            background: rgba(59, 130, 246, 0.15);
+            color: var(--text-color);
+        }
+        .subtask-item.highlighted {
+            background: rgba(59, 130, 246, 0.15);
+        }
     `;
     if (!document.getElementById('detailPanelStyles')) {
         style.id = 'detailPanelStyles';
@@ -1873,7 +3607,7 @@ function showTaskDetails(taskId) {
     }
 
     // Auto-save on changes
-    const inputs = ['detailTaskText', 'detailTaskDescription', 'detailTaskProject', 'detailTaskStatus', 'detailTaskPriority', 'detailTaskDueDate', 'detailTaskMyDay'];
+    const inputs = ['detailTaskText', 'detailTaskDescription', 'detailTaskProject', 'detailTaskStatus', 'detailTaskPriority', 'detailTaskStartDate', 'detailTaskDueDate', 'detailTaskDueTime', 'detailTaskDuration', 'detailTaskMyDay'];
     inputs.forEach(id => {
         const element = document.getElementById(id);
         if (element) {
@@ -1881,6 +3615,58 @@ function showTaskDetails(taskId) {
         }
     });
 
+    // Snooze buttons
+    detailPanelContent.querySelectorAll('.snooze-option-btn[data-snooze]').forEach(btn => {
+        btn.addEventListener('click', () => snoozeTaskUntil(taskId, btn.dataset.snooze));
+    });
+
+    const snoozeCustomBtn = document.getElementById('snoozeCustomBtn');
+    if (snoozeCustomBtn) {
+        snoozeCustomBtn.addEventListener('click', () => {
+            const value = document.getElementById('snoozeCustomInput').value;
+            if (value) {
+                snoozeTaskUntil(taskId, new Date(value)); // datetime-local values are local time
+            }
+        });
+    }
+
+    const unsnoozeTaskBtn = document.getElementById('unsnoozeTaskBtn');
+    if (unsnoozeTaskBtn) {
+        unsnoozeTaskBtn.addEventListener('click', () => snoozeTaskUntil(taskId, null));
+    }
+
+    // Time tracking
+    const detailTimerBtn = document.getElementById('detailTimerBtn');
+    if (detailTimerBtn) {
+        detailTimerBtn.addEventListener('click', () => toggleTaskTimer(taskId));
+    }
+
+    // Wiki links: [[ suggestions in the description, links and backlinks below it
+    WikiLinks.attachAutocomplete(document.getElementById('detailTaskDescription'));
+    document.getElementById('detailWikiLinks').addEventListener('click', (e) => WikiLinks.handleClick(e));
+    renderTaskWikiLinks(task);
+
+    // datetime-local values are local time; an emptied input is rejected as an invalid time
+    const toTimeEntryDate = value => value ? new Date(value) : null;
+    detailPanelContent.querySelectorAll('.time-entry-item').forEach(item => {
+        const entryId = item.dataset.entryId;
+        item.querySelector('.time-entry-start').addEventListener('change', (e) => {
+            editTimeEntry(taskId, entryId, { start: toTimeEntryDate(e.target.value) });
+        });
+        const endInput = item.querySelector('.time-entry-end');
+        if (endInput) {
+            endInput.addEventListener('change', (e) => {
+                editTimeEntry(taskId, entryId, { end: toTimeEntryDate(e.target.value) });
+            });
+        }
+        item.querySelector('.time-entry-note').addEventListener('change', (e) => {
+            editTimeEntry(taskId, entryId, { note: e.target.value });
+        });
+        item.querySelector('.time-entry-delete-btn').addEventListener('click', () => deleteTimeEntry(taskId, entryId));
+    });
+
+    document.getElementById('addTimeEntryBtn').addEventListener('click', () => addManualTimeEntry(taskId));
+
     // Subtask event listeners
     // Add subtask
     const addSubtaskBtn = document.getElementById('addSubtaskBtn');
@@ -2034,12 +3820,25 @@ function showTaskDetails(taskId) {
         });
     }
 
+    // Dependency graph - open the clicked task or subtask
+    const dependencyGraph = document.getElementById('dependencyGraph');
+    if (dependencyGraph) {
+        dependencyGraph.addEventListener('click', (e) => {
+            const node = e.target.closest('.dependency-graph-node');
+            if (!node) return;
+            const subtask = e.target.closest('.dependency-graph-subtask');
+            if (node.dataset.taskId === taskId && !subtask) return;
+            openDependencyGraphNode(node.dataset.taskId, subtask ? subtask.dataset.subtaskId : null);
+        });
+        requestAnimationFrame(drawDependencyGraphLinks);
+    }
+
     // Remove dependency buttons
     document.querySelectorAll('.dependency-remove-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             const blockingTaskId = btn.dataset.blockingTaskId;
             if (taskDataManager.removeDependency(taskId, blockingTaskId)) {
-                showNotification('Dependency removed', 'success');
+                showNotification('Dependency removed', 'success', undoAction());
                 showTaskDetails(taskId); // Refresh to show updated dependencies
                 reRenderCurrentView(); // Update task list badges
             }
@@ -2048,7 +3847,7 @@ function showTaskDetails(taskId) {
 
     // Delete button
     document.getElementById('deleteTaskBtn').addEventListener('click', () => {
-        if (confirm('Are you sure you want to delete this task?')) {
+        if (confirm('Move this task to the Trash?')) {
             // Stop pomodoro timer if it's running for this task
             if (pomodoroTimer && pomodoroTimer.state.isRunning && pomodoroTimer.state.taskId === taskId) {
                 pomodoroTimer.stop();
@@ -2058,10 +3857,16 @@ function showTaskDetails(taskId) {
             taskDataManager.deleteTask(taskId);
             hideDetailPanel();
             reRenderCurrentView();
+            showNotification('Task moved to Trash', 'success', undoAction());
         }
     });
 
     Logger.debug('Showing task details:', taskId);
+
+    // Let extensions add their sections to the rendered panel
+    if (window.eventBus) {
+        window.eventBus.emit('task:opened', { taskId, task });
+    }
 }
 
 /**
@@ -2073,7 +3878,10 @@ function saveTaskDetails(taskId) {
     const projectId = document.getElementById('detailTaskProject').value;
     const status = document.getElementById('detailTaskStatus').value;
     const priority = document.getElementById('detailTaskPriority').value;
+    const startDate = document.getElementById('detailTaskStartDate').value;
     const dueDate = document.getElementById('detailTaskDueDate').value;
+    const dueTime = document.getElementById('detailTaskDueTime').value;
+    const duration = parseInt(document.getElementById('detailTaskDuration').value, 10);
     const isMyDay = document.getElementById('detailTaskMyDay').checked;
 
     if (!text) {
@@ -2081,38 +3889,110 @@ function saveTaskDetails(taskId) {
         return;
     }
 
+    if (startDate && dueDate && startDate > dueDate) {
+        alert('Start date must be on or before the due date');
+        return;
+    }
+
+    const task = taskDataManager.getTaskById(taskId);
+    if (!task) return;
+    const wasCompleted = task.completed;
+    const previousText = task.text;
+
+    // The form still shows the version from before another tab's change
+    if (detailPanelStale) {
+        detailPanelStale = false;
+        if (!confirm('This task was changed in another tab. Overwrite those changes with yours?')) {
+            showTaskDetails(taskId);
+            return;
+        }
+    }
+
     const updates = {
         text,
         description,
         projectId,
-        status,
         priority,
-        dueDate: dueDate ? new Date(dueDate).toISOString() : null,
+        startDate: startDate || null,
+        // Keep older full-ISO values as they are when the day didn't change
+        dueDate: dueDate && dueDate === DateUtils.toDateKey(task.dueDate) ? task.dueDate : (dueDate || null),
+        dueTime: dueDate && dueTime ? dueTime : null, // A time without a date is dropped
+        duration: duration > 0 ? duration : null,
         isMyDay
     };
 
+    // Status changes that don't cross the 'done' boundary are plain updates
+    if ((status === TaskStatus.DONE) === wasCompleted) {
+        updates.status = status;
+    }
+
+    taskDataManager.updateTask(taskId, updates);
+
+    // The time only applies once a date is set
+    const dueTimeInput = document.getElementById('detailTaskDueTime');
+    dueTimeInput.disabled = !dueDate;
+    if (!dueDate) dueTimeInput.value = '';
+
     // Synchronize 'completed' property with 'done' status
-    // This ensures strikethrough styling appears when status is set to 'done'
-    if (status === 'done') {
-        updates.completed = true;
-        updates.completedAt = new Date().toISOString();
+    // This ensures strikethrough styling appears and recurring tasks spawn their next occurrence
+    if (status === TaskStatus.DONE && !wasCompleted) {
+        setTaskCompleted(taskId, true);
+    } else if (status !== TaskStatus.DONE && wasCompleted) {
+        setTaskCompleted(taskId, false, status);
+    }
 
-        // Stop pomodoro timer if it's running for this task
-        if (pomodoroTimer && pomodoroTimer.state.isRunning && pomodoroTimer.state.taskId === taskId) {
-            pomodoroTimer.stop();
-            hidePomodoroPanel();
-        }
-    } else {
-        updates.completed = false;
-        updates.completedAt = null;
+    // Keep [[task:...]] references pointing at the task after a rename
+    if (text !== previousText) {
+        WikiLinks.renameReferences('task', previousText, text);
     }
+    renderTaskWikiLinks(taskDataManager.getTaskById(taskId));
 
-    taskDataManager.updateTask(taskId, updates);
     reRenderCurrentView();
 
     Logger.debug('Task details saved:', taskId);
 }
 
+/**
+ * Fill the detail panel's wiki links section: what the description links to and what links to the task
+ */
+async function renderTaskWikiLinks(task) {
+    if (!task) return;
+    const targets = await WikiLinks.loadTargets({ fresh: true });
+    const container = document.getElementById('detailWikiLinks');
+    if (!container || selectedTaskId !== task.id) return; // Another task was opened meanwhile
+
+    const outgoing = WikiLinks.getOutgoingLinks(task.description, targets);
+    const backlinks = WikiLinks.getBacklinks({ type: 'task', id: task.id, title: task.text }, targets);
+
+    container.innerHTML = `
+        ${outgoing.length > 0 ? `
+            <label class="task-detail-label"><i class="fas fa-link"></i> Links</label>
+            <div class="wiki-link-list">${WikiLinks.renderList(outgoing)}</div>
+        ` : ''}
+        <label class="task-detail-label"><i class="fas fa-reply"></i> Linked From</label>
+        ${backlinks.length > 0
+            ? `<div class="wiki-link-list">${WikiLinks.renderList(backlinks)}</div>`
+            : `<p class="wiki-links-empty">No notes or tasks link here. Add ${escapeHtml(WikiLinks.format('task', task.text))} to a note to link it.</p>`}
+    `;
+}
+
+/**
+ * Show tasks changed from outside the task page's own controls (description references rewritten
+ * after a rename, tasks created or completed from checklist lines in a note)
+ */
+function handleTasksRewritten({ taskIds }) {
+    if (taskIds.length === 0) return;
+    reRenderCurrentView();
+
+    if (selectedTaskId && !taskDetailPanel.classList.contains('hidden')) {
+        if (taskIds.includes(selectedTaskId) && !taskDetailPanel.contains(document.activeElement)) {
+            showTaskDetails(selectedTaskId);
+        } else {
+            renderTaskWikiLinks(taskDataManager.getTaskById(selectedTaskId));
+        }
+    }
+}
+
 /**
  * Hide detail panel
  */
@@ -2131,13 +4011,8 @@ function hideDetailPanel() {
  * Add subtask to task
  */
 function addSubtask(taskId, text) {
-    const task = taskDataManager.tasks.find(t => t.id === taskId);
-    if (!task) return;
-
-    const newSubtask = new Subtask({ text });
-    task.subtasks.push(newSubtask);
+    if (!taskDataManager.addSubtask(taskId, text)) return;
 
-    taskDataManager.updateTask(taskId, { subtasks: task.subtasks });
     showTaskDetails(taskId); // Refresh detail panel
     reRenderCurrentView();
 
@@ -2151,18 +4026,10 @@ function toggleSubtask(taskId, index) {
     const task = taskDataManager.tasks.find(t => t.id === taskId);
     if (!task || !task.subtasks[index]) return;
 
-    const subtask = task.subtasks[index];
-    const wasIncomplete = !subtask.completed;
-
-    subtask.completed = !subtask.completed;
-
-    taskDataManager.updateTask(taskId, { subtasks: task.subtasks });
-
-    // Handle dependency auto-updates when marking a subtask as complete
-    if (wasIncomplete) {
-        const subtaskReference = `${taskId}:${subtask.id}`;
-        const unblockedTasks = taskDataManager.updateDependentStatuses(subtaskReference);
+    // Completing a subtask can unblock tasks; reopening it re-blocks them
+    const { subtask, unblockedTasks, reBlockedTasks } = taskDataManager.toggleSubtask(taskId, task.subtasks[index].id);
 
+    if (subtask.completed) {
         // Show notification if tasks were unblocked
         if (unblockedTasks.length > 0) {
             const taskNames = unblockedTasks.map(t => t.text).join(', ');
@@ -2174,10 +4041,6 @@ function toggleSubtask(taskId, index) {
             Logger.info('Tasks unblocked by subtask:', unblockedTasks.map(t => t.text));
         }
     } else {
-        // Handle re-blocking when marking a subtask as incomplete
-        const subtaskReference = `${taskId}:${subtask.id}`;
-        const reBlockedTasks = taskDataManager.reBlockDependentTasks(subtaskReference);
-
         // Show notification if tasks were re-blocked
         if (reBlockedTasks.length > 0) {
             const taskNames = reBlockedTasks.map(t => t.text).join(', ');
@@ -2203,11 +4066,10 @@ function deleteSubtask(taskId, index) {
     const task = taskDataManager.tasks.find(t => t.id === taskId);
     if (!task || !task.subtasks[index]) return;
 
-    task.subtasks.splice(index, 1);
-
-    taskDataManager.updateTask(taskId, { subtasks: task.subtasks });
+    taskDataManager.deleteSubtask(taskId, task.subtasks[index].id);
     showTaskDetails(taskId); // Refresh detail panel
     reRenderCurrentView();
+    showNotification('Subtask deleted', 'success', undoAction());
 
     Logger.debug('Deleted subtask:', index, 'from task:', taskId);
 }
@@ -2222,9 +4084,7 @@ function updateSubtask(taskId, index, newText) {
     const trimmedText = newText.trim();
     if (!trimmedText) return; // Don't allow empty subtasks
 
-    task.subtasks[index].text = trimmedText;
-
-    taskDataManager.updateTask(taskId, { subtasks: task.subtasks });
+    taskDataManager.updateSubtask(taskId, task.subtasks[index].id, { text: trimmedText });
     showTaskDetails(taskId); // Refresh detail panel
     reRenderCurrentView();
 
@@ -2243,9 +4103,7 @@ function addTag(taskId, tag) {
         return;
     }
 
-    task.tags.push(tag);
-
-    taskDataManager.updateTask(taskId, { tags: task.tags });
+    taskDataManager.updateTask(taskId, { tags: [...task.tags, tag] });
     showTaskDetails(taskId); // Refresh detail panel
     reRenderCurrentView();
 
@@ -2259,9 +4117,7 @@ function removeTag(taskId, tag) {
     const task = taskDataManager.tasks.find(t => t.id === taskId);
     if (!task) return;
 
-    task.tags = task.tags.filter(t => t !== tag);
-
-    taskDataManager.updateTask(taskId, { tags: task.tags });
+    taskDataManager.updateTask(taskId, { tags: task.tags.filter(t => t !== tag) });
     showTaskDetails(taskId); // Refresh detail panel
     reRenderCurrentView();
 
@@ -2277,28 +4133,65 @@ function handleQuickAdd(e) {
     const text = quickAddInput.value.trim();
     if (!text) return;
 
+    const task = createTaskFromQuickAdd(text);
+
+    // Clear input
+    quickAddInput.value = '';
+    updateQuickAddPreview();
+
+    // Re-render
+    reRenderCurrentView();
+
+    Logger.debug('Task added via quick add:', task.text);
+}
+
+/**
+ * Parse quick add input against the visible projects
+ * @param {string} text - Raw input
+ * @returns {QuickAddResult}
+ */
+function parseQuickAdd(text) {
+    return QuickAddParser.parse(text, { projects: taskDataManager.getAllProjects() });
+}
+
+/**
+ * Create a task from quick add input (quick add bar and command palette)
+ * Fields the input doesn't set come from the current view.
+ * @param {string} text - Raw input
+ * @returns {Task} Created task
+ */
+function createTaskFromQuickAdd(text) {
     // Determine project ID
     let projectId = currentProjectId || DEFAULT_PROJECTS.INBOX;
     if (currentView === 'inbox') {
         projectId = DEFAULT_PROJECTS.INBOX;
     }
 
-    // Create task
-    const taskData = {
-        text,
+    const parsed = parseQuickAdd(text);
+    return taskDataManager.addTask(QuickAddParser.toTaskData(parsed, {
         projectId,
         isMyDay: currentView === 'my-day'
-    };
-
-    taskDataManager.addTask(taskData);
-
-    // Clear input
-    quickAddInput.value = '';
+    }));
+}
 
-    // Re-render
-    reRenderCurrentView();
+/**
+ * Show what the quick add parser recognized as chips below the input
+ */
+function updateQuickAddPreview() {
+    const icons = {
+        due: 'fa-calendar',
+        priority: 'fa-flag',
+        project: 'fa-folder',
+        tag: 'fa-tag',
+        recurrence: 'fa-redo'
+    };
+    const text = quickAddInput.value.trim();
+    const chips = text ? parseQuickAdd(text).chips : [];
 
-    Logger.debug('Task added via quick add:', text);
+    quickAddPreview.classList.toggle('hidden', chips.length === 0);
+    quickAddPreview.innerHTML = chips.map(chip => `
+        <span class="quick-add-chip ${chip.type}"><i class="fas ${icons[chip.type]}"></i> ${escapeHtml(chip.label)}</span>
+    `).join('');
 }
 
 /**
@@ -2467,10 +4360,12 @@ function handleImport(event) {
     if (!file) return;
 
     importAllData(file)
-        .then(() => {
+        .then(async () => {
             Logger.info('Import completed successfully');
             // Reinitialize with new data
-            taskDataManager = new TaskDataManager();
+            taskDataManager = new TaskDataManager({ storage: await window.storageReady });
+            await taskDataManager.ready;
+            window.taskDataManager = taskDataManager;
             renderSidebar();
             reRenderCurrentView();
         })
@@ -2489,8 +4384,8 @@ function deleteProject(projectId) {
 
     const taskCount = taskDataManager.getTasksByProject(projectId).length;
     const message = taskCount > 0
-        ? `Are you sure you want to delete "${project.name}"?\n\n${taskCount} task(s) will be moved to Inbox.`
-        : `Are you sure you want to delete "${project.name}"?`;
+        ? `Move "${project.name}" to the Trash?\n\n${taskCount} task(s) will be moved to Inbox.`
+        : `Move "${project.name}" to the Trash?`;
 
     if (!confirm(message)) return;
 
@@ -2505,6 +4400,7 @@ function deleteProject(projectId) {
 
     renderSidebar();
     reRenderCurrentView();
+    showNotification(`Project "${project.name}" moved to Trash`, 'success', undoAction());
 
     Logger.debug('Project deleted:', projectId);
 }
@@ -2762,34 +4658,448 @@ function filterByTag(tag) {
         item.classList.remove('active');
     });
 
-    projectsList.querySelectorAll('.sidebar-item').forEach(item => {
-        item.classList.remove('active');
-    });
+    projectsList.querySelectorAll('.sidebar-item').forEach(item => {
+        item.classList.remove('active');
+    });
+
+    // Update tags list active state
+    const tagsList = document.getElementById('tagsList');
+    tagsList.querySelectorAll('.sidebar-item').forEach(item => {
+        item.classList.remove('active');
+        if (item.dataset.tag === tag) {
+            item.classList.add('active');
+        }
+    });
+
+    // Update current state
+    currentView = 'tag';
+    currentTag = tag;
+    currentProjectId = null;
+
+    // Close detail panel if open
+    hideDetailPanel();
+
+    // Update header
+    updateViewHeader();
+
+    // Re-render
+    reRenderCurrentView();
+
+    Logger.debug('Filtered by tag:', tag);
+}
+
+/**
+ * Show a saved filter programmatically
+ */
+function activateSavedFilter(filterId) {
+    // Clear sidebar selections; renderSidebar() marks the filter active
+    smartViewsList.querySelectorAll('.sidebar-item').forEach(item => {
+        item.classList.remove('active');
+    });
+
+    projectsList.querySelectorAll('.sidebar-item').forEach(item => {
+        item.classList.remove('active');
+    });
+
+    // Update current state
+    currentView = 'filter';
+    currentFilterId = filterId;
+    currentProjectId = null;
+
+    // Update header
+    updateViewHeader();
+
+    // Re-render
+    reRenderCurrentView();
+
+    Logger.debug('Activated saved filter:', filterId);
+}
+
+/**
+ * ========================================
+ * BOARD COLUMNS
+ * ========================================
+ */
+
+/**
+ * Show the board columns modal for a project
+ * Columns are edited in a working copy and saved together, so a half-finished
+ * workflow (e.g. no Done column yet) is never stored.
+ * @param {string} projectId - Project ID
+ */
+function showWorkflowModal(projectId) {
+    const project = taskDataManager.getProjectById(projectId);
+    if (!project) return;
+
+    let columns = taskDataManager.getProjectWorkflow(projectId);
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'block';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 640px;">
+            <div class="modal-header">
+                <h3>Board Columns: ${escapeHtml(project.name)}</h3>
+                <span class="close">&times;</span>
+            </div>
+            <div class="modal-body">
+                <p class="workflow-help">
+                    Each column stands for a task status. Dragging a card into a Done column completes the task,
+                    unless it still has open blockers. Columns with more tasks than their WIP limit are highlighted.
+                </p>
+                <div class="workflow-columns" id="workflowColumns"></div>
+                <button id="addWorkflowColumnBtn" class="modal-btn">
+                    <i class="fas fa-plus"></i> Add Column
+                </button>
+            </div>
+            <div class="modal-footer">
+                <button id="resetWorkflowBtn" class="modal-btn" style="margin-right: auto;">Reset to Default</button>
+                <button id="cancelWorkflowBtn" class="modal-btn">Cancel</button>
+                <button id="saveWorkflowBtn" class="modal-btn primary">Save Columns</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const columnsList = document.getElementById('workflowColumns');
+    const statusOptions = column => DEFAULT_WORKFLOW.map(({ status, name }) => `
+        <option value="${status}" ${status === column.status ? 'selected' : ''}>${name}</option>
+    `).join('');
+
+    const renderColumns = () => {
+        columnsList.innerHTML = columns.map((column, index) => `
+            <div class="workflow-column-row" data-index="${index}">
+                <input type="text" class="workflow-column-name" maxlength="30" value="${escapeHtml(column.name)}" placeholder="Column name">
+                <select class="workflow-column-status" title="Task status">${statusOptions(column)}</select>
+                <input type="number" class="workflow-column-wip" min="1" step="1" value="${column.wipLimit || ''}" placeholder="No limit" title="WIP limit">
+                <button class="workflow-column-btn" data-action="left" title="Move left" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+                <button class="workflow-column-btn" data-action="right" title="Move right" ${index === columns.length - 1 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-right"></i>
+                </button>
+                <button class="workflow-column-btn" data-action="remove" title="Remove column">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    };
+    renderColumns();
+
+    columnsList.addEventListener('input', (e) => {
+        const column = columns[e.target.closest('.workflow-column-row').dataset.index];
+        if (e.target.classList.contains('workflow-column-name')) {
+            column.name = e.target.value;
+        } else if (e.target.classList.contains('workflow-column-status')) {
+            column.status = e.target.value;
+        } else if (e.target.classList.contains('workflow-column-wip')) {
+            column.wipLimit = e.target.value === '' ? null : Number(e.target.value);
+        }
+    });
+
+    columnsList.addEventListener('click', (e) => {
+        const btn = e.target.closest('.workflow-column-btn');
+        if (!btn) return;
+
+        const index = parseInt(btn.closest('.workflow-column-row').dataset.index, 10);
+        const action = btn.dataset.action;
+        if (action === 'remove') {
+            columns.splice(index, 1);
+        } else {
+            const target = action === 'left' ? index - 1 : index + 1;
+            [columns[index], columns[target]] = [columns[target], columns[index]];
+        }
+        renderColumns();
+    });
+
+    document.getElementById('addWorkflowColumnBtn').addEventListener('click', () => {
+        columns.push(taskDataManager.createWorkflowColumn('New Column'));
+        renderColumns();
+        columnsList.querySelector('.workflow-column-row:last-child .workflow-column-name').select();
+    });
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+    document.getElementById('cancelWorkflowBtn').addEventListener('click', closeModal);
+
+    const saveWorkflow = (workflow) => {
+        const result = taskDataManager.setProjectWorkflow(projectId, workflow);
+        if (!result.success) {
+            alert(result.message);
+            return;
+        }
+
+        closeModal();
+        reRenderCurrentView();
+        showNotification(result.message, 'success');
+        Logger.debug('Board columns saved for project:', projectId);
+    };
+
+    document.getElementById('saveWorkflowBtn').addEventListener('click', () => saveWorkflow(columns));
+    document.getElementById('resetWorkflowBtn').addEventListener('click', () => {
+        if (confirm('Reset the board to To Do, In Progress, Done and Blocked?\n\nTasks keep their status.')) {
+            saveWorkflow(null);
+        }
+    });
+}
+
+/**
+ * ========================================
+ * SAVED FILTERS
+ * ========================================
+ */
+
+/**
+ * Show the create/edit saved filter modal
+ * The preview counts matching tasks as the query is typed, or shows why it can't be parsed.
+ * @param {SavedFilter|null} [filter] - Filter to edit; omit to create one
+ * @param {string} [initialQuery] - Query to start a new filter with
+ */
+function showSavedFilterModal(filter = null, initialQuery = '') {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.style.display = 'block';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 600px;">
+            <div class="modal-header">
+                <h3>${filter ? 'Edit Filter' : 'New Filter'}</h3>
+                <span class="close">&times;</span>
+            </div>
+            <div class="modal-body">
+                <div class="form-group" style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">Name</label>
+                    <input type="text" id="savedFilterName" maxlength="50"
+                        style="width: 100%; padding: 10px; border: 1px solid var(--border-color); border-radius: 6px; font-size: 14px; background: var(--background-color); color: var(--text-color);"
+                        placeholder="e.g. Work this week">
+                </div>
+                <div class="form-group">
+                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">Query</label>
+                    <input type="text" id="savedFilterQuery" maxlength="500"
+                        style="width: 100%; padding: 10px; border: 1px solid var(--border-color); border-radius: 6px; font-size: 14px; font-family: monospace; background: var(--background-color); color: var(--text-color);"
+                        placeholder="project:Work AND priority:high AND due:<7d AND NOT tag:waiting">
+                    <div class="saved-filter-preview" id="savedFilterPreview"></div>
+                    <div class="saved-filter-help">
+                        Fields: <code>project:</code> <code>tag:</code> <code>priority:</code> <code>status:</code>
+                        <code>is:completed|open|overdue|recurring|blocked|my-day</code> <code>has:due|time|tags|subtasks|description</code>
+                        <code>due:</code> <code>created:</code> <code>completed:</code>.
+                        Dates: <code>today</code>, <code>week</code>, <code>3d</code>, <code>-7d</code>, <code>2025-06-01</code>, after <code>&lt;</code> <code>&lt;=</code> <code>&gt;</code> <code>&gt;=</code>.
+                        Combine with <code>AND</code>, <code>OR</code>, <code>NOT</code> and parentheses.
+                    </div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button id="cancelSavedFilterBtn" class="modal-btn">Cancel</button>
+                <button id="saveSavedFilterBtn" class="modal-btn primary">${filter ? 'Save Filter' : 'Create Filter'}</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const nameInput = document.getElementById('savedFilterName');
+    const queryInput = document.getElementById('savedFilterQuery');
+    const preview = document.getElementById('savedFilterPreview');
+    nameInput.value = filter ? filter.name : '';
+    queryInput.value = filter ? filter.query : initialQuery;
+
+    const updatePreview = () => {
+        const query = queryInput.value.trim();
+        const { error } = TaskQuery.parse(query);
+        const count = query && !error ? taskDataManager.getTasksByQuery(query).length : 0;
+
+        preview.classList.toggle('error', !!error);
+        preview.textContent = error || (query ? `${count} matching task${count !== 1 ? 's' : ''}` : '');
+    };
+    queryInput.addEventListener('input', updatePreview);
+    updatePreview();
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+    document.getElementById('cancelSavedFilterBtn').addEventListener('click', closeModal);
+
+    document.getElementById('saveSavedFilterBtn').addEventListener('click', () => {
+        const data = { name: nameInput.value, query: queryInput.value };
+        const error = savedFiltersManager.validate(data);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        const saved = filter
+            ? savedFiltersManager.updateFilter(filter.id, data)
+            : savedFiltersManager.addFilter(data);
+        closeModal();
+        activateSavedFilter(saved.id);
+
+        Logger.debug('Saved filter:', saved.id);
+    });
+
+    // Focus name input
+    setTimeout(() => {
+        nameInput.focus();
+    }, 100);
+}
+
+/**
+ * Delete a saved filter (tasks are not affected)
+ */
+function deleteSavedFilter(filterId) {
+    const filter = savedFiltersManager.getFilterById(filterId);
+    if (!filter) return;
+
+    if (!confirm(`Delete the filter "${filter.name}"?\n\nNo tasks will be deleted.`)) return;
+
+    savedFiltersManager.deleteFilter(filterId);
+
+    if (currentView === 'filter' && currentFilterId === filterId) {
+        activateSmartView('inbox');
+    } else {
+        renderSidebar();
+    }
+    showNotification(`Filter "${filter.name}" deleted`, 'success');
+
+    Logger.debug('Saved filter deleted:', filterId);
+}
+
+/**
+ * ========================================
+ * BULK SELECTION
+ * ========================================
+ */
+
+/**
+ * Task elements of the current list or board, in the order shown
+ * @returns {HTMLElement[]}
+ */
+function getSelectableTaskElements() {
+    if (currentView === 'trash') return [];
+    if (currentLayout === 'board') return [...kanbanBoard.querySelectorAll('.kanban-card')];
+    if (currentLayout === 'list') return [...taskList.querySelectorAll('.task-list-item')];
+    return [];
+}
+
+/**
+ * Select or deselect a task (Ctrl/Cmd+click), or select every task between the last one clicked
+ * and this one (Shift+click)
+ * @param {string} taskId - Clicked task
+ * @param {boolean} range - Select a range
+ */
+function handleBulkSelectClick(taskId, range) {
+    bulkSelection.click(getSelectableTaskElements().map(el => el.dataset.taskId), taskId, range);
+
+    // Shift+click also selects page text; drop it
+    window.getSelection()?.removeAllRanges();
+    updateBulkActionBar();
+}
+
+/**
+ * Move the focus between tasks (ArrowUp/ArrowDown), select a range from the Shift+click anchor
+ * (Shift+Arrow) or select the focused task (Space)
+ * @param {string} taskId - Focused task
+ * @param {string} key - KeyboardEvent.key
+ * @param {boolean} shiftKey - Shift held
+ * @returns {boolean} - Whether the key was handled
+ */
+function handleBulkSelectKey(taskId, key, shiftKey) {
+    const elements = getSelectableTaskElements();
+    const nextId = bulkSelection.handleKey(elements.map(el => el.dataset.taskId), taskId, key, shiftKey);
+    if (!nextId) return false;
+
+    elements.find(el => el.dataset.taskId === nextId).focus();
+    updateBulkActionBar();
+    return true;
+}
+
+/**
+ * Select every task in the current list or board
+ */
+function selectAllTasksInView() {
+    bulkSelection.selectAll(getSelectableTaskElements().map(el => el.dataset.taskId));
+    updateBulkActionBar();
+}
+
+/**
+ * Deselect every task and hide the batch action bar
+ */
+function clearBulkSelection() {
+    bulkSelection.clear();
+    updateBulkActionBar();
+}
+
+/**
+ * Sync the batch action bar and the highlighted tasks with the selection
+ * Runs after every list and board render, so tasks that left the view are deselected; moving to
+ * another view or layout clears the selection.
+ */
+function updateBulkActionBar() {
+    const scope = [currentView, currentProjectId, currentTag, currentFilterId, currentLayout].join('|');
+    const elements = getSelectableTaskElements();
+    bulkSelection.sync(scope, elements.map(el => el.dataset.taskId));
+    elements.forEach(el => el.classList.toggle('bulk-selected', bulkSelection.has(el.dataset.taskId)));
+
+    const count = bulkSelection.size;
+    document.getElementById('bulkActionBar').classList.toggle('hidden', count === 0);
+    if (count === 0) return;
+
+    const tasks = [...bulkSelection.selectedIds].map(id => taskDataManager.getTaskById(id)).filter(Boolean);
+    document.getElementById('bulkActionCount').textContent = `${count} selected`;
+
+    // Add to My Day unless every selected task is already there
+    const allInMyDay = tasks.every(t => t.isMyDay);
+    const myDayBtn = document.getElementById('bulkMyDayBtn');
+    myDayBtn.dataset.value = allInMyDay ? 'remove' : 'add';
+    myDayBtn.querySelector('span').textContent = allInMyDay ? 'Remove from My Day' : 'Add to My Day';
+
+    document.getElementById('bulkMoveSelect').innerHTML = `
+        <option value="">Move to…</option>
+        ${taskDataManager.getAllProjects().map(project => `
+            <option value="${escapeHtml(project.id)}">${project.icon} ${escapeHtml(project.name)}</option>
+        `).join('')}
+    `;
 
-    // Update tags list active state
-    const tagsList = document.getElementById('tagsList');
-    tagsList.querySelectorAll('.sidebar-item').forEach(item => {
-        item.classList.remove('active');
-        if (item.dataset.tag === tag) {
-            item.classList.add('active');
-        }
-    });
+    const tags = [...new Set(tasks.flatMap(t => t.tags))].sort();
+    const removeTagSelect = document.getElementById('bulkRemoveTagSelect');
+    removeTagSelect.innerHTML = `
+        <option value="">Remove tag…</option>
+        ${tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('')}
+    `;
+    removeTagSelect.disabled = tags.length === 0;
+}
 
-    // Update current state
-    currentView = 'tag';
-    currentTag = tag;
-    currentProjectId = null;
+/**
+ * Apply a batch action to the selected tasks as one undo step
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {*} [value] - See TaskDataManager.bulkUpdateTasks()
+ */
+function applyBulkAction(action, value) {
+    const taskIds = [...bulkSelection.selectedIds];
+    if (taskIds.length === 0) return;
 
-    // Close detail panel if open
-    hideDetailPanel();
+    if (action === BULK_ACTIONS.DELETE &&
+        !confirm(`Move ${taskIds.length} task${taskIds.length !== 1 ? 's' : ''} to the Trash?`)) {
+        return;
+    }
+    if (action === BULK_ACTIONS.DELETE || action === BULK_ACTIONS.COMPLETE) {
+        taskIds.forEach(taskId => stopPomodoroForTask(taskId));
+    }
 
-    // Update header
-    updateViewHeader();
+    const result = taskDataManager.bulkUpdateTasks(taskIds, action, value);
+    if (!result.success) {
+        showNotification(result.message, 'warning');
+        return;
+    }
 
-    // Re-render
-    reRenderCurrentView();
+    showNotification(result.message, 'success', undoAction());
+    refreshAfterHistoryChange();
 
-    Logger.debug('Filtered by tag:', tag);
+    Logger.debug('Bulk action', action, 'applied to', taskIds.length, 'tasks');
 }
 
 /**
@@ -2849,6 +5159,15 @@ function getCommands() {
             keywords: ['upcoming', 'soon', 'week', 'navigate', 'view'],
             action: () => activateSmartView('upcoming')
         },
+        {
+            id: 'goto-deferred',
+            name: 'Go to Deferred',
+            description: 'View snoozed tasks and tasks that haven\'t started yet',
+            icon: '💤',
+            category: 'navigation',
+            keywords: ['deferred', 'snoozed', 'later', 'start', 'navigate', 'view'],
+            action: () => activateSmartView('deferred')
+        },
         {
             id: 'goto-completed',
             name: 'Go to Completed',
@@ -2858,6 +5177,15 @@ function getCommands() {
             keywords: ['completed', 'done', 'finished', 'navigate', 'view'],
             action: () => activateSmartView('completed')
         },
+        {
+            id: 'goto-trash',
+            name: 'Go to Trash',
+            description: 'Restore or permanently delete deleted items',
+            icon: '🗑️',
+            category: 'navigation',
+            keywords: ['trash', 'deleted', 'restore', 'bin', 'navigate', 'view'],
+            action: () => activateSmartView('trash')
+        },
 
         // Actions
         {
@@ -2897,6 +5225,19 @@ function getCommands() {
                 showAddProjectModal();
             }
         },
+        {
+            id: 'plan-my-day',
+            name: 'Plan Your Day',
+            description: 'Pick today\'s tasks from what\'s left over, overdue, due soon or important',
+            icon: '☀️',
+            category: 'action',
+            keywords: ['plan', 'day', 'today', 'my day', 'morning', 'review', 'suggestions'],
+            action: () => {
+                closeCommandPalette();
+                activateSmartView('my-day');
+                showPlanMyDayModal();
+            }
+        },
 
         // View Switching
         {
@@ -2931,6 +5272,22 @@ function getCommands() {
                 });
             }
         },
+        {
+            id: 'switch-to-timeline',
+            name: 'Switch to Timeline View',
+            description: 'View project tasks on a timeline with their dependencies',
+            icon: '📅',
+            category: 'view',
+            keywords: ['timeline', 'gantt', 'schedule', 'dependencies', 'view', 'switch', 'layout'],
+            action: () => {
+                closeCommandPalette();
+                currentLayout = 'timeline';
+                switchViewLayout('timeline');
+                document.querySelectorAll('.view-switcher-btn').forEach(b => {
+                    b.classList.toggle('active', b.dataset.layout === 'timeline');
+                });
+            }
+        },
 
         // Settings
         {
@@ -3011,6 +5368,202 @@ function getCommands() {
         }
     });
 
+    // Add board column command for the open project
+    const currentProject = currentView === 'project' ? taskDataManager.getProjectById(currentProjectId) : null;
+    if (currentProject) {
+        commands.push({
+            id: 'edit-board-columns',
+            name: 'Edit Board Columns',
+            description: `Columns and WIP limits for ${currentProject.name}`,
+            icon: '📊',
+            category: 'action',
+            keywords: ['board', 'kanban', 'columns', 'workflow', 'wip', 'limit'],
+            action: () => showWorkflowModal(currentProject.id)
+        });
+    }
+
+    // Add saved filter commands
+    commands.push({
+        id: 'new-saved-filter',
+        name: 'New Saved Filter',
+        description: 'Create a smart list from a query',
+        icon: '🔎',
+        category: 'action',
+        keywords: ['filter', 'saved', 'smart', 'list', 'query', 'new', 'create'],
+        action: () => showSavedFilterModal()
+    });
+    savedFiltersManager.getAllFilters().forEach(filter => {
+        commands.push({
+            id: `goto-filter-${filter.id}`,
+            name: `Go to ${filter.name}`,
+            description: filter.query,
+            icon: '🔎',
+            category: 'navigation',
+            keywords: ['filter', 'saved', 'navigate', 'goto', filter.name.toLowerCase()],
+            action: () => activateSavedFilter(filter.id)
+        });
+    });
+
+    // Add commands for the task open in the detail panel
+    const selectedTask = selectedTaskId ? taskDataManager.getTaskById(selectedTaskId) : null;
+    if (selectedTask) {
+        commands.push({
+            id: 'toggle-selected-task',
+            name: selectedTask.completed ? 'Reopen Task' : 'Complete Task',
+            description: selectedTask.text,
+            icon: selectedTask.completed ? '↩️' : '✅',
+            category: 'action',
+            keywords: ['complete', 'done', 'finish', 'reopen', 'toggle', 'task'],
+            action: () => toggleTaskComplete(selectedTask.id)
+        });
+
+        if (!selectedTask.completed) {
+            [
+                [SNOOZE_OPTIONS.LATER_TODAY, 'Snooze Until Later Today', ['later', 'today', 'hours']],
+                [SNOOZE_OPTIONS.TOMORROW, 'Snooze Until Tomorrow', ['tomorrow', 'morning']],
+                [SNOOZE_OPTIONS.NEXT_WEEK, 'Snooze Until Next Week', ['next', 'week', 'monday']]
+            ].forEach(([option, name, keywords]) => {
+                commands.push({
+                    id: `snooze-${option}`,
+                    name,
+                    description: `Hide "${selectedTask.text}" until ${formatAvailableAt(taskDataManager.getSnoozeUntil(option))}`,
+                    icon: '💤',
+                    category: 'action',
+                    keywords: ['snooze', 'defer', 'postpone', 'hide', ...keywords],
+                    action: () => snoozeTaskUntil(selectedTask.id, option)
+                });
+            });
+            commands.push({
+                id: 'snooze-custom',
+                name: 'Snooze Until…',
+                description: `Pick when "${selectedTask.text}" comes back`,
+                icon: '💤',
+                category: 'action',
+                keywords: ['snooze', 'defer', 'postpone', 'hide', 'custom', 'date', 'time'],
+                action: () => {
+                    showTaskDetails(selectedTask.id);
+                    const input = document.getElementById('snoozeCustomInput');
+                    if (input) input.focus();
+                }
+            });
+            if (selectedTask.deferUntil && new Date(selectedTask.deferUntil) > new Date()) {
+                commands.push({
+                    id: 'unsnooze',
+                    name: 'Unsnooze Task',
+                    description: `Bring "${selectedTask.text}" back now`,
+                    icon: '⏰',
+                    category: 'action',
+                    keywords: ['unsnooze', 'snooze', 'defer', 'wake', 'back', 'now'],
+                    action: () => snoozeTaskUntil(selectedTask.id, null)
+                });
+            }
+        }
+
+        if (selectedTask.isRecurring && !selectedTask.completed) {
+            commands.push({
+                id: 'skip-occurrence',
+                name: 'Skip Occurrence',
+                description: `Move "${selectedTask.text}" to its next occurrence`,
+                icon: '⏭️',
+                category: 'action',
+                keywords: ['skip', 'occurrence', 'recurring', 'repeat', 'next'],
+                action: () => skipTaskOccurrence(selectedTask.id)
+            });
+            commands.push({
+                id: 'complete-series',
+                name: 'Complete Series',
+                description: `Complete "${selectedTask.text}" and stop repeating`,
+                icon: '🏁',
+                category: 'action',
+                keywords: ['complete', 'series', 'recurring', 'repeat', 'stop', 'end'],
+                action: () => completeTaskSeries(selectedTask.id)
+            });
+        }
+
+        const timerRunning = !!selectedTask.getRunningTimeEntry();
+        if (!selectedTask.completed || timerRunning) {
+            commands.push({
+                id: 'toggle-timer',
+                name: timerRunning ? 'Stop Timer' : 'Start Timer',
+                description: `${timerRunning ? 'Stop tracking' : 'Track'} time on "${selectedTask.text}"`,
+                icon: '⏱️',
+                category: 'action',
+                keywords: ['timer', 'time', 'tracking', 'track', 'start', 'stop', 'clock'],
+                action: () => toggleTaskTimer(selectedTask.id)
+            });
+        }
+    }
+
+    // The running timer can be stopped from anywhere
+    const runningTimer = taskDataManager.getRunningTimer();
+    if (runningTimer && runningTimer.task.id !== selectedTaskId) {
+        commands.push({
+            id: 'stop-timer',
+            name: 'Stop Timer',
+            description: `Stop tracking time on "${runningTimer.task.text}"`,
+            icon: '⏱️',
+            category: 'action',
+            keywords: ['timer', 'time', 'tracking', 'stop', 'clock'],
+            action: stopTaskTimer
+        });
+    }
+
+    // Batch selection
+    if (getSelectableTaskElements().length > 0) {
+        commands.push({
+            id: 'select-all-tasks',
+            name: 'Select All Tasks',
+            description: 'Select every task in this view for batch actions (Ctrl+A)',
+            icon: '☑️',
+            category: 'action',
+            keywords: ['select', 'all', 'bulk', 'batch', 'multiple'],
+            action: selectAllTasksInView
+        });
+    }
+
+    const selectionCount = bulkSelection.size;
+    if (selectionCount > 0) {
+        const selection = `${selectionCount} selected task${selectionCount !== 1 ? 's' : ''}`;
+        commands.push(
+            {
+                id: 'bulk-complete',
+                name: 'Complete Selected Tasks',
+                description: `Complete ${selection}`,
+                icon: '✅',
+                category: 'action',
+                keywords: ['complete', 'done', 'finish', 'selected', 'bulk', 'batch'],
+                action: () => applyBulkAction(BULK_ACTIONS.COMPLETE)
+            },
+            {
+                id: 'bulk-my-day',
+                name: 'Add Selected Tasks to My Day',
+                description: `Add ${selection} to My Day`,
+                icon: '✨',
+                category: 'action',
+                keywords: ['my day', 'today', 'selected', 'bulk', 'batch'],
+                action: () => applyBulkAction(BULK_ACTIONS.MY_DAY, true)
+            },
+            {
+                id: 'bulk-delete',
+                name: 'Delete Selected Tasks',
+                description: `Move ${selection} to the Trash`,
+                icon: '🗑️',
+                category: 'action',
+                keywords: ['delete', 'remove', 'trash', 'selected', 'bulk', 'batch'],
+                action: () => applyBulkAction(BULK_ACTIONS.DELETE)
+            },
+            {
+                id: 'clear-selection',
+                name: 'Clear Selection',
+                description: `Deselect ${selection} (Esc)`,
+                icon: '✖️',
+                category: 'action',
+                keywords: ['clear', 'deselect', 'selection', 'bulk', 'batch'],
+                action: clearBulkSelection
+            }
+        );
+    }
+
     return commands;
 }
 
@@ -3062,6 +5615,36 @@ function filterCommands(query) {
 
             return searchTerms.every(term => searchText.includes(term));
         });
+
+        // Offer to save a structured query (e.g. "tag:work AND due:<7d") as a filter
+        const taskQuery = TaskQuery.parse(query.trim());
+        if (!taskQuery.error && TaskQuery.isStructured(taskQuery.ast)) {
+            filteredCommands.push({
+                id: 'save-query-as-filter',
+                name: `Save filter: ${query.trim()}`,
+                description: `${taskDataManager.getTasksByQuery(query.trim()).length} matching tasks`,
+                icon: '🔎',
+                category: 'action',
+                keywords: [],
+                action: () => showSavedFilterModal(null, query.trim())
+            });
+        }
+
+        // Offer to add the query as a task, parsed like the quick add bar
+        const parsed = parseQuickAdd(query.trim());
+        filteredCommands.push({
+            id: 'quick-add-task',
+            name: `Add task: ${parsed.text}`,
+            description: parsed.chips.map(chip => chip.label).join(' · ') || 'Create a new task',
+            icon: '➕',
+            category: 'action',
+            keywords: [],
+            action: () => {
+                const task = createTaskFromQuickAdd(query.trim());
+                reRenderCurrentView();
+                showNotification(`Task "${task.text}" added`, 'success');
+            }
+        });
     }
 
     selectedCommandIndex = 0;
@@ -3234,6 +5817,14 @@ function handleProjectDrop(e) {
     const targetProjectId = projectItem.dataset.projectId;
     const task = taskDataManager.tasks.find(t => t.id === draggedTaskId);
 
+    // Dragging one of several selected tasks moves all of them
+    if (bulkSelection.size > 1 && bulkSelection.has(draggedTaskId)) {
+        projectItem.classList.remove('drag-over');
+        applyBulkAction(BULK_ACTIONS.MOVE, targetProjectId);
+        draggedTaskId = null;
+        return;
+    }
+
     if (!task || task.projectId === targetProjectId) {
         projectItem.classList.remove('drag-over');
         return;
@@ -3263,22 +5854,384 @@ function handleProjectDrop(e) {
 /**
  * Show notification message
  */
-function showNotification(message) {
+function showNotification(message, type, action) {
     const notification = document.createElement('div');
     notification.className = 'task-notification';
     notification.textContent = message;
     document.body.appendChild(notification);
 
+    const dismiss = () => {
+        if (!notification.parentNode) return;
+        notification.classList.remove('show');
+        setTimeout(() => notification.remove(), 300);
+    };
+
+    // Optional action button, e.g. { label: 'Undo', onClick: undoTaskChange }
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'task-notification-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            dismiss();
+            action.onClick();
+        });
+        notification.appendChild(button);
+    }
+
     setTimeout(() => {
         notification.classList.add('show');
     }, 10);
 
-    setTimeout(() => {
-        notification.classList.remove('show');
-        setTimeout(() => {
-            document.body.removeChild(notification);
-        }, 300);
-    }, 2000);
+    // Leave time to reach the action button
+    setTimeout(dismiss, action ? 5000 : 2000);
+}
+
+/**
+ * Undo action for showNotification()
+ */
+function undoAction() {
+    return { label: 'Undo', onClick: undoTaskChange };
+}
+
+/**
+ * Undo the last task or project change (Ctrl+Z)
+ */
+function undoTaskChange() {
+    const command = taskDataManager.undo();
+    if (!command) {
+        showNotification('Nothing to undo');
+        return;
+    }
+
+    refreshAfterHistoryChange();
+    showNotification(`Undone: ${command.label}`, 'info', { label: 'Redo', onClick: redoTaskChange });
+}
+
+/**
+ * Redo the last undone change (Ctrl+Shift+Z)
+ */
+function redoTaskChange() {
+    const command = taskDataManager.redo();
+    if (!command) {
+        showNotification('Nothing to redo');
+        return;
+    }
+
+    refreshAfterHistoryChange();
+    showNotification(`Redone: ${command.label}`, 'info', undoAction());
+}
+
+/**
+ * Re-render after undo/redo restored tasks or projects
+ */
+function refreshAfterHistoryChange() {
+    // The project being viewed may have been removed
+    if (currentProjectId && !taskDataManager.getProjectById(currentProjectId)) {
+        activateSmartView('inbox');
+    }
+
+    renderSidebar();
+    reRenderCurrentView();
+
+    if (selectedTaskId && !taskDetailPanel.classList.contains('hidden')) {
+        if (taskDataManager.getTaskById(selectedTaskId)) {
+            showTaskDetails(selectedTaskId);
+        } else {
+            hideDetailPanel();
+        }
+    }
+}
+
+/**
+ * Trash Functions
+ */
+
+/**
+ * Notes manager used by the Trash view, or null until notes have loaded
+ * @returns {NotesDataManager|null}
+ */
+function getTrashNotesManager() {
+    return window.notesUIManager ? window.notesUIManager.notesDataManager : null;
+}
+
+/**
+ * Count the tasks, projects and notes in the Trash
+ * @returns {number}
+ */
+function getTrashCount() {
+    const trash = taskDataManager.getTrash();
+    const notesManager = getTrashNotesManager();
+    return trash.tasks.length + trash.projects.length + (notesManager ? notesManager.deletedNotes.length : 0);
+}
+
+/**
+ * Update the Trash count in the sidebar
+ */
+function updateTrashCount() {
+    const trashCount = document.getElementById('trashCount');
+    if (trashCount) {
+        trashCount.textContent = getTrashCount();
+    }
+}
+
+/**
+ * Show the Trash view in place of the task list and board (or the other way round)
+ * @param {boolean} active - Whether the Trash is being shown
+ */
+function setTrashLayout(active) {
+    trashView.classList.toggle('hidden', !active);
+    quickAddBar.classList.toggle('hidden', active);
+    viewSwitcher.classList.toggle('hidden', active);
+    taskList.classList.toggle('hidden', active || currentLayout === 'board' || currentLayout === 'timeline');
+    kanbanBoard.classList.toggle('hidden', active || currentLayout !== 'board');
+    timelineView.classList.toggle('hidden', active || currentLayout !== 'timeline');
+    boardGroupBySelect.classList.toggle('hidden', active || currentLayout !== 'board');
+
+    if (active) {
+        emptyState.style.display = 'none';
+    }
+}
+
+/**
+ * Describe when a trashed item was deleted and when it will be purged
+ * @param {string} deletedAt - ISO timestamp
+ * @returns {string}
+ */
+function describeTrashDates(deletedAt) {
+    const DAY = 24 * 60 * 60 * 1000;
+    const deleted = new Date(deletedAt);
+    const text = `Deleted ${deleted.toLocaleDateString()}`;
+
+    const retentionDays = getTrashRetentionDays();
+    if (retentionDays <= 0) return text;
+
+    const daysLeft = Math.max(0, Math.ceil((deleted.getTime() + retentionDays * DAY - Date.now()) / DAY));
+    return `${text} • Removed in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the Trash view: deleted tasks, projects and notes with restore and delete-forever actions
+ */
+function renderTrashView() {
+    setTrashLayout(true);
+    clearBulkSelection();
+
+    const trash = taskDataManager.getTrash();
+    const notesManager = getTrashNotesManager();
+    const query = searchQuery.trim().toLowerCase();
+    const matches = (...fields) => !query || fields.some(field => field && field.toLowerCase().includes(query));
+
+    const sections = [
+        {
+            type: 'task',
+            title: 'Tasks',
+            icon: 'fa-list-check',
+            items: filterTasksBySearch(trash.tasks, searchQuery),
+            name: task => task.text,
+            details: task => {
+                const project = taskDataManager.getProjectById(task.projectId);
+                const parts = [project ? project.name : 'Inbox'];
+                if (task.subtasks.length > 0) {
+                    parts.push(`${task.subtasks.length} subtask${task.subtasks.length === 1 ? '' : 's'}`);
+                }
+                if (task.deletedDependents.length > 0) {
+                    parts.push(`blocked ${task.deletedDependents.length} task${task.deletedDependents.length === 1 ? '' : 's'}`);
+                }
+                return parts;
+            }
+        },
+        {
+            type: 'project',
+            title: 'Projects',
+            icon: 'fa-folder',
+            items: trash.projects.filter(project => matches(project.name, project.description)),
+            name: project => project.name,
+            details: project => project.movedTaskIds.length > 0
+                ? [`${project.movedTaskIds.length} task${project.movedTaskIds.length === 1 ? '' : 's'} moved to Inbox`]
+                : []
+        },
+        {
+            type: 'note',
+            title: 'Notes',
+            icon: 'fa-sticky-note',
+            items: notesManager ? notesManager.getTrash().filter(note => matches(note.title, note.content)) : [],
+            name: note => note.title || 'Untitled Note',
+            details: note => note.tags.length > 0 ? [note.tags.join(', ')] : []
+        }
+    ].filter(section => section.items.length > 0);
+
+    if (sections.length === 0) {
+        trashView.innerHTML = `
+            <div class="trash-empty">
+                <div class="empty-state-icon">🗑️</div>
+                <div class="empty-state-title">${query ? 'No results found' : 'Trash is empty'}</div>
+                <div class="empty-state-description">
+                    ${query ? `Nothing in the Trash matches "${escapeHtml(searchQuery)}"` : 'Deleted tasks, projects and notes appear here'}
+                </div>
+            </div>
+        `;
+        return;
+    }
+
+    trashView.innerHTML = sections.map(section => `
+        <section class="trash-section">
+            <h3 class="trash-section-title">
+                <i class="fas ${section.icon}"></i>
+                ${section.title}
+                <span class="trash-section-count">${section.items.length}</span>
+            </h3>
+            <ul class="trash-list">
+                ${section.items.map(item => `
+                    <li class="trash-item" data-type="${section.type}" data-id="${escapeHtml(item.id)}">
+                        <div class="trash-item-info">
+                            <div class="trash-item-title">${escapeHtml(section.name(item))}</div>
+                            <div class="trash-item-meta">
+                                ${escapeHtml([...section.details(item), describeTrashDates(item.deletedAt)].join(' • '))}
+                            </div>
+                        </div>
+                        <div class="trash-item-actions">
+                            <button class="trash-action-btn trash-restore-btn" title="Restore">
+                                <i class="fas fa-rotate-left"></i>
+                                Restore
+                            </button>
+                            <button class="trash-action-btn trash-delete-btn" title="Delete forever">
+                                <i class="fas fa-xmark"></i>
+                                Delete forever
+                            </button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `).join('');
+
+    Logger.debug('Rendered trash with', sections.reduce((sum, section) => sum + section.items.length, 0), 'items');
+}
+
+/**
+ * Handle restore and delete-forever clicks in the Trash view
+ */
+function handleTrashAction(e) {
+    const button = e.target.closest('.trash-action-btn');
+    if (!button) return;
+
+    const { type, id } = button.closest('.trash-item').dataset;
+    if (button.classList.contains('trash-restore-btn')) {
+        restoreTrashItem(type, id);
+    } else {
+        deleteTrashItemForever(type, id);
+    }
+}
+
+/**
+ * Restore a task, project or note from the Trash
+ * @param {string} type - 'task', 'project' or 'note'
+ * @param {string} id - Record ID
+ */
+function restoreTrashItem(type, id) {
+    let message = null;
+
+    if (type === 'task') {
+        const result = taskDataManager.restoreTask(id);
+        if (result) {
+            message = `Task "${result.task.text}" restored`;
+            if (result.reBlockedTasks.length > 0) {
+                message += ` (${result.reBlockedTasks.length} task(s) blocked again)`;
+            }
+        }
+    } else if (type === 'project') {
+        const project = taskDataManager.restoreProject(id);
+        if (project) message = `Project "${project.name}" restored`;
+    } else if (type === 'note') {
+        const notesManager = getTrashNotesManager();
+        const note = notesManager && notesManager.restoreNote(id);
+        if (note) message = `Note "${note.title || 'Untitled Note'}" restored`;
+    }
+
+    if (!message) return;
+
+    renderSidebar();
+    renderTrashView();
+    // Note changes are not part of the task undo history
+    showNotification(message, 'success', type === 'note' ? undefined : undoAction());
+}
+
+/**
+ * Permanently delete a task, project or note from the Trash
+ * @param {string} type - 'task', 'project' or 'note'
+ * @param {string} id - Record ID
+ */
+function deleteTrashItemForever(type, id) {
+    if (!confirm('Delete this item forever? This cannot be undone.')) return;
+
+    let deleted = false;
+    if (type === 'task') {
+        deleted = taskDataManager.deleteTaskPermanently(id);
+    } else if (type === 'project') {
+        deleted = taskDataManager.deleteProjectPermanently(id);
+    } else if (type === 'note') {
+        const notesManager = getTrashNotesManager();
+        deleted = !!notesManager && notesManager.deleteNotePermanently(id);
+    }
+
+    if (!deleted) return;
+
+    updateTrashCount();
+    renderTrashView();
+    showNotification('Deleted forever');
+}
+
+/**
+ * Permanently delete everything in the Trash
+ */
+function emptyTrash() {
+    const count = getTrashCount();
+    if (count === 0) {
+        showNotification('Trash is already empty');
+        return;
+    }
+
+    if (!confirm(`Permanently delete ${count} item(s) in the Trash? This cannot be undone.`)) return;
+
+    taskDataManager.emptyTrash();
+    const notesManager = getTrashNotesManager();
+    if (notesManager) {
+        notesManager.emptyTrash();
+    }
+
+    updateTrashCount();
+    renderTrashView();
+    showNotification('Trash emptied', 'success');
+}
+
+/**
+ * Change how long deleted items are kept, purging items that are now past it
+ * @param {number} days - One of TRASH_RETENTION_OPTIONS (0 = forever)
+ */
+function changeTrashRetention(days) {
+    const DAY = 24 * 60 * 60 * 1000;
+    const notesManager = getTrashNotesManager();
+    const trash = taskDataManager.getTrash();
+    const trashed = [...trash.tasks, ...trash.projects, ...(notesManager ? notesManager.deletedNotes : [])];
+    const expired = days > 0
+        ? trashed.filter(item => new Date(item.deletedAt).getTime() < Date.now() - days * DAY).length
+        : 0;
+
+    if (expired > 0 &&
+        !confirm(`${expired} item(s) have been in the Trash longer than ${days} days and will be deleted forever. Continue?`)) {
+        updateViewHeader();
+        return;
+    }
+
+    setTrashRetentionDays(days);
+    taskDataManager.purgeExpiredTrash(days);
+    if (notesManager) {
+        notesManager.purgeExpiredTrash(days);
+    }
+
+    updateViewHeader();
+    updateTrashCount();
+    renderTrashView();
 }
 
 /**
@@ -3366,6 +6319,11 @@ function handleStartPomodoro(taskId) {
     const task = taskDataManager.getTaskById(taskId);
     if (!task) return;
 
+    // The pomodoro records its own time entry when it completes
+    if (taskDataManager.getRunningTimer()) {
+        stopTaskTimer();
+    }
+
     pomodoroTimer.start(taskId, task.text);
     showPomodoroPanel();
     updatePomodoroUI(pomodoroTimer.getState());
@@ -3430,18 +6388,14 @@ function handleSessionComplete(completedSession, nextSession) {
 }
 
 /**
- * Handle pomodoro completion (update task count)
+ * Handle pomodoro completion (update task count and record the work session as a time entry)
  */
 function handlePomodoroComplete(taskId) {
-    const task = taskDataManager.getTaskById(taskId);
+    const task = taskDataManager.recordPomodoro(taskId, pomodoroTimer.getSettings().workDuration);
     if (!task) return;
 
-    // Increment pomodoro count
-    task.pomodorosCompleted = (task.pomodorosCompleted || 0) + 1;
-    taskDataManager.updateTask(taskId, { pomodorosCompleted: task.pomodorosCompleted });
-
-    // Refresh UI to show updated count
-    reRenderCurrentView();
+    // Refresh UI to show updated count and tracked time
+    refreshTimeTrackingViews();
 
     Logger.debug('Pomodoro completed for task:', taskId, 'Total:', task.pomodorosCompleted);
 }
@@ -6,11 +6,12 @@
 // Global instances
 let analyticsManager = null;
 let tagColorsManager = null;
+let calendarEventUnsubscribers = []; // Event bus subscriptions held while the calendar view is open
 
 /**
  * Initialize UI extensions
  */
-function initUIExtensions() {
+async function initUIExtensions() {
     if (!window.taskDataManager) {
         Logger.warn('UI Extensions: TaskDataManager not found, retrying...');
         // Retry after a short delay
@@ -22,7 +23,8 @@ function initUIExtensions() {
 
     // Initialize managers
     analyticsManager = new AnalyticsManager(window.taskDataManager);
-    tagColorsManager = new TagColorsManager();
+    tagColorsManager = new TagColorsManager({ storage: await window.storageReady });
+    await tagColorsManager.ready;
 
     // Add quick-add input to the top of the task list
     addQuickAddInput();
@@ -77,10 +79,11 @@ function addQuickAddInput() {
         // Get current project or default to Inbox
         const currentProject = window.taskDataManager.settings.currentProjectId || 'inbox';
 
-        window.taskDataManager.addTask({
-            text: text,
+        // Dates, priority, tags, project and repeat rules typed inline override the defaults
+        const parsed = QuickAddParser.parse(text, { projects: window.taskDataManager.getAllProjects() });
+        window.taskDataManager.addTask(QuickAddParser.toTaskData(parsed, {
             projectId: currentProject
-        });
+        }));
 
         input.value = '';
 
@@ -197,6 +200,8 @@ function showKeyboardShortcutsHelp() {
         { keys: 'Ctrl+K', description: 'Open command palette' },
         { keys: '/', description: 'Focus search' },
         { keys: 'Ctrl+Shift+A', description: 'Quick add task' },
+        { keys: 'Ctrl+Z', description: 'Undo last task change' },
+        { keys: 'Ctrl+Shift+Z', description: 'Redo' },
         { keys: 'Ctrl+Shift+N', description: 'Open notes' },
         { keys: 'Ctrl+`', description: 'Toggle notes' },
         { keys: 'Escape', description: 'Close panels/modals' },
@@ -460,6 +465,62 @@ function showAnalyticsDashboard() {
                     </div>
                 </div>
 
+                <div class="analytics-section">
+                    <h3>My Day: Planned vs Completed</h3>
+                    <div class="analytics-bars">
+                        ${summary.myDay.map(day => `
+                            <div class="analytics-bar">
+                                <span class="bar-label">${DateUtils.parseDate(day.date).toLocaleDateString(undefined, { weekday: 'short' })}</span>
+                                <div class="bar-fill" style="width: ${day.planned > 0 ? Math.round(day.completed / day.planned * 100) : 0}%; background: #3b82f6;"></div>
+                                <span class="bar-value">${day.completed} / ${day.planned}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                ${summary.timeTracked.total > 0 ? `
+                    <div class="analytics-section">
+                        <h3>Time Tracked by Project (Last 30 Days): ${formatDuration(summary.timeTracked.total)}</h3>
+                        <div class="analytics-list">
+                            ${summary.timeTracked.projects.slice(0, 5).map(p => `
+                                <div class="analytics-list-item">
+                                    <span class="list-item-icon" style="color: ${escapeHtml(p.project.color)}">${p.project.icon}</span>
+                                    <span class="list-item-name">${escapeHtml(p.project.name)}</span>
+                                    <span class="list-item-progress">${formatDuration(p.minutes)}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    ${summary.timeTracked.tags.length > 0 ? `
+                        <div class="analytics-section">
+                            <h3>Time Tracked by Tag</h3>
+                            <div class="analytics-list">
+                                ${summary.timeTracked.tags.slice(0, 5).map(t => `
+                                    <div class="analytics-list-item">
+                                        <span class="list-item-icon"><i class="fas fa-tag"></i></span>
+                                        <span class="list-item-name">${escapeHtml(t.tag)}</span>
+                                        <span class="list-item-progress">${formatDuration(t.minutes)}</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    <div class="analytics-section">
+                        <h3>Most Tracked Tasks</h3>
+                        <div class="analytics-list">
+                            ${summary.timeTracked.tasks.slice(0, 5).map(t => `
+                                <div class="analytics-list-item">
+                                    <span class="list-item-icon"><i class="fas fa-stopwatch"></i></span>
+                                    <span class="list-item-name">${escapeHtml(t.task.text)}</span>
+                                    <span class="list-item-progress">${formatDuration(t.minutes)}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+
                 <div class="analytics-section">
                     <h3>Project Performance</h3>
                     <div class="analytics-list">
@@ -864,12 +925,22 @@ function showCalendarView() {
     const container = document.getElementById('calendarViewContainer');
     const calendarView = new CalendarView(window.taskDataManager, container);
     calendarView.render();
+
+    // Keep the calendar current while tasks change (e.g. from the detail panel or another tab)
+    const refreshCalendar = () => calendarView.render();
+    calendarEventUnsubscribers.forEach(unsubscribe => unsubscribe());
+    calendarEventUnsubscribers = ['task:created', 'task:updated', 'task:deleted', 'tasks:synced',
+        'history:undone', 'history:redone']
+        .map(event => window.eventBus.on(event, refreshCalendar));
 }
 
 /**
  * Exit calendar view
  */
 window.exitCalendarView = function() {
+    calendarEventUnsubscribers.forEach(unsubscribe => unsubscribe());
+    calendarEventUnsubscribers = [];
+
     const mainContent = document.querySelector('.main-content') || document.querySelector('main');
     if (mainContent && window.previousMainContent) {
         mainContent.innerHTML = window.previousMainContent;
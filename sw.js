@@ -1,4 +1,4 @@
-const CACHE_NAME = 'dashboard-v81';
+const CACHE_NAME = 'dashboard-v111';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
@@ -8,6 +8,14 @@ const ASSETS_TO_CACHE = [
   '/js/features/dashboard/script.js',
   '/js/features/tasks/todo.js',
   '/js/features/tasks/task-data.js',
+  '/js/features/tasks/recurrence.js',
+  '/js/features/tasks/quick-add-parser.js',
+  '/js/features/tasks/task-query.js',
+  '/js/features/tasks/saved-filters.js',
+  '/js/features/tasks/board-swimlanes.js',
+  '/js/features/tasks/timeline.js',
+  '/js/features/tasks/dependency-graph.js',
+  '/js/features/tasks/bulk-selection.js',
   '/js/features/tasks/ui-extensions.js',
   '/js/features/tasks/calendar-view.js',
   '/js/features/tasks/project-enhancements.js',
@@ -16,11 +24,19 @@ const ASSETS_TO_CACHE = [
   '/js/features/tasks/analytics.js',
   '/js/features/tasks/tag-colors.js',
   '/js/features/notes/notes.js',
+  '/js/features/notes/markdown.js',
+  '/js/features/notes/wiki-links.js',
+  '/js/features/notes/note-tasks.js',
   '/js/features/notes/notes-ui.js',
   '/js/features/retirement/retirement-timer.js',
   '/js/features/retirement/auto-backup.js',
   '/js/core/theme.js',
   '/js/core/logger.js',
+  '/js/core/event-bus.js',
+  '/js/core/date-utils.js',
+  '/js/core/storage-sync.js',
+  '/js/core/storage-adapter.js',
+  '/js/core/trash-settings.js',
   '/js/core/keyboard-nav.js',
   '/js/core/input-validator.js',
   '/js/core/error-handler.js',
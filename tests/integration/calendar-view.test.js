@@ -0,0 +1,165 @@
+/**
+ * Integration Tests for the Calendar View
+ * Tests the visible range of each mode, rescheduling by drag and drop, adding tasks to a day and
+ * the saved calendar mode
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom, RECURRENCE_WEEKDAYS'));
+Object.assign(global, loadScript('../../js/features/tasks/quick-add-parser.js', 'QuickAddParser'));
+Object.assign(global, loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager, Task, DEFAULT_PROJECTS'));
+const { CalendarView } = loadScript('../../js/features/tasks/calendar-view.js', 'CalendarView');
+
+const day = dateStr => DateUtils.formatDate(dateStr);
+
+describe('CalendarView', () => {
+  let manager;
+  let container;
+
+  // Shows the week of Wednesday 12 March 2025
+  const createView = (dataManager = manager) => {
+    const view = new CalendarView(dataManager, container);
+    view.currentDate = new Date(2025, 2, 12);
+    return view;
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    window.showNotification = vi.fn();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    manager = new TaskDataManager();
+  });
+
+  afterEach(() => {
+    container.remove();
+    delete window.showNotification;
+  });
+
+  describe('getVisibleRange', () => {
+    it('should start the week on the configured week start day', () => {
+      const view = createView();
+      view.mode = 'week';
+
+      DateUtils.setWeekStart(0);
+      expect(day(view.getVisibleRange().start)).toBe('2025-03-09');
+      expect(day(view.getVisibleRange().end)).toBe('2025-03-15');
+
+      DateUtils.setWeekStart(1);
+      expect(day(view.getVisibleRange().start)).toBe('2025-03-10');
+      expect(day(view.getVisibleRange().end)).toBe('2025-03-16');
+
+      view.render();
+      expect([...container.querySelectorAll('.calendar-week-day')].map(el => el.dataset.date)[0]).toBe('2025-03-10');
+      expect(container.querySelector('.calendar-title').textContent).toBe('Mar 10 – Mar 16, 2025');
+    });
+
+    it('should list the agenda from the current date whatever the week start', () => {
+      const view = createView();
+      view.mode = 'agenda';
+
+      DateUtils.setWeekStart(0);
+      const sundayRange = view.getVisibleRange();
+      DateUtils.setWeekStart(1);
+      const mondayRange = view.getVisibleRange();
+
+      expect(day(mondayRange.start)).toBe('2025-03-12');
+      expect(day(mondayRange.end)).toBe('2025-03-25');
+      expect(mondayRange).toEqual(sundayRange);
+
+      view.navigate(1);
+      expect(day(view.getVisibleRange().start)).toBe('2025-03-26');
+    });
+  });
+
+  describe('moveTaskToDate', () => {
+    it('should change the due date and keep the due time', () => {
+      const task = manager.addTask({ text: 'Dentist', dueDate: '2025-03-12', dueTime: '09:30' });
+
+      createView().moveTaskToDate(task.id, '2025-03-14');
+
+      expect(manager.getTaskById(task.id)).toMatchObject({ dueDate: '2025-03-14', dueTime: '09:30' });
+      expect(window.showNotification).toHaveBeenCalledWith('"Dentist" moved to Fri, Mar 14');
+      expect(manager.canUndo()).toBe(true);
+    });
+
+    it('should do nothing when the task is dropped on its own day', () => {
+      const task = manager.addTask({ text: 'Dentist', dueDate: '2025-03-12T09:30:00' });
+      const updateTask = vi.spyOn(manager, 'updateTask');
+
+      createView().moveTaskToDate(task.id, '2025-03-12');
+      createView().moveTaskToDate('task_missing', '2025-03-12');
+
+      expect(updateTask).not.toHaveBeenCalled();
+      expect(window.showNotification).not.toHaveBeenCalled();
+      expect(manager.getTaskById(task.id).dueDate).toBe('2025-03-12T09:30:00');
+    });
+  });
+
+  describe('addTaskForDate', () => {
+    it('should read relative dates from the chosen day', () => {
+      const view = createView();
+
+      const task = view.addTaskForDate('2025-03-20', 'Pack bags tomorrow 8am !high');
+
+      expect(task).toMatchObject({
+        text: 'Pack bags',
+        dueDate: '2025-03-21',
+        dueTime: '08:00',
+        priority: 'high',
+        projectId: DEFAULT_PROJECTS.INBOX
+      });
+    });
+
+    it('should keep the chosen day when the text has no date, and ignore empty text', () => {
+      const view = createView();
+
+      expect(view.addTaskForDate('2025-03-20', 'Call at 3pm')).toMatchObject({ dueDate: '2025-03-20', dueTime: '15:00' });
+      expect(view.addTaskForDate('2025-03-20', '   ')).toBeNull();
+      expect(manager.getAllTasks()).toHaveLength(1);
+    });
+  });
+
+  describe('Mode', () => {
+    it('should restore the saved mode when the view is rebuilt', () => {
+      createView().setMode('agenda');
+
+      const view = createView(new TaskDataManager());
+      view.render();
+
+      expect(view.mode).toBe('agenda');
+      expect(container.querySelector('.calendar-view').classList.contains('calendar-mode-agenda')).toBe(true);
+      expect(container.querySelector('.calendar-mode-btn.active').dataset.mode).toBe('agenda');
+    });
+
+    it('should fall back to month for an unknown saved mode', () => {
+      manager.settings.calendarMode = 'year';
+      manager.saveToStorage();
+
+      expect(createView(new TaskDataManager()).mode).toBe('month');
+    });
+  });
+});
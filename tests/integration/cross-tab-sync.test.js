@@ -0,0 +1,286 @@
+/**
+ * Integration Tests for Cross-Tab Sync
+ * Two managers on a shared localStorage stand in for two open tabs
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  // Drop module-level instances; each test tab gets its own
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '')
+    .replace(/const storageSync = new StorageSync\(\);/, '')
+    .replace(/const storageReady = initStorage\(\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/storage-sync.js', 'StorageSync, applyRecordChanges, groupStorageConflicts'));
+Object.assign(global, loadScript('../../js/core/storage-adapter.js', 'LocalStorageAdapter, RecordChangeTracker, STORAGE_COLLECTIONS'));
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+
+const { TaskDataManager } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager');
+const { NotesDataManager } = loadScript('../../js/features/notes/notes.js', 'NotesDataManager');
+Object.assign(global, loadScript('../../js/features/tasks/task-query.js', 'TaskQuery'));
+const { SavedFiltersManager } = loadScript('../../js/features/tasks/saved-filters.js', 'SavedFiltersManager');
+
+// Wait for BroadcastChannel delivery
+const until = async (condition) => {
+  for (let i = 0; i < 50 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBeTruthy();
+};
+
+describe('Cross-Tab Sync', () => {
+  const syncs = [];
+  const events = [];
+  const record = e => events.push(e);
+
+  const openTab = async (Manager) => {
+    const sync = new StorageSync('dashflow-test-sync');
+    syncs.push(sync);
+    const manager = new Manager({ storage: new LocalStorageAdapter({ sync }) });
+    await manager.ready;
+    return manager;
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    events.length = 0;
+    window.addEventListener('tasksUpdated', record);
+    window.addEventListener('notesUpdated', record);
+    window.addEventListener('storageConflict', record);
+  });
+
+  afterEach(() => {
+    syncs.splice(0).forEach(sync => sync.close());
+    window.removeEventListener('tasksUpdated', record);
+    window.removeEventListener('notesUpdated', record);
+    window.removeEventListener('storageConflict', record);
+  });
+
+  describe('Tasks', () => {
+    it('should show tasks added in another tab', async () => {
+      const tabA = await openTab(TaskDataManager);
+      const tabB = await openTab(TaskDataManager);
+
+      const task = tabA.addTask({ text: 'From tab A' });
+
+      await until(() => tabB.getTaskById(task.id));
+      expect(tabB.tasks[0].text).toBe('From tab A');
+      expect(events.find(e => e.type === 'tasksUpdated').detail).toMatchObject({ source: 'sync', taskIds: [task.id] });
+    });
+
+    it('should not write back changes it received', async () => {
+      const tabA = await openTab(TaskDataManager);
+      const tabB = await openTab(TaskDataManager);
+      const task = tabA.addTask({ text: 'Shared' });
+      await until(() => tabB.getTaskById(task.id));
+
+      tabA.updateTask(task.id, { text: 'Renamed in A' });
+      await until(() => tabB.getTaskById(task.id).text === 'Renamed in A');
+      tabB.addTask({ text: 'Unrelated' });
+      await until(() => tabA.tasks.length === 2);
+
+      expect(events.filter(e => e.type === 'storageConflict')).toHaveLength(0);
+      expect(JSON.parse(localStorage.getItem('tasks')).find(t => t.id === task.id).text).toBe('Renamed in A');
+    });
+
+    it('should remove tasks deleted in another tab', async () => {
+      const tabA = await openTab(TaskDataManager);
+      const tabB = await openTab(TaskDataManager);
+      const task = tabA.addTask({ text: 'Temporary' });
+      await until(() => tabB.getTaskById(task.id));
+
+      tabA.deleteTask(task.id);
+
+      await until(() => !tabB.getTaskById(task.id));
+    });
+
+    it('should follow tasks moved to and restored from the Trash in another tab', async () => {
+      const tabA = await openTab(TaskDataManager);
+      const tabB = await openTab(TaskDataManager);
+      const task = tabA.addTask({ text: 'Temporary' });
+      await until(() => tabB.getTaskById(task.id));
+
+      tabA.deleteTask(task.id);
+      await until(() => tabB.getTrash().tasks.some(t => t.id === task.id));
+
+      tabA.restoreTask(task.id);
+      await until(() => tabB.getTaskById(task.id));
+      expect(tabB.getTrash().tasks).toHaveLength(0);
+    });
+
+    it('should keep per-tab view settings out of sync', async () => {
+      const tabA = await openTab(TaskDataManager);
+      const tabB = await openTab(TaskDataManager);
+
+      tabA.settings.currentView = 'inbox';
+      tabA.saveToStorage();
+      tabA.addTask({ text: 'Flush' });
+      await until(() => tabB.tasks.length === 1);
+
+      expect(tabB.settings.currentView).toBe('my-day');
+    });
+
+    it('should detect concurrent edits to the same task instead of overwriting', async () => {
+      const tabA = await openTab(TaskDataManager);
+      const task = tabA.addTask({ text: 'Original' });
+      const tabB = await openTab(TaskDataManager);
+
+      // Both tabs edit before either hears from the other
+      tabA.updateTask(task.id, { text: 'Edited in A' });
+      tabB.updateTask(task.id, { text: 'Edited in B' });
+
+      await until(() => events.some(e => e.type === 'storageConflict'));
+      const conflict = events.find(e => e.type === 'storageConflict').detail;
+
+      expect(conflict.source).toBe('tasks');
+      expect(conflict.conflicts[0]).toMatchObject({ collection: 'tasks', key: task.id });
+      expect(conflict.conflicts[0].local.text).toBe('Edited in B');
+      expect(conflict.conflicts[0].remote.text).toBe('Edited in A');
+      expect(tabB.getTaskById(task.id).text).toBe('Edited in A');
+      expect(JSON.parse(localStorage.getItem('tasks'))[0].text).toBe('Edited in A');
+    });
+
+    it('should overwrite the other tab when the user keeps their version', async () => {
+      const tabA = await openTab(TaskDataManager);
+      const task = tabA.addTask({ text: 'Original' });
+      const tabB = await openTab(TaskDataManager);
+
+      tabA.updateTask(task.id, { text: 'Edited in A' });
+      tabB.updateTask(task.id, { text: 'Edited in B' });
+      await until(() => events.some(e => e.type === 'storageConflict'));
+
+      events.find(e => e.type === 'storageConflict').detail.keepLocal();
+
+      await until(() => tabA.getTaskById(task.id).text === 'Edited in B');
+      expect(tabB.getTaskById(task.id).text).toBe('Edited in B');
+      expect(JSON.parse(localStorage.getItem('tasks'))[0].text).toBe('Edited in B');
+    });
+  });
+
+  describe('Notes', () => {
+    it('should sync note edits between tabs', async () => {
+      const tabA = await openTab(NotesDataManager);
+      const tabB = await openTab(NotesDataManager);
+      const note = tabA.addNote({ title: 'Meeting' });
+      await until(() => tabB.getNoteById(note.id));
+
+      tabB.updateNote(note.id, { content: 'Agenda' });
+
+      await until(() => tabA.getNoteById(note.id).content === 'Agenda');
+      expect(events.filter(e => e.type === 'notesUpdated').every(e => e.detail.source === 'sync')).toBe(true);
+    });
+
+    it('should report a note deleted in one tab and edited in another', async () => {
+      const tabA = await openTab(NotesDataManager);
+      const note = tabA.addNote({ title: 'Draft' });
+      const tabB = await openTab(NotesDataManager);
+
+      tabA.deleteNote(note.id);
+      tabB.updateNote(note.id, { content: 'Still writing' });
+
+      await until(() => events.some(e => e.type === 'storageConflict'));
+      const conflict = events.find(e => e.type === 'storageConflict').detail;
+
+      expect(conflict.source).toBe('notes');
+      expect(conflict.conflicts[0].remote.deletedAt).toBeTruthy();
+      expect(tabB.getNoteById(note.id)).toBeUndefined();
+    });
+
+    it('should sync notebooks and notes moved into them between tabs', async () => {
+      const tabA = await openTab(NotesDataManager);
+      const tabB = await openTab(NotesDataManager);
+      const note = tabA.addNote({ title: 'Agenda' });
+      const notebook = tabA.addNotebook({ name: 'Work' });
+      tabA.moveNotes([note.id], notebook.id);
+
+      await until(() => tabB.getNoteById(note.id)?.notebookId === notebook.id);
+      expect(tabB.getNotes({ notebookId: notebook.id }).map(n => n.id)).toEqual([note.id]);
+
+      tabB.deleteNotebook(notebook.id);
+      await until(() => !tabA.getNotebookById(notebook.id));
+      await until(() => tabA.getNoteById(note.id).notebookId === null);
+    });
+
+    it('should sync revisions without sending them with the note', async () => {
+      const tabA = await openTab(NotesDataManager);
+      const tabB = await openTab(NotesDataManager);
+      const note = tabA.addNote({ title: 'Plan', content: 'First draft' });
+      await until(() => tabB.getNoteById(note.id));
+      const channel = new StorageSync('dashflow-test-sync');
+      syncs.push(channel);
+      const messages = [];
+      channel.subscribe(changes => messages.push(changes));
+
+      tabA.updateNote(note.id, { content: 'Second draft' }, { keepRevision: true });
+
+      await until(() => tabB.getRevisions(note.id).length === 1);
+      expect(tabB.getRevisions(note.id)[0].content).toBe('First draft');
+      expect(messages[0].notes.put[0]).not.toHaveProperty('revisions');
+    });
+  });
+
+  describe('Saved Filters', () => {
+    it('should sync saved filters between tabs', async () => {
+      const tabA = await openTab(SavedFiltersManager);
+      const tabB = await openTab(SavedFiltersManager);
+      const filter = tabA.addFilter({ name: 'Urgent', query: 'priority:high' });
+      await until(() => tabB.getFilterById(filter.id));
+
+      tabB.updateFilter(filter.id, { name: 'Hot' });
+      await until(() => tabA.getFilterById(filter.id).name === 'Hot');
+
+      tabA.deleteFilter(filter.id);
+      await until(() => !tabB.getFilterById(filter.id));
+    });
+  });
+
+  describe('StorageSync', () => {
+    it('should queue messages until the subscriber is ready', async () => {
+      const sender = new StorageSync('dashflow-test-queue');
+      const receiver = new StorageSync('dashflow-test-queue');
+      syncs.push(sender, receiver);
+
+      let markReady;
+      const ready = new Promise(resolve => { markReady = resolve; });
+      const received = [];
+      receiver.subscribe(changes => received.push(changes), ready);
+
+      sender.publish({ tasks: { clear: false, put: [{ id: 't1' }], delete: [] } });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(received).toHaveLength(0);
+
+      markReady();
+      await until(() => received.length === 1);
+      expect(received[0].tasks.put).toEqual([{ id: 't1' }]);
+    });
+
+    it('should not publish empty change sets', () => {
+      const sync = new StorageSync('dashflow-test-empty');
+      syncs.push(sync);
+      const postMessage = vi.spyOn(sync.channel, 'postMessage');
+
+      sync.publish({ tasks: { clear: false, put: [], delete: [] } });
+
+      expect(postMessage).not.toHaveBeenCalled();
+    });
+  });
+});
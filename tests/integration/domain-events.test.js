@@ -0,0 +1,252 @@
+/**
+ * Integration Tests for Domain Events
+ * Managers publish typed events on the shared EventBus
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  // Drop module-level instances and exports; each test gets its own bus
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/window\.eventBus = new EventBus\(\);/, '')
+    .replace(/if \(typeof module.*?\n.*?module\.exports = .*?;\n}/s, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+const { EventBus } = loadScript('../../js/core/event-bus.js', 'EventBus');
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+
+const { TaskDataManager, TaskStatus } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager, TaskStatus');
+const { NotesDataManager } = loadScript('../../js/features/notes/notes.js', 'NotesDataManager');
+const { TagColorsManager } = loadScript('../../js/features/tasks/tag-colors.js', 'TagColorsManager');
+const { PomodoroTimer, SessionType } = loadScript('../../js/features/tasks/pomodoro.js', 'PomodoroTimer, SessionType');
+
+describe('Domain Events', () => {
+  let events;
+
+  // Record every emitted event in order
+  const listen = (...names) => {
+    names.forEach(name => window.eventBus.on(name, data => events.push({ name, data })));
+  };
+  const named = name => events.filter(e => e.name === name).map(e => e.data);
+
+  beforeEach(() => {
+    localStorage.clear();
+    window.eventBus = new EventBus();
+    events = [];
+  });
+
+  afterEach(() => {
+    delete window.eventBus;
+  });
+
+  describe('TaskDataManager', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new TaskDataManager();
+    });
+
+    it('should publish created, updated and deleted events', () => {
+      listen('task:created', 'task:updated', 'task:deleted');
+
+      const task = manager.addTask({ text: 'Write report' });
+      manager.updateTask(task.id, { text: 'Write final report', priority: task.priority });
+      manager.deleteTask(task.id);
+
+      expect(events.map(e => e.name)).toEqual(['task:created', 'task:updated', 'task:deleted']);
+      expect(named('task:created')[0].task.id).toBe(task.id);
+      expect(named('task:updated')[0].changes).toEqual(['text']);
+      expect(named('task:deleted')[0]).toMatchObject({ taskId: task.id });
+    });
+
+    it('should not publish updates that change nothing', () => {
+      const task = manager.addTask({ text: 'Same' });
+      listen('task:updated');
+
+      manager.updateTask(task.id, { text: 'Same' });
+
+      expect(events).toHaveLength(0);
+    });
+
+    it('should publish completion with the next recurrence and unblocked tasks', () => {
+      const blocker = manager.addTask({
+        text: 'Weekly review',
+        dueDate: '2025-01-06',
+        isRecurring: true,
+        recurrence: { type: 'weekly', interval: 1 }
+      });
+      const blocked = manager.addTask({ text: 'Plan week' });
+      manager.addDependency(blocked.id, blocker.id);
+      listen('task:completed', 'task:created');
+
+      manager.completeTask(blocker.id);
+
+      const [completed] = named('task:completed');
+      expect(completed.task.id).toBe(blocker.id);
+      expect(completed.nextTask.dueDate).toBe('2025-01-13');
+      expect(completed.unblockedTasks.map(t => t.id)).toEqual([blocked.id]);
+      expect(named('task:created')[0].task.id).toBe(completed.nextTask.id);
+    });
+
+    it('should publish reopened and re-blocked tasks', () => {
+      const blocker = manager.addTask({ text: 'Blocker' });
+      const blocked = manager.addTask({ text: 'Blocked' });
+      manager.addDependency(blocked.id, blocker.id);
+      manager.completeTask(blocker.id);
+      listen('task:reopened', 'task:updated');
+
+      manager.reopenTask(blocker.id);
+
+      expect(named('task:reopened')[0].reBlockedTasks.map(t => t.id)).toEqual([blocked.id]);
+      expect(named('task:updated')).toContainEqual({ task: manager.getTaskById(blocked.id), changes: ['status'] });
+    });
+
+    it('should publish dependency and comment events with the changed task', () => {
+      const blocker = manager.addTask({ text: 'Blocker' });
+      const task = manager.addTask({ text: 'Task' });
+      listen('dependency:added', 'dependency:removed', 'comment:added', 'task:updated');
+
+      manager.addDependency(task.id, blocker.id);
+      manager.removeDependency(task.id, blocker.id);
+      const comment = manager.addComment(task.id, 'Started');
+
+      expect(named('dependency:added')[0]).toMatchObject({ blockerId: blocker.id });
+      expect(named('dependency:removed')[0]).toMatchObject({ blockerId: blocker.id });
+      expect(named('comment:added')[0].comment).toBe(comment);
+      expect(named('task:updated').map(e => e.changes)).toEqual([
+        ['blockedBy', 'status'],
+        ['blockedBy', 'status'],
+        ['comments']
+      ]);
+      expect(manager.getTaskById(task.id).status).toBe(TaskStatus.TODO);
+    });
+
+    it('should publish skipped occurrences', () => {
+      const task = manager.addTask({
+        text: 'Standup',
+        dueDate: '2025-01-06',
+        isRecurring: true,
+        recurrence: { type: 'daily', interval: 1 }
+      });
+      listen('task:skipped');
+
+      manager.skipRecurrence(task.id);
+
+      expect(named('task:skipped')[0]).toMatchObject({ skippedDate: '2025-01-06', nextDueDate: '2025-01-07' });
+    });
+
+    it('should publish project archive and delete events', () => {
+      const project = manager.addProject({ name: 'Launch' });
+      const task = manager.addTask({ text: 'Ship it', projectId: project.id });
+      listen('project:updated', 'project:archived', 'project:deleted', 'task:updated');
+
+      manager.archiveProject(project.id);
+      manager.deleteProject(project.id);
+
+      expect(named('project:updated')[0].changes).toEqual(['archived']);
+      expect(named('project:archived')[0].project.id).toBe(project.id);
+      expect(named('project:deleted')[0]).toEqual({ projectId: project.id, movedTaskIds: [task.id] });
+      expect(named('task:updated')[0]).toMatchObject({ changes: ['projectId'] });
+    });
+
+    it('should keep working without an event bus', () => {
+      delete window.eventBus;
+
+      const task = manager.addTask({ text: 'Quiet' });
+
+      expect(manager.completeTask(task.id).task.completed).toBe(true);
+    });
+  });
+
+  describe('NotesDataManager', () => {
+    it('should publish created, saved and deleted events', () => {
+      const manager = new NotesDataManager();
+      listen('note:created', 'note:saved', 'note:deleted');
+
+      const note = manager.addNote({ title: 'Ideas' });
+      manager.updateNote(note.id, { title: 'Ideas', content: 'More coffee' });
+      manager.deleteNote(note.id);
+
+      expect(events.map(e => e.name)).toEqual(['note:created', 'note:saved', 'note:deleted']);
+      expect(named('note:saved')[0].changes).toEqual(['content']);
+      expect(named('note:deleted')[0]).toMatchObject({ noteId: note.id });
+      expect(manager.deleteNote(note.id)).toBe(false);
+      expect(events).toHaveLength(3);
+    });
+  });
+
+  describe('TagColorsManager', () => {
+    it('should publish color changes and removals', () => {
+      const manager = new TagColorsManager();
+      listen('tag:color-changed');
+
+      manager.setColor('work', '#3b82f6');
+      manager.removeColor('work');
+      manager.removeColor('work');
+
+      expect(named('tag:color-changed')).toEqual([
+        { tag: 'work', color: '#3b82f6' },
+        { tag: 'work', color: null }
+      ]);
+    });
+  });
+
+  describe('PomodoroTimer', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should publish a completed pomodoro when a work session ends', () => {
+      const timer = new PomodoroTimer();
+      listen('pomodoro:started', 'pomodoro:completed', 'pomodoro:session-completed');
+
+      timer.start('task_1', 'Deep work');
+      vi.advanceTimersByTime(25 * 60 * 1000);
+
+      expect(events.map(e => e.name)).toEqual(['pomodoro:started', 'pomodoro:completed', 'pomodoro:session-completed']);
+      expect(named('pomodoro:completed')[0]).toEqual({ taskId: 'task_1', taskText: 'Deep work', totalPomodoros: 1 });
+      expect(named('pomodoro:session-completed')[0]).toEqual({
+        taskId: 'task_1',
+        completedSession: SessionType.WORK,
+        nextSession: SessionType.SHORT_BREAK
+      });
+      timer.stop();
+    });
+
+    it('should not publish a completed pomodoro when a break ends', () => {
+      const timer = new PomodoroTimer();
+      timer.start('task_1', 'Deep work');
+      timer.skip();
+      listen('pomodoro:completed', 'pomodoro:session-completed');
+
+      timer.resume();
+      timer.skip();
+
+      expect(named('pomodoro:completed')).toHaveLength(0);
+      expect(named('pomodoro:session-completed')[0].completedSession).toBe(SessionType.SHORT_BREAK);
+      timer.stop();
+    });
+  });
+});
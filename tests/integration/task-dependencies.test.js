@@ -13,6 +13,25 @@ global.Logger = {
   error: vi.fn()
 };
 
+// Load DateUtils
+const loadDateUtilsModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/core/date-utils.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('date-utils\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { DateUtils };');
+  return moduleFunc();
+};
+
+Object.assign(global, loadDateUtilsModule());
+
 // Load TaskDataManager
 const loadTaskDataModule = () => {
   const fs = require('fs');
@@ -283,6 +302,83 @@ describe('Task Dependency Integration', () => {
       expect(movedB.status).toBe(TaskStatus.BLOCKED);
     });
   });
+
+  describe('Rescheduling', () => {
+    // Design (Mar 3-5) -> Build (Mar 6-10) -> Test (Mar 11), and Design -> Docs (Mar 12)
+    let design, build, test, docs;
+
+    beforeEach(() => {
+      design = manager.addTask({ text: 'Design', startDate: '2025-03-03', dueDate: '2025-03-05' });
+      build = manager.addTask({ text: 'Build', startDate: '2025-03-06', dueDate: '2025-03-10' });
+      test = manager.addTask({ text: 'Test', dueDate: '2025-03-11' });
+      docs = manager.addTask({ text: 'Docs', dueDate: '2025-03-12' });
+      manager.addDependency(build.id, design.id);
+      manager.addDependency(test.id, build.id);
+      manager.addDependency(docs.id, design.id);
+    });
+
+    const schedules = () => [design, build, test, docs].map(t => manager.getTaskById(t.id).getSchedule());
+
+    it('should push dependent tasks later down the chain, keeping their length', () => {
+      const result = manager.rescheduleTask(design.id, { startDate: '2025-03-05', dueDate: '2025-03-07' }, { shiftDependents: true });
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Task rescheduled; 2 dependent tasks moved later');
+      expect(result.shifted.map(t => t.text)).toEqual(['Build', 'Test']);
+      expect(result.conflicts).toEqual([]);
+      expect(schedules()).toEqual([
+        { start: '2025-03-05', end: '2025-03-07' },
+        { start: '2025-03-08', end: '2025-03-12' },
+        { start: '2025-03-13', end: '2025-03-13' },
+        { start: '2025-03-12', end: '2025-03-12' } // Already starts after Design
+      ]);
+    });
+
+    it('should never pull dependent tasks earlier', () => {
+      const result = manager.rescheduleTask(design.id, { startDate: '2025-03-01', dueDate: '2025-03-02' }, { shiftDependents: true });
+
+      expect(result.shifted).toEqual([]);
+      expect(schedules()[1]).toEqual({ start: '2025-03-06', end: '2025-03-10' });
+    });
+
+    it('should report conflicts instead of shifting when asked not to', () => {
+      const result = manager.rescheduleTask(build.id, { startDate: '2025-03-06', dueDate: '2025-03-13' });
+
+      expect(result.shifted).toEqual([]);
+      expect(result.conflicts.map(c => [c.blocker.text, c.task.text])).toEqual([['Build', 'Test']]);
+      expect(manager.getTaskById(test.id).dueDate).toBe('2025-03-11');
+    });
+
+    it('should report a task moved before its own blocker finishes', () => {
+      const result = manager.rescheduleTask(docs.id, { startDate: null, dueDate: '2025-03-04' }, { shiftDependents: true });
+
+      expect(result.conflicts.map(c => [c.blocker.text, c.task.text])).toEqual([['Design', 'Docs']]);
+    });
+
+    it('should check subtask blockers against their parent task and skip completed ones', () => {
+      const parent = manager.addTask({ text: 'Parent', dueDate: '2025-03-20', subtasks: [{ text: 'Step' }] });
+      const child = manager.addTask({ text: 'Child', dueDate: '2025-03-15' });
+      manager.addDependency(child.id, `${parent.id}:${parent.subtasks[0].id}`);
+
+      expect(manager.getScheduleConflicts([manager.getTaskById(child.id)]).map(c => c.blocker.text)).toEqual(['Parent']);
+
+      manager.completeTask(parent.id);
+      expect(manager.getScheduleConflicts([manager.getTaskById(child.id)])).toEqual([]);
+    });
+
+    it('should undo a reschedule and everything it shifted in one step', () => {
+      manager.rescheduleTask(design.id, { startDate: '2025-03-05', dueDate: '2025-03-07' }, { shiftDependents: true });
+
+      manager.undo();
+
+      expect(schedules()).toEqual([
+        { start: '2025-03-03', end: '2025-03-05' },
+        { start: '2025-03-06', end: '2025-03-10' },
+        { start: '2025-03-11', end: '2025-03-11' },
+        { start: '2025-03-12', end: '2025-03-12' }
+      ]);
+    });
+  });
 });
 
 describe('Task Workflow Integration', () => {
@@ -0,0 +1,408 @@
+/**
+ * Integration Tests for Recurring Tasks
+ * Tests completion spawning the next occurrence, skipping and completing a series
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+// Load DateUtils
+const loadDateUtilsModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/core/date-utils.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('date-utils\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { DateUtils };');
+  return moduleFunc();
+};
+
+Object.assign(global, loadDateUtilsModule());
+
+// Load RecurrenceRule (a global dependency of TaskDataManager)
+const loadRecurrenceModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/features/tasks/recurrence.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('recurrence\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { RecurrenceRule, RecurrenceRepeatFrom };');
+  return moduleFunc();
+};
+
+Object.assign(global, loadRecurrenceModule());
+
+// Load TaskDataManager
+const loadTaskDataModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/features/tasks/task-data.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('task-data\.js loaded'\);/, '');
+
+  const moduleFunc = new Function('module', 'exports', cleanContent + '\nreturn { TaskDataManager, Task, Subtask, Project, TaskStatus, TaskPriority, DEFAULT_PROJECTS };');
+  return moduleFunc({}, {});
+};
+
+const { TaskDataManager, TaskStatus } = loadTaskDataModule();
+
+describe('Recurring Task Integration', () => {
+  let manager;
+
+  const addRecurring = (overrides = {}) => manager.addTask({
+    text: 'Water plants',
+    dueDate: '2025-01-10',
+    isRecurring: true,
+    recurrence: { type: 'daily', interval: 1, endDate: null },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+  });
+
+  describe('Next Occurrence Dates', () => {
+    it('should advance daily, weekly, monthly and yearly rules by their interval', () => {
+      const cases = [
+        [{ type: 'daily', interval: 3 }, '2025-01-13'],
+        [{ type: 'weekly', interval: 2 }, '2025-01-24'],
+        [{ type: 'monthly', interval: 1 }, '2025-02-10'],
+        [{ type: 'yearly', interval: 1 }, '2026-01-10']
+      ];
+
+      cases.forEach(([recurrence, expected]) => {
+        const task = addRecurring({ recurrence: { ...recurrence, endDate: null } });
+        expect(manager.getNextRecurrenceDate(task)).toBe(expected);
+      });
+    });
+
+    it('should clamp monthly recurrence to the end of shorter months', () => {
+      const task = addRecurring({
+        dueDate: '2025-01-31',
+        recurrence: { type: 'monthly', interval: 1, endDate: null }
+      });
+
+      expect(manager.getNextRecurrenceDate(task)).toBe('2025-02-28');
+    });
+
+    it('should use the calendar date of full ISO due dates', () => {
+      const task = addRecurring({ dueDate: '2025-01-10T00:00:00.000Z' });
+
+      expect(manager.getNextRecurrenceDate(task)).toBe('2025-01-11');
+    });
+
+    it('should return null once the end date has passed', () => {
+      const task = addRecurring({
+        recurrence: { type: 'daily', interval: 1, endDate: '2025-01-10' }
+      });
+
+      expect(manager.getNextRecurrenceDate(task)).toBeNull();
+    });
+  });
+
+  describe('Completing Recurring Tasks', () => {
+    it('should spawn the next occurrence linked to the series', () => {
+      const task = addRecurring();
+
+      const result = manager.completeTask(task.id);
+
+      expect(result.task.completed).toBe(true);
+      expect(result.task.status).toBe(TaskStatus.DONE);
+      expect(result.nextTask).not.toBeNull();
+      expect(result.nextTask.dueDate).toBe('2025-01-11');
+      expect(result.nextTask.completed).toBe(false);
+      expect(result.nextTask.status).toBe(TaskStatus.TODO);
+      expect(result.nextTask.isRecurring).toBe(true);
+      expect(result.nextTask.recurringParentId).toBe(task.id);
+    });
+
+    it('should keep the due time and duration on the next occurrence', () => {
+      const task = addRecurring({ dueTime: '09:30', duration: 30 });
+
+      const { nextTask } = manager.completeTask(task.id);
+
+      expect(nextTask.dueDate).toBe('2025-01-11');
+      expect(nextTask.dueTime).toBe('09:30');
+      expect(nextTask.duration).toBe(30);
+    });
+
+    it('should move the start date forward with the due date', () => {
+      const task = addRecurring({
+        startDate: '2025-01-10',
+        dueDate: '2025-01-15',
+        recurrence: { type: 'monthly', interval: 1, endDate: null }
+      });
+
+      const { nextTask } = manager.completeTask(task.id);
+
+      expect(nextTask.startDate).toBe('2025-02-10');
+      expect(nextTask.dueDate).toBe('2025-02-15');
+
+      const undated = addRecurring({ startDate: '2025-01-10', dueDate: null });
+      expect(manager.completeTask(undated.id).nextTask.startDate).toBeNull();
+    });
+
+    it('should keep every instance pointing at the series root', () => {
+      const task = addRecurring();
+
+      const second = manager.completeTask(task.id).nextTask;
+      const third = manager.completeTask(second.id).nextTask;
+
+      expect(third.recurringParentId).toBe(task.id);
+      expect(manager.getRecurringSeriesTasks(task.id)).toHaveLength(3);
+    });
+
+    it('should reset subtasks, comments, pomodoros and snoozes on the next occurrence', () => {
+      const task = addRecurring({
+        subtasks: [{ text: 'Kitchen', completed: true }],
+        pomodorosCompleted: 2,
+        deferUntil: '2099-01-01T09:00:00.000Z'
+      });
+      manager.addComment(task.id, 'Done early');
+
+      const { nextTask } = manager.completeTask(task.id);
+
+      expect(nextTask.subtasks).toHaveLength(1);
+      expect(nextTask.subtasks[0].completed).toBe(false);
+      expect(nextTask.subtasks[0].id).not.toBe(task.subtasks[0].id);
+      expect(nextTask.comments).toHaveLength(0);
+      expect(nextTask.pomodorosCompleted).toBe(0);
+      expect(nextTask.deferUntil).toBeNull();
+    });
+
+    it('should not spawn a duplicate when a completed occurrence is reopened and completed again', () => {
+      const task = addRecurring();
+
+      const first = manager.completeTask(task.id).nextTask;
+      manager.reopenTask(task.id);
+      const second = manager.completeTask(task.id).nextTask;
+
+      expect(second.id).toBe(first.id);
+      expect(manager.getRecurringSeriesTasks(task.id)).toHaveLength(2);
+    });
+
+    it('should not spawn past the end date', () => {
+      const task = addRecurring({
+        recurrence: { type: 'daily', interval: 1, endDate: '2025-01-10' }
+      });
+
+      const result = manager.completeTask(task.id);
+
+      expect(result.task.completed).toBe(true);
+      expect(result.nextTask).toBeNull();
+    });
+
+    it('should not spawn anything for non-recurring tasks', () => {
+      const task = manager.addTask({ text: 'One-off', dueDate: '2025-01-10' });
+      const countBefore = manager.tasks.length;
+
+      const result = manager.completeTask(task.id);
+
+      expect(result.nextTask).toBeNull();
+      expect(manager.tasks).toHaveLength(countBefore);
+    });
+
+    it('should unblock dependents and reblock them when reopened', () => {
+      const blocker = addRecurring();
+      const dependent = manager.addTask({ text: 'Dependent' });
+      manager.addDependency(dependent.id, blocker.id);
+
+      const completed = manager.completeTask(blocker.id);
+      expect(completed.unblockedTasks.map(t => t.id)).toEqual([dependent.id]);
+
+      const reopened = manager.reopenTask(blocker.id);
+      expect(reopened.task.completed).toBe(false);
+      expect(reopened.task.status).toBe(TaskStatus.TODO);
+      expect(reopened.reBlockedTasks.map(t => t.id)).toEqual([dependent.id]);
+    });
+
+    it('should reopen with the requested status', () => {
+      const task = addRecurring();
+      manager.completeTask(task.id);
+
+      const result = manager.reopenTask(task.id, TaskStatus.IN_PROGRESS);
+
+      expect(result.task.status).toBe(TaskStatus.IN_PROGRESS);
+      expect(result.task.completedAt).toBeNull();
+    });
+  });
+
+  describe('Advanced Rules', () => {
+    it('should stop spawning after COUNT occurrences', () => {
+      const task = addRecurring({
+        recurrence: { type: 'daily', interval: 1, endDate: null, count: 3 }
+      });
+
+      const second = manager.completeTask(task.id).nextTask;
+      const third = manager.completeTask(second.id).nextTask;
+      const fourth = manager.completeTask(third.id).nextTask;
+
+      expect(second.recurrence.occurrence).toBe(2);
+      expect(third.recurrence.occurrence).toBe(3);
+      expect(fourth).toBeNull();
+    });
+
+    it('should count skipped occurrences towards COUNT', () => {
+      const task = addRecurring({
+        recurrence: { type: 'daily', interval: 1, endDate: null, count: 2 }
+      });
+
+      manager.skipRecurrence(task.id);
+      const result = manager.completeTask(task.id);
+
+      expect(manager.getTaskById(task.id).recurrence.occurrence).toBe(2);
+      expect(result.nextTask).toBeNull();
+    });
+
+    it('should repeat from the completion date when configured', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2025, 0, 20, 15, 30));
+
+      const task = addRecurring({
+        recurrence: { type: 'weekly', interval: 1, endDate: null, repeatFrom: 'completion' }
+      });
+      const { nextTask } = manager.completeTask(task.id);
+
+      vi.useRealTimers();
+      expect(nextTask.dueDate).toBe('2025-01-27');
+    });
+
+    it('should follow BYDAY rules for weekly series', () => {
+      const task = addRecurring({
+        dueDate: '2025-01-10', // Friday
+        recurrence: { type: 'weekly', interval: 1, endDate: null, byDay: ['MO', 'WE', 'FR'] }
+      });
+
+      const { nextTask } = manager.completeTask(task.id);
+
+      expect(nextTask.dueDate).toBe('2025-01-13');
+    });
+  });
+
+  describe('Skipping Occurrences', () => {
+    it('should move the task to its next date and log the skip', () => {
+      const task = addRecurring({ subtasks: [{ text: 'Step', completed: true }] });
+
+      const result = manager.skipRecurrence(task.id);
+
+      expect(result.success).toBe(true);
+      const skipped = manager.getTaskById(task.id);
+      expect(skipped.dueDate).toBe('2025-01-11');
+      expect(skipped.completed).toBe(false);
+      expect(skipped.subtasks[0].completed).toBe(false);
+      expect(skipped.comments[0].type).toBe('system');
+      expect(skipped.comments[0].text).toContain('2025-01-10');
+    });
+
+    it('should refuse to skip the last occurrence of a series', () => {
+      const task = addRecurring({
+        recurrence: { type: 'daily', interval: 1, endDate: '2025-01-10' }
+      });
+
+      const result = manager.skipRecurrence(task.id);
+
+      expect(result.success).toBe(false);
+      expect(manager.getTaskById(task.id).dueDate).toBe('2025-01-10');
+    });
+
+    it('should refuse to skip non-recurring tasks', () => {
+      const task = manager.addTask({ text: 'One-off' });
+
+      expect(manager.skipRecurrence(task.id).success).toBe(false);
+    });
+  });
+
+  describe('Calendar Projections', () => {
+    const datesOf = projections => projections.map(({ task, date }) => `${task.text} ${date}`);
+
+    it('should project upcoming occurrences of open recurring tasks into a range', () => {
+      addRecurring({ recurrence: { type: 'weekly', interval: 1, endDate: null } });
+      manager.addTask({ text: 'One-off', dueDate: '2025-01-12' });
+
+      expect(datesOf(manager.getRecurrenceProjections('2025-01-15', '2025-02-07'))).toEqual([
+        'Water plants 2025-01-17',
+        'Water plants 2025-01-24',
+        'Water plants 2025-01-31',
+        'Water plants 2025-02-07'
+      ]);
+    });
+
+    it('should stop at the end date or count of the series', () => {
+      addRecurring({ text: 'Until', recurrence: { type: 'daily', interval: 1, endDate: '2025-01-12' } });
+      addRecurring({ text: 'Count', recurrence: { type: 'daily', interval: 1, count: 3, occurrence: 2 } });
+
+      expect(datesOf(manager.getRecurrenceProjections('2025-01-01', '2025-01-31'))).toEqual([
+        'Count 2025-01-11',
+        'Until 2025-01-11',
+        'Until 2025-01-12'
+      ]);
+    });
+
+    it('should skip dates that already have an instance in the series', () => {
+      const task = addRecurring();
+      manager.completeTask(task.id);
+
+      expect(datesOf(manager.getRecurrenceProjections('2025-01-10', '2025-01-13'))).toEqual([
+        'Water plants 2025-01-12',
+        'Water plants 2025-01-13'
+      ]);
+    });
+
+    it('should not project completed tasks or rules that repeat from completion', () => {
+      addRecurring({ recurrence: { type: 'daily', interval: 1, repeatFrom: 'completion' } });
+      addRecurring({ text: 'Done', completed: true });
+
+      expect(manager.getRecurrenceProjections('2025-01-01', '2025-01-31')).toEqual([]);
+    });
+  });
+
+  describe('Completing a Series', () => {
+    it('should complete the instance without spawning another', () => {
+      const task = addRecurring();
+      const countBefore = manager.tasks.length;
+
+      const result = manager.completeSeries(task.id);
+
+      expect(result.task.completed).toBe(true);
+      expect(result.task.isRecurring).toBe(false);
+      expect(manager.tasks).toHaveLength(countBefore);
+    });
+
+    it('should stop recurrence on earlier instances of the series', () => {
+      const task = addRecurring();
+      const next = manager.completeTask(task.id).nextTask;
+
+      manager.completeSeries(next.id);
+      manager.reopenTask(task.id);
+      const result = manager.completeTask(task.id);
+
+      expect(manager.getTaskById(task.id).isRecurring).toBe(false);
+      expect(result.nextTask).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Integration Tests for the Trash
+ * Soft delete, restore and purge in the task and notes managers, and trash filtering in exports
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  // Drop module-level instances and exports; each test builds its own
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '')
+    .replace(/const storageSync = new StorageSync\(\);/, '')
+    .replace(/const storageReady = initStorage\(\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/storage-sync.js', 'StorageSync, applyRecordChanges, groupStorageConflicts'));
+Object.assign(global, loadScript('../../js/core/storage-adapter.js', 'LocalStorageAdapter, RecordChangeTracker, STORAGE_COLLECTIONS'));
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+
+const { TaskDataManager, TaskStatus, DEFAULT_PROJECTS } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager, TaskStatus, DEFAULT_PROJECTS');
+const { NotesDataManager } = loadScript('../../js/features/notes/notes.js', 'NotesDataManager');
+const { readStoredCollection, sanitizeImportedTasks } = loadScript('../../js/core/export-utils.js', 'readStoredCollection, sanitizeImportedTasks');
+const { getTrashRetentionDays, setTrashRetentionDays } = loadScript('../../js/core/trash-settings.js', 'getTrashRetentionDays, setTrashRetentionDays');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Trash', () => {
+  describe('TaskDataManager', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new TaskDataManager();
+    });
+
+    it('should move deleted tasks to the Trash and keep them in storage', () => {
+      const task = manager.addTask({ text: 'Old idea' });
+
+      manager.deleteTask(task.id);
+
+      expect(manager.getTaskById(task.id)).toBeUndefined();
+      expect(manager.getAllTasks()).toHaveLength(0);
+      expect(manager.getTrash().tasks.map(t => t.id)).toEqual([task.id]);
+      expect(JSON.parse(localStorage.getItem('tasks'))[0].deletedAt).toBeTruthy();
+    });
+
+    it('should keep trashed tasks in the Trash after reloading', () => {
+      const task = manager.addTask({ text: 'Old idea' });
+      manager.deleteTask(task.id);
+
+      const reloaded = new TaskDataManager();
+
+      expect(reloaded.tasks).toHaveLength(0);
+      expect(reloaded.deletedTasks.map(t => t.id)).toEqual([task.id]);
+    });
+
+    it('should restore a task with its subtasks in its project', () => {
+      const project = manager.addProject({ name: 'Launch' });
+      const task = manager.addTask({ text: 'Ship', projectId: project.id });
+      manager.addSubtask(task.id, 'Write notes');
+      manager.deleteTask(task.id);
+
+      const { task: restored } = manager.restoreTask(task.id);
+
+      expect(restored.deletedAt).toBeNull();
+      expect(restored.projectId).toBe(project.id);
+      expect(restored.subtasks.map(st => st.text)).toEqual(['Write notes']);
+      expect(manager.getTrash().tasks).toHaveLength(0);
+    });
+
+    it('should restore a task to the Inbox when its project is gone', () => {
+      const project = manager.addProject({ name: 'Launch' });
+      const task = manager.addTask({ text: 'Ship', projectId: project.id });
+      manager.deleteTask(task.id);
+      manager.deleteProject(project.id);
+      manager.deleteProjectPermanently(project.id);
+
+      expect(manager.restoreTask(task.id).task.projectId).toBe(DEFAULT_PROJECTS.INBOX);
+    });
+
+    it('should unblock dependents on delete and block them again on restore', () => {
+      const blocker = manager.addTask({ text: 'Blocker' });
+      manager.addSubtask(blocker.id, 'Step');
+      const subtaskId = manager.getTaskById(blocker.id).subtasks[0].id;
+      const blocked = manager.addTask({ text: 'Blocked' });
+      const other = manager.addTask({ text: 'Other' });
+      manager.addDependency(blocked.id, blocker.id);
+      manager.addDependency(other.id, `${blocker.id}:${subtaskId}`);
+
+      manager.deleteTask(blocker.id);
+
+      expect(manager.getTaskById(blocked.id).blockedBy).toEqual([]);
+      expect(manager.getTaskById(blocked.id).status).toBe(TaskStatus.TODO);
+      expect(manager.getTaskById(other.id).status).toBe(TaskStatus.TODO);
+
+      const { reBlockedTasks } = manager.restoreTask(blocker.id);
+
+      expect(reBlockedTasks.map(t => t.id).sort()).toEqual([blocked.id, other.id].sort());
+      expect(manager.getTaskById(blocked.id).blockedBy).toEqual([blocker.id]);
+      expect(manager.getTaskById(other.id).blockedBy).toEqual([`${blocker.id}:${subtaskId}`]);
+      expect(manager.getTaskById(other.id).status).toBe(TaskStatus.BLOCKED);
+    });
+
+    it('should not block dependents again when the restored task is complete', () => {
+      const blocker = manager.addTask({ text: 'Blocker' });
+      const blocked = manager.addTask({ text: 'Blocked' });
+      manager.addDependency(blocked.id, blocker.id);
+      manager.completeTask(blocker.id);
+      manager.deleteTask(blocker.id);
+
+      manager.restoreTask(blocker.id);
+
+      expect(manager.getTaskById(blocked.id).blockedBy).toEqual([blocker.id]);
+      expect(manager.getTaskById(blocked.id).status).toBe(TaskStatus.TODO);
+    });
+
+    it('should move tasks back into a restored project', () => {
+      const project = manager.addProject({ name: 'Launch' });
+      const task = manager.addTask({ text: 'Ship', projectId: project.id });
+      const moved = manager.addTask({ text: 'Plan', projectId: project.id });
+      manager.deleteProject(project.id);
+      manager.updateTask(moved.id, { projectId: DEFAULT_PROJECTS.PERSONAL });
+
+      manager.restoreProject(project.id);
+
+      expect(manager.getProjectById(project.id).deletedAt).toBeNull();
+      expect(manager.getTaskById(task.id).projectId).toBe(project.id);
+      expect(manager.getTaskById(moved.id).projectId).toBe(DEFAULT_PROJECTS.PERSONAL);
+    });
+
+    it('should undo a delete and a restore', () => {
+      const task = manager.addTask({ text: 'Task' });
+      manager.deleteTask(task.id);
+      manager.restoreTask(task.id);
+
+      manager.undo();
+      expect(manager.getTaskById(task.id)).toBeUndefined();
+      expect(manager.getTrash().tasks).toHaveLength(1);
+
+      manager.undo();
+      expect(manager.getTaskById(task.id)).toBeDefined();
+      expect(manager.getTrash().tasks).toHaveLength(0);
+    });
+
+    it('should delete forever without leaving anything to undo', () => {
+      const task = manager.addTask({ text: 'Task' });
+      manager.deleteTask(task.id);
+
+      expect(manager.deleteTaskPermanently(task.id)).toBe(true);
+      expect(manager.canUndo()).toBe(false);
+      expect(JSON.parse(localStorage.getItem('tasks'))).toEqual([]);
+      expect(manager.deleteTaskPermanently(task.id)).toBe(false);
+    });
+
+    it('should empty the Trash', () => {
+      const task = manager.addTask({ text: 'Task' });
+      const project = manager.addProject({ name: 'Project' });
+      manager.deleteTask(task.id);
+      manager.deleteProject(project.id);
+
+      expect(manager.emptyTrash()).toEqual({ taskIds: [task.id], projectIds: [project.id] });
+      expect(manager.getTrash()).toEqual({ tasks: [], projects: [] });
+    });
+
+    it('should purge only items older than the retention period', () => {
+      const now = new Date('2025-03-31T12:00:00Z');
+      const old = manager.addTask({ text: 'Old' });
+      const recent = manager.addTask({ text: 'Recent' });
+      manager.deleteTask(old.id);
+      manager.deleteTask(recent.id);
+      manager.deletedTasks.find(t => t.id === old.id).deletedAt = new Date(now - 31 * DAY).toISOString();
+      manager.deletedTasks.find(t => t.id === recent.id).deletedAt = new Date(now - 29 * DAY).toISOString();
+
+      expect(manager.purgeExpiredTrash(0, now).taskIds).toEqual([]);
+      expect(manager.purgeExpiredTrash(30, now).taskIds).toEqual([old.id]);
+      expect(manager.getTrash().tasks.map(t => t.id)).toEqual([recent.id]);
+    });
+
+    it('should publish trash events', () => {
+      const emitted = [];
+      window.eventBus = { emit: (event, data) => emitted.push({ event, data }) };
+
+      const task = manager.addTask({ text: 'Task' });
+      manager.deleteTask(task.id);
+      manager.restoreTask(task.id);
+      manager.deleteTask(task.id);
+      manager.emptyTrash();
+
+      delete window.eventBus;
+      expect(emitted.map(e => e.event)).toEqual([
+        'task:created', 'task:deleted', 'task:restored', 'task:deleted', 'trash:purged'
+      ]);
+      expect(emitted[4].data).toEqual({ taskIds: [task.id], projectIds: [], noteIds: [] });
+    });
+  });
+
+  describe('NotesDataManager', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new NotesDataManager();
+    });
+
+    it('should leave trashed notes out of search and tags', () => {
+      const note = manager.addNote({ title: 'Meeting', tags: ['work'] });
+      manager.deleteNote(note.id);
+
+      expect(manager.searchNotes('meeting')).toHaveLength(0);
+      expect(manager.getAllTags()).toEqual([]);
+      expect(manager.getTrash().map(n => n.id)).toEqual([note.id]);
+    });
+
+    it('should restore, delete forever and purge notes', () => {
+      const kept = manager.addNote({ title: 'Keep' });
+      const removed = manager.addNote({ title: 'Remove' });
+      manager.deleteNote(kept.id);
+      manager.deleteNote(removed.id);
+
+      expect(manager.restoreNote(kept.id).deletedAt).toBeNull();
+      expect(manager.deleteNotePermanently(removed.id)).toBe(true);
+      expect(new NotesDataManager().notes.map(n => n.id)).toEqual([kept.id]);
+
+      manager.deleteNote(kept.id);
+      expect(manager.purgeExpiredTrash(30, new Date(Date.now() + 31 * DAY))).toEqual([kept.id]);
+      expect(manager.getTrash()).toEqual([]);
+    });
+  });
+
+  describe('Exports', () => {
+    afterEach(() => {
+      delete window.storageReady;
+    });
+
+    it('should leave trashed records out of exports unless requested', async () => {
+      const storage = new LocalStorageAdapter();
+      window.storageReady = Promise.resolve(storage);
+      const manager = new TaskDataManager({ storage });
+      await manager.ready;
+      const kept = manager.addTask({ text: 'Keep' });
+      const trashed = manager.addTask({ text: 'Trash' });
+      manager.deleteTask(trashed.id);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect((await readStoredCollection('tasks')).map(t => t.id)).toEqual([kept.id]);
+      expect((await readStoredCollection('tasks', { includeTrash: true })).map(t => t.id).sort())
+        .toEqual([kept.id, trashed.id].sort());
+    });
+
+    it('should keep Trash fields when importing a backup', () => {
+      const [task] = sanitizeImportedTasks([{
+        id: 'task_1',
+        text: 'Trashed',
+        deletedAt: '2025-01-01T00:00:00.000Z',
+        deletedDependents: [{ taskId: 'task_2', blockerId: 'task_1:subtask_1' }, { taskId: '<bad>', blockerId: 'x' }]
+      }]);
+
+      expect(task.deletedAt).toBe('2025-01-01T00:00:00.000Z');
+      expect(task.deletedDependents).toEqual([{ taskId: 'task_2', blockerId: 'task_1:subtask_1' }]);
+    });
+  });
+
+  describe('Retention setting', () => {
+    it('should default to 30 days and only accept offered values', () => {
+      expect(getTrashRetentionDays()).toBe(30);
+
+      expect(setTrashRetentionDays(7)).toBe(true);
+      expect(getTrashRetentionDays()).toBe(7);
+
+      expect(setTrashRetentionDays(3)).toBe(false);
+      expect(getTrashRetentionDays()).toBe(7);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for BoardSwimlanes
+ * Tests lane grouping and the task changes made by dragging between lanes
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+const { Task, Project } = loadScript('../../js/features/tasks/task-data.js', 'Task, Project');
+const { BoardSwimlanes } = loadScript('../../js/features/tasks/board-swimlanes.js', 'BoardSwimlanes');
+
+// Wednesday afternoon
+const now = new Date(2025, 2, 12, 15, 0);
+const projects = [
+  new Project({ id: 'inbox', name: 'Inbox', position: 0 }),
+  new Project({ id: 'proj_work', name: 'Work', position: 2 }),
+  new Project({ id: 'proj_home', name: 'Home', position: 1 })
+];
+const context = { projects, now };
+
+const lanesOf = (tasks, groupBy) => BoardSwimlanes.getLanes(tasks, groupBy, context)
+  .map(lane => [lane.key, lane.tasks.map(t => t.text)]);
+
+describe('BoardSwimlanes', () => {
+  describe('getLanes', () => {
+    it('should group by project in sidebar order, leaving out projects without tasks', () => {
+      const tasks = [
+        new Task({ text: 'Report', projectId: 'proj_work' }),
+        new Task({ text: 'Laundry', projectId: 'proj_home' }),
+        new Task({ text: 'Lost', projectId: 'proj_gone' })
+      ];
+
+      expect(lanesOf(tasks, 'project')).toEqual([
+        ['proj_home', ['Laundry']],
+        ['proj_work', ['Report']],
+        ['proj_gone', ['Lost']]
+      ]);
+    });
+
+    it('should always show every priority lane', () => {
+      const tasks = [new Task({ text: 'Urgent', priority: 'high' })];
+
+      expect(lanesOf(tasks, 'priority')).toEqual([
+        ['high', ['Urgent']],
+        ['medium', []],
+        ['low', []]
+      ]);
+    });
+
+    it('should show a task in the lane of each of its tags', () => {
+      const tasks = [
+        new Task({ text: 'Both', tags: ['work', 'errands'] }),
+        new Task({ text: 'Untagged' })
+      ];
+
+      expect(lanesOf(tasks, 'tag')).toEqual([
+        ['tag:errands', ['Both']],
+        ['tag:work', ['Both']],
+        ['none', ['Untagged']]
+      ]);
+    });
+
+    it('should bucket tasks by due date', () => {
+      const tasks = [
+        new Task({ text: 'Yesterday', dueDate: '2025-03-11' }),
+        new Task({ text: 'Earlier today', dueDate: '2025-03-12', dueTime: '09:00' }),
+        new Task({ text: 'Tonight', dueDate: '2025-03-12', dueTime: '20:00' }),
+        new Task({ text: 'Tomorrow', dueDate: '2025-03-13' }),
+        new Task({ text: 'In a week', dueDate: '2025-03-19' }),
+        new Task({ text: 'In 8 days', dueDate: '2025-03-20' }),
+        new Task({ text: 'Someday' })
+      ];
+
+      expect(lanesOf(tasks, 'due')).toEqual([
+        ['overdue', ['Yesterday', 'Earlier today']],
+        ['today', ['Tonight']],
+        ['tomorrow', ['Tomorrow']],
+        ['next-7-days', ['In a week']],
+        ['later', ['In 8 days']],
+        ['none', ['Someday']]
+      ]);
+    });
+
+    it('should put every task in one lane without a grouping', () => {
+      const tasks = [new Task({ text: 'A' }), new Task({ text: 'B' })];
+
+      expect(lanesOf(tasks, 'none')).toEqual([['all', ['A', 'B']]]);
+    });
+  });
+
+  describe('getLaneUpdates', () => {
+    const task = new Task({ text: 'Task', tags: ['work', 'errands'], dueDate: '2025-03-11', dueTime: '09:00' });
+    const updates = (groupBy, from, to) => BoardSwimlanes.getLaneUpdates(task, groupBy, from, to, now);
+
+    it('should move the task to the project or priority of the lane', () => {
+      expect(updates('project', 'inbox', 'proj_work')).toEqual({ projectId: 'proj_work' });
+      expect(updates('priority', 'medium', 'high')).toEqual({ priority: 'high' });
+    });
+
+    it('should swap the tag of the lane the card left for the new lane', () => {
+      expect(updates('tag', 'tag:work', 'tag:home')).toEqual({ tags: ['errands', 'home'] });
+      expect(updates('tag', 'tag:work', 'tag:errands')).toEqual({ tags: ['errands'] });
+      expect(updates('tag', 'tag:work', 'none')).toEqual({ tags: ['errands'] });
+      expect(BoardSwimlanes.getLaneUpdates(new Task({ text: 'Untagged' }), 'tag', 'none', 'tag:home'))
+        .toEqual({ tags: ['home'] });
+    });
+
+    it('should move the due date to the first day of the lane', () => {
+      expect(updates('due', 'overdue', 'today')).toEqual({ dueDate: '2025-03-12' });
+      expect(updates('due', 'overdue', 'tomorrow')).toEqual({ dueDate: '2025-03-13' });
+      expect(updates('due', 'overdue', 'next-7-days')).toEqual({ dueDate: '2025-03-14' });
+      expect(updates('due', 'overdue', 'later')).toEqual({ dueDate: '2025-03-20' });
+      expect(updates('due', 'overdue', 'none')).toEqual({ dueDate: null, dueTime: null });
+    });
+
+    it('should refuse lanes that cannot be dropped into', () => {
+      expect(updates('due', 'today', 'overdue')).toBeNull();
+      expect(updates('priority', 'high', 'urgent')).toBeNull();
+      expect(updates('none', 'all', 'all')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for BulkSelection
+ * Tests selecting tasks by click, Shift+click and the keyboard
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+const { BulkSelection } = loadScript('../../js/features/tasks/bulk-selection.js', 'BulkSelection');
+
+const ids = ['a', 'b', 'c', 'd', 'e'];
+
+describe('BulkSelection', () => {
+  let selection;
+
+  beforeEach(() => {
+    selection = new BulkSelection();
+  });
+
+  const selected = () => ids.filter(id => selection.has(id));
+
+  describe('click', () => {
+    it('should toggle a task and select a range from the last one clicked', () => {
+      selection.click(ids, 'b', false);
+      selection.click(ids, 'd', true);
+      expect(selected()).toEqual(['b', 'c', 'd']);
+
+      selection.click(ids, 'c', false);
+      expect(selected()).toEqual(['b', 'd']);
+      expect(selection.anchorId).toBe('c');
+    });
+
+    it('should toggle the task when there is no anchor in view', () => {
+      selection.click(ids, 'c', true);
+
+      expect(selected()).toEqual(['c']);
+    });
+  });
+
+  describe('handleKey', () => {
+    it('should move the focus with the arrow keys without selecting, stopping at the ends', () => {
+      expect(selection.handleKey(ids, 'b', 'ArrowDown', false)).toBe('c');
+      expect(selection.handleKey(ids, 'b', 'ArrowUp', false)).toBe('a');
+      expect(selection.handleKey(ids, 'a', 'ArrowUp', false)).toBe('a');
+      expect(selection.handleKey(ids, 'e', 'ArrowDown', false)).toBe('e');
+      expect(selection.size).toBe(0);
+    });
+
+    it('should select the focused task with Space and make it the anchor', () => {
+      expect(selection.handleKey(ids, 'c', ' ', false)).toBe('c');
+      expect(selected()).toEqual(['c']);
+      expect(selection.anchorId).toBe('c');
+
+      selection.handleKey(ids, 'c', ' ', false);
+      expect(selection.size).toBe(0);
+    });
+
+    it('should ignore other keys and tasks that are not shown', () => {
+      expect(selection.handleKey(ids, 'c', 'Enter', false)).toBeNull();
+      expect(selection.handleKey(ids, 'z', 'ArrowDown', false)).toBeNull();
+    });
+
+    it('should extend the range from the Shift+click anchor and shrink it when going back', () => {
+      selection.click(ids, 'b', false);
+
+      expect(selection.handleKey(ids, 'b', 'ArrowDown', true)).toBe('c');
+      expect(selection.handleKey(ids, 'c', 'ArrowDown', true)).toBe('d');
+      expect(selected()).toEqual(['b', 'c', 'd']);
+
+      selection.handleKey(ids, 'd', 'ArrowUp', true);
+      selection.handleKey(ids, 'c', 'ArrowUp', true);
+      selection.handleKey(ids, 'b', 'ArrowUp', true);
+      expect(selected()).toEqual(['a', 'b']);
+      expect(selection.anchorId).toBe('b');
+    });
+
+    it('should keep tasks selected before the range', () => {
+      selection.click(ids, 'e', false);
+      selection.click(ids, 'a', false);
+
+      selection.handleKey(ids, 'a', 'ArrowDown', true);
+      selection.handleKey(ids, 'b', 'ArrowUp', true);
+
+      expect(selected()).toEqual(['a', 'e']);
+    });
+
+    it('should start the range at the focused task when there is no anchor', () => {
+      selection.handleKey(ids, 'c', 'ArrowUp', true);
+
+      expect(selected()).toEqual(['b', 'c']);
+      expect(selection.anchorId).toBe('c');
+    });
+
+    it('should let Shift+click continue from the anchor Shift+Arrow used', () => {
+      selection.click(ids, 'b', false);
+      selection.handleKey(ids, 'b', 'ArrowDown', true);
+      selection.click(ids, 'e', true);
+
+      expect(selected()).toEqual(['b', 'c', 'd', 'e']);
+    });
+  });
+
+  describe('sync', () => {
+    it('should clear the selection in another view and drop tasks no longer shown', () => {
+      selection.sync('inbox|list', ids);
+      selection.selectAll(ids);
+
+      selection.sync('inbox|list', ['a', 'b']);
+      expect(selected()).toEqual(['a', 'b']);
+
+      selection.sync('today|list', ids);
+      expect(selection.size).toBe(0);
+      expect(selection.anchorId).toBeNull();
+    });
+  });
+});
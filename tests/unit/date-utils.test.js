@@ -0,0 +1,214 @@
+/**
+ * Unit Tests for DateUtils
+ * Pins local-date behavior of the task system under several timezones
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+const { TaskDataManager } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager');
+const { AnalyticsManager } = loadScript('../../js/features/tasks/analytics.js', 'AnalyticsManager');
+
+// UTC-11 to UTC+14, with and without DST
+const TIMEZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'Pacific/Auckland',
+  'Asia/Kolkata',
+  'Pacific/Kiritimati',
+  'Pacific/Pago_Pago'
+];
+
+// Local day of 2025-03-10T23:30:00.000Z in each timezone
+const LOCAL_DAY_OF_INSTANT = {
+  'UTC': '2025-03-10',
+  'America/Los_Angeles': '2025-03-10',
+  'Pacific/Auckland': '2025-03-11',
+  'Asia/Kolkata': '2025-03-11',
+  'Pacific/Kiritimati': '2025-03-11',
+  'Pacific/Pago_Pago': '2025-03-10'
+};
+
+const originalTimezone = process.env.TZ;
+
+describe.each(TIMEZONES)('DateUtils in %s', (timezone) => {
+  beforeAll(() => {
+    process.env.TZ = timezone;
+  });
+
+  afterAll(() => {
+    process.env.TZ = originalTimezone;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    localStorage.clear();
+  });
+
+  describe('Parsing and formatting', () => {
+    it('should read stored due dates as the calendar date they name', () => {
+      for (const value of ['2025-03-10', '2025-03-10T00:00:00.000Z', '2025-03-10T23:59:59.999Z']) {
+        const date = DateUtils.parseDate(value);
+
+        expect(DateUtils.toDateKey(value)).toBe('2025-03-10');
+        expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2025, 2, 10, 0]);
+      }
+    });
+
+    it('should reject values that are not dates', () => {
+      expect(DateUtils.parseDate(null)).toBeNull();
+      expect(DateUtils.parseDate('soon')).toBeNull();
+      expect(DateUtils.toDateKey(undefined)).toBeNull();
+      expect(DateUtils.parseDateTime('2025-03-10', '25:00')).toBeNull();
+    });
+
+    it('should combine a date and a local time', () => {
+      const due = DateUtils.parseDateTime('2025-03-10T00:00:00.000Z', '09:30');
+
+      expect(DateUtils.formatDate(due)).toBe('2025-03-10');
+      expect([due.getHours(), due.getMinutes()]).toEqual([9, 30]);
+    });
+
+    it('should format the local day, not the UTC day', () => {
+      expect(DateUtils.formatDate(new Date(2025, 0, 1, 0, 30))).toBe('2025-01-01');
+      expect(DateUtils.formatDate(new Date(2025, 11, 31, 23, 30))).toBe('2025-12-31');
+    });
+
+    it('should map timestamps to the local day they happened', () => {
+      expect(DateUtils.toLocalDateKey('2025-03-10T23:30:00.000Z')).toBe(LOCAL_DAY_OF_INSTANT[timezone]);
+      expect(DateUtils.toLocalDateKey(null)).toBeNull();
+      expect(DateUtils.toLocalDateKey('not a date')).toBeNull();
+    });
+  });
+
+  describe('Day arithmetic', () => {
+    it('should land on local midnight across DST changes', () => {
+      // US and NZ clocks change on these weekends
+      for (const start of [new Date(2025, 2, 8), new Date(2025, 3, 5), new Date(2025, 10, 1)]) {
+        const later = DateUtils.addDays(start, 2);
+
+        expect(later.getHours()).toBe(0);
+        expect(later.getDate()).toBe(start.getDate() + 2);
+        expect(DateUtils.differenceInDays(later, start)).toBe(2);
+      }
+    });
+
+    it('should clamp months to their last day', () => {
+      expect(DateUtils.formatDate(DateUtils.addMonths(new Date(2024, 0, 31), 1))).toBe('2024-02-29');
+      expect(DateUtils.formatDate(DateUtils.addMonths(new Date(2025, 2, 31), -1))).toBe('2025-02-28');
+    });
+
+    it('should compare days ignoring the time', () => {
+      expect(DateUtils.isSameDay(new Date(2025, 2, 10, 0, 0), new Date(2025, 2, 10, 23, 59))).toBe(true);
+      expect(DateUtils.isSameDay(new Date(2025, 2, 10, 23, 59), new Date(2025, 2, 11, 0, 0))).toBe(false);
+      expect(DateUtils.differenceInDays(new Date(2025, 2, 11, 0, 5), new Date(2025, 2, 10, 23, 55))).toBe(1);
+    });
+  });
+
+  describe('Weeks', () => {
+    // Wednesday
+    const wednesday = () => new Date(2025, 2, 12, 15, 0);
+
+    it('should start weeks on Sunday by default', () => {
+      expect(DateUtils.getWeekStart()).toBe(0);
+      expect(DateUtils.formatDate(DateUtils.startOfWeek(wednesday()))).toBe('2025-03-09');
+      expect(DateUtils.formatDate(DateUtils.endOfWeek(wednesday()))).toBe('2025-03-15');
+      expect(DateUtils.getWeekdayOrder()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should follow the configured week start', () => {
+      expect(DateUtils.setWeekStart(1)).toBe(true);
+
+      expect(DateUtils.formatDate(DateUtils.startOfWeek(wednesday()))).toBe('2025-03-10');
+      expect(DateUtils.formatDate(DateUtils.startOfWeek(new Date(2025, 2, 16)))).toBe('2025-03-10');
+      expect(DateUtils.endOfWeek(wednesday()).getHours()).toBe(23);
+      expect(DateUtils.getWeekdayOrder()).toEqual([1, 2, 3, 4, 5, 6, 0]);
+    });
+
+    it('should ignore invalid week starts', () => {
+      expect(DateUtils.setWeekStart(7)).toBe(false);
+      localStorage.setItem('weekStartDay', 'monday');
+
+      expect(DateUtils.getWeekStart()).toBe(0);
+    });
+  });
+
+  describe('Task views', () => {
+    it('should put tasks in My Day and Upcoming by their calendar date', () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2025, 2, 10, 21, 0));
+
+      const manager = new TaskDataManager();
+      const overdue = manager.addTask({ text: 'Overdue', dueDate: '2025-03-09T00:00:00.000Z' });
+      const today = manager.addTask({ text: 'Today', dueDate: '2025-03-10T00:00:00.000Z' });
+      const tomorrow = manager.addTask({ text: 'Tomorrow', dueDate: '2025-03-11' });
+      const nextWeek = manager.addTask({ text: 'Next week', dueDate: '2025-03-17T00:00:00.000Z' });
+      const later = manager.addTask({ text: 'Later', dueDate: '2025-03-18' });
+
+      expect(manager.getMyDayTasks().map(t => t.id).sort()).toEqual([overdue.id, today.id].sort());
+      expect(manager.getUpcomingTasks().map(t => t.id).sort()).toEqual([today.id, tomorrow.id, nextWeek.id].sort());
+      expect(manager.getUpcomingTasks()).not.toContainEqual(later);
+    });
+
+    it('should schedule the next occurrence on the following calendar day', () => {
+      const manager = new TaskDataManager();
+      const task = manager.addTask({
+        text: 'Daily',
+        dueDate: '2025-03-08T00:00:00.000Z',
+        isRecurring: true,
+        recurrence: { type: 'daily', interval: 1 }
+      });
+
+      expect(manager.getNextRecurrenceDate(task)).toBe('2025-03-09');
+      expect(RecurrenceRule.getNextDate({ type: 'weekly', interval: 1 }, DateUtils.parseDate('2025-03-05'))).toBe('2025-03-12');
+    });
+  });
+
+  describe('Analytics', () => {
+    it('should count completions on the local day they happened', () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2025, 2, 10, 23, 30));
+
+      const manager = new TaskDataManager();
+      const complete = (text, date) => {
+        const task = manager.addTask({ text });
+        task.completed = true;
+        task.completedAt = date.toISOString();
+      };
+      complete('Late last night', new Date(2025, 2, 9, 23, 45));
+      complete('Early this morning', new Date(2025, 2, 10, 0, 15));
+      complete('Just now', new Date(2025, 2, 10, 23, 15));
+
+      const analytics = new AnalyticsManager(manager);
+
+      expect(analytics.getCurrentStreak()).toBe(2);
+      expect(analytics.getCompletionTrend(3)).toEqual([
+        { date: '2025-03-08', count: 0 },
+        { date: '2025-03-09', count: 1 },
+        { date: '2025-03-10', count: 2 }
+      ]);
+    });
+  });
+});
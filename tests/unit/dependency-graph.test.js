@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for DependencyGraph
+ * Tests the levels, edges and subtask nodes of the graph and the blocker candidates
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+const { TaskDataManager } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager');
+const { DependencyGraph } = loadScript('../../js/features/tasks/dependency-graph.js', 'DependencyGraph');
+
+describe('DependencyGraph', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+  });
+
+  const columnsOf = graph => graph.columns.map(column => [column.level, column.nodes.map(node => node.task.text)]);
+
+  describe('build', () => {
+    it('should place blockers and dependents at every level around the task', () => {
+      const research = manager.addTask({ text: 'Research' });
+      const design = manager.addTask({ text: 'Design' });
+      const build = manager.addTask({ text: 'Build' });
+      const test = manager.addTask({ text: 'Test' });
+      const unrelated = manager.addTask({ text: 'Unrelated' });
+      manager.addDependency(design.id, research.id);
+      manager.addDependency(build.id, design.id);
+      manager.addDependency(test.id, build.id);
+      manager.addDependency(unrelated.id, research.id);
+
+      const graph = DependencyGraph.build(build.id, manager);
+
+      expect(columnsOf(graph)).toEqual([
+        [-2, ['Research']],
+        [-1, ['Design']],
+        [0, ['Build']],
+        [1, ['Test']]
+      ]);
+      expect(graph.nodes.find(node => node.selected).task.id).toBe(build.id);
+      expect(graph.edges.map(edge => [edge.from, edge.to])).toEqual([
+        [design.id, build.id],
+        [research.id, design.id],
+        [build.id, test.id]
+      ]);
+    });
+
+    it('should put a node one column past the furthest node linked into it', () => {
+      const a = manager.addTask({ text: 'A' });
+      const b = manager.addTask({ text: 'B' });
+      const c = manager.addTask({ text: 'C' });
+      manager.addDependency(b.id, a.id);
+      manager.addDependency(c.id, a.id);
+      manager.addDependency(c.id, b.id);
+
+      expect(columnsOf(DependencyGraph.build(a.id, manager))).toEqual([
+        [0, ['A']],
+        [1, ['B']],
+        [2, ['C']]
+      ]);
+      expect(columnsOf(DependencyGraph.build(c.id, manager))).toEqual([
+        [-2, ['A']],
+        [-1, ['B']],
+        [0, ['C']]
+      ]);
+    });
+
+    it('should start arrows from blocking subtasks and list them in their task', () => {
+      const setup = manager.addTask({ text: 'Setup', subtasks: [{ text: 'Install' }, { text: 'Configure' }] });
+      const deploy = manager.addTask({ text: 'Deploy' });
+      const install = setup.subtasks[0];
+      manager.addDependency(deploy.id, `${setup.id}:${install.id}`);
+      manager.updateTask(setup.id, {
+        subtasks: setup.subtasks.map((subtask, index) => ({ ...subtask, completed: index === 0 }))
+      });
+
+      const graph = DependencyGraph.build(setup.id, manager);
+
+      expect(columnsOf(graph)).toEqual([[0, ['Setup']], [1, ['Deploy']]]);
+      expect(graph.nodes[0].subtasks.map(subtask => subtask.text)).toEqual(['Install']);
+      expect(graph.edges).toEqual([{
+        from: `${setup.id}:${install.id}`,
+        fromTaskId: setup.id,
+        subtaskId: install.id,
+        to: deploy.id,
+        completed: true
+      }]);
+    });
+
+    it('should leave out blockers that no longer exist and return null for unknown tasks', () => {
+      const task = manager.addTask({ text: 'Task' });
+      manager.updateTask(task.id, { blockedBy: ['task_missing'] });
+
+      const graph = DependencyGraph.build(task.id, manager);
+
+      expect(columnsOf(graph)).toEqual([[0, ['Task']]]);
+      expect(graph.edges).toEqual([]);
+      expect(DependencyGraph.build('task_missing', manager)).toBeNull();
+    });
+  });
+
+  describe('getBlockerCandidates', () => {
+    it('should list open tasks and subtasks that are not blockers yet', () => {
+      const task = manager.addTask({ text: 'Task' });
+      const other = manager.addTask({ text: 'Other', subtasks: [{ text: 'Step' }] });
+      const done = manager.addTask({ text: 'Done' });
+      manager.completeTask(done.id);
+
+      const refs = DependencyGraph.getBlockerCandidates(task.id, manager).map(candidate => candidate.ref);
+      expect(refs).toEqual([other.id, `${other.id}:${other.subtasks[0].id}`]);
+
+      manager.addDependency(task.id, other.id);
+      expect(DependencyGraph.getBlockerCandidates(task.id, manager).map(candidate => candidate.ref))
+        .toEqual([`${other.id}:${other.subtasks[0].id}`]);
+    });
+
+    it('should mark tasks that would create a cycle as not allowed', () => {
+      const a = manager.addTask({ text: 'A' });
+      const b = manager.addTask({ text: 'B', subtasks: [{ text: 'Step' }] });
+      manager.addTask({ text: 'C' });
+      manager.addDependency(b.id, a.id);
+
+      const candidates = DependencyGraph.getBlockerCandidates(a.id, manager)
+        .map(candidate => [candidate.task.text, candidate.subtask ? candidate.subtask.text : null, candidate.allowed]);
+
+      expect(candidates).toEqual([
+        ['C', null, true],
+        ['B', null, false],
+        ['B', 'Step', false]
+      ]);
+      expect(manager.addDependency(a.id, b.id).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for MarkdownRenderer
+ * Tests block and inline rendering, note previews and the sanitizing of rendered HTML
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.inputValidator = new InputValidator\(\);/, '')
+    .replace(/window\.validateAndSanitize = \{[\s\S]*?\};/, '')
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+const { InputValidator } = loadScript('../../js/core/input-validator.js', 'InputValidator');
+window.inputValidator = new InputValidator();
+const { MarkdownRenderer } = loadScript('../../js/features/notes/markdown.js', 'MarkdownRenderer');
+
+describe('MarkdownRenderer', () => {
+  describe('render', () => {
+    it('should render headings, paragraphs, rules and code blocks', () => {
+      const html = MarkdownRenderer.render('# Title\nFirst line\nsecond line\n\n---\n```js\nconst a = 1 < 2;\n```');
+
+      expect(html).toBe(
+        '<h1>Title</h1><p>First line<br>second line</p><hr>' +
+        '<pre><code class="language-js">const a = 1 &lt; 2;</code></pre>'
+      );
+    });
+
+    it('should render nested lists and checkboxes with their source line', () => {
+      const html = MarkdownRenderer.render('Intro\n- [ ] Buy milk\n- [x] Call Sam\n  1. First\n  2. Second\n\n3. Three');
+
+      expect(html).toBe(
+        '<p>Intro</p><ul class="md-task-list">' +
+        '<li class="md-task-item"><input type="checkbox" data-line="1"> Buy milk</li>' +
+        '<li class="md-task-item"><input type="checkbox" data-line="2" checked=""> Call Sam' +
+        '<ol><li>First</li><li>Second</li></ol></li></ul>' +
+        '<ol start="3"><li>Three</li></ol>'
+      );
+    });
+
+    it('should render tables with column alignment and blockquotes', () => {
+      const html = MarkdownRenderer.render('| Item | Qty |\n| :--- | ---: |\n| Tea \\| coffee | 2 |\n\n> Quoted **text**');
+
+      expect(html).toBe(
+        '<table><thead><tr><th align="left">Item</th><th align="right">Qty</th></tr></thead>' +
+        '<tbody><tr><td align="left">Tea | coffee</td><td align="right">2</td></tr></tbody></table>' +
+        '<blockquote><p>Quoted <strong>text</strong></p></blockquote>'
+      );
+    });
+
+    it('should render inline formatting without touching code or words with underscores', () => {
+      const html = MarkdownRenderer.render('**bold** *em* _also_ ~~gone~~ `a *b*` snake_case_name \\*literal\\*');
+
+      expect(html).toBe(
+        '<p><strong>bold</strong> <em>em</em> <em>also</em> <del>gone</del> ' +
+        '<code>a *b*</code> snake_case_name *literal*</p>'
+      );
+    });
+
+    it('should render links and bare URLs opening in a new tab', () => {
+      const html = MarkdownRenderer.render('See [the docs](https://example.com/docs) or https://example.com/a.');
+
+      expect(html).toBe(
+        '<p>See <a href="https://example.com/docs" target="_blank" rel="noopener noreferrer">the docs</a> or ' +
+        '<a href="https://example.com/a" target="_blank" rel="noopener noreferrer">https://example.com/a</a>.</p>'
+      );
+    });
+  });
+
+  describe('sanitizing', () => {
+    it('should escape raw HTML in notes', () => {
+      const html = MarkdownRenderer.render('<script>alert(1)</script>\n<img src=x onerror=alert(1)>');
+
+      expect(html).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;<br>&lt;img src=x onerror=alert(1)&gt;</p>');
+    });
+
+    it('should not link unsafe URLs', () => {
+      const html = MarkdownRenderer.render('[click](javascript:alert(1)) [x](https://a.com/"onmouseover="alert(1))');
+
+      expect(html).not.toContain('<a href="javascript');
+      expect(html).not.toContain(' onmouseover=');
+      expect(html).toContain('<span class="md-link">click</span>');
+    });
+
+    it('should keep only allowed tags and attributes', () => {
+      const html = window.inputValidator.sanitizeRichHtml(
+        '<p onclick="x()" class="md-link evil">Hi <b>there</b></p><script>void 0</script>' +
+        '<a href="javascript:x()" target="_top">link</a><input type="text"><input type="checkbox" data-line="4">'
+      );
+
+      expect(html).toBe('<p>Hi there</p><a>link</a><input type="checkbox" data-line="4">');
+    });
+  });
+
+  describe('renderPreview', () => {
+    it('should flatten the note onto one line with list symbols', () => {
+      const preview = MarkdownRenderer.renderPreview('# Groceries\n- [ ] Milk\n- [x] **Eggs**\n- Bread\n\n[site](https://example.com)');
+
+      expect(preview).toBe('Groceries ☐ Milk ☑ <strong>Eggs</strong> • Bread <span class="md-link">site</span>');
+    });
+
+    it('should cut long notes at a word boundary', () => {
+      const preview = MarkdownRenderer.renderPreview('one two three four five', 12);
+
+      expect(preview).toBe('one two…');
+    });
+
+    it('should return an empty string for empty notes', () => {
+      expect(MarkdownRenderer.renderPreview('\n  \n---')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for NoteTasks
+ * Tests turning checklist lines into tasks and keeping lines and task completion in step
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.inputValidator = new InputValidator\(\);/, '')
+    .replace(/window\.validateAndSanitize = \{[\s\S]*?\};/, '')
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+const { InputValidator } = loadScript('../../js/core/input-validator.js', 'InputValidator');
+window.inputValidator = new InputValidator();
+loadScript('../../js/core/event-bus.js', 'EventBus');
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+Object.assign(global, loadScript('../../js/features/tasks/quick-add-parser.js', 'QuickAddParser'));
+const { TaskDataManager } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager');
+const { NotesDataManager } = loadScript('../../js/features/notes/notes.js', 'NotesDataManager');
+Object.assign(global, loadScript('../../js/features/notes/wiki-links.js', 'WikiLinks'));
+const { NoteTasks } = loadScript('../../js/features/notes/note-tasks.js', 'NoteTasks');
+
+// Let the event handlers' async work finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('NoteTasks', () => {
+  let taskManager;
+  let notesManager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    taskManager = new TaskDataManager();
+    notesManager = new NotesDataManager();
+    window.taskDataManager = taskManager;
+    window.notesUIManager = { currentNote: null, whenReady: async () => notesManager };
+  });
+
+  afterEach(() => {
+    delete window.taskDataManager;
+    delete window.notesUIManager;
+  });
+
+  // Convert every line of a note and return the created tasks
+  const convert = async (note) => {
+    const { taskIds } = await NoteTasks.createTasksFromSelection(note.id, 0, note.content.length);
+    await settle();
+    return taskIds.map(id => taskManager.getTaskById(id));
+  };
+
+  describe('parseLine', () => {
+    it('should read checklist lines with any list marker and leave other lines', () => {
+      expect(NoteTasks.parseLine('  * [X]  Call Sam')).toEqual({ lead: '  * [', checked: true, close: ']  ', text: 'Call Sam' });
+      expect(NoteTasks.parseLine('1. [ ] [[task:Buy milk]]').text).toBe('[[task:Buy milk]]');
+      expect(NoteTasks.parseLine('- Buy milk')).toBeNull();
+      expect(NoteTasks.getLinkedTitle(' [[task: Buy milk ]] ')).toBe('Buy milk');
+      expect(NoteTasks.getLinkedTitle('Ask about [[task:Buy milk]]')).toBeNull();
+    });
+  });
+
+  describe('createTasksFromSelection', () => {
+    it('should create tasks from the open items on the selected lines and link them', async () => {
+      const content = 'Meeting\n- [ ] Send report friday #work !high\n- [x] Done already\n- [ ] Ask about [draft]\n  - [ ] Book room\nAfter';
+      const note = notesManager.addNote({ title: 'Standup', content });
+      const start = content.indexOf('report');
+      const end = content.indexOf('room');
+
+      const result = await NoteTasks.createTasksFromSelection(note.id, start, end);
+
+      const [report, room] = result.taskIds.map(id => taskManager.getTaskById(id));
+      expect(result.skipped).toBe(1);
+      expect(report).toMatchObject({ text: 'Send report', tags: ['work'], priority: 'high', sourceNoteId: note.id });
+      expect(report.dueDate).toBeTruthy();
+      expect(room).toMatchObject({ text: 'Book room', sourceNoteId: note.id });
+      expect(notesManager.getNoteById(note.id).content).toBe(
+        'Meeting\n- [ ] [[task:Send report]]\n- [x] Done already\n- [ ] Ask about [draft]\n  - [ ] [[task:Book room]]\nAfter'
+      );
+      // The note before the change is kept in its history
+      expect(notesManager.getRevisions(note.id)[0].content).toBe(content);
+
+      // One undo step removes every created task
+      taskManager.undo();
+      expect(taskManager.getAllTasks()).toEqual([]);
+    });
+
+    it('should use the line with the cursor and skip lines already linked', async () => {
+      const content = '- [ ] One\n- [ ] Two\n- [ ] [[task:Three]]';
+      const note = notesManager.addNote({ title: 'List', content });
+
+      // A selection ending at the start of a line leaves that line out
+      await NoteTasks.createTasksFromSelection(note.id, 0, content.indexOf('- [ ] Two'));
+      await NoteTasks.createTasksFromSelection(note.id, content.length, content.length);
+
+      expect(taskManager.getAllTasks().map(task => task.text)).toEqual(['One']);
+      expect(notesManager.getNoteById(note.id).content).toBe('- [ ] [[task:One]]\n- [ ] Two\n- [ ] [[task:Three]]');
+    });
+  });
+
+  describe('syncing', () => {
+    it('should tick and clear the line when the task is completed, reopened or undone', async () => {
+      const note = notesManager.addNote({ title: 'Errands', content: '- [ ] Buy milk\n- [ ] Post letter' });
+      const [milk] = await convert(note);
+
+      taskManager.completeTask(milk.id);
+      await settle();
+      expect(notesManager.getNoteById(note.id).content).toBe('- [x] [[task:Buy milk]]\n- [ ] [[task:Post letter]]');
+
+      taskManager.reopenTask(milk.id);
+      await settle();
+      expect(notesManager.getNoteById(note.id).content).toBe('- [ ] [[task:Buy milk]]\n- [ ] [[task:Post letter]]');
+
+      taskManager.completeTask(milk.id);
+      await settle();
+      taskManager.undo();
+      await settle();
+      expect(notesManager.getNoteById(note.id).content).toBe('- [ ] [[task:Buy milk]]\n- [ ] [[task:Post letter]]');
+    });
+
+    it('should complete and reopen the task when its line is ticked or cleared', async () => {
+      const note = notesManager.addNote({ title: 'Errands', content: '- [ ] Buy milk' });
+      const [milk] = await convert(note);
+      const synced = vi.fn();
+      window.eventBus.on('checklist:synced', synced);
+
+      notesManager.updateNote(note.id, { content: '- [x] [[task:Buy milk]]' });
+      await settle();
+      expect(taskManager.getTaskById(milk.id).completed).toBe(true);
+      expect(synced).toHaveBeenCalledWith({ noteIds: [], taskIds: [milk.id] });
+
+      notesManager.updateNote(note.id, { content: '- [ ] [[task:Buy milk]]' });
+      await settle();
+      expect(taskManager.getTaskById(milk.id).completed).toBe(false);
+      window.eventBus.off('checklist:synced', synced);
+    });
+
+    it('should follow the next occurrence of a recurring task', async () => {
+      const note = notesManager.addNote({ title: 'Home', content: '- [ ] Water plants every day' });
+      const [plants] = await convert(note);
+
+      notesManager.updateNote(note.id, { content: '- [x] [[task:Water plants]]' });
+      await settle();
+
+      const occurrences = taskManager.getAllTasks().filter(task => task.text === 'Water plants');
+      expect(occurrences).toHaveLength(2);
+      expect(taskManager.getTaskById(plants.id).completed).toBe(true);
+      // The line now stands for the open next occurrence
+      expect(notesManager.getNoteById(note.id).content).toBe('- [ ] [[task:Water plants]]');
+    });
+
+    it('should leave tasks that were not created from the note alone', async () => {
+      const other = taskManager.addTask({ text: 'Buy milk' });
+      const note = notesManager.addNote({ title: 'Errands', content: '- [x] [[task:Buy milk]]' });
+
+      expect(await NoteTasks.syncTasksFromNotes()).toEqual([]);
+      expect(taskManager.getTaskById(other.id).completed).toBe(false);
+      expect(notesManager.getNoteById(note.id).content).toBe('- [x] [[task:Buy milk]]');
+    });
+  });
+});
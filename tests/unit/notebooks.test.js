@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for notebooks, pinning, archiving and sorting notes
+ * Tests the NotesDataManager notes list, notebook nesting rules and backup import
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  // Drop module-level instances; each test builds its own
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '')
+    .replace(/const storageSync = new StorageSync\(\);/, '')
+    .replace(/const storageReady = initStorage\(\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/storage-sync.js', 'StorageSync, applyRecordChanges, groupStorageConflicts'));
+Object.assign(global, loadScript('../../js/core/storage-adapter.js', 'LocalStorageAdapter, RecordChangeTracker, STORAGE_COLLECTIONS'));
+
+const { NotesDataManager } = loadScript('../../js/features/notes/notes.js', 'NotesDataManager');
+const { sanitizeImportedNotes, sanitizeImportedNotebooks } = loadScript(
+  '../../js/core/export-utils.js', 'sanitizeImportedNotes, sanitizeImportedNotebooks'
+);
+
+const at = (day) => new Date(Date.UTC(2026, 0, day)).toISOString();
+
+describe('NotesDataManager notebooks', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    window.eventBus = { emit: vi.fn() };
+    manager = new NotesDataManager();
+  });
+
+  // Add a note with fixed dates so the orders are predictable
+  const addNote = (title, created, modified, extra = {}) =>
+    manager.addNote({ title, createdAt: at(created), modifiedAt: at(modified), ...extra });
+
+  const titles = (notes) => notes.map(n => n.title);
+
+  describe('getNotes', () => {
+    beforeEach(() => {
+      addNote('banana', 1, 5);
+      addNote('Apple 10', 2, 4);
+      addNote('', 3, 3);
+      addNote('apple 9', 4, 2);
+    });
+
+    it('should sort by modified date, created date or title', () => {
+      expect(titles(manager.getNotes())).toEqual(['banana', 'Apple 10', '', 'apple 9']);
+      expect(titles(manager.getNotes({ sort: 'created' }))).toEqual(['apple 9', '', 'Apple 10', 'banana']);
+      // Numbers compare by value and untitled notes go last
+      expect(titles(manager.getNotes({ sort: 'title' }))).toEqual(['apple 9', 'Apple 10', 'banana', '']);
+    });
+
+    it('should list pinned notes first without changing their modified date', () => {
+      const note = manager.getNotes().find(n => n.title === 'apple 9');
+
+      manager.setPinned(note.id, true);
+
+      expect(titles(manager.getNotes())).toEqual(['apple 9', 'banana', 'Apple 10', '']);
+      expect(titles(manager.getNotes({ sort: 'title' }))[0]).toBe('apple 9');
+      expect(manager.getNoteById(note.id).modifiedAt).toBe(at(2));
+      expect(window.eventBus.emit).toHaveBeenCalledWith('note:saved', expect.objectContaining({ changes: ['pinned'] }));
+    });
+
+    it('should keep archived notes out of the list but available to links and the Archive', () => {
+      const note = manager.getNotes().find(n => n.title === 'banana');
+
+      manager.archiveNote(note.id, new Date(at(6)));
+
+      expect(titles(manager.getNotes())).not.toContain('banana');
+      expect(titles(manager.getNotes({ archived: true, query: 'BAN' }))).toEqual(['banana']);
+      expect(manager.getAllNotes()).toHaveLength(4);
+      expect(manager.getNoteById(note.id).archivedAt).toBe(at(6));
+
+      manager.unarchiveNote(note.id);
+      expect(titles(manager.getNotes())).toContain('banana');
+    });
+
+    it('should combine the tag and search filters', () => {
+      addNote('Tagged apple', 6, 6, { tags: ['fruit'] });
+      addNote('Tagged pear', 7, 7, { tags: ['fruit'] });
+
+      expect(titles(manager.getNotes({ tag: 'fruit', query: 'apple' }))).toEqual(['Tagged apple']);
+    });
+  });
+
+  describe('notebooks', () => {
+    it('should list notes of a notebook with those of the notebooks inside it', () => {
+      const work = manager.addNotebook({ name: 'Work' });
+      const meetings = manager.addNotebook({ name: 'Meetings', parentId: work.id });
+      const plan = addNote('Plan', 1, 1);
+      const standup = addNote('Standup', 2, 2);
+      const loose = addNote('Loose', 3, 3);
+
+      manager.moveNotes([plan.id], work.id);
+      manager.moveNotes([standup.id], meetings.id);
+
+      expect(titles(manager.getNotes({ notebookId: work.id }))).toEqual(['Standup', 'Plan']);
+      expect(titles(manager.getNotes({ notebookId: meetings.id }))).toEqual(['Standup']);
+      expect(titles(manager.getNotes({ notebookId: null }))).toEqual(['Loose']);
+      expect(manager.moveNotes([loose.id], 'notebook_missing')).toEqual([]);
+      expect(manager.getNoteById(plan.id).modifiedAt).toBe(at(1));
+    });
+
+    it('should nest notebooks one level only and keep sibling names unique', () => {
+      const work = manager.addNotebook({ name: 'Work' });
+      const meetings = manager.addNotebook({ name: 'Meetings', parentId: work.id });
+      const home = manager.addNotebook({ name: 'Home' });
+
+      expect(manager.validateNotebook({ name: 'Deeper', parentId: meetings.id })).toBe('Notebooks can only be nested one level deep');
+      expect(manager.validateNotebook({ name: ' work ' })).toBe('There is already a notebook named "work" here');
+      expect(manager.validateNotebook({ name: 'Work', parentId: work.id })).toBeNull();
+      expect(manager.validateNotebook({ name: 'x'.repeat(51) })).toBe('Notebook name must be 50 characters or fewer');
+      expect(manager.addNotebook({ name: '  ' })).toBeNull();
+      // A notebook holding others can't move inside another
+      expect(manager.updateNotebook(work.id, { parentId: home.id })).toBeNull();
+
+      expect(manager.updateNotebook(meetings.id, { name: 'Calls', parentId: home.id })).toMatchObject({ name: 'Calls', parentId: home.id });
+      expect(manager.getNotebooks(null).map(nb => nb.name)).toEqual(['Home', 'Work']);
+      expect(manager.getNotebooks(home.id).map(nb => nb.name)).toEqual(['Calls']);
+    });
+
+    it('should keep the notes and notebooks of a deleted notebook', () => {
+      const work = manager.addNotebook({ name: 'Work' });
+      const meetings = manager.addNotebook({ name: 'Meetings', parentId: work.id });
+      const plan = addNote('Plan', 1, 1, { notebookId: work.id });
+      const standup = addNote('Standup', 2, 2, { notebookId: meetings.id });
+
+      expect(manager.deleteNotebook(meetings.id)).toBe(true);
+      expect(manager.getNoteById(standup.id).notebookId).toBe(work.id);
+
+      manager.addNotebook({ name: 'Clients', parentId: work.id });
+      manager.deleteNotebook(work.id);
+
+      expect(manager.getNoteById(plan.id).notebookId).toBeNull();
+      expect(manager.getNotebooks().map(nb => [nb.name, nb.parentId])).toEqual([['Clients', null]]);
+      expect(window.eventBus.emit).toHaveBeenCalledWith('notebook:deleted', {
+        notebookId: work.id, notebook: work, noteIds: [standup.id, plan.id]
+      });
+    });
+
+    it('should save notebooks and filing with localStorage and a storage adapter', async () => {
+      const notebook = manager.addNotebook({ name: 'Work' });
+      const note = addNote('Plan', 1, 1, { notebookId: notebook.id });
+      manager.setPinned(note.id, true);
+
+      const reloaded = new NotesDataManager();
+      expect(reloaded.getNotebooks().map(nb => nb.toJSON())).toEqual([notebook.toJSON()]);
+      expect(reloaded.getNoteById(note.id)).toMatchObject({ notebookId: notebook.id, pinned: true, archivedAt: null });
+
+      const tab = new NotesDataManager({ storage: new LocalStorageAdapter() });
+      await tab.ready;
+      tab.addNotebook({ name: 'Home' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const stored = new NotesDataManager({ storage: new LocalStorageAdapter() });
+      await stored.ready;
+      expect(stored.getNotebooks().map(nb => nb.name)).toEqual(['Home', 'Work']);
+    });
+  });
+
+  describe('Import', () => {
+    it('should keep notebook, pin and archive fields of notes', () => {
+      const [note] = sanitizeImportedNotes([{
+        id: 'note_1', title: 'Plan', notebookId: 'notebook_1', pinned: 1, archivedAt: at(3)
+      }, { id: 'bad id!' }]);
+
+      expect(note).toMatchObject({ notebookId: 'notebook_1', pinned: true, archivedAt: at(3) });
+      expect(sanitizeImportedNotes([{ id: 'note_2', notebookId: '<x>', archivedAt: 'soon' }])[0])
+        .toMatchObject({ notebookId: null, pinned: false, archivedAt: null });
+    });
+
+    it('should keep valid notebooks and flatten nesting deeper than one level', () => {
+      const notebooks = sanitizeImportedNotebooks([
+        { id: 'nb_a', name: ' Work ', createdAt: at(1) },
+        { id: 'nb_b', name: 'Meetings', parentId: 'nb_a', createdAt: at(1) },
+        { id: 'nb_c', name: 'Deeper', parentId: 'nb_b', createdAt: at(1) },
+        { id: 'nb_d', name: '' },
+        null
+      ]);
+
+      expect(notebooks).toEqual([
+        { id: 'nb_a', name: 'Work', parentId: null, createdAt: at(1) },
+        { id: 'nb_b', name: 'Meetings', parentId: 'nb_a', createdAt: at(1) },
+        { id: 'nb_c', name: 'Deeper', parentId: null, createdAt: at(1) }
+      ]);
+      expect(sanitizeImportedNotebooks({ id: 'nb_a' })).toEqual([]);
+    });
+  });
+});
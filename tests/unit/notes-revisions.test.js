@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for note version history
+ * Tests when NotesDataManager keeps revisions, restoring them and the line diff
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.inputValidator = new InputValidator\(\);/, '')
+    .replace(/window\.validateAndSanitize = \{[\s\S]*?\};/, '')
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '')
+    .replace(/const storageSync = new StorageSync\(\);/, '')
+    .replace(/const storageReady = initStorage\(\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+const { InputValidator } = loadScript('../../js/core/input-validator.js', 'InputValidator');
+window.inputValidator = new InputValidator();
+Object.assign(global, loadScript('../../js/core/storage-sync.js', 'StorageSync, applyRecordChanges, groupStorageConflicts'));
+Object.assign(global, loadScript('../../js/core/storage-adapter.js', 'LocalStorageAdapter, RecordChangeTracker, STORAGE_COLLECTIONS'));
+const { NotesDataManager } = loadScript('../../js/features/notes/notes.js', 'NotesDataManager');
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 9, minutes));
+
+describe('NotesDataManager revisions', () => {
+  let manager;
+  let note;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new NotesDataManager();
+    note = manager.addNote({ title: 'Plan', content: 'First draft' });
+    // Created at 09:00 with its first text
+    note.createdAt = note.modifiedAt = at(0).toISOString();
+  });
+
+  // Save typing as the editor's auto-save would, one update per entry
+  const type = (contents, minute) => contents.forEach((content, i) => {
+    manager.updateNote(note.id, { content }, { now: new Date(at(minute).getTime() + i * 1000) });
+  });
+
+  it('should keep one revision for a burst of auto-saves after a pause', () => {
+    type(['First draft.', 'First draft. More', 'First draft. More text'], 5);
+
+    expect(manager.getRevisions(note.id)).toMatchObject([
+      { title: 'Plan', content: 'First draft', savedAt: at(0).toISOString() }
+    ]);
+    expect(manager.getNoteById(note.id).content).toBe('First draft. More text');
+  });
+
+  it('should keep a revision every ten minutes of continuous typing', () => {
+    // A save every 30 seconds for 12 minutes
+    for (let i = 0; i < 24; i++) {
+      manager.updateNote(note.id, { content: `Draft ${i}` }, { now: new Date(at(0).getTime() + (i + 1) * 30000) });
+    }
+
+    expect(manager.getRevisions(note.id)).toMatchObject([{ content: 'Draft 18', savedAt: '2026-01-01T09:09:30.000Z' }]);
+  });
+
+  it('should keep the version before a large deletion', () => {
+    type(['First draft, now much longer than before', 'First draft, now much longer than before!', ''], 5);
+
+    expect(manager.getRevisions(note.id).map(r => r.content)).toEqual([
+      'First draft, now much longer than before!',
+      'First draft'
+    ]);
+  });
+
+  it('should not keep empty versions, unchanged saves or duplicates', () => {
+    const empty = manager.addNote({ title: '', content: '' });
+    manager.updateNote(empty.id, { content: 'Hello' }, { now: at(30) });
+    manager.updateNote(note.id, { tags: ['work'] }, { now: at(30) });
+
+    expect(manager.getRevisions(empty.id)).toEqual([]);
+    expect(manager.getRevisions(note.id)).toEqual([]);
+  });
+
+  it('should drop the oldest revisions beyond the limit', () => {
+    for (let i = 1; i <= 35; i++) {
+      manager.updateNote(note.id, { content: `Version ${i}` }, { now: at(i * 2) });
+    }
+
+    const revisions = manager.getRevisions(note.id);
+    expect(revisions).toHaveLength(30);
+    expect(revisions[0].content).toBe('Version 34');
+    expect(revisions[29].content).toBe('Version 5');
+  });
+
+  it('should restore a revision and keep the version it replaced', () => {
+    type(['Second draft'], 5);
+    manager.updateNote(note.id, { title: 'Final plan' }, { now: at(6) });
+    const revision = manager.getRevisions(note.id).at(-1);
+
+    const restored = manager.restoreRevision(note.id, revision.id, at(7));
+
+    expect(restored).toMatchObject({ title: 'Plan', content: 'First draft' });
+    expect(manager.getRevisions(note.id)[0]).toMatchObject({ title: 'Final plan', content: 'Second draft' });
+    expect(manager.restoreRevision(note.id, 'rev_missing')).toBeNull();
+  });
+
+  it('should keep revisions when notes are saved and loaded', () => {
+    type(['Second draft'], 5);
+
+    const reloaded = new NotesDataManager();
+
+    expect(reloaded.getRevisions(note.id).map(r => r.content)).toEqual(['First draft']);
+  });
+
+  it('should store revisions apart from the note and only write them when they change', () => {
+    type(['Second draft'], 5);
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+
+    manager.updateNote(note.id, { tags: ['work'] }, { now: at(6) });
+
+    expect(setItem.mock.calls.map(([key]) => key)).not.toContain('noteRevisions');
+    expect(JSON.parse(localStorage.getItem('notes'))[0]).not.toHaveProperty('revisions');
+    expect(JSON.parse(localStorage.getItem('noteRevisions'))).toEqual([
+      { noteId: note.id, revisions: [expect.objectContaining({ content: 'First draft' })] }
+    ]);
+    setItem.mockRestore();
+
+    manager.deleteNote(note.id);
+    manager.emptyTrash();
+    expect(JSON.parse(localStorage.getItem('noteRevisions'))).toEqual([]);
+  });
+
+  it('should move revisions saved inside notes into their own collection', async () => {
+    const revision = { id: 'rev_1', title: 'Plan', content: 'Old', savedAt: at(0).toISOString() };
+    localStorage.setItem('notes', JSON.stringify([{ ...note.toJSON(), revisions: [revision] }]));
+
+    expect(new NotesDataManager().getRevisions(note.id)).toEqual([revision]);
+    expect(JSON.parse(localStorage.getItem('notes'))[0]).not.toHaveProperty('revisions');
+
+    localStorage.setItem('notes', JSON.stringify([{ ...note.toJSON(), revisions: [revision] }]));
+    localStorage.removeItem('noteRevisions');
+    const stored = new NotesDataManager({ storage: new LocalStorageAdapter() });
+    await stored.ready;
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(stored.getRevisions(note.id)).toEqual([revision]);
+    expect(JSON.parse(localStorage.getItem('notes'))[0]).not.toHaveProperty('revisions');
+    expect(JSON.parse(localStorage.getItem('noteRevisions'))).toEqual([{ noteId: note.id, revisions: [revision] }]);
+  });
+
+  it('should drop the oldest revisions once they hold too much text', () => {
+    const long = (i) => `${i}`.padEnd(200000, '.');
+    for (let i = 1; i <= 4; i++) {
+      manager.updateNote(note.id, { content: long(i) }, { now: at(i * 2) });
+    }
+
+    // 500,000 characters fit the newest two of the 200,000-character versions
+    expect(manager.getRevisions(note.id).map(r => r.content[0])).toEqual(['3', '2']);
+    expect(NotesDataManager.capRevisions([{ title: '', content: long(1).repeat(3) }])).toHaveLength(1);
+  });
+
+  describe('diffLines', () => {
+    it('should mark added, removed and unchanged lines', () => {
+      expect(NotesDataManager.diffLines('a\nb\nc\nd', 'a\nc\nx\nd')).toEqual([
+        { type: 'same', text: 'a' },
+        { type: 'removed', text: 'b' },
+        { type: 'same', text: 'c' },
+        { type: 'added', text: 'x' },
+        { type: 'same', text: 'd' }
+      ]);
+    });
+
+    it('should handle empty texts and identical texts', () => {
+      expect(NotesDataManager.diffLines('', 'one')).toEqual([
+        { type: 'removed', text: '' },
+        { type: 'added', text: 'one' }
+      ]);
+      expect(NotesDataManager.diffLines('same', 'same')).toEqual([{ type: 'same', text: 'same' }]);
+    });
+  });
+});
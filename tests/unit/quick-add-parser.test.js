@@ -0,0 +1,221 @@
+/**
+ * Unit Tests for QuickAddParser
+ * Tests natural-language parsing of quick add input
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom, RECURRENCE_WEEKDAYS'));
+const { QuickAddParser } = loadScript('../../js/features/tasks/quick-add-parser.js', 'QuickAddParser');
+
+// Wednesday
+const today = new Date(2025, 2, 12);
+const projects = [
+  { id: 'inbox', name: 'Inbox' },
+  { id: 'proj_marketing', name: 'Marketing' },
+  { id: 'proj_side', name: 'Side Project' }
+];
+const parse = input => QuickAddParser.parse(input, { today, projects });
+
+describe('QuickAddParser', () => {
+  it('should parse every field from one line', () => {
+    const result = parse('Send report tomorrow 3pm !high #work @Marketing every friday');
+
+    expect(result.text).toBe('Send report');
+    expect(result.dueDate).toBe('2025-03-13');
+    expect(result.dueTime).toBe('15:00');
+    expect(result.priority).toBe('high');
+    expect(result.tags).toEqual(['work']);
+    expect(result.projectId).toBe('proj_marketing');
+    expect(result.recurrence).toMatchObject({ type: 'weekly', interval: 1, byDay: ['FR'] });
+    expect(result.chips.map(chip => chip.label)).toEqual([
+      'Tomorrow 3:00 PM', 'High priority', 'Marketing', '#work', 'Weekly on Fri'
+    ]);
+  });
+
+  it('should leave plain text alone', () => {
+    const result = parse('Buy sun cream for the trip');
+
+    expect(result).toEqual(QuickAddParser.emptyResult('Buy sun cream for the trip'));
+  });
+
+  it('should keep input that is only keywords as text', () => {
+    expect(parse('tomorrow').text).toBe('tomorrow');
+    expect(parse('tomorrow').dueDate).toBeNull();
+  });
+
+  it('should not parse words in quotes', () => {
+    const result = parse('Watch "Friday Night Lights" friday');
+
+    expect(result.text).toBe('Watch Friday Night Lights');
+    expect(result.dueDate).toBe('2025-03-14');
+  });
+
+  describe('Dates', () => {
+    it.each([
+      ['Call today', '2025-03-12'],
+      ['Call wednesday', '2025-03-12'],
+      ['Call next wednesday', '2025-03-19'],
+      ['Call on fri', '2025-03-14'],
+      ['Call next week', '2025-03-17'],
+      ['Call next month', '2025-04-01'],
+      ['Call in 3 days', '2025-03-15'],
+      ['Call in a week', '2025-03-19'],
+      ['Call in 1 month', '2025-04-12'],
+      ['Call due mar 20', '2025-03-20'],
+      ['Call 20th march', '2025-03-20'],
+      ['Call jan 5', '2026-01-05'],
+      ['Call jan 5 2027', '2027-01-05'],
+      ['Call 2025-06-01', '2025-06-01'],
+      ['Call 4/1', '2025-04-01']
+    ])('%s', (input, dueDate) => {
+      const result = parse(input);
+
+      expect(result.text).toBe('Call');
+      expect(result.dueDate).toBe(dueDate);
+    });
+
+    it('should only accept weekday abbreviations after a connector', () => {
+      expect(parse('Sat exam').dueDate).toBeNull();
+      expect(parse('Exam on sat').dueDate).toBe('2025-03-15');
+    });
+
+    it('should ignore dates that do not exist', () => {
+      const result = parse('Pay feb 30');
+
+      expect(result.text).toBe('Pay feb 30');
+      expect(result.dueDate).toBeNull();
+    });
+
+    it('should keep a second date in the text', () => {
+      const result = parse('Move meeting from monday to friday');
+
+      expect(result.dueDate).toBe('2025-03-17');
+      expect(result.text).toBe('Move meeting from to friday');
+    });
+  });
+
+  describe('Times', () => {
+    it.each([
+      ['Standup at 9:30am', '09:30'],
+      ['Standup 9:30 am', '09:30'],
+      ['Standup 12am', '00:00'],
+      ['Standup 17:45', '17:45'],
+      ['Standup at noon', '12:00']
+    ])('%s', (input, dueTime) => {
+      const result = parse(input);
+
+      expect(result.text).toBe('Standup');
+      expect(result.dueTime).toBe(dueTime);
+      expect(result.dueDate).toBe('2025-03-12');
+    });
+
+    it('should not treat bare numbers as times', () => {
+      expect(parse('Read chapter 3').dueTime).toBeNull();
+    });
+  });
+
+  describe('Priority, tags and projects', () => {
+    it('should accept short priority forms', () => {
+      expect(parse('Task !h').priority).toBe('high');
+      expect(parse('Task !2').priority).toBe('medium');
+      expect(parse('Task !low').priority).toBe('low');
+      expect(parse('Task !urgent').text).toBe('Task !urgent');
+    });
+
+    it('should collect unique tags and skip numbers', () => {
+      const result = parse('Fix #bug #ui #bug issue #12');
+
+      expect(result.tags).toEqual(['bug', 'ui']);
+      expect(result.text).toBe('Fix issue #12');
+    });
+
+    it('should match project names ignoring case and spacing', () => {
+      expect(parse('Ship @side-project').projectId).toBe('proj_side');
+      expect(parse('Ship @Side Project now').text).toBe('Ship now');
+      expect(parse('Ship @Unknown').projectId).toBeNull();
+    });
+  });
+
+  describe('Recurrence', () => {
+    it.each([
+      ['Water plants every day', { type: 'daily', interval: 1, byDay: [] }],
+      ['Water plants every 3 days', { type: 'daily', interval: 3, byDay: [] }],
+      ['Water plants every other week', { type: 'weekly', interval: 2, byDay: [] }],
+      ['Water plants every weekday', { type: 'weekly', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] }],
+      ['Water plants every mon, wed and fri', { type: 'weekly', interval: 1, byDay: ['MO', 'WE', 'FR'] }],
+      ['Water plants every year', { type: 'yearly', interval: 1, byDay: [] }]
+    ])('%s', (input, recurrence) => {
+      const result = parse(input);
+
+      expect(result.text).toBe('Water plants');
+      expect(result.recurrence).toMatchObject(recurrence);
+    });
+
+    it('should start a new series on its first matching weekday', () => {
+      expect(parse('Review every friday').dueDate).toBe('2025-03-14');
+      expect(parse('Review every month').dueDate).toBe('2025-03-12');
+    });
+
+    it('should not swallow a trailing "and"', () => {
+      expect(parse('Gym every tue and relax').text).toBe('Gym and relax');
+    });
+
+    it('should read the days after "every N weeks on" instead of taking them as a due date', () => {
+      const result = parse('Standup every 2 weeks on mon, wed');
+
+      expect(result.text).toBe('Standup');
+      expect(result.recurrence).toMatchObject({ type: 'weekly', interval: 2, byDay: ['MO', 'WE'] });
+      expect(result.dueDate).toBe('2025-03-12');
+    });
+
+    it('should read the days of the month after "every month on the"', () => {
+      const result = parse('pay rent every month on the 1st');
+
+      expect(result.text).toBe('pay rent');
+      expect(result.recurrence).toMatchObject({ type: 'monthly', interval: 1, byDay: [], byMonthDay: [1] });
+      expect(result.dueDate).toBe('2025-04-01');
+      expect(parse('Invoice every month on the 15th and 1st').recurrence.byMonthDay).toEqual([1, 15]);
+      // Without an ordinal the words stay in the title
+      expect(parse('Call every month on 3').text).toBe('Call on 3');
+    });
+  });
+
+  describe('toTaskData', () => {
+    it('should fill defaults for fields the input did not set', () => {
+      const data = QuickAddParser.toTaskData(parse('Plan trip #travel'), { projectId: 'inbox', isMyDay: true });
+
+      expect(data).toEqual({ projectId: 'inbox', isMyDay: true, text: 'Plan trip', tags: ['travel'] });
+    });
+
+    it('should let the input override the default project and mark recurring tasks', () => {
+      const data = QuickAddParser.toTaskData(parse('Report @Marketing every week'), { projectId: 'inbox' });
+
+      expect(data.projectId).toBe('proj_marketing');
+      expect(data.isRecurring).toBe(true);
+      expect(data.recurrence.type).toBe('weekly');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Unit Tests for RecurrenceRule
+ * Tests the RRULE subset used to schedule recurring tasks
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+// Load DateUtils
+const loadDateUtilsModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/core/date-utils.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('date-utils\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { DateUtils };');
+  return moduleFunc();
+};
+
+Object.assign(global, loadDateUtilsModule());
+
+// Load RecurrenceRule
+const loadRecurrenceModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/features/tasks/recurrence.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('recurrence\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { RecurrenceRule, RecurrenceRepeatFrom };');
+  return moduleFunc();
+};
+
+const { RecurrenceRule, RecurrenceRepeatFrom } = loadRecurrenceModule();
+
+// Helper: next date after a YYYY-MM-DD base
+const next = (rec, base) => RecurrenceRule.getNextDate(rec, DateUtils.parseDate(base));
+
+// Helper: chain of occurrences after a base date
+const series = (rec, base, length) => {
+  const dates = [];
+  let current = base;
+  for (let i = 0; i < length; i++) {
+    current = next(rec, current);
+    dates.push(current);
+  }
+  return dates;
+};
+
+describe('RecurrenceRule', () => {
+  describe('normalize', () => {
+    it('should fill defaults for legacy {type, interval, endDate} rules', () => {
+      const rule = RecurrenceRule.normalize({ type: 'weekly', interval: 2, endDate: null });
+
+      expect(rule).toEqual({
+        type: 'weekly',
+        interval: 2,
+        endDate: null,
+        count: null,
+        byDay: [],
+        byMonthDay: [],
+        bySetPos: [],
+        repeatFrom: RecurrenceRepeatFrom.DUE_DATE,
+        occurrence: 1
+      });
+    });
+
+    it('should reject unknown frequencies', () => {
+      expect(RecurrenceRule.normalize({ type: 'hourly' })).toBeNull();
+      expect(RecurrenceRule.normalize(null)).toBeNull();
+    });
+
+    it('should drop invalid BYDAY, BYMONTHDAY and BYSETPOS values', () => {
+      const rule = RecurrenceRule.normalize({
+        type: 'monthly',
+        byDay: ['mo', '2TU', 'XX', '9FR', 42],
+        byMonthDay: [0, 15, -1, 40, 'abc'],
+        bySetPos: [0, -1, 2]
+      });
+
+      expect(rule.byDay).toEqual(['MO', '2TU']);
+      expect(rule.byMonthDay).toEqual([15, -1]);
+      expect(rule.bySetPos).toEqual([-1, 2]);
+    });
+
+    it('should strip the time from ISO end dates', () => {
+      const rule = RecurrenceRule.normalize({ type: 'daily', endDate: '2025-03-01T00:00:00.000Z' });
+      expect(rule.endDate).toBe('2025-03-01');
+    });
+  });
+
+  describe('getNextDate - simple frequencies', () => {
+    it('should advance by interval', () => {
+      expect(next({ type: 'daily', interval: 2 }, '2025-01-10')).toBe('2025-01-12');
+      expect(next({ type: 'weekly', interval: 1 }, '2025-01-10')).toBe('2025-01-17');
+      expect(next({ type: 'monthly', interval: 3 }, '2025-01-10')).toBe('2025-04-10');
+      expect(next({ type: 'yearly', interval: 2 }, '2025-01-10')).toBe('2027-01-10');
+    });
+
+    it('should clamp to the last day of shorter months', () => {
+      expect(next({ type: 'monthly', interval: 1 }, '2025-01-31')).toBe('2025-02-28');
+      expect(next({ type: 'yearly', interval: 1 }, '2024-02-29')).toBe('2025-02-28');
+    });
+
+    it('should cross year boundaries', () => {
+      expect(next({ type: 'daily', interval: 1 }, '2024-12-31')).toBe('2025-01-01');
+      expect(next({ type: 'monthly', interval: 1 }, '2024-12-15')).toBe('2025-01-15');
+    });
+  });
+
+  describe('getNextDate - BYDAY', () => {
+    it('should repeat every Mon/Wed/Fri', () => {
+      const rec = { type: 'weekly', interval: 1, byDay: ['MO', 'WE', 'FR'] };
+
+      // 2025-01-06 is a Monday
+      expect(series(rec, '2025-01-06', 4)).toEqual(['2025-01-08', '2025-01-10', '2025-01-13', '2025-01-15']);
+    });
+
+    it('should skip whole weeks for biweekly BYDAY rules', () => {
+      const rec = { type: 'weekly', interval: 2, byDay: ['TU', 'TH'] };
+
+      // 2025-01-07 is a Tuesday
+      expect(series(rec, '2025-01-07', 3)).toEqual(['2025-01-09', '2025-01-21', '2025-01-23']);
+    });
+
+    it('should find the first matching weekday when the due date is off-pattern', () => {
+      // 2025-01-07 is a Tuesday
+      expect(next({ type: 'weekly', interval: 1, byDay: ['MO', 'FR'] }, '2025-01-07')).toBe('2025-01-10');
+    });
+
+    it('should restrict daily rules to weekdays', () => {
+      // 2025-01-10 is a Friday
+      expect(next({ type: 'daily', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] }, '2025-01-10')).toBe('2025-01-13');
+    });
+
+    it('should support ordinal weekdays in monthly rules', () => {
+      // 2nd Tuesday of each month
+      expect(series({ type: 'monthly', interval: 1, byDay: ['2TU'] }, '2025-01-14', 2))
+        .toEqual(['2025-02-11', '2025-03-11']);
+
+      // Last Friday of each month
+      expect(series({ type: 'monthly', interval: 1, byDay: ['-1FR'] }, '2025-01-31', 2))
+        .toEqual(['2025-02-28', '2025-03-28']);
+    });
+  });
+
+  describe('getNextDate - BYMONTHDAY and BYSETPOS', () => {
+    it('should repeat on specific days of the month', () => {
+      const rec = { type: 'monthly', interval: 1, byMonthDay: [1, 15] };
+      expect(series(rec, '2025-01-01', 3)).toEqual(['2025-01-15', '2025-02-01', '2025-02-15']);
+    });
+
+    it('should count negative BYMONTHDAY from the end of the month', () => {
+      const rec = { type: 'monthly', interval: 1, byMonthDay: [-1] };
+      expect(series(rec, '2025-01-31', 3)).toEqual(['2025-02-28', '2025-03-31', '2025-04-30']);
+    });
+
+    it('should skip months where BYMONTHDAY does not exist', () => {
+      expect(next({ type: 'monthly', interval: 1, byMonthDay: [31] }, '2025-01-31')).toBe('2025-03-31');
+    });
+
+    it('should find the last business day of the month', () => {
+      const rec = { type: 'monthly', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'], bySetPos: [-1] };
+
+      // May 2025 ends on a Saturday, August 2025 on a Sunday
+      expect(series(rec, '2025-04-30', 4)).toEqual(['2025-05-30', '2025-06-30', '2025-07-31', '2025-08-29']);
+    });
+
+    it('should find the first weekday of the month', () => {
+      const rec = { type: 'monthly', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'], bySetPos: [1] };
+
+      // 2025-02-01 is a Saturday
+      expect(next(rec, '2025-01-01')).toBe('2025-02-03');
+    });
+
+    it('should apply yearly rules within the anchor month', () => {
+      // Thanksgiving: 4th Thursday of November
+      const rec = { type: 'yearly', interval: 1, byDay: ['TH'], bySetPos: [4] };
+      expect(next(rec, '2025-11-27')).toBe('2026-11-26');
+    });
+  });
+
+  describe('getNextDate - end conditions', () => {
+    it('should stop after UNTIL', () => {
+      const rec = { type: 'daily', interval: 1, endDate: '2025-01-11' };
+
+      expect(next(rec, '2025-01-10')).toBe('2025-01-11');
+      expect(next(rec, '2025-01-11')).toBeNull();
+    });
+
+    it('should stop once the occurrence index reaches COUNT', () => {
+      expect(next({ type: 'daily', count: 3, occurrence: 2 }, '2025-01-10')).toBe('2025-01-11');
+      expect(next({ type: 'daily', count: 3, occurrence: 3 }, '2025-01-10')).toBeNull();
+    });
+
+    it('should give up on rules that can never match', () => {
+      expect(next({ type: 'yearly', interval: 1, byMonthDay: [30] }, '2025-02-01')).toBeNull();
+      expect(Logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('describe', () => {
+    it('should summarize common rules', () => {
+      expect(RecurrenceRule.describe({ type: 'daily', interval: 1 })).toBe('Daily');
+      expect(RecurrenceRule.describe({ type: 'weekly', interval: 2, byDay: ['MO', 'WE', 'FR'] }))
+        .toBe('Every 2 weeks on Mon, Wed, Fri');
+      expect(RecurrenceRule.describe({ type: 'monthly', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'], bySetPos: [-1] }))
+        .toBe('Monthly on the last weekday');
+      expect(RecurrenceRule.describe({ type: 'monthly', byDay: ['2TU'] }))
+        .toBe('Monthly on the second Tuesday');
+      expect(RecurrenceRule.describe({ type: 'monthly', byMonthDay: [-1] }))
+        .toBe('Monthly on the last day');
+    });
+
+    it('should mention completion-based repeats and end conditions', () => {
+      expect(RecurrenceRule.describe({ type: 'weekly', repeatFrom: 'completion', count: 5 }))
+        .toBe('Weekly after completion, 5 times');
+      expect(RecurrenceRule.describe({ type: 'daily', endDate: '2025-12-31' }))
+        .toBe('Daily, until 2025-12-31');
+    });
+
+    it('should return an empty string for invalid rules', () => {
+      expect(RecurrenceRule.describe(null)).toBe('');
+    });
+  });
+});
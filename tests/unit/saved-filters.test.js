@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for SavedFiltersManager
+ * Tests validation, persistence, events and backup import of saved filters
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  // Drop module-level instances; each test builds its own
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '')
+    .replace(/const storageSync = new StorageSync\(\);/, '')
+    .replace(/const storageReady = initStorage\(\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/storage-sync.js', 'StorageSync, applyRecordChanges, groupStorageConflicts'));
+Object.assign(global, loadScript('../../js/core/storage-adapter.js', 'LocalStorageAdapter, RecordChangeTracker, STORAGE_COLLECTIONS'));
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/task-query.js', 'TaskQuery'));
+
+const { SavedFiltersManager } = loadScript('../../js/features/tasks/saved-filters.js', 'SavedFiltersManager');
+const { sanitizeImportedSavedFilters } = loadScript('../../js/core/export-utils.js', 'sanitizeImportedSavedFilters');
+
+describe('SavedFiltersManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    window.eventBus = { emit: vi.fn() };
+    manager = new SavedFiltersManager();
+  });
+
+  afterEach(() => {
+    delete window.eventBus;
+  });
+
+  describe('validate', () => {
+    it('should accept a named, parseable query', () => {
+      expect(manager.validate({ name: 'Work', query: 'project:Work priority:high' })).toBeNull();
+    });
+
+    it.each([
+      [{ name: '  ', query: 'tag:a' }, 'Please enter a filter name'],
+      [{ name: 'x'.repeat(51), query: 'tag:a' }, 'Filter name must be 50 characters or fewer'],
+      [{ name: 'Work', query: '' }, 'Please enter a query'],
+      [{ name: 'Work', query: 'tag:' + 'a'.repeat(500) }, 'Query must be 500 characters or fewer'],
+      [{ name: 'Work', query: 'priority:urgent' }, 'Unknown priority "urgent"']
+    ])('should reject %o', (data, message) => {
+      expect(manager.validate(data)).toContain(message);
+    });
+  });
+
+  describe('CRUD', () => {
+    it('should add filters in sidebar order and emit filter:created', () => {
+      const first = manager.addFilter({ name: ' Urgent ', query: ' priority:high ' });
+      const second = manager.addFilter({ name: 'Waiting', query: 'tag:waiting' });
+
+      expect(first).toMatchObject({ name: 'Urgent', query: 'priority:high', position: 0 });
+      expect(first.id).toMatch(/^filter_/);
+      expect(second.position).toBe(1);
+      expect(manager.getAllFilters()).toEqual([first, second]);
+      expect(window.eventBus.emit).toHaveBeenCalledWith('filter:created', { filter: first });
+    });
+
+    it('should not add an invalid filter', () => {
+      expect(manager.addFilter({ name: 'Broken', query: '(tag:a' })).toBeNull();
+      expect(manager.getAllFilters()).toEqual([]);
+      expect(window.eventBus.emit).not.toHaveBeenCalled();
+    });
+
+    it('should update a filter and report the changed fields', () => {
+      const filter = manager.addFilter({ name: 'Urgent', query: 'priority:high' });
+
+      const updated = manager.updateFilter(filter.id, { query: 'priority:high is:overdue' });
+
+      expect(updated).toMatchObject({ id: filter.id, name: 'Urgent', query: 'priority:high is:overdue' });
+      expect(manager.getFilterById(filter.id)).toBe(updated);
+      expect(window.eventBus.emit).toHaveBeenCalledWith('filter:updated', { filter: updated, changes: ['query'] });
+    });
+
+    it('should keep a filter unchanged when an update is invalid', () => {
+      const filter = manager.addFilter({ name: 'Urgent', query: 'priority:high' });
+
+      expect(manager.updateFilter(filter.id, { name: '' })).toBeNull();
+      expect(manager.updateFilter('filter_missing', { name: 'Other' })).toBeNull();
+      expect(manager.getFilterById(filter.id).name).toBe('Urgent');
+    });
+
+    it('should delete a filter and emit filter:deleted', () => {
+      const filter = manager.addFilter({ name: 'Urgent', query: 'priority:high' });
+
+      expect(manager.deleteFilter(filter.id)).toBe(true);
+      expect(manager.deleteFilter(filter.id)).toBe(false);
+      expect(manager.getAllFilters()).toEqual([]);
+      expect(window.eventBus.emit).toHaveBeenCalledWith('filter:deleted', { filterId: filter.id, filter });
+    });
+  });
+
+  describe('Persistence', () => {
+    it('should save filters to localStorage without a storage adapter', () => {
+      const filter = manager.addFilter({ name: 'Urgent', query: 'priority:high' });
+
+      const reloaded = new SavedFiltersManager();
+
+      expect(reloaded.getAllFilters().map(f => f.toJSON())).toEqual([filter.toJSON()]);
+    });
+
+    it('should save filters through a storage adapter', async () => {
+      const storage = new LocalStorageAdapter();
+      const tab = new SavedFiltersManager({ storage });
+      await tab.ready;
+      const filter = tab.addFilter({ name: 'Urgent', query: 'priority:high' });
+      tab.addFilter({ name: 'Waiting', query: 'tag:waiting' });
+      tab.deleteFilter(filter.id);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const reloaded = new SavedFiltersManager({ storage: new LocalStorageAdapter() });
+      await reloaded.ready;
+
+      expect(reloaded.getAllFilters().map(f => f.name)).toEqual(['Waiting']);
+    });
+  });
+
+  describe('Import', () => {
+    it('should keep valid filters from a backup', () => {
+      const filters = sanitizeImportedSavedFilters([
+        { id: 'filter_1', name: ' Urgent ', query: 'priority:high', position: 2, createdAt: '2025-01-01T00:00:00.000Z' },
+        { id: 'filter_2', name: 'Waiting', query: 'tag:waiting' },
+        { id: '<bad>', name: 'Bad ID', query: 'tag:a' },
+        { id: 'filter_3', name: '', query: 'tag:a' },
+        { id: 'filter_4', name: 'No query', query: 42 },
+        null
+      ]);
+
+      expect(filters).toHaveLength(2);
+      expect(filters[0]).toEqual({
+        id: 'filter_1', name: 'Urgent', query: 'priority:high', position: 2, createdAt: '2025-01-01T00:00:00.000Z'
+      });
+      expect(filters[1]).toMatchObject({ id: 'filter_2', position: 1 });
+    });
+
+    it('should ignore saved filters that are not a list', () => {
+      expect(sanitizeImportedSavedFilters({ id: 'filter_1' })).toEqual([]);
+    });
+  });
+});
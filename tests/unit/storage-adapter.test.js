@@ -0,0 +1,462 @@
+/**
+ * Unit Tests for Storage Adapters
+ * Tests the localStorage adapter, change tracking, migration and managers running on an adapter
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, loadedLine, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(loadedLine, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript(
+  '../../js/core/storage-adapter.js',
+  /Logger\.debug\('storage-adapter\.js loaded'\);/,
+  'LocalStorageAdapter, RecordChangeTracker, STORAGE_COLLECTIONS, STORAGE_MIGRATION_FLAG, migrateLocalStorageToAdapter, initStorage'
+));
+Object.assign(global, loadScript(
+  '../../js/core/date-utils.js',
+  /Logger\.debug\('date-utils\.js loaded'\);/,
+  'DateUtils'
+));
+Object.assign(global, loadScript(
+  '../../js/features/tasks/recurrence.js',
+  /Logger\.debug\('recurrence\.js loaded'\);/,
+  'RecurrenceRule, RecurrenceRepeatFrom'
+));
+
+const { TaskDataManager } = loadScript(
+  '../../js/features/tasks/task-data.js',
+  /Logger\.debug\('task-data\.js loaded'\);/,
+  'TaskDataManager'
+);
+const { NotesDataManager } = loadScript(
+  '../../js/features/notes/notes.js',
+  /Logger\.debug\('notes\.js loaded'\);/,
+  'NotesDataManager'
+);
+
+/**
+ * In-memory adapter with per-record stores, standing in for IndexedDB
+ */
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.stores = {};
+    this.commits = [];
+    this.failNextCommit = false;
+    Object.keys(STORAGE_COLLECTIONS).forEach(name => {
+      this.stores[name] = new Map();
+    });
+  }
+
+  async getAll(name) {
+    return [...this.stores[name].values()];
+  }
+
+  async commit(changes) {
+    if (this.failNextCommit) {
+      this.failNextCommit = false;
+      throw new Error('Quota exceeded');
+    }
+    this.commits.push(changes);
+    Object.entries(changes).forEach(([name, change]) => {
+      const store = this.stores[name];
+      const keyPath = STORAGE_COLLECTIONS[name].keyPath;
+      if (change.clear) store.clear();
+      (change.put || []).forEach(record => store.set(record[keyPath], record));
+      (change.delete || []).forEach(key => store.delete(key));
+    });
+    return { conflicts: [] };
+  }
+}
+
+describe('RecordChangeTracker', () => {
+  it('should report only added, changed and removed records', () => {
+    const tracker = new RecordChangeTracker('id');
+    tracker.reset([{ id: 'a', v: 1 }, { id: 'b', v: 1 }, { id: 'c', v: 1 }]);
+
+    const change = tracker.diff([{ id: 'a', v: 1 }, { id: 'b', v: 2 }, { id: 'd', v: 1 }]);
+
+    expect(change.put.map(r => r.id)).toEqual(['b', 'd']);
+    expect(change.delete).toEqual(['c']);
+    expect(tracker.diff([{ id: 'a', v: 1 }, { id: 'b', v: 2 }, { id: 'd', v: 1 }])).toMatchObject({ put: [], delete: [] });
+  });
+
+  it('should write a change again after rollback', () => {
+    const tracker = new RecordChangeTracker('id');
+    tracker.reset([{ id: 'a', v: 1 }, { id: 'b', v: 1 }]);
+
+    const change = tracker.diff([{ id: 'a', v: 2 }]);
+    tracker.rollback(change);
+    const retry = tracker.diff([{ id: 'a', v: 2 }]);
+
+    expect(retry.put.map(r => r.id)).toEqual(['a']);
+    expect(retry.delete).toEqual(['b']);
+    expect(retry.expected).toEqual(change.expected);
+  });
+
+  it('should attach the last seen version of each written record', () => {
+    const tracker = new RecordChangeTracker('id');
+    tracker.reset([{ id: 'a', v: 1 }, { id: 'b', v: 1 }]);
+
+    const change = tracker.diff([{ id: 'a', v: 2 }, { id: 'c', v: 1 }]);
+
+    expect(change.expected).toEqual({
+      a: JSON.stringify({ id: 'a', v: 1 }),
+      c: null,
+      b: JSON.stringify({ id: 'b', v: 1 })
+    });
+    expect(new RecordChangeTracker('key', { checkConflicts: false }).diff([{ key: 'x' }]).expected).toBeUndefined();
+  });
+
+  it('should accept records written elsewhere without re-writing them', () => {
+    const tracker = new RecordChangeTracker('id');
+    tracker.reset([{ id: 'a', v: 1 }, { id: 'b', v: 1 }]);
+
+    tracker.accept({ put: [{ id: 'a', v: 5 }], delete: ['b'] });
+
+    expect(tracker.diff([{ id: 'a', v: 5 }])).toMatchObject({ put: [], delete: [] });
+  });
+
+  it('should compare only the given keys and check rolled-back ones again', () => {
+    const tracker = new RecordChangeTracker('id');
+    tracker.reset([{ id: 'a', v: 1 }, { id: 'b', v: 1 }, { id: 'c', v: 1 }]);
+
+    const failed = tracker.diff([{ id: 'a', v: 2 }], tracker.keysToCheck(['a', 'b']));
+    expect(failed).toMatchObject({ put: [{ id: 'a', v: 2 }], delete: ['b'] });
+    tracker.rollback(failed);
+
+    const keys = tracker.keysToCheck(['c']);
+    expect([...keys].sort()).toEqual(['a', 'b', 'c']);
+    expect(tracker.diff([{ id: 'a', v: 2 }, { id: 'c', v: 1 }], keys)).toMatchObject({ put: [{ id: 'a', v: 2 }], delete: ['b'] });
+    expect([...tracker.keysToCheck([])]).toEqual([]);
+    expect(tracker.keysToCheck(null)).toBeNull();
+  });
+});
+
+describe('LocalStorageAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    localStorage.clear();
+    adapter = new LocalStorageAdapter();
+  });
+
+  it('should keep the original array layout, adding new records first', async () => {
+    localStorage.setItem('tasks', JSON.stringify([{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }]));
+
+    await adapter.commit({
+      tasks: { put: [{ id: 'c', text: 'C' }, { id: 'a', text: 'A2' }], delete: ['b'] }
+    });
+
+    expect(JSON.parse(localStorage.getItem('tasks'))).toEqual([{ id: 'c', text: 'C' }, { id: 'a', text: 'A2' }]);
+  });
+
+  it('should round-trip keyed objects for links and tag colors', async () => {
+    const links = { Work: [{ name: 'Mail', url: 'https://mail.example.com', favorite: false }], Home: [] };
+
+    await adapter.setLegacyValue('links', links);
+    await adapter.commit({ tagColors: { put: [{ tag: 'urgent', color: '#ef4444' }] } });
+
+    expect(JSON.parse(localStorage.getItem('links'))).toEqual(links);
+    expect(Object.keys(await adapter.getLegacyValue('links'))).toEqual(['Work', 'Home']);
+    expect(JSON.parse(localStorage.getItem('tagColors'))).toEqual({ urgent: '#ef4444' });
+  });
+
+  it('should store settings records under their own keys', async () => {
+    await adapter.commit({ settings: { put: [{ key: 'taskSettings', value: { currentView: 'inbox' } }] } });
+
+    expect(JSON.parse(localStorage.getItem('taskSettings'))).toEqual({ currentView: 'inbox' });
+    expect(await adapter.getAll('settings')).toEqual([{ key: 'taskSettings', value: { currentView: 'inbox' } }]);
+  });
+
+  it('should skip and report records changed since the writer last saw them', async () => {
+    localStorage.setItem('tasks', JSON.stringify([{ id: 'a', v: 2 }, { id: 'b', v: 1 }]));
+
+    const result = await adapter.commit({
+      tasks: {
+        put: [{ id: 'a', v: 3 }, { id: 'b', v: 3 }],
+        delete: [],
+        expected: { a: JSON.stringify({ id: 'a', v: 1 }), b: JSON.stringify({ id: 'b', v: 1 }) }
+      }
+    });
+
+    expect(result.conflicts).toEqual([{ collection: 'tasks', key: 'a', local: { id: 'a', v: 3 }, remote: { id: 'a', v: 2 } }]);
+    expect(JSON.parse(localStorage.getItem('tasks'))).toEqual([{ id: 'a', v: 2 }, { id: 'b', v: 3 }]);
+  });
+
+  it('should report a conflict when deleting a record changed elsewhere', async () => {
+    localStorage.setItem('notes', JSON.stringify([{ id: 'n1', title: 'Edited' }]));
+
+    const result = await adapter.commit({
+      notes: { put: [], delete: ['n1'], expected: { n1: JSON.stringify({ id: 'n1', title: 'Original' }) } }
+    });
+
+    expect(result.conflicts[0]).toMatchObject({ key: 'n1', local: null, remote: { id: 'n1', title: 'Edited' } });
+    expect(JSON.parse(localStorage.getItem('notes'))).toHaveLength(1);
+  });
+
+  it('should announce written records but not conflicting ones', async () => {
+    const sync = { publish: vi.fn() };
+    adapter = new LocalStorageAdapter({ sync });
+    localStorage.setItem('tasks', JSON.stringify([{ id: 'a', v: 2 }]));
+
+    await adapter.commit({
+      tasks: { put: [{ id: 'a', v: 3 }, { id: 'b', v: 1 }], delete: [], expected: { a: '{}', b: null } }
+    });
+
+    expect(sync.publish).toHaveBeenCalledWith({ tasks: { clear: false, put: [{ id: 'b', v: 1 }], delete: [] } });
+  });
+
+  it('should clear every collection', async () => {
+    localStorage.setItem('notes', JSON.stringify([{ id: 'n1' }]));
+    localStorage.setItem('taskSettings', '{}');
+    localStorage.setItem('username', 'Sam');
+
+    await adapter.clearAll();
+
+    expect(await adapter.getAll('notes')).toEqual([]);
+    expect(localStorage.getItem('taskSettings')).toBeNull();
+    expect(localStorage.getItem('username')).toBe('Sam');
+  });
+});
+
+describe('migrateLocalStorageToAdapter', () => {
+  let target;
+
+  beforeEach(() => {
+    localStorage.clear();
+    target = new MemoryAdapter();
+  });
+
+  it('should copy legacy keys into the adapter and free them', async () => {
+    localStorage.setItem('tasks', JSON.stringify([{ id: 't1', text: 'Task' }]));
+    localStorage.setItem('notes', JSON.stringify([{ id: 'n1', title: 'Note' }]));
+    localStorage.setItem('links', JSON.stringify({ Work: [] }));
+    localStorage.setItem('taskSettings', JSON.stringify({ currentView: 'inbox' }));
+
+    expect(await migrateLocalStorageToAdapter(target)).toBe(true);
+
+    expect(await target.getAll('tasks')).toEqual([{ id: 't1', text: 'Task' }]);
+    expect(await target.getAll('notes')).toEqual([{ id: 'n1', title: 'Note' }]);
+    expect(await target.getAll('links')).toEqual([{ section: 'Work', position: 0, links: [] }]);
+    expect(await target.getAll('settings')).toEqual([{ key: 'taskSettings', value: { currentView: 'inbox' } }]);
+    expect(target.commits).toHaveLength(1);
+    expect(localStorage.getItem('tasks')).toBeNull();
+    expect(localStorage.getItem('taskSettings')).toBeNull();
+    expect(localStorage.getItem(STORAGE_MIGRATION_FLAG)).not.toBeNull();
+  });
+
+  it('should only run once', async () => {
+    await migrateLocalStorageToAdapter(target);
+    localStorage.setItem('tasks', JSON.stringify([{ id: 't1' }]));
+
+    expect(await migrateLocalStorageToAdapter(target)).toBe(false);
+    expect(await target.getAll('tasks')).toEqual([]);
+  });
+
+  it('should leave unreadable keys in localStorage', async () => {
+    localStorage.setItem('tasks', '{not json');
+    localStorage.setItem('notes', JSON.stringify([{ id: 'n1' }]));
+
+    await migrateLocalStorageToAdapter(target);
+
+    expect(localStorage.getItem('tasks')).toBe('{not json');
+    expect(localStorage.getItem('notes')).toBeNull();
+  });
+
+  it('should keep legacy keys when the copy fails', async () => {
+    localStorage.setItem('notes', JSON.stringify([{ id: 'n1' }]));
+    target.failNextCommit = true;
+
+    await expect(migrateLocalStorageToAdapter(target)).rejects.toThrow('Quota exceeded');
+
+    expect(localStorage.getItem('notes')).not.toBeNull();
+    expect(localStorage.getItem(STORAGE_MIGRATION_FLAG)).toBeNull();
+  });
+});
+
+describe('initStorage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '';
+    window.errorHandler = { handleError: vi.fn() };
+    // An IndexedDB that refuses to open
+    global.indexedDB = {
+      open: () => {
+        const request = {};
+        setTimeout(() => {
+          request.error = new Error('Open failed');
+          request.onerror();
+        });
+        return request;
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.indexedDB;
+    delete window.errorHandler;
+  });
+
+  it('should fall back to localStorage before the data was migrated', async () => {
+    const adapter = await initStorage();
+
+    expect(adapter.name).toBe('localstorage');
+    expect(window.errorHandler.handleError).toHaveBeenCalledWith(expect.any(Error), 'storage', { operation: 'open_indexeddb' });
+    expect(document.querySelector('.storage-unavailable')).toBeNull();
+  });
+
+  it('should block the page and refuse writes once the data lives in IndexedDB', async () => {
+    localStorage.setItem(STORAGE_MIGRATION_FLAG, '2026-01-01T00:00:00.000Z');
+    localStorage.setItem('tasks', JSON.stringify([{ id: 't1', text: 'Stale' }]));
+
+    const adapter = await initStorage();
+
+    expect(adapter.name).toBe('unavailable');
+    expect(adapter.error.message).toBe('Open failed');
+    expect(await adapter.getAll('tasks')).toEqual([]);
+    await expect(adapter.commit({ tasks: { put: [{ id: 't2' }] } })).rejects.toThrow('Storage unavailable');
+    expect(await adapter.commit({ tasks: { put: [], delete: [] } })).toEqual({ conflicts: [] });
+    expect(localStorage.getItem('tasks')).toBe(JSON.stringify([{ id: 't1', text: 'Stale' }]));
+    expect(document.querySelector('.storage-unavailable').textContent).toContain('Storage unavailable');
+    expect(window.errorHandler.handleError).not.toHaveBeenCalled();
+
+    const manager = new TaskDataManager({ storage: adapter });
+    await manager.ready;
+    expect(manager.getAllTasks()).toEqual([]);
+  });
+});
+
+describe('Managers on a storage adapter', () => {
+  let storage;
+
+  beforeEach(() => {
+    localStorage.clear();
+    storage = new MemoryAdapter();
+  });
+
+  it('should write only the tasks that changed', async () => {
+    const manager = new TaskDataManager({ storage });
+    await manager.ready;
+    const first = manager.addTask({ text: 'First' });
+    manager.addTask({ text: 'Second' });
+    await Promise.resolve();
+
+    storage.commits = [];
+    manager.updateTask(first.id, { text: 'First (edited)' });
+    await Promise.resolve();
+
+    expect(storage.commits).toHaveLength(1);
+    expect(storage.commits[0].tasks.put.map(t => t.id)).toEqual([first.id]);
+    expect(storage.commits[0].projects.put).toEqual([]);
+    expect(localStorage.getItem('tasks')).toBeNull();
+  });
+
+  it('should serialize only the tasks a command touches', async () => {
+    const manager = new TaskDataManager({ storage });
+    await manager.ready;
+    const blocker = manager.addTask({ text: 'Blocker' });
+    const task = manager.addTask({ text: 'Task' });
+    const untouched = manager.addTask({ text: 'Untouched' });
+    await Promise.resolve();
+
+    storage.commits = [];
+    const toJSON = vi.spyOn(untouched, 'toJSON');
+    manager.addDependency(task.id, blocker.id);
+    manager.addComment(task.id, 'Waiting on the blocker');
+    await Promise.resolve();
+
+    expect(toJSON).not.toHaveBeenCalled();
+    expect(storage.commits.map(commit => commit.tasks.put.map(t => t.id))).toEqual([[task.id], [task.id]]);
+
+    // Changed in place, so undo needs the version from before each command
+    manager.undo();
+    manager.undo();
+    expect(manager.getTaskById(task.id)).toMatchObject({ blockedBy: [], comments: [] });
+    expect(toJSON).not.toHaveBeenCalled();
+  });
+
+  it('should write a batch change to many tasks in one commit', async () => {
+    const manager = new TaskDataManager({ storage });
+    await manager.ready;
+    const ids = ['One', 'Two', 'Three'].map(text => manager.addTask({ text }).id);
+    await Promise.resolve();
+
+    storage.commits = [];
+    manager.bulkUpdateTasks(ids, 'priority', 'high');
+    await Promise.resolve();
+
+    expect(storage.commits).toHaveLength(1);
+    expect(storage.commits[0].tasks.put.map(t => t.id).sort()).toEqual([...ids].sort());
+  });
+
+  it('should reload tasks newest-first with projects and settings', async () => {
+    const manager = new TaskDataManager({ storage });
+    await manager.ready;
+    manager.addTask({ text: 'Old', createdAt: '2025-01-01T00:00:00.000Z' });
+    manager.addTask({ text: 'New', createdAt: '2025-02-01T00:00:00.000Z' });
+    manager.settings.currentView = 'inbox';
+    manager.saveToStorage();
+    await Promise.resolve();
+
+    const reloaded = new TaskDataManager({ storage });
+    await reloaded.ready;
+
+    expect(reloaded.tasks.map(t => t.text)).toEqual(['New', 'Old']);
+    expect(reloaded.projects.map(p => p.id)).toEqual(manager.projects.map(p => p.id));
+    expect(reloaded.settings.currentView).toBe('inbox');
+  });
+
+  it('should retry records from a failed save on the next save', async () => {
+    const manager = new TaskDataManager({ storage });
+    await manager.ready;
+
+    storage.failNextCommit = true;
+    const task = manager.addTask({ text: 'Unsaved' });
+    await manager.persistChanges();
+    expect(Logger.error).toHaveBeenCalled();
+
+    await manager.persistChanges();
+
+    expect((await storage.getAll('tasks')).map(t => t.id)).toEqual([task.id]);
+  });
+
+  it('should delete removed notes from storage', async () => {
+    const manager = new NotesDataManager({ storage });
+    await manager.ready;
+    const keep = manager.addNote({ title: 'Keep' });
+    const remove = manager.addNote({ title: 'Remove' });
+    manager.deleteNote(remove.id);
+    manager.deleteNotePermanently(remove.id);
+    await Promise.resolve();
+
+    expect((await storage.getAll('notes')).map(n => n.id)).toEqual([keep.id]);
+  });
+
+  it('should keep localStorage behavior when no adapter is given', async () => {
+    const manager = new TaskDataManager();
+    await manager.ready;
+    manager.addTask({ text: 'Legacy' });
+
+    expect(JSON.parse(localStorage.getItem('tasks'))[0].text).toBe('Legacy');
+  });
+});
@@ -13,6 +13,25 @@ global.Logger = {
   error: vi.fn()
 };
 
+// Load DateUtils
+const loadDateUtilsModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/core/date-utils.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('date-utils\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { DateUtils };');
+  return moduleFunc();
+};
+
+Object.assign(global, loadDateUtilsModule());
+
 // Import the actual classes (we'll need to adjust the import path)
 // Since this is vanilla JS loaded via script tags, we need to simulate the loading
 const loadTaskDataModule = () => {
@@ -31,11 +50,29 @@ const loadTaskDataModule = () => {
 
   // Execute in context and return the classes
   const moduleExports = {};
-  const moduleFunc = new Function('module', 'exports', cleanContent + '\nreturn { TaskDataManager, Task, Subtask, Project, TaskStatus, TaskPriority, DEFAULT_PROJECTS };');
+  const moduleFunc = new Function('module', 'exports', cleanContent + '\nreturn { TaskDataManager, Task, Subtask, Project, TaskStatus, TaskPriority, DEFAULT_PROJECTS, DEFAULT_WORKFLOW };');
   return moduleFunc({}, moduleExports);
 };
 
-const { TaskDataManager, Task, Subtask, Project, TaskStatus, TaskPriority, DEFAULT_PROJECTS } = loadTaskDataModule();
+const { TaskDataManager, Task, Subtask, Project, TaskStatus, TaskPriority, DEFAULT_PROJECTS, DEFAULT_WORKFLOW } = loadTaskDataModule();
+
+const loadAnalyticsModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/features/tasks/analytics.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('analytics\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { AnalyticsManager };');
+  return moduleFunc();
+};
+
+const { AnalyticsManager } = loadAnalyticsModule();
 
 describe('Task Class', () => {
   it('should create a task with default values', () => {
@@ -101,6 +138,47 @@ describe('Task Class', () => {
   });
 });
 
+describe('Task Due Times', () => {
+  const now = new Date(2025, 2, 10, 14, 0);
+
+  it('should treat date-only tasks as due at the end of their day', () => {
+    const task = new Task({ dueDate: '2025-03-10' });
+
+    expect(task.getDueDateTime()).toEqual(new Date(2025, 2, 10, 23, 59, 59, 999));
+    expect(task.isOverdue(now)).toBe(false);
+    expect(task.isOverdue(new Date(2025, 2, 11))).toBe(true);
+  });
+
+  it('should be overdue once the due time has passed', () => {
+    const morning = new Task({ dueDate: '2025-03-10T00:00:00.000Z', dueTime: '09:30' });
+    const evening = new Task({ dueDate: '2025-03-10', dueTime: '18:00' });
+
+    expect(morning.getDueDateTime()).toEqual(new Date(2025, 2, 10, 9, 30));
+    expect(morning.isOverdue(now)).toBe(true);
+    expect(evening.isOverdue(now)).toBe(false);
+    expect(new Task({ ...morning.toJSON(), completed: true }).isOverdue(now)).toBe(false);
+  });
+
+  it('should sort by due date and time with undated tasks last', () => {
+    const undated = new Task({ text: 'undated' });
+    const allDay = new Task({ text: 'all day', dueDate: '2025-03-10' });
+    const late = new Task({ text: 'late', dueDate: '2025-03-10', dueTime: '17:00' });
+    const early = new Task({ text: 'early', dueDate: '2025-03-10', dueTime: '08:00' });
+    const yesterday = new Task({ text: 'yesterday', dueDate: '2025-03-09' });
+
+    const sorted = [undated, allDay, late, early, yesterday].sort(Task.compareByDue);
+
+    expect(sorted.map(t => t.text)).toEqual(['yesterday', 'early', 'late', 'all day', 'undated']);
+  });
+
+  it('should keep due time and duration when serialized', () => {
+    const json = new Task({ dueDate: '2025-03-10', dueTime: '09:30', duration: 45 }).toJSON();
+
+    expect(json.dueTime).toBe('09:30');
+    expect(json.duration).toBe(45);
+  });
+});
+
 describe('Subtask Class', () => {
   it('should create a subtask with default values', () => {
     const subtask = new Subtask();
@@ -373,6 +451,23 @@ describe('TaskDataManager - Task Filtering', () => {
     expect(upcoming).toHaveLength(2); // Only tomorrow and next week
   });
 
+  it('should include tasks due later today in My Day and Upcoming', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2025, 2, 10, 14, 0));
+
+    manager.addTask({ text: 'Earlier', dueDate: '2025-03-10', dueTime: '09:00' });
+    manager.addTask({ text: 'Later', dueDate: '2025-03-10', dueTime: '23:30' });
+    manager.addTask({ text: 'Day seven', dueDate: '2025-03-17', dueTime: '22:00' });
+    manager.addTask({ text: 'Day eight', dueDate: '2025-03-18', dueTime: '00:30' });
+
+    const myDay = manager.getMyDayTasks().map(t => t.text);
+    const upcoming = manager.getUpcomingTasks().map(t => t.text);
+    vi.useRealTimers();
+
+    expect(myDay.sort()).toEqual(['Earlier', 'Later']);
+    expect(upcoming.sort()).toEqual(['Day seven', 'Earlier', 'Later']);
+  });
+
   it('should get completed tasks sorted by completion date', () => {
     const task1 = manager.addTask({ text: 'First', completed: true, completedAt: '2024-01-01T00:00:00Z' });
     const task2 = manager.addTask({ text: 'Second', completed: true, completedAt: '2024-01-03T00:00:00Z' });
@@ -409,6 +504,177 @@ describe('TaskDataManager - Task Filtering', () => {
   });
 });
 
+describe('TaskDataManager - Deferral and Snooze', () => {
+  let manager;
+  // Wednesday afternoon
+  const now = new Date(2025, 2, 12, 15, 0);
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+    vi.useFakeTimers();
+    vi.setSystemTime(now);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should defer tasks until the later of their snooze time and start date', () => {
+    const snoozed = new Task({ deferUntil: new Date(2025, 2, 12, 18, 0).toISOString() });
+    const starting = new Task({ startDate: '2025-03-14', deferUntil: new Date(2025, 2, 13, 9, 0).toISOString() });
+    const started = new Task({ startDate: '2025-03-12' });
+
+    expect(snoozed.isDeferred()).toBe(true);
+    expect(snoozed.isDeferred(new Date(2025, 2, 12, 18, 0))).toBe(false);
+    expect(starting.getAvailableAt()).toEqual(new Date(2025, 2, 14));
+    expect(started.isDeferred()).toBe(false);
+    expect(new Task({ startDate: '2025-03-14', completed: true }).isDeferred()).toBe(false);
+    expect(new Task().getAvailableAt()).toBeNull();
+  });
+
+  it('should hide deferred tasks from My Day and, when asked, the task lists', () => {
+    manager.addTask({ text: 'Due today', dueDate: '2025-03-12' });
+    manager.addTask({ text: 'Snoozed', dueDate: '2025-03-12', isMyDay: true, deferUntil: new Date(2025, 2, 13, 9, 0).toISOString() });
+    manager.addTask({ text: 'Starts Friday', startDate: '2025-03-14' });
+
+    expect(manager.getMyDayTasks().map(t => t.text)).toEqual(['Due today']);
+    expect(manager.getAllTasks({ includeDeferred: false }).map(t => t.text)).toEqual(['Due today']);
+    expect(manager.getTasksByProject(DEFAULT_PROJECTS.INBOX, { includeDeferred: false })).toHaveLength(1);
+    expect(manager.getAllTasks()).toHaveLength(3);
+    expect(manager.getDeferredTasks().map(t => t.text)).toEqual(['Snoozed', 'Starts Friday']);
+  });
+
+  it('should work out snooze times', () => {
+    expect(manager.getSnoozeUntil('later-today')).toEqual(new Date(2025, 2, 12, 18, 0));
+    expect(manager.getSnoozeUntil('later-today', new Date(2025, 2, 12, 15, 20))).toEqual(new Date(2025, 2, 12, 19, 0));
+    expect(manager.getSnoozeUntil('tomorrow')).toEqual(new Date(2025, 2, 13, 9, 0));
+    // Weeks start on Sunday by default
+    expect(manager.getSnoozeUntil('next-week')).toEqual(new Date(2025, 2, 16, 9, 0));
+    expect(manager.getSnoozeUntil('someday')).toBeNull();
+  });
+
+  it('should snooze a task and bring it back, one undo step each', () => {
+    const task = manager.addTask({ text: 'Task' });
+
+    const result = manager.snoozeTask(task.id, 'tomorrow');
+    expect(result).toMatchObject({ success: true, message: 'Task snoozed' });
+    expect(result.task.deferUntil).toBe(new Date(2025, 2, 13, 9, 0).toISOString());
+    expect(manager.getTaskById(task.id).isDeferred()).toBe(true);
+
+    expect(manager.snoozeTask(task.id, null).task.deferUntil).toBeNull();
+    manager.undo();
+    expect(manager.getTaskById(task.id).isDeferred()).toBe(true);
+    manager.undo();
+    expect(manager.getTaskById(task.id).deferUntil).toBeNull();
+  });
+
+  it('should reject snoozing into the past and snoozing completed tasks', () => {
+    const task = manager.addTask({ text: 'Task' });
+    const done = manager.addTask({ text: 'Done', completed: true });
+
+    expect(manager.snoozeTask(task.id, new Date(2025, 2, 12, 14, 0)))
+      .toEqual({ success: false, message: 'Snooze time must be in the future' });
+    expect(manager.snoozeTask(task.id, new Date('not a date')).success).toBe(false);
+    expect(manager.snoozeTask(done.id, 'tomorrow').message).toBe('Completed tasks cannot be snoozed');
+    expect(manager.snoozeTask('task_missing', 'tomorrow').message).toBe('Task not found');
+  });
+});
+
+describe('TaskDataManager - My Day Planning', () => {
+  let manager;
+  // Wednesday afternoon
+  const now = new Date(2025, 2, 12, 15, 0);
+  const yesterday = new Date(2025, 2, 11, 10, 0);
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+    vi.useFakeTimers();
+    vi.setSystemTime(now);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const planTexts = suggestions => suggestions.map(({ task, reasons }) => [task.text, reasons]);
+
+  it('should start a new planning day at the reset hour', () => {
+    expect(manager.getPlanningDay(new Date(2025, 2, 12, 3, 0))).toBe('2025-03-12');
+    expect(manager.setMyDayResetHour(4)).toBe(true);
+    expect(manager.getPlanningDay(new Date(2025, 2, 12, 3, 0))).toBe('2025-03-11');
+    expect(manager.getPlanningDay(new Date(2025, 2, 12, 4, 0))).toBe('2025-03-12');
+    expect(manager.getNextMyDayReset(new Date(2025, 2, 12, 3, 0))).toEqual(new Date(2025, 2, 12, 4, 0));
+    expect(manager.getNextMyDayReset()).toEqual(new Date(2025, 2, 13, 4, 0));
+    expect(manager.setMyDayResetHour(24)).toBe(false);
+    expect(JSON.parse(localStorage.getItem('taskSettings')).myDayResetHour).toBe(4);
+  });
+
+  it('should take tasks added on an earlier day out of My Day when rolling over', () => {
+    vi.setSystemTime(yesterday);
+    const old = manager.addTask({ text: 'Yesterday', isMyDay: true });
+    vi.setSystemTime(now);
+    const today = manager.addTask({ text: 'Today' });
+    manager.updateTask(today.id, { isMyDay: true });
+    manager.tasks.push(new Task({ text: 'Before dates were recorded', isMyDay: true }));
+
+    expect(manager.getMyDayTasks().map(t => t.text)).toEqual(['Today', 'Before dates were recorded']);
+
+    expect(manager.rolloverMyDay().map(t => t.text)).toEqual(['Yesterday']);
+    expect(manager.getTaskById(old.id)).toMatchObject({ isMyDay: false, myDayDates: ['2025-03-11'] });
+    expect(manager.getMyDayTasks().map(t => t.myDayDates)).toEqual([['2025-03-12'], ['2025-03-12']]);
+    expect(manager.rolloverMyDay()).toEqual([]);
+
+    const reloaded = new TaskDataManager();
+    expect(reloaded.getTaskById(old.id).myDayDates).toEqual(['2025-03-11']);
+  });
+
+  it('should suggest left over, overdue, due soon and high-priority tasks', () => {
+    vi.setSystemTime(yesterday);
+    manager.addTask({ text: 'Left over', isMyDay: true });
+    const finished = manager.addTask({ text: 'Finished', isMyDay: true });
+    manager.completeTask(finished.id);
+    vi.setSystemTime(now);
+    manager.rolloverMyDay();
+
+    manager.addTask({ text: 'Someday' });
+    manager.addTask({ text: 'Due next week', dueDate: '2025-03-20' });
+    manager.addTask({ text: 'Due Saturday', dueDate: '2025-03-15' });
+    manager.addTask({ text: 'Urgent', priority: TaskPriority.HIGH });
+    manager.addTask({ text: 'Already planned', priority: TaskPriority.HIGH, isMyDay: true });
+    manager.addTask({ text: 'Snoozed', priority: TaskPriority.HIGH, deferUntil: new Date(2025, 2, 13, 9, 0).toISOString() });
+    manager.addTask({ text: 'Overdue', dueDate: '2025-03-10', priority: TaskPriority.HIGH });
+
+    expect(planTexts(manager.getMyDayPlanSuggestions())).toEqual([
+      ['Left over', ['unfinished']],
+      ['Overdue', ['overdue', 'high-priority']],
+      ['Due Saturday', ['due-soon']],
+      ['Urgent', ['high-priority']]
+    ]);
+  });
+
+  it('should add accepted tasks and hide turned down ones until the next planning day', () => {
+    const soon = manager.addTask({ text: 'Due tomorrow', dueDate: '2025-03-13' });
+    const overdue = manager.addTask({ text: 'Overdue', dueDate: '2025-03-10' });
+    expect(manager.getMyDayPlan()).toEqual({ date: '2025-03-12', dismissed: [], done: false });
+
+    const result = manager.planMyDay({ accepted: [soon.id], rejected: [overdue.id] });
+
+    expect(result.message).toBe('1 task added to My Day');
+    expect(manager.getMyDayTasks().map(t => t.text)).toEqual(['Due tomorrow']);
+    expect(manager.getMyDayPlanSuggestions()).toEqual([]);
+    expect(manager.getMyDayPlan()).toEqual({ date: '2025-03-12', dismissed: [overdue.id], done: true });
+
+    manager.undo();
+    expect(manager.getTaskById(soon.id).isMyDay).toBe(false);
+
+    vi.setSystemTime(new Date(2025, 2, 13, 9, 0));
+    expect(manager.getMyDayPlan().done).toBe(false);
+    expect(manager.getMyDayTasks().map(t => t.text)).toEqual(['Overdue', 'Due tomorrow']);
+  });
+});
+
 describe('TaskDataManager - Dependency Management', () => {
   let manager;
 
@@ -744,6 +1010,338 @@ describe('TaskDataManager - Dependency Management', () => {
   });
 });
 
+describe('TaskDataManager - Bulk Operations', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+  });
+
+  it('should complete many tasks as one undo step', () => {
+    const first = manager.addTask({ text: 'First' });
+    const second = manager.addTask({ text: 'Second' });
+    const waiting = manager.addTask({ text: 'Waiting' });
+    manager.addDependency(waiting.id, first.id);
+
+    const result = manager.bulkUpdateTasks([first.id, second.id], 'complete');
+
+    expect(result.message).toBe('Completed 2 tasks');
+    expect(result.tasks.every(t => t.completed)).toBe(true);
+    expect(manager.getTaskById(waiting.id).status).toBe(TaskStatus.TODO);
+
+    manager.undo();
+    expect(manager.getTaskById(first.id).completed).toBe(false);
+    expect(manager.getTaskById(second.id).completed).toBe(false);
+    expect(manager.getTaskById(waiting.id).status).toBe(TaskStatus.BLOCKED);
+  });
+
+  it('should apply a change to every selected task with a single save', () => {
+    const work = manager.addProject({ name: 'Work' });
+    const tasks = [
+      manager.addTask({ text: 'One', tags: ['home'] }),
+      manager.addTask({ text: 'Two', dueTime: '09:00', dueDate: '2025-03-01' })
+    ];
+    const ids = tasks.map(t => t.id);
+    const setItem = vi.spyOn(localStorage, 'setItem');
+
+    manager.bulkUpdateTasks(ids, 'move', work.id);
+    expect(setItem.mock.calls.filter(([key]) => key === 'tasks')).toHaveLength(1);
+    setItem.mockRestore();
+
+    manager.bulkUpdateTasks(ids, 'priority', TaskPriority.HIGH);
+    manager.bulkUpdateTasks(ids, 'due-date', '2025-03-14');
+    manager.bulkUpdateTasks(ids, 'add-tag', ' urgent ');
+    manager.bulkUpdateTasks(ids, 'remove-tag', 'home');
+    manager.bulkUpdateTasks(ids, 'my-day', true);
+
+    expect(ids.map(id => manager.getTaskById(id))).toMatchObject([
+      { projectId: work.id, priority: 'high', dueDate: '2025-03-14', tags: ['urgent'], isMyDay: true },
+      { projectId: work.id, priority: 'high', dueDate: '2025-03-14', dueTime: '09:00', tags: ['urgent'], isMyDay: true }
+    ]);
+
+    expect(manager.bulkUpdateTasks(ids, 'due-date', null).message).toBe('Removed the due date from 2 tasks');
+    expect(manager.getTaskById(ids[1])).toMatchObject({ dueDate: null, dueTime: null });
+  });
+
+  it('should move selected tasks to the Trash together', () => {
+    const first = manager.addTask({ text: 'First' });
+    const second = manager.addTask({ text: 'Second' });
+
+    expect(manager.bulkUpdateTasks([first.id, second.id, 'task_missing'], 'delete').message)
+      .toBe('Moved 2 tasks to the Trash');
+    expect(manager.getAllTasks()).toHaveLength(0);
+    expect(manager.getTrash().tasks).toHaveLength(2);
+
+    manager.undo();
+    expect(manager.getAllTasks()).toHaveLength(2);
+  });
+
+  it('should reject invalid values without changing anything', () => {
+    const task = manager.addTask({ text: 'Task' });
+    const undoSteps = manager.history.undoStack.length;
+
+    expect(manager.bulkUpdateTasks([], 'complete').message).toBe('No tasks selected');
+    expect(manager.bulkUpdateTasks([task.id], 'move', 'project_missing').message).toBe('Project not found');
+    expect(manager.bulkUpdateTasks([task.id], 'priority', 'urgent').message).toBe('Invalid priority');
+    expect(manager.bulkUpdateTasks([task.id], 'due-date', 'soon').message).toBe('Invalid due date');
+    expect(manager.bulkUpdateTasks([task.id], 'add-tag', '  ').message).toBe('Invalid tag');
+    expect(manager.bulkUpdateTasks([task.id], 'archive').message).toBe('Unknown action');
+    expect(manager.history.undoStack.length).toBe(undoSteps);
+  });
+});
+
+describe('TaskDataManager - Time Tracking', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+  });
+
+  const at = (hour, minute = 0) => new Date(2025, 2, 10, hour, minute);
+
+  it('should run one timer at a time and undo a start in one step', () => {
+    const write = manager.addTask({ text: 'Write' });
+    const review = manager.addTask({ text: 'Review' });
+
+    expect(manager.startTimer(write.id, at(9)).success).toBe(true);
+    expect(manager.startTimer(write.id, at(9, 5)).message).toBe('The timer is already running');
+
+    const result = manager.startTimer(review.id, at(9, 30));
+    expect(result.stoppedTask.id).toBe(write.id);
+    expect(manager.getRunningTimer().task.id).toBe(review.id);
+    expect(manager.getTaskById(write.id).getTrackedTime()).toBe(30 * 60 * 1000);
+    expect(manager.getTaskById(review.id).getTrackedTime(at(9, 45))).toBe(15 * 60 * 1000);
+
+    manager.undo();
+    expect(manager.getRunningTimer().task.id).toBe(write.id);
+    expect(manager.getTaskById(review.id).timeEntries).toHaveLength(0);
+
+    const stopped = manager.stopTimer(at(10));
+    expect(stopped.entry).toMatchObject({ source: 'timer', end: at(10).toISOString() });
+    expect(manager.getRunningTimer()).toBeNull();
+    expect(manager.stopTimer(at(10)).message).toBe('No timer is running');
+  });
+
+  it('should add, edit and delete time entries and reject invalid times', () => {
+    const task = manager.addTask({ text: 'Task' });
+    const now = at(12);
+
+    const added = manager.addTimeEntry(task.id, { start: at(9), end: at(10, 30), note: '  Drafting  ' }, now);
+    expect(added.entry).toMatchObject({ note: 'Drafting', source: 'manual' });
+
+    expect(manager.addTimeEntry(task.id, { start: at(10), end: at(9) }, now).message)
+      .toBe('End time must be after the start time');
+    expect(manager.addTimeEntry(task.id, { start: at(13), end: at(14) }, now).message)
+      .toBe('Time entries cannot start in the future');
+    expect(manager.addTimeEntry(task.id, { start: 'soon', end: at(10) }, now).message).toBe('Invalid start time');
+    expect(manager.addTimeEntry(task.id, { start: at(9) }, now).message).toBe('Invalid end time');
+
+    const entryId = added.entry.id;
+    expect(manager.updateTimeEntry(task.id, entryId, { end: at(11), note: 'Editing' }, now).entry)
+      .toMatchObject({ start: at(9).toISOString(), end: at(11).toISOString(), note: 'Editing' });
+    expect(manager.updateTimeEntry(task.id, entryId, { start: at(11, 30) }, now).success).toBe(false);
+    expect(manager.getTaskById(task.id).getTrackedTime()).toBe(2 * 60 * 60 * 1000);
+
+    expect(manager.deleteTimeEntry(task.id, entryId)).toBe(true);
+    expect(manager.getTaskById(task.id).timeEntries).toHaveLength(0);
+    manager.undo();
+    expect(manager.getTaskById(task.id).timeEntries).toHaveLength(1);
+  });
+
+  it('should stop the timer of completed and deleted tasks and record pomodoros', () => {
+    const task = manager.addTask({ text: 'Task' });
+    const other = manager.addTask({ text: 'Other' });
+
+    manager.startTimer(task.id);
+    manager.completeTask(task.id);
+    expect(manager.getRunningTimer()).toBeNull();
+    expect(manager.startTimer(task.id).message).toBe('Completed tasks cannot be tracked');
+
+    manager.startTimer(other.id);
+    manager.deleteTask(other.id);
+    expect(manager.getRunningTimer()).toBeNull();
+    expect(manager.getTrash().tasks[0].timeEntries[0].isRunning()).toBe(false);
+
+    const focus = manager.addTask({ text: 'Focus' });
+    const updated = manager.recordPomodoro(focus.id, 25, at(10));
+    expect(updated.pomodorosCompleted).toBe(1);
+    expect(updated.timeEntries[0]).toMatchObject({
+      source: 'pomodoro',
+      start: at(9, 35).toISOString(),
+      end: at(10).toISOString()
+    });
+    expect(manager.duplicateTask(focus.id).timeEntries).toHaveLength(0);
+  });
+
+  it('should total tracked time per task, project and tag within a date range', () => {
+    const work = manager.addProject({ name: 'Work' });
+    const report = manager.addTask({ text: 'Report', projectId: work.id, tags: ['writing', 'q1'] });
+    const email = manager.addTask({ text: 'Email', tags: ['writing'] });
+    const now = at(18);
+    manager.addTimeEntry(report.id, { start: new Date(2025, 2, 9, 23), end: at(1) }, now);
+    manager.addTimeEntry(email.id, { start: at(9), end: at(9, 30) }, now);
+    manager.startTimer(email.id, at(17, 45));
+
+    const time = new AnalyticsManager(manager).getTimeTracked(at(0), null, now);
+
+    expect(time.total).toBe(105);
+    expect(time.tasks.map(t => [t.task.text, t.minutes])).toEqual([['Report', 60], ['Email', 45]]);
+    expect(time.projects.map(p => [p.project.name, p.minutes])).toEqual([['Work', 60], ['Inbox', 45]]);
+    expect(time.tags).toEqual([{ tag: 'writing', minutes: 105 }, { tag: 'q1', minutes: 60 }]);
+  });
+});
+
+describe('TaskDataManager - Board Workflow', () => {
+  let manager;
+  let project;
+
+  const customWorkflow = () => [
+    { id: 'backlog', name: 'Backlog', status: TaskStatus.TODO, wipLimit: null },
+    { id: 'todo', name: 'Ready', status: TaskStatus.TODO, wipLimit: null },
+    { id: 'doing', name: 'Doing', status: TaskStatus.IN_PROGRESS, wipLimit: 2 },
+    { id: 'review', name: 'Review', status: TaskStatus.IN_PROGRESS, wipLimit: null },
+    { id: 'done', name: 'Done', status: TaskStatus.DONE, wipLimit: null },
+    { id: 'blocked', name: 'Blocked', status: TaskStatus.BLOCKED, wipLimit: null }
+  ];
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+    project = manager.addProject({ name: 'Team' });
+  });
+
+  it('should use the default columns until a project has its own', () => {
+    expect(manager.getProjectWorkflow(project.id)).toEqual(DEFAULT_WORKFLOW);
+    expect(manager.getProjectWorkflow(null)).toEqual(DEFAULT_WORKFLOW);
+    expect(project.workflow).toBeNull();
+  });
+
+  it('should save a custom workflow on the project', () => {
+    const result = manager.setProjectWorkflow(project.id, customWorkflow());
+
+    expect(result.success).toBe(true);
+    expect(manager.getProjectWorkflow(project.id).map(c => c.name))
+      .toEqual(['Backlog', 'Ready', 'Doing', 'Review', 'Done', 'Blocked']);
+    expect(new TaskDataManager().getProjectById(project.id).workflow).toEqual(customWorkflow());
+  });
+
+  it.each([
+    [[], 'Add at least one column'],
+    [[{ id: 'a', name: ' ', status: 'todo' }], 'Every column needs a name'],
+    [[{ id: 'a', name: 'A', status: 'later' }], 'unknown status'],
+    [[{ id: 'a', name: 'A', status: 'todo', wipLimit: 0 }], 'WIP limit of "A"'],
+    [[{ id: 'a', name: 'A', status: 'todo' }, { id: 'a', name: 'B', status: 'done' }], 'Column IDs must be unique'],
+    [[{ id: 'a', name: 'A', status: 'todo' }, { id: 'b', name: 'B', status: 'done' }], 'Add a column for In Progress, Blocked tasks']
+  ])('should reject invalid workflow %#', (columns, message) => {
+    const result = manager.setProjectWorkflow(project.id, columns);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toContain(message);
+    expect(manager.getProjectById(project.id).workflow).toBeNull();
+  });
+
+  it('should place existing tasks in the first column for their status', () => {
+    const todo = manager.addTask({ text: 'Todo', projectId: project.id });
+    const doing = manager.addTask({ text: 'Doing', projectId: project.id, status: TaskStatus.IN_PROGRESS });
+    manager.setProjectWorkflow(project.id, customWorkflow());
+    const workflow = manager.getProjectWorkflow(project.id);
+
+    expect(manager.getTaskColumn(todo, workflow).id).toBe('backlog');
+    expect(manager.getTaskColumn(doing, workflow).id).toBe('doing');
+  });
+
+  it('should move a task between columns of the same status', () => {
+    manager.setProjectWorkflow(project.id, customWorkflow());
+    const workflow = manager.getProjectWorkflow(project.id);
+    const task = manager.addTask({ text: 'Task', projectId: project.id, status: TaskStatus.IN_PROGRESS });
+
+    const result = manager.moveTaskToColumn(task.id, workflow.find(c => c.id === 'review'));
+
+    expect(result.success).toBe(true);
+    expect(result.task).toMatchObject({ columnId: 'review', status: TaskStatus.IN_PROGRESS });
+    expect(manager.getTaskColumn(result.task, workflow).id).toBe('review');
+  });
+
+  it('should follow the status when it changes outside the board', () => {
+    manager.setProjectWorkflow(project.id, customWorkflow());
+    const workflow = manager.getProjectWorkflow(project.id);
+    const task = manager.addTask({ text: 'Task', projectId: project.id, status: TaskStatus.IN_PROGRESS, columnId: 'review' });
+
+    const updated = manager.updateTask(task.id, { status: TaskStatus.TODO });
+
+    expect(manager.getTaskColumn(updated, workflow).id).toBe('backlog');
+  });
+
+  it('should complete and reopen tasks moved into and out of Done in one undo step', () => {
+    const task = manager.addTask({ text: 'Task', projectId: project.id });
+    const workflow = manager.getProjectWorkflow(project.id);
+
+    const result = manager.moveTaskToColumn(task.id, workflow.find(c => c.status === TaskStatus.DONE));
+    expect(result.task.completed).toBe(true);
+    expect(result.completion).toMatchObject({ nextTask: null, unblockedTasks: [] });
+
+    manager.undo();
+    expect(manager.getTaskById(task.id)).toMatchObject({ completed: false, status: TaskStatus.TODO, columnId: null });
+
+    manager.redo();
+    const reopened = manager.moveTaskToColumn(task.id, workflow.find(c => c.status === TaskStatus.IN_PROGRESS));
+    expect(reopened.task).toMatchObject({ completed: false, status: TaskStatus.IN_PROGRESS });
+    expect(reopened.completion.reBlockedTasks).toEqual([]);
+  });
+
+  it('should apply swimlane changes with the column move in one undo step', () => {
+    const task = manager.addTask({ text: 'Task', projectId: project.id, priority: 'low' });
+    const workflow = manager.getProjectWorkflow(project.id);
+
+    const result = manager.moveTaskToColumn(task.id, workflow.find(c => c.status === TaskStatus.IN_PROGRESS), { priority: 'high' });
+    expect(result.task).toMatchObject({ status: TaskStatus.IN_PROGRESS, priority: 'high' });
+
+    manager.undo();
+    expect(manager.getTaskById(task.id)).toMatchObject({ status: TaskStatus.TODO, priority: 'low' });
+  });
+
+  it('should not move a task into Done while its blockers are open', () => {
+    const blocker = manager.addTask({ text: 'Blocker' });
+    const task = manager.addTask({ text: 'Blocked', projectId: project.id });
+    manager.addDependency(task.id, blocker.id);
+    const done = manager.getProjectWorkflow(project.id).find(c => c.status === TaskStatus.DONE);
+
+    const result = manager.moveTaskToColumn(task.id, done);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('"Blocked" can\'t move to Done while 1 blocker is still open');
+    expect(manager.getTaskById(task.id).completed).toBe(false);
+
+    manager.completeTask(blocker.id);
+    expect(manager.moveTaskToColumn(task.id, done).success).toBe(true);
+  });
+
+  it('should flag columns over their WIP limit', () => {
+    manager.setProjectWorkflow(project.id, customWorkflow());
+    const workflow = manager.getProjectWorkflow(project.id);
+    const tasks = [1, 2, 3].map(n => manager.addTask({ text: `Task ${n}`, projectId: project.id, status: TaskStatus.IN_PROGRESS }));
+
+    const groups = manager.groupTasksByColumn(tasks, workflow);
+
+    expect(groups.map(g => g.tasks.length)).toEqual([0, 0, 3, 0, 0, 0]);
+    expect(groups.find(g => g.column.id === 'doing').overLimit).toBe(true);
+    expect(groups.filter(g => g.overLimit)).toHaveLength(1);
+  });
+
+  it('should move tasks out of removed columns and reset to the default columns', () => {
+    manager.setProjectWorkflow(project.id, customWorkflow());
+    const task = manager.addTask({ text: 'Task', projectId: project.id, columnId: 'backlog' });
+
+    const result = manager.setProjectWorkflow(project.id, null);
+
+    expect(result.success).toBe(true);
+    expect(result.project.workflow).toBeNull();
+    expect(manager.getTaskById(task.id).columnId).toBeNull();
+  });
+});
+
 describe('TaskDataManager - Data Migration', () => {
   let manager;
 
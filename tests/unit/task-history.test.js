@@ -0,0 +1,259 @@
+/**
+ * Unit Tests for Task Undo/Redo
+ * Tests command recording in TaskDataManager and the TaskHistory stacks
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+// Load DateUtils
+const loadDateUtilsModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/core/date-utils.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('date-utils\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { DateUtils };');
+  return moduleFunc();
+};
+
+Object.assign(global, loadDateUtilsModule());
+
+// Load TaskDataManager and TaskHistory
+const loadTaskDataModule = () => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(
+    path.join(__dirname, '../../js/features/tasks/task-data.js'),
+    'utf8'
+  );
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('task-data\.js loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + '\nreturn { TaskDataManager, TaskHistory, TaskStatus, DEFAULT_PROJECTS };');
+  return moduleFunc();
+};
+
+const { TaskDataManager, TaskHistory, TaskStatus, DEFAULT_PROJECTS } = loadTaskDataModule();
+
+describe('TaskDataManager - Undo/Redo', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+  });
+
+  describe('Tasks', () => {
+    it('should restore a deleted task at its old position', () => {
+      const first = manager.addTask({ text: 'First' });
+      const second = manager.addTask({ text: 'Second' });
+      const third = manager.addTask({ text: 'Third' });
+
+      manager.deleteTask(second.id);
+      const command = manager.undo();
+
+      expect(command.label).toBe('Delete task');
+      expect(manager.tasks.map(t => t.id)).toEqual([third.id, second.id, first.id]);
+      expect(JSON.parse(localStorage.getItem('tasks')).map(t => t.id)).toContain(second.id);
+    });
+
+    it('should redo an undone change', () => {
+      const task = manager.addTask({ text: 'Draft' });
+      manager.updateTask(task.id, { text: 'Final' });
+
+      manager.undo();
+      expect(manager.getTaskById(task.id).text).toBe('Draft');
+
+      manager.redo();
+      expect(manager.getTaskById(task.id).text).toBe('Final');
+      expect(manager.canRedo()).toBe(false);
+    });
+
+    it('should walk back several commands in order', () => {
+      const task = manager.addTask({ text: 'v1' });
+      manager.updateTask(task.id, { text: 'v2' });
+      manager.updateTask(task.id, { text: 'v3' });
+
+      manager.undo();
+      manager.undo();
+      expect(manager.getTaskById(task.id).text).toBe('v1');
+
+      manager.undo();
+      expect(manager.getTaskById(task.id)).toBeUndefined();
+      expect(manager.undo()).toBeNull();
+    });
+
+    it('should clear redo after a new change', () => {
+      const task = manager.addTask({ text: 'Task' });
+      manager.updateTask(task.id, { text: 'Edited' });
+      manager.undo();
+
+      manager.updateTask(task.id, { priority: 'high' });
+
+      expect(manager.canRedo()).toBe(false);
+      expect(manager.redo()).toBeNull();
+    });
+
+    it('should not record commands that change nothing', () => {
+      const task = manager.addTask({ text: 'Task' });
+
+      manager.updateTask(task.id, { text: 'Task' });
+      manager.addDependency(task.id, 'missing');
+      manager.deleteTask('missing');
+
+      expect(manager.history.undoStack).toHaveLength(1);
+      expect(manager.history.undoStack[0].label).toBe('Add task');
+    });
+
+    it('should undo a completion and the tasks it unblocked in one step', () => {
+      const blocker = manager.addTask({ text: 'Blocker' });
+      const blocked = manager.addTask({ text: 'Blocked' });
+      manager.addDependency(blocked.id, blocker.id);
+
+      manager.completeTask(blocker.id);
+      expect(manager.getTaskById(blocked.id).status).toBe(TaskStatus.TODO);
+
+      const command = manager.undo();
+
+      expect(command.label).toBe('Complete task');
+      expect(manager.getTaskById(blocker.id).completed).toBe(false);
+      expect(manager.getTaskById(blocked.id).status).toBe(TaskStatus.BLOCKED);
+    });
+  });
+
+  describe('Subtasks, comments and dependencies', () => {
+    it('should undo subtask add, edit and delete', () => {
+      const task = manager.addTask({ text: 'Parent' });
+      const subtask = manager.addSubtask(task.id, 'Step 1');
+      manager.updateSubtask(task.id, subtask.id, { text: 'Step one' });
+      manager.deleteSubtask(task.id, subtask.id);
+
+      manager.undo();
+      expect(manager.getTaskById(task.id).subtasks[0].text).toBe('Step one');
+
+      manager.undo();
+      expect(manager.getTaskById(task.id).subtasks[0].text).toBe('Step 1');
+
+      manager.undo();
+      expect(manager.getTaskById(task.id).subtasks).toHaveLength(0);
+    });
+
+    it('should unblock dependents when a subtask blocker is toggled', () => {
+      const parent = manager.addTask({ text: 'Parent' });
+      const subtask = manager.addSubtask(parent.id, 'Step');
+      const blocked = manager.addTask({ text: 'Blocked' });
+      manager.addDependency(blocked.id, `${parent.id}:${subtask.id}`);
+
+      const result = manager.toggleSubtask(parent.id, subtask.id);
+
+      expect(result.subtask.completed).toBe(true);
+      expect(result.unblockedTasks.map(t => t.id)).toEqual([blocked.id]);
+
+      manager.undo();
+      expect(manager.getTaskById(parent.id).subtasks[0].completed).toBe(false);
+      expect(manager.getTaskById(blocked.id).status).toBe(TaskStatus.BLOCKED);
+    });
+
+    it('should restore deleted comments and removed dependencies', () => {
+      const blocker = manager.addTask({ text: 'Blocker' });
+      const task = manager.addTask({ text: 'Task' });
+      const comment = manager.addComment(task.id, 'Note');
+      manager.addDependency(task.id, blocker.id);
+
+      manager.deleteComment(task.id, comment.id);
+      manager.removeDependency(task.id, blocker.id);
+
+      manager.undo();
+      expect(manager.getTaskById(task.id).blockedBy).toEqual([blocker.id]);
+      expect(manager.getTaskById(task.id).status).toBe(TaskStatus.BLOCKED);
+
+      manager.undo();
+      expect(manager.getTaskById(task.id).comments.map(c => c.id)).toEqual([comment.id]);
+    });
+  });
+
+  describe('Projects', () => {
+    it('should restore a deleted project and move its tasks back', () => {
+      const project = manager.addProject({ name: 'Launch' });
+      const task = manager.addTask({ text: 'Ship', projectId: project.id });
+
+      manager.deleteProject(project.id);
+      expect(manager.getTaskById(task.id).projectId).toBe(DEFAULT_PROJECTS.INBOX);
+
+      manager.undo();
+
+      expect(manager.getProjectById(project.id).name).toBe('Launch');
+      expect(manager.getTaskById(task.id).projectId).toBe(project.id);
+    });
+  });
+
+  describe('Events', () => {
+    it('should publish history:undone with the affected records', () => {
+      const emitted = [];
+      window.eventBus = { emit: (event, data) => emitted.push({ event, data }) };
+
+      const task = manager.addTask({ text: 'Task' });
+      manager.undo();
+
+      delete window.eventBus;
+      expect(emitted.pop()).toEqual({
+        event: 'history:undone',
+        data: { label: 'Add task', taskIds: [task.id], projectIds: [] }
+      });
+    });
+  });
+});
+
+describe('TaskHistory', () => {
+  const command = (label, taskIds = []) => ({
+    label,
+    tasks: taskIds.map(id => ({ id, before: null, after: { id } })),
+    projects: []
+  });
+
+  it('should keep at most the configured number of commands', () => {
+    const history = new TaskHistory(3);
+    ['a', 'b', 'c', 'd'].forEach(label => history.push(command(label)));
+
+    expect(history.undoStack.map(c => c.label)).toEqual(['b', 'c', 'd']);
+  });
+
+  it('should move commands between the undo and redo stacks', () => {
+    const history = new TaskHistory();
+    history.push(command('a'));
+
+    expect(history.undo().label).toBe('a');
+    expect(history.canUndo()).toBe(false);
+    expect(history.redo().label).toBe('a');
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('should discard commands touching records changed elsewhere', () => {
+    const history = new TaskHistory();
+    history.push(command('keep', ['t1']));
+    history.push(command('drop', ['t2']));
+    history.push(command('undone', ['t2']));
+    history.undo();
+
+    history.discard('tasks', ['t2']);
+
+    expect(history.undoStack.map(c => c.label)).toEqual(['keep']);
+    expect(history.canRedo()).toBe(false);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Unit Tests for TaskQuery
+ * Tests parsing and evaluation of the saved filter query language
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+Object.assign(global, loadScript('../../js/features/tasks/task-query.js', 'TaskQuery'));
+const { TaskDataManager, Task, TaskStatus } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager, Task, TaskStatus');
+global.TaskStatus = TaskStatus;
+
+// Wednesday afternoon
+const now = new Date(2025, 2, 12, 15, 0);
+const projects = [
+  { id: 'inbox', name: 'Inbox' },
+  { id: 'proj_work', name: 'Work' },
+  { id: 'proj_side', name: 'Side Project' }
+];
+const context = { projects, now };
+
+const matches = (query, taskData) => {
+  const { ast, error } = TaskQuery.parse(query);
+  expect(error).toBeNull();
+  return TaskQuery.matches(ast, new Task(taskData), context);
+};
+
+describe('TaskQuery', () => {
+  describe('parse', () => {
+    it('should join adjacent terms with AND and bind AND tighter than OR', () => {
+      const { ast } = TaskQuery.parse('tag:a tag:b OR tag:c');
+
+      expect(ast.type).toBe('or');
+      expect(ast.children[0]).toMatchObject({ type: 'and', children: [{ value: 'a' }, { value: 'b' }] });
+      expect(ast.children[1]).toMatchObject({ type: 'term', field: 'tag', value: 'c' });
+    });
+
+    it('should parse NOT, leading dashes and parentheses', () => {
+      expect(TaskQuery.parse('NOT tag:waiting').ast).toMatchObject({ type: 'not', child: { field: 'tag' } });
+      expect(TaskQuery.parse('-tag:waiting').ast).toMatchObject({ type: 'not', child: { field: 'tag' } });
+      expect(TaskQuery.parse('(tag:a OR tag:b) AND priority:high').ast).toMatchObject({
+        type: 'and',
+        children: [{ type: 'or' }, { field: 'priority', value: 'high' }]
+      });
+    });
+
+    it('should keep quoted values and literal words together', () => {
+      expect(TaskQuery.parse('project:"Side Project"').ast).toMatchObject({ field: 'project', value: 'Side Project' });
+      expect(TaskQuery.parse('"tag:x"').ast).toEqual({ type: 'text', value: 'tag:x' });
+      expect(TaskQuery.parse('"call mom"').ast).toEqual({ type: 'text', value: 'call mom' });
+    });
+
+    it('should treat lower-case operators and unknown fields as text', () => {
+      expect(TaskQuery.parse('not').ast).toEqual({ type: 'text', value: 'not' });
+      expect(TaskQuery.parse('re:meeting').ast).toEqual({ type: 'text', value: 're:meeting' });
+    });
+
+    it('should parse date comparisons', () => {
+      expect(TaskQuery.parse('due:<7d').ast).toMatchObject({ field: 'due', op: '<', value: '7d' });
+      expect(TaskQuery.parse('created:>=-2w').ast).toMatchObject({ field: 'created', op: '>=', value: '-2w' });
+      expect(TaskQuery.parse('due:2025-03-20').ast).toMatchObject({ op: '=', value: '2025-03-20' });
+    });
+
+    it('should return an empty result for an empty query', () => {
+      expect(TaskQuery.parse('   ')).toEqual({ ast: null, error: null });
+    });
+
+    it.each([
+      ['priority:urgent', 'Unknown priority "urgent"'],
+      ['status:later', 'Unknown status "later"'],
+      ['is:pinned', 'Unknown value "is:pinned"'],
+      ['due:soon', 'Invalid date "soon"'],
+      ['due:2025-02-30', 'Invalid date "2025-02-30"'],
+      ['tag:', 'Missing value after "tag:"'],
+      ['(tag:a', 'Missing closing parenthesis'],
+      ['tag:a)', 'Unexpected ")"'],
+      ['tag:a AND', 'Query ends too early'],
+      ['OR tag:a', 'Unexpected "OR"'],
+      ['project:"Side', 'Missing closing quote']
+    ])('should reject %s', (query, message) => {
+      const result = TaskQuery.parse(query);
+
+      expect(result.ast).toBeNull();
+      expect(result.error).toContain(message);
+    });
+  });
+
+  describe('matches', () => {
+    it('should match projects by name or ID, ignoring case and spacing', () => {
+      expect(matches('project:work', { text: 'A', projectId: 'proj_work' })).toBe(true);
+      expect(matches('project:side-project', { text: 'A', projectId: 'proj_side' })).toBe(true);
+      expect(matches('project:proj_side', { text: 'A', projectId: 'proj_side' })).toBe(true);
+      expect(matches('project:Work', { text: 'A', projectId: 'inbox' })).toBe(false);
+    });
+
+    it('should match tags, priority and status', () => {
+      const task = { text: 'A', tags: ['Waiting'], priority: 'high', status: 'in-progress' };
+
+      expect(matches('tag:waiting', task)).toBe(true);
+      expect(matches('priority:high status:in-progress', task)).toBe(true);
+      expect(matches('priority:low OR status:todo', task)).toBe(false);
+    });
+
+    it('should match plain words against text, description, tags and subtasks', () => {
+      const task = { text: 'Quarterly report', description: 'Numbers', tags: ['finance'], subtasks: [{ text: 'Draft slides' }] };
+
+      expect(matches('report', task)).toBe(true);
+      expect(matches('numbers fin slides', task)).toBe(true);
+      expect(matches('budget', task)).toBe(false);
+    });
+
+    it('should evaluate is: and has:', () => {
+      expect(matches('is:overdue', { text: 'A', dueDate: '2025-03-11' })).toBe(true);
+      expect(matches('is:overdue', { text: 'A', dueDate: '2025-03-12', dueTime: '16:00' })).toBe(false);
+      expect(matches('is:completed', { text: 'A', completed: true })).toBe(true);
+      expect(matches('is:open', { text: 'A', completed: true })).toBe(false);
+      expect(matches('is:my-day is:recurring', { text: 'A', isMyDay: true, isRecurring: true })).toBe(true);
+      expect(matches('is:deferred', { text: 'A', startDate: '2025-03-13' })).toBe(true);
+      expect(matches('is:snoozed', { text: 'A', deferUntil: new Date(2025, 2, 12, 14, 0).toISOString() })).toBe(false);
+      expect(matches('has:time', { text: 'A', dueDate: '2025-03-12', dueTime: '09:00' })).toBe(true);
+      expect(matches('has:tags OR has:subtasks OR has:description', { text: 'A' })).toBe(false);
+    });
+
+    it.each([
+      ['due:today', '2025-03-12', true],
+      ['due:tomorrow', '2025-03-13', true],
+      ['due:<7d', '2025-03-18', true],
+      ['due:<7d', '2025-03-19', false],
+      ['due:<7d', '2025-03-01', true],
+      ['due:<=7d', '2025-03-19', true],
+      ['due:>today', '2025-03-13', true],
+      ['due:>=2025-03-12', '2025-03-12T00:00:00.000Z', true],
+      ['due:week', '2025-03-15', true],
+      ['due:week', '2025-03-16', false],
+      ['due:1m', '2025-04-12', true],
+      ['due:any', '2025-04-12', true],
+      ['due:none', '2025-04-12', false]
+    ])('%s should be %s for a task due %s', (query, dueDate, expected) => {
+      expect(matches(query, { text: 'A', dueDate })).toBe(expected);
+    });
+
+    it('should compare created and completed timestamps by local day', () => {
+      const task = {
+        text: 'A',
+        createdAt: new Date(2025, 2, 5, 23, 30).toISOString(),
+        completed: true,
+        completedAt: new Date(2025, 2, 12, 0, 15).toISOString()
+      };
+
+      expect(matches('created:>=-7d', task)).toBe(true);
+      expect(matches('created:>-7d', task)).toBe(false);
+      expect(matches('completed:today', task)).toBe(true);
+      expect(matches('due:<7d', task)).toBe(false);
+    });
+
+    it('should combine terms with NOT', () => {
+      const query = 'project:Work AND priority:high AND due:<7d AND NOT tag:waiting';
+
+      expect(matches(query, { text: 'A', projectId: 'proj_work', priority: 'high', dueDate: '2025-03-14' })).toBe(true);
+      expect(matches(query, { text: 'A', projectId: 'proj_work', priority: 'high', dueDate: '2025-03-14', tags: ['waiting'] })).toBe(false);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should tell when a query asks for completed tasks', () => {
+      expect(TaskQuery.includesCompleted(TaskQuery.parse('tag:a OR is:completed').ast)).toBe(true);
+      expect(TaskQuery.includesCompleted(TaskQuery.parse('status:done').ast)).toBe(true);
+      expect(TaskQuery.includesCompleted(TaskQuery.parse('completed:-7d').ast)).toBe(true);
+      expect(TaskQuery.includesCompleted(TaskQuery.parse('tag:a').ast)).toBe(false);
+    });
+
+    it('should tell plain search words from structured queries', () => {
+      expect(TaskQuery.isStructured(TaskQuery.parse('buy milk').ast)).toBe(false);
+      expect(TaskQuery.isStructured(TaskQuery.parse('buy tag:errands').ast)).toBe(true);
+      expect(TaskQuery.isStructured(TaskQuery.parse('milk OR eggs').ast)).toBe(true);
+    });
+  });
+
+  describe('TaskDataManager.getTasksByQuery', () => {
+    let manager;
+
+    beforeEach(() => {
+      localStorage.clear();
+      manager = new TaskDataManager();
+    });
+
+    it('should leave out completed tasks unless the query asks for them', () => {
+      const open = manager.addTask({ text: 'Open', tags: ['work'] });
+      const done = manager.addTask({ text: 'Done', tags: ['work'] });
+      manager.completeTask(done.id);
+
+      expect(manager.getTasksByQuery('tag:work').map(t => t.id)).toEqual([open.id]);
+      expect(manager.getTasksByQuery('tag:work is:completed').map(t => t.id)).toEqual([done.id]);
+    });
+
+    it('should match project names from the manager', () => {
+      const project = manager.addProject({ name: 'Garden' });
+      const task = manager.addTask({ text: 'Plant', projectId: project.id });
+      manager.addTask({ text: 'Elsewhere' });
+
+      expect(manager.getTasksByQuery('project:garden')).toEqual([task]);
+    });
+
+    it('should return no tasks for an invalid query', () => {
+      manager.addTask({ text: 'Anything' });
+
+      expect(manager.getTasksByQuery('priority:urgent')).toEqual([]);
+      expect(Logger.warn).toHaveBeenCalled();
+    });
+  });
+});
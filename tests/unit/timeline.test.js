@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for Timeline
+ * Tests the timeline layout, dependency links, critical path and dragged schedules
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+const { TaskDataManager, Task } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager, Task');
+const { Timeline } = loadScript('../../js/features/tasks/timeline.js', 'Timeline');
+
+const today = new Date(2025, 2, 5, 10, 0);
+
+describe('Timeline', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new TaskDataManager();
+  });
+
+  describe('build', () => {
+    it('should lay out scheduled tasks by start date around today', () => {
+      const later = manager.addTask({ text: 'Later', startDate: '2025-03-08', dueDate: '2025-03-10' });
+      const soon = manager.addTask({ text: 'Soon', dueDate: '2025-03-06' });
+      const someday = manager.addTask({ text: 'Someday' });
+
+      const timeline = Timeline.build([later, soon, someday], manager, today);
+
+      // Mar 2 (3 days before today) to Mar 13 (3 days after the last bar)
+      expect(timeline.start).toBe('2025-03-02');
+      expect(timeline.days).toBe(12);
+      expect(timeline.rows.map(row => [row.task.text, row.offset, row.length])).toEqual([
+        ['Soon', 4, 1],
+        ['Later', 6, 3]
+      ]);
+      expect(timeline.unscheduled.map(task => task.text)).toEqual(['Someday']);
+    });
+
+    it('should link blockers to the tasks they block and flag late blockers', () => {
+      const design = manager.addTask({ text: 'Design', startDate: '2025-03-03', dueDate: '2025-03-07' });
+      const build = manager.addTask({ text: 'Build', dueDate: '2025-03-06' });
+      const outside = manager.addTask({ text: 'Other project', dueDate: '2025-03-04' });
+      manager.addDependency(build.id, design.id);
+      manager.addDependency(build.id, outside.id);
+      const tasks = [design, build].map(t => manager.getTaskById(t.id));
+
+      const timeline = Timeline.build(tasks, manager, today);
+
+      expect(timeline.links).toEqual([{ from: design.id, to: build.id, critical: false, conflict: true }]);
+      expect(timeline.rows.find(row => row.task.id === build.id).conflict).toBe(true);
+    });
+
+    it('should highlight the chain of blockers behind the last task to finish', () => {
+      const a = manager.addTask({ text: 'A', dueDate: '2025-03-06' });
+      const b = manager.addTask({ text: 'B', startDate: '2025-03-07', dueDate: '2025-03-09' });
+      const side = manager.addTask({ text: 'Side', dueDate: '2025-03-08' });
+      const end = manager.addTask({ text: 'End', dueDate: '2025-03-12' });
+      manager.addDependency(b.id, a.id);
+      manager.addDependency(end.id, b.id);
+      manager.addDependency(end.id, side.id);
+      const tasks = [a, b, side, end].map(t => manager.getTaskById(t.id));
+
+      const timeline = Timeline.build(tasks, manager, today);
+
+      expect(timeline.rows.filter(row => row.critical).map(row => row.task.text)).toEqual(['A', 'B', 'End']);
+      expect(timeline.links.filter(link => link.critical).map(link => [link.from, link.to])).toEqual([
+        [a.id, b.id],
+        [b.id, end.id]
+      ]);
+    });
+  });
+
+  describe('getCriticalPath', () => {
+    const row = (id, end, completed = false) => ({ task: new Task({ id, completed }), end });
+
+    it('should break ties on the end date by the longer chain', () => {
+      const rows = [row('a', '2025-03-03'), row('b', '2025-03-05'), row('c', '2025-03-05')];
+      const links = [{ from: 'a', to: 'c' }];
+
+      expect(Timeline.getCriticalPath(rows, links)).toEqual(['a', 'c']);
+    });
+
+    it('should leave out completed tasks', () => {
+      const rows = [row('a', '2025-03-03', true), row('b', '2025-03-05')];
+
+      expect(Timeline.getCriticalPath(rows, [{ from: 'a', to: 'b' }])).toEqual(['b']);
+      expect(Timeline.getCriticalPath([row('a', '2025-03-03', true)], [])).toEqual([]);
+    });
+  });
+
+  describe('getDraggedSchedule', () => {
+    it('should move the start and due dates together', () => {
+      const task = new Task({ startDate: '2025-03-03', dueDate: '2025-03-05' });
+
+      expect(Timeline.getDraggedSchedule(task, 2, 'move')).toEqual({ startDate: '2025-03-05', dueDate: '2025-03-07' });
+      expect(Timeline.getDraggedSchedule(new Task({ dueDate: '2025-03-05' }), -1, 'move'))
+        .toEqual({ startDate: null, dueDate: '2025-03-04' });
+    });
+
+    it('should resize from the due date without passing the start date', () => {
+      const task = new Task({ dueDate: '2025-03-05' });
+
+      expect(Timeline.getDraggedSchedule(task, 2, 'resize')).toEqual({ startDate: '2025-03-05', dueDate: '2025-03-07' });
+      expect(Timeline.getDraggedSchedule(new Task({ startDate: '2025-03-03', dueDate: '2025-03-05' }), -5, 'resize'))
+        .toEqual({ startDate: null, dueDate: '2025-03-03' });
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit Tests for WikiLinks
+ * Tests parsing, resolving and rewriting references, backlinks and autocomplete suggestions
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock Logger
+global.Logger = {
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+};
+
+const loadScript = (relativePath, exportsList) => {
+  const fs = require('fs');
+  const path = require('path');
+  const moduleContent = fs.readFileSync(path.join(__dirname, relativePath), 'utf8');
+
+  const cleanContent = moduleContent
+    .replace(/window\.inputValidator = new InputValidator\(\);/, '')
+    .replace(/window\.validateAndSanitize = \{[\s\S]*?\};/, '')
+    .replace(/window\.\w+ = \w+;/g, '')
+    .replace(/Logger\.debug\('[\w.-]+ loaded'\);/, '');
+
+  const moduleFunc = new Function(cleanContent + `\nreturn { ${exportsList} };`);
+  return moduleFunc();
+};
+
+const { InputValidator } = loadScript('../../js/core/input-validator.js', 'InputValidator');
+window.inputValidator = new InputValidator();
+Object.assign(global, loadScript('../../js/core/date-utils.js', 'DateUtils'));
+Object.assign(global, loadScript('../../js/features/tasks/recurrence.js', 'RecurrenceRule, RecurrenceRepeatFrom'));
+const { TaskDataManager } = loadScript('../../js/features/tasks/task-data.js', 'TaskDataManager');
+const { NotesDataManager } = loadScript('../../js/features/notes/notes.js', 'NotesDataManager');
+const { MarkdownRenderer } = loadScript('../../js/features/notes/markdown.js', 'MarkdownRenderer');
+const { WikiLinks } = loadScript('../../js/features/notes/wiki-links.js', 'WikiLinks');
+
+const targets = {
+  notes: [
+    { id: 'n1', title: 'Meeting Notes', content: 'Follow up on [[task:Send invoice]] and [[link:Docs]]' },
+    { id: 'n2', title: 'Ideas', content: 'See [[meeting notes]] and [[Ideas]]' },
+    { id: 'n3', title: 'Reading', content: '' }
+  ],
+  tasks: [
+    { id: 't1', text: 'Send invoice', description: '', completed: true },
+    { id: 't2', text: 'Send invoice', description: 'Details in [[Meeting Notes]]', completed: false },
+    { id: 't3', text: 'Read book', description: '', completed: false }
+  ],
+  links: [{ name: 'Docs', url: 'https://example.com/docs', section: 'Work' }]
+};
+
+describe('WikiLinks', () => {
+  describe('parse and resolve', () => {
+    it('should read the type prefix and default to notes', () => {
+      expect(WikiLinks.parse('[[Ideas]], [[TASK: Read book ]] and [[link:Docs]] but not [[]] or [x](y)')).toEqual([
+        { type: 'note', target: 'Ideas' },
+        { type: 'task', target: 'Read book' },
+        { type: 'link', target: 'Docs' }
+      ]);
+    });
+
+    it('should match titles ignoring case and prefer open tasks', () => {
+      expect(WikiLinks.resolve({ type: 'note', target: 'meeting  notes' }, targets)).toEqual({ type: 'note', id: 'n1', title: 'Meeting Notes' });
+      expect(WikiLinks.resolve({ type: 'task', target: 'send invoice' }, targets).id).toBe('t2');
+      expect(WikiLinks.resolve({ type: 'link', target: 'docs' }, targets)).toEqual({ type: 'link', url: 'https://example.com/docs', title: 'Docs' });
+      expect(WikiLinks.resolve({ type: 'note', target: 'Missing' }, targets)).toBeNull();
+    });
+
+    it('should list each outgoing reference once and mark missing ones', () => {
+      expect(WikiLinks.getOutgoingLinks('[[Ideas]] [[ideas]] [[task:Nope]]', targets)).toEqual([
+        { type: 'note', id: 'n2', title: 'Ideas' },
+        { type: 'task', title: 'Nope', missing: true }
+      ]);
+    });
+  });
+
+  describe('getBacklinks', () => {
+    it('should list notes and tasks referencing an item, leaving out the item itself', () => {
+      expect(WikiLinks.getBacklinks({ type: 'note', id: 'n1', title: 'Meeting Notes' }, targets)).toEqual([
+        { type: 'note', id: 'n2', title: 'Ideas' },
+        { type: 'task', id: 't2', title: 'Send invoice', completed: false }
+      ]);
+      expect(WikiLinks.getBacklinks({ type: 'note', id: 'n2', title: 'Ideas' }, targets)).toEqual([]);
+      expect(WikiLinks.getBacklinks({ type: 'link', title: 'Docs' }, targets).map(item => item.id)).toEqual(['n1']);
+    });
+
+    it('should not treat a task reference as a note reference', () => {
+      expect(WikiLinks.getBacklinks({ type: 'note', id: 'n9', title: 'Send invoice' }, targets)).toEqual([]);
+    });
+  });
+
+  describe('rewriteReferences', () => {
+    it('should rename references of one type and keep how they were written', () => {
+      const text = '[[Ideas]], [[note:ideas]], [[task:Ideas]] and [[Other]]';
+
+      expect(WikiLinks.rewriteReferences(text, 'note', 'Ideas', 'Brainstorm'))
+        .toBe('[[Brainstorm]], [[note:Brainstorm]], [[task:Ideas]] and [[Other]]');
+      expect(WikiLinks.rewriteReferences(text, 'task', 'ideas', 'Plan')).toBe('[[Ideas]], [[note:ideas]], [[task:Plan]] and [[Other]]');
+    });
+
+    it('should add the note prefix when a new title looks like a prefix', () => {
+      expect(WikiLinks.rewriteReferences('[[Ideas]]', 'note', 'Ideas', 'task: list')).toBe('[[note:task: list]]');
+    });
+  });
+
+  describe('autocomplete', () => {
+    it('should find the reference being typed before the cursor', () => {
+      expect(WikiLinks.getQueryAtCursor('See [[task:Se', 13)).toEqual({ start: 4, query: 'task:Se' });
+      expect(WikiLinks.getQueryAtCursor('See [[Ideas]] ', 14)).toBeNull();
+      expect(WikiLinks.getQueryAtCursor('[[\nIdeas', 8)).toBeNull();
+    });
+
+    it('should suggest titles starting with the query first and honor type prefixes', () => {
+      expect(WikiLinks.getSuggestions('re', targets).map(item => item.reference)).toEqual([
+        '[[Reading]]',
+        '[[task:Read book]]'
+      ]);
+      expect(WikiLinks.getSuggestions('link:', targets)).toEqual([
+        { type: 'link', url: 'https://example.com/docs', title: 'Docs', subtitle: 'Link • Work', reference: '[[link:Docs]]' }
+      ]);
+      // Completed tasks are not suggested
+      expect(WikiLinks.getSuggestions('task:send', targets).map(item => item.id)).toEqual(['t2']);
+    });
+  });
+
+  describe('rendering', () => {
+    it('should render references as wiki link anchors in Markdown', () => {
+      expect(MarkdownRenderer.render('See [[task:Read book]] and [[<Ideas>]]')).toBe(
+        '<p>See <a class="md-wiki-link" data-wiki-type="task" data-wiki-target="Read book">Read book</a> and ' +
+        '<a class="md-wiki-link" data-wiki-type="note" data-wiki-target="<Ideas>">&lt;Ideas&gt;</a></p>'
+      );
+      expect(MarkdownRenderer.renderPreview('See [[link:Docs]]')).toBe('See <span class="md-link">Docs</span>');
+    });
+
+    it('should resolve rendered references for navigation', async () => {
+      const container = document.createElement('div');
+      container.innerHTML = MarkdownRenderer.render('[[Ideas]] [[task:Read book]] [[Nowhere]]');
+      vi.spyOn(WikiLinks, 'loadTargets').mockResolvedValue(targets);
+
+      await WikiLinks.decorate(container);
+
+      const [note, task, missing] = container.querySelectorAll('.md-wiki-link');
+      expect(note.dataset.type).toBe('note');
+      expect(note.dataset.noteId).toBe('n2');
+      expect(task.dataset.taskId).toBe('t3');
+      expect(missing.classList.contains('missing')).toBe(true);
+      expect(missing.dataset.type).toBeUndefined();
+      vi.restoreAllMocks();
+    });
+
+    it('should escape titles in chips and leave missing items unclickable', () => {
+      const html = WikiLinks.renderList([
+        { type: 'note', id: 'n"1', title: '<b>Plan</b>' },
+        { type: 'task', title: 'Gone', missing: true }
+      ]);
+
+      expect(html).toContain('data-note-id="n&quot;1"');
+      expect(html).toContain('&lt;b&gt;Plan&lt;/b&gt;');
+      expect(html).toMatch(/class="wiki-link-chip missing"\s+title="No task named &quot;Gone&quot; yet" disabled/);
+    });
+  });
+
+  describe('renameReferences', () => {
+    let taskManager;
+    let notesManager;
+
+    beforeEach(() => {
+      localStorage.clear();
+      taskManager = new TaskDataManager();
+      notesManager = new NotesDataManager();
+      window.taskDataManager = taskManager;
+      window.notesUIManager = { currentNote: null, whenReady: async () => notesManager };
+    });
+
+    afterEach(() => {
+      delete window.taskDataManager;
+      delete window.notesUIManager;
+    });
+
+    it('should rewrite notes and task descriptions in one undo step', async () => {
+      const task = taskManager.addTask({ text: 'Plan trip', description: 'Notes: [[Trip ideas]]' });
+      const other = taskManager.addTask({ text: 'Unrelated', description: 'Nothing here' });
+      const note = notesManager.addNote({ title: 'Packing', content: 'For [[trip ideas]] and [[task:Trip ideas]]' });
+
+      const result = await WikiLinks.renameReferences('note', 'Trip ideas', 'Japan trip');
+
+      expect(result).toEqual({ noteIds: [note.id], taskIds: [task.id] });
+      expect(notesManager.getNoteById(note.id).content).toBe('For [[Japan trip]] and [[task:Trip ideas]]');
+      expect(taskManager.getTaskById(task.id).description).toBe('Notes: [[Japan trip]]');
+      expect(taskManager.getTaskById(other.id).description).toBe('Nothing here');
+
+      taskManager.undo();
+      expect(taskManager.getTaskById(task.id).description).toBe('Notes: [[Trip ideas]]');
+    });
+
+    it('should do nothing when the title did not change or cannot be linked', async () => {
+      notesManager.addNote({ title: 'A', content: '[[Trip]]' });
+
+      expect(await WikiLinks.renameReferences('note', 'Trip', ' Trip ')).toEqual({ noteIds: [], taskIds: [] });
+      expect(await WikiLinks.renameReferences('note', 'Trip', 'Trip [draft]')).toEqual({ noteIds: [], taskIds: [] });
+      expect(taskManager.canUndo()).toBe(false);
+    });
+  });
+});